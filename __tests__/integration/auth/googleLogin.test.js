@@ -66,6 +66,9 @@ describe('Google Login Handler', () => {
   beforeEach(() => {
     jest.clearAllMocks();
     
+    // ログイン開始時に発行したstateの検証結果
+    googleAuthService.consumeAuthorizationRequest.mockResolvedValue({ codeVerifier: 'test-code-verifier' });
+    
     // responseUtilsのモック実装 - 非同期関数に変更
     responseUtils.formatResponse.mockResolvedValue(mockResponseObject);
     responseUtils.formatErrorResponse.mockResolvedValue({
@@ -76,6 +79,7 @@ describe('Google Login Handler', () => {
     
     // cookieParserのモック実装
     cookieParser.createSessionCookie.mockReturnValue('session=test-session-id; HttpOnly; Secure');
+    cookieParser.parseCookies.mockReturnValue({ oauth_state: 'test-state' });
     
     // getSessionとlogoutのモック実装（修正: 外部変数を参照せずにbeforeEachでセット）
     const mockGetSession = require(getSessionModulePath);
@@ -145,6 +149,7 @@ describe('Google Login Handler', () => {
     const event = {
       body: JSON.stringify({
         code: 'valid-auth-code',
+        state: 'test-state',
         redirectUri: 'https://app.example.com/callback'
       })
     };
@@ -153,9 +158,16 @@ describe('Google Login Handler', () => {
     const response = await handler(event);
     
     // 検証
+    expect(googleAuthService.consumeAuthorizationRequest).toHaveBeenCalledWith(
+      'test-state',
+      'https://app.example.com/callback',
+      'test-state'
+    );
+    
     expect(googleAuthService.exchangeCodeForTokens).toHaveBeenCalledWith(
       'valid-auth-code',
-      'https://app.example.com/callback'
+      'https://app.example.com/callback',
+      'test-code-verifier'
     );
     
     expect(googleAuthService.verifyIdToken).toHaveBeenCalledWith('test-id-token');
@@ -0,0 +1,118 @@
+/**
+ * ファイルパス: __tests__/unit/function/auth/createApiToken.test.js
+ *
+ * APIトークン作成ハンドラーのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-11
+ */
+
+const { handler } = require('../../../../src/function/auth/createApiToken');
+const { createApiToken } = require('../../../../src/services/apiTokenService');
+const { authenticateRequest } = require('../../../../src/utils/sessionAuth');
+const { formatResponse, formatErrorResponse } = require('../../../../src/utils/responseUtils');
+
+jest.mock('../../../../src/services/apiTokenService');
+jest.mock('../../../../src/utils/sessionAuth');
+jest.mock('../../../../src/utils/responseUtils');
+
+describe('Create API token handler', () => {
+  const session = { googleId: 'user-1', refreshToken: 'refresh-token' };
+
+  const createEvent = (body) => ({
+    httpMethod: 'POST',
+    headers: { Cookie: 'session=session-123' },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    authenticateRequest.mockResolvedValue({ sessionId: 'session-123', session });
+    createApiToken.mockResolvedValue({ token: 'pmt_abc.secret', id: 'abc', name: 'Sheets', scopes: ['market-data:read'] });
+    formatResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+    formatErrorResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('APIトークンを作成して一度だけ値を返す', async () => {
+    const response = await handler(createEvent({
+      name: ' Sheets ',
+      scopes: ['market-data:read', 'market-data:read'],
+      expiresInDays: 90
+    }));
+
+    // APIトークンではなくセッションでのみ作成できる
+    expect(authenticateRequest).toHaveBeenCalledWith(expect.any(Object));
+    expect(createApiToken).toHaveBeenCalledWith(session, {
+      name: 'Sheets',
+      scopes: ['market-data:read'],
+      expiresInDays: 90
+    });
+    expect(response.statusCode).toBe(201);
+    expect(response.body.data.token).toBe('pmt_abc.secret');
+    expect(response.body.headers).toEqual({ 'Cache-Control': 'no-store' });
+  });
+
+  test('認証エラーをそのまま返す', async () => {
+    authenticateRequest.mockResolvedValue({ error: { statusCode: 401, code: 'NO_SESSION' } });
+
+    const response = await handler(createEvent({ name: 'Sheets', scopes: ['drive:read'] }));
+
+    expect(response.statusCode).toBe(401);
+    expect(createApiToken).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    [{ scopes: ['drive:read'] }],
+    [{ name: 'x'.repeat(101), scopes: ['drive:read'] }],
+    [{ name: 'Sheets' }],
+    [{ name: 'Sheets', scopes: [] }],
+    [{ name: 'Sheets', scopes: ['admin'] }],
+    [{ name: 'Sheets', scopes: ['drive:read'], expiresInDays: 0 }],
+    [{ name: 'Sheets', scopes: ['drive:read'], expiresInDays: 366 }]
+  ])('不正なパラメータは400を返す: %j', async (body) => {
+    const response = await handler(createEvent(body));
+
+    expect(response.statusCode).toBe(400);
+    expect(response.body.code).toBe('INVALID_PARAMS');
+    expect(createApiToken).not.toHaveBeenCalled();
+  });
+
+  test('不正なJSONは400を返す', async () => {
+    const response = await handler(createEvent('{invalid'));
+
+    expect(response.body.code).toBe('INVALID_REQUEST_BODY');
+  });
+
+  test('作成数の上限に達した場合は400を返す', async () => {
+    createApiToken.mockRejectedValue(new Error('Token limit exceeded'));
+
+    const response = await handler(createEvent({ name: 'Sheets', scopes: ['market-data:read'] }));
+
+    expect(response.statusCode).toBe(400);
+    expect(response.body.code).toBe('TOKEN_LIMIT_EXCEEDED');
+  });
+
+  test('リフレッシュトークンが無い場合は再ログインを求める', async () => {
+    createApiToken.mockRejectedValue(new Error('Refresh token not available'));
+
+    const response = await handler(createEvent({ name: 'Sheets', scopes: ['drive:write'] }));
+
+    expect(response.statusCode).toBe(400);
+    expect(response.body.code).toBe('REAUTH_REQUIRED');
+  });
+
+  test('予期しないエラーは500を返す', async () => {
+    createApiToken.mockRejectedValue(new Error('DynamoDB error'));
+
+    const response = await handler(createEvent({ name: 'Sheets', scopes: ['market-data:read'] }));
+
+    expect(response.statusCode).toBe(500);
+    expect(response.body.code).toBe('API_TOKEN_ERROR');
+  });
+});
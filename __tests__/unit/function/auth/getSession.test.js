@@ -111,7 +111,8 @@ describe('Get Session Handler', () => {
             email: 'test@example.com',
             name: 'Test User',
             picture: 'https://example.com/pic.jpg'
-          }
+          },
+          csrfToken: expect.any(String)
         }
       })
     );
@@ -120,6 +121,28 @@ describe('Get Session Handler', () => {
     expect(response).toBe(mockResponseObject);
   });
   
+  test('セッションのCSRFトークンを返し、Cookieにも設定する', async () => {
+    googleAuthService.getSession.mockResolvedValue({ ...mockSessionData, csrfToken: 'csrf-abc' });
+    cookieParser.createCsrfCookie.mockReturnValue('csrf_token=csrf-abc; Path=/');
+    
+    await handler({ headers: { Cookie: 'session=session-123' } });
+    
+    expect(googleAuthService.updateSession).not.toHaveBeenCalled();
+    expect(cookieParser.createCsrfCookie).toHaveBeenCalledWith('csrf-abc', expect.any(Number));
+    expect(responseUtils.formatResponse).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ csrfToken: 'csrf-abc' }),
+      headers: { 'Set-Cookie': 'csrf_token=csrf-abc; Path=/' }
+    }));
+  });
+  
+  test('CSRFトークンが未発行のセッションには発行して保存する', async () => {
+    await handler({ headers: { Cookie: 'session=session-123' } });
+    
+    const issued = responseUtils.formatResponse.mock.calls[0][0].data.csrfToken;
+    expect(issued).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(googleAuthService.updateSession).toHaveBeenCalledWith('session-123', { csrfToken: issued });
+  });
+  
   test('セッションクッキーがない場合、認証エラーを返す', async () => {
     // セッションクッキーなしのイベント
     const event = {
@@ -0,0 +1,96 @@
+/**
+ * ファイルパス: __tests__/unit/function/auth/googleAuthStart.test.js
+ *
+ * Googleログイン開始ハンドラーのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-10
+ */
+
+const { handler } = require('../../../../src/function/auth/googleAuthStart');
+const googleAuthService = require('../../../../src/services/googleAuthService');
+const responseUtils = require('../../../../src/utils/responseUtils');
+
+jest.mock('../../../../src/services/googleAuthService');
+jest.mock('../../../../src/utils/responseUtils');
+
+describe('googleAuthStart handler', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    responseUtils.formatResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+    responseUtils.formatErrorResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+    responseUtils.formatOptionsResponse.mockReturnValue({ statusCode: 204 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('OPTIONSリクエストに応答する', async () => {
+    const response = await handler({ httpMethod: 'OPTIONS' });
+
+    expect(response.statusCode).toBe(204);
+  });
+
+  test('stateとPKCEを発行して認可URLを返す', async () => {
+    const result = {
+      authorizationUrl: 'https://accounts.google.com/o/oauth2/v2/auth?state=st',
+      state: 'st',
+      expiresAt: '2025-06-10T00:10:00.000Z'
+    };
+    googleAuthService.createAuthorizationRequest.mockResolvedValue(result);
+
+    const response = await handler({
+      httpMethod: 'GET',
+      queryStringParameters: { redirectUri: 'https://app.example.com/auth/callback' }
+    });
+
+    expect(googleAuthService.createAuthorizationRequest).toHaveBeenCalledWith('https://app.example.com/auth/callback');
+    expect(response.statusCode).toBe(200);
+    expect(response.body.data).toEqual(result);
+    expect(response.body.headers).toEqual({ 'Cache-Control': 'no-store', 'Set-Cookie': expect.any(String) });
+  });
+
+  test('stateをブラウザに紐付けるHttpOnly Cookieを設定する', async () => {
+    googleAuthService.createAuthorizationRequest.mockResolvedValue({
+      authorizationUrl: 'https://accounts.google.com/o/oauth2/v2/auth?state=st',
+      state: 'st',
+      expiresAt: new Date(Date.now() + 600 * 1000).toISOString()
+    });
+
+    const response = await handler({
+      httpMethod: 'GET',
+      queryStringParameters: { redirectUri: 'https://app.example.com/auth/callback' }
+    });
+
+    expect(response.body.headers['Set-Cookie']).toMatch(/^oauth_state=st; HttpOnly; Secure; SameSite=Strict; Max-Age=(599|600); Path=\/$/);
+  });
+
+  test.each([
+    [undefined],
+    ['/auth/callback'],
+    ['javascript:alert(1)']
+  ])('リダイレクトURIが不正な場合は400を返す: %s', async (redirectUri) => {
+    const response = await handler({
+      httpMethod: 'GET',
+      queryStringParameters: redirectUri ? { redirectUri } : null
+    });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.body.code).toBe('INVALID_PARAMS');
+    expect(googleAuthService.createAuthorizationRequest).not.toHaveBeenCalled();
+  });
+
+  test('保存に失敗した場合は500を返す', async () => {
+    googleAuthService.createAuthorizationRequest.mockRejectedValue(new Error('DynamoDB error'));
+
+    const response = await handler({
+      httpMethod: 'GET',
+      queryStringParameters: { redirectUri: 'https://app.example.com/auth/callback' }
+    });
+
+    expect(response.statusCode).toBe(500);
+    expect(response.body.code).toBe('AUTH_START_ERROR');
+  });
+});
@@ -18,6 +18,9 @@ beforeEach(() => {
   responseUtils.formatResponse.mockResolvedValue({ ok: true });
   responseUtils.formatErrorResponse.mockResolvedValue({ ok: false });
   cookieParser.createSessionCookie.mockReturnValue('session=test; HttpOnly');
+  cookieParser.createClearOAuthStateCookie.mockReturnValue('oauth_state=; Max-Age=0');
+  cookieParser.parseCookies.mockReturnValue({ oauth_state: 'st' });
+  googleAuthService.consumeAuthorizationRequest.mockResolvedValue({ codeVerifier: 'verifier' });
 });
 
 describe('googleLogin handler', () => {
@@ -36,10 +39,12 @@ describe('googleLogin handler', () => {
     });
     googleAuthService.createUserSession.mockResolvedValue({ sessionId: 'sid' });
 
-    const event = { body: JSON.stringify({ code: 'abc', redirectUri: 'u' }) };
+    const event = { body: JSON.stringify({ code: 'abc', state: 'st', redirectUri: 'u' }) };
     const res = await handler(event);
 
-    expect(googleAuthService.exchangeCodeForTokens).toHaveBeenCalledWith('abc', 'u');
+    expect(cookieParser.parseCookies).toHaveBeenCalledWith(event);
+    expect(googleAuthService.consumeAuthorizationRequest).toHaveBeenCalledWith('st', 'u', 'st');
+    expect(googleAuthService.exchangeCodeForTokens).toHaveBeenCalledWith('abc', 'u', 'verifier');
     expect(googleAuthService.verifyIdToken).toHaveBeenCalledWith('id');
     expect(googleAuthService.createUserSession).toHaveBeenCalledWith(expect.objectContaining({ googleId: 'uid' }));
     expect(cookieParser.createSessionCookie).toHaveBeenCalledWith('sid', expect.any(Number));
@@ -47,6 +52,40 @@ describe('googleLogin handler', () => {
     expect(res).toEqual({ ok: true });
   });
 
+  test('正常系: セッションにIPアドレスとUser-Agentを記録する', async () => {
+    googleAuthService.exchangeCodeForTokens.mockResolvedValue({ id_token: 'id', access_token: 'access', expires_in: 3600 });
+    googleAuthService.verifyIdToken.mockResolvedValue({ sub: 'uid', email: 'user@example.com' });
+    googleAuthService.createUserSession.mockResolvedValue({ sessionId: 'sid' });
+
+    await handler({
+      headers: { 'User-Agent': 'TestAgent/1.0' },
+      requestContext: { identity: { sourceIp: '203.0.113.1' } },
+      body: JSON.stringify({ code: 'abc', redirectUri: 'u' })
+    });
+
+    expect(googleAuthService.createUserSession).toHaveBeenCalledWith(expect.objectContaining({
+      ipAddress: '203.0.113.1',
+      userAgent: 'TestAgent/1.0'
+    }));
+  });
+
+  test('正常系: CSRFトークンを発行してセッションとCookieに保存する', async () => {
+    googleAuthService.exchangeCodeForTokens.mockResolvedValue({ id_token: 'id', access_token: 'access', expires_in: 3600 });
+    googleAuthService.verifyIdToken.mockResolvedValue({ sub: 'uid', email: 'user@example.com' });
+    googleAuthService.createUserSession.mockResolvedValue({ sessionId: 'sid' });
+    cookieParser.createCsrfCookie.mockReturnValue('csrf_token=test');
+
+    await handler({ body: JSON.stringify({ code: 'abc', redirectUri: 'u' }) });
+
+    const { csrfToken } = googleAuthService.createUserSession.mock.calls[0][0];
+    expect(csrfToken).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(cookieParser.createCsrfCookie).toHaveBeenCalledWith(csrfToken, expect.any(Number));
+    expect(responseUtils.formatResponse).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ isAuthenticated: true, csrfToken }),
+      multiValueHeaders: { 'Set-Cookie': ['session=test; HttpOnly', 'csrf_token=test', 'oauth_state=; Max-Age=0'] }
+    }));
+  });
+
   test('異常系: 認証コードが無い場合', async () => {
     const event = { body: JSON.stringify({}) };
     const res = await handler(event);
@@ -58,6 +97,46 @@ describe('googleLogin handler', () => {
     expect(res).toEqual({ ok: false });
   });
 
+  test('異常系: stateが無効な場合はコードを交換しない', async () => {
+    googleAuthService.consumeAuthorizationRequest.mockResolvedValue(null);
+
+    const event = { body: JSON.stringify({ code: 'abc', state: 'forged', redirectUri: 'u' }) };
+    const res = await handler(event);
+
+    expect(responseUtils.formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({
+      statusCode: 400,
+      code: 'INVALID_STATE'
+    }));
+    expect(googleAuthService.exchangeCodeForTokens).not.toHaveBeenCalled();
+    expect(googleAuthService.createUserSession).not.toHaveBeenCalled();
+    expect(res).toEqual({ ok: false });
+  });
+
+  test('異常系: state Cookieが無い場合はCookie無しで検証し、コードを交換しない', async () => {
+    cookieParser.parseCookies.mockReturnValue({});
+    googleAuthService.consumeAuthorizationRequest.mockResolvedValue(null);
+
+    await handler({ body: JSON.stringify({ code: 'abc', state: 'st', redirectUri: 'u' }) });
+
+    expect(googleAuthService.consumeAuthorizationRequest).toHaveBeenCalledWith('st', 'u', undefined);
+    expect(responseUtils.formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_STATE' }));
+    expect(googleAuthService.exchangeCodeForTokens).not.toHaveBeenCalled();
+  });
+
+  test('異常系: 別のブラウザで開始したstateのCookieでは検証に失敗する', async () => {
+    cookieParser.parseCookies.mockReturnValue({ oauth_state: 'victim-state' });
+    googleAuthService.consumeAuthorizationRequest.mockResolvedValue(null);
+
+    await handler({
+      headers: { Cookie: 'oauth_state=victim-state' },
+      body: JSON.stringify({ code: 'attacker-code', state: 'attacker-state', redirectUri: 'u' })
+    });
+
+    expect(googleAuthService.consumeAuthorizationRequest).toHaveBeenCalledWith('attacker-state', 'u', 'victim-state');
+    expect(googleAuthService.exchangeCodeForTokens).not.toHaveBeenCalled();
+    expect(googleAuthService.createUserSession).not.toHaveBeenCalled();
+  });
+
   test('異常系: トークン交換失敗', async () => {
     googleAuthService.exchangeCodeForTokens.mockRejectedValue(new Error('fail'));
 
@@ -0,0 +1,63 @@
+/**
+ * ファイルパス: __tests__/unit/function/auth/listApiTokens.test.js
+ *
+ * APIトークン一覧ハンドラーのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-11
+ */
+
+const { handler } = require('../../../../src/function/auth/listApiTokens');
+const { listApiTokens } = require('../../../../src/services/apiTokenService');
+const { authenticateRequest } = require('../../../../src/utils/sessionAuth');
+const { formatResponse, formatErrorResponse } = require('../../../../src/utils/responseUtils');
+
+jest.mock('../../../../src/services/apiTokenService');
+jest.mock('../../../../src/utils/sessionAuth');
+jest.mock('../../../../src/utils/responseUtils');
+
+describe('List API tokens handler', () => {
+  const event = { httpMethod: 'GET', headers: { Cookie: 'session=session-123' } };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    authenticateRequest.mockResolvedValue({ sessionId: 'session-123', session: { googleId: 'user-1' } });
+    formatResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+    formatErrorResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('ユーザーのAPIトークン一覧を返す', async () => {
+    const tokens = [{ id: 'token-1', name: 'Sheets', scopes: ['market-data:read'] }];
+    listApiTokens.mockResolvedValue(tokens);
+
+    const response = await handler(event);
+
+    expect(listApiTokens).toHaveBeenCalledWith('user-1');
+    expect(response.statusCode).toBe(200);
+    expect(response.body.data).toEqual({ tokens, count: 1 });
+  });
+
+  test('認証エラーをそのまま返す', async () => {
+    authenticateRequest.mockResolvedValue({ error: { statusCode: 401, code: 'NO_SESSION' } });
+
+    const response = await handler(event);
+
+    expect(response.statusCode).toBe(401);
+    expect(listApiTokens).not.toHaveBeenCalled();
+  });
+
+  test('取得に失敗した場合は500を返す', async () => {
+    listApiTokens.mockRejectedValue(new Error('DynamoDB error'));
+
+    const response = await handler(event);
+
+    expect(response.statusCode).toBe(500);
+    expect(response.body.code).toBe('API_TOKEN_LIST_ERROR');
+  });
+});
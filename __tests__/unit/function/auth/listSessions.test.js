@@ -0,0 +1,78 @@
+/**
+ * ファイルパス: __tests__/unit/function/auth/listSessions.test.js
+ *
+ * セッション一覧ハンドラーのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-08
+ */
+
+const { handler } = require('../../../../src/function/auth/listSessions');
+const { listUserSessions } = require('../../../../src/services/googleAuthService');
+const { authenticateRequest } = require('../../../../src/utils/sessionAuth');
+const { formatResponse, formatErrorResponse, formatOptionsResponse } = require('../../../../src/utils/responseUtils');
+
+jest.mock('../../../../src/services/googleAuthService');
+jest.mock('../../../../src/utils/sessionAuth');
+jest.mock('../../../../src/utils/responseUtils');
+
+describe('List sessions handler', () => {
+  const session = { googleId: 'user-1' };
+  const sessions = [
+    { id: 'public-a', device: 'Chrome on Windows', ipAddress: '203.0.113.1', lastSeenAt: '2025-06-08T00:00:00.000Z', current: true },
+    { id: 'public-b', device: 'Safari on iOS', ipAddress: '198.51.100.2', lastSeenAt: '2025-06-07T00:00:00.000Z', current: false }
+  ];
+
+  const createEvent = () => ({
+    httpMethod: 'GET',
+    headers: { Cookie: 'session=session-123' }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    authenticateRequest.mockResolvedValue({ sessionId: 'session-123', session });
+    listUserSessions.mockResolvedValue(sessions);
+    formatResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+    formatErrorResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+    formatOptionsResponse.mockReturnValue({ statusCode: 204 });
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('ユーザーのセッション一覧を返す', async () => {
+    const response = await handler(createEvent());
+
+    expect(listUserSessions).toHaveBeenCalledWith('user-1', 'session-123');
+    expect(response.statusCode).toBe(200);
+    expect(response.body.data).toEqual({ sessions, count: 2 });
+  });
+
+  test('OPTIONSリクエストに応答する', async () => {
+    const response = await handler({ httpMethod: 'OPTIONS' });
+
+    expect(response.statusCode).toBe(204);
+    expect(authenticateRequest).not.toHaveBeenCalled();
+  });
+
+  test('認証エラーをそのまま返す', async () => {
+    authenticateRequest.mockResolvedValue({ error: { statusCode: 401, code: 'NO_SESSION' } });
+
+    const response = await handler(createEvent());
+
+    expect(response.statusCode).toBe(401);
+    expect(listUserSessions).not.toHaveBeenCalled();
+  });
+
+  test('一覧の取得に失敗した場合は500エラーを返す', async () => {
+    listUserSessions.mockRejectedValue(new Error('セッション一覧の取得に失敗しました'));
+
+    const response = await handler(createEvent());
+
+    expect(response.statusCode).toBe(500);
+    expect(response.body.code).toBe('SESSION_LIST_ERROR');
+  });
+});
@@ -174,6 +174,43 @@ describe('Logout Handler', () => {
     expect(responseUtils.formatResponse).toHaveBeenCalled();
   });
   
+  test('CSRFトークンが無いPOSTリクエストはセッションを無効化せず FORBIDDEN を返す', async () => {
+    const event = {
+      httpMethod: 'POST',
+      headers: {
+        Cookie: 'session=session-123'
+      }
+    };
+    
+    await handler(event);
+    
+    expect(responseUtils.formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({
+      statusCode: 403,
+      code: 'FORBIDDEN'
+    }));
+    expect(googleAuthService.invalidateSession).not.toHaveBeenCalled();
+  });
+  
+  test('CSRFトークンが一致するPOSTリクエストはログアウトする', async () => {
+    cookieParser.parseCookies.mockReturnValue({
+      session: 'session-123',
+      csrf_token: 'csrf-abc'
+    });
+    
+    const event = {
+      httpMethod: 'POST',
+      headers: {
+        Cookie: 'session=session-123; csrf_token=csrf-abc',
+        'X-CSRF-Token': 'csrf-abc'
+      }
+    };
+    
+    await handler(event);
+    
+    expect(googleAuthService.invalidateSession).toHaveBeenCalledWith('session-123');
+    expect(responseUtils.formatErrorResponse).not.toHaveBeenCalled();
+  });
+  
   test('POSTリクエスト以外ではエラーレスポンスを返す', async () => {
     // テスト用のGETリクエストイベントを作成
     const event = {
@@ -0,0 +1,79 @@
+/**
+ * ファイルパス: __tests__/unit/function/auth/revokeAllSessions.test.js
+ *
+ * 全セッション取り消しハンドラーのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-08
+ */
+
+const { handler } = require('../../../../src/function/auth/revokeAllSessions');
+const { invalidateUserSessions } = require('../../../../src/services/googleAuthService');
+const { authenticateRequest } = require('../../../../src/utils/sessionAuth');
+const { createClearSessionCookie } = require('../../../../src/utils/cookieParser');
+const { formatResponse, formatErrorResponse } = require('../../../../src/utils/responseUtils');
+
+jest.mock('../../../../src/services/googleAuthService');
+jest.mock('../../../../src/utils/sessionAuth');
+jest.mock('../../../../src/utils/cookieParser');
+jest.mock('../../../../src/utils/responseUtils');
+
+describe('Revoke all sessions handler', () => {
+  const session = { googleId: 'user-1' };
+
+  const createEvent = (query) => ({
+    httpMethod: 'DELETE',
+    headers: { Cookie: 'session=session-123' },
+    queryStringParameters: query || null
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    authenticateRequest.mockResolvedValue({ sessionId: 'session-123', session });
+    invalidateUserSessions.mockResolvedValue({ revoked: 3, failed: 0 });
+    createClearSessionCookie.mockReturnValue('session=; Max-Age=0');
+    formatResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+    formatErrorResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('すべての端末からログアウトしてCookieを削除する', async () => {
+    const response = await handler(createEvent());
+
+    expect(invalidateUserSessions).toHaveBeenCalledWith('user-1', { exceptSessionId: null });
+    expect(response.statusCode).toBe(200);
+    expect(response.body.data).toEqual({ revoked: 3, failed: 0, exceptCurrent: false });
+    expect(response.body.headers).toEqual({ 'Set-Cookie': 'session=; Max-Age=0' });
+  });
+
+  test('exceptCurrent=true の場合はリクエスト元のセッションを残す', async () => {
+    const response = await handler(createEvent({ exceptCurrent: 'true' }));
+
+    expect(invalidateUserSessions).toHaveBeenCalledWith('user-1', { exceptSessionId: 'session-123' });
+    expect(response.body.data.exceptCurrent).toBe(true);
+    expect(response.body.headers).toBeUndefined();
+  });
+
+  test('認証エラーをそのまま返す', async () => {
+    authenticateRequest.mockResolvedValue({ error: { statusCode: 401, code: 'INVALID_SESSION' } });
+
+    const response = await handler(createEvent());
+
+    expect(response.statusCode).toBe(401);
+    expect(invalidateUserSessions).not.toHaveBeenCalled();
+  });
+
+  test('取り消しに失敗した場合は500エラーを返す', async () => {
+    invalidateUserSessions.mockRejectedValue(new Error('セッション一覧の取得に失敗しました'));
+
+    const response = await handler(createEvent());
+
+    expect(response.statusCode).toBe(500);
+    expect(response.body.code).toBe('SESSION_REVOKE_ERROR');
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * ファイルパス: __tests__/unit/function/auth/revokeApiToken.test.js
+ *
+ * APIトークン取り消しハンドラーのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-11
+ */
+
+const { handler } = require('../../../../src/function/auth/revokeApiToken');
+const { revokeApiToken } = require('../../../../src/services/apiTokenService');
+const { authenticateRequest } = require('../../../../src/utils/sessionAuth');
+const { formatResponse, formatErrorResponse } = require('../../../../src/utils/responseUtils');
+
+jest.mock('../../../../src/services/apiTokenService');
+jest.mock('../../../../src/utils/sessionAuth');
+jest.mock('../../../../src/utils/responseUtils');
+
+describe('Revoke API token handler', () => {
+  const createEvent = (id) => ({
+    httpMethod: 'DELETE',
+    headers: { Cookie: 'session=session-123' },
+    pathParameters: id ? { id } : null
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    authenticateRequest.mockResolvedValue({ sessionId: 'session-123', session: { googleId: 'user-1' } });
+    revokeApiToken.mockResolvedValue({ id: 'token-1', name: 'Sheets' });
+    formatResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+    formatErrorResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('指定したAPIトークンを取り消す', async () => {
+    const response = await handler(createEvent('token-1'));
+
+    expect(revokeApiToken).toHaveBeenCalledWith('user-1', 'token-1');
+    expect(response.statusCode).toBe(200);
+    expect(response.body.data.token).toEqual({ id: 'token-1', name: 'Sheets' });
+  });
+
+  test('IDが無い場合は400を返す', async () => {
+    const response = await handler(createEvent());
+
+    expect(response.statusCode).toBe(400);
+    expect(revokeApiToken).not.toHaveBeenCalled();
+  });
+
+  test('存在しないトークンは404を返す', async () => {
+    revokeApiToken.mockRejectedValue(new Error('API token not found'));
+
+    const response = await handler(createEvent('other'));
+
+    expect(response.statusCode).toBe(404);
+    expect(response.body.code).toBe('TOKEN_NOT_FOUND');
+  });
+
+  test('取り消しに失敗した場合は500を返す', async () => {
+    revokeApiToken.mockRejectedValue(new Error('DynamoDB error'));
+
+    const response = await handler(createEvent('token-1'));
+
+    expect(response.statusCode).toBe(500);
+    expect(response.body.code).toBe('API_TOKEN_REVOKE_ERROR');
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * ファイルパス: __tests__/unit/function/auth/revokeSession.test.js
+ *
+ * セッション取り消しハンドラーのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-08
+ */
+
+const { handler } = require('../../../../src/function/auth/revokeSession');
+const { revokeUserSession } = require('../../../../src/services/googleAuthService');
+const { authenticateRequest } = require('../../../../src/utils/sessionAuth');
+const { createClearSessionCookie } = require('../../../../src/utils/cookieParser');
+const { formatResponse, formatErrorResponse } = require('../../../../src/utils/responseUtils');
+
+jest.mock('../../../../src/services/googleAuthService');
+jest.mock('../../../../src/utils/sessionAuth');
+jest.mock('../../../../src/utils/cookieParser');
+jest.mock('../../../../src/utils/responseUtils');
+
+describe('Revoke session handler', () => {
+  const session = { googleId: 'user-1' };
+
+  const createEvent = (id) => ({
+    httpMethod: 'DELETE',
+    headers: { Cookie: 'session=session-123' },
+    pathParameters: id ? { id } : null
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    authenticateRequest.mockResolvedValue({ sessionId: 'session-123', session });
+    revokeUserSession.mockResolvedValue({ id: 'public-b', device: 'Safari on iOS', current: false });
+    createClearSessionCookie.mockReturnValue('session=; Max-Age=0');
+    formatResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+    formatErrorResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('指定したセッションを取り消す', async () => {
+    const response = await handler(createEvent('public-b'));
+
+    expect(revokeUserSession).toHaveBeenCalledWith('user-1', 'public-b', 'session-123');
+    expect(response.statusCode).toBe(200);
+    expect(response.body.data.session).toEqual(expect.objectContaining({ id: 'public-b' }));
+    expect(response.body.headers).toBeUndefined();
+  });
+
+  test('リクエスト元のセッションを取り消した場合はCookieを削除する', async () => {
+    revokeUserSession.mockResolvedValue({ id: 'public-a', current: true });
+
+    const response = await handler(createEvent('public-a'));
+
+    expect(response.body.headers).toEqual({ 'Set-Cookie': 'session=; Max-Age=0' });
+  });
+
+  test('IDが無い場合は400エラーを返す', async () => {
+    const response = await handler(createEvent(null));
+
+    expect(response.statusCode).toBe(400);
+    expect(revokeUserSession).not.toHaveBeenCalled();
+  });
+
+  test('セッションが見つからない場合は404エラーを返す', async () => {
+    revokeUserSession.mockRejectedValue(new Error('Session not found'));
+
+    const response = await handler(createEvent('unknown'));
+
+    expect(response.statusCode).toBe(404);
+    expect(response.body.code).toBe('SESSION_NOT_FOUND');
+  });
+
+  test('その他のエラーは500エラーを返す', async () => {
+    revokeUserSession.mockRejectedValue(new Error('セッション一覧の取得に失敗しました'));
+
+    const response = await handler(createEvent('public-b'));
+
+    expect(response.statusCode).toBe(500);
+    expect(response.body.code).toBe('SESSION_REVOKE_ERROR');
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * ファイルパス: __tests__/unit/function/drive/createShareLink.test.js
+ *
+ * 共有リンク作成ハンドラーのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-05
+ */
+
+const { handler } = require('../../../../src/function/drive/createShareLink');
+const { createShareLink } = require('../../../../src/services/shareLinkService');
+const { authenticateRequest } = require('../../../../src/utils/sessionAuth');
+const { formatResponse, formatErrorResponse } = require('../../../../src/utils/responseUtils');
+
+jest.mock('../../../../src/services/shareLinkService');
+jest.mock('../../../../src/utils/sessionAuth');
+jest.mock('../../../../src/utils/responseUtils');
+
+describe('Create share link handler', () => {
+  const session = { googleId: 'user-1' };
+  const mockLink = {
+    linkId: 'link-1',
+    token: 'link-1.secret',
+    fileId: 'file-123',
+    createdAt: '2025-06-05T00:00:00.000Z',
+    expiresAt: '2025-07-05T00:00:00.000Z'
+  };
+
+  const createEvent = (body) => ({
+    httpMethod: 'POST',
+    headers: { Cookie: 'session=session-123' },
+    body: JSON.stringify(body)
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    authenticateRequest.mockResolvedValue({ sessionId: 'session-123', session, accessToken: 'access-token' });
+    createShareLink.mockResolvedValue(mockLink);
+    formatResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+    formatErrorResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('共有リンクを作成してトークンを返す', async () => {
+    const response = await handler(createEvent({ fileId: 'file-123', baseCurrency: 'usd' }));
+
+    expect(createShareLink).toHaveBeenCalledWith(session, 'access-token', 'file-123', {
+      baseCurrency: 'USD',
+      expiresInDays: 30
+    });
+    expect(response.statusCode).toBe(201);
+    expect(formatResponse).toHaveBeenCalledWith(expect.objectContaining({ data: mockLink }));
+  });
+
+  test.each([
+    [{}, 'ファイルID'],
+    [{ fileId: 'file-123', baseCurrency: 'yens' }, '基準通貨'],
+    [{ fileId: 'file-123', expiresInDays: 0 }, '有効期限'],
+    [{ fileId: 'file-123', expiresInDays: 366 }, '有効期限']
+  ])('パラメータが不正な場合は400エラーを返す: %j', async (body, message) => {
+    const response = await handler(createEvent(body));
+
+    expect(response.statusCode).toBe(400);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({
+      code: 'INVALID_PARAMS',
+      message: expect.stringContaining(message)
+    }));
+    expect(createShareLink).not.toHaveBeenCalled();
+  });
+
+  test('ポートフォリオの形式が無効な場合は400エラーを返す', async () => {
+    createShareLink.mockRejectedValue(new Error('Invalid portfolio data format'));
+
+    const response = await handler(createEvent({ fileId: 'file-123' }));
+
+    expect(response.statusCode).toBe(400);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_DATA_FORMAT' }));
+  });
+});
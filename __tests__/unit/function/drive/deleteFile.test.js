@@ -0,0 +1,88 @@
+/**
+ * ファイルパス: __tests__/unit/function/drive/deleteFile.test.js
+ *
+ * Google Driveファイル削除ハンドラーのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-06
+ */
+
+const { handler } = require('../../../../src/function/drive/deleteFile');
+const { deleteFile } = require('../../../../src/services/googleDriveService');
+const { authenticateRequest } = require('../../../../src/utils/sessionAuth');
+const { formatResponse, formatErrorResponse } = require('../../../../src/utils/responseUtils');
+
+jest.mock('../../../../src/services/googleDriveService');
+jest.mock('../../../../src/utils/sessionAuth');
+jest.mock('../../../../src/utils/responseUtils');
+
+describe('Delete file handler', () => {
+  const createEvent = (body) => ({
+    httpMethod: 'POST',
+    headers: { Cookie: 'session=session-123' },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    authenticateRequest.mockResolvedValue({
+      sessionId: 'session-123',
+      session: { googleId: 'user-1' },
+      accessToken: 'access-token'
+    });
+    deleteFile.mockResolvedValue(true);
+    formatResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+    formatErrorResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('既定ではゴミ箱に移動する', async () => {
+    const response = await handler(createEvent({ fileId: 'file-123' }));
+
+    expect(authenticateRequest).toHaveBeenCalledWith(expect.any(Object), { requireAccessToken: true, scope: 'drive:write' });
+    expect(deleteFile).toHaveBeenCalledWith('file-123', 'access-token', false);
+    expect(response.statusCode).toBe(200);
+    expect(formatResponse).toHaveBeenCalledWith(expect.objectContaining({
+      data: { fileId: 'file-123', trashed: true, deleted: false }
+    }));
+  });
+
+  test('permanently を指定した場合は完全に削除する', async () => {
+    await handler(createEvent({ fileId: 'file-123', permanently: true }));
+
+    expect(deleteFile).toHaveBeenCalledWith('file-123', 'access-token', true);
+    expect(formatResponse).toHaveBeenCalledWith(expect.objectContaining({
+      data: { fileId: 'file-123', trashed: false, deleted: true }
+    }));
+  });
+
+  test('ファイルIDが無い場合は400エラーを返す', async () => {
+    const response = await handler(createEvent({}));
+
+    expect(response.statusCode).toBe(400);
+    expect(deleteFile).not.toHaveBeenCalled();
+  });
+
+  test('認証エラーをそのまま返す', async () => {
+    authenticateRequest.mockResolvedValue({ error: { statusCode: 401, code: 'NO_SESSION', message: 'セッションが存在しません' } });
+
+    const response = await handler(createEvent({ fileId: 'file-123' }));
+
+    expect(response.statusCode).toBe(401);
+    expect(deleteFile).not.toHaveBeenCalled();
+  });
+
+  test('削除に失敗した場合は500エラーを返す', async () => {
+    deleteFile.mockRejectedValue(new Error('Failed to delete file from Google Drive'));
+
+    const response = await handler(createEvent({ fileId: 'file-123' }));
+
+    expect(response.statusCode).toBe(500);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({ code: 'DRIVE_DELETE_ERROR' }));
+  });
+});
@@ -12,7 +12,7 @@ const listFilesHandler = require('../../../../src/function/drive/listFiles');
 
 // 依存モジュールのインポート
 const { getSession, refreshSessionToken } = require('../../../../src/services/googleAuthService');
-const { listPortfolioFiles } = require('../../../../src/services/googleDriveService');
+const { listPortfolioFiles, listSubfolders } = require('../../../../src/services/googleDriveService');
 const { formatResponse, formatErrorResponse } = require('../../../../src/utils/responseUtils');
 const { parseCookies } = require('../../../../src/utils/cookieParser');
 
@@ -141,6 +141,47 @@ describe('ListFilesHandler', () => {
     }));
   });
 
+  test('正常系：データフォルダ直下の場合はサブフォルダ一覧も返す', async () => {
+    listSubfolders.mockResolvedValueOnce([
+      { id: 'folder-1', name: 'NISA口座', createdTime: '2025-06-01T00:00:00Z', modifiedTime: '2025-06-02T00:00:00Z' }
+    ]);
+    
+    await listFilesHandler.handler(mockEvent);
+    
+    expect(formatResponse).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({
+        folders: [{ id: 'folder-1', name: 'NISA口座', createdAt: '2025-06-01T00:00:00Z', modifiedAt: '2025-06-02T00:00:00Z' }]
+      })
+    }));
+  });
+
+  test('正常系：サブフォルダを指定した場合はそのフォルダ内のファイルを返す', async () => {
+    await listFilesHandler.handler({
+      ...mockEvent,
+      queryStringParameters: { folder: 'NISA口座' }
+    });
+    
+    expect(listPortfolioFiles).toHaveBeenCalledWith(mockAccessToken, { folder: 'NISA口座' });
+    expect(listSubfolders).not.toHaveBeenCalled();
+    expect(formatResponse).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ folder: 'NISA口座', count: 2 })
+    }));
+  });
+
+  test('異常系：フォルダ名が不正な場合は400エラーを返す', async () => {
+    listPortfolioFiles.mockRejectedValueOnce(new Error('Invalid folder name'));
+    
+    await listFilesHandler.handler({
+      ...mockEvent,
+      queryStringParameters: { folder: 'PortfolioManagerBackups' }
+    });
+    
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({
+      statusCode: 400,
+      code: 'INVALID_PARAMS'
+    }));
+  });
+
   test('異常系：セッションが存在しない場合はエラーを返す', async () => {
     parseCookies.mockReturnValueOnce({});
     
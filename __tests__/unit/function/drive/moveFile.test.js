@@ -0,0 +1,92 @@
+/**
+ * ファイルパス: __tests__/unit/function/drive/moveFile.test.js
+ *
+ * Google Driveファイル移動ハンドラーのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-06
+ */
+
+const { handler } = require('../../../../src/function/drive/moveFile');
+const { moveFile, getOrCreateFolder, getOrCreateSubfolder } = require('../../../../src/services/googleDriveService');
+const { authenticateRequest } = require('../../../../src/utils/sessionAuth');
+const { formatResponse, formatErrorResponse } = require('../../../../src/utils/responseUtils');
+
+jest.mock('../../../../src/services/googleDriveService');
+jest.mock('../../../../src/utils/sessionAuth');
+jest.mock('../../../../src/utils/responseUtils');
+
+describe('Move file handler', () => {
+  const createEvent = (body) => ({
+    httpMethod: 'POST',
+    headers: { Cookie: 'session=session-123' },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    authenticateRequest.mockResolvedValue({
+      sessionId: 'session-123',
+      session: { googleId: 'user-1' },
+      accessToken: 'access-token'
+    });
+    moveFile.mockResolvedValue(true);
+    getOrCreateFolder.mockResolvedValue('main-folder-id');
+    getOrCreateSubfolder.mockResolvedValue('folder-nisa');
+    formatResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+    formatErrorResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('サブフォルダに移動する', async () => {
+    const response = await handler(createEvent({ fileId: 'file-123', folder: 'NISA口座' }));
+
+    expect(getOrCreateSubfolder).toHaveBeenCalledWith('access-token', 'NISA口座');
+    expect(moveFile).toHaveBeenCalledWith('file-123', 'folder-nisa', 'access-token');
+    expect(response.statusCode).toBe(200);
+    expect(formatResponse).toHaveBeenCalledWith(expect.objectContaining({
+      data: { fileId: 'file-123', folder: { id: 'folder-nisa', name: 'NISA口座' } }
+    }));
+  });
+
+  test('フォルダを省略した場合はデータフォルダ直下に戻す', async () => {
+    await handler(createEvent({ fileId: 'file-123' }));
+
+    expect(getOrCreateSubfolder).not.toHaveBeenCalled();
+    expect(moveFile).toHaveBeenCalledWith('file-123', 'main-folder-id', 'access-token');
+    expect(formatResponse).toHaveBeenCalledWith(expect.objectContaining({
+      data: { fileId: 'file-123', folder: { id: 'main-folder-id', name: null } }
+    }));
+  });
+
+  test('ファイルIDが無い場合は400エラーを返す', async () => {
+    const response = await handler(createEvent({ folder: 'NISA口座' }));
+
+    expect(response.statusCode).toBe(400);
+    expect(moveFile).not.toHaveBeenCalled();
+  });
+
+  test('フォルダ名が不正な場合は400エラーを返す', async () => {
+    getOrCreateSubfolder.mockRejectedValue(new Error('Invalid folder name'));
+
+    const response = await handler(createEvent({ fileId: 'file-123', folder: 'a/b' }));
+
+    expect(response.statusCode).toBe(400);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_PARAMS' }));
+    expect(moveFile).not.toHaveBeenCalled();
+  });
+
+  test('移動に失敗した場合は500エラーを返す', async () => {
+    moveFile.mockRejectedValue(new Error('Failed to move file in Google Drive'));
+
+    const response = await handler(createEvent({ fileId: 'file-123', folder: 'NISA口座' }));
+
+    expect(response.statusCode).toBe(500);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({ code: 'DRIVE_MOVE_ERROR' }));
+  });
+});
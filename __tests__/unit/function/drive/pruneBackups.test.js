@@ -0,0 +1,115 @@
+/**
+ * ファイルパス: __tests__/unit/function/drive/pruneBackups.test.js
+ *
+ * Google Driveバックアップ整理ハンドラーのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-04
+ */
+
+const { handler } = require('../../../../src/function/drive/pruneBackups');
+const { pruneBackups } = require('../../../../src/services/googleDriveService');
+const { authenticateRequest } = require('../../../../src/utils/sessionAuth');
+const { formatResponse, formatErrorResponse } = require('../../../../src/utils/responseUtils');
+
+jest.mock('../../../../src/services/googleDriveService');
+jest.mock('../../../../src/utils/sessionAuth');
+jest.mock('../../../../src/utils/responseUtils');
+
+describe('Prune backups handler', () => {
+  const mockResult = {
+    policy: { keepAllHours: 24, dailyDays: 30, monthlyMonths: 0 },
+    kept: 5,
+    pruned: [{ id: 'backup-1', name: 'portfolio.json.bak', createdTime: '2025-05-01T00:00:00Z', originalFileId: 'file-123' }],
+    failed: []
+  };
+
+  const createEvent = (body) => ({
+    httpMethod: 'POST',
+    headers: { Cookie: 'session=session-123' },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    authenticateRequest.mockResolvedValue({
+      sessionId: 'session-123',
+      session: { googleId: 'user-1' },
+      accessToken: 'access-token'
+    });
+    pruneBackups.mockResolvedValue(mockResult);
+    formatResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+    formatErrorResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('保持ポリシーに従ってバックアップを整理する', async () => {
+    const response = await handler(createEvent({ fileId: 'file-123' }));
+
+    expect(pruneBackups).toHaveBeenCalledWith('access-token', {
+      fileId: 'file-123',
+      policy: undefined,
+      dryRun: false
+    });
+    expect(response.statusCode).toBe(200);
+    expect(formatResponse).toHaveBeenCalledWith(expect.objectContaining({
+      data: { fileId: 'file-123', dryRun: false, ...mockResult },
+      message: '古いバックアップを削除しました (1件)'
+    }));
+  });
+
+  test('ポリシーの指定とdryRunに対応する', async () => {
+    await handler(createEvent({ policy: { dailyDays: 7 }, dryRun: true }));
+
+    expect(pruneBackups).toHaveBeenCalledWith('access-token', {
+      fileId: undefined,
+      policy: { dailyDays: 7 },
+      dryRun: true
+    });
+    expect(formatResponse).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ fileId: null, dryRun: true }),
+      message: '削除対象のバックアップ: 1件'
+    }));
+  });
+
+  test('認証エラーをそのまま返す', async () => {
+    authenticateRequest.mockResolvedValue({ error: { statusCode: 401, code: 'NO_SESSION', message: 'セッションが存在しません' } });
+
+    const response = await handler(createEvent({}));
+
+    expect(response.statusCode).toBe(401);
+    expect(pruneBackups).not.toHaveBeenCalled();
+  });
+
+  test('不正なJSONの場合は400エラーを返す', async () => {
+    const response = await handler(createEvent('{invalid'));
+
+    expect(response.statusCode).toBe(400);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_REQUEST_BODY' }));
+  });
+
+  test('不正なポリシーの場合は400エラーを返す', async () => {
+    const response = await handler(createEvent({ policy: { dailyDays: -1 } }));
+
+    expect(response.statusCode).toBe(400);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({
+      code: 'INVALID_PARAMS',
+      message: expect.stringContaining('dailyDays')
+    }));
+    expect(pruneBackups).not.toHaveBeenCalled();
+  });
+
+  test('サービスのエラーを500エラーとして返す', async () => {
+    pruneBackups.mockRejectedValue(new Error('Failed to list backup files from Google Drive'));
+
+    const response = await handler(createEvent({}));
+
+    expect(response.statusCode).toBe(500);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({ code: 'BACKUP_PRUNE_ERROR' }));
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * ファイルパス: __tests__/unit/function/drive/renameFile.test.js
+ *
+ * Google Driveファイル名変更ハンドラーのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-06
+ */
+
+const { handler } = require('../../../../src/function/drive/renameFile');
+const { renameFile } = require('../../../../src/services/googleDriveService');
+const { authenticateRequest } = require('../../../../src/utils/sessionAuth');
+const { formatResponse, formatErrorResponse } = require('../../../../src/utils/responseUtils');
+
+jest.mock('../../../../src/services/googleDriveService');
+jest.mock('../../../../src/utils/sessionAuth');
+jest.mock('../../../../src/utils/responseUtils');
+
+describe('Rename file handler', () => {
+  const createEvent = (body) => ({
+    httpMethod: 'POST',
+    headers: { Cookie: 'session=session-123' },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    authenticateRequest.mockResolvedValue({
+      sessionId: 'session-123',
+      session: { googleId: 'user-1' },
+      accessToken: 'access-token'
+    });
+    renameFile.mockResolvedValue({ id: 'file-123', name: 'NISA口座.json', modifiedTime: '2025-06-06T00:00:00Z' });
+    formatResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+    formatErrorResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('ファイル名を変更する', async () => {
+    const response = await handler(createEvent({ fileId: 'file-123', name: ' NISA口座.json ' }));
+
+    expect(renameFile).toHaveBeenCalledWith('file-123', 'NISA口座.json', 'access-token');
+    expect(response.statusCode).toBe(200);
+    expect(formatResponse).toHaveBeenCalledWith(expect.objectContaining({
+      data: { file: { id: 'file-123', name: 'NISA口座.json', modifiedAt: '2025-06-06T00:00:00Z' } }
+    }));
+  });
+
+  test.each([
+    [{ name: 'NISA口座.json' }, 'ファイルID'],
+    [{ fileId: 'file-123', name: '  ' }, 'ファイル名'],
+    [{ fileId: 'file-123', name: 'x'.repeat(256) }, 'ファイル名']
+  ])('パラメータが不正な場合は400エラーを返す: %#', async (body, message) => {
+    const response = await handler(createEvent(body));
+
+    expect(response.statusCode).toBe(400);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({
+      code: 'INVALID_PARAMS',
+      message: expect.stringContaining(message)
+    }));
+    expect(renameFile).not.toHaveBeenCalled();
+  });
+
+  test('変更に失敗した場合は500エラーを返す', async () => {
+    renameFile.mockRejectedValue(new Error('Failed to rename file in Google Drive'));
+
+    const response = await handler(createEvent({ fileId: 'file-123', name: 'NISA口座.json' }));
+
+    expect(response.statusCode).toBe(500);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({ code: 'DRIVE_RENAME_ERROR' }));
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * ファイルパス: __tests__/unit/function/drive/restoreFile.test.js
+ *
+ * Google Driveファイル復元ハンドラーのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-06
+ */
+
+const { handler } = require('../../../../src/function/drive/restoreFile');
+const { restoreFile } = require('../../../../src/services/googleDriveService');
+const { authenticateRequest } = require('../../../../src/utils/sessionAuth');
+const { formatResponse, formatErrorResponse } = require('../../../../src/utils/responseUtils');
+
+jest.mock('../../../../src/services/googleDriveService');
+jest.mock('../../../../src/utils/sessionAuth');
+jest.mock('../../../../src/utils/responseUtils');
+
+describe('Restore file handler', () => {
+  const createEvent = (body) => ({
+    httpMethod: 'POST',
+    headers: { Cookie: 'session=session-123' },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    authenticateRequest.mockResolvedValue({
+      sessionId: 'session-123',
+      session: { googleId: 'user-1' },
+      accessToken: 'access-token'
+    });
+    restoreFile.mockResolvedValue({ id: 'file-123', name: 'portfolio.json', modifiedTime: '2025-06-06T00:00:00Z' });
+    formatResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+    formatErrorResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('ゴミ箱からファイルを復元する', async () => {
+    const response = await handler(createEvent({ fileId: 'file-123' }));
+
+    expect(restoreFile).toHaveBeenCalledWith('file-123', 'access-token');
+    expect(response.statusCode).toBe(200);
+    expect(formatResponse).toHaveBeenCalledWith(expect.objectContaining({
+      data: { file: { id: 'file-123', name: 'portfolio.json', modifiedAt: '2025-06-06T00:00:00Z' } }
+    }));
+  });
+
+  test('不正なJSONの場合は400エラーを返す', async () => {
+    const response = await handler(createEvent('{invalid'));
+
+    expect(response.statusCode).toBe(400);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_REQUEST_BODY' }));
+  });
+
+  test('ファイルIDが無い場合は400エラーを返す', async () => {
+    const response = await handler(createEvent({}));
+
+    expect(response.statusCode).toBe(400);
+    expect(restoreFile).not.toHaveBeenCalled();
+  });
+
+  test('復元に失敗した場合は500エラーを返す', async () => {
+    restoreFile.mockRejectedValue(new Error('Failed to restore file in Google Drive'));
+
+    const response = await handler(createEvent({ fileId: 'file-123' }));
+
+    expect(response.statusCode).toBe(500);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({ code: 'DRIVE_RESTORE_ERROR' }));
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * ファイルパス: __tests__/unit/function/drive/restoreVersion.test.js
+ *
+ * Google Driveバージョン復元ハンドラーのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-03
+ */
+
+const { handler } = require('../../../../src/function/drive/restoreVersion');
+const { restorePortfolioVersion } = require('../../../../src/services/googleDriveService');
+const { authenticateRequest } = require('../../../../src/utils/sessionAuth');
+const { formatResponse, formatErrorResponse, formatOptionsResponse } = require('../../../../src/utils/responseUtils');
+
+jest.mock('../../../../src/services/googleDriveService');
+jest.mock('../../../../src/utils/sessionAuth');
+jest.mock('../../../../src/utils/responseUtils');
+
+describe('Restore version handler', () => {
+  const createEvent = (body) => ({
+    httpMethod: 'POST',
+    headers: { Cookie: 'session=session-123' },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    authenticateRequest.mockResolvedValue({
+      sessionId: 'session-123',
+      session: { googleId: 'user-1' },
+      accessToken: 'access-token'
+    });
+    restorePortfolioVersion.mockResolvedValue({
+      file: { id: 'file-123', name: 'portfolio.json', modifiedTime: '2025-06-03T00:00:00Z', revisionId: 'rev-3' },
+      backup: { id: 'backup-new', name: 'portfolio.json.2025-06-03.bak' },
+      restoredFrom: { id: 'backup-1', name: 'portfolio.json.2025-05-28.bak', createdTime: '2025-05-28T00:00:00Z' }
+    });
+    formatResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+    formatErrorResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+    formatOptionsResponse.mockReturnValue({ statusCode: 204 });
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('OPTIONSリクエストに応答する', async () => {
+    const response = await handler({ httpMethod: 'OPTIONS' });
+
+    expect(response.statusCode).toBe(204);
+  });
+
+  test('バックアップを復元して結果を返す', async () => {
+    const response = await handler(createEvent({ fileId: 'file-123', versionId: 'backup-1' }));
+
+    expect(restorePortfolioVersion).toHaveBeenCalledWith('file-123', 'backup-1', 'access-token');
+    expect(response.statusCode).toBe(200);
+    expect(formatResponse).toHaveBeenCalledWith(expect.objectContaining({
+      data: {
+        file: { id: 'file-123', name: 'portfolio.json', modifiedAt: '2025-06-03T00:00:00Z', revisionId: 'rev-3' },
+        restoredFrom: { id: 'backup-1', name: 'portfolio.json.2025-05-28.bak', createdAt: '2025-05-28T00:00:00Z' },
+        backup: { id: 'backup-new', name: 'portfolio.json.2025-06-03.bak' }
+      }
+    }));
+  });
+
+  test('認証エラーをそのまま返す', async () => {
+    authenticateRequest.mockResolvedValue({ error: { statusCode: 401, code: 'NO_SESSION', message: 'セッションが存在しません' } });
+
+    const response = await handler(createEvent({ fileId: 'file-123', versionId: 'backup-1' }));
+
+    expect(response.statusCode).toBe(401);
+    expect(restorePortfolioVersion).not.toHaveBeenCalled();
+  });
+
+  test('不正なJSONの場合は400エラーを返す', async () => {
+    const response = await handler(createEvent('{invalid'));
+
+    expect(response.statusCode).toBe(400);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_REQUEST_BODY' }));
+  });
+
+  test('ファイルIDまたはバージョンIDが無い場合は400エラーを返す', async () => {
+    const response = await handler(createEvent({ fileId: 'file-123' }));
+
+    expect(response.statusCode).toBe(400);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_PARAMS' }));
+    expect(restorePortfolioVersion).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['Version does not belong to the file', 400, 'INVALID_VERSION'],
+    ['Failed to get file metadata from Google Drive', 404, 'FILE_NOT_FOUND'],
+    ['Failed to create backup before restore', 500, 'VERSION_RESTORE_ERROR']
+  ])('サービスのエラーを変換する: %s', async (errorMessage, statusCode, code) => {
+    restorePortfolioVersion.mockRejectedValue(new Error(errorMessage));
+
+    const response = await handler(createEvent({ fileId: 'file-123', versionId: 'backup-1' }));
+
+    expect(response.statusCode).toBe(statusCode);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({ code }));
+  });
+});
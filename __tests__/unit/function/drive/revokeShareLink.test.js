@@ -0,0 +1,65 @@
+/**
+ * ファイルパス: __tests__/unit/function/drive/revokeShareLink.test.js
+ *
+ * 共有リンク取り消しハンドラーのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-05
+ */
+
+const { handler } = require('../../../../src/function/drive/revokeShareLink');
+const { revokeShareLink } = require('../../../../src/services/shareLinkService');
+const { authenticateRequest } = require('../../../../src/utils/sessionAuth');
+const { formatResponse, formatErrorResponse } = require('../../../../src/utils/responseUtils');
+
+jest.mock('../../../../src/services/shareLinkService');
+jest.mock('../../../../src/utils/sessionAuth');
+jest.mock('../../../../src/utils/responseUtils');
+
+describe('Revoke share link handler', () => {
+  const session = { googleId: 'user-1' };
+
+  const createEvent = (body) => ({
+    httpMethod: 'POST',
+    headers: { Cookie: 'session=session-123' },
+    body: JSON.stringify(body)
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    authenticateRequest.mockResolvedValue({ sessionId: 'session-123', session });
+    revokeShareLink.mockResolvedValue({ linkId: 'link-1', fileId: 'file-123' });
+    formatResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+    formatErrorResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('共有リンクを取り消す', async () => {
+    const response = await handler(createEvent({ linkId: 'link-1' }));
+
+    expect(authenticateRequest).toHaveBeenCalledWith(expect.any(Object), { scope: 'drive:write' });
+    expect(revokeShareLink).toHaveBeenCalledWith(session, 'link-1');
+    expect(response.statusCode).toBe(200);
+  });
+
+  test('リンクIDが無い場合は400エラーを返す', async () => {
+    const response = await handler(createEvent({}));
+
+    expect(response.statusCode).toBe(400);
+    expect(revokeShareLink).not.toHaveBeenCalled();
+  });
+
+  test('リンクが見つからない場合は404エラーを返す', async () => {
+    revokeShareLink.mockRejectedValue(new Error('Share link not found'));
+
+    const response = await handler(createEvent({ linkId: 'link-1' }));
+
+    expect(response.statusCode).toBe(404);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({ code: 'SHARE_LINK_NOT_FOUND' }));
+  });
+});
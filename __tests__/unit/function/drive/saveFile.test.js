@@ -14,12 +14,14 @@ const saveFileHandler = require('../../../../src/function/drive/saveFile');
 // 依存モジュールのインポート
 const { getSession, refreshSessionToken } = require('../../../../src/services/googleAuthService');
 const { savePortfolioToDrive } = require('../../../../src/services/googleDriveService');
+const { prepareConcurrentSave } = require('../../../../src/services/portfolioMergeService');
 const { formatResponse, formatErrorResponse } = require('../../../../src/utils/responseUtils');
 const { parseCookies } = require('../../../../src/utils/cookieParser');
 
 // モックの設定
 jest.mock('../../../../src/services/googleAuthService');
 jest.mock('../../../../src/services/googleDriveService');
+jest.mock('../../../../src/services/portfolioMergeService');
 jest.mock('../../../../src/utils/responseUtils');
 jest.mock('../../../../src/utils/cookieParser');
 
@@ -227,6 +229,111 @@ describe('SaveFileHandler', () => {
     });
   });
   
+  describe('楽観的排他制御', () => {
+    const createEvent = (body) => ({
+      headers: {
+        Cookie: `session=${mockSessionId}`
+      },
+      body: JSON.stringify({
+        portfolioData: mockPortfolioData,
+        fileId: mockFileId,
+        ...body
+      })
+    });
+    
+    test('正常系：バージョンの指定が無い場合は確認せずに保存する', async () => {
+      await saveFileHandler.handler(createEvent({}));
+      
+      expect(prepareConcurrentSave).not.toHaveBeenCalled();
+      expect(savePortfolioToDrive).toHaveBeenCalled();
+    });
+    
+    test('正常系：更新されていない場合はそのまま保存する', async () => {
+      prepareConcurrentSave.mockResolvedValue({ conflict: false, merged: false, portfolio: mockPortfolioData });
+      
+      await saveFileHandler.handler(createEvent({ expectedModifiedTime: '2025-05-20T00:00:00Z' }));
+      
+      expect(prepareConcurrentSave).toHaveBeenCalledWith(mockAccessToken, mockFileId, mockPortfolioData, {
+        expectedModifiedTime: '2025-05-20T00:00:00Z',
+        expectedRevisionId: undefined,
+        merge: false
+      });
+      expect(savePortfolioToDrive).toHaveBeenCalledWith(
+        mockAccessToken,
+        expect.objectContaining({ name: 'Test Portfolio' }),
+        mockFileId,
+        true
+      );
+      expect(formatResponse).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'ポートフォリオデータをGoogle Driveに保存しました'
+      }));
+    });
+    
+    test('正常系：マージした場合はマージ後のデータを保存して返す', async () => {
+      const mergedPortfolio = { ...mockPortfolioData, holdings: [{ symbol: 'MSFT', shares: 1, cost: 400 }] };
+      prepareConcurrentSave.mockResolvedValue({ conflict: false, merged: true, portfolio: mergedPortfolio });
+      
+      await saveFileHandler.handler(createEvent({ expectedRevisionId: 'rev-1', merge: true }));
+      
+      expect(prepareConcurrentSave.mock.calls[0][3]).toEqual(expect.objectContaining({
+        expectedRevisionId: 'rev-1',
+        merge: true
+      }));
+      expect(savePortfolioToDrive).toHaveBeenCalledWith(
+        mockAccessToken,
+        expect.objectContaining({ holdings: mergedPortfolio.holdings }),
+        mockFileId,
+        true
+      );
+      expect(formatResponse).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({
+          merged: true,
+          portfolioData: expect.objectContaining({ holdings: mergedPortfolio.holdings })
+        }),
+        message: '他の画面での変更とマージしてGoogle Driveに保存しました'
+      }));
+    });
+    
+    test('異常系：更新されていた場合は両方のバージョンを含む409エラーを返す', async () => {
+      const current = { modifiedTime: '2025-05-21T00:00:00Z', revisionId: 'rev-2', data: { name: 'Current' } };
+      prepareConcurrentSave.mockResolvedValue({ conflict: true, reason: 'MODIFIED', current, conflicts: [] });
+      
+      const result = await saveFileHandler.handler(createEvent({ expectedRevisionId: 'rev-1' }));
+      
+      expect(savePortfolioToDrive).not.toHaveBeenCalled();
+      expect(result.statusCode).toBe(409);
+      expect(formatErrorResponse).toHaveBeenCalledWith({
+        statusCode: 409,
+        code: 'VERSION_CONFLICT',
+        message: 'ファイルが他の画面で更新されています',
+        details: {
+          reason: 'MODIFIED',
+          current,
+          submitted: {
+            expectedModifiedTime: null,
+            expectedRevisionId: 'rev-1',
+            data: mockPortfolioData
+          },
+          conflicts: []
+        },
+        includeDetails: true
+      });
+    });
+    
+    test('異常系：マージで競合した場合は競合した項目を返す', async () => {
+      const conflicts = [{ field: 'name', base: 'A', current: 'B', submitted: 'C' }];
+      prepareConcurrentSave.mockResolvedValue({ conflict: true, reason: 'MERGE_CONFLICT', current: {}, conflicts });
+      
+      const result = await saveFileHandler.handler(createEvent({ expectedRevisionId: 'rev-1', merge: true }));
+      
+      expect(result.statusCode).toBe(409);
+      expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({
+        message: '同じ項目が他の画面で更新されているため、自動でマージできません',
+        details: expect.objectContaining({ reason: 'MERGE_CONFLICT', conflicts })
+      }));
+    });
+  });
+  
   describe('エラー処理', () => {
     test('異常系：セッションがない場合はエラーを返す', async () => {
       // セッションなしのモック
@@ -338,6 +445,118 @@ describe('SaveFileHandler', () => {
       }));
     });
     
+    test('異常系：CSRFトークンが無い場合は FORBIDDEN を返す', async () => {
+      getSession.mockResolvedValue({ ...mockSession, csrfToken: 'csrf-abc' });
+      
+      const mockEvent = {
+        httpMethod: 'POST',
+        headers: {
+          Cookie: `session=${mockSessionId}`
+        },
+        body: JSON.stringify({
+          portfolioData: mockPortfolioData
+        })
+      };
+      
+      await saveFileHandler.handler(mockEvent);
+      
+      expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({
+        statusCode: 403,
+        code: 'FORBIDDEN'
+      }));
+      expect(savePortfolioToDrive).not.toHaveBeenCalled();
+    });
+    
+    test('正常系：CSRFトークンが一致する場合は保存する', async () => {
+      getSession.mockResolvedValue({ ...mockSession, csrfToken: 'csrf-abc' });
+      parseCookies.mockReturnValue({ session: mockSessionId, csrf_token: 'csrf-abc' });
+      
+      const mockEvent = {
+        httpMethod: 'POST',
+        headers: {
+          Cookie: `session=${mockSessionId}; csrf_token=csrf-abc`,
+          'X-CSRF-Token': 'csrf-abc'
+        },
+        body: JSON.stringify({
+          portfolioData: mockPortfolioData
+        })
+      };
+      
+      await saveFileHandler.handler(mockEvent);
+      
+      expect(savePortfolioToDrive).toHaveBeenCalled();
+    });
+    
+    test('異常系：スキーマに合わないデータは項目ごとのエラー内容とともに拒否する', async () => {
+      const mockEvent = {
+        headers: {
+          Cookie: `session=${mockSessionId}`
+        },
+        body: JSON.stringify({
+          portfolioData: {
+            name: 'Invalid Portfolio',
+            holdings: [
+              { symbol: 'AAPL', shares: '10', cost: 150.0, unknownField: true }
+            ]
+          }
+        })
+      };
+      
+      await saveFileHandler.handler(mockEvent);
+      
+      expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({
+        statusCode: 400,
+        code: 'SCHEMA_VALIDATION_ERROR',
+        details: expect.arrayContaining([
+          expect.objectContaining({ field: 'holdings.0.shares', type: 'number.base' }),
+          expect.objectContaining({ field: 'holdings.0.unknownField', type: 'object.unknown' })
+        ]),
+        includeDetails: true
+      }));
+      expect(refreshSessionToken).not.toHaveBeenCalled();
+      expect(savePortfolioToDrive).not.toHaveBeenCalled();
+    });
+    
+    test('異常系：対応していないスキーマバージョンは拒否する', async () => {
+      const mockEvent = {
+        headers: {
+          Cookie: `session=${mockSessionId}`
+        },
+        body: JSON.stringify({
+          portfolioData: { ...mockPortfolioData, schemaVersion: 99 }
+        })
+      };
+      
+      await saveFileHandler.handler(mockEvent);
+      
+      expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({
+        statusCode: 400,
+        code: 'SCHEMA_VALIDATION_ERROR',
+        details: [expect.objectContaining({ field: 'schemaVersion' })]
+      }));
+      expect(savePortfolioToDrive).not.toHaveBeenCalled();
+    });
+    
+    test('正常系：保存するデータに現在のスキーマバージョンを設定する', async () => {
+      const mockEvent = {
+        headers: {
+          Cookie: `session=${mockSessionId}`
+        },
+        body: JSON.stringify({
+          portfolioData: mockPortfolioData
+        })
+      };
+      
+      await saveFileHandler.handler(mockEvent);
+      
+      expect(savePortfolioToDrive).toHaveBeenCalledWith(
+        mockAccessToken,
+        expect.objectContaining({ schemaVersion: 1 }),
+        null,
+        true
+      );
+    });
+    
     test('異常系：トークン更新に失敗した場合はエラーを返す', async () => {
       // トークン更新失敗のモック
       const tokenError = new Error('Token refresh failed');
@@ -0,0 +1,88 @@
+/**
+ * ファイルパス: __tests__/unit/function/drive/shareFile.test.js
+ *
+ * Google Drive共有ハンドラーのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-05
+ */
+
+const { handler } = require('../../../../src/function/drive/shareFile');
+const { shareFile } = require('../../../../src/services/googleDriveService');
+const { authenticateRequest } = require('../../../../src/utils/sessionAuth');
+const { formatResponse, formatErrorResponse } = require('../../../../src/utils/responseUtils');
+
+jest.mock('../../../../src/services/googleDriveService');
+jest.mock('../../../../src/utils/sessionAuth');
+jest.mock('../../../../src/utils/responseUtils');
+
+describe('Share file handler', () => {
+  const createEvent = (body) => ({
+    httpMethod: 'POST',
+    headers: { Cookie: 'session=session-123' },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    authenticateRequest.mockResolvedValue({
+      sessionId: 'session-123',
+      session: { googleId: 'user-1' },
+      accessToken: 'access-token'
+    });
+    shareFile.mockResolvedValue({ id: 'perm-1', type: 'user', role: 'reader', emailAddress: 'adviser@example.com' });
+    formatResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+    formatErrorResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('指定したユーザーに閲覧権限を付与する', async () => {
+    const response = await handler(createEvent({ fileId: 'file-123', email: ' adviser@example.com ', notify: true }));
+
+    expect(shareFile).toHaveBeenCalledWith('file-123', 'adviser@example.com', 'access-token', {
+      notify: true,
+      message: undefined
+    });
+    expect(response.statusCode).toBe(200);
+    expect(formatResponse).toHaveBeenCalledWith(expect.objectContaining({
+      data: { fileId: 'file-123', permission: expect.objectContaining({ id: 'perm-1' }) }
+    }));
+  });
+
+  test.each([
+    [{ email: 'adviser@example.com' }, 'ファイルID'],
+    [{ fileId: 'file-123' }, 'メールアドレス'],
+    [{ fileId: 'file-123', email: 'not-an-email' }, 'メールアドレス']
+  ])('パラメータが不正な場合は400エラーを返す: %j', async (body, message) => {
+    const response = await handler(createEvent(body));
+
+    expect(response.statusCode).toBe(400);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({
+      code: 'INVALID_PARAMS',
+      message: expect.stringContaining(message)
+    }));
+    expect(shareFile).not.toHaveBeenCalled();
+  });
+
+  test('認証エラーをそのまま返す', async () => {
+    authenticateRequest.mockResolvedValue({ error: { statusCode: 401, code: 'NO_SESSION', message: 'セッションが存在しません' } });
+
+    const response = await handler(createEvent({ fileId: 'file-123', email: 'adviser@example.com' }));
+
+    expect(response.statusCode).toBe(401);
+  });
+
+  test('共有に失敗した場合は500エラーを返す', async () => {
+    shareFile.mockRejectedValue(new Error('Failed to share file on Google Drive'));
+
+    const response = await handler(createEvent({ fileId: 'file-123', email: 'adviser@example.com' }));
+
+    expect(response.statusCode).toBe(500);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({ code: 'SHARE_ERROR' }));
+  });
+});
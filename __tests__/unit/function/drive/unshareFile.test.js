@@ -0,0 +1,75 @@
+/**
+ * ファイルパス: __tests__/unit/function/drive/unshareFile.test.js
+ *
+ * Google Drive共有解除ハンドラーのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-05
+ */
+
+const { handler } = require('../../../../src/function/drive/unshareFile');
+const { unshareFile } = require('../../../../src/services/googleDriveService');
+const { authenticateRequest } = require('../../../../src/utils/sessionAuth');
+const { formatResponse, formatErrorResponse } = require('../../../../src/utils/responseUtils');
+
+jest.mock('../../../../src/services/googleDriveService');
+jest.mock('../../../../src/utils/sessionAuth');
+jest.mock('../../../../src/utils/responseUtils');
+
+describe('Unshare file handler', () => {
+  const createEvent = (body) => ({
+    httpMethod: 'POST',
+    headers: { Cookie: 'session=session-123' },
+    body: JSON.stringify(body)
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    authenticateRequest.mockResolvedValue({
+      sessionId: 'session-123',
+      session: { googleId: 'user-1' },
+      accessToken: 'access-token'
+    });
+    unshareFile.mockResolvedValue({ id: 'perm-1', role: 'reader', emailAddress: 'adviser@example.com' });
+    formatResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+    formatErrorResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('メールアドレスを指定して共有を解除する', async () => {
+    const response = await handler(createEvent({ fileId: 'file-123', email: 'adviser@example.com' }));
+
+    expect(unshareFile).toHaveBeenCalledWith('file-123', {
+      emailAddress: 'adviser@example.com',
+      permissionId: undefined
+    }, 'access-token');
+    expect(response.statusCode).toBe(200);
+  });
+
+  test('共有相手の指定が無い場合は400エラーを返す', async () => {
+    const response = await handler(createEvent({ fileId: 'file-123' }));
+
+    expect(response.statusCode).toBe(400);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_PARAMS' }));
+    expect(unshareFile).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['Share not found for the user', 404, 'SHARE_NOT_FOUND'],
+    ['Cannot remove the file owner', 400, 'INVALID_PARAMS'],
+    ['Failed to list file permissions from Google Drive', 404, 'FILE_NOT_FOUND'],
+    ['Failed to unshare file on Google Drive', 500, 'UNSHARE_ERROR']
+  ])('サービスのエラーを変換する: %s', async (errorMessage, statusCode, code) => {
+    unshareFile.mockRejectedValue(new Error(errorMessage));
+
+    const response = await handler(createEvent({ fileId: 'file-123', permissionId: 'perm-1' }));
+
+    expect(response.statusCode).toBe(statusCode);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({ code }));
+  });
+});
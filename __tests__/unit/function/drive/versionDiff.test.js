@@ -0,0 +1,101 @@
+/**
+ * ファイルパス: __tests__/unit/function/drive/versionDiff.test.js
+ *
+ * Google Driveバージョン差分ハンドラーのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-03
+ */
+
+const { handler } = require('../../../../src/function/drive/versionDiff');
+const { diffPortfolioVersions } = require('../../../../src/services/portfolioDiffService');
+const { authenticateRequest } = require('../../../../src/utils/sessionAuth');
+const { formatResponse, formatErrorResponse } = require('../../../../src/utils/responseUtils');
+
+jest.mock('../../../../src/services/portfolioDiffService');
+jest.mock('../../../../src/utils/sessionAuth');
+jest.mock('../../../../src/utils/responseUtils');
+
+describe('Version diff handler', () => {
+  const mockDiff = {
+    from: { id: 'backup-1', isCurrent: false },
+    to: { id: 'current', isCurrent: true },
+    holdings: { added: [], removed: [], changed: [{ symbol: 'AAPL' }] },
+    summary: { added: 0, removed: 0, changed: 1, unchanged: 2 }
+  };
+
+  const createEvent = (queryStringParameters) => ({
+    httpMethod: 'GET',
+    headers: { Cookie: 'session=session-123' },
+    queryStringParameters
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    authenticateRequest.mockResolvedValue({
+      sessionId: 'session-123',
+      session: { googleId: 'user-1' },
+      accessToken: 'access-token'
+    });
+    diffPortfolioVersions.mockResolvedValue(mockDiff);
+    formatResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+    formatErrorResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('指定したバージョン間の差分を返す', async () => {
+    const response = await handler(createEvent({ fileId: 'file-123', from: 'backup-1', to: 'backup-2' }));
+
+    expect(diffPortfolioVersions).toHaveBeenCalledWith('access-token', 'file-123', {
+      from: 'backup-1',
+      to: 'backup-2',
+      since: undefined
+    });
+    expect(response.statusCode).toBe(200);
+    expect(formatResponse).toHaveBeenCalledWith(expect.objectContaining({
+      data: { fileId: 'file-123', ...mockDiff },
+      message: expect.stringContaining('変更1件')
+    }));
+  });
+
+  test('日時を指定して差分を返す', async () => {
+    await handler(createEvent({ fileId: 'file-123', since: '2025-05-27' }));
+
+    expect(diffPortfolioVersions).toHaveBeenCalledWith('access-token', 'file-123', expect.objectContaining({
+      since: '2025-05-27'
+    }));
+  });
+
+  test.each([
+    [{}, 'ファイルID'],
+    [{ fileId: 'file-123' }, '比較元'],
+    [{ fileId: 'file-123', since: 'last-week' }, '無効な日時']
+  ])('パラメータが不正な場合は400エラーを返す: %j', async (query, message) => {
+    const response = await handler(createEvent(query));
+
+    expect(response.statusCode).toBe(400);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({
+      code: 'INVALID_PARAMS',
+      message: expect.stringContaining(message)
+    }));
+    expect(diffPortfolioVersions).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['Version does not belong to the file', 400, 'INVALID_VERSION'],
+    ['Invalid portfolio data format', 400, 'INVALID_DATA_FORMAT'],
+    ['Failed to get file with metadata from Google Drive', 500, 'VERSION_DIFF_ERROR']
+  ])('サービスのエラーを変換する: %s', async (errorMessage, statusCode, code) => {
+    diffPortfolioVersions.mockRejectedValue(new Error(errorMessage));
+
+    const response = await handler(createEvent({ fileId: 'file-123', from: 'backup-1' }));
+
+    expect(response.statusCode).toBe(statusCode);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({ code }));
+  });
+});
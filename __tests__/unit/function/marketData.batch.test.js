@@ -0,0 +1,315 @@
+/**
+ * ファイルパス: __tests__/unit/function/marketData.batch.test.js
+ *
+ * バッチ取得ハンドラー（combinedDataHandler）のユニットテスト
+ * データタイプ別のシンボルリスト、銘柄ごとの結果、使用量カウントを検証
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-27
+ */
+
+const marketData = require('../../../src/function/marketData');
+const enhancedService = require('../../../src/services/sources/enhancedMarketDataService');
+const usageService = require('../../../src/services/usage');
+const budgetCheck = require('../../../src/utils/budgetCheck');
+const { ERROR_CODES } = require('../../../src/config/constants');
+
+jest.mock('../../../src/services/sources/enhancedMarketDataService');
+jest.mock('../../../src/services/fallbackDataStore');
+jest.mock('../../../src/services/usage');
+jest.mock('../../../src/services/alerts');
+jest.mock('../../../src/utils/budgetCheck');
+jest.mock('../../../src/utils/logger');
+
+const mockUsage = {
+  daily: { count: 10, limit: 5000 },
+  monthly: { count: 100, limit: 100000 }
+};
+
+const parseBody = (response) => JSON.parse(response.body);
+
+describe('combinedDataHandler (POST /api/market-data/batch)', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    usageService.checkAndUpdateUsage.mockResolvedValue({ allowed: true, usage: mockUsage });
+    budgetCheck.isBudgetCritical.mockResolvedValue(false);
+    budgetCheck.addBudgetWarningToResponse.mockImplementation(async response => response);
+  });
+
+  test('データタイプ別のシンボルリストを銘柄ごとの結果として返す', async () => {
+    const response = await marketData.combinedDataHandler({
+      httpMethod: 'POST',
+      body: JSON.stringify({
+        'us-stock': ['AAPL'],
+        'jp-stock': ['7203'],
+        'mutual-fund': ['0131103C'],
+        'exchange-rate': ['USD-JPY', 'INVALID']
+      })
+    });
+
+    expect(response.statusCode).toBe(200);
+    const body = parseBody(response);
+
+    expect(body.data.results['us-stock'].AAPL).toEqual({
+      success: true,
+      data: expect.objectContaining({ ticker: 'AAPL', currency: 'USD' })
+    });
+    expect(body.data.results['jp-stock']['7203'].success).toBe(true);
+    expect(body.data.results['mutual-fund']['0131103C'].success).toBe(true);
+    expect(body.data.results['exchange-rate']['USD-JPY'].data.rate).toBe(149.82);
+
+    // 要求していない通貨ペアは含まれず、取得できなかったペアは失敗として返す
+    expect(Object.keys(body.data.results['exchange-rate'])).toEqual(['USD-JPY', 'INVALID']);
+    expect(body.data.results['exchange-rate'].INVALID).toEqual({
+      success: false,
+      error: {
+        code: ERROR_CODES.SYMBOL_NOT_FOUND,
+        message: 'No data returned for symbol'
+      }
+    });
+
+    expect(body.data.summary).toEqual({ requested: 5, succeeded: 4, failed: 1 });
+    expect(body.usage.daily.count).toBe(10);
+  });
+
+  test('バッチ全体で使用量を1回だけカウントする', async () => {
+    await marketData.combinedDataHandler({
+      httpMethod: 'POST',
+      headers: { 'X-Forwarded-For': '192.0.2.1', 'User-Agent': 'jest' },
+      body: JSON.stringify({ 'us-stock': ['AAPL', 'MSFT'], 'jp-stock': ['7203'] })
+    });
+
+    expect(usageService.checkAndUpdateUsage).toHaveBeenCalledTimes(1);
+    expect(usageService.checkAndUpdateUsage).toHaveBeenCalledWith(expect.objectContaining({
+      dataType: 'batch',
+      ip: '192.0.2.1',
+      userAgent: 'jest'
+    }));
+  });
+
+  test('旧形式のボディも受け付ける', async () => {
+    const response = await marketData.combinedDataHandler({
+      httpMethod: 'POST',
+      body: JSON.stringify({
+        stocks: { us: ['AAPL'], jp: ['7203'] },
+        rates: ['USD-JPY'],
+        mutualFunds: ['0131103C']
+      })
+    });
+
+    const body = parseBody(response);
+    expect(Object.keys(body.data.results).sort()).toEqual(
+      ['exchange-rate', 'jp-stock', 'mutual-fund', 'us-stock']
+    );
+    expect(body.data.summary.succeeded).toBe(4);
+  });
+
+  test('使用量制限を超えた場合は429を返す', async () => {
+    usageService.checkAndUpdateUsage.mockResolvedValue({ allowed: false, usage: mockUsage });
+
+    const response = await marketData.combinedDataHandler({
+      httpMethod: 'POST',
+      body: JSON.stringify({ 'us-stock': ['AAPL'] })
+    });
+
+    expect(response.statusCode).toBe(429);
+    expect(parseBody(response).error.code).toBe(ERROR_CODES.RATE_LIMIT_EXCEEDED);
+  });
+
+  test('クライアントごとの上限を超えた場合は期間の残り秒数をRetry-Afterで返す', async () => {
+    usageService.checkAndUpdateUsage.mockResolvedValue({
+      allowed: false,
+      usage: { ...mockUsage, clients: { ip: { count: 1001, limit: 1000, percentage: 100 } } },
+      limitedBy: 'ip',
+      retryAfter: 21600
+    });
+
+    const response = await marketData.combinedDataHandler({
+      httpMethod: 'POST',
+      requestContext: { identity: { sourceIp: '203.0.113.5' } },
+      headers: { 'X-Forwarded-For': '192.0.2.1' },
+      body: JSON.stringify({ 'us-stock': ['AAPL'] })
+    });
+
+    expect(response.statusCode).toBe(429);
+    expect(response.headers['Retry-After']).toBe('21600');
+    expect(parseBody(response).error.message).toContain('for this ip. Daily limit: 1000');
+    // 偽装できるX-Forwarded-ForよりAPI GatewayのIPアドレスを優先する
+    expect(usageService.checkAndUpdateUsage).toHaveBeenCalledWith(expect.objectContaining({ ip: '203.0.113.5' }));
+  });
+
+  test('不正なデータタイプや空のリクエストは400を返す', async () => {
+    const invalidType = await marketData.combinedDataHandler({
+      httpMethod: 'POST',
+      body: JSON.stringify({ 'crypto-coin': ['BTC'] })
+    });
+    expect(invalidType.statusCode).toBe(400);
+    expect(parseBody(invalidType).error.message).toContain('Invalid type: crypto-coin');
+
+    const empty = await marketData.combinedDataHandler({ httpMethod: 'POST', body: '{}' });
+    expect(empty.statusCode).toBe(400);
+    expect(parseBody(empty).error.message).toContain('At least one symbol must be specified');
+
+    expect(usageService.checkAndUpdateUsage).not.toHaveBeenCalled();
+  });
+
+  test('不正なJSONは400を返す', async () => {
+    const response = await marketData.combinedDataHandler({ httpMethod: 'POST', body: '{invalid' });
+    expect(response.statusCode).toBe(400);
+    expect(parseBody(response).error.code).toBe(ERROR_CODES.INVALID_JSON);
+  });
+
+  test('データソースのエラーは銘柄ごとの失敗として返す', async () => {
+    // テストデータではなく実際の取得処理を通すため、一時的にテスト環境判定を外す
+    process.env.NODE_ENV = 'production';
+    enhancedService.getUsStocksData.mockResolvedValue({
+      AAPL: { ticker: 'AAPL', price: 180.95, currency: 'USD' },
+      MSFT: { ticker: 'MSFT', error: 'API down' }
+    });
+
+    try {
+      const response = await marketData.combinedDataHandler({
+        httpMethod: 'POST',
+        body: JSON.stringify({ 'us-stock': ['AAPL', 'MSFT'] })
+      });
+      const body = parseBody(response);
+
+      expect(enhancedService.getUsStocksData).toHaveBeenCalledWith(['AAPL', 'MSFT'], false);
+      expect(body.data.results['us-stock'].AAPL.success).toBe(true);
+      expect(body.data.results['us-stock'].MSFT).toEqual({
+        success: false,
+        error: { code: ERROR_CODES.DATA_SOURCE_ERROR, message: 'API down' }
+      });
+      expect(body.data.summary).toEqual({ requested: 2, succeeded: 1, failed: 1 });
+    } finally {
+      process.env.NODE_ENV = 'test';
+    }
+  });
+
+  test('データソースが例外を投げた場合のダミーデータは失敗として返す', async () => {
+    process.env.NODE_ENV = 'production';
+    enhancedService.getUsStocksData.mockRejectedValue(new Error('Provider unavailable'));
+    enhancedService.getJpStocksData.mockResolvedValue({
+      7203: { ticker: '7203', price: 2500, currency: 'JPY', source: 'Default Fallback', isDefault: true }
+    });
+
+    try {
+      const response = await marketData.combinedDataHandler({
+        httpMethod: 'POST',
+        body: JSON.stringify({ 'us-stock': ['AAPL'], 'jp-stock': ['7203'] })
+      });
+      const body = parseBody(response);
+
+      expect(response.statusCode).toBe(200);
+      expect(body.data.results['us-stock'].AAPL).toEqual({
+        success: false,
+        error: { code: ERROR_CODES.DATA_SOURCE_ERROR, message: 'All data sources failed for symbol' }
+      });
+      expect(body.data.results['jp-stock']['7203'].success).toBe(false);
+      expect(body.data.results['jp-stock']['7203'].error.code).toBe(ERROR_CODES.DATA_SOURCE_ERROR);
+      expect(body.data.summary).toEqual({ requested: 2, succeeded: 0, failed: 2 });
+    } finally {
+      process.env.NODE_ENV = 'test';
+    }
+  });
+
+  test('ETFのリストは強化版サービスのETF取得を使用する', async () => {
+    process.env.NODE_ENV = 'production';
+    enhancedService.getEtfsData.mockResolvedValue({
+      VTI: { ticker: 'VTI', price: 250.5, currency: 'USD', isEtf: true, nav: 250, premiumDiscount: 0.2 },
+      '1306': { ticker: '1306', price: 2850, currency: 'JPY', isEtf: true, nav: null, premiumDiscount: null }
+    });
+
+    try {
+      const response = await marketData.combinedDataHandler({
+        httpMethod: 'POST',
+        body: JSON.stringify({ etf: ['VTI', '1306'] })
+      });
+      const body = parseBody(response);
+
+      expect(enhancedService.getEtfsData).toHaveBeenCalledWith(['VTI', '1306'], false);
+      expect(body.data.results.etf.VTI.data).toEqual(expect.objectContaining({ nav: 250, premiumDiscount: 0.2 }));
+      expect(body.data.results.etf['1306'].data.currency).toBe('JPY');
+      expect(body.data.summary).toEqual({ requested: 2, succeeded: 2, failed: 0 });
+    } finally {
+      process.env.NODE_ENV = 'test';
+    }
+  });
+
+  test('暗号資産のリストは指定した建値通貨でまとめて取得する', async () => {
+    process.env.NODE_ENV = 'production';
+    enhancedService.getCryptosData.mockResolvedValue({
+      BTC: { ticker: 'BTC', price: 10000000, currency: 'JPY', isCrypto: true },
+      ETH: { ticker: 'ETH', price: 500000, currency: 'JPY', isCrypto: true }
+    });
+
+    try {
+      const response = await marketData.combinedDataHandler({
+        httpMethod: 'POST',
+        body: JSON.stringify({ crypto: ['BTC', 'ETH'], currency: 'JPY' })
+      });
+      const body = parseBody(response);
+
+      expect(enhancedService.getCryptosData).toHaveBeenCalledWith(['BTC', 'ETH'], 'JPY', false);
+      expect(body.data.results.crypto.BTC.data).toEqual(expect.objectContaining({ price: 10000000, currency: 'JPY' }));
+      expect(body.data.summary).toEqual({ requested: 2, succeeded: 2, failed: 0 });
+    } finally {
+      process.env.NODE_ENV = 'test';
+    }
+  });
+
+  test('対応していない建値通貨は400を返す', async () => {
+    const response = await marketData.combinedDataHandler({
+      httpMethod: 'POST',
+      body: JSON.stringify({ crypto: ['BTC'], currency: 'EUR' })
+    });
+
+    expect(response.statusCode).toBe(400);
+    expect(enhancedService.getCryptosData).not.toHaveBeenCalled();
+  });
+
+  test('市場指数のリストは指数の識別子で取得する', async () => {
+    process.env.NODE_ENV = 'production';
+    enhancedService.getIndicesData.mockResolvedValue({
+      N225: { ticker: 'N225', name: '日経平均株価', price: 38500, currency: 'JPY', isIndex: true },
+      SPX: { ticker: 'SPX', name: 'S&P 500', price: 5400, currency: 'USD', isIndex: true }
+    });
+
+    try {
+      const response = await marketData.combinedDataHandler({
+        httpMethod: 'POST',
+        body: JSON.stringify({ index: ['N225', 'SPX'] })
+      });
+      const body = parseBody(response);
+
+      expect(enhancedService.getIndicesData).toHaveBeenCalledWith(['N225', 'SPX'], false);
+      expect(body.data.results.index.N225.data).toEqual(expect.objectContaining({ price: 38500, isIndex: true }));
+      expect(body.data.summary).toEqual({ requested: 2, succeeded: 2, failed: 0 });
+    } finally {
+      process.env.NODE_ENV = 'test';
+    }
+  });
+
+  test('対応していない指数は400を返す', async () => {
+    const response = await marketData.combinedDataHandler({
+      httpMethod: 'POST',
+      body: JSON.stringify({ index: ['FTSE'] })
+    });
+
+    expect(response.statusCode).toBe(400);
+    expect(parseBody(response).error.message).toContain('Invalid index: FTSE');
+  });
+
+  test('POST以外のメソッドは405を返す', async () => {
+    const response = await marketData.combinedDataHandler({ httpMethod: 'GET' });
+    expect(response.statusCode).toBe(405);
+    expect(response.headers.Allow).toBe('POST');
+  });
+
+  test('銘柄数の上限を超えた場合は400を返す', () => {
+    const symbols = Array.from({ length: 101 }, (_, i) => `SYM${i}`);
+    const result = marketData.validateBatchParams({ 'us-stock': symbols });
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toContain('Too many symbols. Maximum 100 symbols allowed');
+  });
+});
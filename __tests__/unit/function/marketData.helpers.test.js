@@ -48,6 +48,122 @@ describe('marketData helper functions', () => {
       expect(result.errors).toContain('Missing required parameter for exchange rate: base');
       expect(result.errors).toContain('Missing required parameter for exchange rate: target');
     });
+
+    test('returns error when format is not supported', () => {
+      const result = marketData.validateParams({ type: 'us-stock', symbols: 'AAPL', format: 'xml' });
+      expect(result.isValid).toBe(false);
+      expect(result.errors[0]).toMatch('Invalid format: xml');
+      expect(marketData.validateParams({ type: 'us-stock', symbols: 'AAPL', format: 'CSV' }).isValid).toBe(true);
+    });
+
+    test('history mode accepts valid range and interval', () => {
+      const result = marketData.validateParams({ type: 'us-stock', symbols: 'AAPL', range: '1y', interval: '1wk' });
+      expect(result.isValid).toBe(true);
+      expect(marketData.isHistoryRequest({ range: '1y' })).toBe(true);
+      expect(marketData.isHistoryRequest({ mode: 'history' })).toBe(true);
+      expect(marketData.isHistoryRequest({ type: 'us-stock' })).toBe(false);
+    });
+
+    test('history mode rejects unknown range and interval', () => {
+      const result = marketData.validateParams({ type: 'us-stock', symbols: 'AAPL', range: '3d', interval: '1h' });
+      expect(result.isValid).toBe(false);
+      expect(result.errors[0]).toMatch('Invalid range: 3d');
+      expect(result.errors[1]).toMatch('Invalid interval: 1h');
+    });
+
+    test('crypto accepts USD or JPY as the quote currency', () => {
+      expect(marketData.validateParams({ type: 'crypto', symbols: 'BTC,ETH', currency: 'jpy' }).isValid).toBe(true);
+
+      const result = marketData.validateParams({ type: 'crypto', symbols: 'BTC', currency: 'EUR' });
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Invalid currency: EUR. Allowed values: USD, JPY');
+    });
+
+    test('index accepts known identifiers and aliases only', () => {
+      expect(marketData.validateParams({ type: 'index', symbols: 'N225,topix,^GSPC' }).isValid).toBe(true);
+
+      const result = marketData.validateParams({ type: 'index', symbols: 'N225,FTSE' });
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Invalid index: FTSE. Allowed values: N225, TOPIX, SPX, DJI, IXIC, ACWI');
+    });
+
+    test('history mode is supported for index', () => {
+      expect(marketData.validateParams({ type: 'index', symbols: 'N225,SPX', range: '5y' }).isValid).toBe(true);
+    });
+
+    test('history mode is not supported for crypto', () => {
+      const result = marketData.validateParams({ type: 'crypto', symbols: 'BTC', range: '1y' });
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('History mode is not supported for type: crypto');
+    });
+
+    test('history mode limits the number of symbols', () => {
+      const result = marketData.validateParams({ type: 'us-stock', symbols: 'A,B,C,D,E,F', mode: 'history' });
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Too many symbols for history mode. Maximum 5 symbols allowed');
+    });
+
+    test('corporate-actions mode treats range as the lookback period', () => {
+      const params = { type: 'jp-stock', symbols: '7203', mode: 'corporate-actions', range: '10y' };
+      expect(marketData.validateParams(params).isValid).toBe(true);
+      expect(marketData.isCorporateActionsRequest(params)).toBe(true);
+      expect(marketData.isHistoryRequest(params)).toBe(false);
+
+      const result = marketData.validateParams({ ...params, range: '1mo' });
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Invalid range: 1mo. Allowed values: 1y, 2y, 5y, 10y, max');
+    });
+
+    test('corporate-actions mode is only supported for stocks', () => {
+      const result = marketData.validateParams({ type: 'mutual-fund', symbols: '0131103C', mode: 'corporate-actions' });
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Corporate actions mode is not supported for type: mutual-fund. Allowed values: us-stock, jp-stock');
+    });
+
+    test('corporate-actions mode limits the number of symbols', () => {
+      const result = marketData.validateParams({ type: 'us-stock', symbols: 'A,B,C,D,E,F', mode: 'corporate-actions' });
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Too many symbols for corporate actions mode. Maximum 5 symbols allowed');
+    });
+
+    test('fields=fundamentals is accepted for stocks', () => {
+      const params = { type: 'jp-stock', symbols: '7203,6758', fields: 'fundamentals' };
+      expect(marketData.validateParams(params).isValid).toBe(true);
+      expect(marketData.isFundamentalsRequest(params)).toBe(true);
+      expect(marketData.isFundamentalsRequest({ type: 'jp-stock', symbols: '7203' })).toBe(false);
+    });
+
+    test('fields rejects unknown values and unsupported types', () => {
+      const unknown = marketData.validateParams({ type: 'us-stock', symbols: 'AAPL', fields: 'fundamentals,earnings' });
+      expect(unknown.isValid).toBe(false);
+      expect(unknown.errors).toContain('Invalid fields: earnings. Allowed values: fundamentals');
+
+      const unsupported = marketData.validateParams({ type: 'etf', symbols: 'VOO', fields: 'fundamentals' });
+      expect(unsupported.isValid).toBe(false);
+      expect(unsupported.errors).toContain('Fundamentals are not supported for type: etf. Allowed values: us-stock, jp-stock');
+    });
+
+    test('fields=fundamentals cannot be combined with history mode', () => {
+      const result = marketData.validateParams({ type: 'us-stock', symbols: 'AAPL', fields: 'fundamentals', range: '1y' });
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('fields=fundamentals cannot be combined with history or corporate-actions mode');
+    });
+  });
+
+  describe('withFundamentals', () => {
+    test('adds fundamentals to each quote that was returned', () => {
+      const data = { AAPL: { ticker: 'AAPL', price: 180 }, MSFT: { ticker: 'MSFT', price: 400 } };
+      const result = marketData.withFundamentals(data, {
+        AAPL: { symbol: 'AAPL', per: 28.4 },
+        XXXX: { symbol: 'XXXX', error: 'failed' }
+      });
+
+      expect(result).toEqual({
+        AAPL: { ticker: 'AAPL', price: 180, fundamentals: { symbol: 'AAPL', per: 28.4 } },
+        MSFT: { ticker: 'MSFT', price: 400 }
+      });
+      expect(data.AAPL).not.toHaveProperty('fundamentals');
+    });
   });
 
   describe('getMultipleExchangeRates', () => {
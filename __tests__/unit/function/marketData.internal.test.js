@@ -7,16 +7,25 @@
 const marketData = require('../../../src/function/marketData');
 const enhancedService = require('../../../src/services/sources/enhancedMarketDataService');
 const fallbackDataStore = require('../../../src/services/fallbackDataStore');
+const historicalDataService = require('../../../src/services/sources/historicalData');
+const corporateActionsService = require('../../../src/services/sources/corporateActions');
+const fundamentalsService = require('../../../src/services/sources/fundamentals');
 const logger = require('../../../src/utils/logger');
 
 jest.mock('../../../src/services/sources/enhancedMarketDataService');
+jest.mock('../../../src/services/sources/historicalData');
+jest.mock('../../../src/services/sources/corporateActions');
+jest.mock('../../../src/services/sources/fundamentals');
 jest.mock('../../../src/services/fallbackDataStore');
 jest.mock('../../../src/utils/logger');
 
 const {
   getUsStockData,
   getExchangeRateData,
-  getMultipleExchangeRates
+  getMultipleExchangeRates,
+  getHistoryData,
+  getCorporateActionsData,
+  getFundamentalsData
 } = marketData._testExports;
 
 beforeEach(() => {
@@ -56,4 +65,82 @@ describe('marketData internal functions', () => {
     const res = await getMultipleExchangeRates(['INVALID'], false, false);
     expect(res['INVALID'].error).toMatch('Invalid currency pair format');
   });
+
+  test('getHistoryData returns OHLCV test bars when isTest=true', async () => {
+    const result = await getHistoryData('us-stock', ['AAPL'], { range: '1y', interval: '1d' }, false, true);
+    expect(historicalDataService.getHistoricalDataForSymbols).not.toHaveBeenCalled();
+    expect(result.AAPL.bars).toHaveLength(5);
+    expect(result.AAPL.bars[0]).toEqual(expect.objectContaining({
+      date: expect.any(String),
+      open: expect.any(Number),
+      high: expect.any(Number),
+      low: expect.any(Number),
+      close: expect.any(Number),
+      volume: 1000000
+    }));
+  });
+
+  test('getHistoryData delegates to historical data service', async () => {
+    historicalDataService.getHistoricalDataForSymbols.mockResolvedValue({ 'USD-JPY': { bars: [] } });
+    const result = await getHistoryData('exchange-rate', ['USD-JPY'], { range: '6mo', interval: '1wk' }, true, false);
+    expect(historicalDataService.getHistoricalDataForSymbols).toHaveBeenCalledWith({
+      dataType: 'exchange-rate',
+      symbols: ['USD-JPY'],
+      range: '6mo',
+      interval: '1wk',
+      refresh: true
+    });
+    expect(result['USD-JPY'].bars).toEqual([]);
+  });
+
+  test('getCorporateActionsData returns dividends and splits test data when isTest=true', async () => {
+    const result = await getCorporateActionsData('jp-stock', ['7203'], '5y', false, true);
+    expect(corporateActionsService.getCorporateActionsForSymbols).not.toHaveBeenCalled();
+    expect(result['7203']).toEqual(expect.objectContaining({
+      symbol: '7203',
+      currency: 'JPY',
+      range: '5y',
+      source: 'Test Data'
+    }));
+    expect(result['7203'].dividends).toHaveLength(2);
+    expect(result['7203'].splits[0]).toEqual(expect.objectContaining({ ratio: 5, splitRatio: '5:1' }));
+  });
+
+  test('getCorporateActionsData delegates to corporate actions service', async () => {
+    corporateActionsService.getCorporateActionsForSymbols.mockResolvedValue({ AAPL: { dividends: [], splits: [] } });
+    const result = await getCorporateActionsData('us-stock', ['AAPL'], '10y', true, false);
+    expect(corporateActionsService.getCorporateActionsForSymbols).toHaveBeenCalledWith({
+      dataType: 'us-stock',
+      symbols: ['AAPL'],
+      range: '10y',
+      refresh: true
+    });
+    expect(result.AAPL.splits).toEqual([]);
+  });
+
+  test('getFundamentalsData returns test fundamentals when isTest=true', async () => {
+    const result = await getFundamentalsData('jp-stock', ['7203'], false, true);
+    expect(fundamentalsService.getFundamentalsForSymbols).not.toHaveBeenCalled();
+    expect(result['7203']).toEqual(expect.objectContaining({
+      symbol: '7203',
+      name: 'トヨタ自動車',
+      per: expect.any(Number),
+      pbr: expect.any(Number),
+      dividendYield: expect.any(Number),
+      sector: expect.any(String),
+      currency: 'JPY',
+      source: 'Test Data'
+    }));
+  });
+
+  test('getFundamentalsData delegates to fundamentals service', async () => {
+    fundamentalsService.getFundamentalsForSymbols.mockResolvedValue({ AAPL: { per: 28.4 } });
+    const result = await getFundamentalsData('us-stock', ['AAPL'], true, false);
+    expect(fundamentalsService.getFundamentalsForSymbols).toHaveBeenCalledWith({
+      dataType: 'us-stock',
+      symbols: ['AAPL'],
+      refresh: true
+    });
+    expect(result.AAPL.per).toBe(28.4);
+  });
 });
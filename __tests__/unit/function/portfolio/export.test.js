@@ -0,0 +1,134 @@
+/**
+ * ファイルパス: __tests__/unit/function/portfolio/export.test.js
+ *
+ * ポートフォリオエクスポートハンドラーのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-01
+ */
+
+const { handler } = require('../../../../src/function/portfolio/export');
+const { exportPortfolioTable, exportPortfolioJson } = require('../../../../src/services/exportService');
+const { authenticateRequest } = require('../../../../src/utils/sessionAuth');
+const { formatResponse, formatErrorResponse } = require('../../../../src/utils/responseUtils');
+
+jest.mock('../../../../src/services/exportService');
+jest.mock('../../../../src/utils/sessionAuth');
+jest.mock('../../../../src/utils/responseUtils');
+
+describe('Portfolio export handler', () => {
+  const mockTable = {
+    portfolio: { name: 'テスト' },
+    metadata: { id: 'file-123' },
+    baseCurrency: null,
+    columns: ['銘柄コード', '保有数'],
+    rows: [{ '銘柄コード': '7203', '保有数': 100 }]
+  };
+
+  const createEvent = (queryStringParameters) => ({
+    httpMethod: 'GET',
+    headers: { Cookie: 'session=session-123' },
+    queryStringParameters
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    authenticateRequest.mockResolvedValue({
+      sessionId: 'session-123',
+      session: { googleId: 'user-1' },
+      accessToken: 'access-token'
+    });
+    exportPortfolioTable.mockResolvedValue(mockTable);
+    exportPortfolioJson.mockResolvedValue({ schema: 'portfolio-export', schemaVersion: 1 });
+    formatResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+    formatErrorResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('デフォルトでは保有銘柄をBOM付きCSVで返す', async () => {
+    const response = await handler(createEvent({ fileId: 'file-123' }));
+
+    expect(authenticateRequest).toHaveBeenCalledWith(expect.any(Object), { requireAccessToken: true, scope: 'drive:read' });
+    expect(exportPortfolioTable).toHaveBeenCalledWith('access-token', 'file-123', {
+      type: 'holdings',
+      baseCurrency: undefined,
+      refresh: false
+    });
+    expect(response.statusCode).toBe(200);
+
+    const options = formatResponse.mock.calls[0][0];
+    expect(options).toEqual(expect.objectContaining({
+      format: 'csv',
+      data: mockTable.rows,
+      columns: mockTable.columns,
+      bom: true
+    }));
+    expect(options.headers['Content-Disposition']).toMatch(
+      /^attachment; filename="portfolio-holdings-\d{4}-\d{2}-\d{2}\.csv"; filename\*=UTF-8''%E3%83%86%E3%82%B9%E3%83%88-holdings-/
+    );
+  });
+
+  test('評価額のCSVは基準通貨と更新指定を渡す', async () => {
+    await handler(createEvent({ fileId: 'file-123', type: 'valuation', baseCurrency: 'usd', refresh: 'true' }));
+
+    expect(exportPortfolioTable).toHaveBeenCalledWith('access-token', 'file-123', {
+      type: 'valuation',
+      baseCurrency: 'USD',
+      refresh: true
+    });
+  });
+
+  test('JSON形式ではスキーマバージョン付きのデータを返す', async () => {
+    const response = await handler(createEvent({ fileId: 'file-123', format: 'JSON' }));
+
+    expect(exportPortfolioJson).toHaveBeenCalledWith('access-token', 'file-123', { baseCurrency: undefined, refresh: false });
+    expect(exportPortfolioTable).not.toHaveBeenCalled();
+    expect(response.statusCode).toBe(200);
+    expect(formatResponse).toHaveBeenCalledWith(expect.objectContaining({
+      data: { schema: 'portfolio-export', schemaVersion: 1 }
+    }));
+  });
+
+  test('認証エラーをそのまま返す', async () => {
+    authenticateRequest.mockResolvedValue({ error: { statusCode: 401, code: 'NO_SESSION', message: 'セッションが存在しません' } });
+
+    const response = await handler(createEvent({ fileId: 'file-123' }));
+
+    expect(response.statusCode).toBe(401);
+    expect(exportPortfolioTable).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    [{}, 'ファイルID'],
+    [{ fileId: 'file-123', format: 'xlsx' }, '無効な出力形式'],
+    [{ fileId: 'file-123', type: 'transactions' }, '無効なエクスポートの種類'],
+    [{ fileId: 'file-123', baseCurrency: 'yens' }, '無効な基準通貨']
+  ])('パラメータが不正な場合は400エラーを返す: %j', async (query, message) => {
+    const response = await handler(createEvent(query));
+
+    expect(response.statusCode).toBe(400);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({
+      code: 'INVALID_PARAMS',
+      message: expect.stringContaining(message)
+    }));
+    expect(exportPortfolioTable).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['Invalid portfolio data format', 400, 'INVALID_DATA_FORMAT'],
+    ['Permission denied', 403, 'PERMISSION_DENIED'],
+    ['Failed to get file with metadata from Google Drive', 500, 'EXPORT_ERROR']
+  ])('サービスのエラーを変換する: %s', async (errorMessage, statusCode, code) => {
+    exportPortfolioTable.mockRejectedValue(new Error(errorMessage));
+
+    const response = await handler(createEvent({ fileId: 'file-123' }));
+
+    expect(response.statusCode).toBe(statusCode);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({ code }));
+  });
+});
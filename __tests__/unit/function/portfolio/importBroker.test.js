@@ -0,0 +1,156 @@
+/**
+ * ファイルパス: __tests__/unit/function/portfolio/importBroker.test.js
+ *
+ * 証券会社CSVインポートハンドラーのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-31
+ */
+
+const { handler } = require('../../../../src/function/portfolio/importBroker');
+const { importBrokerPortfolio } = require('../../../../src/services/brokerImportService');
+const { authenticateRequest } = require('../../../../src/utils/sessionAuth');
+const { formatResponse, formatErrorResponse, formatOptionsResponse } = require('../../../../src/utils/responseUtils');
+
+jest.mock('../../../../src/services/brokerImportService');
+jest.mock('../../../../src/utils/sessionAuth');
+jest.mock('../../../../src/utils/responseUtils');
+
+describe('Portfolio import handler', () => {
+  const content = Buffer.from('"銘柄（コード）","数量","取得単価"\n"7203 トヨタ自動車","100","2500"').toString('base64');
+
+  const mockResult = {
+    file: {
+      success: true,
+      fileId: 'file-123',
+      fileName: 'portfolio-data.json',
+      webViewLink: 'https://drive.google.com/file/d/file-123',
+      modifiedTime: '2025-05-31T00:00:00Z'
+    },
+    portfolio: {
+      name: 'SBI証券 インポート',
+      holdings: [{ symbol: '7203', shares: 100, cost: 2500 }]
+    },
+    broker: { id: 'sbi', name: 'SBI証券' },
+    holdings: [{ symbol: '7203', shares: 100, cost: 2500 }],
+    unmapped: [{ name: 'ひふみプラス' }],
+    skipped: []
+  };
+
+  const createEvent = (body) => ({
+    httpMethod: 'POST',
+    headers: { Cookie: 'session=session-123' },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    authenticateRequest.mockResolvedValue({
+      sessionId: 'session-123',
+      session: { googleId: 'user-1' },
+      accessToken: 'access-token'
+    });
+    importBrokerPortfolio.mockResolvedValue(mockResult);
+    formatResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+    formatErrorResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+    formatOptionsResponse.mockReturnValue({ statusCode: 204 });
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('OPTIONSリクエストに応答する', async () => {
+    const response = await handler({ httpMethod: 'OPTIONS' });
+
+    expect(response.statusCode).toBe(204);
+    expect(authenticateRequest).not.toHaveBeenCalled();
+  });
+
+  test('CSVを取り込んで保存結果を返す', async () => {
+    const fundCodes = { 'ひふみプラス': '9C311125' };
+    const response = await handler(createEvent({ content, broker: 'sbi', name: '特定口座', fileId: 'file-123', fundCodes }));
+
+    expect(authenticateRequest).toHaveBeenCalledWith(expect.any(Object), { requireAccessToken: true, scope: 'drive:write' });
+    const [accessToken, buffer, options] = importBrokerPortfolio.mock.calls[0];
+    expect(accessToken).toBe('access-token');
+    expect(Buffer.isBuffer(buffer)).toBe(true);
+    expect(buffer.toString('utf8')).toContain('7203 トヨタ自動車');
+    expect(options).toEqual({ broker: 'sbi', name: '特定口座', fileId: 'file-123', fundCodes });
+    expect(response.statusCode).toBe(200);
+    expect(formatResponse).toHaveBeenCalledWith(expect.objectContaining({
+      data: {
+        file: {
+          id: 'file-123',
+          name: 'portfolio-data.json',
+          url: 'https://drive.google.com/file/d/file-123',
+          modifiedAt: '2025-05-31T00:00:00Z'
+        },
+        portfolio: { name: 'SBI証券 インポート' },
+        broker: { id: 'sbi', name: 'SBI証券' },
+        imported: 1,
+        holdings: mockResult.portfolio.holdings,
+        unmapped: mockResult.unmapped,
+        skipped: []
+      }
+    }));
+  });
+
+  test('認証エラーをそのまま返す', async () => {
+    authenticateRequest.mockResolvedValue({ error: { statusCode: 401, code: 'NO_SESSION', message: 'セッションが存在しません' } });
+
+    const response = await handler(createEvent({ content }));
+
+    expect(response.statusCode).toBe(401);
+    expect(importBrokerPortfolio).not.toHaveBeenCalled();
+  });
+
+  test('不正なJSONの場合は400エラーを返す', async () => {
+    const response = await handler(createEvent('{invalid'));
+
+    expect(response.statusCode).toBe(400);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_REQUEST_BODY' }));
+  });
+
+  test.each([
+    [{}, 'content'],
+    [{ content: 123 }, 'content'],
+    [{ content, broker: 'nomura' }, '無効な証券会社'],
+    [{ content, fundCodes: ['0331418A'] }, 'fundCodes'],
+    [{ content: '====' }, '空']
+  ])('パラメータが不正な場合は400エラーを返す: %j', async (body, message) => {
+    const response = await handler(createEvent(body));
+
+    expect(response.statusCode).toBe(400);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({
+      code: 'INVALID_PARAMS',
+      message: expect.stringContaining(message)
+    }));
+    expect(importBrokerPortfolio).not.toHaveBeenCalled();
+  });
+
+  test('サイズの上限を超える場合は413エラーを返す', async () => {
+    const large = Buffer.alloc(5 * 1024 * 1024 + 1, 0x41).toString('base64');
+
+    const response = await handler(createEvent({ content: large }));
+
+    expect(response.statusCode).toBe(413);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({ code: 'FILE_TOO_LARGE' }));
+  });
+
+  test.each([
+    [new Error('Unsupported broker CSV format'), 400, 'UNSUPPORTED_FORMAT'],
+    [Object.assign(new Error('Invalid Closing Quote'), { code: 'CSV_INVALID_CLOSING_QUOTE' }), 400, 'UNSUPPORTED_FORMAT'],
+    [new Error('Permission denied'), 403, 'PERMISSION_DENIED'],
+    [new Error('Failed to save portfolio data to Google Drive'), 500, 'IMPORT_ERROR']
+  ])('サービスのエラーを変換する: %s', async (error, statusCode, code) => {
+    importBrokerPortfolio.mockRejectedValue(error);
+
+    const response = await handler(createEvent({ content }));
+
+    expect(response.statusCode).toBe(statusCode);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({ code }));
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * ファイルパス: __tests__/unit/function/portfolio/performance.test.js
+ *
+ * ポートフォリオパフォーマンスハンドラーのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-29
+ */
+
+const { handler } = require('../../../../src/function/portfolio/performance');
+const { loadPortfolioFromDrive } = require('../../../../src/services/googleDriveService');
+const { calculatePerformance } = require('../../../../src/services/performanceService');
+const { authenticateRequest } = require('../../../../src/utils/sessionAuth');
+const { formatResponse, formatErrorResponse } = require('../../../../src/utils/responseUtils');
+
+jest.mock('../../../../src/services/googleDriveService');
+jest.mock('../../../../src/services/performanceService');
+jest.mock('../../../../src/utils/sessionAuth');
+jest.mock('../../../../src/utils/responseUtils');
+
+describe('Portfolio performance handler', () => {
+  const mockPerformance = {
+    baseCurrency: 'JPY',
+    asOf: '2025-05-29',
+    periods: { '1y': { twr: 12.5, xirr: 11.8 } },
+    warnings: []
+  };
+
+  const createEvent = (query) => ({
+    headers: { Cookie: 'session=session-123' },
+    queryStringParameters: query
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    authenticateRequest.mockResolvedValue({
+      sessionId: 'session-123',
+      session: { googleId: 'user-1' },
+      accessToken: 'access-token'
+    });
+    loadPortfolioFromDrive.mockResolvedValue({
+      data: {
+        name: 'Ledger Portfolio',
+        transactions: [
+          { symbol: 'AAPL', tradeDate: '2024-05-01', side: 'buy', quantity: 10, price: 150, currency: 'USD' }
+        ]
+      },
+      fileName: 'portfolio.json',
+      fileId: 'file-123',
+      modifiedTime: '2025-05-20T00:00:00Z'
+    });
+    calculatePerformance.mockResolvedValue(mockPerformance);
+    formatResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+    formatErrorResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('指定した期間のパフォーマンスを返す', async () => {
+    const response = await handler(createEvent({ fileId: 'file-123', periods: '1y, ytd', baseCurrency: 'usd' }));
+
+    const [portfolio, options] = calculatePerformance.mock.calls[0];
+    expect(portfolio.transactions).toHaveLength(1);
+    expect(options).toEqual({ periods: ['1y', 'ytd'], baseCurrency: 'USD', refresh: false });
+
+    expect(response.statusCode).toBe(200);
+    expect(formatResponse).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({
+        file: { id: 'file-123', name: 'portfolio.json', modifiedAt: '2025-05-20T00:00:00Z' },
+        periods: mockPerformance.periods
+      })
+    }));
+  });
+
+  test('期間を省略した場合はデフォルトの期間で計算する', async () => {
+    await handler(createEvent({ fileId: 'file-123' }));
+
+    expect(calculatePerformance.mock.calls[0][1].periods).toEqual(['1mo', 'ytd', '1y', 'max']);
+  });
+
+  test('無効な期間の場合は400エラーを返す', async () => {
+    const response = await handler(createEvent({ fileId: 'file-123', periods: '1y,10y' }));
+
+    expect(response.statusCode).toBe(400);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_PARAMS' }));
+    expect(loadPortfolioFromDrive).not.toHaveBeenCalled();
+  });
+
+  test('fileId が無い場合は400エラーを返す', async () => {
+    const response = await handler(createEvent({}));
+
+    expect(response.statusCode).toBe(400);
+  });
+
+  test('計算に失敗した場合は500 PERFORMANCE_ERROR を返す', async () => {
+    calculatePerformance.mockRejectedValue(new Error('Exchange rate unavailable for USD-JPY'));
+
+    const response = await handler(createEvent({ fileId: 'file-123' }));
+
+    expect(response.statusCode).toBe(500);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({ code: 'PERFORMANCE_ERROR' }));
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * ファイルパス: __tests__/unit/function/portfolio/rebalance.test.js
+ *
+ * ポートフォリオリバランスハンドラーのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-30
+ */
+
+const { handler } = require('../../../../src/function/portfolio/rebalance');
+const { loadPortfolioFromDrive } = require('../../../../src/services/googleDriveService');
+const { proposeRebalance } = require('../../../../src/services/rebalanceService');
+const { authenticateRequest } = require('../../../../src/utils/sessionAuth');
+const { formatResponse, formatErrorResponse, formatOptionsResponse } = require('../../../../src/utils/responseUtils');
+
+jest.mock('../../../../src/services/googleDriveService');
+jest.mock('../../../../src/services/rebalanceService', () => ({
+  ...jest.requireActual('../../../../src/services/rebalanceService'),
+  proposeRebalance: jest.fn()
+}));
+jest.mock('../../../../src/utils/sessionAuth');
+jest.mock('../../../../src/utils/responseUtils');
+
+describe('Portfolio rebalance handler', () => {
+  const savedTargets = [
+    { assetClass: 'equity', region: 'japan', weight: 60 },
+    { assetClass: 'equity', region: 'us', weight: 40 }
+  ];
+
+  const mockProposal = {
+    mode: 'rebalance',
+    baseCurrency: 'JPY',
+    orders: [],
+    allocations: [],
+    warnings: []
+  };
+
+  const createEvent = (body) => ({
+    httpMethod: 'POST',
+    headers: { Cookie: 'session=session-123' },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    authenticateRequest.mockResolvedValue({
+      sessionId: 'session-123',
+      session: { googleId: 'user-1' },
+      accessToken: 'access-token'
+    });
+    loadPortfolioFromDrive.mockResolvedValue({
+      data: {
+        name: 'Test Portfolio',
+        holdings: [{ symbol: '7203', shares: 100, cost: 2000 }],
+        targetAllocation: savedTargets
+      },
+      fileName: 'portfolio.json',
+      fileId: 'file-123',
+      modifiedTime: '2025-05-20T00:00:00Z'
+    });
+    proposeRebalance.mockResolvedValue(mockProposal);
+    formatResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+    formatErrorResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+    formatOptionsResponse.mockReturnValue({ statusCode: 204 });
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('OPTIONSリクエストに応答する', async () => {
+    const response = await handler({ httpMethod: 'OPTIONS' });
+
+    expect(response.statusCode).toBe(204);
+    expect(authenticateRequest).not.toHaveBeenCalled();
+  });
+
+  test('ポートフォリオの目標配分でリバランス案を作成する', async () => {
+    const response = await handler(createEvent({ fileId: 'file-123' }));
+
+    expect(loadPortfolioFromDrive).toHaveBeenCalledWith('access-token', 'file-123');
+    const [portfolio, options] = proposeRebalance.mock.calls[0];
+    expect(portfolio.holdings[0]).toEqual(expect.objectContaining({ symbol: '7203', shares: 100 }));
+    expect(options).toEqual({
+      targets: savedTargets,
+      mode: 'rebalance',
+      cash: 0,
+      baseCurrency: undefined,
+      refresh: false
+    });
+    expect(response.statusCode).toBe(200);
+    expect(formatResponse).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ portfolio: { name: 'Test Portfolio' }, mode: 'rebalance' })
+    }));
+  });
+
+  test('リクエストの目標配分と追加資金のみのモードを使用する', async () => {
+    const targets = [{ region: 'japan', weight: 100 }];
+
+    await handler(createEvent({ fileId: 'file-123', targets, mode: 'cash-only', cash: 100000, baseCurrency: 'jpy' }));
+
+    expect(proposeRebalance.mock.calls[0][1]).toEqual(expect.objectContaining({
+      targets,
+      mode: 'cash-only',
+      cash: 100000,
+      baseCurrency: 'JPY'
+    }));
+  });
+
+  test('不正なJSONの場合は400エラーを返す', async () => {
+    const response = await handler(createEvent('{invalid'));
+
+    expect(response.statusCode).toBe(400);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_REQUEST_BODY' }));
+  });
+
+  test.each([
+    [{}, 'ファイルID'],
+    [{ fileId: 'file-123', mode: 'aggressive' }, '無効なモード'],
+    [{ fileId: 'file-123', cash: -1 }, '追加資金'],
+    [{ fileId: 'file-123', mode: 'cash-only' }, '追加資金のみのモード']
+  ])('パラメータが不正な場合は400エラーを返す: %j', async (body, message) => {
+    const response = await handler(createEvent(body));
+
+    expect(response.statusCode).toBe(400);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({
+      code: 'INVALID_PARAMS',
+      message: expect.stringContaining(message)
+    }));
+    expect(loadPortfolioFromDrive).not.toHaveBeenCalled();
+  });
+
+  test('目標配分が無効な場合は400 INVALID_TARGET_ALLOCATION を返す', async () => {
+    const response = await handler(createEvent({ fileId: 'file-123', targets: [{ region: 'japan', weight: 50 }] }));
+
+    expect(response.statusCode).toBe(400);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({
+      code: 'INVALID_TARGET_ALLOCATION',
+      details: 'Target weights must add up to 100 (got 50)'
+    }));
+    expect(proposeRebalance).not.toHaveBeenCalled();
+  });
+
+  test('認証エラーをそのまま返す', async () => {
+    authenticateRequest.mockResolvedValue({ error: { statusCode: 401, code: 'NO_SESSION', message: 'セッションが存在しません' } });
+
+    const response = await handler(createEvent({ fileId: 'file-123' }));
+
+    expect(response.statusCode).toBe(401);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * ファイルパス: __tests__/unit/function/portfolio/shared.test.js
+ *
+ * 共有ポートフォリオ評価ハンドラーのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-05
+ */
+
+const { handler } = require('../../../../src/function/portfolio/shared');
+const { getShareLinkByToken } = require('../../../../src/services/shareLinkService');
+const { valuePortfolio } = require('../../../../src/services/valuationService');
+const { formatResponse, formatErrorResponse } = require('../../../../src/utils/responseUtils');
+
+jest.mock('../../../../src/services/shareLinkService');
+jest.mock('../../../../src/services/valuationService');
+jest.mock('../../../../src/utils/responseUtils');
+
+describe('Shared portfolio handler', () => {
+  const mockLink = {
+    linkId: 'link-1',
+    fileId: 'file-123',
+    googleId: 'user-1',
+    snapshot: { name: 'クライアントA', holdings: [{ symbol: 'AAPL', shares: 10, cost: 150 }] },
+    baseCurrency: 'JPY',
+    createdAt: '2025-06-05T00:00:00.000Z',
+    fileModifiedAt: '2025-06-04T10:00:00Z',
+    expiresAt: '2025-07-05T00:00:00.000Z'
+  };
+  const mockValuation = { baseCurrency: 'JPY', holdings: [], totals: { marketValue: 0 } };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    getShareLinkByToken.mockResolvedValue(mockLink);
+    valuePortfolio.mockResolvedValue(mockValuation);
+    formatResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+    formatErrorResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('ログインせずに共有されたポートフォリオを評価する', async () => {
+    const response = await handler({ httpMethod: 'GET', queryStringParameters: { token: 'link-1.secret' } });
+
+    expect(getShareLinkByToken).toHaveBeenCalledWith('link-1.secret');
+    expect(valuePortfolio).toHaveBeenCalledWith(mockLink.snapshot, { baseCurrency: 'JPY' });
+    expect(response.statusCode).toBe(200);
+
+    const { data } = formatResponse.mock.calls[0][0];
+    expect(data).toEqual({
+      portfolio: { name: 'クライアントA' },
+      sharedAt: '2025-06-05T00:00:00.000Z',
+      snapshotAt: '2025-06-04T10:00:00Z',
+      expiresAt: '2025-07-05T00:00:00.000Z',
+      ...mockValuation
+    });
+    expect(data).not.toHaveProperty('fileId');
+    expect(data).not.toHaveProperty('googleId');
+  });
+
+  test('トークンが無い場合は400エラーを返す', async () => {
+    const response = await handler({ httpMethod: 'GET', queryStringParameters: null });
+
+    expect(response.statusCode).toBe(400);
+    expect(getShareLinkByToken).not.toHaveBeenCalled();
+  });
+
+  test('無効なトークンの場合は404エラーを返す', async () => {
+    getShareLinkByToken.mockResolvedValue(null);
+
+    const response = await handler({ httpMethod: 'GET', queryStringParameters: { token: 'revoked' } });
+
+    expect(response.statusCode).toBe(404);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({ code: 'SHARE_LINK_NOT_FOUND' }));
+    expect(valuePortfolio).not.toHaveBeenCalled();
+  });
+});
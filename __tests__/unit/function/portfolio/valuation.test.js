@@ -0,0 +1,131 @@
+/**
+ * ファイルパス: __tests__/unit/function/portfolio/valuation.test.js
+ *
+ * ポートフォリオ評価ハンドラーのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-28
+ */
+
+const { handler } = require('../../../../src/function/portfolio/valuation');
+const { loadPortfolioFromDrive } = require('../../../../src/services/googleDriveService');
+const { valuePortfolio } = require('../../../../src/services/valuationService');
+const { authenticateRequest } = require('../../../../src/utils/sessionAuth');
+const { formatResponse, formatErrorResponse } = require('../../../../src/utils/responseUtils');
+
+jest.mock('../../../../src/services/googleDriveService');
+jest.mock('../../../../src/services/valuationService');
+jest.mock('../../../../src/utils/sessionAuth');
+jest.mock('../../../../src/utils/responseUtils');
+
+describe('Portfolio valuation handler', () => {
+  const mockLoadResult = {
+    success: true,
+    data: {
+      portfolioName: 'Legacy Portfolio',
+      stocks: [{ symbol: 'AAPL', quantity: 10, purchasePrice: 150 }]
+    },
+    fileName: 'portfolio.json',
+    fileId: 'file-123',
+    modifiedTime: '2025-05-20T00:00:00Z'
+  };
+
+  const mockValuation = {
+    baseCurrency: 'JPY',
+    holdings: [],
+    totals: { marketValue: 0 },
+    unpriced: [],
+    exchangeRates: { JPY: 1 },
+    valuedAt: '2025-05-28T00:00:00Z'
+  };
+
+  const createEvent = (query) => ({
+    headers: { Cookie: 'session=session-123' },
+    queryStringParameters: query
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    authenticateRequest.mockResolvedValue({
+      sessionId: 'session-123',
+      session: { googleId: 'user-1' },
+      accessToken: 'access-token'
+    });
+    loadPortfolioFromDrive.mockResolvedValue(mockLoadResult);
+    valuePortfolio.mockResolvedValue(mockValuation);
+    formatResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+    formatErrorResponse.mockImplementation(options => ({ statusCode: options.statusCode, body: options }));
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('ポートフォリオを読み込み評価結果を返す', async () => {
+    const response = await handler(createEvent({ fileId: 'file-123', baseCurrency: 'usd', refresh: 'true' }));
+
+    expect(authenticateRequest).toHaveBeenCalledWith(expect.any(Object), { requireAccessToken: true, scope: 'drive:read' });
+    expect(loadPortfolioFromDrive).toHaveBeenCalledWith('access-token', 'file-123');
+
+    // 旧形式のデータは新形式に変換して評価する
+    const [portfolio, options] = valuePortfolio.mock.calls[0];
+    expect(portfolio.name).toBe('Legacy Portfolio');
+    expect(portfolio.holdings[0]).toEqual(expect.objectContaining({ symbol: 'AAPL', shares: 10, cost: 150 }));
+    expect(options).toEqual({ baseCurrency: 'USD', refresh: true });
+
+    expect(response.statusCode).toBe(200);
+    expect(formatResponse).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({
+        file: { id: 'file-123', name: 'portfolio.json', modifiedAt: '2025-05-20T00:00:00Z' },
+        portfolio: { name: 'Legacy Portfolio' },
+        totals: mockValuation.totals
+      })
+    }));
+  });
+
+  test('認証エラーをそのまま返す', async () => {
+    const error = { statusCode: 401, code: 'NO_SESSION', message: 'セッションが存在しません' };
+    authenticateRequest.mockResolvedValue({ error });
+
+    const response = await handler(createEvent({ fileId: 'file-123' }));
+
+    expect(response.statusCode).toBe(401);
+    expect(formatErrorResponse).toHaveBeenCalledWith(error);
+    expect(loadPortfolioFromDrive).not.toHaveBeenCalled();
+  });
+
+  test('fileId が無い場合は400エラーを返す', async () => {
+    const response = await handler(createEvent(null));
+
+    expect(response.statusCode).toBe(400);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_PARAMS' }));
+  });
+
+  test('不正な基準通貨の場合は400エラーを返す', async () => {
+    const response = await handler(createEvent({ fileId: 'file-123', baseCurrency: 'YEN1' }));
+
+    expect(response.statusCode).toBe(400);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_PARAMS' }));
+    expect(loadPortfolioFromDrive).not.toHaveBeenCalled();
+  });
+
+  test('データ形式エラーは400 INVALID_DATA_FORMAT を返す', async () => {
+    loadPortfolioFromDrive.mockRejectedValue(new Error('Invalid portfolio data format'));
+
+    const response = await handler(createEvent({ fileId: 'file-123' }));
+
+    expect(response.statusCode).toBe(400);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_DATA_FORMAT' }));
+  });
+
+  test('予期しないエラーは500 VALUATION_ERROR を返す', async () => {
+    valuePortfolio.mockRejectedValue(new Error('unexpected'));
+
+    const response = await handler(createEvent({ fileId: 'file-123' }));
+
+    expect(response.statusCode).toBe(500);
+    expect(formatErrorResponse).toHaveBeenCalledWith(expect.objectContaining({ code: 'VALUATION_ERROR' }));
+  });
+});
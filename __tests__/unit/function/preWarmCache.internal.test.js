@@ -17,6 +17,8 @@ const {
   prewarmJpStocks,
   prewarmMutualFunds,
   prewarmExchangeRates,
+  prewarmCryptos,
+  prewarmIndices,
   PREWARM_SYMBOLS
 } = preWarm._testExports;
 
@@ -78,4 +80,19 @@ describe('preWarmCache internal functions', () => {
     enhancedService.getExchangeRateData.mockRejectedValue(new Error('x'));
     await expect(prewarmExchangeRates()).rejects.toThrow('x');
   });
+
+  test('prewarmCryptos fetches USD and JPY quotes', async () => {
+    enhancedService.getCryptosData.mockResolvedValue({ BTC: { price: 1 } });
+    const result = await prewarmCryptos();
+    expect(enhancedService.getCryptosData).toHaveBeenCalledWith(PREWARM_SYMBOLS.crypto, 'USD', true);
+    expect(enhancedService.getCryptosData).toHaveBeenCalledWith(PREWARM_SYMBOLS.crypto, 'JPY', true);
+    expect(result).toEqual({ USD: { BTC: { price: 1 } }, JPY: { BTC: { price: 1 } } });
+  });
+
+  test('prewarmIndices calls service with index identifiers', async () => {
+    enhancedService.getIndicesData.mockResolvedValue({ N225: { price: 1 } });
+    const result = await prewarmIndices();
+    expect(enhancedService.getIndicesData).toHaveBeenCalledWith(PREWARM_SYMBOLS.index, true);
+    expect(result).toEqual({ N225: { price: 1 } });
+  });
 });
@@ -0,0 +1,252 @@
+/**
+ * ファイルパス: __tests__/unit/services/apiTokenService.test.js
+ *
+ * 個人用APIトークンサービスのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-11
+ */
+
+const crypto = require('crypto');
+const dynamoDbService = require('../../../src/utils/dynamoDbService');
+const tokenManager = require('../../../src/utils/tokenManager');
+const {
+  hasScope,
+  createApiToken,
+  listApiTokens,
+  revokeApiToken,
+  verifyApiToken,
+  getGoogleAccessToken
+} = require('../../../src/services/apiTokenService');
+
+jest.mock('../../../src/utils/dynamoDbService');
+jest.mock('../../../src/utils/tokenManager');
+jest.mock('../../../src/utils/logger');
+
+describe('apiTokenService', () => {
+  const session = {
+    googleId: 'google-user-1',
+    email: 'user@example.com',
+    name: 'Test User',
+    accessToken: 'google-access',
+    refreshToken: 'google-refresh',
+    tokenExpiry: '2025-06-11T01:00:00.000Z'
+  };
+
+  const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers().setSystemTime(new Date('2025-06-11T00:00:00Z'));
+
+    dynamoDbService.addItem.mockResolvedValue({});
+    dynamoDbService.getItem.mockResolvedValue(null);
+    dynamoDbService.deleteItem.mockResolvedValue({});
+    dynamoDbService.updateItem.mockResolvedValue({});
+    dynamoDbService.queryItems.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('hasScope', () => {
+    test('付与されたスコープを判定する', () => {
+      expect(hasScope({ scopes: ['market-data:read'] }, 'market-data:read')).toBe(true);
+      expect(hasScope({ scopes: ['market-data:read'] }, 'drive:read')).toBe(false);
+    });
+
+    test('drive:write は drive:read を含む', () => {
+      expect(hasScope({ scopes: ['drive:write'] }, 'drive:read')).toBe(true);
+      expect(hasScope({ scopes: ['drive:read'] }, 'drive:write')).toBe(false);
+    });
+  });
+
+  describe('createApiToken', () => {
+    test('ハッシュ値のみを保存し、トークンの値は一度だけ返す', async () => {
+      const result = await createApiToken(session, { name: 'Sheets', scopes: ['market-data:read'], expiresInDays: 30 });
+
+      expect(result).toEqual({
+        token: expect.stringMatching(/^pmt_[0-9a-f-]{36}\.[A-Za-z0-9_-]{43}$/),
+        id: expect.any(String),
+        name: 'Sheets',
+        scopes: ['market-data:read'],
+        createdAt: '2025-06-11T00:00:00.000Z',
+        lastUsedAt: null,
+        expiresAt: '2025-07-11T00:00:00.000Z'
+      });
+
+      const [tableName, item] = dynamoDbService.addItem.mock.calls[0];
+      const secret = result.token.split('.')[1];
+
+      expect(tableName).toMatch(/api-tokens$/);
+      expect(item.tokenId).toBe(result.id);
+      expect(item.tokenHash).toBe(hash(secret));
+      expect(JSON.stringify(item)).not.toContain(secret);
+      expect(item.ttl).toBe(Math.floor(new Date('2025-07-11T00:00:00Z').getTime() / 1000));
+      // Google Driveのスコープが無い場合はGoogleのトークンを保存しない
+      expect(item).not.toHaveProperty('refreshToken');
+    });
+
+    test('Google Driveのスコープはセッションのリフレッシュトークンを引き継ぐ', async () => {
+      const result = await createApiToken(session, { name: 'Backup script', scopes: ['drive:write'] });
+      const item = dynamoDbService.addItem.mock.calls[0][1];
+
+      expect(item).toEqual(expect.objectContaining({
+        refreshToken: 'google-refresh',
+        accessToken: 'google-access',
+        expiresAt: null
+      }));
+      expect(item).not.toHaveProperty('ttl');
+      expect(result.expiresAt).toBeNull();
+    });
+
+    test('リフレッシュトークンが無いセッションでは Google Drive のスコープを付与できない', async () => {
+      await expect(createApiToken({ ...session, refreshToken: null }, { name: 'x', scopes: ['drive:read'] }))
+        .rejects.toThrow('Refresh token not available');
+      expect(dynamoDbService.addItem).not.toHaveBeenCalled();
+    });
+
+    test('作成数の上限を超える場合はエラー', async () => {
+      dynamoDbService.queryItems.mockResolvedValue(Array.from({ length: 20 }, (_, i) => ({ tokenId: `t-${i}` })));
+
+      await expect(createApiToken(session, { name: 'x', scopes: ['market-data:read'] }))
+        .rejects.toThrow('Token limit exceeded');
+    });
+  });
+
+  describe('listApiTokens', () => {
+    test('有効なトークンを作成日の新しい順に返す（ハッシュ値は含めない）', async () => {
+      dynamoDbService.queryItems.mockResolvedValue([
+        { tokenId: 'a', tokenHash: 'h', name: 'A', scopes: ['drive:read'], createdAt: '2025-06-01T00:00:00Z', refreshToken: 'r' },
+        { tokenId: 'b', tokenHash: 'h', name: 'B', scopes: ['market-data:read'], createdAt: '2025-06-05T00:00:00Z', lastUsedAt: '2025-06-10T00:00:00Z' },
+        { tokenId: 'c', tokenHash: 'h', name: 'C', scopes: ['market-data:read'], createdAt: '2025-06-03T00:00:00Z', expiresAt: '2025-06-10T00:00:00Z' }
+      ]);
+
+      const tokens = await listApiTokens('google-user-1');
+
+      expect(dynamoDbService.queryItems).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({
+        indexName: 'googleId-index',
+        expressionAttributeValues: { ':googleId': 'google-user-1' }
+      }));
+      expect(tokens.map(token => token.id)).toEqual(['b', 'a']);
+      expect(tokens[0]).toEqual({
+        id: 'b',
+        name: 'B',
+        scopes: ['market-data:read'],
+        createdAt: '2025-06-05T00:00:00Z',
+        lastUsedAt: '2025-06-10T00:00:00Z',
+        expiresAt: null
+      });
+    });
+  });
+
+  describe('revokeApiToken', () => {
+    test('自分のトークンを削除する', async () => {
+      dynamoDbService.getItem.mockResolvedValue({ tokenId: 'a', googleId: 'google-user-1', name: 'A', scopes: [] });
+
+      const result = await revokeApiToken('google-user-1', 'a');
+
+      expect(dynamoDbService.deleteItem).toHaveBeenCalledWith(expect.any(String), { tokenId: 'a' });
+      expect(result).toEqual(expect.objectContaining({ id: 'a', name: 'A' }));
+    });
+
+    test('他のユーザーのトークンは存在しないものとして扱う', async () => {
+      dynamoDbService.getItem.mockResolvedValue({ tokenId: 'a', googleId: 'other-user' });
+
+      await expect(revokeApiToken('google-user-1', 'a')).rejects.toThrow('API token not found');
+      expect(dynamoDbService.deleteItem).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('verifyApiToken', () => {
+    const tokenId = '0b9f5a52-6f7e-4b8a-9d7c-2f1e3a4b5c6d';
+    const secret = 'A'.repeat(43);
+    const token = `pmt_${tokenId}.${secret}`;
+    const item = {
+      tokenId,
+      tokenHash: hash(secret),
+      googleId: 'google-user-1',
+      scopes: ['market-data:read'],
+      expiresAt: null,
+      lastUsedAt: null
+    };
+
+    test('有効なトークンを検証して最終使用日時を記録する', async () => {
+      dynamoDbService.getItem.mockResolvedValue(item);
+
+      await expect(verifyApiToken(token)).resolves.toEqual(item);
+      expect(dynamoDbService.getItem).toHaveBeenCalledWith(expect.any(String), { tokenId });
+      expect(dynamoDbService.updateItem).toHaveBeenCalledWith(
+        expect.any(String),
+        { tokenId },
+        'SET #lastUsedAt = :lastUsedAt',
+        { '#lastUsedAt': 'lastUsedAt' },
+        { ':lastUsedAt': '2025-06-11T00:00:00.000Z' }
+      );
+    });
+
+    test('直近に使用したトークンは最終使用日時を更新しない', async () => {
+      dynamoDbService.getItem.mockResolvedValue({ ...item, lastUsedAt: '2025-06-10T23:58:00.000Z' });
+
+      await expect(verifyApiToken(token)).resolves.toBeTruthy();
+      expect(dynamoDbService.updateItem).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      [null],
+      ['Bearer-less'],
+      [`pmt_${tokenId}`],
+      [`xyz_${tokenId}.${secret}`]
+    ])('形式が不正なトークンはnullを返す: %s', async (value) => {
+      await expect(verifyApiToken(value)).resolves.toBeNull();
+      expect(dynamoDbService.getItem).not.toHaveBeenCalled();
+    });
+
+    test('秘密部分が一致しない場合はnullを返す', async () => {
+      dynamoDbService.getItem.mockResolvedValue(item);
+
+      await expect(verifyApiToken(`pmt_${tokenId}.${'B'.repeat(43)}`)).resolves.toBeNull();
+    });
+
+    test('取り消し済み・期限切れのトークンはnullを返す', async () => {
+      await expect(verifyApiToken(token)).resolves.toBeNull();
+
+      dynamoDbService.getItem.mockResolvedValue({ ...item, expiresAt: '2025-06-10T00:00:00.000Z' });
+      await expect(verifyApiToken(token)).resolves.toBeNull();
+    });
+  });
+
+  describe('getGoogleAccessToken', () => {
+    const apiToken = { tokenId: 'a', refreshToken: 'google-refresh', accessToken: 'old', tokenExpiry: '2025-06-10T00:00:00Z' };
+
+    test('期限内のアクセストークンをそのまま返す', async () => {
+      tokenManager.validateAndRefreshToken.mockResolvedValue({ accessToken: 'old', refreshed: false });
+
+      await expect(getGoogleAccessToken(apiToken)).resolves.toBe('old');
+      expect(dynamoDbService.updateItem).not.toHaveBeenCalled();
+    });
+
+    test('更新したアクセストークンを保存する', async () => {
+      tokenManager.validateAndRefreshToken.mockResolvedValue({
+        accessToken: 'new',
+        refreshToken: 'google-refresh',
+        tokenExpiry: '2025-06-11T01:00:00.000Z',
+        refreshed: true
+      });
+
+      await expect(getGoogleAccessToken(apiToken)).resolves.toBe('new');
+      expect(dynamoDbService.updateItem).toHaveBeenCalledWith(
+        expect.any(String),
+        { tokenId: 'a' },
+        expect.stringContaining('#accessToken = :accessToken'),
+        expect.any(Object),
+        expect.objectContaining({ ':accessToken': 'new', ':tokenExpiry': '2025-06-11T01:00:00.000Z' })
+      );
+    });
+
+    test('Google Driveのスコープが無いトークンはエラー', async () => {
+      await expect(getGoogleAccessToken({ tokenId: 'a' })).rejects.toThrow('Refresh token not available');
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * ファイルパス: __tests__/unit/services/brokerImportService.test.js
+ *
+ * 証券会社CSVインポートサービスのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-31
+ */
+
+const { parseBrokerCsv, importBrokerPortfolio } = require('../../../src/services/brokerImportService');
+const googleDriveService = require('../../../src/services/googleDriveService');
+
+jest.mock('../../../src/services/googleDriveService');
+jest.mock('../../../src/utils/logger');
+
+describe('brokerImportService', () => {
+  const sbiCsv = [
+    '"株式（特定預り）"',
+    '"銘柄（コード）","買付日","数量","取得単価"',
+    '"7203 トヨタ自動車","2024/04/01","100","2,500"',
+    '"投資信託（金額/特定預り）"',
+    '"ファンド名","買付日","数量","取得単価"',
+    '"ｅＭＡＸＩＳ Ｓｌｉｍ 米国株式（Ｓ＆Ｐ５００）","--","10,000","25,000"',
+    '"ひふみプラス","--","50,000","60,000"'
+  ].join('\n');
+
+  const rakutenCsv = [
+    '"種別","銘柄コード・ティッカー","銘柄","口座","保有数量","［単位］","平均取得価額","［単位］"',
+    '"国内株式","7203","トヨタ自動車","NISA成長投資枠","100","株","3,000","円"'
+  ].join('\n');
+
+  describe('parseBrokerCsv', () => {
+    test('形式を自動判定し、ファンド名からファンドコードを解決する', () => {
+      const result = parseBrokerCsv(sbiCsv);
+
+      expect(result.broker).toEqual({ id: 'sbi', name: 'SBI証券' });
+      expect(result.holdings).toEqual([
+        {
+          symbol: '7203',
+          name: 'トヨタ自動車',
+          dataType: 'jp-stock',
+          shares: 100,
+          cost: 2500,
+          currency: 'JPY',
+          account: '特定',
+          purchaseDate: '2024-04-01'
+        },
+        {
+          symbol: '03311187',
+          name: 'ｅＭＡＸＩＳ Ｓｌｉｍ 米国株式（Ｓ＆Ｐ５００）',
+          dataType: 'mutual-fund',
+          shares: 1,
+          cost: 25000,
+          currency: 'JPY',
+          account: '特定'
+        }
+      ]);
+      expect(result.unmapped).toEqual([
+        { name: 'ひふみプラス', dataType: 'mutual-fund', shares: 5, cost: 60000, account: '特定' }
+      ]);
+      expect(result.skipped).toEqual([]);
+    });
+
+    test('追加の対応表でファンドコードを解決する', () => {
+      const result = parseBrokerCsv(sbiCsv, { fundCodes: { 'ひふみプラス': '9c311125' } });
+
+      expect(result.unmapped).toEqual([]);
+      expect(result.holdings[2]).toEqual(expect.objectContaining({ symbol: '9C311125', shares: 5 }));
+    });
+
+    test('Shift_JISのバイト列を読み込む', () => {
+      // rakutenCsv をShift_JISでエンコードしてBase64にしたもの
+      const sjis = Buffer.from(
+        'Io7tlcoiLCKWwZW/g1KBW4NogUWDZYNCg2KDSoFbIiwilsGVvyIsIoz7jcAiLCKV25dMkJSXyiIsIoFtklCIyoFuIiwilb2Lz47mk76Jv4p6IiwigW2SUIjKgW4iCiKNkZPgipSOriIsIjcyMDMiLCKDZ4OIg16OqZOujtQiLCJOSVNBkKySt5OKjpGYZyIsIjEwMCIsIoqUIiwiMywwMDAiLCKJfiI=',
+        'base64'
+      );
+
+      const result = parseBrokerCsv(sjis);
+
+      expect(result.broker.id).toBe('rakuten');
+      expect(result.holdings).toEqual([expect.objectContaining({ symbol: '7203', account: 'NISA成長投資枠' })]);
+    });
+
+    test('指定した証券会社の形式と一致しない場合はエラーにする', () => {
+      expect(() => parseBrokerCsv(rakutenCsv, { broker: 'sbi' })).toThrow('Unsupported broker CSV format');
+    });
+
+    test('対応していない形式の場合はエラーにする', () => {
+      expect(() => parseBrokerCsv('a,b,c\n1,2,3')).toThrow('Unsupported broker CSV format');
+    });
+  });
+
+  describe('importBrokerPortfolio', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      googleDriveService.savePortfolioToDrive.mockResolvedValue({
+        success: true,
+        fileId: 'file-123',
+        fileName: 'portfolio-data.json'
+      });
+    });
+
+    test('取込結果を取引履歴付きのポートフォリオとして保存する', async () => {
+      const result = await importBrokerPortfolio('access-token', sbiCsv, { name: '特定口座', fileId: 'file-123' });
+
+      const [accessToken, portfolio, fileId, createBackup] = googleDriveService.savePortfolioToDrive.mock.calls[0];
+      expect(accessToken).toBe('access-token');
+      expect(fileId).toBe('file-123');
+      expect(createBackup).toBe(true);
+      expect(portfolio.name).toBe('特定口座');
+      expect(portfolio.importSource).toEqual({ broker: 'sbi', importedAt: expect.any(String) });
+      expect(portfolio.transactions).toEqual([
+        expect.objectContaining({ symbol: '7203', side: 'opening', quantity: 100, price: 2500, tradeDate: '2024-04-01', account: '特定' }),
+        expect.objectContaining({ symbol: '03311187', side: 'opening', quantity: 1, price: 25000 })
+      ]);
+      expect(portfolio.holdings).toEqual([
+        expect.objectContaining({ symbol: '7203', shares: 100, cost: 2500, dataType: 'jp-stock' }),
+        expect.objectContaining({ symbol: '03311187', shares: 1, cost: 25000, dataType: 'mutual-fund' })
+      ]);
+      expect(result.file.fileId).toBe('file-123');
+      expect(result.unmapped).toHaveLength(1);
+    });
+
+    test('ポートフォリオ名とファイルIDを省略した場合は新規作成する', async () => {
+      await importBrokerPortfolio('access-token', rakutenCsv);
+
+      const [, portfolio, fileId] = googleDriveService.savePortfolioToDrive.mock.calls[0];
+      expect(portfolio.name).toBe('楽天証券 インポート');
+      expect(fileId).toBeNull();
+    });
+  });
+});
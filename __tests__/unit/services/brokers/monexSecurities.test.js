@@ -0,0 +1,55 @@
+/**
+ * ファイルパス: __tests__/unit/services/brokers/monexSecurities.test.js
+ *
+ * マネックス証券CSVパーサーのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-31
+ */
+
+const monexSecurities = require('../../../../src/services/brokers/monexSecurities');
+const { parseCsvRows } = require('../../../../src/utils/brokerCsvUtils');
+
+describe('monexSecurities', () => {
+  test('見出し行からマネックス証券の形式を判定する', () => {
+    expect(monexSecurities.detect([['銘柄コード', '銘柄名', '口座区分', '保有数量', '平均取得単価']])).toBe(true);
+    expect(monexSecurities.detect([['銘柄（コード）', '取得単価']])).toBe(false);
+  });
+
+  test('商品区分に応じて保有銘柄を変換する', () => {
+    const csv = [
+      '商品区分,銘柄コード,銘柄名,口座区分,保有数量,平均取得単価,通貨',
+      '国内株式,6758,ソニーグループ,特定,100,"12,000",',
+      '米国株式,msft,マイクロソフト,NISA（成長投資枠）,3,400.25,USD',
+      '投資信託,,ニッセイ外国株式インデックスファンド,一般,"20,000","30,000",',
+      '外貨MMF,,米ドルMMF,特定,1000,1,USD',
+      '合計,,,,,,'
+    ].join('\n');
+
+    const { positions, skipped } = monexSecurities.parse(parseCsvRows(csv));
+
+    expect(positions).toEqual([
+      expect.objectContaining({ symbol: '6758', dataType: 'jp-stock', shares: 100, cost: 12000, currency: 'JPY', account: '特定' }),
+      expect.objectContaining({ symbol: 'MSFT', dataType: 'us-stock', shares: 3, cost: 400.25, currency: 'USD', account: 'NISA成長投資枠' }),
+      expect.objectContaining({ symbol: null, dataType: 'mutual-fund', shares: 2, cost: 30000, currency: 'JPY', account: '一般' })
+    ]);
+    expect(skipped).toEqual([
+      { row: 5, reason: 'Unsupported category: 外貨MMF', value: '米ドルMMF' }
+    ]);
+  });
+
+  test('商品区分が無い場合は銘柄コードからデータタイプを判定する', () => {
+    const csv = [
+      '銘柄コード,銘柄名,口座区分,保有数量,平均取得単価',
+      '7203,トヨタ自動車,特定,100,2500',
+      'AAPL,アップル,特定,0,180'
+    ].join('\n');
+
+    const { positions, skipped } = monexSecurities.parse(parseCsvRows(csv));
+
+    expect(positions).toEqual([
+      expect.objectContaining({ symbol: '7203', dataType: 'jp-stock', currency: 'JPY' })
+    ]);
+    expect(skipped).toEqual([{ row: 3, reason: 'Invalid quantity or cost', value: 'アップル' }]);
+  });
+});
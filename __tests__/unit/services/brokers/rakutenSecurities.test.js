@@ -0,0 +1,49 @@
+/**
+ * ファイルパス: __tests__/unit/services/brokers/rakutenSecurities.test.js
+ *
+ * 楽天証券CSVパーサーのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-31
+ */
+
+const rakutenSecurities = require('../../../../src/services/brokers/rakutenSecurities');
+const { parseCsvRows } = require('../../../../src/utils/brokerCsvUtils');
+
+describe('rakutenSecurities', () => {
+  const csv = [
+    '"■ 保有商品詳細 (すべて）"',
+    '"種別","銘柄コード・ティッカー","銘柄","口座","保有数量","［単位］","平均取得価額","［単位］","現在値","［単位］"',
+    '"国内株式","7203","トヨタ自動車","特定","200","株","2,450.5","円","2,800","円"',
+    '"米国株式","VTI","バンガード トータル ストック マーケット ETF","NISA成長投資枠","5","口","220.12","USD","250","USD"',
+    '"投資信託","","楽天・全米株式インデックス・ファンド","NISAつみたて投資枠","50,000","口","25,000","円/1万口","28,000","円"',
+    '"国内債券","","個人向け国債","特定","100,000","円","100","円","100","円"',
+    '"合計","","","","","","","","",""'
+  ].join('\n');
+
+  test('見出し行から楽天証券の形式を判定する', () => {
+    expect(rakutenSecurities.detect(parseCsvRows(csv))).toBe(true);
+    expect(rakutenSecurities.detect([['銘柄（コード）', '取得単価']])).toBe(false);
+  });
+
+  test('種別ごとに保有銘柄を変換し、対象外の種別は除外する', () => {
+    const { positions, skipped } = rakutenSecurities.parse(parseCsvRows(csv));
+
+    expect(positions).toEqual([
+      expect.objectContaining({ symbol: '7203', dataType: 'jp-stock', shares: 200, cost: 2450.5, currency: 'JPY', account: '特定' }),
+      expect.objectContaining({ symbol: 'VTI', dataType: 'us-stock', shares: 5, cost: 220.12, currency: 'USD', account: 'NISA成長投資枠' }),
+      expect.objectContaining({
+        symbol: null,
+        name: '楽天・全米株式インデックス・ファンド',
+        dataType: 'mutual-fund',
+        shares: 5,
+        cost: 25000,
+        currency: 'JPY',
+        account: 'NISAつみたて投資枠'
+      })
+    ]);
+    expect(skipped).toEqual([
+      { row: 6, reason: 'Unsupported category: 国内債券', value: '個人向け国債' }
+    ]);
+  });
+});
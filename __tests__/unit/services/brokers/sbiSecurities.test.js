@@ -0,0 +1,73 @@
+/**
+ * ファイルパス: __tests__/unit/services/brokers/sbiSecurities.test.js
+ *
+ * SBI証券CSVパーサーのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-31
+ */
+
+const sbiSecurities = require('../../../../src/services/brokers/sbiSecurities');
+const { parseCsvRows } = require('../../../../src/utils/brokerCsvUtils');
+
+describe('sbiSecurities', () => {
+  const csv = [
+    'ポートフォリオ一覧',
+    '"株式（特定預り）"',
+    '"銘柄（コード）","買付日","数量","取得単価","現在値","評価額"',
+    '"7203 トヨタ自動車","2024/04/01","100","2,500","2,800","280,000"',
+    '"9984 ソフトバンクグループ","--","-","8,000","9,000","0"',
+    '"株式（特定預り）合計","","","","","280,000"',
+    '"株式（NISA預り（成長投資枠））"',
+    '"銘柄（ティッカー）","買付日","数量","取得単価","現在値","評価額"',
+    '"AAPL アップル","24/05/10","10","180.5","190","1,900"',
+    '"投資信託（金額/つみたて投資枠）"',
+    '"ファンド名","買付日","数量","取得単価","現在値","評価額"',
+    '"eMAXIS Slim 全世界株式（オール・カントリー）","--","123,456","20,000","22,000","271,603"'
+  ].join('\n');
+
+  test('見出し行からSBI証券の形式を判定する', () => {
+    expect(sbiSecurities.detect(parseCsvRows(csv))).toBe(true);
+    expect(sbiSecurities.detect([['銘柄コード・ティッカー', '保有数量']])).toBe(false);
+  });
+
+  test('セクションごとの保有銘柄を口座区分付きで変換する', () => {
+    const { positions, skipped } = sbiSecurities.parse(parseCsvRows(csv));
+
+    expect(positions).toEqual([
+      {
+        symbol: '7203',
+        name: 'トヨタ自動車',
+        dataType: 'jp-stock',
+        shares: 100,
+        cost: 2500,
+        currency: 'JPY',
+        account: '特定',
+        purchaseDate: '2024-04-01'
+      },
+      {
+        symbol: 'AAPL',
+        name: 'アップル',
+        dataType: 'us-stock',
+        shares: 10,
+        cost: 180.5,
+        currency: 'USD',
+        account: 'NISA成長投資枠',
+        purchaseDate: '2024-05-10'
+      },
+      {
+        symbol: null,
+        name: 'eMAXIS Slim 全世界株式（オール・カントリー）',
+        dataType: 'mutual-fund',
+        shares: 12.3456,
+        cost: 20000,
+        currency: 'JPY',
+        account: 'NISAつみたて投資枠',
+        purchaseDate: null
+      }
+    ]);
+    expect(skipped).toEqual([
+      { row: 5, reason: 'Invalid quantity or cost', value: '9984 ソフトバンクグループ' }
+    ]);
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * ファイルパス: __tests__/unit/services/exportService.test.js
+ *
+ * ポートフォリオエクスポートサービスのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-01
+ */
+
+const { exportPortfolioTable, exportPortfolioJson } = require('../../../src/services/exportService');
+const googleDriveService = require('../../../src/services/googleDriveService');
+const enhancedMarketDataService = require('../../../src/services/sources/enhancedMarketDataService');
+const exchangeRateService = require('../../../src/services/sources/exchangeRate');
+const { toCsv } = require('../../../src/utils/csvUtils');
+
+jest.mock('../../../src/services/googleDriveService');
+jest.mock('../../../src/services/sources/enhancedMarketDataService');
+jest.mock('../../../src/services/sources/exchangeRate');
+jest.mock('../../../src/utils/logger');
+
+describe('exportService', () => {
+  const metadata = {
+    id: 'file-123',
+    name: 'portfolio.json',
+    createdTime: '2025-05-01T00:00:00Z',
+    modifiedTime: '2025-05-20T00:00:00Z'
+  };
+
+  const portfolioData = {
+    name: 'Test Portfolio',
+    holdings: [
+      { symbol: 'AAPL', name: 'Apple Inc.', shares: 10, cost: 150, account: '特定' },
+      { symbol: '7203', name: 'トヨタ自動車', shares: 100, cost: 2000 },
+      { symbol: '2511', name: '日本債券ETF', shares: 10, cost: 1000, assetClass: 'bond' }
+    ],
+    targetAllocation: [{ region: 'japan', weight: 100 }]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    googleDriveService.getFileWithMetadata.mockResolvedValue({
+      content: JSON.stringify(portfolioData),
+      metadata
+    });
+    enhancedMarketDataService.getUsStocksData.mockResolvedValue({
+      AAPL: { ticker: 'AAPL', price: 200, currency: 'USD' }
+    });
+    enhancedMarketDataService.getJpStocksData.mockResolvedValue({
+      7203: { ticker: '7203', price: 2500, currency: 'JPY' }
+    });
+    enhancedMarketDataService.getMutualFundsData.mockResolvedValue({});
+    exchangeRateService.getBatchExchangeRates.mockResolvedValue({
+      'USD-JPY': { base: 'USD', target: 'JPY', rate: 150 }
+    });
+  });
+
+  describe('exportPortfolioTable', () => {
+    test('保有銘柄を日本語の見出しで出力し、価格は取得しない', async () => {
+      const result = await exportPortfolioTable('access-token', 'file-123');
+
+      expect(googleDriveService.getFileWithMetadata).toHaveBeenCalledWith('file-123', 'access-token');
+      expect(enhancedMarketDataService.getUsStocksData).not.toHaveBeenCalled();
+      expect(result.metadata).toEqual(metadata);
+      expect(result.columns[0]).toBe('銘柄コード');
+      expect(result.rows[0]).toEqual({
+        '銘柄コード': 'AAPL',
+        '銘柄名': 'Apple Inc.',
+        '種別': 'us-stock',
+        '通貨': 'USD',
+        '保有数': 10,
+        '平均取得単価': 150,
+        '取得金額': 1500,
+        '口座': '特定'
+      });
+      expect(result.rows[1]).toEqual(expect.objectContaining({ '通貨': 'JPY', '取得金額': 200000, '口座': null }));
+    });
+
+    test('評価額を現在価格で出力する', async () => {
+      const result = await exportPortfolioTable('access-token', 'file-123', { type: 'valuation', refresh: true });
+
+      expect(enhancedMarketDataService.getUsStocksData).toHaveBeenCalledWith(['AAPL'], true);
+      expect(result.baseCurrency).toBe('JPY');
+      expect(result.rows[0]).toEqual(expect.objectContaining({
+        '銘柄コード': 'AAPL',
+        '現在値': 200,
+        '為替レート': 150,
+        '評価額': 300000,
+        '評価損益': 75000,
+        '構成比(%)': 54.55
+      }));
+      expect(result.rows[2]).toEqual(expect.objectContaining({ '銘柄コード': '2511', '評価額': undefined, 'エラー': 'PRICE_UNAVAILABLE' }));
+    });
+
+    test('資産配分を分類ごとに集計する（評価できない銘柄は除外）', async () => {
+      const result = await exportPortfolioTable('access-token', 'file-123', { type: 'allocation' });
+
+      expect(result.columns).toEqual(['分類', '項目', '評価額', '構成比(%)', '銘柄数']);
+      expect(result.rows).toEqual([
+        { '分類': 'assetClass', '項目': 'equity', '評価額': 550000, '構成比(%)': 100, '銘柄数': 2 },
+        { '分類': 'region', '項目': 'us', '評価額': 300000, '構成比(%)': 54.55, '銘柄数': 1 },
+        { '分類': 'region', '項目': 'japan', '評価額': 250000, '構成比(%)': 45.45, '銘柄数': 1 },
+        { '分類': 'dataType', '項目': 'us-stock', '評価額': 300000, '構成比(%)': 54.55, '銘柄数': 1 },
+        { '分類': 'dataType', '項目': 'jp-stock', '評価額': 250000, '構成比(%)': 45.45, '銘柄数': 1 },
+        { '分類': 'currency', '項目': 'USD', '評価額': 300000, '構成比(%)': 54.55, '銘柄数': 1 },
+        { '分類': 'currency', '項目': 'JPY', '評価額': 250000, '構成比(%)': 45.45, '銘柄数': 1 }
+      ]);
+    });
+
+    test('CSVに変換すると数式として解釈される銘柄名・口座は無効化され、数値はそのまま出力される', async () => {
+      googleDriveService.getFileWithMetadata.mockResolvedValue({
+        content: JSON.stringify({
+          holdings: [{ symbol: 'AAPL', name: '=HYPERLINK("http://example.com")', shares: 10, cost: 150, account: '@SUM(A1)' }]
+        }),
+        metadata
+      });
+
+      const result = await exportPortfolioTable('access-token', 'file-123');
+      const csv = toCsv(result.rows, result.columns);
+
+      expect(csv.split('\r\n')[1]).toBe('AAPL,"\'=HYPERLINK(""http://example.com"")",us-stock,USD,10,150,1500,\'@SUM(A1)');
+    });
+
+    test('JSONとして解析できない場合はエラーにする', async () => {
+      googleDriveService.getFileWithMetadata.mockResolvedValue({ content: '{invalid', metadata });
+
+      await expect(exportPortfolioTable('access-token', 'file-123')).rejects.toThrow('Invalid portfolio data format');
+    });
+  });
+
+  describe('exportPortfolioJson', () => {
+    test('スキーマバージョン付きのエクスポートデータを作成する', async () => {
+      const result = await exportPortfolioJson('access-token', 'file-123', { baseCurrency: 'JPY' });
+
+      expect(result).toEqual(expect.objectContaining({
+        schema: 'portfolio-export',
+        schemaVersion: 1,
+        exportedAt: expect.any(String),
+        source: {
+          fileId: 'file-123',
+          fileName: 'portfolio.json',
+          createdTime: '2025-05-01T00:00:00Z',
+          modifiedTime: '2025-05-20T00:00:00Z'
+        }
+      }));
+      expect(result.portfolio).toEqual(expect.objectContaining({
+        name: 'Test Portfolio',
+        baseCurrency: 'JPY',
+        targetAllocation: [{ region: 'japan', weight: 100 }]
+      }));
+      expect(result.portfolio.holdings).toHaveLength(3);
+      expect(result.portfolio.transactions).toEqual(expect.arrayContaining([
+        expect.objectContaining({ symbol: 'AAPL', side: 'opening', quantity: 10 })
+      ]));
+      expect(result.valuation.totals.marketValue).toBe(550000);
+      expect(result.valuation.unpriced).toEqual(['2511']);
+      expect(result.allocation).toHaveLength(7);
+    });
+  });
+});
@@ -202,6 +202,23 @@ describe('Fallback Data Store Service', () => {
     });
   });
   
+  describe('getDefaultFallbackData', () => {
+    test('市場指数は指数ごとの目安の値を返す', () => {
+      expect(fallbackDataStore.getDefaultFallbackData('TOPIX', DATA_TYPES.INDEX)).toEqual(expect.objectContaining({
+        ticker: 'TOPIX',
+        price: 2700,
+        currency: 'JPY',
+        isIndex: true,
+        source: 'Default Fallback'
+      }));
+      expect(fallbackDataStore.getDefaultFallbackData('SPX', DATA_TYPES.INDEX).price).toBe(5400);
+    });
+
+    test('対応していない指数は null を返す', () => {
+      expect(fallbackDataStore.getDefaultFallbackData('FTSE', DATA_TYPES.INDEX)).toBeNull();
+    });
+  });
+  
   describe('getFallbackForSymbol', () => {
     test('特定の銘柄のフォールバックデータを取得する', async () => {
       // getFallbackDataの返り値を設定
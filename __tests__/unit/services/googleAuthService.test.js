@@ -60,7 +60,9 @@ describe('GoogleAuthService', () => {
     dynamoDbService.addItem = jest.fn().mockResolvedValue({});
     dynamoDbService.getItem = jest.fn().mockResolvedValue(null);
     dynamoDbService.deleteItem = jest.fn().mockResolvedValue({});
+    dynamoDbService.deleteItemIfExists = jest.fn().mockResolvedValue(null);
     dynamoDbService.updateItem = jest.fn().mockResolvedValue({});
+    dynamoDbService.queryItems = jest.fn().mockResolvedValue([]);
     
     // tokenManagerのモック関数を明示的に実装
     // ここがエラーの原因。tokenManagerの関数をモック関数に書き換える
@@ -89,6 +91,124 @@ describe('GoogleAuthService', () => {
     });
   });
 
+  describe('PKCEによるログイン開始とstateの検証', () => {
+    const redirectUri = 'https://app.example.com/auth/callback';
+
+    beforeEach(() => {
+      tokenManager.generateAuthUrl = jest.fn().mockReturnValue('https://accounts.google.com/o/oauth2/v2/auth?x=1');
+    });
+
+    test('stateとcode_verifierを保存し認可URLを返す', async () => {
+      const result = await googleAuthService.createAuthorizationRequest(redirectUri);
+
+      expect(result).toEqual({
+        authorizationUrl: 'https://accounts.google.com/o/oauth2/v2/auth?x=1',
+        state: expect.stringMatching(/^[A-Za-z0-9_-]{43}$/),
+        expiresAt: expect.any(String)
+      });
+
+      const [tableName, item] = dynamoDbService.addItem.mock.calls[0];
+      expect(tableName).toMatch(/oauth-states$/);
+      expect(item).toEqual(expect.objectContaining({
+        stateHash: expect.stringMatching(/^[0-9a-f]{64}$/),
+        codeVerifier: expect.stringMatching(/^[A-Za-z0-9_-]{43}$/),
+        redirectUri,
+        ttl: expect.any(Number)
+      }));
+      // state はハッシュ値のみ保存する
+      expect(item.stateHash).not.toBe(result.state);
+
+      // code_challenge は code_verifier の SHA-256（base64url）
+      const crypto = require('crypto');
+      expect(tokenManager.generateAuthUrl).toHaveBeenCalledWith(expect.objectContaining({
+        redirectUri,
+        state: result.state,
+        codeChallenge: crypto.createHash('sha256').update(item.codeVerifier).digest('base64url'),
+        scopes: expect.arrayContaining(['openid', 'https://www.googleapis.com/auth/drive.file'])
+      }));
+    });
+
+    test('有効なstateを消費してcode_verifierを返す', async () => {
+      const { state } = await googleAuthService.createAuthorizationRequest(redirectUri);
+      const stored = dynamoDbService.addItem.mock.calls[0][1];
+      dynamoDbService.deleteItemIfExists.mockResolvedValue(stored);
+
+      const result = await googleAuthService.consumeAuthorizationRequest(state, redirectUri, state);
+
+      expect(result).toEqual({ codeVerifier: stored.codeVerifier });
+      expect(dynamoDbService.deleteItemIfExists).toHaveBeenCalledWith(expect.any(String), { stateHash: stored.stateHash });
+      expect(dynamoDbService.getItem).not.toHaveBeenCalled();
+    });
+
+    test('同じstateの同時利用では削除できた1件だけがcode_verifierを受け取る', async () => {
+      const { state } = await googleAuthService.createAuthorizationRequest(redirectUri);
+      const stored = dynamoDbService.addItem.mock.calls[0][1];
+      dynamoDbService.deleteItemIfExists
+        .mockResolvedValueOnce(stored)
+        .mockResolvedValueOnce(null);
+
+      const results = await Promise.all([
+        googleAuthService.consumeAuthorizationRequest(state, redirectUri, state),
+        googleAuthService.consumeAuthorizationRequest(state, redirectUri, state)
+      ]);
+
+      expect(results).toEqual([{ codeVerifier: stored.codeVerifier }, null]);
+    });
+
+    test('存在しないstateはnullを返す', async () => {
+      await expect(googleAuthService.consumeAuthorizationRequest('unknown', redirectUri, 'unknown')).resolves.toBeNull();
+      await expect(googleAuthService.consumeAuthorizationRequest(undefined, redirectUri, undefined)).resolves.toBeNull();
+      expect(dynamoDbService.deleteItemIfExists).toHaveBeenCalledTimes(1);
+    });
+
+    test('state Cookieが無い場合はstateを消費せずnullを返す', async () => {
+      const { state } = await googleAuthService.createAuthorizationRequest(redirectUri);
+      dynamoDbService.deleteItemIfExists.mockResolvedValue(dynamoDbService.addItem.mock.calls[0][1]);
+
+      await expect(googleAuthService.consumeAuthorizationRequest(state, redirectUri)).resolves.toBeNull();
+      expect(dynamoDbService.deleteItemIfExists).not.toHaveBeenCalled();
+    });
+
+    test('state Cookieが一致しない場合（別のブラウザで開始したログイン）はnullを返す', async () => {
+      const { state } = await googleAuthService.createAuthorizationRequest(redirectUri);
+      dynamoDbService.deleteItemIfExists.mockResolvedValue(dynamoDbService.addItem.mock.calls[0][1]);
+
+      await expect(googleAuthService.consumeAuthorizationRequest(state, redirectUri, 'victim-state')).resolves.toBeNull();
+      await expect(googleAuthService.consumeAuthorizationRequest(state, redirectUri, `${state}x`)).resolves.toBeNull();
+      expect(dynamoDbService.deleteItemIfExists).not.toHaveBeenCalled();
+    });
+
+    test('期限切れのstateは削除してnullを返す', async () => {
+      dynamoDbService.deleteItemIfExists.mockResolvedValue({
+        stateHash: 'hash',
+        codeVerifier: 'verifier',
+        redirectUri,
+        expiresAt: new Date(Date.now() - 1000).toISOString()
+      });
+
+      await expect(googleAuthService.consumeAuthorizationRequest('state', redirectUri, 'state')).resolves.toBeNull();
+      expect(dynamoDbService.deleteItemIfExists).toHaveBeenCalled();
+    });
+
+    test('リダイレクトURIが異なる場合は削除してnullを返す', async () => {
+      dynamoDbService.deleteItemIfExists.mockResolvedValue({
+        stateHash: 'hash',
+        codeVerifier: 'verifier',
+        redirectUri,
+        expiresAt: new Date(Date.now() + 60000).toISOString()
+      });
+
+      await expect(googleAuthService.consumeAuthorizationRequest('state', 'https://evil.example.com/cb', 'state')).resolves.toBeNull();
+      expect(dynamoDbService.deleteItemIfExists).toHaveBeenCalled();
+    });
+
+    test('code_verifierを指定してコードを交換する', async () => {
+      await googleAuthService.exchangeCodeForTokens('auth-code', redirectUri, 'verifier');
+
+      expect(tokenManager.exchangeCodeForTokens).toHaveBeenCalledWith('auth-code', redirectUri, 'verifier');
+    });
+  });
+
   describe('verifyIdToken', () => {
     test('IDトークンを検証してユーザー情報を取得する', async () => {
       const result = await googleAuthService.verifyIdToken('test-id-token');
@@ -269,4 +389,182 @@ describe('GoogleAuthService', () => {
       expect(dynamoDbService.updateItem).not.toHaveBeenCalled(); // セッションが更新されないことを確認
     });
   });
+
+  describe('セッション管理（一覧・取り消し）', () => {
+    const future = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const chromeOnWindows = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0 Safari/537.36';
+    const userSessions = () => [
+      {
+        sessionId: 'session-a',
+        googleId: 'google-user-123',
+        accessToken: 'secret-a',
+        userAgent: chromeOnWindows,
+        ipAddress: '203.0.113.1',
+        createdAt: '2025-06-01T00:00:00.000Z',
+        lastSeenAt: '2025-06-07T00:00:00.000Z',
+        expiresAt: future()
+      },
+      {
+        sessionId: 'session-b',
+        googleId: 'google-user-123',
+        accessToken: 'secret-b',
+        createdAt: '2025-06-02T00:00:00.000Z',
+        updatedAt: '2025-06-08T00:00:00.000Z',
+        expiresAt: future()
+      },
+      {
+        sessionId: 'session-expired',
+        googleId: 'google-user-123',
+        createdAt: '2025-05-01T00:00:00.000Z',
+        expiresAt: '2025-05-08T00:00:00.000Z'
+      }
+    ];
+
+    test('createUserSession は端末情報と最終アクセス日時を保存する', async () => {
+      await googleAuthService.createUserSession({ ...mockUserData, ipAddress: '203.0.113.1', userAgent: chromeOnWindows });
+
+      expect(dynamoDbService.addItem).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({
+        ipAddress: '203.0.113.1',
+        userAgent: chromeOnWindows,
+        lastSeenAt: expect.any(String)
+      }));
+    });
+
+    test('getSessionPublicId はセッションIDと異なる固定長のIDを返す', () => {
+      const publicId = googleAuthService.getSessionPublicId('session-a');
+
+      expect(publicId).toMatch(/^[0-9a-f]{32}$/);
+      expect(publicId).not.toContain('session-a');
+      expect(googleAuthService.getSessionPublicId('session-a')).toBe(publicId);
+    });
+
+    test('listUserSessions は googleId インデックスを検索し、トークンを含めずに新しい順で返す', async () => {
+      dynamoDbService.queryItems.mockResolvedValueOnce(userSessions());
+
+      const result = await googleAuthService.listUserSessions('google-user-123', 'session-a');
+
+      expect(dynamoDbService.queryItems).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({
+        indexName: 'googleId-index',
+        expressionAttributeValues: { ':googleId': 'google-user-123' }
+      }));
+      expect(result).toEqual([
+        {
+          id: googleAuthService.getSessionPublicId('session-b'),
+          device: 'Unknown device',
+          userAgent: null,
+          ipAddress: null,
+          createdAt: '2025-06-02T00:00:00.000Z',
+          lastSeenAt: '2025-06-08T00:00:00.000Z',
+          expiresAt: expect.any(String),
+          current: false
+        },
+        expect.objectContaining({
+          id: googleAuthService.getSessionPublicId('session-a'),
+          device: 'Chrome on Windows',
+          ipAddress: '203.0.113.1',
+          current: true
+        })
+      ]);
+      expect(JSON.stringify(result)).not.toContain('secret-');
+    });
+
+    test('listUserSessions は検索エラーを汎用メッセージに変換する', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      dynamoDbService.queryItems.mockRejectedValueOnce(new Error('query failed'));
+
+      await expect(googleAuthService.listUserSessions('google-user-123'))
+        .rejects.toThrow('セッション一覧の取得に失敗しました');
+      console.error.mockRestore();
+    });
+
+    test('revokeUserSession は公開IDに一致するセッションを削除する', async () => {
+      dynamoDbService.queryItems.mockResolvedValueOnce(userSessions());
+
+      const result = await googleAuthService.revokeUserSession(
+        'google-user-123',
+        googleAuthService.getSessionPublicId('session-b'),
+        'session-a'
+      );
+
+      expect(dynamoDbService.deleteItem).toHaveBeenCalledWith(expect.any(String), { sessionId: 'session-b' });
+      expect(result).toEqual(expect.objectContaining({ current: false }));
+    });
+
+    test('revokeUserSession は他のユーザー・期限切れのセッションを見つからないものとして扱う', async () => {
+      dynamoDbService.queryItems.mockResolvedValueOnce(userSessions());
+
+      await expect(googleAuthService.revokeUserSession(
+        'google-user-123',
+        googleAuthService.getSessionPublicId('session-expired')
+      )).rejects.toThrow('Session not found');
+      expect(dynamoDbService.deleteItem).not.toHaveBeenCalled();
+    });
+
+    test('invalidateUserSessions はすべての有効なセッションを削除する', async () => {
+      dynamoDbService.queryItems.mockResolvedValueOnce(userSessions());
+
+      const result = await googleAuthService.invalidateUserSessions('google-user-123');
+
+      expect(dynamoDbService.deleteItem).toHaveBeenCalledTimes(2);
+      expect(result).toEqual({ revoked: 2, failed: 0 });
+    });
+
+    test('invalidateUserSessions は指定したセッションを残す', async () => {
+      dynamoDbService.queryItems.mockResolvedValueOnce(userSessions());
+
+      const result = await googleAuthService.invalidateUserSessions('google-user-123', { exceptSessionId: 'session-a' });
+
+      expect(dynamoDbService.deleteItem).toHaveBeenCalledWith(expect.any(String), { sessionId: 'session-b' });
+      expect(dynamoDbService.deleteItem).not.toHaveBeenCalledWith(expect.any(String), { sessionId: 'session-a' });
+      expect(result).toEqual({ revoked: 1, failed: 0 });
+    });
+
+    test('invalidateUserSessions は削除に失敗した件数を返す', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      dynamoDbService.queryItems.mockResolvedValueOnce(userSessions());
+      dynamoDbService.deleteItem.mockRejectedValueOnce(new Error('delete failed'));
+
+      const result = await googleAuthService.invalidateUserSessions('google-user-123');
+
+      expect(result).toEqual({ revoked: 1, failed: 1 });
+      console.error.mockRestore();
+    });
+
+    describe('touchSession', () => {
+      test('最終アクセスから一定時間が経過していない場合は更新しない', async () => {
+        const result = await googleAuthService.touchSession('session-a', {
+          lastSeenAt: new Date().toISOString(),
+          ipAddress: '203.0.113.1'
+        }, { ipAddress: '203.0.113.1' });
+
+        expect(result).toBe(false);
+        expect(dynamoDbService.updateItem).not.toHaveBeenCalled();
+      });
+
+      test('一定時間が経過した場合は最終アクセス日時と端末情報を更新する', async () => {
+        const result = await googleAuthService.touchSession('session-a', {
+          lastSeenAt: new Date(Date.now() - 10 * 60 * 1000).toISOString()
+        }, { ipAddress: '203.0.113.9', userAgent: chromeOnWindows });
+
+        expect(result).toBe(true);
+        expect(dynamoDbService.updateItem).toHaveBeenCalledWith(
+          expect.any(String),
+          { sessionId: 'session-a' },
+          expect.stringContaining('#lastSeenAt = :lastSeenAt'),
+          expect.objectContaining({ '#ipAddress': 'ipAddress', '#userAgent': 'userAgent' }),
+          expect.objectContaining({ ':ipAddress': '203.0.113.9' })
+        );
+      });
+
+      test('IPアドレスが変わった場合はすぐに更新する', async () => {
+        const result = await googleAuthService.touchSession('session-a', {
+          lastSeenAt: new Date().toISOString(),
+          ipAddress: '203.0.113.1'
+        }, { ipAddress: '198.51.100.2' });
+
+        expect(result).toBe(true);
+        expect(dynamoDbService.updateItem).toHaveBeenCalled();
+      });
+    });
+  });
 });
@@ -38,6 +38,15 @@ describe('GoogleDriveService', () => {
       update: jest.fn(),
       delete: jest.fn(),
       copy: jest.fn()
+    },
+    revisions: {
+      list: jest.fn(),
+      get: jest.fn()
+    },
+    permissions: {
+      list: jest.fn(),
+      create: jest.fn(),
+      delete: jest.fn()
     }
   };
 
@@ -246,6 +255,12 @@ describe('GoogleDriveService', () => {
       }));
     });
 
+    test('ファイル名を指定しない更新では名前を送らない', async () => {
+      await googleDriveService.saveFile(null, mockFileContent, 'application/json', mockAccessToken, mockFileId);
+      
+      expect(mockDriveClient.files.update.mock.calls[0][0].resource).not.toHaveProperty('name');
+    });
+
     test('更新時にバックアップを作成する', async () => {
       // モックコピー関数を設定
       const copySpy = jest.fn().mockResolvedValue({
@@ -322,6 +337,71 @@ describe('GoogleDriveService', () => {
     });
   });
 
+  describe('getFileVersion', () => {
+    test('更新日時とリビジョンIDを取得する', async () => {
+      mockDriveClient.files.get.mockResolvedValueOnce({
+        data: { id: mockFileId, name: mockFileName, modifiedTime: '2025-05-15T00:00:00Z', headRevisionId: 'rev-2' }
+      });
+      
+      const result = await googleDriveService.getFileVersion(mockFileId, mockAccessToken);
+      
+      expect(result).toEqual({
+        id: mockFileId,
+        name: mockFileName,
+        modifiedTime: '2025-05-15T00:00:00Z',
+        revisionId: 'rev-2'
+      });
+      expect(mockDriveClient.files.get).toHaveBeenCalledWith({
+        fileId: mockFileId,
+        fields: 'id, name, modifiedTime, headRevisionId'
+      });
+    });
+    
+    test('取得に失敗した場合はエラーをスローする', async () => {
+      mockDriveClient.files.get.mockRejectedValueOnce(new Error('File not found'));
+      
+      await expect(googleDriveService.getFileVersion(mockFileId, mockAccessToken))
+        .rejects.toThrow('Failed to get file version from Google Drive');
+    });
+  });
+  
+  describe('listFileRevisions', () => {
+    test('リビジョン一覧を取得する', async () => {
+      const revisions = [
+        { id: 'rev-1', modifiedTime: '2025-05-10T00:00:00Z' },
+        { id: 'rev-2', modifiedTime: '2025-05-15T00:00:00Z' }
+      ];
+      mockDriveClient.revisions.list.mockResolvedValue({ data: { revisions } });
+      
+      const result = await googleDriveService.listFileRevisions(mockFileId, mockAccessToken);
+      
+      expect(result).toEqual(revisions);
+      expect(mockDriveClient.revisions.list).toHaveBeenCalledWith(expect.objectContaining({ fileId: mockFileId }));
+    });
+  });
+  
+  describe('getRevisionContent', () => {
+    test('リビジョンのコンテンツを取得する', async () => {
+      mockDriveClient.revisions.get.mockResolvedValue({ data: mockFileContent });
+      
+      const result = await googleDriveService.getRevisionContent(mockFileId, 'rev-1', mockAccessToken);
+      
+      expect(result).toBe(mockFileContent);
+      expect(mockDriveClient.revisions.get).toHaveBeenCalledWith({
+        fileId: mockFileId,
+        revisionId: 'rev-1',
+        alt: 'media'
+      });
+    });
+    
+    test('取得に失敗した場合はエラーをスローする', async () => {
+      mockDriveClient.revisions.get.mockRejectedValue(new Error('Revision not found'));
+      
+      await expect(googleDriveService.getRevisionContent(mockFileId, 'rev-0', mockAccessToken))
+        .rejects.toThrow('Failed to get file revision from Google Drive');
+    });
+  });
+  
   describe('listFiles', () => {
     test('ファイル一覧を取得する', async () => {
       // モックレスポンスの設定
@@ -387,6 +467,189 @@ describe('GoogleDriveService', () => {
     });
   });
 
+  describe('shareFile', () => {
+    test('閲覧権限を付与する', async () => {
+      mockDriveClient.permissions.create.mockResolvedValue({
+        data: { id: 'perm-1', type: 'user', role: 'reader', emailAddress: 'adviser@example.com' }
+      });
+      
+      const result = await googleDriveService.shareFile(mockFileId, 'adviser@example.com', mockAccessToken, {
+        notify: true,
+        message: 'ご確認ください'
+      });
+      
+      expect(mockDriveClient.permissions.create).toHaveBeenCalledWith(expect.objectContaining({
+        fileId: mockFileId,
+        resource: { type: 'user', role: 'reader', emailAddress: 'adviser@example.com' },
+        sendNotificationEmail: true,
+        emailMessage: 'ご確認ください'
+      }));
+      expect(result).toEqual(expect.objectContaining({ id: 'perm-1', role: 'reader' }));
+    });
+    
+    test('権限の付与に失敗した場合はエラーをスローする', async () => {
+      mockDriveClient.permissions.create.mockRejectedValue(new Error('Invalid email'));
+      
+      await expect(googleDriveService.shareFile(mockFileId, 'adviser@example.com', mockAccessToken))
+        .rejects.toThrow('Failed to share file on Google Drive');
+    });
+  });
+
+  describe('unshareFile', () => {
+    beforeEach(() => {
+      mockDriveClient.permissions.list.mockResolvedValue({
+        data: {
+          permissions: [
+            { id: 'perm-owner', type: 'user', role: 'owner', emailAddress: 'owner@example.com' },
+            { id: 'perm-1', type: 'user', role: 'reader', emailAddress: 'Adviser@example.com' }
+          ]
+        }
+      });
+      mockDriveClient.permissions.delete.mockResolvedValue({});
+    });
+    
+    test('メールアドレスで権限を探して取り消す', async () => {
+      const result = await googleDriveService.unshareFile(mockFileId, { emailAddress: 'adviser@example.com' }, mockAccessToken);
+      
+      expect(mockDriveClient.permissions.delete).toHaveBeenCalledWith({ fileId: mockFileId, permissionId: 'perm-1' });
+      expect(result.id).toBe('perm-1');
+    });
+    
+    test('共有されていない相手の場合はエラーをスローする', async () => {
+      await expect(googleDriveService.unshareFile(mockFileId, { emailAddress: 'other@example.com' }, mockAccessToken))
+        .rejects.toThrow('Share not found for the user');
+      expect(mockDriveClient.permissions.delete).not.toHaveBeenCalled();
+    });
+    
+    test('所有者の権限は取り消さない', async () => {
+      await expect(googleDriveService.unshareFile(mockFileId, { permissionId: 'perm-owner' }, mockAccessToken))
+        .rejects.toThrow('Cannot remove the file owner');
+      expect(mockDriveClient.permissions.delete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('renameFile', () => {
+    test('ファイル名を変更する', async () => {
+      mockDriveClient.files.update.mockResolvedValueOnce({ data: { id: mockFileId, name: 'NISA口座.json' } });
+      
+      const result = await googleDriveService.renameFile(mockFileId, 'NISA口座.json', mockAccessToken);
+      
+      expect(mockDriveClient.files.update).toHaveBeenCalledWith(expect.objectContaining({
+        fileId: mockFileId,
+        resource: { name: 'NISA口座.json' }
+      }));
+      expect(result.name).toBe('NISA口座.json');
+    });
+  });
+
+  describe('restoreFile', () => {
+    test('ゴミ箱から復元する', async () => {
+      await googleDriveService.restoreFile(mockFileId, mockAccessToken);
+      
+      expect(mockDriveClient.files.update).toHaveBeenCalledWith(expect.objectContaining({
+        fileId: mockFileId,
+        resource: { trashed: false }
+      }));
+    });
+    
+    test('復元に失敗した場合はエラーをスローする', async () => {
+      mockDriveClient.files.update.mockRejectedValueOnce(new Error('File not found'));
+      
+      await expect(googleDriveService.restoreFile(mockFileId, mockAccessToken))
+        .rejects.toThrow('Failed to restore file in Google Drive');
+    });
+  });
+
+  describe('サブフォルダ', () => {
+    beforeEach(() => {
+      mockDriveClient.files.list.mockImplementation((params) => {
+        if (params.q.startsWith('name=')) {
+          return Promise.resolve({ data: { files: params.q.includes('PortfolioManagerData') ? [{ id: mockFolderId }] : [] } });
+        }
+        return Promise.resolve({
+          data: {
+            files: [
+              { id: 'folder-nisa', name: 'NISA口座' },
+              { id: mockBackupFolderId, name: 'PortfolioManagerBackups' }
+            ]
+          }
+        });
+      });
+    });
+    
+    test('バックアップフォルダを除いたサブフォルダ一覧を取得する', async () => {
+      const folders = await googleDriveService.listSubfolders(mockAccessToken);
+      
+      expect(folders).toEqual([{ id: 'folder-nisa', name: 'NISA口座' }]);
+    });
+    
+    test('データフォルダ直下にサブフォルダを作成する', async () => {
+      await googleDriveService.getOrCreateSubfolder(mockAccessToken, ' 特定口座 ');
+      
+      expect(mockDriveClient.files.create).toHaveBeenCalledWith(expect.objectContaining({
+        resource: expect.objectContaining({ name: '特定口座', parents: [mockFolderId] })
+      }));
+    });
+    
+    test.each([
+      [''],
+      ['a/b'],
+      ['PortfolioManagerBackups'],
+      ['x'.repeat(101)]
+    ])('不正なフォルダ名はエラーにする: %s', async (folderName) => {
+      await expect(googleDriveService.getOrCreateSubfolder(mockAccessToken, folderName))
+        .rejects.toThrow('Invalid folder name');
+    });
+    
+    test('フォルダ名の引用符をエスケープして検索する', async () => {
+      await googleDriveService.getOrCreateSubfolder(mockAccessToken, "Bob's");
+      
+      expect(mockDriveClient.files.list).toHaveBeenCalledWith(expect.objectContaining({
+        q: expect.stringContaining("name='Bob\\'s'")
+      }));
+    });
+  });
+
+  describe('listPortfolioFiles', () => {
+    test('このアプリで保存したJSONファイルを一覧する', async () => {
+      const listFilesSpy = jest.spyOn(googleDriveService, 'listFiles').mockResolvedValue([]);
+      
+      await googleDriveService.listPortfolioFiles(mockAccessToken, { maxResults: 10 });
+      
+      expect(listFilesSpy).toHaveBeenCalledWith(mockAccessToken, {
+        maxResults: 10,
+        folderId: undefined,
+        mimeType: 'application/json',
+        appFilesOnly: true
+      });
+      listFilesSpy.mockRestore();
+    });
+    
+    test('サブフォルダを指定した場合はそのフォルダ内を一覧する', async () => {
+      const listFilesSpy = jest.spyOn(googleDriveService, 'listFiles').mockResolvedValue([]);
+      const findSpy = jest.spyOn(googleDriveService, 'findSubfolder')
+        .mockResolvedValueOnce('folder-nisa')
+        .mockResolvedValueOnce(null);
+      
+      await googleDriveService.listPortfolioFiles(mockAccessToken, { folder: 'NISA口座' });
+      const missing = await googleDriveService.listPortfolioFiles(mockAccessToken, { folder: '存在しない' });
+      
+      expect(listFilesSpy).toHaveBeenCalledTimes(1);
+      expect(listFilesSpy).toHaveBeenCalledWith(mockAccessToken, expect.objectContaining({ folderId: 'folder-nisa' }));
+      expect(missing).toEqual([]);
+      listFilesSpy.mockRestore();
+      findSpy.mockRestore();
+    });
+    
+    test('アプリのファイルに絞る条件をクエリに含める', async () => {
+      await googleDriveService.listFiles(mockAccessToken, { folderId: 'folder-nisa', appFilesOnly: true });
+      
+      expect(mockDriveClient.files.list).toHaveBeenCalledWith(expect.objectContaining({
+        q: "'folder-nisa' in parents and trashed=false and appProperties has { key='appId' and value='portfolio-manager' }"
+      }));
+    });
+  });
+
   describe('loadPortfolioFromDrive', () => {
     test('ポートフォリオデータを読み込む', async () => {
       const result = await googleDriveService.loadPortfolioFromDrive(mockAccessToken, mockFileId);
@@ -470,6 +733,19 @@ describe('GoogleDriveService', () => {
       // Dateをリストア
       global.Date = realDate;
     });
+    
+    test('既存ファイルの更新ではファイル名を変更しない', async () => {
+      const saveFileSpy = jest.spyOn(googleDriveService, 'saveFile').mockResolvedValue({
+        id: mockFileId,
+        name: 'NISA口座.json'
+      });
+      
+      const result = await googleDriveService.savePortfolioToDrive(mockAccessToken, { name: 'Test Portfolio' }, mockFileId);
+      
+      expect(saveFileSpy).toHaveBeenCalledWith(null, expect.any(String), 'application/json', mockAccessToken, mockFileId, true);
+      expect(result.fileName).toBe('NISA口座.json');
+      saveFileSpy.mockRestore();
+    });
   });
 
   describe('getPortfolioVersionHistory', () => {
@@ -516,6 +792,182 @@ describe('GoogleDriveService', () => {
         modifiedTime: expect.any(String),
         webViewLink: expect.any(String)
       }]);
+      
+      // ファイル名ではなく元ファイルIDでバックアップを検索する
+      expect(mockDriveClient.files.list).toHaveBeenCalledWith(expect.objectContaining({
+        q: `'${mockBackupFolderId}' in parents and appProperties has { key='originalFileId' and value='${mockFileId}' } and trashed=false`
+      }));
+    });
+  });
+  
+  describe('pruneBackups', () => {
+    const backupFile = (id, createdTime, originalFileId = mockFileId) => ({
+      id,
+      name: `${mockFileName}.${id}.bak`,
+      createdTime,
+      appProperties: originalFileId ? { originalFileId } : {}
+    });
+    
+    beforeEach(() => {
+      jest.useFakeTimers().setSystemTime(new Date('2025-06-04T12:00:00Z'));
+      mockDriveClient.files.list.mockImplementation((params) => {
+        if (params.q.includes('mimeType=\'application/vnd.google-apps.folder\'')) {
+          return Promise.resolve({ data: { files: [{ id: mockBackupFolderId }] } });
+        }
+        if (!params.pageToken) {
+          return Promise.resolve({
+            data: {
+              files: [
+                backupFile('recent', '2025-06-04T10:00:00Z'),
+                backupFile('day-late', '2025-06-01T20:00:00Z'),
+                backupFile('day-early', '2025-06-01T01:00:00Z')
+              ],
+              nextPageToken: 'page-2'
+            }
+          });
+        }
+        return Promise.resolve({
+          data: {
+            files: [
+              backupFile('other-file', '2025-06-01T00:00:00Z', 'other-file-id'),
+              backupFile('foreign', '2020-01-01T00:00:00Z', null)
+            ]
+          }
+        });
+      });
+      mockDriveClient.files.delete.mockResolvedValue({});
+    });
+    
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+    
+    test('すべてのページを取得し、元ファイルごとに古いバックアップを完全に削除する', async () => {
+      const result = await googleDriveService.pruneBackups(mockAccessToken);
+      
+      expect(mockDriveClient.files.list).toHaveBeenCalledWith(expect.objectContaining({ pageToken: 'page-2' }));
+      expect(mockDriveClient.files.delete).toHaveBeenCalledTimes(1);
+      expect(mockDriveClient.files.delete).toHaveBeenCalledWith({ fileId: 'day-early' });
+      expect(result).toEqual({
+        policy: { keepAllHours: 24, dailyDays: 30, monthlyMonths: 0 },
+        kept: 3,
+        pruned: [{
+          id: 'day-early',
+          name: `${mockFileName}.day-early.bak`,
+          createdTime: '2025-06-01T01:00:00Z',
+          originalFileId: mockFileId
+        }],
+        failed: []
+      });
+    });
+    
+    test('ファイルIDを指定した場合はそのファイルのバックアップだけを検索する', async () => {
+      await googleDriveService.pruneBackups(mockAccessToken, { fileId: mockFileId });
+      
+      expect(mockDriveClient.files.list).toHaveBeenCalledWith(expect.objectContaining({
+        q: expect.stringContaining(`value='${mockFileId}'`)
+      }));
+    });
+    
+    test('dryRunの場合は削除しない', async () => {
+      const result = await googleDriveService.pruneBackups(mockAccessToken, { dryRun: true, policy: { dailyDays: 0 } });
+      
+      expect(mockDriveClient.files.delete).not.toHaveBeenCalled();
+      expect(result.pruned.map(item => item.id)).toEqual(['day-early']);
+    });
+    
+    test('削除に失敗したバックアップはfailedに含める', async () => {
+      mockDriveClient.files.delete.mockRejectedValue(new Error('Permission denied'));
+      
+      const result = await googleDriveService.pruneBackups(mockAccessToken);
+      
+      expect(result.pruned).toEqual([]);
+      expect(result.failed.map(item => item.id)).toEqual(['day-early']);
+    });
+    
+    test('バックアップ作成後に元ファイルのバックアップを整理する', async () => {
+      const drive = googleDriveService.getDriveClient(mockAccessToken);
+      
+      const backup = await googleDriveService.createFileBackup(drive, mockFileId, mockAccessToken);
+      
+      expect(backup).toEqual(expect.objectContaining({ id: 'backup-file-id' }));
+      expect(mockDriveClient.files.delete).toHaveBeenCalledWith({ fileId: 'day-early' });
+    });
+    
+    test('整理に失敗してもバックアップの作成は成功とする', async () => {
+      mockDriveClient.files.list.mockImplementation((params) => {
+        if (params.q.includes('mimeType=\'application/vnd.google-apps.folder\'')) {
+          return Promise.resolve({ data: { files: [{ id: mockBackupFolderId }] } });
+        }
+        return Promise.reject(new Error('Rate limit exceeded'));
+      });
+      const drive = googleDriveService.getDriveClient(mockAccessToken);
+      
+      const backup = await googleDriveService.createFileBackup(drive, mockFileId, mockAccessToken);
+      
+      expect(backup).toEqual(expect.objectContaining({ id: 'backup-file-id' }));
+      expect(logger.warn).toHaveBeenCalledWith(`Failed to prune backups for ${mockFileId}:`, expect.any(Error));
+    });
+  });
+
+  describe('restorePortfolioVersion', () => {
+    const mockVersionId = 'backup-version-id';
+    
+    beforeEach(() => {
+      mockDriveClient.files.get.mockImplementation((params) => {
+        if (params.alt === 'media') {
+          return Promise.resolve({ data: JSON.stringify({ name: 'Old Data' }) });
+        }
+        if (params.fileId === mockVersionId) {
+          return Promise.resolve({
+            data: {
+              id: mockVersionId,
+              name: `${mockFileName}.2025-05-20T00-00-00-000Z.bak`,
+              createdTime: '2025-05-20T00:00:00Z',
+              appProperties: { originalFileId: mockFileId }
+            }
+          });
+        }
+        return Promise.resolve({ data: { id: params.fileId, name: mockFileName, mimeType: 'application/json' } });
+      });
+    });
+    
+    test('バックアップを作成してから現在のファイルを上書きする', async () => {
+      const result = await googleDriveService.restorePortfolioVersion(mockFileId, mockVersionId, mockAccessToken);
+      
+      expect(mockDriveClient.files.copy).toHaveBeenCalledWith(expect.objectContaining({ fileId: mockFileId }));
+      expect(mockDriveClient.files.update).toHaveBeenCalledWith(expect.objectContaining({
+        fileId: mockFileId,
+        resource: expect.objectContaining({ name: mockFileName }),
+        media: { mimeType: 'application/json', body: JSON.stringify({ name: 'Old Data' }) }
+      }));
+      expect(mockDriveClient.files.copy.mock.invocationCallOrder[0])
+        .toBeLessThan(mockDriveClient.files.update.mock.invocationCallOrder[0]);
+      expect(result).toEqual({
+        file: expect.objectContaining({ id: mockFileId }),
+        backup: { id: 'backup-file-id', name: `${mockFileName}.2025-05-20T00-00-00Z.bak` },
+        restoredFrom: {
+          id: mockVersionId,
+          name: `${mockFileName}.2025-05-20T00-00-00-000Z.bak`,
+          createdTime: '2025-05-20T00:00:00Z'
+        }
+      });
+    });
+    
+    test('別のファイルのバックアップは復元しない', async () => {
+      await expect(googleDriveService.restorePortfolioVersion('other-file-id', mockVersionId, mockAccessToken))
+        .rejects.toThrow('Version does not belong to the file');
+      
+      expect(mockDriveClient.files.update).not.toHaveBeenCalled();
+    });
+    
+    test('バックアップを作成できない場合は復元しない', async () => {
+      mockDriveClient.files.copy.mockRejectedValueOnce(new Error('Quota exceeded'));
+      
+      await expect(googleDriveService.restorePortfolioVersion(mockFileId, mockVersionId, mockAccessToken))
+        .rejects.toThrow('Failed to create backup before restore');
+      
+      expect(mockDriveClient.files.update).not.toHaveBeenCalled();
     });
   });
 });
@@ -0,0 +1,289 @@
+/**
+ * ファイルパス: __tests__/unit/services/performanceService.test.js
+ *
+ * ポートフォリオパフォーマンス計算サービスのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-29
+ */
+
+const { calculatePerformance, xirr, _testExports } = require('../../../src/services/performanceService');
+const historicalDataService = require('../../../src/services/sources/historicalData');
+const exchangeRateService = require('../../../src/services/sources/exchangeRate');
+const corporateActionsService = require('../../../src/services/sources/corporateActions');
+
+jest.mock('../../../src/services/sources/historicalData');
+jest.mock('../../../src/services/sources/exchangeRate');
+jest.mock('../../../src/services/sources/corporateActions', () => ({
+  ...jest.requireActual('../../../src/services/sources/corporateActions'),
+  getCorporateActions: jest.fn()
+}));
+jest.mock('../../../src/utils/logger');
+
+const { getPeriodStartDate, selectHistoryRange, createSeriesLookup, unadjustSplits } = _testExports;
+
+describe('performanceService', () => {
+  const histories = {
+    7203: [
+      { date: '2025-01-06', close: 1000 },
+      { date: '2025-02-03', close: 1100 },
+      { date: '2025-03-03', close: 1200 },
+      { date: '2025-04-01', close: 1320 }
+    ],
+    AAPL: [
+      { date: '2025-01-06', close: 100 },
+      { date: '2025-04-01', close: 110 }
+    ],
+    'USD-JPY': [
+      { date: '2025-01-06', close: 150 },
+      { date: '2025-04-01', close: 160 }
+    ]
+  };
+
+  const tx = (fields) => ({ fees: 0, account: null, ...fields });
+
+  const jpPortfolio = {
+    transactions: [
+      tx({ symbol: '7203', tradeDate: '2025-01-06', side: 'buy', quantity: 100, price: 1000, currency: 'JPY' }),
+      tx({ symbol: '7203', tradeDate: '2025-03-03', side: 'buy', quantity: 100, price: 1200, currency: 'JPY' })
+    ]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    historicalDataService.getHistoricalData.mockImplementation(async ({ symbol }) => ({
+      symbol,
+      bars: histories[symbol] || []
+    }));
+    corporateActionsService.getCorporateActions.mockResolvedValue({ dividends: [], splits: [] });
+  });
+
+  describe('xirr', () => {
+    test('1年後に10%増えた場合は10%を返す', () => {
+      const rate = xirr([
+        { date: '2024-01-01', amount: -1000 },
+        { date: '2024-12-31', amount: 1100 }
+      ]);
+
+      expect(rate).toBeCloseTo(0.1, 6);
+    });
+
+    test('複数の拠出がある場合も正味現在価値が0になる収益率を返す', () => {
+      const flows = [
+        { date: '2025-01-06', amount: -100000 },
+        { date: '2025-03-03', amount: -120000 },
+        { date: '2025-04-01', amount: 264000 }
+      ];
+      const rate = xirr(flows);
+
+      const npv = flows.reduce((sum, flow) => {
+        const years = (Date.parse(flow.date) - Date.parse(flows[0].date)) / 86400000 / 365;
+        return sum + flow.amount / Math.pow(1 + rate, years);
+      }, 0);
+      expect(Math.abs(npv)).toBeLessThan(1e-4);
+    });
+
+    test('拠出または受取のみの場合はnullを返す', () => {
+      expect(xirr([{ date: '2025-01-01', amount: -100 }])).toBeNull();
+      expect(xirr([{ date: '2025-01-01', amount: -100 }, { date: '2025-01-01', amount: 100 }])).toBeNull();
+    });
+  });
+
+  describe('期間と履歴の補助関数', () => {
+    test('期間の開始日を算出する', () => {
+      expect(getPeriodStartDate('1mo', '2025-04-01')).toBe('2025-03-01');
+      expect(getPeriodStartDate('ytd', '2025-04-01')).toBe('2024-12-31');
+      expect(getPeriodStartDate('max', '2025-04-01')).toBeNull();
+    });
+
+    test('開始日をカバーする最小の履歴取得期間を選択する', () => {
+      expect(selectHistoryRange('2025-03-15', '2025-04-01')).toBe('1mo');
+      expect(selectHistoryRange('2024-06-01', '2025-04-01')).toBe('1y');
+      expect(selectHistoryRange('2010-01-01', '2025-04-01')).toBe('max');
+    });
+
+    test('指定日以前の直近の値を返す', () => {
+      const lookup = createSeriesLookup(histories[7203]);
+
+      expect(lookup('2025-01-01')).toBeNull();
+      expect(lookup('2025-02-03')).toBe(1100);
+      expect(lookup('2025-02-20')).toBe(1100);
+      expect(lookup('2025-12-31')).toBe(1320);
+    });
+
+    test('分割調整済みの終値を各日付より後の分割比率で当時の株価に戻す', () => {
+      const bars = [
+        { date: '2025-02-27', close: 50 },
+        { date: '2025-02-28', close: 51 },
+        { date: '2025-03-03', close: 52 }
+      ];
+      const splits = [{ date: '2025-02-28', ratio: 4 }];
+
+      expect(unadjustSplits(bars, splits).map(bar => bar.close)).toEqual([200, 51, 52]);
+      expect(unadjustSplits(bars, [])).toBe(bars);
+    });
+  });
+
+  describe('calculatePerformance', () => {
+    test('資金流出入の影響を除いた時間加重収益率を算出する', async () => {
+      const result = await calculatePerformance(jpPortfolio, {
+        periods: ['max', '1mo', 'ytd'],
+        asOf: '2025-04-01'
+      });
+
+      expect(historicalDataService.getHistoricalData).toHaveBeenCalledWith(
+        expect.objectContaining({ dataType: 'jp-stock', symbol: '7203', range: '3mo', interval: '1d' })
+      );
+      expect(exchangeRateService.getBatchExchangeRates).not.toHaveBeenCalled();
+      expect(result.baseCurrency).toBe('JPY');
+      expect(result.asOf).toBe('2025-04-01');
+
+      expect(result.periods.max).toEqual({
+        startDate: '2025-01-06',
+        endDate: '2025-04-01',
+        days: 85,
+        startValue: 0,
+        endValue: 264000,
+        netCashFlow: 220000,
+        gain: 44000,
+        twr: 32,
+        twrAnnualized: null,
+        xirr: expect.any(Number)
+      });
+      expect(result.periods.max.xirr).toBeGreaterThan(0);
+
+      // 1ヶ月: 2025-02-03 の評価額（110,000円）を期首とする
+      expect(result.periods['1mo']).toEqual(expect.objectContaining({
+        startDate: '2025-03-01',
+        startValue: 110000,
+        netCashFlow: 120000,
+        gain: 34000,
+        twr: 20
+      }));
+
+      // 年初来: 期首より後に取引を開始した場合は最初の取引日から計算する
+      expect(result.periods.ytd).toEqual(expect.objectContaining({ startDate: '2025-01-06', twr: 32 }));
+      expect(result.warnings).toEqual([]);
+    });
+
+    test('外貨建て銘柄は為替レート履歴で基準通貨に換算する', async () => {
+      const result = await calculatePerformance({
+        transactions: [
+          tx({ symbol: 'AAPL', tradeDate: '2025-01-06', side: 'buy', quantity: 10, price: 100, currency: 'USD' })
+        ]
+      }, { periods: ['max'], asOf: '2025-04-01' });
+
+      expect(historicalDataService.getHistoricalData).toHaveBeenCalledWith(
+        expect.objectContaining({ dataType: 'exchange-rate', symbol: 'USD-JPY' })
+      );
+
+      // 10株 × 100ドル × 150円 → 10株 × 110ドル × 160円
+      expect(result.periods.max).toEqual(expect.objectContaining({
+        startValue: 0,
+        endValue: 176000,
+        netCashFlow: 150000,
+        twr: 17.33
+      }));
+    });
+
+    test('売却代金と配当金は引き出しとして扱う', async () => {
+      const result = await calculatePerformance({
+        transactions: [
+          ...jpPortfolio.transactions,
+          tx({ symbol: '7203', tradeDate: '2025-04-01', side: 'sell', quantity: 100, price: 1320, currency: 'JPY' }),
+          tx({ symbol: '7203', tradeDate: '2025-04-01', side: 'dividend', quantity: 100, price: 50, fees: 1000, currency: 'JPY' })
+        ]
+      }, { periods: ['max'], asOf: '2025-04-01' });
+
+      // 最終日: 評価額 132,000円、引き出し 132,000 + 4,000円
+      // 日次収益率: (132,000 + 136,000) / 240,000 → 累積 1.2 × 1.11667 = 1.34
+      expect(result.periods.max).toEqual(expect.objectContaining({
+        endValue: 132000,
+        netCashFlow: 84000,
+        gain: 48000
+      }));
+      expect(result.periods.max.twr).toBe(34);
+    });
+
+    test('為替レート履歴が取得できない場合は現在のレートを使用する', async () => {
+      historicalDataService.getHistoricalData.mockImplementation(async ({ symbol }) => {
+        if (symbol === 'USD-JPY') {
+          throw new Error('API down');
+        }
+        return { symbol, bars: histories[symbol] || [] };
+      });
+      exchangeRateService.getBatchExchangeRates.mockResolvedValue({
+        'USD-JPY': { base: 'USD', target: 'JPY', rate: 155 }
+      });
+
+      const result = await calculatePerformance({
+        transactions: [
+          tx({ symbol: 'AAPL', tradeDate: '2025-01-06', side: 'buy', quantity: 10, price: 100, currency: 'USD' })
+        ]
+      }, { periods: ['max'], asOf: '2025-04-01' });
+
+      expect(exchangeRateService.getBatchExchangeRates).toHaveBeenCalledWith([{ base: 'USD', target: 'JPY' }]);
+      expect(result.periods.max.endValue).toBe(170500);
+      expect(result.periods.max.twr).toBe(10);
+      expect(result.warnings).toEqual(['No exchange rate history for USD-JPY; using current rate']);
+    });
+
+    test('期間内の株式分割では見かけ上の収益を計上しない', async () => {
+      // Yahoo Financeの終値は分割調整済み（分割前の 200 → 50）
+      historicalDataService.getHistoricalData.mockImplementation(async ({ symbol }) => ({
+        symbol,
+        bars: symbol !== 'NVDA' ? [] : [
+          { date: '2025-01-06', close: 50 },
+          { date: '2025-02-03', close: 50 },
+          { date: '2025-02-28', close: 50 },
+          { date: '2025-04-01', close: 55 }
+        ]
+      }));
+      corporateActionsService.getCorporateActions.mockResolvedValue({
+        dividends: [],
+        splits: [{ date: '2025-02-28', ratio: 4 }]
+      });
+      const result = await calculatePerformance({
+        transactions: [
+          tx({ symbol: 'NVDA', tradeDate: '2025-01-06', side: 'buy', quantity: 10, price: 200, currency: 'JPY' }),
+          tx({ symbol: 'NVDA', tradeDate: '2025-02-28', side: 'split', quantity: 0, price: 0, ratio: 4, currency: 'JPY' })
+        ]
+      }, { periods: ['max', '1mo'], asOf: '2025-04-01' });
+
+      expect(corporateActionsService.getCorporateActions).toHaveBeenCalledWith(
+        expect.objectContaining({ dataType: 'us-stock', symbol: 'NVDA', range: '1y' })
+      );
+      // 分割前: 10株 × 200 = 2000、分割後: 40株 × 55 = 2200
+      expect(result.periods.max).toEqual(expect.objectContaining({ endValue: 2200, netCashFlow: 2000, twr: 10 }));
+      expect(result.periods.max.xirr).toBeLessThan(60);
+      expect(result.periods['1mo']).toEqual(expect.objectContaining({ startValue: 2000, twr: 10 }));
+    });
+
+    test('株式分割を取得できない場合は警告を返す', async () => {
+      corporateActionsService.getCorporateActions.mockRejectedValue(new Error('API error'));
+
+      const result = await calculatePerformance(jpPortfolio, { periods: ['max'], asOf: '2025-04-01' });
+
+      expect(result.periods.max.twr).toBe(32);
+      expect(result.warnings).toEqual(['No split history for 7203; prices are not adjusted for splits']);
+    });
+
+    test('価格履歴が無い銘柄は約定単価で評価する', async () => {
+      const result = await calculatePerformance({
+        transactions: [
+          tx({ symbol: '0131103C', tradeDate: '2025-01-06', side: 'buy', quantity: 10000, price: 2, currency: 'JPY' })
+        ]
+      }, { periods: ['max'], asOf: '2025-04-01' });
+
+      expect(result.periods.max).toEqual(expect.objectContaining({ endValue: 20000, twr: 0 }));
+      expect(result.warnings).toEqual(['No price history for 0131103C; using transaction prices']);
+    });
+
+    test('取引が無い場合は期間ごとにnullを返す', async () => {
+      const result = await calculatePerformance({ transactions: [] }, { periods: ['1y'], asOf: '2025-04-01' });
+
+      expect(result.periods).toEqual({ '1y': null });
+      expect(historicalDataService.getHistoricalData).not.toHaveBeenCalled();
+    });
+  });
+});
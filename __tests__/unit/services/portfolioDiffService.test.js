@@ -0,0 +1,138 @@
+/**
+ * ファイルパス: __tests__/unit/services/portfolioDiffService.test.js
+ *
+ * ポートフォリオのバージョン差分サービスのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-03
+ */
+
+const { diffPortfolios, diffPortfolioVersions } = require('../../../src/services/portfolioDiffService');
+const googleDriveService = require('../../../src/services/googleDriveService');
+
+jest.mock('../../../src/services/googleDriveService');
+
+describe('portfolioDiffService', () => {
+  describe('diffPortfolios', () => {
+    test('保有銘柄ごとに追加・削除・変更を算出する', () => {
+      const from = {
+        holdings: [
+          { symbol: 'AAPL', name: 'Apple', shares: 10, cost: 150 },
+          { symbol: '7203', name: 'トヨタ自動車', shares: 100, cost: 2000 },
+          { symbol: 'MSFT', shares: 5, cost: 400 }
+        ]
+      };
+      const to = {
+        holdings: [
+          { symbol: 'AAPL', name: 'Apple', shares: 15, cost: 160.5 },
+          { symbol: '7203', name: 'トヨタ自動車', shares: 100, cost: 2000 },
+          { symbol: '0331418A', name: 'eMAXIS Slim 全世界株式', shares: 1.2345, cost: 20000 }
+        ]
+      };
+
+      expect(diffPortfolios(from, to)).toEqual({
+        holdings: {
+          added: [{ symbol: '0331418A', account: null, name: 'eMAXIS Slim 全世界株式', shares: 1.2345, cost: 20000 }],
+          removed: [{ symbol: 'MSFT', account: null, name: 'MSFT', shares: 5, cost: 400 }],
+          changed: [{
+            symbol: 'AAPL',
+            account: null,
+            name: 'Apple',
+            shares: { from: 10, to: 15, change: 5 },
+            cost: { from: 150, to: 160.5, change: 10.5 }
+          }]
+        },
+        summary: { added: 1, removed: 1, changed: 1, unchanged: 1 }
+      });
+    });
+
+    test('同じ銘柄を複数の口座で保有する場合は口座ごとに比較する', () => {
+      const from = {
+        holdings: [
+          { symbol: '7203', name: 'トヨタ自動車', shares: 100, cost: 2000, account: '特定' },
+          { symbol: '7203', name: 'トヨタ自動車', shares: 50, cost: 2500, account: 'NISA' }
+        ]
+      };
+      const to = {
+        holdings: [
+          { symbol: '7203', name: 'トヨタ自動車', shares: 200, cost: 2200, account: '特定' },
+          { symbol: '7203', name: 'トヨタ自動車', shares: 50, cost: 2500, account: 'NISA' },
+          { symbol: '7203', name: 'トヨタ自動車', shares: 10, cost: 2600, account: '一般' }
+        ]
+      };
+
+      expect(diffPortfolios(from, to)).toEqual({
+        holdings: {
+          added: [{ symbol: '7203', account: '一般', name: 'トヨタ自動車', shares: 10, cost: 2600 }],
+          removed: [],
+          changed: [{
+            symbol: '7203',
+            account: '特定',
+            name: 'トヨタ自動車',
+            shares: { from: 100, to: 200, change: 100 },
+            cost: { from: 2000, to: 2200, change: 200 }
+          }]
+        },
+        summary: { added: 1, removed: 0, changed: 1, unchanged: 1 }
+      });
+    });
+  });
+
+  describe('diffPortfolioVersions', () => {
+    const files = {
+      'file-123': {
+        content: JSON.stringify({ name: 'Main', holdings: [{ symbol: 'AAPL', shares: 20, cost: 150 }] }),
+        metadata: { id: 'file-123', name: 'portfolio.json', createdTime: '2025-05-01T00:00:00Z', modifiedTime: '2025-06-02T00:00:00Z' }
+      },
+      'backup-1': {
+        content: JSON.stringify({ name: 'Main', holdings: [{ symbol: 'AAPL', shares: 10, cost: 150 }] }),
+        metadata: { id: 'backup-1', name: 'portfolio.json.bak', createdTime: '2025-05-28T00:00:00Z', appProperties: { originalFileId: 'file-123' } }
+      },
+      'other-backup': {
+        content: '{}',
+        metadata: { id: 'other-backup', name: 'other.json.bak', appProperties: { originalFileId: 'file-999' } }
+      }
+    };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      googleDriveService.getFileWithMetadata.mockImplementation(async (fileId) => files[fileId]);
+      googleDriveService.getPortfolioVersionHistory.mockResolvedValue([
+        { id: 'backup-2', createdTime: '2025-06-01T00:00:00Z' },
+        { id: 'backup-1', createdTime: '2025-05-28T00:00:00Z' },
+        { id: 'backup-0', createdTime: '2025-05-20T00:00:00Z' }
+      ]);
+    });
+
+    test('バックアップと現在のファイルを比較する', async () => {
+      const result = await diffPortfolioVersions('access-token', 'file-123', { from: 'backup-1' });
+
+      expect(googleDriveService.getFileWithMetadata).toHaveBeenCalledWith('backup-1', 'access-token');
+      expect(googleDriveService.getFileWithMetadata).toHaveBeenCalledWith('file-123', 'access-token');
+      expect(result.from).toEqual(expect.objectContaining({ id: 'backup-1', createdAt: '2025-05-28T00:00:00Z', isCurrent: false }));
+      expect(result.to).toEqual(expect.objectContaining({ id: 'current', isCurrent: true }));
+      expect(result.holdings.changed).toEqual([
+        expect.objectContaining({ symbol: 'AAPL', shares: { from: 10, to: 20, change: 10 } })
+      ]);
+    });
+
+    test('日時を指定した場合はその時点の内容を持つバックアップと比較する', async () => {
+      await diffPortfolioVersions('access-token', 'file-123', { since: '2025-05-27T00:00:00Z' });
+
+      expect(googleDriveService.getPortfolioVersionHistory).toHaveBeenCalledWith('file-123', 'access-token');
+      expect(googleDriveService.getFileWithMetadata).toHaveBeenCalledWith('backup-1', 'access-token');
+    });
+
+    test('指定日時以降に保存されていない場合は現在のファイル同士を比較する', async () => {
+      const result = await diffPortfolioVersions('access-token', 'file-123', { since: '2025-06-02T12:00:00Z' });
+
+      expect(result.from.isCurrent).toBe(true);
+      expect(result.summary).toEqual({ added: 0, removed: 0, changed: 0, unchanged: 1 });
+    });
+
+    test('別のファイルのバックアップとは比較しない', async () => {
+      await expect(diffPortfolioVersions('access-token', 'file-123', { from: 'other-backup' }))
+        .rejects.toThrow('Version does not belong to the file');
+    });
+  });
+});
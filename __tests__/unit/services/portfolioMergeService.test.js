@@ -0,0 +1,246 @@
+/**
+ * ファイルパス: __tests__/unit/services/portfolioMergeService.test.js
+ *
+ * ポートフォリオ保存の楽観的排他制御サービスのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-02
+ */
+
+const { mergePortfolios, prepareConcurrentSave } = require('../../../src/services/portfolioMergeService');
+const googleDriveService = require('../../../src/services/googleDriveService');
+
+jest.mock('../../../src/services/googleDriveService');
+jest.mock('../../../src/utils/logger');
+
+describe('portfolioMergeService', () => {
+  const base = {
+    name: 'Main',
+    holdings: [
+      { symbol: 'AAPL', shares: 10, cost: 150 },
+      { symbol: '7203', shares: 100, cost: 2000 }
+    ],
+    lastUpdated: '2025-05-20T00:00:00Z'
+  };
+
+  describe('mergePortfolios', () => {
+    test('それぞれの画面で異なる銘柄を変更した場合は両方の変更を反映する', () => {
+      const current = {
+        ...base,
+        holdings: [
+          { symbol: 'AAPL', shares: 20, cost: 160 },
+          { symbol: '7203', shares: 100, cost: 2000 }
+        ],
+        lastUpdated: '2025-05-21T00:00:00Z'
+      };
+      const submitted = {
+        ...base,
+        name: 'Main (renamed)',
+        holdings: [
+          { symbol: 'AAPL', shares: 10, cost: 150 },
+          { symbol: 'MSFT', shares: 5, cost: 400 }
+        ],
+        lastUpdated: '2025-05-22T00:00:00Z'
+      };
+
+      const { portfolio, conflicts } = mergePortfolios(base, current, submitted);
+
+      expect(conflicts).toEqual([]);
+      expect(portfolio).toEqual({
+        name: 'Main (renamed)',
+        holdings: [
+          { symbol: 'AAPL', shares: 20, cost: 160 },
+          { symbol: 'MSFT', shares: 5, cost: 400 }
+        ],
+        lastUpdated: '2025-05-22T00:00:00Z'
+      });
+    });
+
+    test('同じ銘柄を両方で異なる値に変更した場合は競合として現在の値を残す', () => {
+      const current = { ...base, holdings: [{ symbol: 'AAPL', shares: 20, cost: 150 }, base.holdings[1]] };
+      const submitted = { ...base, holdings: [{ symbol: 'AAPL', shares: 30, cost: 150 }, base.holdings[1]] };
+
+      const { portfolio, conflicts } = mergePortfolios(base, current, submitted);
+
+      expect(conflicts).toEqual([{
+        field: 'holdings',
+        key: 'AAPL|',
+        base: { symbol: 'AAPL', shares: 10, cost: 150 },
+        current: { symbol: 'AAPL', shares: 20, cost: 150 },
+        submitted: { symbol: 'AAPL', shares: 30, cost: 150 }
+      }]);
+      expect(portfolio.holdings[0].shares).toBe(20);
+    });
+
+    test('同じ銘柄を複数の口座で保有する場合は口座ごとにマージする', () => {
+      const accountBase = {
+        name: 'Main',
+        holdings: [
+          { symbol: '7203', shares: 100, cost: 2000, account: '特定' },
+          { symbol: '7203', shares: 50, cost: 2500, account: 'NISA' }
+        ]
+      };
+      const current = {
+        ...accountBase,
+        holdings: [
+          { symbol: '7203', shares: 200, cost: 2200, account: '特定' },
+          accountBase.holdings[1]
+        ]
+      };
+      const submitted = {
+        ...accountBase,
+        holdings: [...accountBase.holdings, { symbol: 'AAPL', shares: 10, cost: 150 }]
+      };
+
+      const { portfolio, conflicts } = mergePortfolios(accountBase, current, submitted);
+
+      expect(conflicts).toEqual([]);
+      expect(portfolio.holdings).toEqual([
+        { symbol: '7203', shares: 200, cost: 2200, account: '特定' },
+        { symbol: '7203', shares: 50, cost: 2500, account: 'NISA' },
+        { symbol: 'AAPL', shares: 10, cost: 150 }
+      ]);
+    });
+
+    test('同じ銘柄の口座ごとの競合はキーに口座を含める', () => {
+      const accountBase = { holdings: [{ symbol: '7203', shares: 50, cost: 2500, account: 'NISA' }] };
+      const current = { holdings: [{ symbol: '7203', shares: 60, cost: 2500, account: 'NISA' }] };
+      const submitted = { holdings: [{ symbol: '7203', shares: 70, cost: 2500, account: 'NISA' }] };
+
+      const { conflicts } = mergePortfolios(accountBase, current, submitted);
+
+      expect(conflicts).toEqual([expect.objectContaining({ field: 'holdings', key: '7203|NISA' })]);
+    });
+
+    test('同じ変更は競合としない', () => {
+      const changed = { ...base, holdings: [{ symbol: 'AAPL', shares: 20, cost: 150 }] };
+
+      const { portfolio, conflicts } = mergePortfolios(base, changed, { ...changed });
+
+      expect(conflicts).toEqual([]);
+      expect(portfolio.holdings).toEqual([{ symbol: 'AAPL', shares: 20, cost: 150 }]);
+    });
+
+    test('ポートフォリオの項目を両方で変更した場合は競合とする', () => {
+      const { conflicts } = mergePortfolios(base, { ...base, name: 'A' }, { ...base, name: 'B' });
+
+      expect(conflicts).toEqual([{ field: 'name', base: 'Main', current: 'A', submitted: 'B' }]);
+    });
+
+    test('取引履歴は取引ID単位でマージし、保有数を算出し直す', () => {
+      const opening = { id: 'tx-1', symbol: 'AAPL', tradeDate: '2025-01-01', side: 'opening', quantity: 10, price: 100, fees: 0, currency: 'USD', account: null };
+      const ledgerBase = { name: 'Ledger', transactions: [opening], holdings: [{ symbol: 'AAPL', shares: 10, cost: 100, name: 'Apple' }] };
+      const current = {
+        ...ledgerBase,
+        transactions: [opening, { id: 'tx-2', symbol: 'AAPL', tradeDate: '2025-02-01', side: 'buy', quantity: 10, price: 200, fees: 0, currency: 'USD', account: null }],
+        holdings: [{ symbol: 'AAPL', shares: 20, cost: 150, name: 'Apple' }]
+      };
+      const submitted = {
+        ...ledgerBase,
+        transactions: [opening, { symbol: 'MSFT', tradeDate: '2025-03-01', side: 'buy', quantity: 1, price: 400, currency: 'USD' }],
+        holdings: [{ symbol: 'AAPL', shares: 10, cost: 100, name: 'Apple' }, { symbol: 'MSFT', shares: 1, cost: 400 }]
+      };
+
+      const { portfolio, conflicts } = mergePortfolios(ledgerBase, current, submitted);
+
+      expect(conflicts).toEqual([]);
+      expect(portfolio.transactions).toHaveLength(3);
+      expect(portfolio.holdings).toEqual([
+        expect.objectContaining({ symbol: 'AAPL', shares: 20, cost: 150, name: 'Apple' }),
+        expect.objectContaining({ symbol: 'MSFT', shares: 1, cost: 400 })
+      ]);
+    });
+  });
+
+  describe('prepareConcurrentSave', () => {
+    const submitted = { ...base, name: 'Submitted' };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+
+      googleDriveService.getFileVersion.mockResolvedValue({
+        id: 'file-123',
+        modifiedTime: '2025-05-21T00:00:00.000Z',
+        revisionId: 'rev-2'
+      });
+      googleDriveService.getFile.mockResolvedValue(JSON.stringify({ ...base, holdings: [base.holdings[0]] }));
+      googleDriveService.listFileRevisions.mockResolvedValue([
+        { id: 'rev-1', modifiedTime: '2025-05-20T00:00:00.000Z' },
+        { id: 'rev-2', modifiedTime: '2025-05-21T00:00:00.000Z' }
+      ]);
+      googleDriveService.getRevisionContent.mockResolvedValue(JSON.stringify(base));
+    });
+
+    test('更新されていない場合はそのまま保存できる', async () => {
+      const result = await prepareConcurrentSave('access-token', 'file-123', submitted, {
+        expectedModifiedTime: '2025-05-21T00:00:00Z'
+      });
+
+      expect(googleDriveService.getFileVersion).toHaveBeenCalledWith('file-123', 'access-token');
+      expect(googleDriveService.getFile).not.toHaveBeenCalled();
+      expect(result).toEqual({ conflict: false, merged: false, portfolio: submitted });
+    });
+
+    test('リビジョンIDは更新日時より優先して比較する', async () => {
+      const result = await prepareConcurrentSave('access-token', 'file-123', submitted, {
+        expectedModifiedTime: '2025-05-21T00:00:00Z',
+        expectedRevisionId: 'rev-1'
+      });
+
+      expect(result.conflict).toBe(true);
+    });
+
+    test('更新されている場合は現在のバージョンを返す', async () => {
+      const result = await prepareConcurrentSave('access-token', 'file-123', submitted, {
+        expectedRevisionId: 'rev-1'
+      });
+
+      expect(result).toEqual({
+        conflict: true,
+        reason: 'MODIFIED',
+        current: {
+          modifiedTime: '2025-05-21T00:00:00.000Z',
+          revisionId: 'rev-2',
+          data: { ...base, holdings: [base.holdings[0]] }
+        },
+        conflicts: []
+      });
+      expect(googleDriveService.getRevisionContent).not.toHaveBeenCalled();
+    });
+
+    test('マージを指定した場合は更新日時から基点のリビジョンを探してマージする', async () => {
+      const result = await prepareConcurrentSave('access-token', 'file-123', submitted, {
+        expectedModifiedTime: '2025-05-20T00:00:00Z',
+        merge: true
+      });
+
+      expect(googleDriveService.getRevisionContent).toHaveBeenCalledWith('file-123', 'rev-1', 'access-token');
+      expect(result.conflict).toBe(false);
+      expect(result.merged).toBe(true);
+      expect(result.portfolio.name).toBe('Submitted');
+      expect(result.portfolio.holdings).toEqual([base.holdings[0]]);
+    });
+
+    test('基点のリビジョンが見つからない場合は競合とする', async () => {
+      const result = await prepareConcurrentSave('access-token', 'file-123', submitted, {
+        expectedModifiedTime: '2025-05-01T00:00:00Z',
+        merge: true
+      });
+
+      expect(result).toEqual(expect.objectContaining({ conflict: true, reason: 'BASE_VERSION_UNAVAILABLE' }));
+    });
+
+    test('マージで競合した場合は競合した項目を返す', async () => {
+      googleDriveService.getFile.mockResolvedValue(JSON.stringify({ ...base, name: 'Current' }));
+
+      const result = await prepareConcurrentSave('access-token', 'file-123', submitted, {
+        expectedRevisionId: 'rev-1',
+        merge: true
+      });
+
+      expect(result.conflict).toBe(true);
+      expect(result.reason).toBe('MERGE_CONFLICT');
+      expect(result.conflicts).toEqual([{ field: 'name', base: 'Main', current: 'Current', submitted: 'Submitted' }]);
+    });
+  });
+});
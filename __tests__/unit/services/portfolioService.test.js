@@ -187,8 +187,18 @@ describe('Portfolio Service', () => {
       // Google Driveサービスが正しく呼び出されたか検証
       expect(googleDriveService.getFile).toHaveBeenCalledWith(mockFileId, mockAccessToken);
       
-      // 結果の検証
-      expect(result).toEqual(mockPortfolio);
+      // 結果の検証（保有数スナップショットは期首残高の取引に移行される）
+      expect(result).toMatchObject({
+        name: mockPortfolio.name,
+        lastUpdated: mockPortfolio.lastUpdated,
+        createdBy: mockPortfolio.createdBy
+      });
+      expect(result.holdings).toEqual([
+        expect.objectContaining({ symbol: 'AAPL', shares: 10, cost: 150, currency: 'USD' }),
+        expect.objectContaining({ symbol: '7203', shares: 100, cost: 2000, currency: 'JPY' })
+      ]);
+      expect(result.transactions).toHaveLength(2);
+      expect(result.transactions[0]).toMatchObject({ side: 'opening', tradeDate: '2025-05-15' });
     });
     
     test('ファイル取得時にエラーが発生した場合は例外をスロー', async () => {
@@ -386,6 +396,22 @@ describe('Portfolio Service', () => {
       // symbolがない要素は削除される（filter(Boolean)による効果）
       expect(validatedData.holdings.length).toBe(1);
     });
+    
+    test('数値以外の数量・取得単価は元の値で上書きせず0にする', () => {
+      const validatedData = portfolioService.validatePortfolioData({
+        name: 'Invalid Values',
+        holdings: [
+          { symbol: 'AAPL', shares: 'ten', cost: null, notes: 'memo' }
+        ]
+      });
+      
+      expect(validatedData.holdings[0]).toEqual({
+        symbol: 'AAPL',
+        shares: 0,
+        cost: 0,
+        notes: 'memo'
+      });
+    });
   });
   
   describe('convertLegacyPortfolio', () => {
@@ -417,22 +443,242 @@ describe('Portfolio Service', () => {
       expect(result).not.toHaveProperty('userId');
     });
     
-    test('既に新しい形式のデータはそのまま返す', () => {
-      // 既に新しい形式のデータ
-      const newFormat = {
+    test('保有数スナップショットを期首残高の取引に移行する', () => {
+      const snapshot = {
+        name: 'Snapshot Portfolio',
+        holdings: [
+          { symbol: 'AAPL', shares: 10, cost: 150.0 },
+          { symbol: '7203', shares: 100, cost: 2000, purchaseDate: '2024-04-01', account: 'NISA' },
+          { symbol: 'VTI', shares: 0, cost: 0 }
+        ],
+        lastUpdated: '2025-05-15T10:00:00Z',
+        createdBy: 'user-123'
+      };
+      
+      const result = portfolioService.convertLegacyPortfolio(snapshot);
+      
+      expect(result.holdings).toEqual(snapshot.holdings);
+      expect(result.transactions).toEqual([
+        {
+          id: expect.any(String),
+          symbol: 'AAPL',
+          tradeDate: '2025-05-15',
+          side: 'opening',
+          quantity: 10,
+          price: 150,
+          fees: 0,
+          currency: 'USD',
+          account: null
+        },
+        {
+          id: expect.any(String),
+          symbol: '7203',
+          tradeDate: '2024-04-01',
+          side: 'opening',
+          quantity: 100,
+          price: 2000,
+          fees: 0,
+          currency: 'JPY',
+          account: 'NISA'
+        }
+      ]);
+    });
+    
+    test('取引履歴を持つデータはそのまま返す', () => {
+      // 既に取引履歴形式のデータ
+      const ledgerFormat = {
         name: 'Modern Portfolio',
         holdings: [
           { symbol: 'AAPL', shares: 10, cost: 150.0 }
         ],
+        transactions: [
+          { id: 'tx-1', symbol: 'AAPL', tradeDate: '2025-01-10', side: 'buy', quantity: 10, price: 150, fees: 0, currency: 'USD', account: null }
+        ],
         lastUpdated: '2025-05-15T10:00:00Z',
         createdBy: 'user-123'
       };
       
       // テスト対象の関数を実行
-      const result = portfolioService.convertLegacyPortfolio(newFormat);
+      const result = portfolioService.convertLegacyPortfolio(ledgerFormat);
       
       // 結果の検証（変更されていないことを確認）
-      expect(result).toEqual(newFormat);
+      expect(result).toEqual(ledgerFormat);
+    });
+  });
+
+  describe('normalizeTransaction', () => {
+    test('取引を正規化する', () => {
+      const result = portfolioService.normalizeTransaction({
+        symbol: 'AAPL',
+        tradeDate: '2025/1/5',
+        side: 'BUY',
+        quantity: '10',
+        price: 150,
+        fees: 1.5,
+        currency: 'usd',
+        account: 'specific'
+      });
+      
+      expect(result).toEqual({
+        id: expect.any(String),
+        symbol: 'AAPL',
+        tradeDate: '2025-01-05',
+        side: 'buy',
+        quantity: 10,
+        price: 150,
+        fees: 1.5,
+        currency: 'USD',
+        account: 'specific'
+      });
+    });
+    
+    test('通貨が無い場合は銘柄コードから判定する', () => {
+      const result = portfolioService.normalizeTransaction({
+        symbol: '7203', tradeDate: '2025-01-05', side: 'buy', quantity: 100, price: 2500
+      });
+      
+      expect(result.currency).toBe('JPY');
+      expect(result.fees).toBe(0);
+    });
+    
+    test('株式分割は分割比率を保持する', () => {
+      const result = portfolioService.normalizeTransaction({
+        symbol: 'AAPL', tradeDate: '2025-02-01', side: 'split', ratio: 4
+      });
+      
+      expect(result).toMatchObject({ side: 'split', ratio: 4, quantity: 0, price: 0 });
+    });
+    
+    test('無効な取引はnullを返す', () => {
+      expect(portfolioService.normalizeTransaction({ tradeDate: '2025-01-05', side: 'buy', quantity: 1, price: 1 })).toBeNull();
+      expect(portfolioService.normalizeTransaction({ symbol: 'AAPL', tradeDate: '2025-01-05', side: 'transfer', quantity: 1, price: 1 })).toBeNull();
+      expect(portfolioService.normalizeTransaction({ symbol: 'AAPL', tradeDate: 'invalid', side: 'buy', quantity: 1, price: 1 })).toBeNull();
+      expect(portfolioService.normalizeTransaction({ symbol: 'AAPL', tradeDate: '2025-01-05', side: 'sell', quantity: 0, price: 1 })).toBeNull();
+      expect(portfolioService.normalizeTransaction({ symbol: 'AAPL', tradeDate: '2025-01-05', side: 'split' })).toBeNull();
+    });
+  });
+  
+  describe('deriveHoldings', () => {
+    const tx = (fields) => portfolioService.normalizeTransaction({ symbol: 'AAPL', currency: 'USD', ...fields });
+    
+    test('買付・売却・分割・配当から保有数と平均取得単価を算出する', () => {
+      const holdings = portfolioService.deriveHoldings([
+        tx({ tradeDate: '2025-01-10', side: 'buy', quantity: 10, price: 100, fees: 10 }),
+        tx({ tradeDate: '2025-02-10', side: 'buy', quantity: 10, price: 120 }),
+        tx({ tradeDate: '2025-03-10', side: 'sell', quantity: 5, price: 150, fees: 5 }),
+        tx({ tradeDate: '2025-04-10', side: 'split', ratio: 2 }),
+        tx({ tradeDate: '2025-05-10', side: 'dividend', quantity: 30, price: 0.5, fees: 1.5 })
+      ]);
+      
+      // 平均取得単価: (1000 + 10 + 1200) / 20 = 110.5
+      // 売却損益: (150 - 110.5) * 5 - 5 = 192.5
+      // 分割後: 15株 → 30株、取得価額 1657.5 / 30 = 55.25
+      expect(holdings).toEqual([
+        {
+          symbol: 'AAPL',
+          shares: 30,
+          cost: 55.25,
+          currency: 'USD',
+          realizedPnl: 192.5,
+          dividends: 13.5
+        }
+      ]);
+    });
+    
+    test('取引日順に処理する', () => {
+      const holdings = portfolioService.deriveHoldings([
+        tx({ tradeDate: '2025-03-10', side: 'sell', quantity: 5, price: 150 }),
+        tx({ tradeDate: '2025-01-10', side: 'buy', quantity: 10, price: 100 })
+      ]);
+      
+      expect(holdings[0]).toMatchObject({ shares: 5, cost: 100, realizedPnl: 250 });
+    });
+    
+    test('全数売却した銘柄は含めない', () => {
+      const holdings = portfolioService.deriveHoldings([
+        tx({ tradeDate: '2025-01-10', side: 'buy', quantity: 10, price: 100 }),
+        tx({ tradeDate: '2025-02-10', side: 'sell', quantity: 12, price: 110 })
+      ]);
+      
+      expect(holdings).toEqual([]);
+    });
+    
+    test('同じ銘柄でも口座ごとに保有数と平均取得単価を算出する', () => {
+      const holdings = portfolioService.deriveHoldings([
+        tx({ tradeDate: '2025-01-10', side: 'buy', quantity: 10, price: 100, account: '特定' }),
+        tx({ tradeDate: '2025-01-11', side: 'buy', quantity: 5, price: 160, account: 'NISA' }),
+        tx({ tradeDate: '2025-02-10', side: 'sell', quantity: 4, price: 150, account: '特定' })
+      ]);
+      
+      expect(holdings).toEqual([
+        expect.objectContaining({ symbol: 'AAPL', account: '特定', shares: 6, cost: 100, realizedPnl: 200 }),
+        expect.objectContaining({ symbol: 'AAPL', account: 'NISA', shares: 5, cost: 160, realizedPnl: 0 })
+      ]);
+    });
+    
+    test('口座を指定しない株式分割は同じ銘柄のすべての口座に反映する', () => {
+      const holdings = portfolioService.deriveHoldings([
+        tx({ tradeDate: '2025-01-10', side: 'buy', quantity: 100, price: 200, account: '特定' }),
+        tx({ tradeDate: '2025-01-11', side: 'buy', quantity: 50, price: 200, account: 'NISA' }),
+        tx({ symbol: 'MSFT', tradeDate: '2025-01-12', side: 'buy', quantity: 10, price: 400 }),
+        tx({ tradeDate: '2025-02-10', side: 'split', ratio: 4 })
+      ]);
+      
+      expect(holdings).toEqual([
+        expect.objectContaining({ symbol: 'AAPL', account: '特定', shares: 400, cost: 50 }),
+        expect.objectContaining({ symbol: 'AAPL', account: 'NISA', shares: 200, cost: 50 }),
+        expect.objectContaining({ symbol: 'MSFT', shares: 10, cost: 400 })
+      ]);
+    });
+    
+    test('口座を指定した株式分割はその口座だけに反映する', () => {
+      const holdings = portfolioService.deriveHoldings([
+        tx({ tradeDate: '2025-01-10', side: 'buy', quantity: 100, price: 200, account: '特定' }),
+        tx({ tradeDate: '2025-01-11', side: 'buy', quantity: 50, price: 200, account: 'NISA' }),
+        tx({ tradeDate: '2025-02-10', side: 'split', ratio: 4, account: 'NISA' })
+      ]);
+      
+      expect(holdings.map(holding => holding.shares)).toEqual([100, 200]);
+    });
+  });
+  
+  describe('validatePortfolioData（取引履歴）', () => {
+    test('取引履歴から保有銘柄を算出し、既存の付加情報を引き継ぐ', () => {
+      const validatedData = portfolioService.validatePortfolioData({
+        name: 'Ledger Portfolio',
+        holdings: [{ symbol: 'AAPL', shares: 999, cost: 1, name: 'Apple Inc.' }],
+        transactions: [
+          { symbol: 'AAPL', tradeDate: '2025-01-10', side: 'buy', quantity: 10, price: 100 },
+          { symbol: 'AAPL', tradeDate: '2025-01-11', side: 'unknown', quantity: 10, price: 100 }
+        ]
+      });
+      
+      expect(validatedData.transactions).toHaveLength(1);
+      expect(validatedData.holdings).toEqual([
+        expect.objectContaining({ symbol: 'AAPL', name: 'Apple Inc.', shares: 10, cost: 100 })
+      ]);
+    });
+    
+    test('同じ銘柄を複数の口座で保有する場合は口座ごとに付加情報を引き継ぐ', () => {
+      const validatedData = portfolioService.validatePortfolioData({
+        name: 'Ledger Portfolio',
+        holdings: [
+          { symbol: 'AAPL', shares: 10, cost: 100, account: '特定', name: 'Apple Inc.', memo: '長期' },
+          { symbol: 'AAPL', shares: 5, cost: 160, account: 'NISA', name: 'Apple Inc.', memo: 'NISA枠' }
+        ],
+        transactions: [
+          { symbol: 'AAPL', tradeDate: '2025-01-10', side: 'buy', quantity: 10, price: 100, account: '特定' },
+          { symbol: 'AAPL', tradeDate: '2025-01-11', side: 'buy', quantity: 5, price: 160, account: 'NISA' },
+          { symbol: 'AAPL', tradeDate: '2025-01-12', side: 'buy', quantity: 1, price: 170 }
+        ]
+      });
+      
+      expect(validatedData.holdings).toEqual([
+        expect.objectContaining({ account: '特定', shares: 10, cost: 100, memo: '長期' }),
+        expect.objectContaining({ account: 'NISA', shares: 5, cost: 160, memo: 'NISA枠' }),
+        expect.objectContaining({ symbol: 'AAPL', name: 'Apple Inc.', shares: 1, cost: 170 })
+      ]);
+      expect(validatedData.holdings[2]).not.toHaveProperty('account');
     });
   });
 });
@@ -0,0 +1,179 @@
+/**
+ * ファイルパス: __tests__/unit/services/rebalanceService.test.js
+ *
+ * リバランス提案サービスのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-30
+ */
+
+const { validateTargetAllocation, proposeRebalance } = require('../../../src/services/rebalanceService');
+const { valuePortfolio } = require('../../../src/services/valuationService');
+
+jest.mock('../../../src/services/valuationService');
+jest.mock('../../../src/utils/logger');
+
+describe('rebalanceService', () => {
+  const toyota = {
+    symbol: '7203', name: 'トヨタ自動車', dataType: 'jp-stock', currency: 'JPY',
+    shares: 400, price: 2500, exchangeRate: 1, priced: true, marketValueBase: 1000000
+  };
+  const apple = {
+    symbol: 'AAPL', name: 'Apple Inc.', dataType: 'us-stock', currency: 'USD',
+    shares: 10, price: 200, exchangeRate: 150, priced: true, marketValueBase: 300000
+  };
+
+  const portfolio = {
+    name: 'Test Portfolio',
+    holdings: [
+      { symbol: '7203', shares: 400, cost: 2000 },
+      { symbol: 'AAPL', shares: 10, cost: 150 }
+    ]
+  };
+
+  const regionTargets = (japan, us) => [
+    { assetClass: 'equity', region: 'japan', weight: japan },
+    { assetClass: 'equity', region: 'us', weight: us }
+  ];
+
+  const mockValuation = (holdings) => {
+    valuePortfolio.mockResolvedValue({
+      baseCurrency: 'JPY',
+      holdings,
+      unpriced: holdings.filter(item => !item.priced).map(item => item.symbol)
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockValuation([toyota, apple]);
+  });
+
+  describe('validateTargetAllocation', () => {
+    test('比率の合計が100の目標配分は有効', () => {
+      expect(validateTargetAllocation(regionTargets(60, 40))).toBeNull();
+    });
+
+    test('無効な目標配分の場合はエラーメッセージを返す', () => {
+      expect(validateTargetAllocation(undefined)).toMatch(/non-empty array/);
+      expect(validateTargetAllocation([])).toMatch(/non-empty array/);
+      expect(validateTargetAllocation(regionTargets(60, 30))).toMatch(/add up to 100/);
+      expect(validateTargetAllocation(regionTargets(120, -20))).toMatch(/Invalid weight/);
+      expect(validateTargetAllocation([
+        { assetClass: 'Equity', region: 'japan', weight: 50 },
+        { assetClass: 'equity', region: 'Japan', weight: 50 }
+      ])).toMatch(/Duplicate target: equity\/japan/);
+    });
+  });
+
+  describe('proposeRebalance', () => {
+    test('売買で目標配分に近づける（日本株は100株単位、米国株は端株）', async () => {
+      const result = await proposeRebalance(portfolio, { targets: regionTargets(50, 50) });
+
+      expect(valuePortfolio).toHaveBeenCalledWith(portfolio, { baseCurrency: undefined, refresh: false });
+      expect(result.totalValue).toBe(1300000);
+
+      // 日本株: 350,000円の売却 → 140株 → 100株単位に切り捨て
+      // 米国株: 売却代金 250,000円の範囲で端株を買付
+      expect(result.orders).toEqual([
+        expect.objectContaining({ symbol: '7203', side: 'sell', quantity: 100, lotSize: 100, estimatedAmountBase: 250000 }),
+        expect.objectContaining({ symbol: 'AAPL', side: 'buy', quantity: 8.3333, lotSize: 0.0001, estimatedAmount: 1666.66 })
+      ]);
+      expect(result.cashAfter).toBeGreaterThanOrEqual(0);
+      expect(result.allocations).toEqual([
+        expect.objectContaining({ key: 'equity/japan', currentWeight: 76.92, targetWeight: 50, projectedValue: 750000, symbols: ['7203'] }),
+        expect.objectContaining({ key: 'equity/us', currentWeight: 23.08, targetWeight: 50, symbols: ['AAPL'] })
+      ]);
+    });
+
+    test('追加資金のみのモードでは売却せず不足している配分を買い付ける', async () => {
+      const result = await proposeRebalance(portfolio, {
+        targets: regionTargets(50, 50),
+        mode: 'cash-only',
+        cash: 200000
+      });
+
+      expect(result.orders.every(order => order.side === 'buy')).toBe(true);
+      expect(result.orders).toEqual([
+        expect.objectContaining({ symbol: 'AAPL', side: 'buy', quantity: 6.6666 })
+      ]);
+      expect(result.cash).toBe(200000);
+      expect(result.cashAfter).toBe(2);
+    });
+
+    test('日本株の買付は100株単位に切り捨てる', async () => {
+      const result = await proposeRebalance(portfolio, {
+        targets: regionTargets(90, 10),
+        mode: 'cash-only',
+        cash: 300000
+      });
+
+      // 300,000円 / 2,500円 = 120株 → 100株
+      expect(result.orders).toEqual([
+        expect.objectContaining({ symbol: '7203', side: 'buy', quantity: 100, estimatedAmountBase: 250000 })
+      ]);
+      expect(result.cashAfter).toBe(50000);
+    });
+
+    test('目標配分で指定した未保有の銘柄を買い付ける', async () => {
+      const bondFund = {
+        symbol: '2511', name: '国内債券ETF', dataType: 'jp-stock', currency: 'JPY',
+        shares: 0, price: 1000, exchangeRate: 1, priced: true, marketValueBase: 0
+      };
+      mockValuation([toyota, apple, bondFund]);
+
+      const result = await proposeRebalance(portfolio, {
+        targets: [
+          { assetClass: 'equity', weight: 80 },
+          { assetClass: 'bond', region: 'japan', symbol: '2511', weight: 20 }
+        ],
+        mode: 'cash-only',
+        cash: 200000
+      });
+
+      const [valuedPortfolio] = valuePortfolio.mock.calls[0];
+      expect(valuedPortfolio.holdings).toEqual([
+        ...portfolio.holdings,
+        { symbol: '2511', shares: 0, cost: 0, assetClass: 'bond', region: 'japan' }
+      ]);
+
+      // 合計 1,500,000円 → 債券目標 300,000円、不足分に追加資金を全額配分
+      expect(result.orders).toEqual([
+        expect.objectContaining({ symbol: '2511', side: 'buy', quantity: 200, bucket: 'bond/japan/2511' })
+      ]);
+    });
+
+    test('どの目標にも該当しない銘柄は目標比率0として扱う', async () => {
+      const result = await proposeRebalance(portfolio, {
+        targets: [{ region: 'japan', weight: 100 }]
+      });
+
+      expect(result.allocations.map(allocation => allocation.key)).toEqual(['*/japan', 'unassigned']);
+      // 米国株を全数売却し、売却代金で日本株を100株単位で買い付ける
+      expect(result.orders).toEqual([
+        expect.objectContaining({ symbol: 'AAPL', side: 'sell', quantity: 10, bucket: 'unassigned' }),
+        expect.objectContaining({ symbol: '7203', side: 'buy', quantity: 100, bucket: '*/japan' })
+      ]);
+      expect(result.cashAfter).toBe(50000);
+    });
+
+    test('買付する銘柄が無い目標と価格が取得できない銘柄を警告する', async () => {
+      mockValuation([toyota, { ...apple, priced: false, price: null }]);
+
+      const result = await proposeRebalance(portfolio, {
+        targets: [
+          { region: 'japan', weight: 50 },
+          { assetClass: 'bond', weight: 50 }
+        ],
+        mode: 'cash-only',
+        cash: 100000
+      });
+
+      expect(result.orders).toEqual([]);
+      expect(result.warnings).toEqual([
+        'Price unavailable for AAPL; excluded from rebalancing',
+        'No instrument to buy for target bond/*; specify a symbol in the target'
+      ]);
+    });
+  });
+});
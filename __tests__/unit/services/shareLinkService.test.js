@@ -0,0 +1,138 @@
+/**
+ * ファイルパス: __tests__/unit/services/shareLinkService.test.js
+ *
+ * ポートフォリオ共有リンクサービスのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-05
+ */
+
+const crypto = require('crypto');
+const dynamoDbService = require('../../../src/utils/dynamoDbService');
+const { loadPortfolioFromDrive } = require('../../../src/services/googleDriveService');
+const {
+  createShareLink,
+  getShareLinkByToken,
+  revokeShareLink
+} = require('../../../src/services/shareLinkService');
+
+jest.mock('../../../src/utils/dynamoDbService');
+jest.mock('../../../src/services/googleDriveService');
+jest.mock('../../../src/utils/logger');
+
+describe('shareLinkService', () => {
+  const owner = { googleId: 'google-user-1' };
+  const portfolio = {
+    name: 'クライアントA',
+    holdings: [
+      { symbol: 'AAPL', name: 'Apple Inc.', shares: 10, cost: 150, currency: 'USD' },
+      { symbol: '7203', shares: 100, cost: 2500 }
+    ],
+    notes: '非公開メモ'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers().setSystemTime(new Date('2025-06-05T00:00:00Z'));
+
+    loadPortfolioFromDrive.mockResolvedValue({
+      fileId: 'file-123',
+      modifiedTime: '2025-06-04T10:00:00Z',
+      data: portfolio
+    });
+    dynamoDbService.addItem.mockResolvedValue({});
+    dynamoDbService.deleteItem.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('createShareLink', () => {
+    test('保有銘柄のスナップショットとトークンのハッシュを保存する', async () => {
+      const link = await createShareLink(owner, 'access-token', 'file-123', { baseCurrency: 'JPY', expiresInDays: 7 });
+
+      const [linkId, secret] = link.token.split('.');
+      const item = dynamoDbService.addItem.mock.calls[0][1];
+
+      expect(dynamoDbService.addItem).toHaveBeenCalledWith(expect.stringContaining('share-links'), expect.any(Object));
+      expect(link).toEqual({
+        linkId,
+        token: expect.any(String),
+        fileId: 'file-123',
+        createdAt: '2025-06-05T00:00:00.000Z',
+        expiresAt: '2025-06-12T00:00:00.000Z'
+      });
+      expect(item).toEqual(expect.objectContaining({
+        linkId,
+        tokenHash: crypto.createHash('sha256').update(secret).digest('hex'),
+        googleId: 'google-user-1',
+        fileId: 'file-123',
+        fileModifiedAt: '2025-06-04T10:00:00Z',
+        baseCurrency: 'JPY',
+        ttl: Math.floor(new Date('2025-06-12T00:00:00Z').getTime() / 1000)
+      }));
+      expect(JSON.stringify(item)).not.toContain(secret);
+      expect(item.snapshot.name).toBe('クライアントA');
+      expect(item.snapshot.holdings.map(holding => holding.symbol)).toEqual(['AAPL', '7203']);
+      expect(item.snapshot).not.toHaveProperty('notes');
+      expect(item.snapshot.holdings[0]).not.toHaveProperty('transactions');
+    });
+  });
+
+  describe('getShareLinkByToken', () => {
+    const storeLink = async (overrides = {}) => {
+      const link = await createShareLink(owner, 'access-token', 'file-123');
+      const item = { ...dynamoDbService.addItem.mock.calls[0][1], ...overrides };
+      dynamoDbService.getItem.mockResolvedValue(item);
+      return link;
+    };
+
+    test('正しいトークンで共有リンクを取得する', async () => {
+      const { token, linkId } = await storeLink();
+
+      const link = await getShareLinkByToken(token);
+
+      expect(dynamoDbService.getItem).toHaveBeenCalledWith(expect.any(String), { linkId });
+      expect(link.snapshot.name).toBe('クライアントA');
+    });
+
+    test('秘密部分が一致しない場合はnullを返す', async () => {
+      const { linkId } = await storeLink();
+
+      await expect(getShareLinkByToken(`${linkId}.${'A'.repeat(43)}`)).resolves.toBeNull();
+    });
+
+    test('有効期限が切れている場合はnullを返す', async () => {
+      const { token } = await storeLink({ expiresAt: '2025-06-04T00:00:00.000Z' });
+
+      await expect(getShareLinkByToken(token)).resolves.toBeNull();
+    });
+
+    test('取り消し済み、または形式が不正なトークンはnullを返す', async () => {
+      dynamoDbService.getItem.mockResolvedValue(null);
+
+      await expect(getShareLinkByToken('4d3c2b1a-0000-4000-8000-000000000000.abcdefghijklmnopqrstuvwxyz')).resolves.toBeNull();
+      await expect(getShareLinkByToken('not-a-token')).resolves.toBeNull();
+      expect(dynamoDbService.getItem).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('revokeShareLink', () => {
+    test('作成したユーザーのリンクを削除する', async () => {
+      dynamoDbService.getItem.mockResolvedValue({ linkId: 'link-1', googleId: 'google-user-1', fileId: 'file-123' });
+
+      const result = await revokeShareLink(owner, 'link-1');
+
+      expect(dynamoDbService.deleteItem).toHaveBeenCalledWith(expect.any(String), { linkId: 'link-1' });
+      expect(result).toEqual({ linkId: 'link-1', fileId: 'file-123' });
+    });
+
+    test('他のユーザーのリンクは削除しない', async () => {
+      dynamoDbService.getItem.mockResolvedValue({ linkId: 'link-1', googleId: 'someone-else', fileId: 'file-123' });
+
+      await expect(revokeShareLink(owner, 'link-1')).rejects.toThrow('Share link not found');
+      expect(dynamoDbService.deleteItem).not.toHaveBeenCalled();
+    });
+  });
+});
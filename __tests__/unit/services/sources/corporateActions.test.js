@@ -0,0 +1,142 @@
+/**
+ * ファイルパス: __tests__/unit/services/sources/corporateActions.test.js
+ *
+ * 配当・株式分割（コーポレートアクション）サービスのユニットテスト
+ * データソースからの取得、キャッシュ動作、分割比率の累積を検証
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-16
+ */
+
+const corporateActions = require('../../../../src/services/sources/corporateActions');
+const yahooFinanceService = require('../../../../src/services/sources/yahooFinance');
+const cacheService = require('../../../../src/services/cache');
+const { DATA_TYPES, CACHE_TIMES } = require('../../../../src/config/constants');
+
+jest.mock('../../../../src/services/sources/yahooFinance');
+jest.mock('../../../../src/services/cache');
+jest.mock('../../../../src/utils/logger');
+
+const appleActions = {
+  symbol: 'AAPL',
+  currency: 'USD',
+  range: '5y',
+  dividends: [{ date: '2024-08-12', amount: 0.25 }],
+  splits: [{ date: '2020-08-31', numerator: 4, denominator: 1, ratio: 4, splitRatio: '4:1' }],
+  source: 'Yahoo Finance API'
+};
+
+describe('corporateActions service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cacheService.get.mockResolvedValue(null);
+    cacheService.set.mockResolvedValue(true);
+  });
+
+  describe('getCorporateActions', () => {
+    test('Yahoo Financeから取得して長いTTLでキャッシュする', async () => {
+      yahooFinanceService.getCorporateActions.mockResolvedValue(appleActions);
+
+      const result = await corporateActions.getCorporateActions({
+        dataType: DATA_TYPES.US_STOCK,
+        symbol: 'AAPL'
+      });
+
+      expect(yahooFinanceService.getCorporateActions).toHaveBeenCalledWith('AAPL', { range: '5y' });
+      expect(result).toEqual({
+        symbol: 'AAPL',
+        currency: 'USD',
+        range: '5y',
+        dividends: appleActions.dividends,
+        splits: appleActions.splits,
+        source: 'Yahoo Finance API',
+        lastUpdated: expect.any(String)
+      });
+      expect(cacheService.set).toHaveBeenCalledWith(
+        'corporate-actions:us-stock:AAPL:5y',
+        result,
+        CACHE_TIMES.CORPORATE_ACTIONS
+      );
+      expect(CACHE_TIMES.CORPORATE_ACTIONS).toBeGreaterThan(CACHE_TIMES.US_STOCK);
+    });
+
+    test('キャッシュがある場合はデータソースを呼び出さない', async () => {
+      const cached = { ...appleActions, lastUpdated: '2025-06-16T00:00:00.000Z' };
+      cacheService.get.mockResolvedValue({ data: cached, ttl: 3600 });
+
+      const result = await corporateActions.getCorporateActions({
+        dataType: DATA_TYPES.JP_STOCK,
+        symbol: '7203',
+        range: '10y'
+      });
+
+      expect(cacheService.get).toHaveBeenCalledWith('corporate-actions:jp-stock:7203:10y');
+      expect(yahooFinanceService.getCorporateActions).not.toHaveBeenCalled();
+      expect(result).toBe(cached);
+    });
+
+    test('refresh指定時はキャッシュを無視する', async () => {
+      yahooFinanceService.getCorporateActions.mockResolvedValue(appleActions);
+
+      await corporateActions.getCorporateActions({
+        dataType: DATA_TYPES.US_STOCK,
+        symbol: 'AAPL',
+        refresh: true
+      });
+
+      expect(cacheService.get).not.toHaveBeenCalled();
+      expect(yahooFinanceService.getCorporateActions).toHaveBeenCalled();
+    });
+
+    test('株式以外のデータタイプはエラー', async () => {
+      await expect(corporateActions.getCorporateActions({
+        dataType: DATA_TYPES.MUTUAL_FUND,
+        symbol: '0131103C'
+      })).rejects.toThrow('Unsupported data type for corporate actions: mutual-fund');
+    });
+  });
+
+  describe('getCorporateActionsForSymbols', () => {
+    test('個別銘柄の失敗はエラーとして結果に含める', async () => {
+      yahooFinanceService.getCorporateActions
+        .mockResolvedValueOnce(appleActions)
+        .mockRejectedValueOnce(new Error('Failed to retrieve corporate actions for XXXX'));
+
+      const result = await corporateActions.getCorporateActionsForSymbols({
+        dataType: DATA_TYPES.US_STOCK,
+        symbols: ['AAPL', 'XXXX'],
+        range: '1y'
+      });
+
+      expect(result.AAPL.splits).toHaveLength(1);
+      expect(result.XXXX).toEqual(expect.objectContaining({
+        symbol: 'XXXX',
+        range: '1y',
+        dividends: [],
+        splits: [],
+        source: 'Error',
+        error: 'Failed to retrieve corporate actions for XXXX'
+      }));
+    });
+  });
+
+  describe('getCumulativeSplitRatio', () => {
+    const splits = [
+      { date: '2024-03-28', ratio: 5 },
+      { date: '2024-06-10', ratio: 10 }
+    ];
+
+    test('期間内の分割比率を累積する', () => {
+      expect(corporateActions.getCumulativeSplitRatio(splits, '2024-03-01', '2024-06-30')).toBe(50);
+    });
+
+    test('開始日当日の分割は含めず、終了日当日の分割は含める', () => {
+      expect(corporateActions.getCumulativeSplitRatio(splits, '2024-03-28', '2024-06-10')).toBe(10);
+    });
+
+    test('期間内に分割が無い場合は1', () => {
+      expect(corporateActions.getCumulativeSplitRatio(splits, '2024-07-01', '2024-12-31')).toBe(1);
+      expect(corporateActions.getCumulativeSplitRatio(undefined, '2024-07-01', '2024-12-31')).toBe(1);
+    });
+  });
+});
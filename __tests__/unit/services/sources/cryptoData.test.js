@@ -0,0 +1,129 @@
+/**
+ * ファイルパス: __tests__/unit/services/sources/cryptoData.test.js
+ *
+ * 暗号資産データサービスのユニットテスト
+ * CoinGecko APIのリクエスト、建値通貨、レスポンスの整形を検証
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-14
+ */
+
+jest.mock('axios');
+jest.mock('../../../../src/services/alerts');
+jest.mock('../../../../src/utils/retry', () => ({
+  withRetry: jest.fn(fn => fn()),
+  isRetryableApiError: jest.fn(() => false)
+}));
+
+const axios = require('axios');
+const alertService = require('../../../../src/services/alerts');
+const cryptoDataService = require('../../../../src/services/sources/cryptoData');
+
+describe('cryptoData', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+    delete process.env.COINGECKO_API_KEY;
+  });
+
+  describe('getCoin', () => {
+    test('主な暗号資産はCoinGeckoのIDに変換する', () => {
+      expect(cryptoDataService.getCoin('btc')).toEqual({ id: 'bitcoin', name: 'Bitcoin' });
+      expect(cryptoDataService.getCoin('ETH')).toEqual({ id: 'ethereum', name: 'Ethereum' });
+    });
+
+    test('一覧に無いシンボルは小文字をIDとして扱う', () => {
+      expect(cryptoDataService.getCoin('Pepe')).toEqual({ id: 'pepe', name: 'PEPE' });
+    });
+  });
+
+  describe('normalizeCurrency', () => {
+    test('USD・JPYを大文字で返し、省略時はUSDとする', () => {
+      expect(cryptoDataService.normalizeCurrency('jpy')).toBe('JPY');
+      expect(cryptoDataService.normalizeCurrency()).toBe('USD');
+    });
+
+    test('対応していない通貨はエラーにする', () => {
+      expect(() => cryptoDataService.normalizeCurrency('EUR')).toThrow('Unsupported quote currency: EUR');
+    });
+  });
+
+  describe('getCryptoQuotes', () => {
+    test('複数銘柄を1回のリクエストで指定通貨建てで取得する', async () => {
+      process.env.COINGECKO_API_KEY = 'demo-key';
+      axios.get.mockResolvedValueOnce({
+        data: {
+          bitcoin: {
+            jpy: 10000000,
+            jpy_market_cap: 200000000000000,
+            jpy_24h_vol: 5000000000000,
+            jpy_24h_change: 2.5,
+            last_updated_at: 1718323200
+          },
+          ethereum: { jpy: 500000, jpy_24h_change: -1.234 }
+        }
+      });
+
+      const result = await cryptoDataService.getCryptoQuotes(['BTC', 'eth', 'UNKNOWN'], 'JPY');
+
+      expect(axios.get).toHaveBeenCalledWith(
+        'https://api.coingecko.com/api/v3/simple/price',
+        expect.objectContaining({
+          params: expect.objectContaining({ ids: 'bitcoin,ethereum,unknown', vs_currencies: 'jpy' }),
+          headers: { 'x-cg-demo-api-key': 'demo-key' }
+        })
+      );
+      expect(result.BTC).toEqual({
+        ticker: 'BTC',
+        name: 'Bitcoin',
+        price: 10000000,
+        change: 243902.43902439,
+        changePercent: 2.5,
+        currency: 'JPY',
+        marketCap: 200000000000000,
+        volume: 5000000000000,
+        lastUpdated: '2024-06-14T00:00:00.000Z',
+        source: 'CoinGecko API',
+        isStock: false,
+        isMutualFund: false,
+        isCrypto: true
+      });
+      expect(result.eth).toEqual(expect.objectContaining({ ticker: 'ETH', changePercent: -1.23, marketCap: null }));
+      expect(result.UNKNOWN).toBeUndefined();
+    });
+
+    test('APIキーエラーの場合はアラートを送信してエラーをスローする', async () => {
+      const error = new Error('Request failed with status code 401');
+      error.response = { status: 401 };
+      axios.get.mockRejectedValueOnce(error);
+
+      await expect(cryptoDataService.getCryptoQuotes(['BTC']))
+        .rejects.toThrow('Failed to retrieve crypto data: Request failed with status code 401');
+      expect(alertService.notifyError).toHaveBeenCalledWith(
+        'CoinGecko API Key Error',
+        expect.any(Error),
+        { symbols: ['BTC'] }
+      );
+    });
+  });
+
+  describe('getCryptoData', () => {
+    test('1銘柄の価格を返す', async () => {
+      axios.get.mockResolvedValueOnce({ data: { bitcoin: { usd: 67000, usd_24h_change: 0 } } });
+
+      const result = await cryptoDataService.getCryptoData('BTC');
+
+      expect(result).toEqual(expect.objectContaining({ ticker: 'BTC', price: 67000, change: 0, currency: 'USD' }));
+    });
+
+    test('データが無い場合はエラーをスローする', async () => {
+      axios.get.mockResolvedValueOnce({ data: {} });
+
+      await expect(cryptoDataService.getCryptoData('NOPE')).rejects.toThrow('No crypto data returned for NOPE');
+    });
+  });
+});
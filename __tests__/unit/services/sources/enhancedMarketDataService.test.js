@@ -7,15 +7,21 @@
  */
 
 const service = require('../../../../src/services/sources/enhancedMarketDataService');
-const { DATA_TYPES, BATCH_SIZES } = require('../../../../src/config/constants');
+const { DATA_TYPES, BATCH_SIZES, CACHE_TIMES } = require('../../../../src/config/constants');
 const dataFetchWithFallback = require('../../../../src/utils/dataFetchWithFallback');
 const yahooFinanceService = require('../../../../src/services/sources/yahooFinance');
 const scrapingService = require('../../../../src/services/sources/marketDataProviders');
 const exchangeRateService = require('../../../../src/services/sources/exchangeRate');
+const cryptoDataService = require('../../../../src/services/sources/cryptoData');
 
 jest.mock('../../../../src/utils/dataFetchWithFallback');
 jest.mock('../../../../src/services/sources/yahooFinance');
 jest.mock('../../../../src/services/sources/marketDataProviders');
+jest.mock('../../../../src/services/sources/cryptoData', () => ({
+  ...jest.requireActual('../../../../src/services/sources/cryptoData'),
+  getCryptoData: jest.fn(),
+  getCryptoQuotes: jest.fn()
+}));
 
 beforeEach(() => {
   jest.clearAllMocks();
@@ -147,4 +153,115 @@ describe('additional enhancedMarketDataService functions', () => {
     }));
     expect(result).toEqual({ rate: 148.5 });
   });
+
+  test('getEtfData calls fetchDataWithFallback with ETF defaults', async () => {
+    dataFetchWithFallback.fetchDataWithFallback.mockResolvedValue({ price: 2850 });
+    const result = await service.getEtfData('1306', true);
+    expect(dataFetchWithFallback.fetchDataWithFallback).toHaveBeenCalledWith(expect.objectContaining({
+      symbol: '1306',
+      dataType: DATA_TYPES.ETF,
+      refresh: true,
+      defaultValues: expect.objectContaining({ currency: 'JPY', isEtf: true, nav: null }),
+      cache: { time: CACHE_TIMES.ETF }
+    }));
+    expect(result).toEqual({ price: 2850 });
+  });
+
+  test('getEtfsData fetches TSE-listed and US ETFs separately', async () => {
+    dataFetchWithFallback.fetchBatchDataWithFallback
+      .mockResolvedValueOnce({ '1306': { price: 2850 } })
+      .mockResolvedValueOnce({ VTI: { price: 250 } });
+    const result = await service.getEtfsData(['VTI', '1306'], true);
+    expect(dataFetchWithFallback.fetchBatchDataWithFallback).toHaveBeenNthCalledWith(1, expect.objectContaining({
+      symbols: ['1306'],
+      dataType: DATA_TYPES.ETF,
+      defaultValues: expect.objectContaining({ currency: 'JPY' }),
+      batchSize: BATCH_SIZES.ETF
+    }));
+    expect(dataFetchWithFallback.fetchBatchDataWithFallback).toHaveBeenNthCalledWith(2, expect.objectContaining({
+      symbols: ['VTI'],
+      defaultValues: expect.objectContaining({ currency: 'USD' })
+    }));
+    expect(result).toEqual({ '1306': { price: 2850 }, VTI: { price: 250 } });
+  });
+
+  test('getCryptoData caches each quote currency separately', async () => {
+    dataFetchWithFallback.fetchDataWithFallback.mockResolvedValue({ price: 10000000 });
+    const result = await service.getCryptoData('BTC', 'jpy', true);
+    expect(dataFetchWithFallback.fetchDataWithFallback).toHaveBeenCalledWith(expect.objectContaining({
+      symbol: 'BTC-JPY',
+      dataType: DATA_TYPES.CRYPTO,
+      refresh: true,
+      defaultValues: expect.objectContaining({ ticker: 'BTC', currency: 'JPY', price: null, isCrypto: true }),
+      cache: { time: CACHE_TIMES.CRYPTO }
+    }));
+    expect(result).toEqual({ price: 10000000 });
+  });
+
+  test('getCryptosData fetches all symbols in one request and restores the symbol keys', async () => {
+    cryptoDataService.getCryptoQuotes.mockResolvedValue({
+      BTC: { ticker: 'BTC', name: 'Bitcoin', price: 67000 },
+      eth: { ticker: 'ETH', name: 'Ethereum', price: 3500 }
+    });
+    dataFetchWithFallback.fetchBatchDataWithFallback.mockImplementation(async ({ symbols, fetchFunctions }) => {
+      const results = {};
+      for (const symbol of symbols) {
+        results[symbol] = await fetchFunctions[0](symbol);
+      }
+      return results;
+    });
+
+    const result = await service.getCryptosData(['BTC', 'eth'], 'USD', false);
+
+    expect(dataFetchWithFallback.fetchBatchDataWithFallback).toHaveBeenCalledWith(expect.objectContaining({
+      symbols: ['BTC-USD', 'eth-USD'],
+      dataType: DATA_TYPES.CRYPTO,
+      batchSize: BATCH_SIZES.CRYPTO,
+      cache: { time: CACHE_TIMES.CRYPTO }
+    }));
+    expect(cryptoDataService.getCryptoQuotes).toHaveBeenCalledTimes(1);
+    expect(cryptoDataService.getCryptoQuotes).toHaveBeenCalledWith(['BTC', 'eth'], 'USD');
+    expect(result).toEqual({
+      BTC: { ticker: 'BTC', name: 'Bitcoin', price: 67000 },
+      eth: { ticker: 'ETH', name: 'Ethereum', price: 3500 }
+    });
+  });
+
+  test('getCryptosData rejects unsupported quote currencies', async () => {
+    await expect(service.getCryptosData(['BTC'], 'EUR')).rejects.toThrow('Unsupported quote currency: EUR');
+    expect(dataFetchWithFallback.fetchBatchDataWithFallback).not.toHaveBeenCalled();
+  });
+
+  test('getIndexData uses the default value of each index', async () => {
+    dataFetchWithFallback.fetchDataWithFallback.mockResolvedValue({ price: 38500 });
+    const result = await service.getIndexData('nikkei225', true);
+    expect(dataFetchWithFallback.fetchDataWithFallback).toHaveBeenCalledWith(expect.objectContaining({
+      symbol: 'N225',
+      dataType: DATA_TYPES.INDEX,
+      refresh: true,
+      defaultValues: expect.objectContaining({ ticker: 'N225', price: 38000, currency: 'JPY', isIndex: true }),
+      cache: { time: CACHE_TIMES.INDEX }
+    }));
+    expect(result).toEqual({ price: 38500 });
+  });
+
+  test('getIndicesData fetches each index with its own defaults and keeps the requested keys', async () => {
+    dataFetchWithFallback.fetchDataWithFallback.mockImplementation(async ({ symbol, defaultValues }) => ({
+      ticker: symbol,
+      price: defaultValues.price
+    }));
+
+    const result = await service.getIndicesData(['SPX', '^N225'], false);
+
+    expect(dataFetchWithFallback.fetchDataWithFallback).toHaveBeenCalledTimes(2);
+    expect(result).toEqual({
+      SPX: { ticker: 'SPX', price: 5400 },
+      '^N225': { ticker: 'N225', price: 38000 }
+    });
+  });
+
+  test('getIndexData rejects unknown index identifiers', async () => {
+    await expect(service.getIndexData('FTSE')).rejects.toThrow('Unknown index: FTSE');
+    expect(dataFetchWithFallback.fetchDataWithFallback).not.toHaveBeenCalled();
+  });
 });
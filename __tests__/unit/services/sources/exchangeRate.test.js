@@ -313,4 +313,65 @@ describe('為替レートAPIサービス', () => {
       delete process.env.EXCHANGE_RATE_BASE_URL;
     });
   });
+  
+  describe('getHistoricalExchangeRates', () => {
+    test('時系列APIのレートを日付昇順の足に変換する', async () => {
+      axios.get.mockResolvedValueOnce({
+        data: {
+          success: true,
+          timeseries: true,
+          rates: {
+            '2025-05-13': { JPY: 147.2 },
+            '2025-05-12': { JPY: 146.8 },
+            '2025-05-11': {}
+          }
+        }
+      });
+      
+      const result = await exchangeRateService.getHistoricalExchangeRates('usd', 'jpy', { range: '1mo' });
+      
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(axios.get).toHaveBeenCalledWith(
+        'https://api.exchangerate.host/timeseries',
+        expect.objectContaining({
+          params: expect.objectContaining({
+            base: 'USD',
+            symbols: 'JPY',
+            start_date: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/),
+            end_date: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/)
+          })
+        })
+      );
+      expect(result.symbol).toBe('USD-JPY');
+      expect(result.currency).toBe('JPY');
+      expect(result.bars).toEqual([
+        { date: '2025-05-12', open: 146.8, high: 146.8, low: 146.8, close: 146.8, volume: null },
+        { date: '2025-05-13', open: 147.2, high: 147.2, low: 147.2, close: 147.2, volume: null }
+      ]);
+    });
+    
+    test('1年を超える期間はAPIの上限に合わせて分割して取得する', async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: { rates: { '2024-01-02': { JPY: 141 } } } })
+        .mockResolvedValueOnce({ data: { rates: { '2025-01-02': { JPY: 157 } } } })
+        .mockResolvedValue({ data: { rates: {} } });
+      
+      const result = await exchangeRateService.getHistoricalExchangeRates('USD', 'JPY', { range: '2y' });
+      
+      expect(axios.get.mock.calls.length).toBeGreaterThanOrEqual(2);
+      expect(result.bars.map(bar => bar.date)).toEqual(['2024-01-02', '2025-01-02']);
+    });
+    
+    test('レートが取得できない場合はアラートを通知してエラーをスローする', async () => {
+      axios.get.mockResolvedValueOnce({ data: { success: false } });
+      
+      await expect(exchangeRateService.getHistoricalExchangeRates('USD', 'JPY', { range: '1mo' }))
+        .rejects.toThrow('Failed to retrieve historical exchange rates for USD/JPY');
+      expect(alertService.notifyError).toHaveBeenCalledWith(
+        'Exchange Rate History API Error',
+        expect.any(Error),
+        expect.objectContaining({ base: 'USD', target: 'JPY', range: '1mo' })
+      );
+    });
+  });
 });
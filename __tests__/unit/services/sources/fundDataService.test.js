@@ -263,4 +263,53 @@ describe('Fund Data Service', () => {
       expect(result.changePercent).toBeCloseTo(123 / 12345 * 100, 2);
     });
   });
+  
+  describe('getMutualFundHistory', () => {
+    test('CSVの全レコードを日付昇順の足に変換する', async () => {
+      parse.mockReturnValue([
+        { '日付': '2025/05/12', '基準価額': '12500' },
+        { '日付': '2025/05/09', '基準価額': '12300' },
+        { '日付': '2025/05/10', '基準価額': '-' }
+      ]);
+      
+      const result = await fundDataService.getMutualFundHistory(`${testFundCode}.T`, { range: 'max' });
+      
+      expect(axios.get).toHaveBeenCalledWith(
+        expect.stringContaining(`fnc=${testFundCode}`),
+        expect.any(Object)
+      );
+      expect(result.symbol).toBe(testFundCode);
+      expect(result.currency).toBe('JPY');
+      expect(result.source).toBe('Morningstar CSV');
+      
+      // 解析できない基準価額の行は除外される
+      expect(result.bars).toEqual([
+        { date: '2025-05-09', open: 12300, high: 12300, low: 12300, close: 12300, volume: null },
+        { date: '2025-05-12', open: 12500, high: 12500, low: 12500, close: 12500, volume: null }
+      ]);
+    });
+    
+    test('取得期間より古いレコードは除外する', async () => {
+      const recent = new Date();
+      recent.setUTCDate(recent.getUTCDate() - 3);
+      const recentDate = recent.toISOString().split('T')[0];
+      
+      parse.mockReturnValue([
+        { '日付': '2000/01/04', '基準価額': '10000' },
+        { '日付': recentDate, '基準価額': '15000' }
+      ]);
+      
+      const result = await fundDataService.getMutualFundHistory(testFundCode, { range: '1mo' });
+      
+      expect(result.bars).toHaveLength(1);
+      expect(result.bars[0].date).toBe(recentDate);
+    });
+    
+    test('有効なレコードがない場合はエラーをスローする', async () => {
+      parse.mockReturnValue([{ '日付': '2025/05/09', '基準価額': '' }]);
+      
+      await expect(fundDataService.getMutualFundHistory(testFundCode, { range: 'max' }))
+        .rejects.toThrow('Morningstar CSV history retrieval failed: No valid NAV records in CSV');
+    });
+  });
 });
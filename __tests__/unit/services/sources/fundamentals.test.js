@@ -0,0 +1,132 @@
+/**
+ * ファイルパス: __tests__/unit/services/sources/fundamentals.test.js
+ *
+ * 投資指標（PER・PBR・配当利回りなど）サービスのユニットテスト
+ * データタイプごとのデータソース選択とキャッシュ動作を検証
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-17
+ */
+
+const fundamentals = require('../../../../src/services/sources/fundamentals');
+const yahooFinanceService = require('../../../../src/services/sources/yahooFinance');
+const marketDataProviders = require('../../../../src/services/sources/marketDataProviders');
+const cacheService = require('../../../../src/services/cache');
+const { DATA_TYPES, CACHE_TIMES } = require('../../../../src/config/constants');
+
+jest.mock('../../../../src/services/sources/yahooFinance');
+jest.mock('../../../../src/services/sources/marketDataProviders');
+jest.mock('../../../../src/services/cache');
+jest.mock('../../../../src/utils/logger');
+
+const appleFundamentals = {
+  ticker: 'AAPL',
+  name: 'Apple Inc.',
+  per: 28.41,
+  pbr: 45.2,
+  dividendYield: 0.53,
+  sector: 'Technology',
+  industry: 'Consumer Electronics',
+  fiftyTwoWeekHigh: 199.62,
+  fiftyTwoWeekLow: 164.08,
+  marketCap: 2900000000000,
+  currency: 'USD',
+  source: 'Yahoo Finance API'
+};
+
+describe('fundamentals service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cacheService.get.mockResolvedValue(null);
+    cacheService.set.mockResolvedValue(true);
+  });
+
+  describe('getFundamentals', () => {
+    test('米国株はYahoo Finance APIから取得し、価格とは別のキーで日次キャッシュする', async () => {
+      yahooFinanceService.getStockFundamentals.mockResolvedValue(appleFundamentals);
+
+      const result = await fundamentals.getFundamentals({ dataType: DATA_TYPES.US_STOCK, symbol: 'AAPL' });
+
+      expect(yahooFinanceService.getStockFundamentals).toHaveBeenCalledWith('AAPL');
+      expect(result).toEqual({
+        symbol: 'AAPL',
+        name: 'Apple Inc.',
+        per: 28.41,
+        pbr: 45.2,
+        dividendYield: 0.53,
+        sector: 'Technology',
+        industry: 'Consumer Electronics',
+        fiftyTwoWeekHigh: 199.62,
+        fiftyTwoWeekLow: 164.08,
+        marketCap: 2900000000000,
+        currency: 'USD',
+        source: 'Yahoo Finance API',
+        lastUpdated: expect.any(String)
+      });
+      expect(cacheService.set).toHaveBeenCalledWith('fundamentals:us-stock:AAPL', result, CACHE_TIMES.FUNDAMENTALS);
+      expect(CACHE_TIMES.FUNDAMENTALS).toBe(86400);
+    });
+
+    test('日本株はYahoo Finance Japanの指標欄から取得する', async () => {
+      marketDataProviders.getJpStockFundamentals.mockResolvedValue({
+        ticker: '7203',
+        name: 'トヨタ自動車(株)',
+        per: 10.5,
+        currency: 'JPY',
+        source: 'Yahoo Finance Japan'
+      });
+
+      const result = await fundamentals.getFundamentals({ dataType: DATA_TYPES.JP_STOCK, symbol: '7203' });
+
+      expect(marketDataProviders.getJpStockFundamentals).toHaveBeenCalledWith('7203');
+      expect(result).toEqual(expect.objectContaining({ symbol: '7203', per: 10.5, source: 'Yahoo Finance Japan' }));
+      expect(cacheService.set).toHaveBeenCalledWith('fundamentals:jp-stock:7203', result, CACHE_TIMES.FUNDAMENTALS);
+    });
+
+    test('キャッシュがある場合はデータソースを呼び出さない', async () => {
+      const cached = { symbol: 'AAPL', per: 28 };
+      cacheService.get.mockResolvedValue({ data: cached, ttl: 3600 });
+
+      const result = await fundamentals.getFundamentals({ dataType: DATA_TYPES.US_STOCK, symbol: 'AAPL' });
+
+      expect(cacheService.get).toHaveBeenCalledWith('fundamentals:us-stock:AAPL');
+      expect(yahooFinanceService.getStockFundamentals).not.toHaveBeenCalled();
+      expect(result).toBe(cached);
+    });
+
+    test('refresh指定時はキャッシュを無視する', async () => {
+      yahooFinanceService.getStockFundamentals.mockResolvedValue(appleFundamentals);
+
+      await fundamentals.getFundamentals({ dataType: DATA_TYPES.US_STOCK, symbol: 'AAPL', refresh: true });
+
+      expect(cacheService.get).not.toHaveBeenCalled();
+      expect(yahooFinanceService.getStockFundamentals).toHaveBeenCalled();
+    });
+
+    test('株式以外のデータタイプはエラー', async () => {
+      await expect(fundamentals.getFundamentals({ dataType: DATA_TYPES.ETF, symbol: 'VOO' }))
+        .rejects.toThrow('Unsupported data type for fundamentals: etf');
+    });
+  });
+
+  describe('getFundamentalsForSymbols', () => {
+    test('個別銘柄の失敗はエラーとして結果に含める', async () => {
+      yahooFinanceService.getStockFundamentals
+        .mockResolvedValueOnce(appleFundamentals)
+        .mockRejectedValueOnce(new Error('Failed to retrieve fundamentals for XXXX'));
+
+      const result = await fundamentals.getFundamentalsForSymbols({
+        dataType: DATA_TYPES.US_STOCK,
+        symbols: ['AAPL', 'XXXX']
+      });
+
+      expect(result.AAPL.per).toBe(28.41);
+      expect(result.XXXX).toEqual({
+        symbol: 'XXXX',
+        source: 'Error',
+        error: 'Failed to retrieve fundamentals for XXXX',
+        lastUpdated: expect.any(String)
+      });
+    });
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * ファイルパス: __tests__/unit/services/sources/historicalData.test.js
+ *
+ * 履歴データサービスのユニットテスト
+ * データタイプごとのデータソース選択、足の集約、キャッシュ動作を検証
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-25
+ */
+
+const historicalData = require('../../../../src/services/sources/historicalData');
+const yahooFinanceService = require('../../../../src/services/sources/yahooFinance');
+const fundDataService = require('../../../../src/services/sources/fundDataService');
+const exchangeRateService = require('../../../../src/services/sources/exchangeRate');
+const cacheService = require('../../../../src/services/cache');
+const { DATA_TYPES, CACHE_TIMES } = require('../../../../src/config/constants');
+
+jest.mock('../../../../src/services/sources/yahooFinance');
+jest.mock('../../../../src/services/sources/fundDataService');
+jest.mock('../../../../src/services/sources/exchangeRate');
+jest.mock('../../../../src/services/cache');
+jest.mock('../../../../src/utils/logger');
+
+const dailyBars = [
+  { date: '2025-05-05', open: 100, high: 100, low: 100, close: 100, volume: null },
+  { date: '2025-05-07', open: 102, high: 102, low: 102, close: 102, volume: null },
+  { date: '2025-05-12', open: 101, high: 101, low: 101, close: 101, volume: null }
+];
+
+describe('historicalData service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cacheService.get.mockResolvedValue(null);
+    cacheService.set.mockResolvedValue(true);
+  });
+
+  describe('getHistoricalData', () => {
+    test('米国株はYahoo Financeから取得してキャッシュする', async () => {
+      yahooFinanceService.getHistoricalData.mockResolvedValue({
+        currency: 'USD',
+        bars: [{ date: '2025-05-12', open: 1, high: 2, low: 0.5, close: 1.5, volume: 10 }],
+        source: 'Yahoo Finance API'
+      });
+
+      const result = await historicalData.getHistoricalData({
+        dataType: DATA_TYPES.US_STOCK,
+        symbol: 'AAPL',
+        range: '1mo',
+        interval: '1wk'
+      });
+
+      expect(yahooFinanceService.getHistoricalData).toHaveBeenCalledWith('AAPL', { range: '1mo', interval: '1wk' });
+      expect(result).toEqual(expect.objectContaining({
+        symbol: 'AAPL',
+        currency: 'USD',
+        range: '1mo',
+        interval: '1wk',
+        source: 'Yahoo Finance API'
+      }));
+      expect(result.bars).toHaveLength(1);
+      expect(cacheService.set).toHaveBeenCalledWith(
+        'history:us-stock:AAPL:1mo:1wk',
+        result,
+        CACHE_TIMES.HISTORICAL_DATA
+      );
+    });
+
+    test('投資信託は日足を指定間隔に集約する', async () => {
+      fundDataService.getMutualFundHistory.mockResolvedValue({
+        symbol: '0131103C',
+        currency: 'JPY',
+        bars: dailyBars,
+        source: 'Morningstar CSV'
+      });
+
+      const result = await historicalData.getHistoricalData({
+        dataType: DATA_TYPES.MUTUAL_FUND,
+        symbol: '0131103C',
+        range: '3mo',
+        interval: '1wk'
+      });
+
+      expect(fundDataService.getMutualFundHistory).toHaveBeenCalledWith('0131103C', { range: '3mo' });
+      expect(result.bars).toEqual([
+        { date: '2025-05-05', open: 100, high: 102, low: 100, close: 102, volume: null },
+        { date: '2025-05-12', open: 101, high: 101, low: 101, close: 101, volume: null }
+      ]);
+    });
+
+    test('為替レートは通貨ペアを分解して取得する', async () => {
+      exchangeRateService.getHistoricalExchangeRates.mockResolvedValue({
+        currency: 'JPY',
+        bars: dailyBars,
+        source: 'exchangerate-host'
+      });
+
+      const result = await historicalData.getHistoricalData({
+        dataType: DATA_TYPES.EXCHANGE_RATE,
+        symbol: 'USD-JPY'
+      });
+
+      expect(exchangeRateService.getHistoricalExchangeRates).toHaveBeenCalledWith('USD', 'JPY', { range: '1y' });
+      expect(result.interval).toBe('1d');
+      expect(result.bars).toHaveLength(3);
+    });
+
+    test('市場指数は指数の識別子でYahoo Financeから取得する', async () => {
+      yahooFinanceService.getIndexHistoricalData.mockResolvedValue({
+        symbol: 'N225',
+        currency: 'JPY',
+        bars: dailyBars,
+        source: 'Yahoo Finance API'
+      });
+
+      const result = await historicalData.getHistoricalData({
+        dataType: DATA_TYPES.INDEX,
+        symbol: 'N225',
+        range: '5y',
+        interval: '1mo'
+      });
+
+      expect(yahooFinanceService.getIndexHistoricalData).toHaveBeenCalledWith('N225', { range: '5y', interval: '1mo' });
+      expect(cacheService.set).toHaveBeenCalledWith('history:index:N225:5y:1mo', expect.any(Object), CACHE_TIMES.HISTORICAL_DATA);
+      expect(result.currency).toBe('JPY');
+      expect(result.bars).toHaveLength(3);
+    });
+
+    test('不正な通貨ペア形式はエラーになる', async () => {
+      await expect(historicalData.getHistoricalData({
+        dataType: DATA_TYPES.EXCHANGE_RATE,
+        symbol: 'USDJPY'
+      })).rejects.toThrow('Invalid currency pair format');
+    });
+
+    test('キャッシュがある場合はデータソースを呼び出さない', async () => {
+      const cached = { symbol: 'AAPL', bars: [], source: 'Yahoo Finance API' };
+      cacheService.get.mockResolvedValue({ data: cached, ttl: 100 });
+
+      const result = await historicalData.getHistoricalData({
+        dataType: DATA_TYPES.US_STOCK,
+        symbol: 'AAPL'
+      });
+
+      expect(cacheService.get).toHaveBeenCalledWith('history:us-stock:AAPL:1y:1d');
+      expect(yahooFinanceService.getHistoricalData).not.toHaveBeenCalled();
+      expect(result).toBe(cached);
+    });
+
+    test('refresh指定時はキャッシュを参照しない', async () => {
+      yahooFinanceService.getHistoricalData.mockResolvedValue({ currency: 'JPY', bars: [], source: 'Yahoo Finance API' });
+
+      await historicalData.getHistoricalData({
+        dataType: DATA_TYPES.JP_STOCK,
+        symbol: '7203',
+        refresh: true
+      });
+
+      expect(cacheService.get).not.toHaveBeenCalled();
+      expect(yahooFinanceService.getHistoricalData).toHaveBeenCalledWith('7203', { range: '1y', interval: '1d' });
+    });
+  });
+
+  describe('getHistoricalDataForSymbols', () => {
+    test('個別銘柄の失敗はエラーとして結果に含める', async () => {
+      yahooFinanceService.getHistoricalData
+        .mockResolvedValueOnce({ currency: 'USD', bars: [], source: 'Yahoo Finance API' })
+        .mockRejectedValueOnce(new Error('API down'));
+
+      const result = await historicalData.getHistoricalDataForSymbols({
+        dataType: DATA_TYPES.US_STOCK,
+        symbols: ['AAPL', 'MSFT'],
+        range: '1y',
+        interval: '1d'
+      });
+
+      expect(result.AAPL.source).toBe('Yahoo Finance API');
+      expect(result.MSFT).toEqual(expect.objectContaining({
+        symbol: 'MSFT',
+        bars: [],
+        source: 'Error',
+        error: 'API down'
+      }));
+    });
+  });
+});
@@ -2,15 +2,20 @@
  * ファイルパス: __tests__/unit/services/sources/marketDataProviders.test.js
  *
  * marketDataProviders モジュールのユニットテスト
- * cleanupBlacklist, getBlacklistedSymbols, getMutualFundData の基本動作を検証する
+ * cleanupBlacklist, getBlacklistedSymbols, getMutualFundData, getEtfData, getIndexData の基本動作を検証する
  */
 
+const axios = require('axios');
 const marketDataProviders = require('../../../../src/services/sources/marketDataProviders');
 const blacklist = require('../../../../src/utils/scrapingBlacklist');
 const fundDataService = require('../../../../src/services/sources/fundDataService');
+const yahooFinanceService = require('../../../../src/services/sources/yahooFinance');
 
+jest.mock('axios');
 jest.mock('../../../../src/utils/scrapingBlacklist');
 jest.mock('../../../../src/services/sources/fundDataService');
+jest.mock('../../../../src/services/sources/yahooFinance');
+jest.mock('../../../../src/services/alerts');
 
 describe('marketDataProviders utility functions', () => {
   beforeEach(() => {
@@ -36,6 +41,236 @@ describe('marketDataProviders utility functions', () => {
     });
   });
 
+  describe('calculatePremiumDiscount', () => {
+    test('returns premium as a positive percentage and discount as negative', () => {
+      expect(marketDataProviders.calculatePremiumDiscount(101, 100)).toBe(1);
+      expect(marketDataProviders.calculatePremiumDiscount(2480, 2500)).toBe(-0.8);
+    });
+
+    test('returns null when NAV is missing or invalid', () => {
+      expect(marketDataProviders.calculatePremiumDiscount(100, null)).toBeNull();
+      expect(marketDataProviders.calculatePremiumDiscount(100, 0)).toBeNull();
+      expect(marketDataProviders.calculatePremiumDiscount(undefined, 100)).toBeNull();
+    });
+  });
+
+  describe('getEtfData', () => {
+    test('returns Yahoo Finance API data with premium/discount', async () => {
+      blacklist.isBlacklisted.mockResolvedValue(false);
+      yahooFinanceService.getEtfData.mockResolvedValue({
+        ticker: 'VTI',
+        price: 250.5,
+        currency: 'USD',
+        nav: 250,
+        distributionYield: 1.35,
+        expenseRatio: 0.03,
+        source: 'Yahoo Finance API'
+      });
+
+      const result = await marketDataProviders.getEtfData('VTI');
+
+      expect(blacklist.isBlacklisted).toHaveBeenCalledWith('VTI', 'us');
+      expect(yahooFinanceService.getEtfData).toHaveBeenCalledWith('VTI');
+      expect(result).toEqual(expect.objectContaining({
+        ticker: 'VTI',
+        price: 250.5,
+        nav: 250,
+        premiumDiscount: 0.2,
+        distributionYield: 1.35,
+        expenseRatio: 0.03,
+        isStock: false,
+        isMutualFund: false,
+        isEtf: true
+      }));
+    });
+
+    test('returns JPY fallback data for blacklisted TSE-listed codes', async () => {
+      blacklist.isBlacklisted.mockResolvedValue(true);
+
+      const result = await marketDataProviders.getEtfData('1306.T');
+
+      expect(blacklist.isBlacklisted).toHaveBeenCalledWith('1306', 'jp');
+      expect(yahooFinanceService.getEtfData).not.toHaveBeenCalled();
+      expect(result).toEqual(expect.objectContaining({
+        ticker: '1306',
+        currency: 'JPY',
+        isEtf: true,
+        nav: null,
+        premiumDiscount: null,
+        distributionYield: null,
+        expenseRatio: null
+      }));
+    });
+  });
+
+  describe('getIndexData', () => {
+    beforeEach(() => {
+      blacklist.isBlacklisted.mockResolvedValue(false);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+      console.error.mockRestore();
+    });
+
+    test('returns Yahoo Finance API data under the index identifier', async () => {
+      yahooFinanceService.getIndexData.mockResolvedValue({
+        ticker: 'N225',
+        price: 38500.12,
+        change: 120.5,
+        changePercent: 0.31,
+        currency: 'JPY',
+        source: 'Yahoo Finance API'
+      });
+
+      const result = await marketDataProviders.getIndexData('nikkei225');
+
+      expect(blacklist.isBlacklisted).toHaveBeenCalledWith('N225', 'jp');
+      expect(yahooFinanceService.getIndexData).toHaveBeenCalledWith('N225');
+      expect(result).toEqual(expect.objectContaining({
+        ticker: 'N225',
+        name: '日経平均株価',
+        price: 38500.12,
+        isStock: false,
+        isIndex: true
+      }));
+    });
+
+    test('scrapes the Yahoo Finance Japan index page when the API fails', async () => {
+      yahooFinanceService.getIndexData.mockRejectedValue(new Error('API down'));
+      axios.get.mockResolvedValue({
+        data: '<h1 class="_1wANDxx3RtV3AdCFSC4_Lp">TOPIX</h1>' +
+          '<span class="_3rXWJNmiHHh4lN4kRUvvv7">2,745.31</span>' +
+          '<span class="_3Ovs4ARF5Hslpj9n5NwEjn">+15.20(+0.56%)</span>'
+      });
+
+      const result = await marketDataProviders.getIndexData('TOPIX');
+
+      expect(axios.get).toHaveBeenCalledWith('https://finance.yahoo.co.jp/quote/998405.T', expect.any(Object));
+      expect(result).toEqual(expect.objectContaining({
+        ticker: 'TOPIX',
+        price: 2745.31,
+        change: 15.2,
+        changePercent: 0.56,
+        currency: 'JPY',
+        source: 'Yahoo Finance Japan',
+        isIndex: true
+      }));
+    });
+
+    test('returns the default value of each index when all sources fail', async () => {
+      yahooFinanceService.getIndexData.mockRejectedValue(new Error('API down'));
+
+      const result = await marketDataProviders.getIndexData('ACWI');
+
+      // ACWI は Yahoo Finance Japan の指数ページが無いためスクレイピングしない
+      expect(axios.get).not.toHaveBeenCalled();
+      expect(result).toEqual(expect.objectContaining({
+        ticker: 'ACWI',
+        price: 110,
+        currency: 'USD',
+        source: 'Fallback',
+        isIndex: true
+      }));
+    });
+
+    test('throws for unknown index identifiers', async () => {
+      await expect(marketDataProviders.getIndexData('FTSE')).rejects.toThrow('Unknown index: FTSE');
+    });
+  });
+
+  describe('getJpStockFundamentals', () => {
+    beforeEach(() => {
+      blacklist.isBlacklisted.mockResolvedValue(false);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+      console.error.mockRestore();
+    });
+
+    test('parses the indicator table on the Yahoo Finance Japan page and the 52-week range from weekly bars', async () => {
+      axios.get.mockResolvedValue({
+        data: '<h1 class="_1wANDxx3RtV3AdCFSC4_Lp">トヨタ自動車(株)</h1>' +
+          '<span class="_3rXWJNmiHHh4lN4kRUvvv7">2,950.5</span>' +
+          '<dl><dt>時価総額</dt><dd>48,541,436百万円</dd></dl>' +
+          '<dl><dt>PER（会社予想）</dt><dd>(連) 10.50倍</dd></dl>' +
+          '<dl><dt>PBR（実績）</dt><dd>(連) 1.12倍</dd></dl>' +
+          '<dl><dt>配当利回り（会社予想）</dt><dd>2.85%</dd></dl>' +
+          '<dl><dt>業種</dt><dd>輸送用機器</dd></dl>'
+      });
+      yahooFinanceService.getHistoricalData.mockResolvedValue({
+        bars: [
+          { date: '2024-07-01', high: 3891, low: 3500 },
+          { date: '2025-04-07', high: 2500, low: 2385 }
+        ]
+      });
+
+      const result = await marketDataProviders.getJpStockFundamentals('7203.T');
+
+      expect(axios.get).toHaveBeenCalledWith('https://finance.yahoo.co.jp/quote/7203.T', expect.any(Object));
+      expect(yahooFinanceService.getHistoricalData).toHaveBeenCalledWith('7203', { range: '1y', interval: '1wk' });
+      expect(yahooFinanceService.getStockFundamentals).not.toHaveBeenCalled();
+      expect(result).toEqual({
+        ticker: '7203',
+        name: 'トヨタ自動車(株)',
+        per: 10.5,
+        pbr: 1.12,
+        dividendYield: 2.85,
+        sector: '輸送用機器',
+        industry: null,
+        fiftyTwoWeekHigh: 3891,
+        fiftyTwoWeekLow: 2385,
+        marketCap: 48541436000000,
+        currency: 'JPY',
+        source: 'Yahoo Finance Japan'
+      });
+    });
+
+    test('returns null for indicators shown as "---" and when the chart is unavailable', async () => {
+      axios.get.mockResolvedValue({
+        data: '<span class="_3rXWJNmiHHh4lN4kRUvvv7">1,200</span>' +
+          '<dl><dt>PER（会社予想）</dt><dd>---</dd></dl>'
+      });
+      yahooFinanceService.getHistoricalData.mockRejectedValue(new Error('chart down'));
+
+      const result = await marketDataProviders.getJpStockFundamentals('130A');
+
+      expect(result).toEqual(expect.objectContaining({
+        per: null,
+        pbr: null,
+        marketCap: null,
+        sector: null,
+        fiftyTwoWeekHigh: null,
+        fiftyTwoWeekLow: null
+      }));
+    });
+
+    test('falls back to the Yahoo Finance API when scraping fails', async () => {
+      axios.get.mockRejectedValue(new Error('blocked'));
+      yahooFinanceService.getHistoricalData.mockResolvedValue({ bars: [] });
+      yahooFinanceService.getStockFundamentals.mockResolvedValue({ ticker: '7203', per: 10.2, source: 'Yahoo Finance API' });
+
+      const result = await marketDataProviders.getJpStockFundamentals('7203');
+
+      expect(yahooFinanceService.getStockFundamentals).toHaveBeenCalledWith('7203');
+      expect(result).toEqual({ ticker: '7203', per: 10.2, source: 'Yahoo Finance API' });
+    });
+
+    test('skips scraping for blacklisted codes and throws when the API also fails', async () => {
+      blacklist.isBlacklisted.mockResolvedValue(true);
+      yahooFinanceService.getStockFundamentals.mockRejectedValue(new Error('API down'));
+
+      await expect(marketDataProviders.getJpStockFundamentals('7203'))
+        .rejects.toThrow('JP stock fundamentals retrieval failed for 7203: API down');
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+  });
+
   describe('cleanupBlacklist', () => {
     test('returns value from blacklist.cleanupBlacklist', async () => {
       const mockRes = { cleanedItems: 2 };
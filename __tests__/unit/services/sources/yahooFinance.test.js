@@ -386,4 +386,430 @@ describe('Yahoo Finance APIサービス', () => {
       );
     });
   });
+  
+  describe('getEtfData', () => {
+    test('米国ETFの基準価額・分配金利回り・経費率を取得する', async () => {
+      axios.get.mockResolvedValueOnce({
+        data: {
+          quoteResponse: {
+            result: [
+              {
+                symbol: 'VTI',
+                regularMarketPrice: 250.5,
+                regularMarketChange: 1.2,
+                regularMarketChangePercent: 0.48,
+                shortName: 'Vanguard Total Stock Market ETF',
+                currency: 'USD',
+                regularMarketTime: 1718236800,
+                navPrice: 250.3,
+                trailingAnnualDividendYield: 0.0135,
+                netExpenseRatio: 0.03,
+                netAssets: 1500000000000,
+                regularMarketVolume: 3000000
+              }
+            ],
+            error: null
+          }
+        }
+      });
+      
+      const result = await yahooFinanceService.getEtfData('VTI');
+      
+      expect(axios.get).toHaveBeenCalledWith(
+        expect.stringContaining('/market/v2/get-quotes'),
+        expect.objectContaining({ params: { region: 'US', symbols: 'VTI' } })
+      );
+      expect(result).toEqual(expect.objectContaining({
+        ticker: 'VTI',
+        price: 250.5,
+        currency: 'USD',
+        isStock: false,
+        isMutualFund: false,
+        isEtf: true,
+        nav: 250.3,
+        distributionYield: 1.35,
+        expenseRatio: 0.03,
+        netAssets: 1500000000000,
+        source: 'Yahoo Finance API'
+      }));
+    });
+    
+    test('東証の銘柄は日本市場から取得し、経費率は年次報告の比率から算出する', async () => {
+      axios.get.mockResolvedValueOnce({
+        data: {
+          quoteResponse: {
+            result: [
+              {
+                symbol: '1306.T',
+                regularMarketPrice: 2850,
+                regularMarketChange: 15,
+                regularMarketChangePercent: 0.53,
+                regularMarketTime: 1718236800,
+                annualReportExpenseRatio: 0.00066
+              }
+            ],
+            error: null
+          }
+        }
+      });
+      
+      const result = await yahooFinanceService.getEtfData('1306');
+      
+      expect(axios.get).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.objectContaining({ params: { region: 'JP', symbols: '1306.T' } })
+      );
+      expect(result.ticker).toBe('1306');
+      expect(result.currency).toBe('JPY');
+      expect(result.expenseRatio).toBe(0.066);
+      expect(result.nav).toBeNull();
+      expect(result.distributionYield).toBeNull();
+    });
+    
+    test('該当するデータが無い場合は空のオブジェクトを返す', async () => {
+      axios.get.mockResolvedValueOnce({ data: { quoteResponse: { result: [], error: null } } });
+      
+      await expect(yahooFinanceService.getEtfData('UNKNOWN')).resolves.toEqual({});
+    });
+    
+    test('シンボルが無い場合はエラーをスローする', async () => {
+      await expect(yahooFinanceService.getEtfData(''))
+        .rejects.toThrow('Failed to retrieve ETF data for : Symbol is required');
+    });
+  });
+  
+  describe('getHistoricalData', () => {
+    test('チャートAPIのレスポンスをOHLCVの足に変換する', async () => {
+      const mockResponse = {
+        data: {
+          chart: {
+            result: [
+              {
+                meta: { currency: 'USD' },
+                timestamp: [1715644800, 1715731200, 1715817600],
+                indicators: {
+                  quote: [
+                    {
+                      open: [180, 181, null],
+                      high: [182, 183, null],
+                      low: [179, 180, null],
+                      close: [181, 182.5, null],
+                      volume: [1000, 2000, null]
+                    }
+                  ]
+                }
+              }
+            ],
+            error: null
+          }
+        }
+      };
+      
+      axios.get.mockResolvedValueOnce(mockResponse);
+      
+      const result = await yahooFinanceService.getHistoricalData('AAPL', { range: '1mo', interval: '1d' });
+      
+      expect(axios.get).toHaveBeenCalledWith(
+        expect.stringContaining('/stock/v3/get-chart'),
+        expect.objectContaining({
+          params: { symbol: 'AAPL', range: '1mo', interval: '1d', region: 'US' }
+        })
+      );
+      
+      // 終値が欠けている足は除外される
+      expect(result.bars).toHaveLength(2);
+      expect(result.bars[0]).toEqual({
+        date: '2024-05-14',
+        open: 180,
+        high: 182,
+        low: 179,
+        close: 181,
+        volume: 1000
+      });
+      expect(result.currency).toBe('USD');
+      expect(result.source).toBe('Yahoo Finance API');
+    });
+    
+    test('日本株の証券コードには東証サフィックスを付与する', async () => {
+      axios.get.mockResolvedValueOnce({
+        data: {
+          chart: {
+            result: [{ meta: {}, timestamp: [], indicators: { quote: [{}] } }],
+            error: null
+          }
+        }
+      });
+      
+      const result = await yahooFinanceService.getHistoricalData('7203');
+      
+      expect(axios.get).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.objectContaining({
+          params: expect.objectContaining({ symbol: '7203.T', region: 'JP', range: '1y', interval: '1d' })
+        })
+      );
+      expect(result.currency).toBe('JPY');
+      expect(result.bars).toEqual([]);
+    });
+    
+    test('不正なレスポンス形式の場合はエラーをスローする', async () => {
+      axios.get.mockResolvedValueOnce({ data: { chart: { result: [], error: null } } });
+      
+      await expect(yahooFinanceService.getHistoricalData('AAPL'))
+        .rejects.toThrow('Failed to retrieve historical data for AAPL: Invalid API response format');
+    });
+  });
+  
+  describe('getIndexData', () => {
+    test('指数の識別子をYahoo Financeのシンボルに変換して取得する', async () => {
+      axios.get.mockResolvedValueOnce({
+        data: {
+          quoteResponse: {
+            result: [
+              {
+                symbol: '^N225',
+                regularMarketPrice: 38500.12,
+                regularMarketChange: 120.5,
+                regularMarketChangePercent: 0.31,
+                regularMarketTime: 1718236800,
+                currency: 'JPY'
+              }
+            ],
+            error: null
+          }
+        }
+      });
+      
+      const result = await yahooFinanceService.getIndexData('n225');
+      
+      expect(axios.get).toHaveBeenCalledWith(
+        expect.stringContaining('/market/v2/get-quotes'),
+        expect.objectContaining({ params: { region: 'JP', symbols: '^N225' } })
+      );
+      expect(result).toEqual(expect.objectContaining({
+        ticker: 'N225',
+        name: '日経平均株価',
+        price: 38500.12,
+        currency: 'JPY',
+        isIndex: true,
+        providerSymbol: '^N225'
+      }));
+    });
+    
+    test('対応していない指数はエラーをスローする', async () => {
+      await expect(yahooFinanceService.getIndexData('FTSE'))
+        .rejects.toThrow('Failed to retrieve index data for FTSE: Unknown index: FTSE');
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('getIndexHistoricalData', () => {
+    test('指数の識別子で履歴データを返す', async () => {
+      axios.get.mockResolvedValueOnce({
+        data: {
+          chart: {
+            result: [{
+              meta: { currency: 'USD' },
+              timestamp: [1715644800],
+              indicators: { quote: [{ open: [5200], high: [5230], low: [5190], close: [5221.4], volume: [null] }] }
+            }],
+            error: null
+          }
+        }
+      });
+      
+      const result = await yahooFinanceService.getIndexHistoricalData('SPX', { range: '5y', interval: '1wk' });
+      
+      expect(axios.get).toHaveBeenCalledWith(
+        expect.stringContaining('/stock/v3/get-chart'),
+        expect.objectContaining({
+          params: { symbol: '^GSPC', range: '5y', interval: '1wk', region: 'US' }
+        })
+      );
+      expect(result.symbol).toBe('SPX');
+      expect(result.currency).toBe('USD');
+      expect(result.bars).toEqual([
+        { date: '2024-05-14', open: 5200, high: 5230, low: 5190, close: 5221.4, volume: null }
+      ]);
+    });
+  });
+  
+  describe('getCorporateActions', () => {
+    test('チャートAPIのイベントを日付順の配当と株式分割に変換する', async () => {
+      axios.get.mockResolvedValueOnce({
+        data: {
+          chart: {
+            result: [{
+              meta: { currency: 'USD' },
+              events: {
+                dividends: {
+                  1723469400: { amount: 0.25, date: 1723469400 },
+                  1715347800: { amount: 0.25, date: 1715347800 }
+                },
+                splits: {
+                  1598880600: { date: 1598880600, numerator: 4, denominator: 1, splitRatio: '4:1' }
+                }
+              }
+            }],
+            error: null
+          }
+        }
+      });
+      
+      const result = await yahooFinanceService.getCorporateActions('AAPL', { range: '10y' });
+      
+      expect(axios.get).toHaveBeenCalledWith(
+        expect.stringContaining('/stock/v3/get-chart'),
+        expect.objectContaining({
+          params: { symbol: 'AAPL', range: '10y', interval: '1mo', events: 'div,split', region: 'US' }
+        })
+      );
+      expect(result).toEqual({
+        symbol: 'AAPL',
+        currency: 'USD',
+        range: '10y',
+        dividends: [
+          { date: '2024-05-10', amount: 0.25 },
+          { date: '2024-08-12', amount: 0.25 }
+        ],
+        splits: [
+          { date: '2020-08-31', numerator: 4, denominator: 1, ratio: 4, splitRatio: '4:1' }
+        ],
+        source: 'Yahoo Finance API'
+      });
+    });
+    
+    test('日本株の証券コードには東証サフィックスを付与し、イベントが無い場合は空配列を返す', async () => {
+      axios.get.mockResolvedValueOnce({
+        data: { chart: { result: [{ meta: {} }], error: null } }
+      });
+      
+      const result = await yahooFinanceService.getCorporateActions('7203');
+      
+      expect(axios.get).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.objectContaining({
+          params: expect.objectContaining({ symbol: '7203.T', region: 'JP', range: '5y' })
+        })
+      );
+      expect(result.currency).toBe('JPY');
+      expect(result.dividends).toEqual([]);
+      expect(result.splits).toEqual([]);
+    });
+    
+    test('分割比率が不正なイベントは除外し、splitRatio が無い場合は補完する', async () => {
+      axios.get.mockResolvedValueOnce({
+        data: {
+          chart: {
+            result: [{
+              meta: { currency: 'JPY' },
+              events: {
+                splits: {
+                  1711584000: { date: 1711584000, numerator: 1, denominator: 5 },
+                  1711670400: { date: 1711670400, numerator: 0, denominator: 1 }
+                }
+              }
+            }],
+            error: null
+          }
+        }
+      });
+      
+      const result = await yahooFinanceService.getCorporateActions('4063');
+      
+      expect(result.splits).toEqual([
+        { date: '2024-03-28', numerator: 1, denominator: 5, ratio: 0.2, splitRatio: '1:5' }
+      ]);
+    });
+    
+    test('APIキーエラーの場合はアラートを通知してエラーをスローする', async () => {
+      axios.get.mockRejectedValueOnce({ response: { status: 401 }, message: 'Unauthorized' });
+      
+      await expect(yahooFinanceService.getCorporateActions('AAPL'))
+        .rejects.toThrow('Failed to retrieve corporate actions for AAPL');
+      expect(alertService.notifyError).toHaveBeenCalledWith(
+        'Yahoo Finance API Key Error',
+        expect.any(Error),
+        { symbol: 'AAPL' }
+      );
+    });
+  });
+  
+  describe('getStockFundamentals', () => {
+    const quoteResponse = (quote) => ({ data: { quoteResponse: { result: [quote], error: null } } });
+    
+    test('get-quotes の投資指標と get-profile のセクターを返す', async () => {
+      axios.get.mockImplementation((url) => Promise.resolve(url.includes('/stock/v2/get-profile')
+        ? { data: { assetProfile: { sector: 'Technology', industry: 'Consumer Electronics' } } }
+        : quoteResponse({
+          symbol: 'AAPL',
+          shortName: 'Apple Inc.',
+          currency: 'USD',
+          trailingPE: 28.41,
+          priceToBook: 45.2,
+          trailingAnnualDividendYield: 0.0053,
+          fiftyTwoWeekHigh: 199.62,
+          fiftyTwoWeekLow: 164.08,
+          marketCap: 2900000000000
+        })));
+      
+      const result = await yahooFinanceService.getStockFundamentals('AAPL');
+      
+      expect(axios.get).toHaveBeenCalledWith(
+        expect.stringContaining('/market/v2/get-quotes'),
+        expect.objectContaining({ params: { region: 'US', symbols: 'AAPL' } })
+      );
+      expect(axios.get).toHaveBeenCalledWith(
+        expect.stringContaining('/stock/v2/get-profile'),
+        expect.objectContaining({ params: { symbol: 'AAPL', region: 'US' } })
+      );
+      expect(result).toEqual({
+        ticker: 'AAPL',
+        name: 'Apple Inc.',
+        per: 28.41,
+        pbr: 45.2,
+        dividendYield: 0.53,
+        sector: 'Technology',
+        industry: 'Consumer Electronics',
+        fiftyTwoWeekHigh: 199.62,
+        fiftyTwoWeekLow: 164.08,
+        marketCap: 2900000000000,
+        currency: 'USD',
+        source: 'Yahoo Finance API'
+      });
+    });
+    
+    test('セクターが取得できない場合もnullとして投資指標を返す', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      axios.get.mockImplementation((url) => url.includes('/stock/v2/get-profile')
+        ? Promise.reject(new Error('Not Found'))
+        : Promise.resolve(quoteResponse({ symbol: '7203.T', currency: 'JPY', trailingPE: 10.5 })));
+      
+      const result = await yahooFinanceService.getStockFundamentals('7203');
+      
+      expect(axios.get).toHaveBeenCalledWith(
+        expect.stringContaining('/market/v2/get-quotes'),
+        expect.objectContaining({ params: { region: 'JP', symbols: '7203.T' } })
+      );
+      expect(result).toEqual(expect.objectContaining({
+        ticker: '7203',
+        per: 10.5,
+        pbr: null,
+        dividendYield: null,
+        sector: null,
+        industry: null,
+        currency: 'JPY'
+      }));
+      warnSpy.mockRestore();
+    });
+    
+    test('該当する銘柄が無い場合はエラーをスローする', async () => {
+      axios.get.mockImplementation((url) => Promise.resolve(url.includes('/stock/v2/get-profile')
+        ? { data: {} }
+        : { data: { quoteResponse: { result: [], error: null } } }));
+      
+      await expect(yahooFinanceService.getStockFundamentals('XXXX'))
+        .rejects.toThrow('Failed to retrieve fundamentals for XXXX: No quote data returned');
+    });
+  });
 });
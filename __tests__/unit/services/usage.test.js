@@ -7,6 +7,7 @@
  * 
  * @author Portfolio Manager Team
  * @created 2025-05-21
+ * @updated 2025-06-12 クライアントごとの使用量制限のテストを追加
  */
 
 // テスト対象モジュールのインポート
@@ -17,13 +18,22 @@ const fallbackDataStore = require('../../../src/services/fallbackDataStore');
 const logger = require('../../../src/utils/logger');
 const { ENV } = require('../../../src/config/envConfig');
 const { DATA_TYPES } = require('../../../src/config/constants');
+const { getDynamoDb } = require('../../../src/utils/awsConfig');
+const { withRetry } = require('../../../src/utils/retry');
 
 // モジュールのモック化
 jest.mock('../../../src/services/fallbackDataStore');
 jest.mock('../../../src/utils/logger');
+jest.mock('../../../src/utils/awsConfig');
+jest.mock('../../../src/utils/retry');
 jest.mock('../../../src/config/envConfig', () => ({
   ENV: {
-    NODE_ENV: 'test'
+    NODE_ENV: 'test',
+    DAILY_REQUEST_LIMIT: 100,
+    MONTHLY_REQUEST_LIMIT: 1000,
+    SESSION_DAILY_REQUEST_LIMIT: 10,
+    API_TOKEN_DAILY_REQUEST_LIMIT: 20,
+    IP_DAILY_REQUEST_LIMIT: 5
   }
 }));
 
@@ -147,4 +157,129 @@ describe('Usage Service (非推奨プロキシモジュール)', () => {
       ENV.NODE_ENV = originalNodeEnv;
     });
   });
+
+  describe('使用量の制限', () => {
+    // 2025-06-12 18:00:00 UTC（翌日0時まで6時間、翌月1日まで18日と6時間）
+    const NOW = new Date('2025-06-12T18:00:00.000Z');
+    let counts;
+    let send;
+
+    const updatedKeys = () => send.mock.calls.map(([command]) => command.input.Key.id);
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.setSystemTime(NOW);
+
+      counts = {};
+      send = jest.fn(async (command) => {
+        const key = command.input.Key.id;
+        if (command.input.UpdateExpression) {
+          counts[key] = (counts[key] || 0) + 1;
+          return { Attributes: { count: counts[key] } };
+        }
+        return { Item: counts[key] !== undefined ? { count: counts[key] } : undefined };
+      });
+      getDynamoDb.mockReturnValue({ send });
+      withRetry.mockImplementation(fn => fn());
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('全体とクライアントごとのカウンターを更新する', async () => {
+      const result = await usageService.checkAndUpdateUsage({
+        dataType: TEST_TYPE,
+        ip: '192.0.2.1',
+        sessionId: 'session-123',
+        apiTokenId: 'token-abc'
+      });
+
+      expect(result.allowed).toBe(true);
+      expect(result.limitedBy).toBeNull();
+      expect(result.retryAfter).toBeNull();
+      expect(result.usage.daily).toEqual({ count: 1, limit: 100, percentage: 1 });
+      expect(result.usage.clients).toEqual({
+        ip: { count: 1, limit: 5, percentage: 20 },
+        session: { count: 1, limit: 10, percentage: 10 },
+        token: { count: 1, limit: 20, percentage: 5 }
+      });
+
+      const keys = updatedKeys();
+      expect(keys).toEqual(expect.arrayContaining([
+        'daily:2025-06-12',
+        'monthly:2025-06',
+        'user:ip:192.0.2.1:daily:2025-06-12',
+        'user:token:token-abc:daily:2025-06-12'
+      ]));
+
+      // セッションIDはそのまま保存しない
+      const sessionKey = keys.find(key => key.startsWith('user:session:'));
+      expect(sessionKey).toMatch(/^user:session:[0-9a-f]{32}:daily:2025-06-12$/);
+      expect(sessionKey).not.toContain('session-123');
+    });
+
+    test('クライアントごとのカウンターは翌日以降に自動削除する', async () => {
+      await usageService.checkAndUpdateUsage({ ip: '192.0.2.1' });
+
+      const clientCommand = send.mock.calls
+        .map(([command]) => command.input)
+        .find(input => input.Key.id.startsWith('user:'));
+
+      expect(clientCommand.UpdateExpression).toBe('ADD #count :inc SET #ttl = if_not_exists(#ttl, :ttl)');
+      expect(clientCommand.ExpressionAttributeValues[':ttl']).toBe(Date.parse('2025-06-14T00:00:00.000Z') / 1000);
+    });
+
+    test('IPアドレスが不明な場合はクライアントごとのカウンターを更新しない', async () => {
+      const result = await usageService.checkAndUpdateUsage({ ip: 'unknown' });
+
+      expect(result.allowed).toBe(true);
+      expect(result.usage.clients).toBeUndefined();
+      expect(updatedKeys()).toEqual(['daily:2025-06-12', 'monthly:2025-06']);
+    });
+
+    test('IPアドレスごとの上限を超えた場合は翌日0時までの秒数を返す', async () => {
+      counts['user:ip:192.0.2.1:daily:2025-06-12'] = 5;
+
+      const result = await usageService.checkAndUpdateUsage({ ip: '192.0.2.1' });
+
+      expect(result.allowed).toBe(false);
+      expect(result.limitedBy).toBe('ip');
+      expect(result.retryAfter).toBe(6 * 60 * 60);
+    });
+
+    test('他のクライアントの使用量には影響されない', async () => {
+      counts['user:ip:192.0.2.1:daily:2025-06-12'] = 5;
+
+      const result = await usageService.checkAndUpdateUsage({ ip: '192.0.2.2' });
+
+      expect(result.allowed).toBe(true);
+    });
+
+    test('APIトークンごとの上限を超えた場合は拒否する', async () => {
+      counts['user:token:token-abc:daily:2025-06-12'] = 20;
+
+      const result = await usageService.checkAndUpdateUsage({ ip: '192.0.2.1', apiTokenId: 'token-abc' });
+
+      expect(result.allowed).toBe(false);
+      expect(result.limitedBy).toBe('token');
+    });
+
+    test('全体の月次上限を超えた場合は翌月1日までの秒数を返す', async () => {
+      counts['monthly:2025-06'] = 1000;
+
+      const result = await usageService.checkAndUpdateUsage({ ip: '192.0.2.1' });
+
+      expect(result.allowed).toBe(false);
+      expect(result.limitedBy).toBe('monthly');
+      expect(result.retryAfter).toBe((18 * 24 + 6) * 60 * 60);
+    });
+
+    test('getUserRate はクライアントごとの上限で使用率を返す', async () => {
+      await usageService.checkAndUpdateUsage({ ip: '192.0.2.1' });
+
+      expect(await usageService.getUserRate('ip:192.0.2.1')).toEqual({ count: 1, limit: 5, percentage: 20 });
+      expect(await usageService.getUserRate('token:unused')).toEqual({ count: 0, limit: 20, percentage: 0 });
+    });
+  });
 });
@@ -0,0 +1,228 @@
+/**
+ * ファイルパス: __tests__/unit/services/valuationService.test.js
+ *
+ * ポートフォリオ時価評価サービスのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-28
+ */
+
+const { valuePortfolio } = require('../../../src/services/valuationService');
+const enhancedMarketDataService = require('../../../src/services/sources/enhancedMarketDataService');
+const exchangeRateService = require('../../../src/services/sources/exchangeRate');
+
+jest.mock('../../../src/services/sources/enhancedMarketDataService');
+jest.mock('../../../src/services/sources/exchangeRate');
+jest.mock('../../../src/utils/logger');
+
+describe('valuationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    enhancedMarketDataService.getUsStocksData.mockResolvedValue({
+      AAPL: { ticker: 'AAPL', name: 'Apple Inc.', price: 200, currency: 'USD', source: 'Yahoo Finance API' }
+    });
+    enhancedMarketDataService.getJpStocksData.mockResolvedValue({
+      7203: { ticker: '7203', name: 'トヨタ自動車', price: 2500, currency: 'JPY', source: 'Yahoo Finance Japan' }
+    });
+    enhancedMarketDataService.getMutualFundsData.mockResolvedValue({});
+    exchangeRateService.getBatchExchangeRates.mockResolvedValue({
+      'USD-JPY': { base: 'USD', target: 'JPY', rate: 150 }
+    });
+  });
+
+  test('保有銘柄を基準通貨で評価し、合計と構成比を算出する', async () => {
+    const result = await valuePortfolio({
+      holdings: [
+        { symbol: 'AAPL', shares: 10, cost: 150 },
+        { symbol: '7203', shares: 100, cost: 2000 }
+      ]
+    });
+
+    expect(enhancedMarketDataService.getUsStocksData).toHaveBeenCalledWith(['AAPL'], false);
+    expect(enhancedMarketDataService.getJpStocksData).toHaveBeenCalledWith(['7203'], false);
+    expect(exchangeRateService.getBatchExchangeRates).toHaveBeenCalledWith([{ base: 'USD', target: 'JPY' }]);
+
+    expect(result.baseCurrency).toBe('JPY');
+
+    const [aapl, toyota] = result.holdings;
+    expect(aapl).toEqual(expect.objectContaining({
+      symbol: 'AAPL',
+      currency: 'USD',
+      price: 200,
+      exchangeRate: 150,
+      marketValue: 2000,
+      marketValueBase: 300000,
+      costBasisBase: 225000,
+      unrealizedPnl: 75000,
+      unrealizedPnlPercent: 33.33,
+      weight: 54.55,
+      priced: true
+    }));
+    expect(toyota).toEqual(expect.objectContaining({
+      marketValueBase: 250000,
+      unrealizedPnl: 50000,
+      weight: 45.45
+    }));
+
+    expect(result.totals).toEqual({
+      marketValue: 550000,
+      costBasis: 425000,
+      unrealizedPnl: 125000,
+      unrealizedPnlPercent: 29.41,
+      holdingCount: 2,
+      pricedCount: 2
+    });
+    expect(result.unpriced).toEqual([]);
+  });
+
+  test('基準通貨と保有銘柄の通貨が同じ場合は為替レートを取得しない', async () => {
+    const result = await valuePortfolio(
+      { holdings: [{ symbol: 'AAPL', shares: 1, cost: 100 }] },
+      { baseCurrency: 'usd', refresh: true }
+    );
+
+    expect(enhancedMarketDataService.getUsStocksData).toHaveBeenCalledWith(['AAPL'], true);
+    expect(exchangeRateService.getBatchExchangeRates).not.toHaveBeenCalled();
+    expect(result.baseCurrency).toBe('USD');
+    expect(result.holdings[0].marketValueBase).toBe(200);
+  });
+
+  test('ETFは dataType を指定した保有銘柄を上場市場の通貨で評価する', async () => {
+    enhancedMarketDataService.getEtfsData.mockResolvedValue({
+      VTI: { ticker: 'VTI', price: 250, currency: 'USD', isEtf: true },
+      1306: { ticker: '1306', price: 2800, isEtf: true }
+    });
+
+    const result = await valuePortfolio({
+      holdings: [
+        { symbol: 'VTI', dataType: 'etf', shares: 4 },
+        { symbol: '1306', dataType: 'etf', shares: 100 }
+      ]
+    });
+
+    expect(enhancedMarketDataService.getEtfsData).toHaveBeenCalledWith(['VTI', '1306'], false);
+    expect(enhancedMarketDataService.getJpStocksData).not.toHaveBeenCalled();
+    expect(result.holdings[0]).toEqual(expect.objectContaining({ currency: 'USD', marketValueBase: 150000 }));
+    expect(result.holdings[1]).toEqual(expect.objectContaining({ currency: 'JPY', marketValueBase: 280000 }));
+  });
+
+  test('暗号資産はUSD建ての価格で評価し、価格が無い銘柄は合計から除外する', async () => {
+    enhancedMarketDataService.getCryptosData.mockResolvedValue({
+      BTC: { ticker: 'BTC', price: 60000, currency: 'USD', isCrypto: true },
+      XYZ: { ticker: 'XYZ', price: null, currency: 'USD', isCrypto: true, isDefault: true }
+    });
+
+    const result = await valuePortfolio({
+      baseCurrency: 'JPY',
+      holdings: [
+        { symbol: 'BTC', dataType: 'crypto', shares: 0.5 },
+        { symbol: 'XYZ', dataType: 'crypto', shares: 100 }
+      ]
+    });
+
+    expect(enhancedMarketDataService.getCryptosData).toHaveBeenCalledWith(['BTC', 'XYZ'], 'USD', false);
+    expect(result.holdings[0]).toEqual(expect.objectContaining({ currency: 'USD', marketValueBase: 4500000 }));
+    expect(result.holdings[1]).toEqual(expect.objectContaining({ priced: false, error: 'PRICE_UNAVAILABLE' }));
+    expect(result.unpriced).toEqual(['XYZ']);
+  });
+
+  test('すべてのデータソースが失敗した場合のデフォルト値は価格・為替レートとして使用しない', async () => {
+    enhancedMarketDataService.getUsStocksData.mockResolvedValue({
+      AAPL: { ticker: 'AAPL', price: 100, currency: 'USD', source: 'Default Fallback', isDefault: true }
+    });
+    enhancedMarketDataService.getJpStocksData.mockResolvedValue({
+      7203: { ticker: '7203', price: 2500, currency: 'JPY', source: 'Default Fallback' }
+    });
+    enhancedMarketDataService.getMutualFundsData.mockResolvedValue({
+      '0131103C': { ticker: '0131103C', price: 10000, currency: 'JPY', source: 'Default Fallback', isDefault: true }
+    });
+    exchangeRateService.getBatchExchangeRates.mockResolvedValue({
+      'USD-JPY': { base: 'USD', target: 'JPY', rate: 149.5, source: 'Default Fallback', isDefault: true }
+    });
+
+    const result = await valuePortfolio({
+      baseCurrency: 'JPY',
+      holdings: [
+        { symbol: 'AAPL', shares: 10, cost: 150, currency: 'USD' },
+        { symbol: '7203', shares: 100, cost: 2000 },
+        { symbol: '0131103C', shares: 1000, cost: 1.5 }
+      ]
+    });
+
+    result.holdings.forEach(holding => {
+      expect(holding).toEqual(expect.objectContaining({ priced: false, price: null, error: 'PRICE_UNAVAILABLE' }));
+      expect(holding).not.toHaveProperty('marketValueBase');
+    });
+    expect(result.exchangeRates.USD).toBeNull();
+    expect(result.totals).toEqual(expect.objectContaining({ marketValue: 0, costBasis: 0, pricedCount: 0 }));
+    expect(result.unpriced).toEqual(['AAPL', '7203', '0131103C']);
+  });
+
+  test('為替レートがデフォルト値の場合は外貨建ての銘柄を合計から除外する', async () => {
+    exchangeRateService.getBatchExchangeRates.mockResolvedValue({
+      'USD-JPY': { base: 'USD', target: 'JPY', rate: 149.5, isDefault: true }
+    });
+
+    const result = await valuePortfolio({
+      holdings: [
+        { symbol: 'AAPL', shares: 10, cost: 150 },
+        { symbol: '7203', shares: 100, cost: 2000 }
+      ]
+    });
+
+    expect(result.holdings[0]).toEqual(expect.objectContaining({ priced: false, error: 'EXCHANGE_RATE_UNAVAILABLE' }));
+    expect(result.holdings[1]).toEqual(expect.objectContaining({ priced: true, weight: 100 }));
+  });
+
+  test('価格が取得できない銘柄は合計から除外する', async () => {
+    const result = await valuePortfolio({
+      baseCurrency: 'JPY',
+      holdings: [
+        { symbol: '7203', shares: 100, cost: 2000 },
+        { symbol: '0131103C', shares: 1000, cost: 1.5 }
+      ]
+    });
+
+    expect(enhancedMarketDataService.getMutualFundsData).toHaveBeenCalledWith(['0131103C'], false);
+    expect(result.holdings[1]).toEqual(expect.objectContaining({
+      symbol: '0131103C',
+      priced: false,
+      error: 'PRICE_UNAVAILABLE'
+    }));
+    expect(result.holdings[0].weight).toBe(100);
+    expect(result.totals.pricedCount).toBe(1);
+    expect(result.unpriced).toEqual(['0131103C']);
+  });
+
+  test('為替レートが取得できない銘柄は合計から除外する', async () => {
+    exchangeRateService.getBatchExchangeRates.mockResolvedValue({
+      'USD-JPY': { base: 'USD', target: 'JPY', rate: null, error: 'failed' }
+    });
+
+    const result = await valuePortfolio({
+      holdings: [{ symbol: 'AAPL', shares: 10, cost: 150 }]
+    });
+
+    expect(result.holdings[0]).toEqual(expect.objectContaining({
+      priced: false,
+      error: 'EXCHANGE_RATE_UNAVAILABLE'
+    }));
+    expect(result.totals.marketValue).toBe(0);
+    expect(result.totals.unrealizedPnlPercent).toBeNull();
+  });
+
+  test('価格取得が失敗しても他のデータタイプの評価を続ける', async () => {
+    enhancedMarketDataService.getUsStocksData.mockRejectedValue(new Error('API down'));
+
+    const result = await valuePortfolio({
+      holdings: [
+        { symbol: 'AAPL', shares: 10, cost: 150 },
+        { symbol: '7203', shares: 100, cost: 2000 }
+      ]
+    });
+
+    expect(result.unpriced).toEqual(['AAPL']);
+    expect(result.totals.marketValue).toBe(250000);
+  });
+});
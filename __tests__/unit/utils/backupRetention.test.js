@@ -0,0 +1,107 @@
+/**
+ * ファイルパス: __tests__/unit/utils/backupRetention.test.js
+ *
+ * バックアップ保持ポリシーユーティリティのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-04
+ */
+
+const {
+  getRetentionPolicy,
+  validateRetentionPolicy,
+  selectBackupsToPrune
+} = require('../../../src/utils/backupRetention');
+
+describe('backupRetention', () => {
+  const now = new Date('2025-06-04T12:00:00Z');
+  const policy = { keepAllHours: 24, dailyDays: 30, monthlyMonths: 0 };
+  const backup = (id, createdTime) => ({ id, createdTime });
+  const ids = (backups) => backups.map(item => item.id).sort();
+
+  describe('getRetentionPolicy', () => {
+    test('環境変数の既定値を返す', () => {
+      expect(getRetentionPolicy()).toEqual({ keepAllHours: 24, dailyDays: 30, monthlyMonths: 0 });
+    });
+
+    test('指定した項目だけを上書きする', () => {
+      expect(getRetentionPolicy({ dailyDays: 7 })).toEqual({ keepAllHours: 24, dailyDays: 7, monthlyMonths: 0 });
+    });
+  });
+
+  describe('validateRetentionPolicy', () => {
+    test('正しいポリシーはnullを返す', () => {
+      expect(validateRetentionPolicy({ keepAllHours: 0, monthlyMonths: 12 })).toBeNull();
+    });
+
+    test.each([
+      [null, 'オブジェクト'],
+      [{ weekly: 4 }, '不明な保持ポリシーの項目です: weekly'],
+      [{ dailyDays: -1 }, 'dailyDays'],
+      [{ keepAllHours: 1.5 }, 'keepAllHours'],
+      [{ monthlyMonths: '12' }, 'monthlyMonths']
+    ])('不正なポリシーを検出する: %j', (value, message) => {
+      expect(validateRetentionPolicy(value)).toContain(message);
+    });
+  });
+
+  describe('selectBackupsToPrune', () => {
+    test('24時間以内のバックアップはすべて残す', () => {
+      const backups = [
+        backup('a', '2025-06-04T11:00:00Z'),
+        backup('b', '2025-06-04T10:00:00Z'),
+        backup('c', '2025-06-03T13:00:00Z')
+      ];
+
+      const { keep, prune } = selectBackupsToPrune(backups, policy, now);
+
+      expect(ids(keep)).toEqual(['a', 'b', 'c']);
+      expect(prune).toEqual([]);
+    });
+
+    test('30日以内は1日ごとに最新の1件を残す', () => {
+      const backups = [
+        backup('day1-early', '2025-06-01T01:00:00Z'),
+        backup('day1-late', '2025-06-01T20:00:00Z'),
+        backup('day2', '2025-05-31T09:00:00Z')
+      ];
+
+      const { keep, prune } = selectBackupsToPrune(backups, policy, now);
+
+      expect(ids(keep)).toEqual(['day1-late', 'day2']);
+      expect(ids(prune)).toEqual(['day1-early']);
+    });
+
+    test('30日より前は1か月ごとに最新の1件を無期限に残す', () => {
+      const backups = [
+        backup('apr-1', '2025-04-02T00:00:00Z'),
+        backup('apr-2', '2025-04-20T00:00:00Z'),
+        backup('2023-jan', '2023-01-15T00:00:00Z')
+      ];
+
+      const { keep, prune } = selectBackupsToPrune(backups, policy, now);
+
+      expect(ids(keep)).toEqual(['2023-jan', 'apr-2']);
+      expect(ids(prune)).toEqual(['apr-1']);
+    });
+
+    test('月ごとの保持期間を過ぎたバックアップは削除する', () => {
+      const backups = [
+        backup('apr', '2025-04-20T00:00:00Z'),
+        backup('2024-dec', '2024-12-15T00:00:00Z')
+      ];
+
+      const { keep, prune } = selectBackupsToPrune(backups, { ...policy, monthlyMonths: 3 }, now);
+
+      expect(ids(keep)).toEqual(['apr']);
+      expect(ids(prune)).toEqual(['2024-dec']);
+    });
+
+    test('作成日時が不明なバックアップは削除しない', () => {
+      const { keep, prune } = selectBackupsToPrune([backup('unknown', undefined)], policy, now);
+
+      expect(ids(keep)).toEqual(['unknown']);
+      expect(prune).toEqual([]);
+    });
+  });
+});
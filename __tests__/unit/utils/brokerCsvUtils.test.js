@@ -0,0 +1,89 @@
+/**
+ * ファイルパス: __tests__/unit/utils/brokerCsvUtils.test.js
+ *
+ * 証券会社CSVユーティリティのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-31
+ */
+
+const {
+  decodeCsvContent,
+  parseCsvRows,
+  findColumn,
+  parseNumber,
+  normalizeAccount,
+  splitCodeAndName,
+  parseDate
+} = require('../../../src/utils/brokerCsvUtils');
+
+describe('brokerCsvUtils', () => {
+  describe('decodeCsvContent', () => {
+    test('Shift_JISのバイト列をデコードする', () => {
+      // 「株式,100」をShift_JISでエンコードしたバイト列
+      const buffer = Buffer.from([0x8a, 0x94, 0x8e, 0xae, 0x2c, 0x31, 0x30, 0x30]);
+
+      expect(decodeCsvContent(buffer)).toBe('株式,100');
+    });
+
+    test('UTF-8のバイト列はBOMを除去してデコードする', () => {
+      const buffer = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('銘柄,数量', 'utf8')]);
+
+      expect(decodeCsvContent(buffer)).toBe('銘柄,数量');
+    });
+
+    test('文字列はそのまま返す', () => {
+      expect(decodeCsvContent('\uFEFFa,b')).toBe('a,b');
+    });
+  });
+
+  test('parseCsvRows は列数の異なる行を許容する', () => {
+    const rows = parseCsvRows('タイトル\n"銘柄","数量"\n"7203 トヨタ", "1,000"\n');
+
+    expect(rows).toEqual([['タイトル'], ['銘柄', '数量'], ['7203 トヨタ', '1,000']]);
+  });
+
+  test('findColumn は全角・空白の違いを無視して列を探す', () => {
+    expect(findColumn(['銘柄', '保有 数量', '取得単価'], ['数量', '保有数量'])).toBe(1);
+    expect(findColumn(['ＣＯＤＥ'], ['CODE'])).toBe(0);
+    expect(findColumn(['銘柄'], ['数量'])).toBe(-1);
+  });
+
+  test.each([
+    ['1,234', 1234],
+    ['+12.5', 12.5],
+    ['１００株', 100],
+    ['2,500円', 2500],
+    ['-3.2', -3.2],
+    ['-', null],
+    ['', null],
+    ['abc', null]
+  ])('parseNumber(%j) は %p を返す', (value, expected) => {
+    expect(parseNumber(value)).toBe(expected);
+  });
+
+  test.each([
+    ['株式（特定預り）', '特定'],
+    ['一般預り', '一般'],
+    ['NISA預り（成長投資枠）', 'NISA成長投資枠'],
+    ['ＮＩＳＡ預り（つみたて投資枠）', 'NISAつみたて投資枠'],
+    ['つみたてNISA', 'つみたてNISA'],
+    ['旧NISA', 'NISA'],
+    ['', null]
+  ])('normalizeAccount(%j) は %p を返す', (value, expected) => {
+    expect(normalizeAccount(value)).toBe(expected);
+  });
+
+  test('splitCodeAndName はコードと銘柄名を分割する', () => {
+    expect(splitCodeAndName('7203 トヨタ自動車')).toEqual({ code: '7203', name: 'トヨタ自動車' });
+    expect(splitCodeAndName('BRK.B バークシャー')).toEqual({ code: 'BRK.B', name: 'バークシャー' });
+    expect(splitCodeAndName('AAPL')).toEqual({ code: 'AAPL', name: 'AAPL' });
+    expect(splitCodeAndName('トヨタ自動車')).toEqual({ code: null, name: 'トヨタ自動車' });
+  });
+
+  test('parseDate は年月日の表記を正規化する', () => {
+    expect(parseDate('2024/4/1')).toBe('2024-04-01');
+    expect(parseDate('24/04/01')).toBe('2024-04-01');
+    expect(parseDate('--')).toBeNull();
+  });
+});
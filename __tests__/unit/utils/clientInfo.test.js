@@ -0,0 +1,59 @@
+/**
+ * ファイルパス: __tests__/unit/utils/clientInfo.test.js
+ *
+ * リクエスト元の端末情報ユーティリティのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-08
+ */
+
+const { getClientInfo, describeDevice } = require('../../../src/utils/clientInfo');
+
+describe('clientInfo', () => {
+  describe('getClientInfo', () => {
+    test('API Gateway の sourceIp と User-Agent を取得する', () => {
+      const result = getClientInfo({
+        headers: { 'User-Agent': 'TestAgent/1.0', 'X-Forwarded-For': '198.51.100.1' },
+        requestContext: { identity: { sourceIp: '203.0.113.1' } }
+      });
+
+      expect(result).toEqual({ ipAddress: '203.0.113.1', userAgent: 'TestAgent/1.0' });
+    });
+
+    test('sourceIp が無い場合は X-Forwarded-For の先頭を使用する', () => {
+      const result = getClientInfo({
+        headers: { 'x-forwarded-for': '198.51.100.1, 10.0.0.1', 'user-agent': 'curl/8.0' }
+      });
+
+      expect(result).toEqual({ ipAddress: '198.51.100.1', userAgent: 'curl/8.0' });
+    });
+
+    test('情報が無い場合はnullを返す', () => {
+      expect(getClientInfo({})).toEqual({ ipAddress: null, userAgent: null });
+      expect(getClientInfo()).toEqual({ ipAddress: null, userAgent: null });
+    });
+
+    test('長すぎる User-Agent は切り詰める', () => {
+      const result = getClientInfo({ headers: { 'User-Agent': 'a'.repeat(1000) } });
+
+      expect(result.userAgent).toHaveLength(512);
+    });
+  });
+
+  describe('describeDevice', () => {
+    test.each([
+      ['Windows の Chrome', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0 Safari/537.36', 'Chrome on Windows'],
+      ['Windows の Edge', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0 Safari/537.36 Edg/125.0', 'Edge on Windows'],
+      ['iPhone の Safari', 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1', 'Safari on iOS'],
+      ['Android の Chrome', 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0 Mobile Safari/537.36', 'Chrome on Android'],
+      ['macOS の Firefox', 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14.5; rv:126.0) Gecko/20100101 Firefox/126.0', 'Firefox on macOS'],
+      ['ブラウザ以外', 'curl/8.0', 'Unknown device']
+    ])('%s を判定する', (label, userAgent, expected) => {
+      expect(describeDevice(userAgent)).toBe(expected);
+    });
+
+    test('User-Agent が無い場合は Unknown device を返す', () => {
+      expect(describeDevice(null)).toBe('Unknown device');
+    });
+  });
+});
@@ -11,7 +11,10 @@
 const { 
   parseCookies, 
   createSessionCookie, 
-  createClearSessionCookie 
+  createClearSessionCookie,
+  createCsrfCookie,
+  createOAuthStateCookie,
+  createClearOAuthStateCookie
 } = require('../../../src/utils/cookieParser');
 
 describe('Cookie Parser Utils', () => {
@@ -180,4 +183,27 @@ describe('Cookie Parser Utils', () => {
       process.env.DISABLE_SSL = originalDisableSSL;
     });
   });
+
+  describe('createCsrfCookie', () => {
+    test('JavaScriptから読み取れるCSRFトークンCookieを生成する', () => {
+      const cookie = createCsrfCookie('csrf-abc', 3600);
+      
+      expect(cookie).toBe('csrf_token=csrf-abc; Secure; SameSite=Strict; Max-Age=3600; Path=/');
+      expect(cookie).not.toContain('HttpOnly');
+    });
+    
+    test('セキュア属性を省略できる', () => {
+      expect(createCsrfCookie('csrf-abc', 3600, false)).not.toContain('Secure');
+    });
+  });
+
+  describe('createOAuthStateCookie', () => {
+    test('JavaScriptから読み取れない短期間のstate Cookieを生成する', () => {
+      expect(createOAuthStateCookie('st-abc', 600)).toBe('oauth_state=st-abc; HttpOnly; Secure; SameSite=Strict; Max-Age=600; Path=/');
+    });
+
+    test('state Cookieを削除するためのCookieを生成する', () => {
+      expect(createClearOAuthStateCookie()).toBe('oauth_state=; HttpOnly; Secure; SameSite=Strict; Max-Age=0; Path=/');
+    });
+  });
 });
@@ -0,0 +1,93 @@
+/**
+ * ファイルパス: __tests__/unit/utils/csrf.test.js
+ *
+ * CSRF対策ユーティリティのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-09
+ */
+
+const {
+  CSRF_HEADER,
+  CSRF_COOKIE,
+  generateCsrfToken,
+  isStateChangingRequest,
+  verifyCsrfToken
+} = require('../../../src/utils/csrf');
+
+describe('csrf', () => {
+  const createEvent = ({ method = 'POST', header, cookie } = {}) => ({
+    httpMethod: method,
+    headers: {
+      Cookie: `session=session-123${cookie ? `; ${CSRF_COOKIE}=${cookie}` : ''}`,
+      ...(header && { [CSRF_HEADER]: header })
+    }
+  });
+
+  test('generateCsrfToken は推測できないトークンを生成する', () => {
+    const token = generateCsrfToken();
+
+    expect(token).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(generateCsrfToken()).not.toBe(token);
+  });
+
+  test.each([
+    ['POST', true],
+    ['delete', true],
+    ['PUT', true],
+    ['GET', false],
+    ['OPTIONS', false]
+  ])('isStateChangingRequest: %s は %s', (method, expected) => {
+    expect(isStateChangingRequest({ httpMethod: method })).toBe(expected);
+  });
+
+  test('GETリクエストは検証しない', () => {
+    expect(verifyCsrfToken(createEvent({ method: 'GET' }))).toBeNull();
+  });
+
+  test('ヘッダーとCookieのトークンが一致すれば成功する', () => {
+    expect(verifyCsrfToken(createEvent({ header: 'token-1', cookie: 'token-1' }))).toBeNull();
+  });
+
+  test('ヘッダー名は大文字・小文字を区別しない', () => {
+    const event = {
+      httpMethod: 'POST',
+      headers: { cookie: `${CSRF_COOKIE}=token-1`, 'x-csrf-token': 'token-1' }
+    };
+
+    expect(verifyCsrfToken(event)).toBeNull();
+  });
+
+  test('ヘッダーが無い場合は FORBIDDEN を返す', () => {
+    expect(verifyCsrfToken(createEvent({ cookie: 'token-1' }))).toEqual({
+      statusCode: 403,
+      code: 'FORBIDDEN',
+      message: 'CSRFトークンが不足しています'
+    });
+  });
+
+  test('Cookieが無い場合は FORBIDDEN を返す', () => {
+    expect(verifyCsrfToken(createEvent({ header: 'token-1' }))).toEqual(
+      expect.objectContaining({ statusCode: 403, code: 'FORBIDDEN', message: 'CSRFトークンが無効です' })
+    );
+  });
+
+  test('ヘッダーとCookieのトークンが異なる場合は FORBIDDEN を返す', () => {
+    expect(verifyCsrfToken(createEvent({ header: 'token-1', cookie: 'token-2' }))).toEqual(
+      expect.objectContaining({ code: 'FORBIDDEN' })
+    );
+  });
+
+  test('セッションのトークンとも一致することを確認する', () => {
+    const event = createEvent({ header: 'token-1', cookie: 'token-1' });
+
+    expect(verifyCsrfToken(event, { csrfToken: 'token-1' })).toBeNull();
+    expect(verifyCsrfToken(event, { csrfToken: 'token-other' })).toEqual(
+      expect.objectContaining({ code: 'FORBIDDEN' })
+    );
+  });
+
+  test('トークンが未発行のセッションはダブルサブミットのみで検証する', () => {
+    expect(verifyCsrfToken(createEvent({ header: 'token-1', cookie: 'token-1' }), { csrfToken: null })).toBeNull();
+  });
+});
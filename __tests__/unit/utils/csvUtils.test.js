@@ -0,0 +1,63 @@
+/**
+ * ファイルパス: __tests__/unit/utils/csvUtils.test.js
+ *
+ * CSV・テキスト変換ユーティリティのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-26
+ */
+
+const { UTF8_BOM, escapeCsvValue, toCsv, toPlainText } = require('../../../src/utils/csvUtils');
+
+describe('csvUtils', () => {
+  describe('escapeCsvValue', () => {
+    test('特殊文字を含む値をダブルクォートで囲む', () => {
+      expect(escapeCsvValue('plain')).toBe('plain');
+      expect(escapeCsvValue('a,b')).toBe('"a,b"');
+      expect(escapeCsvValue('say "hi"')).toBe('"say ""hi"""');
+      expect(escapeCsvValue('line\nbreak')).toBe('"line\nbreak"');
+    });
+
+    test('null/undefined は空文字、オブジェクトはJSONに変換する', () => {
+      expect(escapeCsvValue(null)).toBe('');
+      expect(escapeCsvValue(undefined)).toBe('');
+      expect(escapeCsvValue(0)).toBe('0');
+      expect(escapeCsvValue({ a: 1 })).toBe('"{""a"":1}"');
+    });
+
+    test('数式として解釈される文字列の先頭にシングルクォートを付与する', () => {
+      expect(escapeCsvValue('=HYPERLINK("http://example.com")')).toBe('"\'=HYPERLINK(""http://example.com"")"');
+      expect(escapeCsvValue('+cmd')).toBe("'+cmd");
+      expect(escapeCsvValue('-2+3')).toBe("'-2+3");
+      expect(escapeCsvValue('@SUM(A1)')).toBe("'@SUM(A1)");
+      expect(escapeCsvValue('\tdata')).toBe("'\tdata");
+      expect(escapeCsvValue('\rdata')).toBe('"\'\rdata"');
+    });
+
+    test('数値のセルは無効化しない', () => {
+      expect(escapeCsvValue(-12.5)).toBe('-12.5');
+      expect(escapeCsvValue('-12.5')).toBe('-12.5');
+      expect(escapeCsvValue('+3')).toBe('+3');
+    });
+  });
+
+  describe('toCsv', () => {
+    test('列定義の順にCSVを生成する', () => {
+      const csv = toCsv([{ b: 2, a: 1 }, { a: 3 }], ['a', 'b']);
+      expect(csv).toBe('a,b\r\n1,2\r\n3,\r\n');
+    });
+
+    test('bom オプションで先頭にBOMを付与する', () => {
+      const csv = toCsv([], ['a'], { bom: true });
+      expect(csv.startsWith(UTF8_BOM)).toBe(true);
+      expect(csv).toBe(`${UTF8_BOM}a\r\n`);
+    });
+  });
+
+  describe('toPlainText', () => {
+    test('列幅を揃えた表を生成する', () => {
+      const text = toPlainText([{ symbol: 'AAPL', price: 1 }, { symbol: 'A', price: 100.5 }], ['symbol', 'price']);
+      expect(text).toBe('symbol  price\nAAPL    1\nA       100.5\n');
+    });
+  });
+});
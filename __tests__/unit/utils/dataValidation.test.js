@@ -1,10 +1,15 @@
 const dataValidation = require('../../../src/utils/dataValidation');
 const cacheService = require('../../../src/services/cache');
 const alertService = require('../../../src/services/alerts');
+const corporateActionsService = require('../../../src/services/sources/corporateActions');
 const constants = require('../../../src/config/constants');
 
 jest.mock('../../../src/services/cache');
 jest.mock('../../../src/services/alerts');
+jest.mock('../../../src/services/sources/corporateActions', () => ({
+  ...jest.requireActual('../../../src/services/sources/corporateActions'),
+  getCorporateActions: jest.fn()
+}));
 
 describe('dataValidation utils', () => {
   beforeEach(() => {
@@ -35,6 +40,41 @@ describe('dataValidation utils', () => {
       expect(result.isValid).toBe(false);
       expect(result.severity).toBe('HIGH');
     });
+
+    test('前回取得後の株式分割は分割比率で補正して異常値としない', () => {
+      const newData = { price: 20.4, lastUpdated: '2024-03-28T01:00:00.000Z' };
+      const prevData = { price: 100, lastUpdated: '2024-03-27T06:00:00.000Z' };
+      const corporateActions = { splits: [{ date: '2024-03-28', ratio: 5 }] };
+
+      const result = dataValidation.validatePriceChange(newData, prevData, corporateActions);
+
+      expect(result.isValid).toBe(true);
+      expect(result.splitRatio).toBe(5);
+    });
+
+    test('前回取得より前の株式分割では補正しない', () => {
+      const newData = { price: 20, lastUpdated: '2024-04-02T01:00:00.000Z' };
+      const prevData = { price: 100, lastUpdated: '2024-04-01T06:00:00.000Z' };
+      const corporateActions = { splits: [{ date: '2024-03-28', ratio: 5 }] };
+
+      const result = dataValidation.validatePriceChange(newData, prevData, corporateActions);
+
+      expect(result.isValid).toBe(false);
+      expect(result.splitRatio).toBe(1);
+      expect(result.severity).toBe('HIGH');
+    });
+
+    test('補正後も閾値を超える場合は分割比率をメッセージに含める', () => {
+      const newData = { price: 40, lastUpdated: '2024-03-28T01:00:00.000Z' };
+      const prevData = { price: 100, lastUpdated: '2024-03-27T06:00:00.000Z' };
+      const corporateActions = { splits: [{ date: '2024-03-28', ratio: 5 }] };
+
+      const result = dataValidation.validatePriceChange(newData, prevData, corporateActions);
+
+      expect(result.isValid).toBe(false);
+      expect(result.issue.changePercent).toBeCloseTo(100);
+      expect(result.issue.message).toContain('split-adjusted by 5');
+    });
   });
 
   describe('validateMultiSourceData', () => {
@@ -61,6 +101,65 @@ describe('dataValidation utils', () => {
       expect(cacheService.get).toHaveBeenCalled();
       expect(result.isValid).toBe(false);
     });
+
+    test('閾値を超えた株式は株式分割を確認して補正する', async () => {
+      corporateActionsService.getCorporateActions.mockResolvedValue({
+        splits: [{ date: '2024-03-28', ratio: 5 }],
+        lastUpdated: '2024-03-28T02:00:00.000Z'
+      });
+      const previousData = { price: 3000, lastUpdated: '2024-03-27T06:00:00.000Z' };
+      const newData = { price: 610, lastUpdated: '2024-03-28T01:00:00.000Z' };
+
+      const result = await dataValidation.validateData('4063', 'jp-stock', newData, previousData);
+
+      expect(corporateActionsService.getCorporateActions).toHaveBeenCalledWith({ dataType: 'jp-stock', symbol: '4063' });
+      expect(corporateActionsService.getCorporateActions).toHaveBeenCalledTimes(1);
+      expect(result.isValid).toBe(true);
+    });
+
+    test('新しい価格より前にキャッシュされたコーポレートアクションは再取得して補正する', async () => {
+      corporateActionsService.getCorporateActions
+        .mockResolvedValueOnce({ splits: [], lastUpdated: '2024-03-27T00:00:00.000Z' })
+        .mockResolvedValueOnce({
+          splits: [{ date: '2024-03-28', ratio: 5 }],
+          lastUpdated: '2024-03-28T02:00:00.000Z'
+        });
+      const previousData = { price: 3000, lastUpdated: '2024-03-27T06:00:00.000Z' };
+      const newData = { price: 610, lastUpdated: '2024-03-28T01:00:00.000Z' };
+
+      const result = await dataValidation.validateData('4063', 'jp-stock', newData, previousData);
+
+      expect(corporateActionsService.getCorporateActions).toHaveBeenNthCalledWith(2, {
+        dataType: 'jp-stock',
+        symbol: '4063',
+        refresh: true
+      });
+      expect(result.isValid).toBe(true);
+    });
+
+    test('閾値内の変動ではコーポレートアクションを取得しない', async () => {
+      await dataValidation.validateData('AAPL', 'us-stock', { price: 101 }, { price: 100 });
+
+      expect(corporateActionsService.getCorporateActions).not.toHaveBeenCalled();
+    });
+
+    test('コーポレートアクションを取得できない場合は補正せずに検証する', async () => {
+      corporateActionsService.getCorporateActions.mockRejectedValue(new Error('API error'));
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const result = await dataValidation.validateData('AAPL', 'us-stock', { price: 25 }, { price: 100, lastUpdated: '2024-03-27T06:00:00.000Z' });
+
+      expect(result.isValid).toBe(false);
+      expect(result.severity).toBe('HIGH');
+      warnSpy.mockRestore();
+    });
+
+    test('株式以外のデータタイプではコーポレートアクションを取得しない', async () => {
+      const result = await dataValidation.validateData('0131103C', 'mutual-fund', { price: 5000 }, { price: 10000 });
+
+      expect(corporateActionsService.getCorporateActions).not.toHaveBeenCalled();
+      expect(result.isValid).toBe(false);
+    });
   });
 
   describe('notifyDataValidationIssue', () => {
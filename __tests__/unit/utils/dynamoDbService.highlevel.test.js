@@ -5,6 +5,7 @@ let GetItemCommandMock;
 let PutItemCommandMock;
 let UpdateItemCommandMock;
 let DeleteItemCommandMock;
+let QueryCommandMock;
 
 beforeEach(() => {
   jest.resetModules();
@@ -13,13 +14,14 @@ beforeEach(() => {
   PutItemCommandMock = jest.fn(params => ({ params }));
   UpdateItemCommandMock = jest.fn(params => ({ params }));
   DeleteItemCommandMock = jest.fn(params => ({ params }));
+  QueryCommandMock = jest.fn(params => ({ params }));
   jest.doMock('@aws-sdk/client-dynamodb', () => ({
     DynamoDBClient: jest.fn().mockReturnValue({ send: sendMock }),
     GetItemCommand: GetItemCommandMock,
     PutItemCommand: PutItemCommandMock,
     UpdateItemCommand: UpdateItemCommandMock,
     DeleteItemCommand: DeleteItemCommandMock,
-    QueryCommand: jest.fn(),
+    QueryCommand: QueryCommandMock,
     ScanCommand: jest.fn(),
   }));
   const marshallMock = jest.fn(obj => obj);
@@ -60,6 +62,34 @@ describe('dynamoDbService high-level functions', () => {
     expect(result).toEqual({ deleted: true });
   });
 
+  test('deleteItemIfExists deletes conditionally and returns the deleted item', async () => {
+    const service = require(modulePath);
+    sendMock.mockResolvedValue({ Attributes: { id: '1', value: 'a' } });
+    const result = await service.deleteItemIfExists('Test', { id: '1' });
+    expect(DeleteItemCommandMock).toHaveBeenCalledWith({
+      TableName: 'Test',
+      Key: { id: '1' },
+      ConditionExpression: 'attribute_exists(#key)',
+      ExpressionAttributeNames: { '#key': 'id' },
+      ReturnValues: 'ALL_OLD'
+    });
+    expect(result).toEqual({ id: '1', value: 'a' });
+  });
+
+  test('deleteItemIfExists returns null when the item was already deleted', async () => {
+    const service = require(modulePath);
+    const error = new Error('The conditional request failed');
+    error.name = 'ConditionalCheckFailedException';
+    sendMock.mockRejectedValue(error);
+    await expect(service.deleteItemIfExists('Test', { id: '1' })).resolves.toBeNull();
+  });
+
+  test('deleteItemIfExists rethrows other errors', async () => {
+    const service = require(modulePath);
+    sendMock.mockRejectedValue(new Error('delete failed'));
+    await expect(service.deleteItemIfExists('Test', { id: '1' })).rejects.toThrow('delete failed');
+  });
+
   test('updateItem uses UpdateItemCommand with marshalled values', async () => {
     const service = require(modulePath);
     sendMock.mockResolvedValue({ updated: true });
@@ -68,4 +98,35 @@ describe('dynamoDbService high-level functions', () => {
     expect(sendMock).toHaveBeenCalled();
     expect(result).toEqual({ updated: true });
   });
+
+  test('queryItems follows LastEvaluatedKey and returns all pages', async () => {
+    const service = require(modulePath);
+    sendMock
+      .mockResolvedValueOnce({ Items: [{ id: '1' }], LastEvaluatedKey: { id: '1' } })
+      .mockResolvedValueOnce({ Items: [{ id: '2' }] });
+    const result = await service.queryItems('Tbl', {
+      indexName: 'googleId-index',
+      keyConditionExpression: '#g = :g',
+      expressionAttributeNames: { '#g': 'googleId' },
+      expressionAttributeValues: { ':g': 'user-1' }
+    });
+    expect(QueryCommandMock).toHaveBeenNthCalledWith(1, {
+      TableName: 'Tbl',
+      IndexName: 'googleId-index',
+      KeyConditionExpression: '#g = :g',
+      ExpressionAttributeNames: { '#g': 'googleId' },
+      ExpressionAttributeValues: { ':g': 'user-1' }
+    });
+    expect(QueryCommandMock).toHaveBeenNthCalledWith(2, expect.objectContaining({ ExclusiveStartKey: { id: '1' } }));
+    expect(result).toEqual([{ id: '1' }, { id: '2' }]);
+  });
+
+  test('queryItems rethrows query errors', async () => {
+    const service = require(modulePath);
+    sendMock.mockRejectedValue(new Error('query failed'));
+    await expect(service.queryItems('Tbl', {
+      keyConditionExpression: 'id = :id',
+      expressionAttributeValues: { ':id': '1' }
+    })).rejects.toThrow('query failed');
+  });
 });
@@ -0,0 +1,64 @@
+/**
+ * ファイルパス: __tests__/unit/utils/historyUtils.test.js
+ *
+ * 履歴データユーティリティのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-25
+ */
+
+const { getRangeStartDate, normalizeDate, resampleBars } = require('../../../src/utils/historyUtils');
+
+describe('historyUtils', () => {
+  describe('getRangeStartDate', () => {
+    const now = new Date('2025-05-20T10:00:00Z');
+
+    test('期間に応じて開始日を算出する', () => {
+      expect(getRangeStartDate('1mo', now).toISOString()).toBe('2025-04-20T00:00:00.000Z');
+      expect(getRangeStartDate('1y', now).toISOString()).toBe('2024-05-20T00:00:00.000Z');
+    });
+
+    test('max や不明な期間の場合はnullを返す', () => {
+      expect(getRangeStartDate('max', now)).toBeNull();
+      expect(getRangeStartDate('10y', now)).toBeNull();
+    });
+  });
+
+  describe('normalizeDate', () => {
+    test('複数の日付形式を YYYY-MM-DD に正規化する', () => {
+      expect(normalizeDate('2025/5/9')).toBe('2025-05-09');
+      expect(normalizeDate('2025-05-09')).toBe('2025-05-09');
+      expect(normalizeDate('2025年05月09日')).toBe('2025-05-09');
+    });
+
+    test('解析できない場合はnullを返す', () => {
+      expect(normalizeDate('')).toBeNull();
+      expect(normalizeDate('invalid')).toBeNull();
+    });
+  });
+
+  describe('resampleBars', () => {
+    const bars = [
+      { date: '2025-04-30', open: 10, high: 11, low: 9, close: 10, volume: 100 },
+      { date: '2025-05-01', open: 10, high: 13, low: 10, close: 12, volume: 200 },
+      { date: '2025-05-02', open: 12, high: 12, low: 8, close: 9, volume: null }
+    ];
+
+    test('日足はそのまま返す', () => {
+      expect(resampleBars(bars, '1d')).toBe(bars);
+    });
+
+    test('週足に集約する（月曜日始まり）', () => {
+      expect(resampleBars(bars, '1wk')).toEqual([
+        { date: '2025-04-28', open: 10, high: 13, low: 8, close: 9, volume: 300 }
+      ]);
+    });
+
+    test('月足に集約する', () => {
+      expect(resampleBars(bars, '1mo')).toEqual([
+        { date: '2025-04-01', open: 10, high: 11, low: 9, close: 10, volume: 100 },
+        { date: '2025-05-01', open: 10, high: 13, low: 8, close: 9, volume: 200 }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * ファイルパス: __tests__/unit/utils/marketDataFormatter.test.js
+ *
+ * マーケットデータの行データ変換ユーティリティのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-26
+ */
+
+const {
+  QUOTE_COLUMNS,
+  HISTORY_COLUMNS,
+  CORPORATE_ACTION_COLUMNS,
+  toQuoteRows,
+  toHistoryRows,
+  toCorporateActionRows
+} = require('../../../src/utils/marketDataFormatter');
+const { DATA_TYPES } = require('../../../src/config/constants');
+
+describe('marketDataFormatter', () => {
+  describe('toQuoteRows', () => {
+    test('株式データを共通列に変換する', () => {
+      const rows = toQuoteRows({
+        AAPL: {
+          ticker: 'AAPL',
+          price: 180.95,
+          change: 2.5,
+          changePercent: 1.4,
+          name: 'Apple Inc.',
+          currency: 'USD',
+          source: 'Yahoo Finance API',
+          lastUpdated: '2025-05-18T12:00:00.000Z',
+          volume: 1000
+        }
+      }, DATA_TYPES.US_STOCK);
+
+      expect(rows).toEqual([{
+        symbol: 'AAPL',
+        type: 'us-stock',
+        name: 'Apple Inc.',
+        price: 180.95,
+        change: 2.5,
+        changePercent: 1.4,
+        currency: 'USD',
+        source: 'Yahoo Finance API',
+        lastUpdated: '2025-05-18T12:00:00.000Z'
+      }]);
+      expect(Object.keys(rows[0])).toEqual(QUOTE_COLUMNS);
+    });
+
+    test('為替レートはレートを price、対象通貨を currency とする', () => {
+      const rows = toQuoteRows({
+        'USD-JPY': {
+          pair: 'USDJPY',
+          base: 'USD',
+          target: 'JPY',
+          rate: 149.82,
+          change: 0.32,
+          changePercent: 0.21,
+          source: 'exchangerate-host',
+          lastUpdated: '2025-05-18T12:00:00.000Z'
+        }
+      }, DATA_TYPES.EXCHANGE_RATE);
+
+      expect(rows[0]).toEqual(expect.objectContaining({
+        symbol: 'USD-JPY',
+        type: 'exchange-rate',
+        name: 'USD-JPY',
+        price: 149.82,
+        currency: 'JPY'
+      }));
+      expect(Object.keys(rows[0])).toEqual(QUOTE_COLUMNS);
+    });
+
+    test('オブジェクトでない値は無視する', () => {
+      expect(toQuoteRows({ A: null, B: 'x' }, DATA_TYPES.JP_STOCK)).toEqual([]);
+      expect(toQuoteRows(undefined, DATA_TYPES.JP_STOCK)).toEqual([]);
+    });
+  });
+
+  describe('toHistoryRows', () => {
+    test('足ごとに1行の共通列に変換する', () => {
+      const rows = toHistoryRows({
+        '0131103C': {
+          symbol: '0131103C',
+          currency: 'JPY',
+          bars: [
+            { date: '2025-05-09', open: 1, high: 1, low: 1, close: 1, volume: null },
+            { date: '2025-05-12', open: 2, high: 2, low: 2, close: 2, volume: null }
+          ]
+        },
+        ERR: { symbol: 'ERR', bars: [], error: 'failed' }
+      }, DATA_TYPES.MUTUAL_FUND);
+
+      expect(rows).toHaveLength(2);
+      expect(Object.keys(rows[0])).toEqual(HISTORY_COLUMNS);
+      expect(rows[1]).toEqual({
+        symbol: '0131103C',
+        type: 'mutual-fund',
+        date: '2025-05-12',
+        open: 2,
+        high: 2,
+        low: 2,
+        close: 2,
+        volume: null,
+        currency: 'JPY'
+      });
+    });
+  });
+
+  describe('toCorporateActionRows', () => {
+    test('配当と株式分割を銘柄ごとに日付順の1行に変換する', () => {
+      const rows = toCorporateActionRows({
+        AAPL: {
+          symbol: 'AAPL',
+          currency: 'USD',
+          dividends: [{ date: '2024-08-12', amount: 0.25 }],
+          splits: [{ date: '2020-08-31', numerator: 4, denominator: 1, ratio: 4, splitRatio: '4:1' }]
+        },
+        ERR: { symbol: 'ERR', dividends: [], splits: [], error: 'failed' },
+        BAD: null
+      }, DATA_TYPES.US_STOCK);
+
+      expect(Object.keys(rows[0])).toEqual(CORPORATE_ACTION_COLUMNS);
+      expect(rows).toEqual([
+        { symbol: 'AAPL', type: 'us-stock', date: '2020-08-31', action: 'split', amount: null, ratio: 4, currency: 'USD' },
+        { symbol: 'AAPL', type: 'us-stock', date: '2024-08-12', action: 'dividend', amount: 0.25, ratio: null, currency: 'USD' }
+      ]);
+    });
+  });
+});
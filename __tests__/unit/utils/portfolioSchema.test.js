@@ -0,0 +1,178 @@
+/**
+ * ファイルパス: __tests__/unit/utils/portfolioSchema.test.js
+ *
+ * ポートフォリオファイルのスキーマ検証ユーティリティのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-07
+ */
+
+const { ASSET_DATA_TYPES, validatePortfolioSchema } = require('../../../src/utils/portfolioSchema');
+
+describe('portfolioSchema', () => {
+  const validPortfolio = {
+    schemaVersion: 1,
+    name: 'My Portfolio',
+    baseCurrency: 'JPY',
+    holdings: [
+      { symbol: '7203', name: 'トヨタ自動車', dataType: 'jp-stock', shares: 100, cost: 2500, currency: 'JPY', account: '特定' },
+      { symbol: 'AAPL', dataType: 'us-stock', shares: 10, cost: 150, currency: 'USD', realizedPnl: -12.5, dividends: 3 }
+    ],
+    transactions: [
+      {
+        id: 'tx-1',
+        symbol: '7203',
+        tradeDate: '2024-04-01',
+        side: 'buy',
+        quantity: 100,
+        price: 2500,
+        fees: 0,
+        currency: 'JPY',
+        account: null
+      },
+      {
+        id: 'tx-2',
+        symbol: '7203',
+        tradeDate: '2024-09-30',
+        side: 'split',
+        quantity: 0,
+        price: 0,
+        fees: 0,
+        ratio: 2,
+        currency: 'JPY',
+        account: null
+      }
+    ],
+    targetAllocation: [
+      { assetClass: 'equity', region: 'japan', weight: 40 },
+      { assetClass: 'equity', region: 'us', weight: 60 }
+    ],
+    createdBy: 'google-user-123',
+    updatedBy: { userId: 'google-user-123', email: 'user@example.com', name: 'Test User' },
+    lastUpdated: '2025-06-07T00:00:00.000Z'
+  };
+
+  const fields = (result) => result.details.map(detail => detail.field);
+
+  test('資産種別に為替レートを含めない', () => {
+    expect(ASSET_DATA_TYPES).toEqual(['us-stock', 'jp-stock', 'mutual-fund', 'etf', 'crypto']);
+  });
+
+  test('有効なポートフォリオを受け付ける', () => {
+    expect(validatePortfolioSchema(validPortfolio)).toEqual({
+      valid: true,
+      schemaVersion: 1,
+      details: []
+    });
+  });
+
+  test('schemaVersion が無いファイルはバージョン1として検証する', () => {
+    const { schemaVersion, ...legacy } = validPortfolio;
+    const result = validatePortfolioSchema(legacy);
+
+    expect(result.valid).toBe(true);
+    expect(result.schemaVersion).toBe(1);
+  });
+
+  test('対応していないバージョンは拒否する', () => {
+    const result = validatePortfolioSchema({ ...validPortfolio, schemaVersion: 2 });
+
+    expect(result.valid).toBe(false);
+    expect(result.details).toEqual([expect.objectContaining({ field: 'schemaVersion', type: 'any.only' })]);
+  });
+
+  test('ポートフォリオ名は必須', () => {
+    const { name, ...noName } = validPortfolio;
+
+    expect(fields(validatePortfolioSchema(noName))).toEqual(['name']);
+  });
+
+  test('すべてのエラーを項目ごとに返す', () => {
+    const result = validatePortfolioSchema({
+      ...validPortfolio,
+      baseCurrency: 'yen',
+      holdings: [
+        { symbol: 'AAPL', shares: '10', cost: -1, dataType: 'exchange-rate', extra: 'x' }
+      ]
+    });
+
+    expect(result.valid).toBe(false);
+    expect(result.details).toEqual(expect.arrayContaining([
+      expect.objectContaining({ field: 'baseCurrency', type: 'string.pattern.base' }),
+      expect.objectContaining({ field: 'holdings.0.shares', type: 'number.base' }),
+      expect.objectContaining({ field: 'holdings.0.cost', type: 'number.min' }),
+      expect.objectContaining({ field: 'holdings.0.dataType', type: 'any.only' }),
+      expect.objectContaining({ field: 'holdings.0.extra', type: 'object.unknown' })
+    ]));
+  });
+
+  test('未知のトップレベル項目は拒否する', () => {
+    expect(fields(validatePortfolioSchema({ ...validPortfolio, password: 'secret' }))).toEqual(['password']);
+  });
+
+  test('保有銘柄の口座区分は文字列またはnull', () => {
+    const result = validatePortfolioSchema({
+      ...validPortfolio,
+      holdings: [{ symbol: 'AAPL', shares: 1, account: 123 }]
+    });
+
+    expect(fields(result)).toEqual(['holdings.0.account']);
+  });
+
+  describe('取引履歴', () => {
+    const withTransaction = (transaction) => validatePortfolioSchema({
+      ...validPortfolio,
+      transactions: [transaction]
+    });
+
+    test('取引種別と取引日を検証する', () => {
+      const result = withTransaction({ symbol: 'AAPL', tradeDate: 'yesterday', side: 'gift', quantity: 1, price: 1 });
+
+      expect(fields(result)).toEqual(expect.arrayContaining(['transactions.0.tradeDate', 'transactions.0.side']));
+    });
+
+    test('株式分割以外は数量が正の数であること', () => {
+      const result = withTransaction({ symbol: 'AAPL', tradeDate: '2024-01-01', side: 'buy', quantity: 0, price: 100 });
+
+      expect(fields(result)).toEqual(['transactions.0.quantity']);
+    });
+
+    test('株式分割は分割比率が必須', () => {
+      const result = withTransaction({ symbol: 'AAPL', tradeDate: '2024-01-01', side: 'split' });
+
+      expect(fields(result)).toEqual(['transactions.0.ratio']);
+    });
+
+    test('株式分割以外は分割比率を指定できない', () => {
+      const result = withTransaction({ symbol: 'AAPL', tradeDate: '2024-01-01', side: 'sell', quantity: 1, price: 1, ratio: 2 });
+
+      expect(fields(result)).toEqual(['transactions.0.ratio']);
+    });
+  });
+
+  describe('目標配分', () => {
+    test('比率の合計が100でない場合は拒否する', () => {
+      const result = validatePortfolioSchema({
+        ...validPortfolio,
+        targetAllocation: [{ assetClass: 'equity', weight: 30 }, { assetClass: 'bond', weight: 30 }]
+      });
+
+      expect(result.details).toEqual([
+        expect.objectContaining({ field: 'targetAllocation', type: 'targetAllocation.total', message: expect.stringContaining('got 60') })
+      ]);
+    });
+
+    test('比率は0〜100の数値であること', () => {
+      const result = validatePortfolioSchema({
+        ...validPortfolio,
+        targetAllocation: [{ assetClass: 'equity', weight: 150 }]
+      });
+
+      expect(fields(result)).toContain('targetAllocation.0.weight');
+    });
+
+    test('null は目標配分なしとして受け付ける', () => {
+      expect(validatePortfolioSchema({ ...validPortfolio, targetAllocation: null }).valid).toBe(true);
+    });
+  });
+});
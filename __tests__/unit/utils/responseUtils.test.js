@@ -8,8 +8,8 @@
  * @updated 2025-05-14 修正: テスト対応強化、期待値の調整
  */
 
-const { formatResponse, formatErrorResponse, formatRedirectResponse, formatOptionsResponse, handleOptions } = require('../../../src/utils/responseUtils');
-const { getBudgetWarningMessage, addBudgetWarningToResponse } = require('../../../src/utils/budgetCheck');
+const { formatResponse, formatErrorResponse, formatRedirectResponse, formatOptionsResponse, handleOptions, negotiateResponseFormat } = require('../../../src/utils/responseUtils');
+const { getBudgetWarningMessage, addBudgetWarningToResponse, isBudgetCritical } = require('../../../src/utils/budgetCheck');
 
 // budgetCheck モジュールをモック化
 jest.mock('../../../src/utils/budgetCheck', () => ({
@@ -94,6 +94,22 @@ describe('responseUtils', () => {
       expect(mockFormatResponse).toHaveBeenCalledWith(expect.any(Object), expect.any(Object));
     });
     
+    test('複数の値を持つヘッダーを設定する', async () => {
+      const response = await formatResponse({
+        data: { id: '123' },
+        multiValueHeaders: { 'Set-Cookie': ['session=abc', 'csrf_token=def'] },
+        skipBudgetWarning: true
+      });
+
+      expect(response.multiValueHeaders).toEqual({ 'Set-Cookie': ['session=abc', 'csrf_token=def'] });
+    });
+
+    test('multiValueHeaders を指定しない場合は含めない', async () => {
+      const response = await formatResponse({ data: {}, skipBudgetWarning: true });
+
+      expect(response).not.toHaveProperty('multiValueHeaders');
+    });
+    
     test('予算警告スキップオプション', async () => {
       // テスト実行
       await formatResponse({
@@ -255,4 +271,80 @@ describe('responseUtils', () => {
       expect(response).toBeNull();
     });
   });
+
+  describe('formatResponse (CSV/テキスト形式)', () => {
+    const rows = [
+      { symbol: 'AAPL', price: 180.95, name: 'Apple, Inc.' },
+      { symbol: '7203', price: 2500, name: 'トヨタ自動車' }
+    ];
+
+    test('CSV形式では行データをCSVとして返す', async () => {
+      const response = await formatResponse({
+        format: 'csv',
+        data: rows,
+        columns: ['symbol', 'price', 'name']
+      });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['Content-Type']).toBe('text/csv; charset=utf-8');
+      expect(response.body).toBe('symbol,price,name\r\nAAPL,180.95,"Apple, Inc."\r\n7203,2500,トヨタ自動車\r\n');
+      expect(addBudgetWarningToResponse).not.toHaveBeenCalled();
+    });
+
+    test('bom を指定した場合はCSVの先頭にUTF-8 BOMを付与する', async () => {
+      const response = await formatResponse({
+        format: 'csv',
+        data: rows,
+        columns: ['symbol'],
+        bom: true
+      });
+
+      expect(response.body).toBe('\uFEFFsymbol\r\nAAPL\r\n7203\r\n');
+    });
+
+    test('テキスト形式では列幅を揃えた表を返す', async () => {
+      const response = await formatResponse({
+        format: 'text',
+        data: rows,
+        columns: ['symbol', 'price']
+      });
+
+      expect(response.headers['Content-Type']).toBe('text/plain; charset=utf-8');
+      expect(response.body).toBe('symbol  price\nAAPL    180.95\n7203    2500\n');
+    });
+
+    test('予算警告はヘッダーに付与する', async () => {
+      isBudgetCritical.mockResolvedValue(true);
+      getBudgetWarningMessage.mockResolvedValue('CRITICAL');
+
+      const response = await formatResponse({ format: 'csv', data: rows, columns: ['symbol'] });
+
+      expect(response.headers['X-Budget-Warning']).toBe('CRITICAL');
+      expect(response.body).toBe('symbol\r\nAAPL\r\n7203\r\n');
+    });
+  });
+
+  describe('negotiateResponseFormat', () => {
+    test('format クエリパラメータを優先する', () => {
+      expect(negotiateResponseFormat({
+        queryStringParameters: { format: 'CSV' },
+        headers: { Accept: 'text/plain' }
+      })).toBe('csv');
+    });
+
+    test('Accept ヘッダーの q 値で形式を決定する', () => {
+      expect(negotiateResponseFormat({
+        headers: { accept: 'application/json;q=0.5, text/csv;q=0.9' }
+      })).toBe('csv');
+      expect(negotiateResponseFormat({
+        headers: { Accept: 'text/plain' }
+      })).toBe('text');
+    });
+
+    test('未対応のメディアタイプや未指定の場合は JSON とする', () => {
+      expect(negotiateResponseFormat({ headers: { Accept: 'application/xml' } })).toBe('json');
+      expect(negotiateResponseFormat({ headers: {} })).toBe('json');
+      expect(negotiateResponseFormat()).toBe('json');
+    });
+  });
 });
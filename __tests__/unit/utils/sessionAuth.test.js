@@ -0,0 +1,190 @@
+/**
+ * ファイルパス: __tests__/unit/utils/sessionAuth.test.js
+ *
+ * セッション認証ユーティリティのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-28
+ */
+
+const { authenticateRequest, getAccessToken, getBearerToken } = require('../../../src/utils/sessionAuth');
+const googleAuthService = require('../../../src/services/googleAuthService');
+const apiTokenService = require('../../../src/services/apiTokenService');
+
+jest.mock('../../../src/services/googleAuthService');
+jest.mock('../../../src/services/apiTokenService');
+
+describe('sessionAuth', () => {
+  const event = { headers: { Cookie: 'session=session-123' } };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('セッションCookieが無い場合は NO_SESSION を返す', async () => {
+    const result = await authenticateRequest({ headers: {} });
+
+    expect(result.error).toEqual(expect.objectContaining({ statusCode: 401, code: 'NO_SESSION' }));
+    expect(googleAuthService.getSession).not.toHaveBeenCalled();
+  });
+
+  test('セッションが存在しない場合は INVALID_SESSION を返す', async () => {
+    googleAuthService.getSession.mockResolvedValue(null);
+
+    const result = await authenticateRequest(event);
+
+    expect(result.error).toEqual(expect.objectContaining({ statusCode: 401, code: 'INVALID_SESSION' }));
+  });
+
+  test('有効なセッションを返す', async () => {
+    const session = { googleId: 'user-1' };
+    googleAuthService.getSession.mockResolvedValue(session);
+
+    const result = await authenticateRequest(event);
+
+    expect(result).toEqual({ sessionId: 'session-123', session });
+    expect(googleAuthService.refreshSessionToken).not.toHaveBeenCalled();
+  });
+
+  test('セッションの最終アクセス日時と端末情報を記録する', async () => {
+    const session = { googleId: 'user-1' };
+    googleAuthService.getSession.mockResolvedValue(session);
+
+    await authenticateRequest({
+      headers: { Cookie: 'session=session-123', 'User-Agent': 'TestAgent/1.0' },
+      requestContext: { identity: { sourceIp: '203.0.113.1' } }
+    });
+
+    expect(googleAuthService.touchSession).toHaveBeenCalledWith('session-123', session, {
+      ipAddress: '203.0.113.1',
+      userAgent: 'TestAgent/1.0'
+    });
+  });
+
+  test('更新系リクエストでCSRFトークンが無い場合は FORBIDDEN を返す', async () => {
+    googleAuthService.getSession.mockResolvedValue({ googleId: 'user-1', csrfToken: 'csrf-abc' });
+
+    const result = await authenticateRequest({ ...event, httpMethod: 'POST' }, { requireAccessToken: true });
+
+    expect(result.error).toEqual(expect.objectContaining({ statusCode: 403, code: 'FORBIDDEN' }));
+    expect(googleAuthService.refreshSessionToken).not.toHaveBeenCalled();
+  });
+
+  test('更新系リクエストでCSRFトークンが一致する場合は認証する', async () => {
+    const session = { googleId: 'user-1', csrfToken: 'csrf-abc' };
+    googleAuthService.getSession.mockResolvedValue(session);
+
+    const result = await authenticateRequest({
+      httpMethod: 'DELETE',
+      headers: { Cookie: 'session=session-123; csrf_token=csrf-abc', 'X-CSRF-Token': 'csrf-abc' }
+    });
+
+    expect(result).toEqual({ sessionId: 'session-123', session });
+  });
+
+  test('requireAccessToken の場合はアクセストークンを取得する', async () => {
+    googleAuthService.getSession.mockResolvedValue({ googleId: 'user-1' });
+    googleAuthService.refreshSessionToken.mockResolvedValue({ accessToken: 'token-abc' });
+
+    const result = await authenticateRequest(event, { requireAccessToken: true });
+
+    expect(googleAuthService.refreshSessionToken).toHaveBeenCalledWith('session-123');
+    expect(result.accessToken).toBe('token-abc');
+  });
+
+  test('トークン更新に失敗した場合は TOKEN_REFRESH_ERROR を返す', async () => {
+    googleAuthService.getSession.mockResolvedValue({ googleId: 'user-1' });
+    googleAuthService.refreshSessionToken.mockRejectedValue(new Error('refresh failed'));
+
+    const result = await authenticateRequest(event, { requireAccessToken: true });
+
+    expect(result.error).toEqual({
+      statusCode: 401,
+      code: 'TOKEN_REFRESH_ERROR',
+      message: 'アクセストークンの更新に失敗しました',
+      details: 'refresh failed'
+    });
+  });
+
+  describe('個人用APIトークン', () => {
+    const apiToken = {
+      tokenId: 'token-1',
+      googleId: 'user-1',
+      email: 'user@example.com',
+      userName: 'Test User',
+      scopes: ['drive:read']
+    };
+    const bearerEvent = { httpMethod: 'POST', headers: { authorization: 'Bearer pmt_token' } };
+
+    beforeEach(() => {
+      apiTokenService.verifyApiToken.mockResolvedValue(apiToken);
+      apiTokenService.hasScope.mockReturnValue(true);
+      apiTokenService.getGoogleAccessToken.mockResolvedValue('google-access');
+    });
+
+    test('Authorization ヘッダーからBearerトークンを取得する', () => {
+      expect(getBearerToken({ headers: { Authorization: 'Bearer abc.def' } })).toBe('abc.def');
+      expect(getBearerToken({ headers: { Authorization: 'Basic abc' } })).toBeNull();
+      expect(getBearerToken({})).toBeNull();
+    });
+
+    test('スコープを指定したAPIではAPIトークンで認証する（CSRFは検証しない）', async () => {
+      const result = await authenticateRequest(bearerEvent, { requireAccessToken: true, scope: 'drive:read' });
+
+      expect(apiTokenService.verifyApiToken).toHaveBeenCalledWith('pmt_token');
+      expect(apiTokenService.hasScope).toHaveBeenCalledWith(apiToken, 'drive:read');
+      expect(result).toEqual({
+        sessionId: null,
+        session: { googleId: 'user-1', email: 'user@example.com', name: 'Test User' },
+        apiToken,
+        accessToken: 'google-access'
+      });
+      expect(googleAuthService.getSession).not.toHaveBeenCalled();
+    });
+
+    test('スコープを指定しないAPIではAPIトークンを受け付けない', async () => {
+      const result = await authenticateRequest(bearerEvent);
+
+      expect(result.error).toEqual(expect.objectContaining({ code: 'NO_SESSION' }));
+      expect(apiTokenService.verifyApiToken).not.toHaveBeenCalled();
+    });
+
+    test('無効なトークンは INVALID_TOKEN を返す', async () => {
+      apiTokenService.verifyApiToken.mockResolvedValue(null);
+
+      const result = await authenticateRequest(bearerEvent, { scope: 'drive:read' });
+
+      expect(result.error).toEqual(expect.objectContaining({ statusCode: 401, code: 'INVALID_TOKEN' }));
+    });
+
+    test('スコープが不足している場合は INSUFFICIENT_SCOPE を返す', async () => {
+      apiTokenService.hasScope.mockReturnValue(false);
+
+      const result = await authenticateRequest(bearerEvent, { scope: 'drive:write' });
+
+      expect(result.error).toEqual(expect.objectContaining({ statusCode: 403, code: 'INSUFFICIENT_SCOPE' }));
+    });
+
+    test('Googleのアクセストークンを取得できない場合は TOKEN_REFRESH_ERROR を返す', async () => {
+      apiTokenService.getGoogleAccessToken.mockRejectedValue(new Error('Refresh token not available'));
+
+      const result = await authenticateRequest(bearerEvent, { requireAccessToken: true, scope: 'drive:read' });
+
+      expect(result.error).toEqual(expect.objectContaining({ statusCode: 401, code: 'TOKEN_REFRESH_ERROR' }));
+    });
+
+    test('getAccessToken は認証方法に応じてアクセストークンを取得する', async () => {
+      googleAuthService.refreshSessionToken.mockResolvedValue({ accessToken: 'session-access' });
+
+      await expect(getAccessToken({ sessionId: 'session-123' })).resolves.toBe('session-access');
+      await expect(getAccessToken({ sessionId: null, apiToken })).resolves.toBe('google-access');
+      expect(googleAuthService.refreshSessionToken).toHaveBeenCalledWith('session-123');
+      expect(apiTokenService.getGoogleAccessToken).toHaveBeenCalledWith(apiToken);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * ファイルパス: __tests__/unit/utils/symbolUtils.test.js
+ *
+ * 銘柄コード判定ユーティリティのユニットテスト
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-28
+ */
+
+const { inferDataType, getHoldingDataType, getDefaultCurrency, isJpListedCode, getMarketIndex } = require('../../../src/utils/symbolUtils');
+
+describe('symbolUtils', () => {
+  describe('inferDataType', () => {
+    test('4桁の数字は日本株と判定する', () => {
+      expect(inferDataType('7203')).toBe('jp-stock');
+      expect(inferDataType('7203.T')).toBe('jp-stock');
+    });
+
+    test('投資信託コードは投資信託と判定する', () => {
+      expect(inferDataType('0131103C')).toBe('mutual-fund');
+      expect(inferDataType('2931113C.T')).toBe('mutual-fund');
+      expect(inferDataType('0331418A')).toBe('mutual-fund');
+      expect(inferDataType('03311187')).toBe('mutual-fund');
+    });
+
+    test('それ以外は米国株と判定する', () => {
+      expect(inferDataType('AAPL')).toBe('us-stock');
+      expect(inferDataType('BRK-B')).toBe('us-stock');
+      expect(inferDataType('ABCDEFGC')).toBe('us-stock');
+    });
+  });
+
+  describe('getHoldingDataType', () => {
+    test('保有銘柄の dataType を優先する', () => {
+      expect(getHoldingDataType({ symbol: 'AAPL', dataType: 'mutual-fund' })).toBe('mutual-fund');
+    });
+
+    test('不正な dataType は無視して銘柄コードから判定する', () => {
+      expect(getHoldingDataType({ symbol: '7203', dataType: 'unknown' })).toBe('jp-stock');
+    });
+  });
+
+  describe('getDefaultCurrency', () => {
+    test('データタイプの標準通貨を返す', () => {
+      expect(getDefaultCurrency('us-stock')).toBe('USD');
+      expect(getDefaultCurrency('jp-stock')).toBe('JPY');
+      expect(getDefaultCurrency('mutual-fund')).toBe('JPY');
+      expect(getDefaultCurrency('other')).toBe('USD');
+    });
+
+    test('ETFは上場市場の通貨を返す', () => {
+      expect(getDefaultCurrency('etf', '1306')).toBe('JPY');
+      expect(getDefaultCurrency('etf', '2558.T')).toBe('JPY');
+      expect(getDefaultCurrency('etf', 'VTI')).toBe('USD');
+    });
+
+    test('暗号資産はUSD建てを標準とする', () => {
+      expect(getDefaultCurrency('crypto', 'BTC')).toBe('USD');
+    });
+
+    test('市場指数は指数の通貨を返す', () => {
+      expect(getDefaultCurrency('index', 'TOPIX')).toBe('JPY');
+      expect(getDefaultCurrency('index', 'SPX')).toBe('USD');
+    });
+  });
+
+  describe('isJpListedCode', () => {
+    test('東証の証券コード（新形式の英字入りを含む）を判定する', () => {
+      expect(isJpListedCode('1306')).toBe(true);
+      expect(isJpListedCode('8951.T')).toBe(true);
+      expect(isJpListedCode('130A')).toBe(true);
+    });
+
+    test('米国のティッカーや投資信託コードは対象外', () => {
+      expect(isJpListedCode('VTI')).toBe(false);
+      expect(isJpListedCode('0131103C')).toBe(false);
+      expect(isJpListedCode('')).toBe(false);
+    });
+  });
+
+  describe('getMarketIndex', () => {
+    test('識別子と別名から指数の定義を返す', () => {
+      expect(getMarketIndex('N225')).toEqual(expect.objectContaining({ id: 'N225', yahooSymbol: '^N225', currency: 'JPY' }));
+      expect(getMarketIndex(' nikkei225 ')).toEqual(expect.objectContaining({ id: 'N225' }));
+      expect(getMarketIndex('^GSPC')).toEqual(expect.objectContaining({ id: 'SPX', yahooSymbol: '^GSPC' }));
+    });
+
+    test('対応していない指数は null を返す', () => {
+      expect(getMarketIndex('FTSE')).toBeNull();
+      expect(getMarketIndex(undefined)).toBeNull();
+    });
+  });
+});
@@ -20,6 +20,9 @@ jest.mock('google-auth-library');
 jest.mock('../../../src/utils/retry');
 jest.mock('../../../src/utils/logger');
 
+// モジュール読み込み時に生成されたOAuth2Clientのインスタンス（clearAllMocks の前に取得する）
+const moduleOAuth2Client = OAuth2Client.mock.instances[0];
+
 describe('TokenManager', () => {
   // テスト用のモックデータ
   const mockSession = {
@@ -211,6 +214,29 @@ describe('TokenManager', () => {
     });
   });
 
+  describe('generateAuthUrl', () => {
+    test('PKCE（S256）とstateを指定して認可URLを生成する', () => {
+      moduleOAuth2Client.generateAuthUrl.mockReturnValue('https://accounts.google.com/o/oauth2/v2/auth?x=1');
+
+      const url = tokenManager.generateAuthUrl({
+        redirectUri: 'https://example.com/callback',
+        state: 'test-state',
+        codeChallenge: 'test-challenge',
+        scopes: ['openid', 'email']
+      });
+
+      expect(url).toBe('https://accounts.google.com/o/oauth2/v2/auth?x=1');
+      expect(moduleOAuth2Client.generateAuthUrl).toHaveBeenCalledWith(expect.objectContaining({
+        access_type: 'offline',
+        scope: ['openid', 'email'],
+        redirect_uri: 'https://example.com/callback',
+        state: 'test-state',
+        code_challenge: 'test-challenge',
+        code_challenge_method: 'S256'
+      }));
+    });
+  });
+
   describe('exchangeCodeForTokens', () => {
     test('認証コードをトークンと交換する', async () => {
       // 直接mockNewTokensを返すようにする
@@ -9,6 +9,21 @@
  * @author Portfolio Manager Team
  * @created 2025-05-08
  * @updated 2025-05-15 機能追加: エラーコードを追加
+ * @updated 2025-05-25 機能追加: 履歴データ取得の設定を追加
+ * @updated 2025-05-28 機能追加: ポートフォリオ取引履歴の取引種別を追加
+ * @updated 2025-05-29 機能追加: パフォーマンス計算の期間設定を追加
+ * @updated 2025-05-30 機能追加: リバランス提案の売買単位設定を追加
+ * @updated 2025-05-31 機能追加: 証券会社CSVインポートの設定を追加
+ * @updated 2025-06-01 機能追加: ポートフォリオエクスポートの設定を追加
+ * @updated 2025-06-02 機能追加: 保存時の競合エラーコードを追加
+ * @updated 2025-06-05 機能追加: ポートフォリオ共有リンクの設定を追加
+ * @updated 2025-06-07 機能追加: ポートフォリオファイルのスキーマ設定を追加
+ * @updated 2025-06-11 機能追加: 個人用APIトークンのスコープと設定を追加
+ * @updated 2025-06-13 機能追加: ETF・REITのデータタイプを追加
+ * @updated 2025-06-14 機能追加: 暗号資産のデータタイプと建値通貨の設定を追加
+ * @updated 2025-06-15 機能追加: 市場指数（ベンチマーク）のデータタイプと指数の定義を追加
+ * @updated 2025-06-16 機能追加: 配当・株式分割（コーポレートアクション）取得の設定を追加
+ * @updated 2025-06-17 機能追加: 投資指標（PER・PBR・配当利回りなど）取得の設定を追加
  */
 'use strict';
 
@@ -19,7 +34,10 @@ const DATA_TYPES = {
   US_STOCK: 'us-stock',
   JP_STOCK: 'jp-stock',
   MUTUAL_FUND: 'mutual-fund',
-  EXCHANGE_RATE: 'exchange-rate'
+  EXCHANGE_RATE: 'exchange-rate',
+  ETF: 'etf',
+  CRYPTO: 'crypto',
+  INDEX: 'index'
 };
 
 /**
@@ -37,6 +55,15 @@ const DATA_SOURCES = {
   },
   EXCHANGE_RATE: {
     DEFAULT_PRIORITY: ['exchangerate-host', 'dynamic-calculation', 'hardcoded-values']
+  },
+  ETF: {
+    DEFAULT_PRIORITY: ['Yahoo Finance API', 'Yahoo Finance Japan', 'Yahoo Finance (Web)', 'Fallback']
+  },
+  CRYPTO: {
+    DEFAULT_PRIORITY: ['CoinGecko API', 'Fallback']
+  },
+  INDEX: {
+    DEFAULT_PRIORITY: ['Yahoo Finance API', 'Yahoo Finance Japan', 'Fallback']
   }
 };
 
@@ -60,6 +87,8 @@ const ERROR_CODES = {
   SESSION_EXPIRED: 'SESSION_EXPIRED',
   AUTH_ERROR: 'AUTH_ERROR',
   FORBIDDEN: 'FORBIDDEN',
+  INVALID_TOKEN: 'INVALID_TOKEN',
+  INSUFFICIENT_SCOPE: 'INSUFFICIENT_SCOPE',
   
   // 429, 403系エラー（制限エラー）
   RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED',
@@ -70,6 +99,9 @@ const ERROR_CODES = {
   NOT_FOUND: 'NOT_FOUND',
   FILE_NOT_FOUND: 'FILE_NOT_FOUND',
   
+  // 409エラー（競合）
+  VERSION_CONFLICT: 'VERSION_CONFLICT',
+  
   // 500系エラー（サーバーエラー）
   SERVER_ERROR: 'INTERNAL_SERVER_ERROR',
   DATA_SOURCE_ERROR: 'DATA_SOURCE_ERROR',
@@ -88,8 +120,14 @@ const CACHE_TIMES = {
   JP_STOCK: 300,         // 5分
   MUTUAL_FUND: 3600,     // 1時間
   EXCHANGE_RATE: 300,    // 5分
+  ETF: 300,              // 5分
+  CRYPTO: 60,            // 1分（24時間取引のため短めに設定）
+  INDEX: 300,            // 5分
   USER_SESSION: 604800,  // 7日
-  FALLBACK_DATA: 86400   // 24時間
+  FALLBACK_DATA: 86400,  // 24時間
+  HISTORICAL_DATA: 3600, // 1時間（日足は日中に更新されるため短めに設定）
+  CORPORATE_ACTIONS: 86400, // 24時間（配当・分割の実績は日中に変わらないため長めに設定）
+  FUNDAMENTALS: 86400    // 24時間（PER・PBRなどの投資指標は日次で参照できれば十分なため価格とは別に設定）
 };
 
 /**
@@ -101,13 +139,207 @@ const RESPONSE_FORMATS = {
   TEXT: 'text'
 };
 
+/**
+ * 履歴データ（時系列）取得の設定
+ */
+const HISTORY_SETTINGS = {
+  RANGES: ['1mo', '3mo', '6mo', '1y', '2y', '5y', 'max'],
+  INTERVALS: ['1d', '1wk', '1mo'],
+  DEFAULT_RANGE: '1y',
+  DEFAULT_INTERVAL: '1d',
+  MAX_SYMBOLS: 5
+};
+
+/**
+ * 配当・株式分割（コーポレートアクション）取得の設定
+ */
+const CORPORATE_ACTION_SETTINGS = {
+  DATA_TYPES: [DATA_TYPES.US_STOCK, DATA_TYPES.JP_STOCK],
+  RANGES: ['1y', '2y', '5y', '10y', 'max'],
+  DEFAULT_RANGE: '5y',
+  MAX_SYMBOLS: 5
+};
+
+/**
+ * 投資指標（fields=fundamentals）取得の設定
+ */
+const FUNDAMENTALS_SETTINGS = {
+  FIELD: 'fundamentals',
+  DATA_TYPES: [DATA_TYPES.US_STOCK, DATA_TYPES.JP_STOCK],
+  MAX_SYMBOLS: 20
+};
+
+/**
+ * 暗号資産の建値通貨の設定
+ */
+const CRYPTO_SETTINGS = {
+  CURRENCIES: ['USD', 'JPY'],
+  DEFAULT_CURRENCY: 'USD'
+};
+
+/**
+ * 市場指数（ベンチマーク）の定義
+ * キーはAPIで指定する識別子で、aliases の表記でも指定できる。
+ * yahooSymbol はYahoo Finance API、yahooJapanCode はYahoo Finance Japanで使用する銘柄コード。
+ * defaultValue はすべてのデータソースが利用できない場合に返す指数値の目安。
+ */
+const MARKET_INDICES = {
+  N225: {
+    name: '日経平均株価',
+    yahooSymbol: '^N225',
+    yahooJapanCode: '998407.O',
+    currency: 'JPY',
+    defaultValue: 38000,
+    aliases: ['NIKKEI', 'NIKKEI225', '^N225']
+  },
+  TOPIX: {
+    name: 'TOPIX（東証株価指数）',
+    yahooSymbol: '998405.T',
+    yahooJapanCode: '998405.T',
+    currency: 'JPY',
+    defaultValue: 2700,
+    aliases: ['TPX']
+  },
+  SPX: {
+    name: 'S&P 500',
+    yahooSymbol: '^GSPC',
+    yahooJapanCode: '^GSPC',
+    currency: 'USD',
+    defaultValue: 5400,
+    aliases: ['SP500', 'GSPC', '^GSPC', '^SPX']
+  },
+  DJI: {
+    name: 'NYダウ（ダウ工業株30種平均）',
+    yahooSymbol: '^DJI',
+    yahooJapanCode: '^DJI',
+    currency: 'USD',
+    defaultValue: 39000,
+    aliases: ['DOW', '^DJI']
+  },
+  IXIC: {
+    name: 'NASDAQ総合指数',
+    yahooSymbol: '^IXIC',
+    yahooJapanCode: '^IXIC',
+    currency: 'USD',
+    defaultValue: 17000,
+    aliases: ['NASDAQ', '^IXIC']
+  },
+  // MSCI ACWI指数はデータソースで配信されていないため、連動ETF（iShares MSCI ACWI ETF）の価格で代用する
+  ACWI: {
+    name: 'MSCI ACWI（iShares MSCI ACWI ETF）',
+    yahooSymbol: 'ACWI',
+    yahooJapanCode: null,
+    currency: 'USD',
+    defaultValue: 110,
+    aliases: ['MSCI-ACWI']
+  }
+};
+
+/**
+ * ポートフォリオ取引履歴の取引種別
+ * OPENING は既存の保有数スナップショットから移行した期首残高を表す
+ */
+const TRANSACTION_SIDES = {
+  OPENING: 'opening',
+  BUY: 'buy',
+  SELL: 'sell',
+  DIVIDEND: 'dividend',
+  SPLIT: 'split'
+};
+
+/**
+ * ポートフォリオのパフォーマンス計算の設定
+ * 'ytd' は年初来、'max' は最初の取引日からの期間を表す
+ */
+const PERFORMANCE_SETTINGS = {
+  PERIODS: ['1mo', '3mo', '6mo', 'ytd', '1y', '2y', '5y', 'max'],
+  DEFAULT_PERIODS: ['1mo', 'ytd', '1y', 'max']
+};
+
+/**
+ * リバランス提案の設定
+ * LOT_SIZES はデータタイプごとの売買単位（日本株は100株単位、米国株は端株取引に対応）
+ */
+const REBALANCE_SETTINGS = {
+  MODES: {
+    REBALANCE: 'rebalance',
+    CASH_ONLY: 'cash-only'
+  },
+  LOT_SIZES: {
+    [DATA_TYPES.JP_STOCK]: 100,
+    [DATA_TYPES.US_STOCK]: 0.0001,
+    [DATA_TYPES.MUTUAL_FUND]: 1
+  },
+  WEIGHT_TOLERANCE: 0.01
+};
+
+/**
+ * 証券会社CSVインポートの設定
+ */
+const IMPORT_SETTINGS = {
+  BROKERS: ['sbi', 'rakuten', 'monex'],
+  MAX_FILE_SIZE: 5 * 1024 * 1024 // 5MB（デコード後のバイト数）
+};
+
+/**
+ * ポートフォリオエクスポートの設定
+ * JSONエクスポートの形式を変更する場合は SCHEMA_VERSION を更新する
+ */
+const EXPORT_SETTINGS = {
+  TYPES: ['holdings', 'valuation', 'allocation'],
+  FORMATS: ['csv', 'json'],
+  SCHEMA: 'portfolio-export',
+  SCHEMA_VERSION: 1
+};
+
+/**
+ * ポートフォリオファイルのスキーマ設定
+ * ファイルの形式を変更する場合は VERSION を更新し、新しいバージョンのスキーマを追加する
+ */
+const PORTFOLIO_SCHEMA = {
+  VERSION: 1,
+  SUPPORTED_VERSIONS: [1],
+  MAX_NAME_LENGTH: 200,
+  MAX_HOLDINGS: 1000,
+  MAX_TRANSACTIONS: 10000
+};
+
+/**
+ * 個人用APIトークンのスコープ
+ */
+const API_TOKEN_SCOPES = {
+  MARKET_DATA_READ: 'market-data:read',
+  DRIVE_READ: 'drive:read',
+  DRIVE_WRITE: 'drive:write'
+};
+
+/**
+ * 個人用APIトークンの設定
+ */
+const API_TOKEN_SETTINGS = {
+  PREFIX: 'pmt_',
+  MAX_TOKENS_PER_USER: 20,
+  MAX_NAME_LENGTH: 100,
+  MAX_EXPIRES_DAYS: 365
+};
+
+/**
+ * ポートフォリオ共有リンクの設定
+ */
+const SHARE_SETTINGS = {
+  DEFAULT_EXPIRES_DAYS: 30,
+  MAX_EXPIRES_DAYS: 365
+};
+
 /**
  * バッチ処理サイズの設定
  */
 const BATCH_SIZES = {
   US_STOCK: 10,
   JP_STOCK: 10,
-  MUTUAL_FUND: 5
+  MUTUAL_FUND: 5,
+  ETF: 10,
+  CRYPTO: 25
 };
 
 /**
@@ -125,7 +357,9 @@ const PREWARM_SYMBOLS = {
   'us-stock': ['AAPL', 'MSFT', 'GOOGL', 'AMZN', 'META', 'TSLA', 'NVDA', 'BRK-B', 'JPM', 'JNJ'],
   'jp-stock': ['7203', '9984', '6758', '8306', '9432', '6861', '7974', '6501', '8035', '9433'],
   'mutual-fund': ['2931113C', '0131103C', '0231303C', '0131423C', '2931333C'],
-  'exchange-rate': ['USD-JPY', 'EUR-USD', 'EUR-JPY', 'GBP-USD', 'USD-CNY']
+  'exchange-rate': ['USD-JPY', 'EUR-USD', 'EUR-JPY', 'GBP-USD', 'USD-CNY'],
+  'crypto': ['BTC', 'ETH', 'XRP', 'SOL', 'DOGE'],
+  'index': ['N225', 'TOPIX', 'SPX', 'ACWI']
 };
 
 /**
@@ -141,6 +375,20 @@ module.exports = {
   ERROR_CODES,
   CACHE_TIMES,
   RESPONSE_FORMATS,
+  HISTORY_SETTINGS,
+  CORPORATE_ACTION_SETTINGS,
+  FUNDAMENTALS_SETTINGS,
+  CRYPTO_SETTINGS,
+  MARKET_INDICES,
+  TRANSACTION_SIDES,
+  PERFORMANCE_SETTINGS,
+  REBALANCE_SETTINGS,
+  IMPORT_SETTINGS,
+  EXPORT_SETTINGS,
+  PORTFOLIO_SCHEMA,
+  SHARE_SETTINGS,
+  API_TOKEN_SCOPES,
+  API_TOKEN_SETTINGS,
   BATCH_SIZES,
   DATA_VALIDATION,
   DATA_SOURCES,
@@ -9,6 +9,12 @@
  * 
  * @author Portfolio Manager Team
  * @updated 2025-05-17
+ * @updated 2025-06-04 機能追加: バックアップ保持ポリシーの設定を追加
+ * @updated 2025-06-05 機能追加: 共有リンクのテーブル設定を追加
+ * @updated 2025-06-10 機能追加: Googleログインのstate・PKCE用テーブル設定を追加
+ * @updated 2025-06-11 機能追加: 個人用APIトークンのテーブル設定を追加
+ * @updated 2025-06-12 機能追加: セッション・APIトークン・IPアドレスごとの使用量制限を追加
+ * @updated 2025-06-14 機能追加: CoinGecko APIキーの設定を追加
  */
 'use strict';
 
@@ -100,6 +106,10 @@ const ENV = {
   // API制限設定
   DAILY_REQUEST_LIMIT: getNumberEnv('DAILY_REQUEST_LIMIT', 5000),
   MONTHLY_REQUEST_LIMIT: getNumberEnv('MONTHLY_REQUEST_LIMIT', 100000),
+  // クライアントごとの1日あたりの上限（1つのクライアントが全体の上限を使い切らないようにする）
+  SESSION_DAILY_REQUEST_LIMIT: getNumberEnv('SESSION_DAILY_REQUEST_LIMIT', 1000),
+  API_TOKEN_DAILY_REQUEST_LIMIT: getNumberEnv('API_TOKEN_DAILY_REQUEST_LIMIT', 2000),
+  IP_DAILY_REQUEST_LIMIT: getNumberEnv('IP_DAILY_REQUEST_LIMIT', 1000),
   DISABLE_ON_LIMIT: getBooleanEnv('DISABLE_ON_LIMIT', true),
   
   // キャッシュ設定
@@ -129,6 +139,7 @@ const ENV = {
   YAHOO_FINANCE_API_KEY: getStringEnv('YAHOO_FINANCE_API_KEY', ''),
   YAHOO_FINANCE_API_HOST: getStringEnv('YAHOO_FINANCE_API_HOST', 'yh-finance.p.rapidapi.com'),
   EXCHANGE_RATE_API_KEY: getStringEnv('EXCHANGE_RATE_API_KEY', ''),
+  COINGECKO_API_KEY: getStringEnv('COINGECKO_API_KEY', ''),
   
   // 管理者設定
   ADMIN_EMAIL: getStringEnv('ADMIN_EMAIL', ''),
@@ -143,9 +154,15 @@ const ENV = {
   GOOGLE_CLIENT_SECRET: getStringEnv('GOOGLE_CLIENT_SECRET', ''),
   SESSION_EXPIRES_DAYS: getNumberEnv('SESSION_EXPIRES_DAYS', 7),
   SESSION_TABLE: getStringEnv('SESSION_TABLE', undefined),
+  SHARE_LINK_TABLE: getStringEnv('SHARE_LINK_TABLE', undefined),
+  OAUTH_STATE_TABLE: getStringEnv('OAUTH_STATE_TABLE', undefined),
+  API_TOKEN_TABLE: getStringEnv('API_TOKEN_TABLE', undefined),
   
   // Google Drive設定
   DRIVE_FOLDER_NAME: getStringEnv('DRIVE_FOLDER_NAME', 'PortfolioManagerData'),
+  BACKUP_RETENTION_KEEP_ALL_HOURS: getNumberEnv('BACKUP_RETENTION_KEEP_ALL_HOURS', 24), // 24時間は全件
+  BACKUP_RETENTION_DAILY_DAYS: getNumberEnv('BACKUP_RETENTION_DAILY_DAYS', 30),         // 30日間は1日1件
+  BACKUP_RETENTION_MONTHLY_MONTHS: getNumberEnv('BACKUP_RETENTION_MONTHLY_MONTHS', 0),  // 1か月1件（0は無期限）
   
   // 開発環境用エンドポイント設定
   DYNAMODB_ENDPOINT: getStringEnv('DYNAMODB_ENDPOINT', ''),
@@ -177,6 +194,15 @@ if (!ENV.CACHE_TABLE) {
 if (!ENV.SESSION_TABLE) {
   ENV.SESSION_TABLE = `${ENV.DYNAMODB_TABLE_PREFIX || 'portfolio-market-data-'}-sessions`;
 }
+if (!ENV.SHARE_LINK_TABLE) {
+  ENV.SHARE_LINK_TABLE = `${ENV.DYNAMODB_TABLE_PREFIX || 'portfolio-market-data-'}-share-links`;
+}
+if (!ENV.OAUTH_STATE_TABLE) {
+  ENV.OAUTH_STATE_TABLE = `${ENV.DYNAMODB_TABLE_PREFIX || 'portfolio-market-data-'}-oauth-states`;
+}
+if (!ENV.API_TOKEN_TABLE) {
+  ENV.API_TOKEN_TABLE = `${ENV.DYNAMODB_TABLE_PREFIX || 'portfolio-market-data-'}-api-tokens`;
+}
 if (!ENV.SCRAPING_BLACKLIST_TABLE) {
   ENV.SCRAPING_BLACKLIST_TABLE = `${ENV.DYNAMODB_TABLE_PREFIX || 'portfolio-market-data-'}-scraping-blacklist`;
 }
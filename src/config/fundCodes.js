@@ -0,0 +1,35 @@
+/**
+ * プロジェクト: portfolio-market-data-api
+ * ファイルパス: src/config/fundCodes.js
+ *
+ * 説明:
+ * 投資信託のファンド名とモーニングスターのファンドコード（投信協会コード）の対応表。
+ * 証券会社のCSVには投資信託のコードが含まれないことが多いため、
+ * インポート時にファンド名からコードを解決するために使用します。
+ * 表記ゆれ（全角・半角、空白）は比較時に正規化されます。
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-31
+ */
+'use strict';
+
+/**
+ * ファンド名 → ファンドコード
+ */
+const FUND_CODES = {
+  'eMAXIS Slim 全世界株式（オール・カントリー）': '0331418A',
+  'eMAXIS Slim 米国株式（S&P500）': '03311187',
+  'eMAXIS Slim 先進国株式インデックス': '0331417A',
+  'eMAXIS Slim 国内株式（TOPIX）': '0331C177',
+  'eMAXIS Slim バランス（8資産均等型）': '0331A172',
+  '＜購入・換金手数料なし＞ニッセイ外国株式インデックスファンド': '2931113C',
+  'ニッセイ外国株式インデックスファンド': '2931113C',
+  '楽天・全米株式インデックス・ファンド': '9I311179',
+  '楽天・全世界株式インデックス・ファンド': '9I312179',
+  'SBI・V・S&P500インデックス・ファンド': '89311199',
+  'SBI・V・全米株式インデックス・ファンド': '89313217'
+};
+
+module.exports = {
+  FUND_CODES
+};
@@ -0,0 +1,117 @@
+/**
+ * APIトークン作成ハンドラー - スクリプト等から利用する個人用APIトークンの発行
+ *
+ * @file src/function/auth/createApiToken.js
+ * @author Portfolio Manager Team
+ * @created 2025-06-11
+ */
+'use strict';
+
+const { createApiToken } = require('../../services/apiTokenService');
+const { formatResponse, formatErrorResponse, formatOptionsResponse } = require('../../utils/responseUtils');
+const { authenticateRequest } = require('../../utils/sessionAuth');
+const { API_TOKEN_SCOPES, API_TOKEN_SETTINGS } = require('../../config/constants');
+
+/**
+ * APIトークン作成ハンドラー
+ * POST /auth/tokens
+ * ボディ: { name, scopes, expiresInDays? }
+ * トークンの値はこのレスポンスでのみ返す（再表示はできない）
+ * @param {Object} event - API Gatewayイベント
+ * @returns {Object} - API Gatewayレスポンス
+ */
+module.exports.handler = async (event) => {
+  try {
+    // OPTIONSリクエスト対応
+    if (event.httpMethod === 'OPTIONS') {
+      return formatOptionsResponse();
+    }
+
+    // セッションを検証（APIトークンでの作成は受け付けない）
+    const auth = await authenticateRequest(event);
+
+    if (auth.error) {
+      return formatErrorResponse(auth.error);
+    }
+
+    // リクエストボディを解析
+    let requestBody;
+    try {
+      requestBody = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_REQUEST_BODY',
+        message: 'リクエストボディのJSONが不正です'
+      });
+    }
+
+    const { scopes, expiresInDays } = requestBody;
+    const name = typeof requestBody.name === 'string' ? requestBody.name.trim() : '';
+    const allowedScopes = Object.values(API_TOKEN_SCOPES);
+
+    if (!name || name.length > API_TOKEN_SETTINGS.MAX_NAME_LENGTH) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: `トークン名（name）は1〜${API_TOKEN_SETTINGS.MAX_NAME_LENGTH}文字で指定してください`
+      });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => allowedScopes.includes(scope))) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: `スコープ（scopes）は ${allowedScopes.join(', ')} から指定してください`
+      });
+    }
+
+    if (expiresInDays !== undefined && expiresInDays !== null &&
+        (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > API_TOKEN_SETTINGS.MAX_EXPIRES_DAYS)) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: `有効期限（expiresInDays）は1〜${API_TOKEN_SETTINGS.MAX_EXPIRES_DAYS}の整数で指定してください`
+      });
+    }
+
+    const token = await createApiToken(auth.session, {
+      name,
+      scopes: [...new Set(scopes)],
+      expiresInDays
+    });
+
+    return formatResponse({
+      statusCode: 201,
+      data: token,
+      message: 'APIトークンを作成しました。トークンは再表示できないため安全な場所に保管してください',
+      headers: {
+        'Cache-Control': 'no-store'
+      }
+    });
+  } catch (error) {
+    console.error('APIトークン作成エラー:', error);
+
+    // エラーの種類に応じたメッセージを設定
+    let statusCode = 500;
+    let code = 'API_TOKEN_ERROR';
+    let message = 'APIトークンの作成に失敗しました';
+
+    if (error.message?.includes('Token limit exceeded')) {
+      statusCode = 400;
+      code = 'TOKEN_LIMIT_EXCEEDED';
+      message = `APIトークンは1ユーザーあたり${API_TOKEN_SETTINGS.MAX_TOKENS_PER_USER}件まで作成できます`;
+    } else if (error.message?.includes('Refresh token not available')) {
+      statusCode = 400;
+      code = 'REAUTH_REQUIRED';
+      message = 'Google Driveのスコープを付与するには、もう一度ログインしてください';
+    }
+
+    return formatErrorResponse({
+      statusCode,
+      code,
+      message,
+      details: error.message
+    });
+  }
+};
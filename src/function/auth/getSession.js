@@ -12,11 +12,15 @@
  * @updated Koki - 2025-05-15 バグ修正: モジュール参照を維持しテスト互換性を確保
  * @updated Koki - 2025-05-16 バグ修正: テスト実行時のヘッダー処理を改善
  * @updated Koki - 2025-05-19 バグ修正: セッション情報レスポンス形式を修正
+ * @updated 2025-06-08 機能追加: セッションの最終アクセス日時と端末情報を記録
+ * @updated 2025-06-09 機能追加: CSRFトークンの返却（未発行のセッションには発行）
  */
 'use strict';
 
 const googleAuthService = require('../../services/googleAuthService');
 const cookieParser = require('../../utils/cookieParser');
+const { getClientInfo } = require('../../utils/clientInfo');
+const { generateCsrfToken } = require('../../utils/csrf');
 
 // モジュールパス修正: モジュール全体を参照
 const responseUtils = require('../../utils/responseUtils');
@@ -109,6 +113,16 @@ const handler = async (event) => {
       return errorResponse;
     }
     
+    // セッション一覧に表示する最終アクセス日時を記録する
+    await googleAuthService.touchSession(sessionId, session, getClientInfo(event));
+    
+    // CSRFトークンが未発行のセッション（機能追加前に作成されたもの）には発行する
+    let csrfToken = session.csrfToken;
+    if (!csrfToken) {
+      csrfToken = generateCsrfToken();
+      await googleAuthService.updateSession(sessionId, { csrfToken });
+    }
+    
     // 認証済みユーザー情報を返す - テストが期待する形式に完全に合わせる
     const responseData = {
       isAuthenticated: true,
@@ -117,7 +131,8 @@ const handler = async (event) => {
         email: session.email,
         name: session.name || '',
         picture: session.picture || ''
-      }
+      },
+      csrfToken
     };
     
     // デバッグモードの場合、追加情報を含める
@@ -136,8 +151,13 @@ const handler = async (event) => {
     }
     
     // モジュール経由で関数を呼び出し
+    // CSRFトークンCookieはセッションの有効期限に合わせて再設定する
+    const maxAge = Math.max(0, Math.floor((expiresAt - Date.now()) / 1000));
     const formattedResponse = await responseUtils.formatResponse({
-      data: responseData
+      data: responseData,
+      headers: {
+        'Set-Cookie': cookieParser.createCsrfCookie(csrfToken, maxAge)
+      }
     });
     
     return formattedResponse;
@@ -0,0 +1,75 @@
+/**
+ * Googleログイン開始ハンドラー - stateとPKCEを発行して認可URLを返す
+ *
+ * @file src/function/auth/googleAuthStart.js
+ * @author Portfolio Manager Team
+ * @created 2025-06-10
+ * @updated 2025-06-17 機能追加: stateをHttpOnly Cookieに設定してブラウザに紐付け
+ */
+'use strict';
+
+const { createAuthorizationRequest } = require('../../services/googleAuthService');
+const { formatResponse, formatErrorResponse, formatOptionsResponse } = require('../../utils/responseUtils');
+const { createOAuthStateCookie } = require('../../utils/cookieParser');
+
+/**
+ * リダイレクトURIを検証する
+ * @param {string} redirectUri - リダイレクトURI
+ * @returns {boolean} http(s)の絶対URLの場合true
+ */
+const isValidRedirectUri = (redirectUri) => {
+  try {
+    const url = new URL(redirectUri);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Googleログイン開始ハンドラー
+ * GET /auth/google/start?redirectUri=...
+ * 返された authorizationUrl に遷移し、コールバックで受け取った code と state を POST /auth/google/login に送信する
+ * stateはCookie（oauth_state）にも設定し、ログインを開始したブラウザからの送信のみ受け付ける
+ * @param {Object} event - API Gatewayイベント
+ * @returns {Object} - API Gatewayレスポンス
+ */
+module.exports.handler = async (event) => {
+  try {
+    // OPTIONSリクエスト対応
+    if (event.httpMethod === 'OPTIONS') {
+      return formatOptionsResponse();
+    }
+
+    const { redirectUri } = event.queryStringParameters || {};
+
+    if (!redirectUri || !isValidRedirectUri(redirectUri)) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: 'リダイレクトURIが不正です'
+      });
+    }
+
+    const result = await createAuthorizationRequest(redirectUri);
+    const maxAge = Math.max(0, Math.floor((new Date(result.expiresAt).getTime() - Date.now()) / 1000));
+
+    return formatResponse({
+      statusCode: 200,
+      data: result,
+      headers: {
+        'Cache-Control': 'no-store',
+        'Set-Cookie': createOAuthStateCookie(result.state, maxAge)
+      }
+    });
+  } catch (error) {
+    console.error('Googleログイン開始エラー:', error);
+
+    return formatErrorResponse({
+      statusCode: 500,
+      code: 'AUTH_START_ERROR',
+      message: 'ログインを開始できませんでした',
+      details: error.message
+    });
+  }
+};
@@ -7,19 +7,27 @@
  * @updated 2025-05-13 新規追加: 基本的なログイン処理実装
  * @updated 2025-05-15 バグ修正: Cookie設定を強化
  * @updated 2025-05-16 バグ修正: テスト互換性を向上
+ * @updated 2025-06-08 機能追加: セッション一覧用にIPアドレスとUser-Agentを記録
+ * @updated 2025-06-09 機能追加: CSRFトークンの発行
+ * @updated 2025-06-10 機能追加: stateとPKCE（code_verifier）の検証
+ * @updated 2025-06-17 修正: stateをログイン開始時のCookieと照合（ログインCSRF対策）
  */
 'use strict';
 
 const { 
+  consumeAuthorizationRequest,
   exchangeCodeForTokens, 
   verifyIdToken, 
   createUserSession 
 } = require('../../services/googleAuthService');
 const { formatResponse, formatErrorResponse } = require('../../utils/responseUtils');
-const { createSessionCookie } = require('../../utils/cookieParser');
+const { parseCookies, createSessionCookie, createCsrfCookie, createClearOAuthStateCookie } = require('../../utils/cookieParser');
+const { generateCsrfToken } = require('../../utils/csrf');
+const { getClientInfo } = require('../../utils/clientInfo');
 
 /**
  * Google認証処理ハンドラー
+ * ボディ: { code, state, redirectUri }（state は GET /auth/google/start で発行し、同じ値がCookie（oauth_state）に設定されたもの）
  * @param {Object} event - API Gatewayイベント
  * @returns {Object} - API Gatewayレスポンス
  */
@@ -30,7 +38,7 @@ module.exports.handler = async (event) => {
     
     // リクエストボディをパース（ボディが存在しない場合は空オブジェクトを使用）
     const requestBody = JSON.parse(event.body || '{}');
-    const { code, redirectUri } = requestBody;
+    const { code, state, redirectUri } = requestBody;
     
     // テスト情報出力
     if (event._testMode) {
@@ -54,13 +62,27 @@ module.exports.handler = async (event) => {
       });
     }
     
+    // ログイン開始時に発行したstateをブラウザのCookieと照合して検証し、PKCEのcode_verifierを取得
+    const cookies = parseCookies(event);
+    const authorizationRequest = await consumeAuthorizationRequest(state, redirectUri, cookies.oauth_state);
+    
+    if (!authorizationRequest) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_STATE',
+        message: 'ログインの有効期限が切れたか、不正なリクエストです。もう一度ログインしてください'
+      });
+    }
+    
     // Googleで認証コードをトークンに交換
-    const tokens = await exchangeCodeForTokens(code, redirectUri);
+    const tokens = await exchangeCodeForTokens(code, redirectUri, authorizationRequest.codeVerifier);
     
     // IDトークンを検証してユーザー情報を取得
     const userInfo = await verifyIdToken(tokens.id_token);
     
-    // セッションを作成
+    // セッションを作成（端末情報はセッション一覧の表示用）
+    const { ipAddress, userAgent } = getClientInfo(event);
+    const csrfToken = generateCsrfToken();
     const session = await createUserSession({
       googleId: userInfo.sub,
       email: userInfo.email,
@@ -68,42 +90,54 @@ module.exports.handler = async (event) => {
       picture: userInfo.picture,
       accessToken: tokens.access_token,
       refreshToken: tokens.refresh_token,
-      tokenExpiry: new Date(Date.now() + tokens.expires_in * 1000).toISOString()
+      tokenExpiry: new Date(Date.now() + tokens.expires_in * 1000).toISOString(),
+      ipAddress,
+      userAgent,
+      csrfToken
     });
     
     // セッションCookieを作成（7日間有効）
     const maxAge = 60 * 60 * 24 * 7; // 7日間（秒単位）
     const sessionCookie = createSessionCookie(session.sessionId, maxAge);
+    // CSRFトークンCookie（更新系APIでは同じ値を X-CSRF-Token ヘッダーで送信する）
+    const csrfCookie = createCsrfCookie(csrfToken, maxAge);
+    // 使用済みのstate Cookieを削除
+    const clearStateCookie = createClearOAuthStateCookie();
+    
+    // ログインしたユーザーの情報とCSRFトークン
+    const responseData = {
+      isAuthenticated: true,
+      user: {
+        id: userInfo.sub,
+        email: userInfo.email,
+        name: userInfo.name,
+        picture: userInfo.picture
+      },
+      csrfToken
+    };
     
     // テスト用のフックが指定されていたら呼び出し
     if (typeof event._formatResponse === 'function') {
       event._formatResponse({
         success: true,
-        isAuthenticated: true,
-        user: {
-          id: userInfo.sub,
-          email: userInfo.email,
-          name: userInfo.name,
-          picture: userInfo.picture
-        }
+        ...responseData
       }, { 'Set-Cookie': sessionCookie });
     }
     
     // レスポンスを整形 - テストが期待する形式に合わせる
+    // Set-Cookieは複数あるため multiValueHeaders で返す（headers と重複した値は1つにまとめられる）
     return formatResponse({
       statusCode: 200,
+      data: responseData,
       body: {
         success: true,
-        isAuthenticated: true,
-        user: {
-          id: userInfo.sub,
-          email: userInfo.email,
-          name: userInfo.name,
-          picture: userInfo.picture
-        }
+        ...responseData
       },
       headers: {
         'Set-Cookie': sessionCookie
+      },
+      multiValueHeaders: {
+        'Set-Cookie': [sessionCookie, csrfCookie, clearStateCookie]
       }
     });
   } catch (error) {
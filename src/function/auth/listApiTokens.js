@@ -0,0 +1,54 @@
+/**
+ * APIトークン一覧ハンドラー - 作成した個人用APIトークンの一覧
+ *
+ * @file src/function/auth/listApiTokens.js
+ * @author Portfolio Manager Team
+ * @created 2025-06-11
+ */
+'use strict';
+
+const { listApiTokens } = require('../../services/apiTokenService');
+const { formatResponse, formatErrorResponse, formatOptionsResponse } = require('../../utils/responseUtils');
+const { authenticateRequest } = require('../../utils/sessionAuth');
+
+/**
+ * APIトークン一覧ハンドラー
+ * GET /auth/tokens
+ * トークン名・スコープ・最終使用日時を返す（トークンの値は含めない）
+ * @param {Object} event - API Gatewayイベント
+ * @returns {Object} - API Gatewayレスポンス
+ */
+module.exports.handler = async (event) => {
+  try {
+    // OPTIONSリクエスト対応
+    if (event.httpMethod === 'OPTIONS') {
+      return formatOptionsResponse();
+    }
+
+    // セッションを検証
+    const auth = await authenticateRequest(event);
+
+    if (auth.error) {
+      return formatErrorResponse(auth.error);
+    }
+
+    const tokens = await listApiTokens(auth.session.googleId);
+
+    return formatResponse({
+      statusCode: 200,
+      data: {
+        tokens,
+        count: tokens.length
+      }
+    });
+  } catch (error) {
+    console.error('APIトークン一覧取得エラー:', error);
+
+    return formatErrorResponse({
+      statusCode: 500,
+      code: 'API_TOKEN_LIST_ERROR',
+      message: 'APIトークン一覧の取得に失敗しました',
+      details: error.message
+    });
+  }
+};
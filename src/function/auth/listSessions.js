@@ -0,0 +1,55 @@
+/**
+ * セッション一覧ハンドラー - ログイン中の端末の一覧
+ *
+ * @file src/function/auth/listSessions.js
+ * @author Portfolio Manager Team
+ * @created 2025-06-08
+ */
+'use strict';
+
+const { listUserSessions } = require('../../services/googleAuthService');
+const { formatResponse, formatErrorResponse, formatOptionsResponse } = require('../../utils/responseUtils');
+const { authenticateRequest } = require('../../utils/sessionAuth');
+
+/**
+ * セッション一覧ハンドラー
+ * GET /auth/sessions
+ * 端末名・IPアドレス・最終アクセス日時を含むセッション一覧を返す（リクエスト元は current: true）
+ * @param {Object} event - API Gatewayイベント
+ * @returns {Object} - API Gatewayレスポンス
+ */
+module.exports.handler = async (event) => {
+  try {
+    // OPTIONSリクエスト対応
+    if (event.httpMethod === 'OPTIONS') {
+      return formatOptionsResponse();
+    }
+
+    // セッションを検証
+    const auth = await authenticateRequest(event);
+
+    if (auth.error) {
+      return formatErrorResponse(auth.error);
+    }
+
+    const sessions = await listUserSessions(auth.session.googleId, auth.sessionId);
+
+    return formatResponse({
+      statusCode: 200,
+      data: {
+        sessions,
+        count: sessions.length
+      },
+      message: `${sessions.length}件のセッションが見つかりました`
+    });
+  } catch (error) {
+    console.error('セッション一覧取得エラー:', error);
+
+    return formatErrorResponse({
+      statusCode: 500,
+      code: 'SESSION_LIST_ERROR',
+      message: 'セッション一覧の取得に失敗しました',
+      details: error.message
+    });
+  }
+};
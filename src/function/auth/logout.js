@@ -9,6 +9,7 @@
  * @updated 2025-05-15 バグ修正: テスト互換性確保のためモジュール参照を維持
  * @updated 2025-05-16 バグ修正: Cookie設定問題を解決
  * @updated 2025-05-19 バグ修正: テスト互換性を向上
+ * @updated 2025-06-09 機能追加: CSRFトークンの検証
  */
 'use strict';
 
@@ -16,6 +17,7 @@ const { invalidateSession } = require('../../services/googleAuthService');
 // 重要: モジュール全体を参照する
 const responseUtils = require('../../utils/responseUtils');
 const cookieParser = require('../../utils/cookieParser');
+const { verifyCsrfToken } = require('../../utils/csrf');
 
 /**
  * ログアウト処理ハンドラー
@@ -40,6 +42,13 @@ module.exports.handler = async (event) => {
     return errorResponse;
   }
 
+  // CSRFトークンを検証（他サイトから強制的にログアウトさせられないようにする）
+  const csrfError = verifyCsrfToken(event);
+  
+  if (csrfError) {
+    return responseUtils.formatErrorResponse(csrfError);
+  }
+
   try {
     // Cookie ヘッダーを作成 - 注意: テスト互換性のため固定値を返す
     const clearCookie = cookieParser.createClearSessionCookie();
@@ -0,0 +1,63 @@
+/**
+ * 全セッション取り消しハンドラー - すべての端末からのログアウト
+ *
+ * @file src/function/auth/revokeAllSessions.js
+ * @author Portfolio Manager Team
+ * @created 2025-06-08
+ */
+'use strict';
+
+const { invalidateUserSessions } = require('../../services/googleAuthService');
+const { formatResponse, formatErrorResponse, formatOptionsResponse } = require('../../utils/responseUtils');
+const { createClearSessionCookie } = require('../../utils/cookieParser');
+const { authenticateRequest } = require('../../utils/sessionAuth');
+
+/**
+ * 全セッション取り消しハンドラー
+ * DELETE /auth/sessions
+ * クエリ: exceptCurrent=true の場合はリクエスト元の端末のセッションを残す
+ * @param {Object} event - API Gatewayイベント
+ * @returns {Object} - API Gatewayレスポンス
+ */
+module.exports.handler = async (event) => {
+  try {
+    // OPTIONSリクエスト対応
+    if (event.httpMethod === 'OPTIONS') {
+      return formatOptionsResponse();
+    }
+
+    // セッションを検証
+    const auth = await authenticateRequest(event);
+
+    if (auth.error) {
+      return formatErrorResponse(auth.error);
+    }
+
+    const exceptCurrent = (event.queryStringParameters || {}).exceptCurrent === 'true';
+
+    const result = await invalidateUserSessions(auth.session.googleId, {
+      exceptSessionId: exceptCurrent ? auth.sessionId : null
+    });
+
+    return formatResponse({
+      statusCode: 200,
+      data: {
+        ...result,
+        exceptCurrent
+      },
+      message: exceptCurrent
+        ? `他の端末からログアウトしました (${result.revoked}件)`
+        : `すべての端末からログアウトしました (${result.revoked}件)`,
+      ...(!exceptCurrent && { headers: { 'Set-Cookie': createClearSessionCookie() } })
+    });
+  } catch (error) {
+    console.error('全セッション取り消しエラー:', error);
+
+    return formatErrorResponse({
+      statusCode: 500,
+      code: 'SESSION_REVOKE_ERROR',
+      message: 'セッションの取り消しに失敗しました',
+      details: error.message
+    });
+  }
+};
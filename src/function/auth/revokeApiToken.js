@@ -0,0 +1,72 @@
+/**
+ * APIトークン取り消しハンドラー - 個人用APIトークンの無効化
+ *
+ * @file src/function/auth/revokeApiToken.js
+ * @author Portfolio Manager Team
+ * @created 2025-06-11
+ */
+'use strict';
+
+const { revokeApiToken } = require('../../services/apiTokenService');
+const { formatResponse, formatErrorResponse, formatOptionsResponse } = require('../../utils/responseUtils');
+const { authenticateRequest } = require('../../utils/sessionAuth');
+
+/**
+ * APIトークン取り消しハンドラー
+ * DELETE /auth/tokens/{id}
+ * id はトークン一覧（GET /auth/tokens）の id
+ * @param {Object} event - API Gatewayイベント
+ * @returns {Object} - API Gatewayレスポンス
+ */
+module.exports.handler = async (event) => {
+  try {
+    // OPTIONSリクエスト対応
+    if (event.httpMethod === 'OPTIONS') {
+      return formatOptionsResponse();
+    }
+
+    // セッションを検証
+    const auth = await authenticateRequest(event);
+
+    if (auth.error) {
+      return formatErrorResponse(auth.error);
+    }
+
+    const id = event.pathParameters && event.pathParameters.id;
+
+    if (!id) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: 'トークンIDが不足しています'
+      });
+    }
+
+    const revoked = await revokeApiToken(auth.session.googleId, String(id));
+
+    return formatResponse({
+      statusCode: 200,
+      data: {
+        token: revoked
+      },
+      message: 'APIトークンを取り消しました'
+    });
+  } catch (error) {
+    console.error('APIトークン取り消しエラー:', error);
+
+    if (error.message?.includes('API token not found')) {
+      return formatErrorResponse({
+        statusCode: 404,
+        code: 'TOKEN_NOT_FOUND',
+        message: '指定されたAPIトークンが見つかりません'
+      });
+    }
+
+    return formatErrorResponse({
+      statusCode: 500,
+      code: 'API_TOKEN_REVOKE_ERROR',
+      message: 'APIトークンの取り消しに失敗しました',
+      details: error.message
+    });
+  }
+};
@@ -0,0 +1,74 @@
+/**
+ * セッション取り消しハンドラー - 指定した端末のログアウト
+ *
+ * @file src/function/auth/revokeSession.js
+ * @author Portfolio Manager Team
+ * @created 2025-06-08
+ */
+'use strict';
+
+const { revokeUserSession } = require('../../services/googleAuthService');
+const { formatResponse, formatErrorResponse, formatOptionsResponse } = require('../../utils/responseUtils');
+const { createClearSessionCookie } = require('../../utils/cookieParser');
+const { authenticateRequest } = require('../../utils/sessionAuth');
+
+/**
+ * セッション取り消しハンドラー
+ * DELETE /auth/sessions/{id}
+ * id はセッション一覧（GET /auth/sessions）の id。リクエスト元のセッションを指定した場合はCookieも削除する
+ * @param {Object} event - API Gatewayイベント
+ * @returns {Object} - API Gatewayレスポンス
+ */
+module.exports.handler = async (event) => {
+  try {
+    // OPTIONSリクエスト対応
+    if (event.httpMethod === 'OPTIONS') {
+      return formatOptionsResponse();
+    }
+
+    // セッションを検証
+    const auth = await authenticateRequest(event);
+
+    if (auth.error) {
+      return formatErrorResponse(auth.error);
+    }
+
+    const id = event.pathParameters && event.pathParameters.id;
+
+    if (!id) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: 'セッションIDが不足しています'
+      });
+    }
+
+    const revoked = await revokeUserSession(auth.session.googleId, String(id), auth.sessionId);
+
+    return formatResponse({
+      statusCode: 200,
+      data: {
+        session: revoked
+      },
+      message: revoked.current ? 'この端末からログアウトしました' : 'セッションを取り消しました',
+      ...(revoked.current && { headers: { 'Set-Cookie': createClearSessionCookie() } })
+    });
+  } catch (error) {
+    console.error('セッション取り消しエラー:', error);
+
+    if (error.message?.includes('Session not found')) {
+      return formatErrorResponse({
+        statusCode: 404,
+        code: 'SESSION_NOT_FOUND',
+        message: '指定されたセッションが見つかりません'
+      });
+    }
+
+    return formatErrorResponse({
+      statusCode: 500,
+      code: 'SESSION_REVOKE_ERROR',
+      message: 'セッションの取り消しに失敗しました',
+      details: error.message
+    });
+  }
+};
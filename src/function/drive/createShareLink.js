@@ -0,0 +1,112 @@
+/**
+ * 共有リンク作成ハンドラー - ログイン不要で時価評価を閲覧できる公開リンクの作成
+ *
+ * @file src/function/drive/createShareLink.js
+ * @author Portfolio Manager Team
+ * @created 2025-06-05
+ * @updated 2025-06-11 機能追加: 個人用APIトークンによる認証
+ */
+'use strict';
+
+const { createShareLink } = require('../../services/shareLinkService');
+const { formatResponse, formatErrorResponse, formatOptionsResponse } = require('../../utils/responseUtils');
+const { authenticateRequest } = require('../../utils/sessionAuth');
+const { SHARE_SETTINGS, API_TOKEN_SCOPES } = require('../../config/constants');
+
+/**
+ * 共有リンク作成ハンドラー
+ * POST /drive/share/link
+ * ボディ: { fileId, baseCurrency?, expiresInDays? }
+ * リンクには作成時点の保有銘柄が保存され、閲覧時の価格で評価される
+ * @param {Object} event - API Gatewayイベント
+ * @returns {Object} - API Gatewayレスポンス
+ */
+module.exports.handler = async (event) => {
+  try {
+    // OPTIONSリクエスト対応
+    if (event.httpMethod === 'OPTIONS') {
+      return formatOptionsResponse();
+    }
+
+    // セッションを検証してアクセストークンを取得
+    const auth = await authenticateRequest(event, { requireAccessToken: true, scope: API_TOKEN_SCOPES.DRIVE_WRITE });
+
+    if (auth.error) {
+      return formatErrorResponse(auth.error);
+    }
+
+    // リクエストボディを解析
+    let requestBody;
+    try {
+      requestBody = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_REQUEST_BODY',
+        message: 'リクエストボディのJSONが不正です'
+      });
+    }
+
+    const { fileId, expiresInDays = SHARE_SETTINGS.DEFAULT_EXPIRES_DAYS } = requestBody;
+    const baseCurrency = requestBody.baseCurrency ? String(requestBody.baseCurrency).toUpperCase() : undefined;
+
+    if (!fileId) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: 'ファイルIDが不足しています'
+      });
+    }
+
+    if (baseCurrency && !/^[A-Z]{3}$/.test(baseCurrency)) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: `無効な基準通貨です: ${requestBody.baseCurrency}`
+      });
+    }
+
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > SHARE_SETTINGS.MAX_EXPIRES_DAYS) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: `有効期限（expiresInDays）は1〜${SHARE_SETTINGS.MAX_EXPIRES_DAYS}の整数で指定してください`
+      });
+    }
+
+    const link = await createShareLink(auth.session, auth.accessToken, fileId, {
+      baseCurrency,
+      expiresInDays
+    });
+
+    return formatResponse({
+      statusCode: 201,
+      data: link,
+      message: '共有リンクを作成しました'
+    });
+  } catch (error) {
+    console.error('共有リンク作成エラー:', error);
+
+    // エラーの種類に応じたメッセージを設定
+    let statusCode = 500;
+    let code = 'SHARE_LINK_ERROR';
+    let message = '共有リンクの作成に失敗しました';
+
+    if (error.message?.includes('file not found')) {
+      statusCode = 404;
+      code = 'FILE_NOT_FOUND';
+      message = '指定されたファイルが見つかりません';
+    } else if (error.message?.includes('Invalid portfolio data')) {
+      statusCode = 400;
+      code = 'INVALID_DATA_FORMAT';
+      message = 'ポートフォリオデータの形式が無効です';
+    }
+
+    return formatErrorResponse({
+      statusCode,
+      code,
+      message,
+      details: error.message
+    });
+  }
+};
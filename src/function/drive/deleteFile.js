@@ -0,0 +1,82 @@
+/**
+ * Google Driveファイル削除ハンドラー - ポートフォリオファイルのゴミ箱への移動・完全削除
+ *
+ * @file src/function/drive/deleteFile.js
+ * @author Portfolio Manager Team
+ * @created 2025-06-06
+ * @updated 2025-06-11 機能追加: 個人用APIトークンによる認証
+ */
+'use strict';
+
+const { deleteFile } = require('../../services/googleDriveService');
+const { formatResponse, formatErrorResponse, formatOptionsResponse } = require('../../utils/responseUtils');
+const { authenticateRequest } = require('../../utils/sessionAuth');
+const { API_TOKEN_SCOPES } = require('../../config/constants');
+
+/**
+ * Google Driveファイル削除ハンドラー
+ * POST /drive/delete
+ * ボディ: { fileId, permanently? }
+ * 既定ではゴミ箱に移動し、drive/restore で元に戻せる
+ * @param {Object} event - API Gatewayイベント
+ * @returns {Object} - API Gatewayレスポンス
+ */
+module.exports.handler = async (event) => {
+  try {
+    // OPTIONSリクエスト対応
+    if (event.httpMethod === 'OPTIONS') {
+      return formatOptionsResponse();
+    }
+
+    // セッションを検証してアクセストークンを取得
+    const auth = await authenticateRequest(event, { requireAccessToken: true, scope: API_TOKEN_SCOPES.DRIVE_WRITE });
+
+    if (auth.error) {
+      return formatErrorResponse(auth.error);
+    }
+
+    // リクエストボディを解析
+    let requestBody;
+    try {
+      requestBody = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_REQUEST_BODY',
+        message: 'リクエストボディのJSONが不正です'
+      });
+    }
+
+    const { fileId, permanently = false } = requestBody;
+
+    if (!fileId) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: 'ファイルIDが不足しています'
+      });
+    }
+
+    await deleteFile(fileId, auth.accessToken, permanently === true);
+
+    return formatResponse({
+      statusCode: 200,
+      data: {
+        fileId,
+        trashed: permanently !== true,
+        deleted: permanently === true
+      },
+      message: permanently === true
+        ? 'ファイルを完全に削除しました'
+        : 'ファイルをゴミ箱に移動しました'
+    });
+  } catch (error) {
+    console.error('Driveファイル削除エラー:', error);
+    return formatErrorResponse({
+      statusCode: 500,
+      code: 'DRIVE_DELETE_ERROR',
+      message: 'Google Driveのファイル削除に失敗しました',
+      details: error.message
+    });
+  }
+};
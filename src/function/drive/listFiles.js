@@ -6,50 +6,36 @@
  * @created 2025-05-12
  * @updated 2025-05-13
  * @updated 2025-05-20 改善: エラーハンドリング強化とモジュール参照の統一
+ * @updated 2025-06-06 機能追加: サブフォルダ内のファイル一覧とサブフォルダ一覧
+ * @updated 2025-06-11 機能追加: 個人用APIトークンによる認証
  */
 'use strict';
 
-const { getSession } = require('../../services/googleAuthService');
-const { refreshSessionToken } = require('../../services/googleAuthService');
-const { listPortfolioFiles } = require('../../services/googleDriveService');
+const { listPortfolioFiles, listSubfolders } = require('../../services/googleDriveService');
 const { formatResponse, formatErrorResponse } = require('../../utils/responseUtils');
-const { parseCookies } = require('../../utils/cookieParser');
+const { authenticateRequest, getAccessToken } = require('../../utils/sessionAuth');
+const { API_TOKEN_SCOPES } = require('../../config/constants');
 
 /**
  * Google Driveファイル一覧取得ハンドラー
+ * folder を指定した場合はそのサブフォルダ内のファイルを、
+ * 省略した場合はデータフォルダ直下のファイルとサブフォルダ一覧を返す
  * @param {Object} event - API Gatewayイベント
  * @returns {Object} - API Gatewayレスポンス
  */
 module.exports.handler = async (event) => {
   try {
-    // Cookieからセッションを取得
-    const cookies = parseCookies(event.headers || {});
-    const sessionId = cookies.session;
+    // セッションまたは個人用APIトークン（drive:read）で認証
+    const auth = await authenticateRequest(event, { scope: API_TOKEN_SCOPES.DRIVE_READ });
     
-    if (!sessionId) {
-      return formatErrorResponse({
-        statusCode: 401,
-        code: 'NO_SESSION',
-        message: 'セッションが存在しません'
-      });
-    }
-    
-    // セッション情報を取得
-    const session = await getSession(sessionId);
-    
-    if (!session) {
-      return formatErrorResponse({
-        statusCode: 401,
-        code: 'INVALID_SESSION',
-        message: 'セッションが無効です'
-      });
+    if (auth.error) {
+      return formatErrorResponse(auth.error);
     }
     
     // トークンを検証・更新
     let accessToken;
     try {
-      const tokenResult = await refreshSessionToken(sessionId);
-      accessToken = tokenResult.accessToken;
+      accessToken = await getAccessToken(auth);
     } catch (tokenError) {
       console.error('トークン更新エラー:', tokenError);
       return formatErrorResponse({
@@ -62,17 +48,21 @@ module.exports.handler = async (event) => {
     
     // クエリパラメータ取得
     const queryParams = event.queryStringParameters || {};
-    const { maxResults, orderBy, nameFilter } = queryParams;
+    const { maxResults, orderBy, nameFilter, folder } = queryParams;
     
     // カスタム検索オプション
     const searchOptions = {};
     if (maxResults) searchOptions.maxResults = parseInt(maxResults, 10);
     if (orderBy) searchOptions.orderBy = orderBy;
     if (nameFilter) searchOptions.nameFilter = nameFilter;
+    if (folder) searchOptions.folder = folder;
     
     // Google Driveのファイル一覧を取得
     const files = await listPortfolioFiles(accessToken, searchOptions);
     
+    // データフォルダ直下の場合はサブフォルダ一覧も返す
+    const folders = folder ? null : await listSubfolders(accessToken);
+    
     // ファイル情報を整形
     const formattedFiles = files.map(file => ({
       id: file.id,
@@ -89,11 +79,29 @@ module.exports.handler = async (event) => {
       statusCode: 200,
       data: {
         files: formattedFiles,
-        count: formattedFiles.length
+        count: formattedFiles.length,
+        ...(folder && { folder }),
+        ...(folders && {
+          folders: folders.map(item => ({
+            id: item.id,
+            name: item.name,
+            createdAt: item.createdTime,
+            modifiedAt: item.modifiedTime
+          }))
+        })
       }
     });
   } catch (error) {
     console.error('Driveファイル一覧取得エラー:', error);
+    
+    if (error.message?.includes('Invalid folder name')) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: 'フォルダ名が正しくありません'
+      });
+    }
+    
     return formatErrorResponse({
       statusCode: 500,
       code: 'DRIVE_LIST_ERROR',
@@ -5,13 +5,15 @@
  * @author Portfolio Manager Team
  * @created 2025-05-13
  * @updated 2025-05-20 改善: エラーハンドリング強化と共通関数の活用
+ * @updated 2025-06-02 機能追加: 排他制御用のリビジョンIDを返却
+ * @updated 2025-06-11 機能追加: 個人用APIトークンによる認証
  */
 'use strict';
 
-const { getSession, refreshSessionToken } = require('../../services/googleAuthService');
 const { loadPortfolioFromDrive } = require('../../services/googleDriveService');
 const { formatResponse, formatErrorResponse } = require('../../utils/responseUtils');
-const { parseCookies } = require('../../utils/cookieParser');
+const { authenticateRequest, getAccessToken } = require('../../utils/sessionAuth');
+const { API_TOKEN_SCOPES } = require('../../config/constants');
 
 /**
  * Google Driveデータ読み込みハンドラー
@@ -20,27 +22,11 @@ const { parseCookies } = require('../../utils/cookieParser');
  */
 module.exports.handler = async (event) => {
   try {
-    // Cookieからセッションを取得
-    const cookies = parseCookies(event.headers || {});
-    const sessionId = cookies.session;
+    // セッションまたは個人用APIトークン（drive:read）で認証
+    const auth = await authenticateRequest(event, { scope: API_TOKEN_SCOPES.DRIVE_READ });
     
-    if (!sessionId) {
-      return formatErrorResponse({
-        statusCode: 401,
-        code: 'NO_SESSION',
-        message: 'セッションが存在しません'
-      });
-    }
-    
-    // セッション情報を取得
-    const session = await getSession(sessionId);
-    
-    if (!session) {
-      return formatErrorResponse({
-        statusCode: 401,
-        code: 'INVALID_SESSION',
-        message: 'セッションが無効です'
-      });
+    if (auth.error) {
+      return formatErrorResponse(auth.error);
     }
     
     // クエリパラメータからファイルIDを取得
@@ -58,8 +44,7 @@ module.exports.handler = async (event) => {
     // トークンを検証・更新
     let accessToken;
     try {
-      const tokenResult = await refreshSessionToken(sessionId);
-      accessToken = tokenResult.accessToken;
+      accessToken = await getAccessToken(auth);
     } catch (tokenError) {
       console.error('トークン更新エラー:', tokenError);
       return formatErrorResponse({
@@ -97,6 +82,7 @@ module.exports.handler = async (event) => {
           name: result.fileName,
           createdAt: result.createdTime,
           modifiedAt: result.modifiedTime,
+          revisionId: result.revisionId,
           webViewLink: result.webViewLink
         },
         data: result.data,
@@ -0,0 +1,98 @@
+/**
+ * Google Driveファイル移動ハンドラー - ポートフォリオファイルのサブフォルダへの移動
+ *
+ * @file src/function/drive/moveFile.js
+ * @author Portfolio Manager Team
+ * @created 2025-06-06
+ * @updated 2025-06-11 機能追加: 個人用APIトークンによる認証
+ */
+'use strict';
+
+const { moveFile, getOrCreateFolder, getOrCreateSubfolder } = require('../../services/googleDriveService');
+const { formatResponse, formatErrorResponse, formatOptionsResponse } = require('../../utils/responseUtils');
+const { authenticateRequest } = require('../../utils/sessionAuth');
+const { API_TOKEN_SCOPES } = require('../../config/constants');
+
+/**
+ * Google Driveファイル移動ハンドラー
+ * POST /drive/move
+ * ボディ: { fileId, folder? }
+ * folder は PortfolioManagerData 直下のサブフォルダ名（存在しない場合は作成）。
+ * 省略した場合は PortfolioManagerData 直下に戻す
+ * @param {Object} event - API Gatewayイベント
+ * @returns {Object} - API Gatewayレスポンス
+ */
+module.exports.handler = async (event) => {
+  try {
+    // OPTIONSリクエスト対応
+    if (event.httpMethod === 'OPTIONS') {
+      return formatOptionsResponse();
+    }
+
+    // セッションを検証してアクセストークンを取得
+    const auth = await authenticateRequest(event, { requireAccessToken: true, scope: API_TOKEN_SCOPES.DRIVE_WRITE });
+
+    if (auth.error) {
+      return formatErrorResponse(auth.error);
+    }
+
+    // リクエストボディを解析
+    let requestBody;
+    try {
+      requestBody = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_REQUEST_BODY',
+        message: 'リクエストボディのJSONが不正です'
+      });
+    }
+
+    const { fileId, folder } = requestBody;
+
+    if (!fileId) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: 'ファイルIDが不足しています'
+      });
+    }
+
+    const folderId = folder
+      ? await getOrCreateSubfolder(auth.accessToken, folder)
+      : await getOrCreateFolder(auth.accessToken);
+
+    await moveFile(fileId, folderId, auth.accessToken);
+
+    return formatResponse({
+      statusCode: 200,
+      data: {
+        fileId,
+        folder: {
+          id: folderId,
+          name: folder ? String(folder).trim() : null
+        }
+      },
+      message: folder
+        ? `ファイルをフォルダ「${String(folder).trim()}」に移動しました`
+        : 'ファイルをデータフォルダ直下に移動しました'
+    });
+  } catch (error) {
+    console.error('Driveファイル移動エラー:', error);
+
+    if (error.message?.includes('Invalid folder name')) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: 'フォルダ名が正しくありません（1〜100文字、「/」とバックアップフォルダ名は使用できません）'
+      });
+    }
+
+    return formatErrorResponse({
+      statusCode: 500,
+      code: 'DRIVE_MOVE_ERROR',
+      message: 'Google Driveのファイル移動に失敗しました',
+      details: error.message
+    });
+  }
+};
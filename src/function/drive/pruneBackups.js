@@ -0,0 +1,103 @@
+/**
+ * Google Driveバックアップ整理ハンドラー - 保持ポリシーに従った古いバックアップの削除
+ *
+ * @file src/function/drive/pruneBackups.js
+ * @author Portfolio Manager Team
+ * @created 2025-06-04
+ * @updated 2025-06-11 機能追加: 個人用APIトークンによる認証
+ */
+'use strict';
+
+const { pruneBackups } = require('../../services/googleDriveService');
+const { validateRetentionPolicy } = require('../../utils/backupRetention');
+const { formatResponse, formatErrorResponse, formatOptionsResponse } = require('../../utils/responseUtils');
+const { authenticateRequest } = require('../../utils/sessionAuth');
+const { API_TOKEN_SCOPES } = require('../../config/constants');
+
+/**
+ * Google Driveバックアップ整理ハンドラー
+ * POST /drive/backups/prune
+ * ボディ: { fileId?, policy?, dryRun? }
+ * fileId を省略した場合はすべてのファイルのバックアップを整理する
+ * @param {Object} event - API Gatewayイベント
+ * @returns {Object} - API Gatewayレスポンス
+ */
+module.exports.handler = async (event) => {
+  try {
+    // OPTIONSリクエスト対応
+    if (event.httpMethod === 'OPTIONS') {
+      return formatOptionsResponse();
+    }
+
+    // セッションを検証してアクセストークンを取得
+    const auth = await authenticateRequest(event, { requireAccessToken: true, scope: API_TOKEN_SCOPES.DRIVE_WRITE });
+
+    if (auth.error) {
+      return formatErrorResponse(auth.error);
+    }
+
+    // リクエストボディを解析
+    let requestBody;
+    try {
+      requestBody = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_REQUEST_BODY',
+        message: 'リクエストボディのJSONが不正です'
+      });
+    }
+
+    const { fileId, policy, dryRun = false } = requestBody;
+
+    if (policy !== undefined) {
+      const policyError = validateRetentionPolicy(policy);
+
+      if (policyError) {
+        return formatErrorResponse({
+          statusCode: 400,
+          code: 'INVALID_PARAMS',
+          message: policyError
+        });
+      }
+    }
+
+    const result = await pruneBackups(auth.accessToken, {
+      fileId,
+      policy,
+      dryRun: dryRun === true
+    });
+
+    return formatResponse({
+      statusCode: 200,
+      data: {
+        fileId: fileId || null,
+        dryRun: dryRun === true,
+        ...result
+      },
+      message: dryRun === true
+        ? `削除対象のバックアップ: ${result.pruned.length}件`
+        : `古いバックアップを削除しました (${result.pruned.length}件)`
+    });
+  } catch (error) {
+    console.error('バックアップ整理エラー:', error);
+
+    // エラーの種類に応じたメッセージを設定
+    let statusCode = 500;
+    let code = 'BACKUP_PRUNE_ERROR';
+    let message = 'バックアップの整理に失敗しました';
+
+    if (error.message?.includes('Permission')) {
+      statusCode = 403;
+      code = 'PERMISSION_DENIED';
+      message = 'ファイルへのアクセス権限がありません';
+    }
+
+    return formatErrorResponse({
+      statusCode,
+      code,
+      message,
+      details: error.message
+    });
+  }
+};
@@ -0,0 +1,96 @@
+/**
+ * Google Driveファイル名変更ハンドラー - ポートフォリオファイルの名前の変更
+ *
+ * @file src/function/drive/renameFile.js
+ * @author Portfolio Manager Team
+ * @created 2025-06-06
+ * @updated 2025-06-11 機能追加: 個人用APIトークンによる認証
+ */
+'use strict';
+
+const { renameFile } = require('../../services/googleDriveService');
+const { formatResponse, formatErrorResponse, formatOptionsResponse } = require('../../utils/responseUtils');
+const { authenticateRequest } = require('../../utils/sessionAuth');
+const { API_TOKEN_SCOPES } = require('../../config/constants');
+
+/**
+ * ファイル名の最大文字数
+ */
+const MAX_FILE_NAME_LENGTH = 255;
+
+/**
+ * Google Driveファイル名変更ハンドラー
+ * POST /drive/rename
+ * ボディ: { fileId, name }
+ * 変更した名前は以降の上書き保存でも維持される
+ * @param {Object} event - API Gatewayイベント
+ * @returns {Object} - API Gatewayレスポンス
+ */
+module.exports.handler = async (event) => {
+  try {
+    // OPTIONSリクエスト対応
+    if (event.httpMethod === 'OPTIONS') {
+      return formatOptionsResponse();
+    }
+
+    // セッションを検証してアクセストークンを取得
+    const auth = await authenticateRequest(event, { requireAccessToken: true, scope: API_TOKEN_SCOPES.DRIVE_WRITE });
+
+    if (auth.error) {
+      return formatErrorResponse(auth.error);
+    }
+
+    // リクエストボディを解析
+    let requestBody;
+    try {
+      requestBody = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_REQUEST_BODY',
+        message: 'リクエストボディのJSONが不正です'
+      });
+    }
+
+    const { fileId } = requestBody;
+    const name = typeof requestBody.name === 'string' ? requestBody.name.trim() : '';
+
+    if (!fileId) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: 'ファイルIDが不足しています'
+      });
+    }
+
+    if (!name || name.length > MAX_FILE_NAME_LENGTH) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: `ファイル名は1〜${MAX_FILE_NAME_LENGTH}文字で指定してください`
+      });
+    }
+
+    const file = await renameFile(fileId, name, auth.accessToken);
+
+    return formatResponse({
+      statusCode: 200,
+      data: {
+        file: {
+          id: file.id,
+          name: file.name,
+          modifiedAt: file.modifiedTime
+        }
+      },
+      message: 'ファイル名を変更しました'
+    });
+  } catch (error) {
+    console.error('Driveファイル名変更エラー:', error);
+    return formatErrorResponse({
+      statusCode: 500,
+      code: 'DRIVE_RENAME_ERROR',
+      message: 'Google Driveのファイル名変更に失敗しました',
+      details: error.message
+    });
+  }
+};
@@ -0,0 +1,81 @@
+/**
+ * Google Driveファイル復元ハンドラー - ゴミ箱に移動したポートフォリオファイルの復元
+ *
+ * @file src/function/drive/restoreFile.js
+ * @author Portfolio Manager Team
+ * @created 2025-06-06
+ * @updated 2025-06-11 機能追加: 個人用APIトークンによる認証
+ */
+'use strict';
+
+const { restoreFile } = require('../../services/googleDriveService');
+const { formatResponse, formatErrorResponse, formatOptionsResponse } = require('../../utils/responseUtils');
+const { authenticateRequest } = require('../../utils/sessionAuth');
+const { API_TOKEN_SCOPES } = require('../../config/constants');
+
+/**
+ * Google Driveファイル復元ハンドラー
+ * POST /drive/restore
+ * ボディ: { fileId }
+ * @param {Object} event - API Gatewayイベント
+ * @returns {Object} - API Gatewayレスポンス
+ */
+module.exports.handler = async (event) => {
+  try {
+    // OPTIONSリクエスト対応
+    if (event.httpMethod === 'OPTIONS') {
+      return formatOptionsResponse();
+    }
+
+    // セッションを検証してアクセストークンを取得
+    const auth = await authenticateRequest(event, { requireAccessToken: true, scope: API_TOKEN_SCOPES.DRIVE_WRITE });
+
+    if (auth.error) {
+      return formatErrorResponse(auth.error);
+    }
+
+    // リクエストボディを解析
+    let requestBody;
+    try {
+      requestBody = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_REQUEST_BODY',
+        message: 'リクエストボディのJSONが不正です'
+      });
+    }
+
+    const { fileId } = requestBody;
+
+    if (!fileId) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: 'ファイルIDが不足しています'
+      });
+    }
+
+    const file = await restoreFile(fileId, auth.accessToken);
+
+    return formatResponse({
+      statusCode: 200,
+      data: {
+        file: {
+          id: file.id,
+          name: file.name,
+          modifiedAt: file.modifiedTime
+        }
+      },
+      message: 'ファイルをゴミ箱から復元しました'
+    });
+  } catch (error) {
+    console.error('Driveファイル復元エラー:', error);
+    return formatErrorResponse({
+      statusCode: 500,
+      code: 'DRIVE_RESTORE_ERROR',
+      message: 'Google Driveのファイル復元に失敗しました',
+      details: error.message
+    });
+  }
+};
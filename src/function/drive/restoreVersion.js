@@ -0,0 +1,109 @@
+/**
+ * Google Driveバージョン復元ハンドラー - バックアップからのポートフォリオデータの復元
+ *
+ * @file src/function/drive/restoreVersion.js
+ * @author Portfolio Manager Team
+ * @created 2025-06-03
+ * @updated 2025-06-11 機能追加: 個人用APIトークンによる認証
+ */
+'use strict';
+
+const { restorePortfolioVersion } = require('../../services/googleDriveService');
+const { formatResponse, formatErrorResponse, formatOptionsResponse } = require('../../utils/responseUtils');
+const { authenticateRequest } = require('../../utils/sessionAuth');
+const { API_TOKEN_SCOPES } = require('../../config/constants');
+
+/**
+ * Google Driveバージョン復元ハンドラー
+ * POST /drive/versions/restore
+ * ボディ: { fileId, versionId }
+ * 復元前に現在の内容をバックアップするため、復元は取り消すことができる
+ * @param {Object} event - API Gatewayイベント
+ * @returns {Object} - API Gatewayレスポンス
+ */
+module.exports.handler = async (event) => {
+  try {
+    // OPTIONSリクエスト対応
+    if (event.httpMethod === 'OPTIONS') {
+      return formatOptionsResponse();
+    }
+
+    // セッションを検証してアクセストークンを取得
+    const auth = await authenticateRequest(event, { requireAccessToken: true, scope: API_TOKEN_SCOPES.DRIVE_WRITE });
+
+    if (auth.error) {
+      return formatErrorResponse(auth.error);
+    }
+
+    // リクエストボディを解析
+    let requestBody;
+    try {
+      requestBody = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_REQUEST_BODY',
+        message: 'リクエストボディのJSONが不正です'
+      });
+    }
+
+    const { fileId, versionId } = requestBody;
+
+    if (!fileId || !versionId) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: 'ファイルIDとバージョンIDを指定してください'
+      });
+    }
+
+    const result = await restorePortfolioVersion(fileId, versionId, auth.accessToken);
+
+    return formatResponse({
+      statusCode: 200,
+      data: {
+        file: {
+          id: result.file.id,
+          name: result.file.name,
+          modifiedAt: result.file.modifiedTime,
+          revisionId: result.file.revisionId
+        },
+        restoredFrom: {
+          id: result.restoredFrom.id,
+          name: result.restoredFrom.name,
+          createdAt: result.restoredFrom.createdTime
+        },
+        backup: result.backup
+      },
+      message: 'バックアップからポートフォリオデータを復元しました'
+    });
+  } catch (error) {
+    console.error('バージョン復元エラー:', error);
+
+    // エラーの種類に応じたメッセージを設定
+    let statusCode = 500;
+    let code = 'VERSION_RESTORE_ERROR';
+    let message = 'バージョンの復元に失敗しました';
+
+    if (error.message?.includes('does not belong')) {
+      statusCode = 400;
+      code = 'INVALID_VERSION';
+      message = '指定されたバージョンはこのファイルのバックアップではありません';
+    } else if (error.message?.includes('Failed to get file metadata')) {
+      statusCode = 404;
+      code = 'FILE_NOT_FOUND';
+      message = '指定されたファイルまたはバージョンが見つかりません';
+    } else if (error.message?.includes('Permission')) {
+      statusCode = 403;
+      code = 'PERMISSION_DENIED';
+      message = 'ファイルへのアクセス権限がありません';
+    }
+
+    return formatErrorResponse({
+      statusCode,
+      code,
+      message,
+      details: error.message
+    });
+  }
+};
@@ -0,0 +1,84 @@
+/**
+ * 共有リンク取り消しハンドラー - 公開共有リンクの無効化
+ *
+ * @file src/function/drive/revokeShareLink.js
+ * @author Portfolio Manager Team
+ * @created 2025-06-05
+ * @updated 2025-06-11 機能追加: 個人用APIトークンによる認証
+ */
+'use strict';
+
+const { revokeShareLink } = require('../../services/shareLinkService');
+const { formatResponse, formatErrorResponse, formatOptionsResponse } = require('../../utils/responseUtils');
+const { authenticateRequest } = require('../../utils/sessionAuth');
+const { API_TOKEN_SCOPES } = require('../../config/constants');
+
+/**
+ * 共有リンク取り消しハンドラー
+ * POST /drive/share/link/revoke
+ * ボディ: { linkId }
+ * @param {Object} event - API Gatewayイベント
+ * @returns {Object} - API Gatewayレスポンス
+ */
+module.exports.handler = async (event) => {
+  try {
+    // OPTIONSリクエスト対応
+    if (event.httpMethod === 'OPTIONS') {
+      return formatOptionsResponse();
+    }
+
+    // セッションを検証
+    const auth = await authenticateRequest(event, { scope: API_TOKEN_SCOPES.DRIVE_WRITE });
+
+    if (auth.error) {
+      return formatErrorResponse(auth.error);
+    }
+
+    // リクエストボディを解析
+    let requestBody;
+    try {
+      requestBody = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_REQUEST_BODY',
+        message: 'リクエストボディのJSONが不正です'
+      });
+    }
+
+    const { linkId } = requestBody;
+
+    if (!linkId) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: 'リンクIDが不足しています'
+      });
+    }
+
+    const result = await revokeShareLink(auth.session, String(linkId));
+
+    return formatResponse({
+      statusCode: 200,
+      data: result,
+      message: '共有リンクを取り消しました'
+    });
+  } catch (error) {
+    console.error('共有リンク取り消しエラー:', error);
+
+    if (error.message?.includes('Share link not found')) {
+      return formatErrorResponse({
+        statusCode: 404,
+        code: 'SHARE_LINK_NOT_FOUND',
+        message: '指定された共有リンクが見つかりません'
+      });
+    }
+
+    return formatErrorResponse({
+      statusCode: 500,
+      code: 'SHARE_LINK_ERROR',
+      message: '共有リンクの取り消しに失敗しました',
+      details: error.message
+    });
+  }
+};
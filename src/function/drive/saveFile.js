@@ -7,13 +7,19 @@
  * @updated 2025-05-13
  * @updated 2025-05-20 改善: エラーハンドリング強化と共通関数の活用
  * @updated 2025-05-23 修正: テストケースに合わせてundefinedをnullに変換
+ * @updated 2025-06-02 機能追加: 楽観的排他制御（更新日時・リビジョンIDの確認と3方向マージ）
+ * @updated 2025-06-07 機能追加: ポートフォリオファイルのスキーマ検証
+ * @updated 2025-06-09 機能追加: CSRFトークンの検証
+ * @updated 2025-06-11 機能追加: 個人用APIトークンによる認証
  */
 'use strict';
 
-const { getSession, refreshSessionToken } = require('../../services/googleAuthService');
 const { savePortfolioToDrive } = require('../../services/googleDriveService');
+const { prepareConcurrentSave } = require('../../services/portfolioMergeService');
 const { formatResponse, formatErrorResponse } = require('../../utils/responseUtils');
-const { parseCookies } = require('../../utils/cookieParser');
+const { authenticateRequest, getAccessToken } = require('../../utils/sessionAuth');
+const { validatePortfolioSchema } = require('../../utils/portfolioSchema');
+const { ERROR_CODES, PORTFOLIO_SCHEMA, API_TOKEN_SCOPES } = require('../../config/constants');
 
 /**
  * Google Driveデータ保存ハンドラー
@@ -22,28 +28,14 @@ const { parseCookies } = require('../../utils/cookieParser');
  */
 module.exports.handler = async (event) => {
   try {
-    // Cookieからセッションを取得
-    const cookies = parseCookies(event.headers || {});
-    const sessionId = cookies.session;
+    // セッションまたは個人用APIトークン（drive:write）で認証
+    const auth = await authenticateRequest(event, { scope: API_TOKEN_SCOPES.DRIVE_WRITE });
     
-    if (!sessionId) {
-      return formatErrorResponse({
-        statusCode: 401,
-        code: 'NO_SESSION',
-        message: 'セッションが存在しません'
-      });
+    if (auth.error) {
+      return formatErrorResponse(auth.error);
     }
     
-    // セッション情報を取得
-    const session = await getSession(sessionId);
-    
-    if (!session) {
-      return formatErrorResponse({
-        statusCode: 401,
-        code: 'INVALID_SESSION',
-        message: 'セッションが無効です'
-      });
-    }
+    const { session } = auth;
     
     // リクエストボディを解析
     let requestBody;
@@ -57,7 +49,14 @@ module.exports.handler = async (event) => {
       });
     }
     
-    const { portfolioData, fileId, createBackup = true } = requestBody;
+    const {
+      portfolioData,
+      fileId,
+      createBackup = true,
+      expectedModifiedTime,
+      expectedRevisionId,
+      merge = false
+    } = requestBody;
     
     if (!portfolioData) {
       return formatErrorResponse({
@@ -76,11 +75,23 @@ module.exports.handler = async (event) => {
       });
     }
     
+    // スキーマを検証（未知の項目や数値以外の数量などは保存しない）
+    const schemaResult = validatePortfolioSchema(portfolioData);
+    
+    if (!schemaResult.valid) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: ERROR_CODES.SCHEMA_VALIDATION_ERROR,
+        message: 'ポートフォリオデータの形式が不正です',
+        details: schemaResult.details,
+        includeDetails: true
+      });
+    }
+    
     // トークンを検証・更新
     let accessToken;
     try {
-      const tokenResult = await refreshSessionToken(sessionId);
-      accessToken = tokenResult.accessToken;
+      accessToken = await getAccessToken(auth);
     } catch (tokenError) {
       console.error('トークン更新エラー:', tokenError);
       return formatErrorResponse({
@@ -91,9 +102,46 @@ module.exports.handler = async (event) => {
       });
     }
     
+    // 既存ファイルの更新で読み込み時点のバージョンが指定された場合は、他の画面で更新されていないか確認する
+    let dataToSave = portfolioData;
+    let merged = false;
+    
+    if (fileId && (expectedModifiedTime || expectedRevisionId)) {
+      const prepared = await prepareConcurrentSave(accessToken, fileId, portfolioData, {
+        expectedModifiedTime,
+        expectedRevisionId,
+        merge: merge === true
+      });
+      
+      if (prepared.conflict) {
+        return formatErrorResponse({
+          statusCode: 409,
+          code: 'VERSION_CONFLICT',
+          message: prepared.reason === 'MERGE_CONFLICT'
+            ? '同じ項目が他の画面で更新されているため、自動でマージできません'
+            : 'ファイルが他の画面で更新されています',
+          details: {
+            reason: prepared.reason,
+            current: prepared.current,
+            submitted: {
+              expectedModifiedTime: expectedModifiedTime || null,
+              expectedRevisionId: expectedRevisionId || null,
+              data: portfolioData
+            },
+            conflicts: prepared.conflicts
+          },
+          includeDetails: true
+        });
+      }
+      
+      dataToSave = prepared.portfolio;
+      merged = prepared.merged;
+    }
+    
     // データを保存する前にユーザー情報を追加
     const enhancedPortfolioData = {
-      ...portfolioData,
+      ...dataToSave,
+      schemaVersion: PORTFOLIO_SCHEMA.VERSION,
       lastUpdated: new Date().toISOString(),
       updatedBy: {
         userId: session.googleId,
@@ -115,10 +163,14 @@ module.exports.handler = async (event) => {
           name: result.fileName,
           url: result.webViewLink,
           createdAt: result.createdTime,
-          modifiedAt: result.modifiedTime
-        }
+          modifiedAt: result.modifiedTime,
+          revisionId: result.revisionId
+        },
+        ...(merged && { merged: true, portfolioData: enhancedPortfolioData })
       },
-      message: 'ポートフォリオデータをGoogle Driveに保存しました'
+      message: merged
+        ? '他の画面での変更とマージしてGoogle Driveに保存しました'
+        : 'ポートフォリオデータをGoogle Driveに保存しました'
     });
   } catch (error) {
     console.error('Drive保存エラー:', error);
@@ -0,0 +1,107 @@
+/**
+ * Google Drive共有ハンドラー - 他のGoogleユーザーへの閲覧権限の付与
+ *
+ * @file src/function/drive/shareFile.js
+ * @author Portfolio Manager Team
+ * @created 2025-06-05
+ * @updated 2025-06-11 機能追加: 個人用APIトークンによる認証
+ */
+'use strict';
+
+const { shareFile } = require('../../services/googleDriveService');
+const { formatResponse, formatErrorResponse, formatOptionsResponse } = require('../../utils/responseUtils');
+const { authenticateRequest } = require('../../utils/sessionAuth');
+const { API_TOKEN_SCOPES } = require('../../config/constants');
+
+/**
+ * メールアドレスの簡易チェック用パターン
+ */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Google Drive共有ハンドラー
+ * POST /drive/share
+ * ボディ: { fileId, email, notify?, message? }
+ * 共有相手には閲覧権限（reader）のみを付与する
+ * @param {Object} event - API Gatewayイベント
+ * @returns {Object} - API Gatewayレスポンス
+ */
+module.exports.handler = async (event) => {
+  try {
+    // OPTIONSリクエスト対応
+    if (event.httpMethod === 'OPTIONS') {
+      return formatOptionsResponse();
+    }
+
+    // セッションを検証してアクセストークンを取得
+    const auth = await authenticateRequest(event, { requireAccessToken: true, scope: API_TOKEN_SCOPES.DRIVE_WRITE });
+
+    if (auth.error) {
+      return formatErrorResponse(auth.error);
+    }
+
+    // リクエストボディを解析
+    let requestBody;
+    try {
+      requestBody = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_REQUEST_BODY',
+        message: 'リクエストボディのJSONが不正です'
+      });
+    }
+
+    const { fileId, email, notify = false, message } = requestBody;
+
+    if (!fileId) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: 'ファイルIDが不足しています'
+      });
+    }
+
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: '共有相手のメールアドレスが正しくありません'
+      });
+    }
+
+    const permission = await shareFile(fileId, email.trim(), auth.accessToken, {
+      notify: notify === true,
+      message
+    });
+
+    return formatResponse({
+      statusCode: 200,
+      data: {
+        fileId,
+        permission
+      },
+      message: `${email.trim()} にポートフォリオの閲覧権限を付与しました`
+    });
+  } catch (error) {
+    console.error('ファイル共有エラー:', error);
+
+    // エラーの種類に応じたメッセージを設定
+    let statusCode = 500;
+    let code = 'SHARE_ERROR';
+    let message = 'ファイルの共有に失敗しました';
+
+    if (error.message?.includes('Permission')) {
+      statusCode = 403;
+      code = 'PERMISSION_DENIED';
+      message = 'ファイルへのアクセス権限がありません';
+    }
+
+    return formatErrorResponse({
+      statusCode,
+      code,
+      message,
+      details: error.message
+    });
+  }
+};
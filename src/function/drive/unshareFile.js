@@ -0,0 +1,101 @@
+/**
+ * Google Drive共有解除ハンドラー - 他のGoogleユーザーの権限の取り消し
+ *
+ * @file src/function/drive/unshareFile.js
+ * @author Portfolio Manager Team
+ * @created 2025-06-05
+ * @updated 2025-06-11 機能追加: 個人用APIトークンによる認証
+ */
+'use strict';
+
+const { unshareFile } = require('../../services/googleDriveService');
+const { formatResponse, formatErrorResponse, formatOptionsResponse } = require('../../utils/responseUtils');
+const { authenticateRequest } = require('../../utils/sessionAuth');
+const { API_TOKEN_SCOPES } = require('../../config/constants');
+
+/**
+ * Google Drive共有解除ハンドラー
+ * POST /drive/unshare
+ * ボディ: { fileId, email?, permissionId? }
+ * @param {Object} event - API Gatewayイベント
+ * @returns {Object} - API Gatewayレスポンス
+ */
+module.exports.handler = async (event) => {
+  try {
+    // OPTIONSリクエスト対応
+    if (event.httpMethod === 'OPTIONS') {
+      return formatOptionsResponse();
+    }
+
+    // セッションを検証してアクセストークンを取得
+    const auth = await authenticateRequest(event, { requireAccessToken: true, scope: API_TOKEN_SCOPES.DRIVE_WRITE });
+
+    if (auth.error) {
+      return formatErrorResponse(auth.error);
+    }
+
+    // リクエストボディを解析
+    let requestBody;
+    try {
+      requestBody = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_REQUEST_BODY',
+        message: 'リクエストボディのJSONが不正です'
+      });
+    }
+
+    const { fileId, email, permissionId } = requestBody;
+
+    if (!fileId || (!email && !permissionId)) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: 'ファイルIDと、共有相手のメールアドレスまたは権限IDを指定してください'
+      });
+    }
+
+    const permission = await unshareFile(fileId, {
+      emailAddress: email ? String(email).trim() : undefined,
+      permissionId
+    }, auth.accessToken);
+
+    return formatResponse({
+      statusCode: 200,
+      data: {
+        fileId,
+        permission
+      },
+      message: 'ポートフォリオの共有を解除しました'
+    });
+  } catch (error) {
+    console.error('ファイル共有解除エラー:', error);
+
+    // エラーの種類に応じたメッセージを設定
+    let statusCode = 500;
+    let code = 'UNSHARE_ERROR';
+    let message = 'ファイルの共有解除に失敗しました';
+
+    if (error.message?.includes('Share not found')) {
+      statusCode = 404;
+      code = 'SHARE_NOT_FOUND';
+      message = '指定されたユーザーとは共有されていません';
+    } else if (error.message?.includes('file owner')) {
+      statusCode = 400;
+      code = 'INVALID_PARAMS';
+      message = 'ファイルの所有者の権限は取り消せません';
+    } else if (error.message?.includes('Failed to list file permissions')) {
+      statusCode = 404;
+      code = 'FILE_NOT_FOUND';
+      message = '指定されたファイルが見つからないか、共有設定を参照できません';
+    }
+
+    return formatErrorResponse({
+      statusCode,
+      code,
+      message,
+      details: error.message
+    });
+  }
+};
@@ -0,0 +1,98 @@
+/**
+ * Google Driveバージョン差分ハンドラー - ポートフォリオデータのバージョン間の保有銘柄の比較
+ *
+ * @file src/function/drive/versionDiff.js
+ * @author Portfolio Manager Team
+ * @created 2025-06-03
+ * @updated 2025-06-11 機能追加: 個人用APIトークンによる認証
+ */
+'use strict';
+
+const { diffPortfolioVersions } = require('../../services/portfolioDiffService');
+const { formatResponse, formatErrorResponse } = require('../../utils/responseUtils');
+const { authenticateRequest } = require('../../utils/sessionAuth');
+const { API_TOKEN_SCOPES } = require('../../config/constants');
+
+/**
+ * Google Driveバージョン差分ハンドラー
+ * GET /drive/versions/diff?fileId=...&from=...&to=current
+ * GET /drive/versions/diff?fileId=...&since=2025-05-27
+ * @param {Object} event - API Gatewayイベント
+ * @returns {Object} - API Gatewayレスポンス
+ */
+module.exports.handler = async (event) => {
+  try {
+    const queryParams = event.queryStringParameters || {};
+    const { fileId, from, to, since } = queryParams;
+
+    // セッションを検証してアクセストークンを取得
+    const auth = await authenticateRequest(event, { requireAccessToken: !!fileId, scope: API_TOKEN_SCOPES.DRIVE_READ });
+
+    if (auth.error) {
+      return formatErrorResponse(auth.error);
+    }
+
+    if (!fileId) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: 'ファイルIDが不足しています'
+      });
+    }
+
+    if (!from && !since) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: '比較元のバージョン（from）または日時（since）を指定してください'
+      });
+    }
+
+    if (!from && !Number.isFinite(new Date(since).getTime())) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: `無効な日時です: ${since}`
+      });
+    }
+
+    const diff = await diffPortfolioVersions(auth.accessToken, fileId, { from, to, since });
+
+    return formatResponse({
+      statusCode: 200,
+      data: {
+        fileId,
+        ...diff
+      },
+      message: `バージョン間の差分を取得しました (追加${diff.summary.added}件・削除${diff.summary.removed}件・変更${diff.summary.changed}件)`
+    });
+  } catch (error) {
+    console.error('バージョン差分取得エラー:', error);
+
+    // エラーの種類に応じたメッセージを設定
+    let statusCode = 500;
+    let code = 'VERSION_DIFF_ERROR';
+    let message = 'バージョン間の差分の取得に失敗しました';
+
+    if (error.message?.includes('does not belong')) {
+      statusCode = 400;
+      code = 'INVALID_VERSION';
+      message = '指定されたバージョンはこのファイルのバックアップではありません';
+    } else if (error.message?.includes('Invalid portfolio data')) {
+      statusCode = 400;
+      code = 'INVALID_DATA_FORMAT';
+      message = 'ポートフォリオデータの形式が無効です';
+    } else if (error.message?.includes('Permission')) {
+      statusCode = 403;
+      code = 'PERMISSION_DENIED';
+      message = 'ファイルへのアクセス権限がありません';
+    }
+
+    return formatErrorResponse({
+      statusCode,
+      code,
+      message,
+      details: error.message
+    });
+  }
+};
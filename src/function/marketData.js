@@ -10,20 +10,130 @@
  * 
  * @author Portfolio Manager Team
  * @updated 2025-05-20
+ * @updated 2025-05-25 機能追加: 履歴データ（history）モード
+ * @updated 2025-05-26 機能追加: CSV・テキスト形式での出力（format パラメータ / Accept ヘッダー）
+ * @updated 2025-05-27 機能追加: バッチ取得エンドポイント（POST /api/market-data/batch）
+ * @updated 2025-06-11 機能追加: 個人用APIトークン（market-data:read）による認証
+ * @updated 2025-06-12 機能追加: セッション・APIトークン・IPアドレスごとの使用量制限とRetry-Afterの算出
+ * @updated 2025-06-13 機能追加: ETF・REIT（etf）のデータ取得
+ * @updated 2025-06-14 機能追加: 暗号資産（crypto）のデータ取得とUSD・JPY建ての指定
+ * @updated 2025-06-15 機能追加: 市場指数（index）のデータ取得と履歴データ
+ * @updated 2025-06-16 機能追加: 配当・株式分割（corporate-actionsモード）の取得
+ * @updated 2025-06-17 機能追加: 投資指標（fields=fundamentals）の取得
+ * @updated 2025-06-17 バグ修正: バッチ取得でデフォルト値（ダミーデータ）を成功として返さない
  */
 'use strict';
 
 const enhancedMarketDataService = require('../services/sources/enhancedMarketDataService');
+const historicalDataService = require('../services/sources/historicalData');
+const corporateActionsService = require('../services/sources/corporateActions');
+const fundamentalsService = require('../services/sources/fundamentals');
 const fallbackDataStore = require('../services/fallbackDataStore');
 const cacheService = require('../services/cache');
 const usageService = require('../services/usage');
 const alertService = require('../services/alerts');
-const { DATA_TYPES, CACHE_TIMES, ERROR_CODES, RESPONSE_FORMATS } = require('../config/constants');
+const { DATA_TYPES, CACHE_TIMES, ERROR_CODES, RESPONSE_FORMATS, HISTORY_SETTINGS, CORPORATE_ACTION_SETTINGS, FUNDAMENTALS_SETTINGS, CRYPTO_SETTINGS, MARKET_INDICES, API_TOKEN_SCOPES } = require('../config/constants');
 const { isBudgetCritical, getBudgetWarningMessage } = require('../utils/budgetCheck');
-const { formatResponse, formatErrorResponse, formatOptionsResponse, methodHandler } = require('../utils/responseUtils');
+const { formatResponse, formatErrorResponse, formatOptionsResponse, methodHandler, negotiateResponseFormat } = require('../utils/responseUtils');
+const {
+  QUOTE_COLUMNS,
+  HISTORY_COLUMNS,
+  CORPORATE_ACTION_COLUMNS,
+  toQuoteRows,
+  toHistoryRows,
+  toCorporateActionRows
+} = require('../utils/marketDataFormatter');
 const { handleError, errorTypes } = require('../utils/errorHandler');
+const { getBearerToken, authenticateApiToken } = require('../utils/sessionAuth');
+const { getClientInfo } = require('../utils/clientInfo');
+const { getDefaultCurrency, isJpListedCode, getMarketIndex } = require('../utils/symbolUtils');
+const { isDefaultData } = require('../utils/dataFetchWithFallback');
 const logger = require('../utils/logger');
 
+/**
+ * Authorization: Bearer ヘッダーの個人用APIトークンを検証する
+ * マーケットデータはトークンなしでも取得できるため、ヘッダーが無い場合は検証しない
+ * @param {Object} event - API Gatewayイベント
+ * @returns {Promise<Object>} { error, apiToken }（ヘッダーが無い場合はどちらもnull）
+ */
+const verifyOptionalApiToken = async (event) => {
+  if (!getBearerToken(event)) {
+    return { error: null, apiToken: null };
+  }
+
+  const auth = await authenticateApiToken(event, API_TOKEN_SCOPES.MARKET_DATA_READ);
+  return { error: auth.error || null, apiToken: auth.apiToken || null };
+};
+
+/**
+ * 使用量制限を超えた場合のエラーメッセージを作成する
+ * @param {Object} usageCheck - checkAndUpdateUsage の結果
+ * @returns {string} エラーメッセージ
+ */
+const getRateLimitMessage = (usageCheck) => {
+  const { usage, limitedBy } = usageCheck;
+  const client = limitedBy && usage.clients && usage.clients[limitedBy];
+
+  if (client) {
+    return `API usage limit exceeded for this ${limitedBy === 'token' ? 'API token' : limitedBy}. Daily limit: ${client.limit}`;
+  }
+
+  return `API usage limit exceeded. Daily limit: ${usage.daily.limit}, Monthly limit: ${usage.monthly.limit}`;
+};
+
+/**
+ * 配当・株式分割（corporate-actions）モードのリクエストかどうかを判定する
+ * @param {Object} params - リクエストパラメータ
+ * @returns {boolean} コーポレートアクションモードの場合はtrue
+ */
+const isCorporateActionsRequest = (params) => {
+  return Boolean(params && params.mode === 'corporate-actions');
+};
+
+/**
+ * 履歴データ（history）モードのリクエストかどうかを判定する
+ * mode=history が指定されているか、range パラメータが指定されている場合に履歴モードとする
+ * （corporate-actionsモードの range は取得期間として扱う）
+ * @param {Object} params - リクエストパラメータ
+ * @returns {boolean} 履歴モードの場合はtrue
+ */
+const isHistoryRequest = (params) => {
+  return Boolean(params && (params.mode === 'history' || (params.range && !isCorporateActionsRequest(params))));
+};
+
+/**
+ * fields パラメータを配列に変換する
+ * @param {Object} params - リクエストパラメータ
+ * @returns {Array<string>} 追加で取得する項目の配列
+ */
+const getRequestedFields = (params) => {
+  return String((params && params.fields) || '')
+    .split(',')
+    .map((field) => field.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+/**
+ * 投資指標（fields=fundamentals）を取得するリクエストかどうかを判定する
+ * @param {Object} params - リクエストパラメータ
+ * @returns {boolean} 投資指標を取得する場合はtrue
+ */
+const isFundamentalsRequest = (params) => {
+  return getRequestedFields(params).includes(FUNDAMENTALS_SETTINGS.FIELD);
+};
+
+/**
+ * 対応していない市場指数の識別子を取得する
+ * @param {Array<string>} symbols - 指数の識別子の配列
+ * @returns {Array<string>} 対応していない識別子の配列
+ */
+const getUnknownIndexSymbols = (symbols) => {
+  return symbols
+    .map((s) => String(s).trim())
+    .filter(Boolean)
+    .filter((symbol) => !getMarketIndex(symbol));
+};
+
 /**
  * リクエストパラメータを検証する
  * @param {Object} params - リクエストパラメータ
@@ -82,6 +192,95 @@ const validateParams = (params) => {
     }
   }
 
+  // 市場指数の識別子のチェック
+  if (params.type === DATA_TYPES.INDEX && params.symbols) {
+    getUnknownIndexSymbols(params.symbols.split(',')).forEach(symbol => {
+      result.isValid = false;
+      result.errors.push(`Invalid index: ${symbol}. Allowed values: ${Object.keys(MARKET_INDICES).join(', ')}`);
+    });
+  }
+
+  // 暗号資産の建値通貨のチェック
+  if (params.currency && !CRYPTO_SETTINGS.CURRENCIES.includes(String(params.currency).toUpperCase())) {
+    result.isValid = false;
+    result.errors.push(`Invalid currency: ${params.currency}. Allowed values: ${CRYPTO_SETTINGS.CURRENCIES.join(', ')}`);
+  }
+
+  // 出力形式のチェック
+  if (params.format && !Object.values(RESPONSE_FORMATS).includes(String(params.format).toLowerCase())) {
+    result.isValid = false;
+    result.errors.push(`Invalid format: ${params.format}. Allowed values: ${Object.values(RESPONSE_FORMATS).join(', ')}`);
+  }
+
+  // 履歴モード特有のパラメータのチェック
+  if (isHistoryRequest(params)) {
+    if (params.type === DATA_TYPES.CRYPTO) {
+      result.isValid = false;
+      result.errors.push(`History mode is not supported for type: ${params.type}`);
+    }
+
+    if (params.range && !HISTORY_SETTINGS.RANGES.includes(params.range)) {
+      result.isValid = false;
+      result.errors.push(`Invalid range: ${params.range}. Allowed values: ${HISTORY_SETTINGS.RANGES.join(', ')}`);
+    }
+
+    if (params.interval && !HISTORY_SETTINGS.INTERVALS.includes(params.interval)) {
+      result.isValid = false;
+      result.errors.push(`Invalid interval: ${params.interval}. Allowed values: ${HISTORY_SETTINGS.INTERVALS.join(', ')}`);
+    }
+
+    const historySymbols = (params.symbols || '').split(',').map((s) => s.trim()).filter(Boolean);
+    if (historySymbols.length > HISTORY_SETTINGS.MAX_SYMBOLS) {
+      result.isValid = false;
+      result.errors.push(`Too many symbols for history mode. Maximum ${HISTORY_SETTINGS.MAX_SYMBOLS} symbols allowed`);
+    }
+  }
+
+  // コーポレートアクションモード特有のパラメータのチェック
+  if (isCorporateActionsRequest(params)) {
+    if (!CORPORATE_ACTION_SETTINGS.DATA_TYPES.includes(params.type)) {
+      result.isValid = false;
+      result.errors.push(`Corporate actions mode is not supported for type: ${params.type}. Allowed values: ${CORPORATE_ACTION_SETTINGS.DATA_TYPES.join(', ')}`);
+    }
+
+    if (params.range && !CORPORATE_ACTION_SETTINGS.RANGES.includes(params.range)) {
+      result.isValid = false;
+      result.errors.push(`Invalid range: ${params.range}. Allowed values: ${CORPORATE_ACTION_SETTINGS.RANGES.join(', ')}`);
+    }
+
+    const actionSymbols = (params.symbols || '').split(',').map((s) => s.trim()).filter(Boolean);
+    if (actionSymbols.length > CORPORATE_ACTION_SETTINGS.MAX_SYMBOLS) {
+      result.isValid = false;
+      result.errors.push(`Too many symbols for corporate actions mode. Maximum ${CORPORATE_ACTION_SETTINGS.MAX_SYMBOLS} symbols allowed`);
+    }
+  }
+
+  // 追加で取得する項目（fields）のチェック
+  getRequestedFields(params)
+    .filter((field) => field !== FUNDAMENTALS_SETTINGS.FIELD)
+    .forEach((field) => {
+      result.isValid = false;
+      result.errors.push(`Invalid fields: ${field}. Allowed values: ${FUNDAMENTALS_SETTINGS.FIELD}`);
+    });
+
+  if (isFundamentalsRequest(params)) {
+    if (!FUNDAMENTALS_SETTINGS.DATA_TYPES.includes(params.type)) {
+      result.isValid = false;
+      result.errors.push(`Fundamentals are not supported for type: ${params.type}. Allowed values: ${FUNDAMENTALS_SETTINGS.DATA_TYPES.join(', ')}`);
+    }
+
+    if (isHistoryRequest(params) || isCorporateActionsRequest(params)) {
+      result.isValid = false;
+      result.errors.push('fields=fundamentals cannot be combined with history or corporate-actions mode');
+    }
+
+    const fundamentalSymbols = (params.symbols || '').split(',').map((s) => s.trim()).filter(Boolean);
+    if (fundamentalSymbols.length > FUNDAMENTALS_SETTINGS.MAX_SYMBOLS) {
+      result.isValid = false;
+      result.errors.push(`Too many symbols for fundamentals. Maximum ${FUNDAMENTALS_SETTINGS.MAX_SYMBOLS} symbols allowed`);
+    }
+  }
+
   return result;
 };
 
@@ -117,7 +316,7 @@ exports.handler = async (event, context) => {
     const type = params.type;
     const symbols = params.symbols ? params.symbols.split(',') : [];
     const refresh = params.refresh === 'true';
-    const userIp = event.headers?.['X-Forwarded-For'] || 'unknown';
+    const userIp = getClientInfo(event).ipAddress || 'unknown';
     const userAgent = event.headers?.['User-Agent'] || 'unknown';
     const sessionId = event.headers?.['Cookie']?.match(/session=([^;]+)/)?.[1];
     
@@ -133,6 +332,12 @@ exports.handler = async (event, context) => {
       });
     }
     
+    // 個人用APIトークンが指定された場合は検証する（トークンなしでも利用可能）
+    const tokenAuth = await verifyOptionalApiToken(event);
+    if (tokenAuth.error) {
+      return await formatErrorResponse(tokenAuth.error);
+    }
+    
     // 予算使用状況をチェック
     const budgetCritical = await isBudgetCritical();
 
@@ -158,16 +363,17 @@ exports.handler = async (event, context) => {
       dataType: type,
       ip: userIp,
       userAgent,
-      sessionId
+      sessionId,
+      apiTokenId: tokenAuth.apiToken ? tokenAuth.apiToken.tokenId : null
     });
     
     if (!usageCheck.allowed) {
       return await formatErrorResponse({
         statusCode: 429,
         code: ERROR_CODES.RATE_LIMIT_EXCEEDED, // テストに合わせてコード名を修正
-        message: `API usage limit exceeded. Daily limit: ${usageCheck.usage.daily.limit}, Monthly limit: ${usageCheck.usage.monthly.limit}`,
+        message: getRateLimitMessage(usageCheck),
         usage: usageCheck.usage,
-        retryAfter: 60 // テストが期待する値
+        retryAfter: usageCheck.retryAfter
       });
     }
 
@@ -192,43 +398,106 @@ exports.handler = async (event, context) => {
     let dataSource = 'API';
     let lastUpdated = new Date().toISOString();
     
-    // データタイプに応じた処理
-    switch (type) {
-      case DATA_TYPES.US_STOCK:
-        data = await getUsStockData(symbols, refresh, isTestEnvironment);
-        break;
+    // 履歴モードの場合は時系列データを取得
+    if (isHistoryRequest(params)) {
+      const historySymbols = type === DATA_TYPES.EXCHANGE_RATE && !params.symbols
+        ? [`${params.base}-${params.target}`]
+        : symbols.map((s) => s.trim()).filter(Boolean);
+      
+      data = await getHistoryData(type, historySymbols, {
+        range: params.range || HISTORY_SETTINGS.DEFAULT_RANGE,
+        interval: params.interval || HISTORY_SETTINGS.DEFAULT_INTERVAL
+      }, refresh, isTestEnvironment);
+    } else if (isCorporateActionsRequest(params)) {
+      // コーポレートアクションモードの場合は配当・株式分割を取得
+      data = await getCorporateActionsData(
+        type,
+        symbols.map((s) => s.trim()).filter(Boolean),
+        params.range || CORPORATE_ACTION_SETTINGS.DEFAULT_RANGE,
+        refresh,
+        isTestEnvironment
+      );
+    } else {
+      // データタイプに応じた処理
+      switch (type) {
+        case DATA_TYPES.US_STOCK:
+          data = await getUsStockData(symbols, refresh, isTestEnvironment);
+          break;
       
-      case DATA_TYPES.JP_STOCK:
-        data = await getJpStockData(symbols, refresh, isTestEnvironment);
-        break;
+        case DATA_TYPES.JP_STOCK:
+          data = await getJpStockData(symbols, refresh, isTestEnvironment);
+          break;
       
-      case DATA_TYPES.MUTUAL_FUND:
-        data = await getMutualFundData(symbols, refresh, isTestEnvironment);
-        break;
+        case DATA_TYPES.MUTUAL_FUND:
+          data = await getMutualFundData(symbols, refresh, isTestEnvironment);
+          break;
       
-      case DATA_TYPES.EXCHANGE_RATE:
-        const base = params.base || 'USD';
-        const target = params.target || 'JPY';
+        case DATA_TYPES.ETF:
+          data = await getEtfData(symbols, refresh, isTestEnvironment);
+          break;
+      
+        case DATA_TYPES.CRYPTO:
+          data = await getCryptoData(symbols, params.currency, refresh, isTestEnvironment);
+          break;
+      
+        case DATA_TYPES.INDEX:
+          data = await getIndexData(symbols, refresh, isTestEnvironment);
+          break;
+      
+        case DATA_TYPES.EXCHANGE_RATE:
+          const base = params.base || 'USD';
+          const target = params.target || 'JPY';
         
-        // 'symbols'パラメータがある場合は複数の為替レートを取得
-        if (params.symbols) {
-          const pairs = params.symbols.split(',');
-          data = await getMultipleExchangeRates(pairs, refresh, isTestEnvironment);
-        } else {
-          // 単一の通貨ペアのデータを取得
-          const rateData = await getExchangeRateData(base, target, refresh, isTestEnvironment);
-          data = rateData;
-        }
-        break;
+          // 'symbols'パラメータがある場合は複数の為替レートを取得
+          if (params.symbols) {
+            const pairs = params.symbols.split(',');
+            data = await getMultipleExchangeRates(pairs, refresh, isTestEnvironment);
+          } else {
+            // 単一の通貨ペアのデータを取得
+            const rateData = await getExchangeRateData(base, target, refresh, isTestEnvironment);
+            data = rateData;
+          }
+          break;
+      
+        default:
+          // 既にvalidateParamsで検証済みのため、ここに来ることは通常ない
+          throw new Error(`Unsupported data type: ${type}`);
+      }
       
-      default:
-        // 既にvalidateParamsで検証済みのため、ここに来ることは通常ない
-        throw new Error(`Unsupported data type: ${type}`);
+      // fields=fundamentals の場合は銘柄ごとに投資指標を追加
+      if (isFundamentalsRequest(params)) {
+        const fundamentals = await getFundamentalsData(
+          type,
+          symbols.map((s) => s.trim()).filter(Boolean),
+          refresh,
+          isTestEnvironment
+        );
+        data = withFundamentals(data, fundamentals);
+      }
     }
     
     // レスポンスの構築
     const processingTime = `${Date.now() - startTime}ms`;
     
+    // CSV・テキスト形式の場合はデータタイプ共通の列構成で返却
+    const format = negotiateResponseFormat(event);
+    if (format !== RESPONSE_FORMATS.JSON) {
+      if (isCorporateActionsRequest(params)) {
+        return await formatResponse({
+          format,
+          data: toCorporateActionRows(data, type),
+          columns: CORPORATE_ACTION_COLUMNS
+        });
+      }
+
+      const isHistory = isHistoryRequest(params);
+      return await formatResponse({
+        format,
+        data: isHistory ? toHistoryRows(data, type) : toQuoteRows(data, type),
+        columns: isHistory ? HISTORY_COLUMNS : QUOTE_COLUMNS
+      });
+    }
+    
     // テスト用のフックが指定されていたら呼び出し
     if (typeof event._formatResponse === 'function') {
       event._formatResponse({
@@ -505,153 +774,360 @@ const getMutualFundData = async (codes, refresh = false, isTest = false) => {
 };
 
 /**
- * 為替レートデータを取得する
- * @param {string} base - ベース通貨
- * @param {string} target - 対象通貨
+ * 複数銘柄のETF・REITデータを取得する
+ * @param {Array<string>} symbols - ティッカーシンボル・証券コードの配列
  * @param {boolean} refresh - キャッシュを無視するかどうか
  * @param {boolean} isTest - テスト環境かどうか
- * @returns {Promise<Object>} 為替レートデータ
+ * @returns {Promise<Object>} データオブジェクト
  */
-const getExchangeRateData = async (base, target, refresh = false, isTest = false) => {
-  logger.info(`Getting exchange rate data for ${base}/${target}. Refresh: ${refresh}. IsTest: ${isTest}`);
-  
-  const pair = `${base}-${target}`;
+const getEtfData = async (symbols, refresh = false, isTest = false) => {
+  logger.info(`Getting ETF data for ${symbols.length} symbols. Refresh: ${refresh}. IsTest: ${isTest}`);
   
-  // テスト環境の場合はモックデータを返す（より積極的にモックデータを返す）
+  // テスト環境の場合はモックデータを返す
   if (isTest) {
-    logger.info("Using test exchange rate data");
-    const dummyData = createTestExchangeRateData(base, target);
-    return { [pair]: dummyData };
+    logger.info("Using test ETF data");
+    return createTestEtfData(symbols);
   }
   
   try {
     // 強化版サービスで取得
-    const result = await enhancedMarketDataService.getExchangeRateData(base, target, refresh);
+    const result = await enhancedMarketDataService.getEtfsData(symbols, refresh);
     
-    // 取得結果が無効な場合はフォールバックを記録してダミーデータを返す
-    if (!result || result.error) {
-      logger.warn(`Invalid result from enhancedMarketDataService for exchange rate: ${pair}`);
-      await fallbackDataStore.recordFailedFetch(
-        pair,
-        DATA_TYPES.EXCHANGE_RATE,
-        result?.error || 'No data returned'
-      );
-      const dummyData = createDummyExchangeRateData(base, target);
-      return { [pair]: dummyData };
+    // レスポンスに結果が存在するか確認
+    if (!result || Object.keys(result).length === 0) {
+      logger.warn(`Empty result returned from enhancedMarketDataService for ETFs: ${symbols.join(',')}`);
+      return createDummyEtfData(symbols);
     }
     
-    return { [pair]: result };
+    // フォールバックデータの記録と検証
+    for (const symbol of symbols) {
+      if (!result[symbol] || result[symbol].error) {
+        // データが取得できなかった銘柄を記録
+        await fallbackDataStore.recordFailedFetch(
+          symbol,
+          DATA_TYPES.ETF,
+          result[symbol]?.error || 'No data returned'
+        );
+      }
+    }
+    
+    return result;
   } catch (error) {
-    logger.error(`Error getting exchange rate data: ${error.message}`);
+    logger.error(`Error getting ETF data: ${error.message}`);
     
     // エラー時はフォールバックデータを試みる
-    try {
-      const fallbackData = await fallbackDataStore.getFallbackForSymbol(pair, DATA_TYPES.EXCHANGE_RATE);
-      
-      if (fallbackData) {
-        return {
-          [pair]: {
+    const fallbackResults = {};
+    
+    for (const symbol of symbols) {
+      try {
+        const fallbackData = await fallbackDataStore.getFallbackForSymbol(symbol, DATA_TYPES.ETF);
+        
+        if (fallbackData) {
+          fallbackResults[symbol] = {
             ...fallbackData,
             source: 'Fallback Data',
             timestamp: new Date().toISOString()
-          }
-        };
-      } else {
-        // テスト期待値に合わせたダミーデータを返す
-        const dummyData = createDummyExchangeRateData(base, target);
-        return { [pair]: dummyData };
+          };
+        } else {
+          fallbackResults[symbol] = createDummyEtfSymbol(symbol);
+        }
+      } catch (fallbackError) {
+        logger.error(`Error getting fallback data for ${symbol}: ${fallbackError.message}`);
+        fallbackResults[symbol] = createDummyEtfSymbol(symbol);
       }
-    } catch (fallbackError) {
-      logger.error(`Error getting fallback data for ${pair}: ${fallbackError.message}`);
-      
-      // テスト期待値に合わせたダミーデータを返す
-      const dummyData = createDummyExchangeRateData(base, target);
-      return { [pair]: dummyData };
     }
+    
+    return fallbackResults;
   }
 };
 
 /**
- * 複数の通貨ペアの為替レートを取得する
- * @param {Array<string>} pairs - 通貨ペアの配列（"USD-JPY"形式）
+ * 複数銘柄の暗号資産データを取得する
+ * @param {Array<string>} symbols - シンボルの配列（例: ['BTC', 'ETH']）
+ * @param {string} [currency] - 建値通貨（'USD' または 'JPY'、省略時は 'USD'）
  * @param {boolean} refresh - キャッシュを無視するかどうか
  * @param {boolean} isTest - テスト環境かどうか
- * @returns {Promise<Object>} 為替レートデータ
+ * @returns {Promise<Object>} データオブジェクト
  */
-const getMultipleExchangeRates = async (pairs, refresh = false, isTest = false) => {
-  if (typeof pairs === 'string') {
-    pairs = pairs.split(',').map((p) => p.trim()).filter(Boolean);
-  }
-
-  // 入力バリデーション
-  if (!pairs || !Array.isArray(pairs) || pairs.length === 0) {
-    if (isTest) {
-      // テスト環境ではデフォルトペアを使用
-      pairs = ['USD-JPY', 'EUR-JPY', 'GBP-JPY', 'USD-EUR'];
-    } else {
-      throw new Error('Currency pairs array is required');
-    }
-  }
-
-  const pairDisplay = Array.isArray(pairs) ? pairs.join(', ') : '';
-  logger.info(`Getting multiple exchange rates for ${pairDisplay}. Refresh: ${refresh}. IsTest: ${isTest}`);
+const getCryptoData = async (symbols, currency, refresh = false, isTest = false) => {
+  const quoteCurrency = String(currency || CRYPTO_SETTINGS.DEFAULT_CURRENCY).toUpperCase();
+  logger.info(`Getting crypto data for ${symbols.length} symbols in ${quoteCurrency}. Refresh: ${refresh}. IsTest: ${isTest}`);
   
-  // テスト環境の場合はモックデータを返す（より積極的にモックデータを返す）
+  // テスト環境の場合はモックデータを返す
   if (isTest) {
-    logger.info("Using test multiple exchange rate data");
-
-    const result = {};
-    pairs.forEach(pair => {
-      const [base, target] = pair.split('-');
-      if (base && target) {
-        result[pair] = createTestExchangeRateData(base, target);
-      }
-    });
-
-    // 特定のテストケース用にデフォルトデータを追加
-    ['USD-JPY', 'EUR-JPY', 'GBP-JPY', 'USD-EUR'].forEach(pair => {
-      if (!result[pair]) {
-        const [base, target] = pair.split('-');
-        result[pair] = createTestExchangeRateData(base, target);
-      }
-    });
-
-    return result;
+    logger.info("Using test crypto data");
+    return createTestCryptoData(symbols, quoteCurrency);
   }
   
   try {
-    const results = {};
+    // 強化版サービスで取得
+    const result = await enhancedMarketDataService.getCryptosData(symbols, quoteCurrency, refresh);
     
-    // 各通貨ペアを順番に処理
-    for (const pair of pairs) {
-      const [base, target] = pair.split('-');
-      
-      if (!base || !target) {
-        results[pair] = {
-          error: 'Invalid currency pair format. Use BASE-TARGET format (e.g., USD-JPY)',
-          source: 'Error',
-          lastUpdated: new Date().toISOString()
-        };
-        continue;
-      }
-      
-      // 個別に為替レートを取得
-      try {
-        const rateData = await enhancedMarketDataService.getExchangeRateData(base, target, refresh);
-        results[pair] = rateData;
-      } catch (pairError) {
-        logger.error(`Error getting exchange rate for ${pair}: ${pairError.message}`);
-        
-        // エラー時はダミーデータを使用
-        results[pair] = createDummyExchangeRateData(base, target);
-      }
+    // レスポンスに結果が存在するか確認
+    if (!result || Object.keys(result).length === 0) {
+      logger.warn(`Empty result returned from enhancedMarketDataService for crypto: ${symbols.join(',')}`);
+      return createDummyCryptoData(symbols, quoteCurrency);
     }
     
-    // テスト期待値に合わせてエラーがない場合でもデータがないペアはダミーデータで補完
-    for (const pair of pairs) {
-      if (!results[pair]) {
-        const [base, target] = pair.split('-');
-        results[pair] = createDummyExchangeRateData(base, target);
+    // フォールバックデータの記録と検証
+    for (const symbol of symbols) {
+      if (!result[symbol] || result[symbol].error) {
+        // データが取得できなかった銘柄を記録
+        await fallbackDataStore.recordFailedFetch(
+          symbol,
+          DATA_TYPES.CRYPTO,
+          result[symbol]?.error || 'No data returned'
+        );
+      }
+    }
+    
+    return result;
+  } catch (error) {
+    logger.error(`Error getting crypto data: ${error.message}`);
+    
+    // エラー時はフォールバックデータを試みる
+    const fallbackResults = {};
+    
+    for (const symbol of symbols) {
+      try {
+        const fallbackData = await fallbackDataStore.getFallbackForSymbol(symbol, DATA_TYPES.CRYPTO);
+        
+        // 建値通貨が異なるフォールバックデータは使用しない
+        if (fallbackData && fallbackData.currency === quoteCurrency) {
+          fallbackResults[symbol] = {
+            ...fallbackData,
+            source: 'Fallback Data',
+            timestamp: new Date().toISOString()
+          };
+        } else {
+          fallbackResults[symbol] = createDummyCryptoSymbol(symbol, quoteCurrency);
+        }
+      } catch (fallbackError) {
+        logger.error(`Error getting fallback data for ${symbol}: ${fallbackError.message}`);
+        fallbackResults[symbol] = createDummyCryptoSymbol(symbol, quoteCurrency);
+      }
+    }
+    
+    return fallbackResults;
+  }
+};
+
+/**
+ * 複数の市場指数データを取得する
+ * @param {Array<string>} symbols - 指数の識別子の配列（例: ['N225', 'SPX']）
+ * @param {boolean} refresh - キャッシュを無視するかどうか
+ * @param {boolean} isTest - テスト環境かどうか
+ * @returns {Promise<Object>} データオブジェクト
+ */
+const getIndexData = async (symbols, refresh = false, isTest = false) => {
+  logger.info(`Getting index data for ${symbols.length} symbols. Refresh: ${refresh}. IsTest: ${isTest}`);
+  
+  // テスト環境の場合はモックデータを返す
+  if (isTest) {
+    logger.info("Using test index data");
+    return createTestIndexData(symbols);
+  }
+  
+  try {
+    // 強化版サービスで取得
+    const result = await enhancedMarketDataService.getIndicesData(symbols, refresh);
+    
+    // レスポンスに結果が存在するか確認
+    if (!result || Object.keys(result).length === 0) {
+      logger.warn(`Empty result returned from enhancedMarketDataService for indices: ${symbols.join(',')}`);
+      return createDummyIndexData(symbols);
+    }
+    
+    // フォールバックデータの記録と検証
+    for (const symbol of symbols) {
+      if (!result[symbol] || result[symbol].error) {
+        // データが取得できなかった指数を記録
+        await fallbackDataStore.recordFailedFetch(
+          symbol,
+          DATA_TYPES.INDEX,
+          result[symbol]?.error || 'No data returned'
+        );
+      }
+    }
+    
+    return result;
+  } catch (error) {
+    logger.error(`Error getting index data: ${error.message}`);
+    
+    // エラー時はフォールバックデータを試みる
+    const fallbackResults = {};
+    
+    for (const symbol of symbols) {
+      try {
+        const fallbackData = await fallbackDataStore.getFallbackForSymbol(symbol, DATA_TYPES.INDEX);
+        
+        if (fallbackData) {
+          fallbackResults[symbol] = {
+            ...fallbackData,
+            source: 'Fallback Data',
+            timestamp: new Date().toISOString()
+          };
+        } else {
+          fallbackResults[symbol] = createDummyIndexSymbol(symbol);
+        }
+      } catch (fallbackError) {
+        logger.error(`Error getting fallback data for ${symbol}: ${fallbackError.message}`);
+        fallbackResults[symbol] = createDummyIndexSymbol(symbol);
+      }
+    }
+    
+    return fallbackResults;
+  }
+};
+
+/**
+ * 為替レートデータを取得する
+ * @param {string} base - ベース通貨
+ * @param {string} target - 対象通貨
+ * @param {boolean} refresh - キャッシュを無視するかどうか
+ * @param {boolean} isTest - テスト環境かどうか
+ * @returns {Promise<Object>} 為替レートデータ
+ */
+const getExchangeRateData = async (base, target, refresh = false, isTest = false) => {
+  logger.info(`Getting exchange rate data for ${base}/${target}. Refresh: ${refresh}. IsTest: ${isTest}`);
+  
+  const pair = `${base}-${target}`;
+  
+  // テスト環境の場合はモックデータを返す（より積極的にモックデータを返す）
+  if (isTest) {
+    logger.info("Using test exchange rate data");
+    const dummyData = createTestExchangeRateData(base, target);
+    return { [pair]: dummyData };
+  }
+  
+  try {
+    // 強化版サービスで取得
+    const result = await enhancedMarketDataService.getExchangeRateData(base, target, refresh);
+    
+    // 取得結果が無効な場合はフォールバックを記録してダミーデータを返す
+    if (!result || result.error) {
+      logger.warn(`Invalid result from enhancedMarketDataService for exchange rate: ${pair}`);
+      await fallbackDataStore.recordFailedFetch(
+        pair,
+        DATA_TYPES.EXCHANGE_RATE,
+        result?.error || 'No data returned'
+      );
+      const dummyData = createDummyExchangeRateData(base, target);
+      return { [pair]: dummyData };
+    }
+    
+    return { [pair]: result };
+  } catch (error) {
+    logger.error(`Error getting exchange rate data: ${error.message}`);
+    
+    // エラー時はフォールバックデータを試みる
+    try {
+      const fallbackData = await fallbackDataStore.getFallbackForSymbol(pair, DATA_TYPES.EXCHANGE_RATE);
+      
+      if (fallbackData) {
+        return {
+          [pair]: {
+            ...fallbackData,
+            source: 'Fallback Data',
+            timestamp: new Date().toISOString()
+          }
+        };
+      } else {
+        // テスト期待値に合わせたダミーデータを返す
+        const dummyData = createDummyExchangeRateData(base, target);
+        return { [pair]: dummyData };
+      }
+    } catch (fallbackError) {
+      logger.error(`Error getting fallback data for ${pair}: ${fallbackError.message}`);
+      
+      // テスト期待値に合わせたダミーデータを返す
+      const dummyData = createDummyExchangeRateData(base, target);
+      return { [pair]: dummyData };
+    }
+  }
+};
+
+/**
+ * 複数の通貨ペアの為替レートを取得する
+ * @param {Array<string>} pairs - 通貨ペアの配列（"USD-JPY"形式）
+ * @param {boolean} refresh - キャッシュを無視するかどうか
+ * @param {boolean} isTest - テスト環境かどうか
+ * @returns {Promise<Object>} 為替レートデータ
+ */
+const getMultipleExchangeRates = async (pairs, refresh = false, isTest = false) => {
+  if (typeof pairs === 'string') {
+    pairs = pairs.split(',').map((p) => p.trim()).filter(Boolean);
+  }
+
+  // 入力バリデーション
+  if (!pairs || !Array.isArray(pairs) || pairs.length === 0) {
+    if (isTest) {
+      // テスト環境ではデフォルトペアを使用
+      pairs = ['USD-JPY', 'EUR-JPY', 'GBP-JPY', 'USD-EUR'];
+    } else {
+      throw new Error('Currency pairs array is required');
+    }
+  }
+
+  const pairDisplay = Array.isArray(pairs) ? pairs.join(', ') : '';
+  logger.info(`Getting multiple exchange rates for ${pairDisplay}. Refresh: ${refresh}. IsTest: ${isTest}`);
+  
+  // テスト環境の場合はモックデータを返す（より積極的にモックデータを返す）
+  if (isTest) {
+    logger.info("Using test multiple exchange rate data");
+
+    const result = {};
+    pairs.forEach(pair => {
+      const [base, target] = pair.split('-');
+      if (base && target) {
+        result[pair] = createTestExchangeRateData(base, target);
+      }
+    });
+
+    // 特定のテストケース用にデフォルトデータを追加
+    ['USD-JPY', 'EUR-JPY', 'GBP-JPY', 'USD-EUR'].forEach(pair => {
+      if (!result[pair]) {
+        const [base, target] = pair.split('-');
+        result[pair] = createTestExchangeRateData(base, target);
+      }
+    });
+
+    return result;
+  }
+  
+  try {
+    const results = {};
+    
+    // 各通貨ペアを順番に処理
+    for (const pair of pairs) {
+      const [base, target] = pair.split('-');
+      
+      if (!base || !target) {
+        results[pair] = {
+          error: 'Invalid currency pair format. Use BASE-TARGET format (e.g., USD-JPY)',
+          source: 'Error',
+          lastUpdated: new Date().toISOString()
+        };
+        continue;
+      }
+      
+      // 個別に為替レートを取得
+      try {
+        const rateData = await enhancedMarketDataService.getExchangeRateData(base, target, refresh);
+        results[pair] = rateData;
+      } catch (pairError) {
+        logger.error(`Error getting exchange rate for ${pair}: ${pairError.message}`);
+        
+        // エラー時はダミーデータを使用
+        results[pair] = createDummyExchangeRateData(base, target);
+      }
+    }
+    
+    // テスト期待値に合わせてエラーがない場合でもデータがないペアはダミーデータで補完
+    for (const pair of pairs) {
+      if (!results[pair]) {
+        const [base, target] = pair.split('-');
+        results[pair] = createDummyExchangeRateData(base, target);
       }
     }
     
@@ -672,21 +1148,366 @@ const getMultipleExchangeRates = async (pairs, refresh = false, isTest = false)
 };
 
 /**
- * 複合マーケットデータを取得する
- * 複数の種類のデータを一度に取得するAPIエンドポイント
+ * 複数銘柄の履歴データ（OHLCV）を取得する
+ * @param {string} type - データタイプ
+ * @param {Array<string>} symbols - シンボルの配列（為替レートは "USD-JPY" 形式）
+ * @param {Object} options - 取得オプション
+ * @param {string} options.range - 取得期間
+ * @param {string} options.interval - 足の間隔
+ * @param {boolean} refresh - キャッシュを無視するかどうか
+ * @param {boolean} isTest - テスト環境かどうか
+ * @returns {Promise<Object>} シンボルをキーとする履歴データ
+ */
+const getHistoryData = async (type, symbols, { range, interval }, refresh = false, isTest = false) => {
+  logger.info(`Getting ${type} history for ${symbols.join(', ')} (${range}/${interval}). Refresh: ${refresh}. IsTest: ${isTest}`);
+  
+  // テスト環境の場合はモックデータを返す
+  if (isTest) {
+    logger.info("Using test history data");
+    return createTestHistoryData(type, symbols, range, interval);
+  }
+  
+  return await historicalDataService.getHistoricalDataForSymbols({
+    dataType: type,
+    symbols,
+    range,
+    interval,
+    refresh
+  });
+};
+
+/**
+ * 複数銘柄の配当・株式分割（コーポレートアクション）を取得する
+ * @param {string} type - データタイプ（us-stock または jp-stock）
+ * @param {Array<string>} symbols - シンボルの配列
+ * @param {string} range - 取得期間
+ * @param {boolean} refresh - キャッシュを無視するかどうか
+ * @param {boolean} isTest - テスト環境かどうか
+ * @returns {Promise<Object>} シンボルをキーとするコーポレートアクション
+ */
+const getCorporateActionsData = async (type, symbols, range, refresh = false, isTest = false) => {
+  logger.info(`Getting ${type} corporate actions for ${symbols.join(', ')} (${range}). Refresh: ${refresh}. IsTest: ${isTest}`);
+  
+  // テスト環境の場合はモックデータを返す
+  if (isTest) {
+    logger.info("Using test corporate actions data");
+    return createTestCorporateActionsData(type, symbols, range);
+  }
+  
+  return await corporateActionsService.getCorporateActionsForSymbols({
+    dataType: type,
+    symbols,
+    range,
+    refresh
+  });
+};
+
+/**
+ * 複数銘柄の投資指標（PER・PBR・配当利回りなど）を取得する
+ * @param {string} type - データタイプ（us-stock または jp-stock）
+ * @param {Array<string>} symbols - シンボルの配列
+ * @param {boolean} refresh - キャッシュを無視するかどうか
+ * @param {boolean} isTest - テスト環境かどうか
+ * @returns {Promise<Object>} シンボルをキーとする投資指標
+ */
+const getFundamentalsData = async (type, symbols, refresh = false, isTest = false) => {
+  logger.info(`Getting ${type} fundamentals for ${symbols.join(', ')}. Refresh: ${refresh}. IsTest: ${isTest}`);
+  
+  // テスト環境の場合はモックデータを返す
+  if (isTest) {
+    logger.info("Using test fundamentals data");
+    return createTestFundamentalsData(type, symbols);
+  }
+  
+  return await fundamentalsService.getFundamentalsForSymbols({
+    dataType: type,
+    symbols,
+    refresh
+  });
+};
+
+/**
+ * 価格データの各銘柄に投資指標（fundamentals）を追加する
+ * @param {Object} data - シンボルをキーとする価格データ
+ * @param {Object} fundamentals - シンボルをキーとする投資指標
+ * @returns {Object} 投資指標を追加した価格データ
+ */
+const withFundamentals = (data, fundamentals) => {
+  const result = { ...data };
+  
+  Object.entries(fundamentals || {}).forEach(([symbol, item]) => {
+    if (result[symbol] && typeof result[symbol] === 'object') {
+      result[symbol] = { ...result[symbol], fundamentals: item };
+    }
+  });
+  
+  return result;
+};
+
+/**
+ * バッチリクエストで一度に指定できる銘柄数の上限
+ */
+const MAX_BATCH_SYMBOLS = 100;
+
+/**
+ * 旧形式のバッチリクエストで使用されていたキー
+ */
+const LEGACY_BATCH_KEYS = ['stocks', 'rates', 'mutualFunds'];
+
+/**
+ * バッチリクエストのボディからデータタイプ別のシンボルリストを抽出する
+ * DATA_TYPES の値をキーとする形式に加えて、旧形式（stocks.us / stocks.jp / rates / mutualFunds）にも対応する
+ * @param {Object} body - リクエストボディ
+ * @returns {Object} データタイプをキー、重複を除いたシンボル配列を値とするオブジェクト
+ */
+const normalizeBatchRequest = (body) => {
+  const lists = {};
+  
+  const addSymbols = (type, symbols) => {
+    if (!Array.isArray(symbols)) {
+      return;
+    }
+    const normalized = symbols.map((s) => String(s).trim()).filter(Boolean);
+    lists[type] = Array.from(new Set([...(lists[type] || []), ...normalized]));
+  };
+  
+  Object.values(DATA_TYPES).forEach(type => addSymbols(type, body[type]));
+  
+  // 旧形式
+  if (body.stocks) {
+    addSymbols(DATA_TYPES.US_STOCK, body.stocks.us);
+    addSymbols(DATA_TYPES.JP_STOCK, body.stocks.jp);
+  }
+  addSymbols(DATA_TYPES.EXCHANGE_RATE, body.rates);
+  addSymbols(DATA_TYPES.MUTUAL_FUND, body.mutualFunds);
+  
+  // 空のリストは除外
+  Object.keys(lists).forEach(type => {
+    if (lists[type].length === 0) {
+      delete lists[type];
+    }
+  });
+  
+  return lists;
+};
+
+/**
+ * バッチリクエストのボディを検証する
+ * @param {Object} body - リクエストボディ
+ * @returns {Object} 検証結果 { isValid, errors, lists }
+ */
+const validateBatchParams = (body) => {
+  const result = {
+    isValid: true,
+    errors: [],
+    lists: {}
+  };
+  
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    result.isValid = false;
+    result.errors.push('Request body must be a JSON object');
+    return result;
+  }
+  
+  const allowedKeys = [...Object.values(DATA_TYPES), ...LEGACY_BATCH_KEYS, 'refresh', 'currency'];
+  Object.keys(body).forEach(key => {
+    if (!allowedKeys.includes(key)) {
+      result.isValid = false;
+      result.errors.push(`Invalid type: ${key}. Allowed values: ${Object.values(DATA_TYPES).join(', ')}`);
+    } else if (Object.values(DATA_TYPES).includes(key) && !Array.isArray(body[key])) {
+      result.isValid = false;
+      result.errors.push(`Symbols for ${key} must be an array`);
+    }
+  });
+  
+  // 市場指数の識別子
+  if (Array.isArray(body[DATA_TYPES.INDEX])) {
+    getUnknownIndexSymbols(body[DATA_TYPES.INDEX]).forEach(symbol => {
+      result.isValid = false;
+      result.errors.push(`Invalid index: ${symbol}. Allowed values: ${Object.keys(MARKET_INDICES).join(', ')}`);
+    });
+  }
+  
+  // 暗号資産の建値通貨
+  if (body.currency !== undefined && !CRYPTO_SETTINGS.CURRENCIES.includes(String(body.currency).toUpperCase())) {
+    result.isValid = false;
+    result.errors.push(`Invalid currency: ${body.currency}. Allowed values: ${CRYPTO_SETTINGS.CURRENCIES.join(', ')}`);
+  }
+  
+  result.lists = normalizeBatchRequest(body);
+  const totalSymbols = Object.values(result.lists).reduce((sum, symbols) => sum + symbols.length, 0);
+  
+  if (totalSymbols === 0) {
+    result.isValid = false;
+    result.errors.push('At least one symbol must be specified');
+  } else if (totalSymbols > MAX_BATCH_SYMBOLS) {
+    result.isValid = false;
+    result.errors.push(`Too many symbols. Maximum ${MAX_BATCH_SYMBOLS} symbols allowed`);
+  }
+  
+  return result;
+};
+
+/**
+ * データタイプに応じた取得関数で複数銘柄のデータを取得する
+ * @param {string} type - データタイプ
+ * @param {Array<string>} symbols - シンボルの配列
+ * @param {boolean} refresh - キャッシュを無視するかどうか
+ * @param {boolean} isTest - テスト環境かどうか
+ * @param {Object} [options={}] - オプション
+ * @param {string} [options.currency] - 暗号資産の建値通貨
+ * @returns {Promise<Object>} シンボルをキーとするデータ
+ */
+const fetchDataByType = async (type, symbols, refresh, isTest, options = {}) => {
+  switch (type) {
+    case DATA_TYPES.US_STOCK:
+      return await getUsStockData(symbols, refresh, isTest);
+    case DATA_TYPES.JP_STOCK:
+      return await getJpStockData(symbols, refresh, isTest);
+    case DATA_TYPES.MUTUAL_FUND:
+      return await getMutualFundData(symbols, refresh, isTest);
+    case DATA_TYPES.ETF:
+      return await getEtfData(symbols, refresh, isTest);
+    case DATA_TYPES.CRYPTO:
+      return await getCryptoData(symbols, options.currency, refresh, isTest);
+    case DATA_TYPES.INDEX:
+      return await getIndexData(symbols, refresh, isTest);
+    case DATA_TYPES.EXCHANGE_RATE:
+      return await getMultipleExchangeRates(symbols, refresh, isTest);
+    default:
+      throw new Error(`Unsupported data type: ${type}`);
+  }
+};
+
+/**
+ * 銘柄ごとの取得結果エントリを作成する
+ * すべてのデータソースが失敗した場合のデフォルト値（ダミーデータ）は失敗として扱う
+ * @param {Object} item - 取得したデータ
+ * @returns {Object} { success: true, data } または { success: false, error }
+ */
+const createBatchEntry = (item) => {
+  if (!item) {
+    return {
+      success: false,
+      error: {
+        code: ERROR_CODES.SYMBOL_NOT_FOUND,
+        message: 'No data returned for symbol'
+      }
+    };
+  }
+  
+  if (item.error) {
+    return {
+      success: false,
+      error: {
+        code: ERROR_CODES.DATA_SOURCE_ERROR,
+        message: item.error
+      }
+    };
+  }
+  
+  if (isDefaultData(item)) {
+    return {
+      success: false,
+      error: {
+        code: ERROR_CODES.DATA_SOURCE_ERROR,
+        message: 'All data sources failed for symbol'
+      }
+    };
+  }
+  
+  return { success: true, data: item };
+};
+
+/**
+ * 複合マーケットデータを取得する（POST /api/market-data/batch）
+ * データタイプ別のシンボルリストを受け取り、銘柄ごとの成功・失敗を返す。
+ * 使用量は1リクエストとしてカウントする。
  * @param {Object} event - Lambda イベントオブジェクト
  * @param {Object} context - Lambda コンテキスト
- * @returns {Promise<Object>} 複合データオブジェクト
+ * @returns {Promise<Object>} APIレスポンス
  */
 exports.combinedDataHandler = async (event, context) => {
+  const startTime = Date.now();
+  
   try {
     // OPTIONSリクエスト対応
     if (event.httpMethod === 'OPTIONS') {
       return formatOptionsResponse();
     }
     
+    // POSTリクエスト以外はエラーを返す
+    if (event.httpMethod && event.httpMethod !== 'POST') {
+      return await formatErrorResponse({
+        statusCode: 405,
+        code: ERROR_CODES.METHOD_NOT_ALLOWED,
+        message: 'Method not allowed',
+        headers: { 'Allow': 'POST' }
+      });
+    }
+    
     // リクエストボディの解析
-    const body = JSON.parse(event.body || '{}');
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return await formatErrorResponse({
+        statusCode: 400,
+        code: ERROR_CODES.INVALID_JSON,
+        message: 'Request body must be valid JSON'
+      });
+    }
+    
+    // パラメータの検証
+    const validation = validateBatchParams(body);
+    if (!validation.isValid) {
+      return await formatErrorResponse({
+        statusCode: 400,
+        code: ERROR_CODES.INVALID_PARAMS,
+        message: `Invalid request parameters: ${validation.errors.join(', ')}`
+      });
+    }
+    
+    // 個人用APIトークンが指定された場合は検証する（トークンなしでも利用可能）
+    const tokenAuth = await verifyOptionalApiToken(event);
+    if (tokenAuth.error) {
+      return await formatErrorResponse(tokenAuth.error);
+    }
+    
+    const refresh = body.refresh === true;
+    const userIp = getClientInfo(event).ipAddress || 'unknown';
+    const userAgent = event.headers?.['User-Agent'] || 'unknown';
+    const sessionId = event.headers?.['Cookie']?.match(/session=([^;]+)/)?.[1];
+    
+    // 予算が臨界値に達していて、リフレッシュのリクエストの場合は拒否
+    if (refresh && await isBudgetCritical()) {
+      const warningMessage = await getBudgetWarningMessage();
+      return await formatErrorResponse({
+        statusCode: 403,
+        code: ERROR_CODES.BUDGET_LIMIT_EXCEEDED,
+        message: warningMessage || 'Free Tier budget usage is at critical level. Cache refresh is temporarily disabled to prevent additional charges.',
+        headers: { 'X-Budget-Warning': 'CRITICAL' }
+      });
+    }
+    
+    // 使用量制限のチェック（バッチ全体で1リクエストとしてカウント）
+    const usageCheck = await usageService.checkAndUpdateUsage({
+      dataType: 'batch',
+      ip: userIp,
+      userAgent,
+      sessionId,
+      apiTokenId: tokenAuth.apiToken ? tokenAuth.apiToken.tokenId : null
+    });
+    
+    if (!usageCheck.allowed) {
+      return await formatErrorResponse({
+        statusCode: 429,
+        code: ERROR_CODES.RATE_LIMIT_EXCEEDED,
+        message: getRateLimitMessage(usageCheck),
+        usage: usageCheck.usage,
+        retryAfter: usageCheck.retryAfter
+      });
+    }
     
     // テスト環境かどうか判定 - 修正: テスト環境の判定ロジックを統一
     const isTestContext = Boolean(context && context._isTestContext);
@@ -697,91 +1518,46 @@ exports.combinedDataHandler = async (event, context) => {
     // より広範囲なテスト環境検出
     const isTestEnvironment = isTestContext || isTestEvent || isTestEnv || isTestMode;
     
-    // 結果オブジェクト
-    const result = {
-      stocks: {},
-      rates: {},
-      mutualFunds: {}
-    };
-    
-    // 米国株データの取得
-    if (body.stocks && body.stocks.us && Array.isArray(body.stocks.us) && body.stocks.us.length > 0) {
-      result.stocks = { ...result.stocks, ...await getUsStockData(body.stocks.us, false, isTestEnvironment) };
-    }
-    
-    // 日本株データの取得
-    if (body.stocks && body.stocks.jp && Array.isArray(body.stocks.jp) && body.stocks.jp.length > 0) {
-      result.stocks = { ...result.stocks, ...await getJpStockData(body.stocks.jp, false, isTestEnvironment) };
-    }
-    
-    // 為替レートの取得
-    if (body.rates && Array.isArray(body.rates) && body.rates.length > 0) {
-      for (const rate of body.rates) {
-        const [base, target] = rate.split('-');
-        const rateData = await getExchangeRateData(base, target, false, isTestEnvironment);
-        result.rates = { ...result.rates, ...rateData };
-      }
-    }
-    
-    // 投資信託データの取得
-    if (body.mutualFunds && Array.isArray(body.mutualFunds) && body.mutualFunds.length > 0) {
-      result.mutualFunds = await getMutualFundData(body.mutualFunds, false, isTestEnvironment);
-    }
+    // データタイプごとに取得し、銘柄ごとの結果を構築
+    const results = {};
+    const summary = { requested: 0, succeeded: 0, failed: 0 };
     
-    // テスト環境またはデータが空の場合はダミーデータを返す（常にダミーデータを提供）
-    if (isTestEnvironment) {
-      logger.info("Providing test/dummy data for combined request");
-      
-      result.stocks = {
-        'AAPL': {
-          ticker: 'AAPL',
-          price: 190.5,
-          change: 2.3,
-          changePercent: 1.2,
-          currency: 'USD',
-          lastUpdated: new Date().toISOString()
-        },
-        '7203': {
-          ticker: '7203',
-          price: 2500,
-          change: 50,
-          changePercent: 2.0,
-          currency: 'JPY',
-          lastUpdated: new Date().toISOString()
-        }
-      };
+    for (const [type, symbols] of Object.entries(validation.lists)) {
+      results[type] = {};
       
-      result.rates = {
-        'USD-JPY': {
-          pair: 'USD-JPY',
-          rate: 148.5,
-          change: 0.5,
-          changePercent: 0.3,
-          base: 'USD',
-          target: 'JPY',
-          lastUpdated: new Date().toISOString()
-        }
-      };
+      let typeData = {};
+      let typeError = null;
+      try {
+        typeData = await fetchDataByType(type, symbols, refresh, isTestEnvironment, { currency: body.currency });
+      } catch (error) {
+        logger.error(`Error getting ${type} data in batch request: ${error.message}`);
+        typeError = error;
+      }
       
-      result.mutualFunds = {
-        '0131103C': {
-          ticker: '0131103C',
-          price: 12345,
-          change: 25,
-          changePercent: 0.2,
-          name: 'テスト投資信託',
-          currency: 'JPY',
-          isMutualFund: true,
-          lastUpdated: new Date().toISOString()
-        }
-      };
+      for (const symbol of symbols) {
+        const entry = typeError
+          ? { success: false, error: { code: ERROR_CODES.DATA_SOURCE_ERROR, message: typeError.message } }
+          : createBatchEntry(typeData && typeData[symbol]);
+        
+        results[type][symbol] = entry;
+        summary.requested++;
+        summary[entry.success ? 'succeeded' : 'failed']++;
+      }
     }
     
     // レスポンスの作成
     return await formatResponse({
-      data: result,
-      processingTime: '320ms',
-      cacheStatus: 'partial-hit'
+      data: {
+        results,
+        summary
+      },
+      source: 'API',
+      lastUpdated: new Date().toISOString(),
+      processingTime: `${Date.now() - startTime}ms`,
+      usage: {
+        daily: usageCheck.usage.daily,
+        monthly: usageCheck.usage.monthly
+      }
     });
   } catch (error) {
     logger.error('Error in combined data handler:', error);
@@ -957,6 +1733,100 @@ const createTestMutualFundData = (codes) => {
   return result;
 };
 
+const createTestEtfData = (symbols) => {
+  const result = {};
+  
+  // 空の配列が渡された場合、または無効な場合は標準的なテストデータを提供
+  if (!symbols || !Array.isArray(symbols) || symbols.length === 0) {
+    symbols = ['VTI', 'VOO', '1306', '1343'];
+  }
+  
+  // テスト期待値に合わせたデータ構造
+  symbols.forEach(symbol => {
+    const isJapanese = isJpListedCode(symbol);
+    result[symbol] = {
+      ticker: symbol,
+      price: isJapanese ? 2500 : 250,
+      change: isJapanese ? 20 : 2,
+      changePercent: 0.8,
+      name: getEtfName(symbol) || symbol,
+      currency: isJapanese ? 'JPY' : 'USD',
+      isStock: false,
+      isMutualFund: false,
+      isEtf: true,
+      nav: isJapanese ? 2490 : 249.5,
+      premiumDiscount: isJapanese ? 0.4 : 0.2,
+      distributionYield: isJapanese ? 1.8 : 1.4,
+      expenseRatio: isJapanese ? 0.066 : 0.03,
+      source: 'Test Data',
+      lastUpdated: new Date().toISOString()
+    };
+  });
+  
+  return result;
+};
+
+const createTestCryptoData = (symbols, currency) => {
+  const result = {};
+  
+  // 空の配列が渡された場合、または無効な場合は標準的なテストデータを提供
+  if (!symbols || !Array.isArray(symbols) || symbols.length === 0) {
+    symbols = ['BTC', 'ETH'];
+  }
+  
+  // テスト期待値に合わせたデータ構造（USD建ての価格を基準とする）
+  const rate = currency === 'JPY' ? 150 : 1;
+  symbols.forEach(symbol => {
+    const ticker = symbol.toUpperCase();
+    const usdPrice = ticker === 'BTC' ? 67000 : ticker === 'ETH' ? 3500 : 1;
+    result[symbol] = {
+      ticker,
+      price: usdPrice * rate,
+      change: usdPrice * rate * 0.01,
+      changePercent: 1.0,
+      name: getCryptoName(ticker) || ticker,
+      currency,
+      isStock: false,
+      isMutualFund: false,
+      isCrypto: true,
+      source: 'Test Data',
+      lastUpdated: new Date().toISOString()
+    };
+  });
+  
+  return result;
+};
+
+const createTestIndexData = (symbols) => {
+  const result = {};
+  
+  // 空の配列が渡された場合、または無効な場合は標準的なテストデータを提供
+  if (!symbols || !Array.isArray(symbols) || symbols.length === 0) {
+    symbols = ['N225', 'TOPIX', 'SPX'];
+  }
+  
+  // テスト期待値に合わせたデータ構造（指数ごとの目安の値を基準とする）
+  symbols.forEach(symbol => {
+    const index = getMarketIndex(symbol);
+    const price = index ? index.defaultValue : 100;
+    result[symbol] = {
+      ticker: index ? index.id : symbol,
+      price,
+      change: price * 0.005,
+      changePercent: 0.5,
+      name: index ? index.name : symbol,
+      currency: index ? index.currency : 'USD',
+      isStock: false,
+      isMutualFund: false,
+      isIndex: true,
+      source: 'Test Data',
+      lastUpdated: new Date().toISOString()
+    };
+  });
+  
+  return result;
+};
+
 const createTestExchangeRateData = (base, target) => {
   // パラメータが未指定の場合のデフォルト値
   base = base || 'USD';
@@ -978,6 +1848,88 @@ const createTestExchangeRateData = (base, target) => {
   };
 };
 
+const createTestHistoryData = (type, symbols, range, interval) => {
+  const result = {};
+  // テスト用に直近5本の日足を生成（基準時刻から1日ずつ遡る）
+  symbols.forEach(symbol => {
+    const bars = [];
+    for (let i = 4; i >= 0; i--) {
+      const close = 100 + (4 - i);
+      bars.push({
+        date: new Date(Date.now() - i * 86400000).toISOString().split('T')[0],
+        open: close - 0.5,
+        high: close + 1,
+        low: close - 1,
+        close,
+        volume: type === DATA_TYPES.EXCHANGE_RATE || type === DATA_TYPES.MUTUAL_FUND ? null : 1000000
+      });
+    }
+    
+    result[symbol] = {
+      symbol,
+      currency: type === DATA_TYPES.EXCHANGE_RATE ? (symbol.split('-')[1] || 'JPY') : getDefaultCurrency(type, symbol),
+      range,
+      interval,
+      bars,
+      source: 'Test Data',
+      lastUpdated: new Date().toISOString()
+    };
+  });
+  
+  return result;
+};
+
+const createTestCorporateActionsData = (type, symbols, range) => {
+  const result = {};
+  // テスト用に四半期配当2回と株式分割1回を生成
+  symbols.forEach(symbol => {
+    const isJp = type === DATA_TYPES.JP_STOCK;
+    
+    result[symbol] = {
+      symbol,
+      currency: getDefaultCurrency(type, symbol),
+      range,
+      dividends: [
+        { date: '2024-03-28', amount: isJp ? 30 : 0.24 },
+        { date: '2024-09-27', amount: isJp ? 35 : 0.25 }
+      ],
+      splits: [
+        { date: '2024-03-28', numerator: 5, denominator: 1, ratio: 5, splitRatio: '5:1' }
+      ],
+      source: 'Test Data',
+      lastUpdated: new Date().toISOString()
+    };
+  });
+  
+  return result;
+};
+
+const createTestFundamentalsData = (type, symbols) => {
+  const result = {};
+  // テスト用に一般的な大型株の水準の投資指標を生成
+  symbols.forEach(symbol => {
+    const isJp = type === DATA_TYPES.JP_STOCK;
+    
+    result[symbol] = {
+      symbol,
+      name: isJp ? (getCompanyNameJp(symbol) || `日本株 ${symbol}`) : (getCompanyName(symbol) || symbol),
+      per: isJp ? 10.5 : 28.4,
+      pbr: isJp ? 1.1 : 45.2,
+      dividendYield: isJp ? 2.8 : 0.5,
+      sector: isJp ? '輸送用機器' : 'Technology',
+      industry: isJp ? null : 'Consumer Electronics',
+      fiftyTwoWeekHigh: isJp ? 3891 : 199.62,
+      fiftyTwoWeekLow: isJp ? 2385 : 164.08,
+      marketCap: isJp ? 48000000000000 : 2900000000000,
+      currency: getDefaultCurrency(type, symbol),
+      source: 'Test Data',
+      lastUpdated: new Date().toISOString()
+    };
+  });
+  
+  return result;
+};
+
 /**
  * デフォルトの米国株モックデータを作成する
  * @param {Array<string>} symbols - シンボルの配列
@@ -1084,6 +2036,125 @@ const createDummyMutualFundSymbol = (code) => {
   };
 };
 
+/**
+ * デフォルトのETF・REITモックデータを作成する
+ * @param {Array<string>} symbols - ティッカーシンボル・証券コードの配列
+ * @returns {Object} モックデータ
+ */
+const createDummyEtfData = (symbols) => {
+  const result = {};
+  
+  symbols.forEach(symbol => {
+    result[symbol] = createDummyEtfSymbol(symbol);
+  });
+  
+  return result;
+};
+
+/**
+ * 個別のダミーETF・REITデータを作成する
+ * @param {string} symbol - ティッカーシンボルまたは証券コード
+ * @returns {Object} ダミーデータ
+ */
+const createDummyEtfSymbol = (symbol) => {
+  const isJapanese = isJpListedCode(symbol);
+  return {
+    ticker: symbol,
+    price: isJapanese ? 2000 : 100,
+    change: 0,
+    changePercent: 0,
+    name: getEtfName(symbol) || symbol,
+    currency: isJapanese ? 'JPY' : 'USD',
+    isStock: false,
+    isMutualFund: false,
+    isEtf: true,
+    nav: null,
+    premiumDiscount: null,
+    distributionYield: null,
+    expenseRatio: null,
+    source: 'Default Fallback',
+    lastUpdated: new Date().toISOString()
+  };
+};
+
+/**
+ * デフォルトの暗号資産モックデータを作成する
+ * @param {Array<string>} symbols - シンボルの配列
+ * @param {string} currency - 建値通貨
+ * @returns {Object} モックデータ
+ */
+const createDummyCryptoData = (symbols, currency) => {
+  const result = {};
+  
+  symbols.forEach(symbol => {
+    result[symbol] = createDummyCryptoSymbol(symbol, currency);
+  });
+  
+  return result;
+};
+
+/**
+ * 個別のダミー暗号資産データを作成する
+ * 価格の目安が無いため price は null とする
+ * @param {string} symbol - シンボル
+ * @param {string} [currency='USD'] - 建値通貨
+ * @returns {Object} ダミーデータ
+ */
+const createDummyCryptoSymbol = (symbol, currency = CRYPTO_SETTINGS.DEFAULT_CURRENCY) => {
+  const ticker = String(symbol).toUpperCase();
+  return {
+    ticker,
+    price: null,
+    change: 0,
+    changePercent: 0,
+    name: getCryptoName(ticker) || ticker,
+    currency,
+    isStock: false,
+    isMutualFund: false,
+    isCrypto: true,
+    source: 'Default Fallback',
+    lastUpdated: new Date().toISOString()
+  };
+};
+
+/**
+ * デフォルトの市場指数モックデータを作成する
+ * @param {Array<string>} symbols - 指数の識別子の配列
+ * @returns {Object} モックデータ
+ */
+const createDummyIndexData = (symbols) => {
+  const result = {};
+  
+  symbols.forEach(symbol => {
+    result[symbol] = createDummyIndexSymbol(symbol);
+  });
+  
+  return result;
+};
+
+/**
+ * 個別のダミー市場指数データを作成する
+ * 価格は指数ごとの目安の値（対応していない指数は null）とする
+ * @param {string} symbol - 指数の識別子
+ * @returns {Object} ダミーデータ
+ */
+const createDummyIndexSymbol = (symbol) => {
+  const index = getMarketIndex(symbol);
+  return {
+    ticker: index ? index.id : String(symbol).toUpperCase(),
+    price: index ? index.defaultValue : null,
+    change: 0,
+    changePercent: 0,
+    name: index ? index.name : String(symbol).toUpperCase(),
+    currency: index ? index.currency : 'USD',
+    isStock: false,
+    isMutualFund: false,
+    isIndex: true,
+    source: 'Default Fallback',
+    lastUpdated: new Date().toISOString()
+  };
+};
+
 /**
  * デフォルトの為替レートダミーデータを作成する
  * @param {string} base - ベース通貨
@@ -1150,12 +2221,57 @@ const getCompanyNameJp = (code) => {
   return companies[code] || null;
 };
 
+/**
+ * 主なETF・REITの名称を取得する
+ * @param {string} symbol - ティッカーシンボルまたは証券コード
+ * @returns {string|null} 名称または null
+ */
+const getEtfName = (symbol) => {
+  const etfs = {
+    'VTI': 'Vanguard Total Stock Market ETF',
+    'VOO': 'Vanguard S&P 500 ETF',
+    'VT': 'Vanguard Total World Stock ETF',
+    'QQQ': 'Invesco QQQ Trust',
+    '1306': 'NEXT FUNDS TOPIX連動型上場投信',
+    '1321': 'NEXT FUNDS 日経225連動型上場投信',
+    '1343': 'NEXT FUNDS 東証REIT指数連動型上場投信',
+    '8951': '日本ビルファンド投資法人'
+  };
+  
+  return etfs[symbol] || null;
+};
+
+/**
+ * 主な暗号資産の名称を取得する
+ * @param {string} ticker - シンボル（大文字）
+ * @returns {string|null} 名称または null
+ */
+const getCryptoName = (ticker) => {
+  const coins = {
+    'BTC': 'Bitcoin',
+    'ETH': 'Ethereum',
+    'XRP': 'XRP',
+    'SOL': 'Solana',
+    'DOGE': 'Dogecoin'
+  };
+  
+  return coins[ticker] || null;
+};
+
 // テストで利用するユーティリティ関数をエクスポート
 module.exports.validateParams = validateParams;
+module.exports.isHistoryRequest = isHistoryRequest;
+module.exports.isCorporateActionsRequest = isCorporateActionsRequest;
+module.exports.isFundamentalsRequest = isFundamentalsRequest;
+module.exports.withFundamentals = withFundamentals;
+module.exports.validateBatchParams = validateBatchParams;
 module.exports.getMultipleExchangeRates = getMultipleExchangeRates;
 module.exports.createDummyUsStockSymbol = createDummyUsStockSymbol;
 module.exports.createDummyJpStockSymbol = createDummyJpStockSymbol;
 module.exports.createDummyMutualFundSymbol = createDummyMutualFundSymbol;
+module.exports.createDummyEtfSymbol = createDummyEtfSymbol;
+module.exports.createDummyCryptoSymbol = createDummyCryptoSymbol;
+module.exports.createDummyIndexSymbol = createDummyIndexSymbol;
 module.exports.createDummyExchangeRateData = createDummyExchangeRateData;
 module.exports.createTestExchangeRateData = createTestExchangeRateData;
 
@@ -1166,6 +2282,9 @@ if (process.env.NODE_ENV === 'test') {
     getJpStockData,
     getMutualFundData,
     getExchangeRateData,
-    getMultipleExchangeRates
+    getMultipleExchangeRates,
+    getHistoryData,
+    getCorporateActionsData,
+    getFundamentalsData
   };
 }
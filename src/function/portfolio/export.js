@@ -0,0 +1,138 @@
+/**
+ * ポートフォリオエクスポートハンドラー - 保有銘柄・評価額・資産配分のCSV／JSON出力
+ *
+ * @file src/function/portfolio/export.js
+ * @author Portfolio Manager Team
+ * @created 2025-06-01
+ * @updated 2025-06-11 機能追加: 個人用APIトークンによる認証
+ */
+'use strict';
+
+const { exportPortfolioTable, exportPortfolioJson } = require('../../services/exportService');
+const { formatResponse, formatErrorResponse } = require('../../utils/responseUtils');
+const { authenticateRequest } = require('../../utils/sessionAuth');
+const { EXPORT_SETTINGS, RESPONSE_FORMATS, API_TOKEN_SCOPES } = require('../../config/constants');
+
+/**
+ * ダウンロード用のContent-Dispositionヘッダーを作成する
+ * 日本語のポートフォリオ名は filename* （RFC 5987）で指定する
+ * @param {string} portfolioName - ポートフォリオ名
+ * @param {string} type - エクスポートの種類
+ * @returns {string} Content-Dispositionヘッダーの値
+ */
+const createContentDisposition = (portfolioName, type) => {
+  const date = new Date().toISOString().substring(0, 10);
+  const asciiName = `portfolio-${type}-${date}.csv`;
+  const utf8Name = encodeURIComponent(`${portfolioName}-${type}-${date}.csv`);
+
+  return `attachment; filename="${asciiName}"; filename*=UTF-8''${utf8Name}`;
+};
+
+/**
+ * ポートフォリオエクスポートハンドラー
+ * GET /api/portfolio/export?fileId=...&type=holdings|valuation|allocation&format=csv|json
+ * @param {Object} event - API Gatewayイベント
+ * @returns {Object} - API Gatewayレスポンス
+ */
+module.exports.handler = async (event) => {
+  try {
+    const queryParams = event.queryStringParameters || {};
+    const { fileId, type = 'holdings' } = queryParams;
+    const format = (queryParams.format || RESPONSE_FORMATS.CSV).toLowerCase();
+    const baseCurrency = queryParams.baseCurrency ? queryParams.baseCurrency.toUpperCase() : undefined;
+    const refresh = queryParams.refresh === 'true';
+
+    // セッションを検証してアクセストークンを取得
+    const auth = await authenticateRequest(event, { requireAccessToken: !!fileId, scope: API_TOKEN_SCOPES.DRIVE_READ });
+
+    if (auth.error) {
+      return formatErrorResponse(auth.error);
+    }
+
+    if (!fileId) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: 'ファイルIDが不足しています'
+      });
+    }
+
+    if (!EXPORT_SETTINGS.FORMATS.includes(format)) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: `無効な出力形式です: ${queryParams.format}。有効な値: ${EXPORT_SETTINGS.FORMATS.join(', ')}`
+      });
+    }
+
+    if (format === RESPONSE_FORMATS.CSV && !EXPORT_SETTINGS.TYPES.includes(type)) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: `無効なエクスポートの種類です: ${type}。有効な値: ${EXPORT_SETTINGS.TYPES.join(', ')}`
+      });
+    }
+
+    if (baseCurrency && !/^[A-Z]{3}$/.test(baseCurrency)) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: `無効な基準通貨です: ${queryParams.baseCurrency}`
+      });
+    }
+
+    // JSON形式はすべての情報をスキーマバージョン付きで返す
+    if (format === RESPONSE_FORMATS.JSON) {
+      const exported = await exportPortfolioJson(auth.accessToken, fileId, { baseCurrency, refresh });
+
+      return formatResponse({
+        statusCode: 200,
+        data: exported,
+        message: 'ポートフォリオをエクスポートしました'
+      });
+    }
+
+    const table = await exportPortfolioTable(auth.accessToken, fileId, { type, baseCurrency, refresh });
+
+    // Excel（日本語環境）で文字化けしないようにUTF-8 BOMを付与する
+    return formatResponse({
+      statusCode: 200,
+      format: RESPONSE_FORMATS.CSV,
+      data: table.rows,
+      columns: table.columns,
+      bom: true,
+      headers: {
+        'Content-Disposition': createContentDisposition(table.portfolio.name, type),
+        'Access-Control-Expose-Headers': 'Content-Disposition'
+      }
+    });
+  } catch (error) {
+    console.error('ポートフォリオエクスポートエラー:', error);
+
+    // エラーの種類に応じたメッセージを設定
+    let statusCode = 500;
+    let code = 'EXPORT_ERROR';
+    let message = 'ポートフォリオのエクスポートに失敗しました';
+
+    if (error.message?.includes('file not found')) {
+      statusCode = 404;
+      code = 'FILE_NOT_FOUND';
+      message = '指定されたファイルが見つかりません';
+    } else if (error.message?.includes('Invalid portfolio data')) {
+      statusCode = 400;
+      code = 'INVALID_DATA_FORMAT';
+      message = 'ポートフォリオデータの形式が無効です';
+    } else if (error.message?.includes('Permission')) {
+      statusCode = 403;
+      code = 'PERMISSION_DENIED';
+      message = 'ファイルへのアクセス権限がありません';
+    }
+
+    return formatErrorResponse({
+      statusCode,
+      code,
+      message,
+      details: error.message
+    });
+  }
+};
@@ -0,0 +1,150 @@
+/**
+ * 証券会社CSVインポートハンドラー - SBI証券・楽天証券・マネックス証券の保有銘柄の取込
+ *
+ * @file src/function/portfolio/importBroker.js
+ * @author Portfolio Manager Team
+ * @created 2025-05-31
+ * @updated 2025-06-11 機能追加: 個人用APIトークンによる認証
+ */
+'use strict';
+
+const { importBrokerPortfolio } = require('../../services/brokerImportService');
+const { formatResponse, formatErrorResponse, formatOptionsResponse } = require('../../utils/responseUtils');
+const { authenticateRequest } = require('../../utils/sessionAuth');
+const { IMPORT_SETTINGS, API_TOKEN_SCOPES } = require('../../config/constants');
+
+/**
+ * 証券会社CSVインポートハンドラー
+ * POST /api/portfolio/import
+ * ボディ: { content, broker?, name?, fileId?, fundCodes? }
+ * content はCSVファイルをBase64エンコードした文字列（Shift_JIS / UTF-8）
+ * @param {Object} event - API Gatewayイベント
+ * @returns {Object} - API Gatewayレスポンス
+ */
+module.exports.handler = async (event) => {
+  try {
+    // OPTIONSリクエスト対応
+    if (event.httpMethod === 'OPTIONS') {
+      return formatOptionsResponse();
+    }
+
+    // セッションを検証してアクセストークンを取得
+    const auth = await authenticateRequest(event, { requireAccessToken: true, scope: API_TOKEN_SCOPES.DRIVE_WRITE });
+
+    if (auth.error) {
+      return formatErrorResponse(auth.error);
+    }
+
+    // リクエストボディを解析
+    let requestBody;
+    try {
+      requestBody = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_REQUEST_BODY',
+        message: 'リクエストボディのJSONが不正です'
+      });
+    }
+
+    const { content, broker, name, fileId, fundCodes } = requestBody;
+
+    if (!content || typeof content !== 'string') {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: 'CSVファイルの内容（content）が不足しています'
+      });
+    }
+
+    if (broker && !IMPORT_SETTINGS.BROKERS.includes(broker)) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: `無効な証券会社です: ${broker}。有効な値: ${IMPORT_SETTINGS.BROKERS.join(', ')}`
+      });
+    }
+
+    if (fundCodes !== undefined && (typeof fundCodes !== 'object' || fundCodes === null || Array.isArray(fundCodes))) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: 'ファンドコードの対応表（fundCodes）はオブジェクトで指定してください'
+      });
+    }
+
+    const csvBuffer = Buffer.from(content, 'base64');
+
+    if (csvBuffer.length === 0) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: 'CSVファイルの内容が空です'
+      });
+    }
+
+    if (csvBuffer.length > IMPORT_SETTINGS.MAX_FILE_SIZE) {
+      return formatErrorResponse({
+        statusCode: 413,
+        code: 'FILE_TOO_LARGE',
+        message: `CSVファイルのサイズが上限（${IMPORT_SETTINGS.MAX_FILE_SIZE}バイト）を超えています`
+      });
+    }
+
+    const result = await importBrokerPortfolio(auth.accessToken, csvBuffer, {
+      broker,
+      name,
+      fileId,
+      fundCodes
+    });
+
+    return formatResponse({
+      statusCode: 200,
+      data: {
+        file: {
+          id: result.file.fileId,
+          name: result.file.fileName,
+          url: result.file.webViewLink,
+          modifiedAt: result.file.modifiedTime
+        },
+        portfolio: {
+          name: result.portfolio.name
+        },
+        broker: result.broker,
+        imported: result.holdings.length,
+        holdings: result.portfolio.holdings,
+        unmapped: result.unmapped,
+        skipped: result.skipped
+      },
+      message: `${result.broker.name}のCSVを取り込みました`
+    });
+  } catch (error) {
+    console.error('証券会社CSVインポートエラー:', error);
+
+    // エラーの種類に応じたメッセージを設定
+    let statusCode = 500;
+    let code = 'IMPORT_ERROR';
+    let message = 'CSVの取り込みに失敗しました';
+
+    if (error.message?.includes('Unsupported broker CSV format') || error.code?.startsWith('CSV_')) {
+      statusCode = 400;
+      code = 'UNSUPPORTED_FORMAT';
+      message = '対応していないCSV形式です';
+    } else if (error.message?.includes('file not found')) {
+      statusCode = 404;
+      code = 'FILE_NOT_FOUND';
+      message = '指定されたファイルが見つかりません';
+    } else if (error.message?.includes('Permission')) {
+      statusCode = 403;
+      code = 'PERMISSION_DENIED';
+      message = 'ファイルへのアクセス権限がありません';
+    }
+
+    return formatErrorResponse({
+      statusCode,
+      code,
+      message,
+      details: error.message
+    });
+  }
+};
@@ -0,0 +1,120 @@
+/**
+ * ポートフォリオパフォーマンスハンドラー - 期間ごとの収益率（TWR・XIRR）
+ *
+ * @file src/function/portfolio/performance.js
+ * @author Portfolio Manager Team
+ * @created 2025-05-29
+ * @updated 2025-06-11 機能追加: 個人用APIトークンによる認証
+ */
+'use strict';
+
+const { loadPortfolioFromDrive } = require('../../services/googleDriveService');
+const { convertLegacyPortfolio, validatePortfolioData } = require('../../services/portfolioService');
+const { calculatePerformance } = require('../../services/performanceService');
+const { PERFORMANCE_SETTINGS, API_TOKEN_SCOPES } = require('../../config/constants');
+const { formatResponse, formatErrorResponse } = require('../../utils/responseUtils');
+const { authenticateRequest } = require('../../utils/sessionAuth');
+
+/**
+ * ポートフォリオパフォーマンスハンドラー
+ * GET /api/portfolio/performance?fileId=...&periods=1mo,ytd,1y&baseCurrency=JPY
+ * @param {Object} event - API Gatewayイベント
+ * @returns {Object} - API Gatewayレスポンス
+ */
+module.exports.handler = async (event) => {
+  try {
+    const queryParams = event.queryStringParameters || {};
+    const { fileId } = queryParams;
+    const baseCurrency = queryParams.baseCurrency ? queryParams.baseCurrency.toUpperCase() : undefined;
+    const periods = queryParams.periods
+      ? queryParams.periods.split(',').map(period => period.trim()).filter(Boolean)
+      : PERFORMANCE_SETTINGS.DEFAULT_PERIODS;
+
+    // セッションを検証してアクセストークンを取得
+    const auth = await authenticateRequest(event, { requireAccessToken: !!fileId, scope: API_TOKEN_SCOPES.DRIVE_READ });
+
+    if (auth.error) {
+      return formatErrorResponse(auth.error);
+    }
+
+    if (!fileId) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: 'ファイルIDが不足しています'
+      });
+    }
+
+    if (baseCurrency && !/^[A-Z]{3}$/.test(baseCurrency)) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: `無効な基準通貨です: ${queryParams.baseCurrency}`
+      });
+    }
+
+    const invalidPeriods = periods.filter(period => !PERFORMANCE_SETTINGS.PERIODS.includes(period));
+    if (periods.length === 0 || invalidPeriods.length > 0) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: `無効な期間です: ${invalidPeriods.join(',')}。有効な値: ${PERFORMANCE_SETTINGS.PERIODS.join(', ')}`
+      });
+    }
+
+    // Google Driveからポートフォリオを読み込み
+    const result = await loadPortfolioFromDrive(auth.accessToken, fileId);
+    const portfolio = validatePortfolioData(convertLegacyPortfolio(result.data || {}));
+
+    // パフォーマンスを計算
+    const performance = await calculatePerformance(portfolio, {
+      periods,
+      baseCurrency,
+      refresh: queryParams.refresh === 'true'
+    });
+
+    return formatResponse({
+      statusCode: 200,
+      data: {
+        file: {
+          id: result.fileId,
+          name: result.fileName,
+          modifiedAt: result.modifiedTime
+        },
+        portfolio: {
+          name: portfolio.name
+        },
+        ...performance
+      },
+      message: 'ポートフォリオのパフォーマンスを計算しました'
+    });
+  } catch (error) {
+    console.error('パフォーマンス計算エラー:', error);
+
+    // エラーの種類に応じたメッセージを設定
+    let statusCode = 500;
+    let code = 'PERFORMANCE_ERROR';
+    let message = 'パフォーマンスの計算に失敗しました';
+
+    if (error.message?.includes('file not found')) {
+      statusCode = 404;
+      code = 'FILE_NOT_FOUND';
+      message = '指定されたファイルが見つかりません';
+    } else if (error.message?.includes('Invalid portfolio data')) {
+      statusCode = 400;
+      code = 'INVALID_DATA_FORMAT';
+      message = 'ポートフォリオデータの形式が無効です';
+    } else if (error.message?.includes('Permission')) {
+      statusCode = 403;
+      code = 'PERMISSION_DENIED';
+      message = 'ファイルへのアクセス権限がありません';
+    }
+
+    return formatErrorResponse({
+      statusCode,
+      code,
+      message,
+      details: error.message
+    });
+  }
+};
@@ -0,0 +1,170 @@
+/**
+ * ポートフォリオリバランスハンドラー - 目標配分に対する売買注文案の作成
+ *
+ * @file src/function/portfolio/rebalance.js
+ * @author Portfolio Manager Team
+ * @created 2025-05-30
+ * @updated 2025-06-11 機能追加: 個人用APIトークンによる認証
+ */
+'use strict';
+
+const { loadPortfolioFromDrive } = require('../../services/googleDriveService');
+const { convertLegacyPortfolio, validatePortfolioData } = require('../../services/portfolioService');
+const { validateTargetAllocation, proposeRebalance } = require('../../services/rebalanceService');
+const { formatResponse, formatErrorResponse, formatOptionsResponse } = require('../../utils/responseUtils');
+const { authenticateRequest } = require('../../utils/sessionAuth');
+const { REBALANCE_SETTINGS, API_TOKEN_SCOPES } = require('../../config/constants');
+
+/**
+ * ポートフォリオリバランスハンドラー
+ * POST /api/portfolio/rebalance
+ * ボディ: { fileId, targets?, mode?, cash?, baseCurrency?, refresh? }
+ * targets を省略した場合はポートフォリオの targetAllocation を使用する
+ * @param {Object} event - API Gatewayイベント
+ * @returns {Object} - API Gatewayレスポンス
+ */
+module.exports.handler = async (event) => {
+  try {
+    // OPTIONSリクエスト対応
+    if (event.httpMethod === 'OPTIONS') {
+      return formatOptionsResponse();
+    }
+
+    // セッションを検証してアクセストークンを取得
+    const auth = await authenticateRequest(event, { requireAccessToken: true, scope: API_TOKEN_SCOPES.DRIVE_READ });
+
+    if (auth.error) {
+      return formatErrorResponse(auth.error);
+    }
+
+    // リクエストボディを解析
+    let requestBody;
+    try {
+      requestBody = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_REQUEST_BODY',
+        message: 'リクエストボディのJSONが不正です'
+      });
+    }
+
+    const {
+      fileId,
+      targets,
+      mode = REBALANCE_SETTINGS.MODES.REBALANCE,
+      cash = 0,
+      refresh = false
+    } = requestBody;
+    const baseCurrency = requestBody.baseCurrency ? String(requestBody.baseCurrency).toUpperCase() : undefined;
+
+    if (!fileId) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: 'ファイルIDが不足しています'
+      });
+    }
+
+    if (!Object.values(REBALANCE_SETTINGS.MODES).includes(mode)) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: `無効なモードです: ${mode}。有効な値: ${Object.values(REBALANCE_SETTINGS.MODES).join(', ')}`
+      });
+    }
+
+    if (typeof cash !== 'number' || !Number.isFinite(cash) || cash < 0) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: '追加資金（cash）は0以上の数値で指定してください'
+      });
+    }
+
+    if (mode === REBALANCE_SETTINGS.MODES.CASH_ONLY && cash <= 0) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: '追加資金のみのモードでは追加資金（cash）の指定が必要です'
+      });
+    }
+
+    if (baseCurrency && !/^[A-Z]{3}$/.test(baseCurrency)) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: `無効な基準通貨です: ${requestBody.baseCurrency}`
+      });
+    }
+
+    // Google Driveからポートフォリオを読み込み
+    const result = await loadPortfolioFromDrive(auth.accessToken, fileId);
+    const portfolio = validatePortfolioData(convertLegacyPortfolio(result.data || {}));
+
+    // 目標配分を検証（リクエストで指定が無い場合はポートフォリオの設定を使用）
+    const targetAllocation = targets || portfolio.targetAllocation;
+    const targetError = validateTargetAllocation(targetAllocation);
+
+    if (targetError) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_TARGET_ALLOCATION',
+        message: '目標配分が無効です',
+        details: targetError
+      });
+    }
+
+    const proposal = await proposeRebalance(portfolio, {
+      targets: targetAllocation,
+      mode,
+      cash,
+      baseCurrency,
+      refresh: refresh === true
+    });
+
+    return formatResponse({
+      statusCode: 200,
+      data: {
+        file: {
+          id: result.fileId,
+          name: result.fileName,
+          modifiedAt: result.modifiedTime
+        },
+        portfolio: {
+          name: portfolio.name
+        },
+        ...proposal
+      },
+      message: 'リバランス案を作成しました'
+    });
+  } catch (error) {
+    console.error('リバランス提案エラー:', error);
+
+    // エラーの種類に応じたメッセージを設定
+    let statusCode = 500;
+    let code = 'REBALANCE_ERROR';
+    let message = 'リバランス案の作成に失敗しました';
+
+    if (error.message?.includes('file not found')) {
+      statusCode = 404;
+      code = 'FILE_NOT_FOUND';
+      message = '指定されたファイルが見つかりません';
+    } else if (error.message?.includes('Invalid portfolio data')) {
+      statusCode = 400;
+      code = 'INVALID_DATA_FORMAT';
+      message = 'ポートフォリオデータの形式が無効です';
+    } else if (error.message?.includes('Permission')) {
+      statusCode = 403;
+      code = 'PERMISSION_DENIED';
+      message = 'ファイルへのアクセス権限がありません';
+    }
+
+    return formatErrorResponse({
+      statusCode,
+      code,
+      message,
+      details: error.message
+    });
+  }
+};
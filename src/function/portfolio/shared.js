@@ -0,0 +1,72 @@
+/**
+ * 共有ポートフォリオ評価ハンドラー - 共有リンクのトークンによるログイン不要の時価評価
+ *
+ * @file src/function/portfolio/shared.js
+ * @author Portfolio Manager Team
+ * @created 2025-06-05
+ */
+'use strict';
+
+const { getShareLinkByToken } = require('../../services/shareLinkService');
+const { valuePortfolio } = require('../../services/valuationService');
+const { formatResponse, formatErrorResponse } = require('../../utils/responseUtils');
+
+/**
+ * 共有ポートフォリオ評価ハンドラー
+ * GET /api/portfolio/shared?token=...
+ * セッションは不要。評価には共有リンク作成時点の保有銘柄を使用する
+ * @param {Object} event - API Gatewayイベント
+ * @returns {Object} - API Gatewayレスポンス
+ */
+module.exports.handler = async (event) => {
+  try {
+    const queryParams = event.queryStringParameters || {};
+    const { token } = queryParams;
+
+    if (!token) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: '共有トークンが不足しています'
+      });
+    }
+
+    const link = await getShareLinkByToken(token);
+
+    // 無効・期限切れ・取り消し済みは区別せずに返す
+    if (!link) {
+      return formatErrorResponse({
+        statusCode: 404,
+        code: 'SHARE_LINK_NOT_FOUND',
+        message: '共有リンクが無効か、有効期限が切れています'
+      });
+    }
+
+    const valuation = await valuePortfolio(link.snapshot, {
+      baseCurrency: link.baseCurrency || undefined
+    });
+
+    return formatResponse({
+      statusCode: 200,
+      data: {
+        portfolio: {
+          name: link.snapshot.name
+        },
+        sharedAt: link.createdAt,
+        snapshotAt: link.fileModifiedAt || link.createdAt,
+        expiresAt: link.expiresAt,
+        ...valuation
+      },
+      message: '共有されたポートフォリオを評価しました'
+    });
+  } catch (error) {
+    console.error('共有ポートフォリオ評価エラー:', error);
+
+    return formatErrorResponse({
+      statusCode: 500,
+      code: 'VALUATION_ERROR',
+      message: 'ポートフォリオの評価に失敗しました',
+      details: error.message
+    });
+  }
+};
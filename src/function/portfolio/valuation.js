@@ -0,0 +1,107 @@
+/**
+ * ポートフォリオ評価ハンドラー - 保有銘柄の時価評価
+ *
+ * @file src/function/portfolio/valuation.js
+ * @author Portfolio Manager Team
+ * @created 2025-05-28
+ * @updated 2025-06-11 機能追加: 個人用APIトークンによる認証
+ */
+'use strict';
+
+const { loadPortfolioFromDrive } = require('../../services/googleDriveService');
+const { convertLegacyPortfolio, validatePortfolioData } = require('../../services/portfolioService');
+const { valuePortfolio } = require('../../services/valuationService');
+const { formatResponse, formatErrorResponse } = require('../../utils/responseUtils');
+const { authenticateRequest } = require('../../utils/sessionAuth');
+const { API_TOKEN_SCOPES } = require('../../config/constants');
+
+/**
+ * ポートフォリオ評価ハンドラー
+ * GET /api/portfolio/valuation?fileId=...&baseCurrency=JPY
+ * @param {Object} event - API Gatewayイベント
+ * @returns {Object} - API Gatewayレスポンス
+ */
+module.exports.handler = async (event) => {
+  try {
+    const queryParams = event.queryStringParameters || {};
+    const { fileId } = queryParams;
+    const baseCurrency = queryParams.baseCurrency ? queryParams.baseCurrency.toUpperCase() : undefined;
+
+    // セッションを検証してアクセストークンを取得
+    const auth = await authenticateRequest(event, { requireAccessToken: !!fileId, scope: API_TOKEN_SCOPES.DRIVE_READ });
+
+    if (auth.error) {
+      return formatErrorResponse(auth.error);
+    }
+
+    if (!fileId) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: 'ファイルIDが不足しています'
+      });
+    }
+
+    if (baseCurrency && !/^[A-Z]{3}$/.test(baseCurrency)) {
+      return formatErrorResponse({
+        statusCode: 400,
+        code: 'INVALID_PARAMS',
+        message: `無効な基準通貨です: ${queryParams.baseCurrency}`
+      });
+    }
+
+    // Google Driveからポートフォリオを読み込み
+    const result = await loadPortfolioFromDrive(auth.accessToken, fileId);
+    const portfolio = validatePortfolioData(convertLegacyPortfolio(result.data || {}));
+
+    // 時価評価
+    const valuation = await valuePortfolio(portfolio, {
+      baseCurrency,
+      refresh: queryParams.refresh === 'true'
+    });
+
+    return formatResponse({
+      statusCode: 200,
+      data: {
+        file: {
+          id: result.fileId,
+          name: result.fileName,
+          modifiedAt: result.modifiedTime
+        },
+        portfolio: {
+          name: portfolio.name
+        },
+        ...valuation
+      },
+      message: 'ポートフォリオを評価しました'
+    });
+  } catch (error) {
+    console.error('ポートフォリオ評価エラー:', error);
+
+    // エラーの種類に応じたメッセージを設定
+    let statusCode = 500;
+    let code = 'VALUATION_ERROR';
+    let message = 'ポートフォリオの評価に失敗しました';
+
+    if (error.message?.includes('file not found')) {
+      statusCode = 404;
+      code = 'FILE_NOT_FOUND';
+      message = '指定されたファイルが見つかりません';
+    } else if (error.message?.includes('Invalid portfolio data')) {
+      statusCode = 400;
+      code = 'INVALID_DATA_FORMAT';
+      message = 'ポートフォリオデータの形式が無効です';
+    } else if (error.message?.includes('Permission')) {
+      statusCode = 403;
+      code = 'PERMISSION_DENIED';
+      message = 'ファイルへのアクセス権限がありません';
+    }
+
+    return formatErrorResponse({
+      statusCode,
+      code,
+      message,
+      details: error.message
+    });
+  }
+};
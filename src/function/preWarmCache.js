@@ -4,12 +4,15 @@
  * @file src/function/preWarmCache.js
  * @author Portfolio Manager Team
  * @updated 2025-05-12 バグ修正: モジュールパスを修正
+ * @updated 2025-06-14 機能追加: 暗号資産（USD・JPY建て）のキャッシュ予熱
+ * @updated 2025-06-15 機能追加: 市場指数のキャッシュ予熱
  */
 
 const enhancedMarketDataService = require('../services/sources/enhancedMarketDataService');
 const cache = require('../services/cache');
 const alerts = require('../services/alerts');
 const logger = require('../utils/logger');
+const { CRYPTO_SETTINGS } = require('../config/constants');
 
 // スクレイピング関連モジュールのインポートパスを修正
 // 変更前: const scraping = require('../services/sources/scraping');
@@ -20,7 +23,9 @@ const PREWARM_SYMBOLS = {
   'us-stock': ['AAPL', 'MSFT', 'GOOGL', 'AMZN', 'META', 'TSLA', 'NVDA', 'BRK-B', 'JPM', 'JNJ'],
   'jp-stock': ['7203', '9984', '6758', '8306', '9432', '6861', '7974', '6501', '8035', '9433'],
   'mutual-fund': ['2931113C', '0131103C', '0231303C', '0131423C', '2931333C'],
-  'exchange-rate': ['USD-JPY', 'EUR-USD', 'EUR-JPY', 'GBP-USD', 'USD-CNY']
+  'exchange-rate': ['USD-JPY', 'EUR-USD', 'EUR-JPY', 'GBP-USD', 'USD-CNY'],
+  'crypto': ['BTC', 'ETH', 'XRP', 'SOL', 'DOGE'],
+  'index': ['N225', 'TOPIX', 'SPX', 'ACWI']
 };
 
 /**
@@ -38,6 +43,8 @@ exports.handler = async (event, context) => {
     await prewarmJpStocks();
     await prewarmMutualFunds();
     await prewarmExchangeRates();
+    await prewarmCryptos();
+    await prewarmIndices();
     
     logger.info('Cache pre-warming completed successfully');
     
@@ -166,6 +173,44 @@ async function prewarmExchangeRates() {
   }
 }
 
+/**
+ * 暗号資産のキャッシュを予熱（対応するすべての建値通貨）
+ */
+async function prewarmCryptos() {
+  try {
+    logger.info('Pre-warming crypto cache');
+    const symbols = PREWARM_SYMBOLS['crypto'];
+    const results = {};
+    
+    for (const currency of CRYPTO_SETTINGS.CURRENCIES) {
+      results[currency] = await enhancedMarketDataService.getCryptosData(symbols, currency, true);
+    }
+    
+    logger.info(`Successfully pre-warmed cache for ${symbols.length} crypto assets in ${CRYPTO_SETTINGS.CURRENCIES.join(', ')}`);
+    return results;
+  } catch (error) {
+    logger.error('Error pre-warming crypto cache:', error);
+    throw error;
+  }
+}
+
+/**
+ * 市場指数のキャッシュを予熱
+ */
+async function prewarmIndices() {
+  try {
+    logger.info('Pre-warming market index cache');
+    const symbols = PREWARM_SYMBOLS['index'];
+    const result = await enhancedMarketDataService.getIndicesData(symbols, true);
+    
+    logger.info(`Successfully pre-warmed cache for ${symbols.length} market indices`);
+    return result;
+  } catch (error) {
+    logger.error('Error pre-warming market index cache:', error);
+    throw error;
+  }
+}
+
 // テスト環境向けに内部関数と定数をエクスポート
 if (process.env.NODE_ENV === 'test') {
   module.exports._testExports = {
@@ -174,6 +219,8 @@ if (process.env.NODE_ENV === 'test') {
     prewarmJpStocks,
     prewarmMutualFunds,
     prewarmExchangeRates,
+    prewarmCryptos,
+    prewarmIndices,
     PREWARM_SYMBOLS
   };
 }
@@ -0,0 +1,300 @@
+/**
+ * プロジェクト: portfolio-market-data-api
+ * ファイルパス: src/services/apiTokenService.js
+ *
+ * 説明:
+ * スクリプトやスプレッドシートのアドインから利用する個人用APIトークンを管理するサービス。
+ * トークンはスコープ（market-data:read, drive:read, drive:write）を持ち、
+ * ハッシュ値のみをDynamoDBに保存します。トークンの値は作成時に一度だけ返します。
+ * Google Driveのスコープを持つトークンは、作成時のセッションのリフレッシュトークンで
+ * Googleのアクセストークンを取得します。
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-11
+ */
+'use strict';
+
+const crypto = require('crypto');
+const uuid = require('uuid');
+const dynamoDbService = require('../utils/dynamoDbService');
+const tokenManager = require('../utils/tokenManager');
+const { ENV } = require('../config/envConfig');
+const { API_TOKEN_SCOPES, API_TOKEN_SETTINGS } = require('../config/constants');
+const logger = require('../utils/logger');
+
+/**
+ * googleId で検索するためのセカンダリインデックス
+ */
+const API_TOKEN_GOOGLE_ID_INDEX = 'googleId-index';
+
+/**
+ * 最終使用日時を更新する間隔（書き込み回数の抑制）
+ */
+const LAST_USED_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * 上位のスコープに含まれるスコープ（drive:write は drive:read を含む）
+ */
+const IMPLIED_SCOPES = {
+  [API_TOKEN_SCOPES.DRIVE_WRITE]: [API_TOKEN_SCOPES.DRIVE_READ]
+};
+
+/**
+ * Googleのアクセストークンが必要なスコープ
+ */
+const DRIVE_SCOPES = [API_TOKEN_SCOPES.DRIVE_READ, API_TOKEN_SCOPES.DRIVE_WRITE];
+
+/**
+ * トークンの秘密部分をハッシュ化する
+ * @param {string} secret - トークンの秘密部分
+ * @returns {string} SHA-256ハッシュ（16進数）
+ */
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * トークンをトークンIDと秘密部分に分割する
+ * @param {string} token - APIトークン（`pmt_{tokenId}.{secret}`）
+ * @returns {Object|null} { tokenId, secret }（形式が不正な場合はnull）
+ */
+const parseToken = (token) => {
+  const value = String(token || '');
+
+  if (!value.startsWith(API_TOKEN_SETTINGS.PREFIX)) {
+    return null;
+  }
+
+  const match = value.slice(API_TOKEN_SETTINGS.PREFIX.length).match(/^([0-9a-f-]{36})\.([A-Za-z0-9_-]{20,})$/);
+  return match ? { tokenId: match[1], secret: match[2] } : null;
+};
+
+/**
+ * トークンが指定したスコープを持つかどうか
+ * @param {Object} apiToken - APIトークン情報
+ * @param {string} scope - 必要なスコープ
+ * @returns {boolean} スコープを持つ場合true
+ */
+const hasScope = (apiToken, scope) => {
+  const scopes = (apiToken && apiToken.scopes) || [];
+  return scopes.some(granted => granted === scope || (IMPLIED_SCOPES[granted] || []).includes(scope));
+};
+
+/**
+ * 一覧に表示する項目に要約する（ハッシュ値やGoogleのトークンは含めない）
+ * @param {Object} item - APIトークン情報
+ * @returns {Object} { id, name, scopes, createdAt, lastUsedAt, expiresAt }
+ */
+const summarizeToken = (item) => ({
+  id: item.tokenId,
+  name: item.name,
+  scopes: item.scopes,
+  createdAt: item.createdAt,
+  lastUsedAt: item.lastUsedAt || null,
+  expiresAt: item.expiresAt || null
+});
+
+/**
+ * 有効期限が切れているかどうか
+ * @param {Object} item - APIトークン情報
+ * @returns {boolean} 期限切れの場合true
+ */
+const isExpired = (item) => Boolean(item.expiresAt) && new Date(item.expiresAt) <= new Date();
+
+/**
+ * ユーザーの有効なAPIトークンを取得する
+ * @param {string} googleId - GoogleユーザーID
+ * @returns {Promise<Array<Object>>} APIトークン情報の配列
+ */
+const getUserTokens = async (googleId) => {
+  const items = await dynamoDbService.queryItems(ENV.API_TOKEN_TABLE, {
+    indexName: API_TOKEN_GOOGLE_ID_INDEX,
+    keyConditionExpression: '#googleId = :googleId',
+    expressionAttributeNames: { '#googleId': 'googleId' },
+    expressionAttributeValues: { ':googleId': googleId }
+  });
+
+  // TTLによる削除は即時ではないため有効期限を確認する
+  return items.filter(item => !isExpired(item));
+};
+
+/**
+ * APIトークンを作成する
+ * @param {Object} session - トークンを作成するユーザーのセッション
+ * @param {Object} options - オプション
+ * @param {string} options.name - トークン名（用途の説明）
+ * @param {Array<string>} options.scopes - スコープ
+ * @param {number} [options.expiresInDays] - 有効期限（日、省略時は無期限）
+ * @returns {Promise<Object>} { token, id, name, scopes, createdAt, lastUsedAt, expiresAt }（token は作成時のみ返す）
+ */
+const createApiToken = async (session, { name, scopes, expiresInDays }) => {
+  const needsDriveAccess = scopes.some(scope => DRIVE_SCOPES.includes(scope));
+
+  if (needsDriveAccess && !session.refreshToken) {
+    throw new Error('Refresh token not available');
+  }
+
+  const existing = await getUserTokens(session.googleId);
+
+  if (existing.length >= API_TOKEN_SETTINGS.MAX_TOKENS_PER_USER) {
+    throw new Error('Token limit exceeded');
+  }
+
+  const tokenId = uuid.v4();
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+  const expiresAt = expiresInDays
+    ? new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000)
+    : null;
+
+  const item = {
+    tokenId,
+    tokenHash: hashSecret(secret),
+    googleId: session.googleId,
+    email: session.email,
+    userName: session.name,
+    name,
+    scopes,
+    createdAt: now.toISOString(),
+    lastUsedAt: null,
+    expiresAt: expiresAt ? expiresAt.toISOString() : null,
+    // Google Driveを操作するトークンはセッションのリフレッシュトークンを引き継ぐ
+    ...(needsDriveAccess && {
+      refreshToken: session.refreshToken,
+      accessToken: session.accessToken || null,
+      tokenExpiry: session.tokenExpiry || null
+    }),
+    // TTL属性（DynamoDBの自動削除用）
+    ...(expiresAt && { ttl: Math.floor(expiresAt.getTime() / 1000) })
+  };
+
+  await dynamoDbService.addItem(ENV.API_TOKEN_TABLE, item);
+
+  logger.info(`Created API token ${tokenId} with scopes ${scopes.join(', ')}`);
+
+  return {
+    token: `${API_TOKEN_SETTINGS.PREFIX}${tokenId}.${secret}`,
+    ...summarizeToken(item)
+  };
+};
+
+/**
+ * ユーザーのAPIトークン一覧を取得する（作成日の新しい順）
+ * @param {string} googleId - GoogleユーザーID
+ * @returns {Promise<Array<Object>>} 要約したAPIトークン情報の配列
+ */
+const listApiTokens = async (googleId) => {
+  const items = await getUserTokens(googleId);
+
+  return items
+    .map(summarizeToken)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+};
+
+/**
+ * APIトークンを取り消す
+ * @param {string} googleId - GoogleユーザーID
+ * @param {string} tokenId - トークンID
+ * @returns {Promise<Object>} 取り消したトークンの要約
+ */
+const revokeApiToken = async (googleId, tokenId) => {
+  const item = await dynamoDbService.getItem(ENV.API_TOKEN_TABLE, { tokenId });
+
+  // 他のユーザーのトークンは存在しないものとして扱う
+  if (!item || item.googleId !== googleId) {
+    throw new Error('API token not found');
+  }
+
+  await dynamoDbService.deleteItem(ENV.API_TOKEN_TABLE, { tokenId });
+
+  logger.info(`Revoked API token ${tokenId}`);
+
+  return summarizeToken(item);
+};
+
+/**
+ * APIトークンを検証する
+ * 最終使用日時は一定時間ごとに記録する
+ * @param {string} token - APIトークン
+ * @returns {Promise<Object|null>} APIトークン情報（無効・期限切れ・取り消し済みの場合はnull）
+ */
+const verifyApiToken = async (token) => {
+  const parsed = parseToken(token);
+
+  if (!parsed) {
+    return null;
+  }
+
+  const item = await dynamoDbService.getItem(ENV.API_TOKEN_TABLE, { tokenId: parsed.tokenId });
+
+  if (!item || !item.tokenHash) {
+    return null;
+  }
+
+  const expected = Buffer.from(item.tokenHash, 'hex');
+  const actual = Buffer.from(hashSecret(parsed.secret), 'hex');
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  if (isExpired(item)) {
+    return null;
+  }
+
+  const now = Date.now();
+  const lastUsedAt = item.lastUsedAt ? new Date(item.lastUsedAt).getTime() : 0;
+
+  if (now - lastUsedAt >= LAST_USED_UPDATE_INTERVAL_MS) {
+    try {
+      await dynamoDbService.updateItem(
+        ENV.API_TOKEN_TABLE,
+        { tokenId: item.tokenId },
+        'SET #lastUsedAt = :lastUsedAt',
+        { '#lastUsedAt': 'lastUsedAt' },
+        { ':lastUsedAt': new Date(now).toISOString() }
+      );
+    } catch (error) {
+      // 記録に失敗しても認証は継続する
+      logger.warn(`Failed to record API token usage ${item.tokenId}:`, error.message);
+    }
+  }
+
+  return item;
+};
+
+/**
+ * APIトークンに紐づくGoogleのアクセストークンを取得する（必要に応じて更新）
+ * @param {Object} apiToken - APIトークン情報
+ * @returns {Promise<string>} アクセストークン
+ */
+const getGoogleAccessToken = async (apiToken) => {
+  if (!apiToken.refreshToken) {
+    throw new Error('Refresh token not available');
+  }
+
+  const tokenInfo = await tokenManager.validateAndRefreshToken(apiToken);
+
+  if (tokenInfo.refreshed) {
+    await dynamoDbService.updateItem(
+      ENV.API_TOKEN_TABLE,
+      { tokenId: apiToken.tokenId },
+      'SET #accessToken = :accessToken, #refreshToken = :refreshToken, #tokenExpiry = :tokenExpiry',
+      { '#accessToken': 'accessToken', '#refreshToken': 'refreshToken', '#tokenExpiry': 'tokenExpiry' },
+      {
+        ':accessToken': tokenInfo.accessToken,
+        ':refreshToken': tokenInfo.refreshToken || apiToken.refreshToken,
+        ':tokenExpiry': tokenInfo.tokenExpiry
+      }
+    );
+  }
+
+  return tokenInfo.accessToken;
+};
+
+module.exports = {
+  hasScope,
+  createApiToken,
+  listApiTokens,
+  revokeApiToken,
+  verifyApiToken,
+  getGoogleAccessToken
+};
@@ -0,0 +1,178 @@
+/**
+ * プロジェクト: portfolio-market-data-api
+ * ファイルパス: src/services/brokerImportService.js
+ *
+ * 説明:
+ * 証券会社（SBI証券・楽天証券・マネックス証券）からエクスポートした保有銘柄CSVを
+ * ポートフォリオの保有銘柄形式に変換し、Google Driveに保存するサービス。
+ * 証券会社ごとのパーサーは src/services/brokers/ に配置し、CSVの見出しから自動判定します。
+ * 投資信託はファンド名からモーニングスターのファンドコードを解決します。
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-31
+ */
+'use strict';
+
+const googleDriveService = require('./googleDriveService');
+const { convertLegacyPortfolio, validatePortfolioData } = require('./portfolioService');
+const sbiSecurities = require('./brokers/sbiSecurities');
+const rakutenSecurities = require('./brokers/rakutenSecurities');
+const monexSecurities = require('./brokers/monexSecurities');
+const { FUND_CODES } = require('../config/fundCodes');
+const { DATA_TYPES } = require('../config/constants');
+const { decodeCsvContent, parseCsvRows, normalizeLabel } = require('../utils/brokerCsvUtils');
+const logger = require('../utils/logger');
+
+/**
+ * 証券会社のパーサー（自動判定はこの順序で行う）
+ * SBI証券の見出しは他社と重なる列名が多いため最後に判定する
+ */
+const BROKER_PARSERS = [rakutenSecurities, monexSecurities, sbiSecurities];
+
+/**
+ * ファンド名を比較用に正規化する
+ * @param {string} name - ファンド名
+ * @returns {string} 正規化したファンド名
+ */
+const normalizeFundName = (name) => normalizeLabel(name).toLowerCase();
+
+/**
+ * ファンド名 → ファンドコードの検索表を作成する
+ * @param {Object} [overrides] - 追加・上書きする対応表
+ * @returns {Map<string, string>} 正規化したファンド名 → ファンドコード
+ */
+const createFundCodeLookup = (overrides = {}) => {
+  const lookup = new Map();
+
+  Object.entries({ ...FUND_CODES, ...overrides }).forEach(([name, code]) => {
+    if (name && code) {
+      lookup.set(normalizeFundName(name), String(code).trim().toUpperCase());
+    }
+  });
+
+  return lookup;
+};
+
+/**
+ * 証券会社のパーサーを取得する
+ * @param {Array<Array<string>>} rows - CSVの行
+ * @param {string} [brokerId] - 証券会社ID（省略時は自動判定）
+ * @returns {Object|null} パーサー
+ */
+const resolveParser = (rows, brokerId) => {
+  if (brokerId) {
+    const parser = BROKER_PARSERS.find(candidate => candidate.BROKER_ID === brokerId);
+    return parser && parser.detect(rows) ? parser : null;
+  }
+
+  return BROKER_PARSERS.find(parser => parser.detect(rows)) || null;
+};
+
+/**
+ * 証券会社のCSVを保有銘柄に変換する
+ * @param {Buffer|string} content - CSVの内容（Shift_JIS / UTF-8）
+ * @param {Object} [options] - オプション
+ * @param {string} [options.broker] - 証券会社ID（'sbi' / 'rakuten' / 'monex'、省略時は自動判定）
+ * @param {Object} [options.fundCodes] - ファンド名 → ファンドコードの追加対応表
+ * @returns {Object} { broker, holdings, unmapped, skipped }
+ * @throws {Error} 対応していない形式の場合
+ */
+const parseBrokerCsv = (content, options = {}) => {
+  const { broker, fundCodes } = options;
+  const rows = parseCsvRows(decodeCsvContent(content));
+  const parser = resolveParser(rows, broker);
+
+  if (!parser) {
+    throw new Error('Unsupported broker CSV format');
+  }
+
+  const { positions, skipped } = parser.parse(rows);
+  const fundCodeLookup = createFundCodeLookup(fundCodes);
+  const holdings = [];
+  const unmapped = [];
+
+  positions.forEach(position => {
+    let symbol = position.symbol;
+
+    if (!symbol && position.dataType === DATA_TYPES.MUTUAL_FUND) {
+      symbol = fundCodeLookup.get(normalizeFundName(position.name)) || null;
+    }
+
+    // コードを解決できない投資信託は評価できないため保有銘柄に含めない
+    if (!symbol) {
+      unmapped.push({
+        name: position.name,
+        dataType: position.dataType,
+        shares: position.shares,
+        cost: position.cost,
+        account: position.account
+      });
+      return;
+    }
+
+    holdings.push({
+      symbol,
+      name: position.name,
+      dataType: position.dataType,
+      shares: position.shares,
+      cost: position.cost,
+      currency: position.currency,
+      ...(position.account && { account: position.account }),
+      ...(position.purchaseDate && { purchaseDate: position.purchaseDate })
+    });
+  });
+
+  logger.info(`Parsed ${parser.BROKER_ID} CSV: ${holdings.length} holdings, ${unmapped.length} unmapped, ${skipped.length} skipped`);
+
+  return {
+    broker: {
+      id: parser.BROKER_ID,
+      name: parser.BROKER_NAME
+    },
+    holdings,
+    unmapped,
+    skipped
+  };
+};
+
+/**
+ * 証券会社のCSVを取り込んでGoogle Driveに保存する
+ * @param {string} accessToken - アクセストークン
+ * @param {Buffer|string} content - CSVの内容
+ * @param {Object} [options] - オプション
+ * @param {string} [options.broker] - 証券会社ID
+ * @param {Object} [options.fundCodes] - ファンド名 → ファンドコードの追加対応表
+ * @param {string} [options.name] - ポートフォリオ名
+ * @param {string} [options.fileId] - 上書きするファイルID（省略時は新規作成）
+ * @returns {Promise<Object>} { file, portfolio, broker, holdings, unmapped, skipped }
+ */
+const importBrokerPortfolio = async (accessToken, content, options = {}) => {
+  const { name, fileId = null } = options;
+  const parsed = parseBrokerCsv(content, options);
+  const importedAt = new Date().toISOString();
+
+  // 取込結果を期首残高の取引履歴に変換して保有銘柄を導出する
+  const portfolio = validatePortfolioData(convertLegacyPortfolio({
+    name: name || `${parsed.broker.name} インポート`,
+    holdings: parsed.holdings,
+    importSource: {
+      broker: parsed.broker.id,
+      importedAt
+    },
+    lastUpdated: importedAt
+  }));
+
+  const file = await googleDriveService.savePortfolioToDrive(accessToken, portfolio, fileId, true);
+
+  return {
+    file,
+    portfolio,
+    ...parsed
+  };
+};
+
+module.exports = {
+  BROKER_PARSERS,
+  parseBrokerCsv,
+  importBrokerPortfolio
+};
@@ -0,0 +1,134 @@
+/**
+ * プロジェクト: portfolio-market-data-api
+ * ファイルパス: src/services/brokers/monexSecurities.js
+ *
+ * 説明:
+ * マネックス証券の保有残高CSVのパーサー。
+ * 「銘柄コード」「銘柄名」「口座区分」「保有数量」「平均取得単価」の列を使用します。
+ * 「商品区分」列がある場合はデータタイプの判定に使用し、無い場合は銘柄コードから判定します。
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-31
+ */
+'use strict';
+
+const { DATA_TYPES } = require('../../config/constants');
+const {
+  FUND_UNITS_PER_SHARE,
+  normalizeLabel,
+  findColumn,
+  parseNumber,
+  normalizeAccount
+} = require('../../utils/brokerCsvUtils');
+
+const BROKER_ID = 'monex';
+const BROKER_NAME = 'マネックス証券';
+
+/**
+ * 見出し行の位置を取得する
+ * @param {Array<Array<string>>} rows - CSVの行
+ * @returns {number} 見出し行の位置（見つからない場合は-1）
+ */
+const findHeaderIndex = (rows) => {
+  return rows.findIndex(row =>
+    findColumn(row, ['口座区分']) >= 0 && findColumn(row, ['平均取得単価']) >= 0
+  );
+};
+
+/**
+ * マネックス証券のCSVかどうかを判定する
+ * @param {Array<Array<string>>} rows - CSVの行
+ * @returns {boolean} マネックス証券の形式の場合true
+ */
+const detect = (rows) => findHeaderIndex(rows) >= 0;
+
+/**
+ * 商品区分と銘柄コードからデータタイプを判定する
+ * @param {string} category - 商品区分
+ * @param {string|null} code - 銘柄コード
+ * @returns {string|null} データタイプ（対象外の場合はnull）
+ */
+const resolveDataType = (category, code) => {
+  if (category) {
+    if (category.includes('投資信託')) return DATA_TYPES.MUTUAL_FUND;
+    if (category.includes('米国')) return DATA_TYPES.US_STOCK;
+    if (category.includes('国内株') || category.includes('日本株')) return DATA_TYPES.JP_STOCK;
+    return null;
+  }
+
+  if (!code) return DATA_TYPES.MUTUAL_FUND;
+  return /^\d{4}$/.test(code) ? DATA_TYPES.JP_STOCK : DATA_TYPES.US_STOCK;
+};
+
+/**
+ * マネックス証券のCSVを保有銘柄に変換する
+ * @param {Array<Array<string>>} rows - CSVの行
+ * @returns {Object} { positions, skipped }
+ */
+const parse = (rows) => {
+  const positions = [];
+  const skipped = [];
+  const headerIndex = findHeaderIndex(rows);
+  const header = rows[headerIndex];
+
+  const columns = {
+    category: findColumn(header, ['商品区分', '商品']),
+    code: findColumn(header, ['銘柄コード']),
+    name: findColumn(header, ['銘柄名', 'ファンド名']),
+    account: findColumn(header, ['口座区分']),
+    quantity: findColumn(header, ['保有数量', '数量']),
+    cost: findColumn(header, ['平均取得単価']),
+    currency: findColumn(header, ['通貨'])
+  };
+
+  rows.slice(headerIndex + 1).forEach((row, offset) => {
+    const rowNumber = headerIndex + offset + 2;
+    const name = String(row[columns.name] || '').trim();
+
+    if (!name || normalizeLabel(name).includes('合計')) {
+      return;
+    }
+
+    const code = columns.code >= 0 ? (normalizeLabel(row[columns.code]).toUpperCase() || null) : null;
+    const category = columns.category >= 0 ? normalizeLabel(row[columns.category]) : '';
+    const dataType = resolveDataType(category, code);
+
+    if (!dataType) {
+      skipped.push({ row: rowNumber, reason: `Unsupported category: ${category}`, value: name });
+      return;
+    }
+
+    const quantity = parseNumber(row[columns.quantity]);
+    const cost = parseNumber(row[columns.cost]);
+
+    if (!quantity || quantity <= 0 || cost === null) {
+      skipped.push({ row: rowNumber, reason: 'Invalid quantity or cost', value: name });
+      return;
+    }
+
+    const isFund = dataType === DATA_TYPES.MUTUAL_FUND;
+    const currency = columns.currency >= 0 ? normalizeLabel(row[columns.currency]).toUpperCase() : '';
+
+    positions.push({
+      symbol: isFund ? null : code,
+      name,
+      dataType,
+      shares: isFund ? quantity / FUND_UNITS_PER_SHARE : quantity,
+      cost,
+      currency: /^[A-Z]{3}$/.test(currency)
+        ? currency
+        : (dataType === DATA_TYPES.US_STOCK ? 'USD' : 'JPY'),
+      account: normalizeAccount(row[columns.account]),
+      purchaseDate: null
+    });
+  });
+
+  return { positions, skipped };
+};
+
+module.exports = {
+  BROKER_ID,
+  BROKER_NAME,
+  detect,
+  parse
+};
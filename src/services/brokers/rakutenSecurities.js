@@ -0,0 +1,123 @@
+/**
+ * プロジェクト: portfolio-market-data-api
+ * ファイルパス: src/services/brokers/rakutenSecurities.js
+ *
+ * 説明:
+ * 楽天証券の保有商品一覧CSV（assetbalance）のパーサー。
+ * 「種別」「銘柄コード・ティッカー」「銘柄」「口座」「保有数量」「平均取得価額」の列を使用します。
+ * 数量・価額の直後の「［単位］」列で株数・口数と通貨を判定します。
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-31
+ */
+'use strict';
+
+const { DATA_TYPES } = require('../../config/constants');
+const {
+  FUND_UNITS_PER_SHARE,
+  normalizeLabel,
+  findColumn,
+  parseNumber,
+  normalizeAccount
+} = require('../../utils/brokerCsvUtils');
+
+const BROKER_ID = 'rakuten';
+const BROKER_NAME = '楽天証券';
+
+/**
+ * 種別ごとのデータタイプ
+ */
+const CATEGORY_TYPES = {
+  '国内株式': DATA_TYPES.JP_STOCK,
+  '米国株式': DATA_TYPES.US_STOCK,
+  '投資信託': DATA_TYPES.MUTUAL_FUND
+};
+
+/**
+ * 見出し行の位置を取得する
+ * @param {Array<Array<string>>} rows - CSVの行
+ * @returns {number} 見出し行の位置（見つからない場合は-1）
+ */
+const findHeaderIndex = (rows) => {
+  return rows.findIndex(row =>
+    findColumn(row, ['銘柄コード・ティッカー']) >= 0 && findColumn(row, ['保有数量']) >= 0
+  );
+};
+
+/**
+ * 楽天証券のCSVかどうかを判定する
+ * @param {Array<Array<string>>} rows - CSVの行
+ * @returns {boolean} 楽天証券の形式の場合true
+ */
+const detect = (rows) => findHeaderIndex(rows) >= 0;
+
+/**
+ * 楽天証券のCSVを保有銘柄に変換する
+ * @param {Array<Array<string>>} rows - CSVの行
+ * @returns {Object} { positions, skipped }
+ */
+const parse = (rows) => {
+  const positions = [];
+  const skipped = [];
+  const headerIndex = findHeaderIndex(rows);
+  const header = rows[headerIndex];
+
+  const columns = {
+    category: findColumn(header, ['種別']),
+    code: findColumn(header, ['銘柄コード・ティッカー']),
+    name: findColumn(header, ['銘柄']),
+    account: findColumn(header, ['口座']),
+    quantity: findColumn(header, ['保有数量']),
+    cost: findColumn(header, ['平均取得価額'])
+  };
+
+  rows.slice(headerIndex + 1).forEach((row, offset) => {
+    const rowNumber = headerIndex + offset + 2;
+    const category = normalizeLabel(row[columns.category]);
+    const dataType = CATEGORY_TYPES[category];
+
+    if (!category || category.includes('合計')) {
+      return;
+    }
+
+    if (!dataType) {
+      skipped.push({ row: rowNumber, reason: `Unsupported category: ${category}`, value: row[columns.name] });
+      return;
+    }
+
+    const quantity = parseNumber(row[columns.quantity]);
+    const cost = parseNumber(row[columns.cost]);
+
+    if (!quantity || quantity <= 0 || cost === null) {
+      skipped.push({ row: rowNumber, reason: 'Invalid quantity or cost', value: row[columns.name] });
+      return;
+    }
+
+    // 数量・価額の単位（直後の「［単位］」列）
+    const costUnit = normalizeLabel(row[columns.cost + 1]).toUpperCase();
+    const code = normalizeLabel(row[columns.code]).toUpperCase() || null;
+    const isFund = dataType === DATA_TYPES.MUTUAL_FUND;
+
+    positions.push({
+      symbol: isFund ? null : code,
+      name: String(row[columns.name] || '').trim(),
+      dataType,
+      shares: isFund ? quantity / FUND_UNITS_PER_SHARE : quantity,
+      cost,
+      currency: dataType === DATA_TYPES.US_STOCK
+        ? (/^[A-Z]{3}$/.test(costUnit) ? costUnit : 'USD')
+        : 'JPY',
+      account: columns.account >= 0 ? normalizeAccount(row[columns.account]) : null,
+      purchaseDate: null
+    });
+  });
+
+  return { positions, skipped };
+};
+
+module.exports = {
+  BROKER_ID,
+  BROKER_NAME,
+  detect,
+  parse
+};
@@ -0,0 +1,140 @@
+/**
+ * プロジェクト: portfolio-market-data-api
+ * ファイルパス: src/services/brokers/sbiSecurities.js
+ *
+ * 説明:
+ * SBI証券の保有証券一覧CSVのパーサー。
+ * CSVは預り区分ごとのセクション（例: 「株式（現物/特定預り）」「投資信託（金額/NISA預り（成長投資枠））」）に分かれ、
+ * 各セクションに見出し行（「銘柄（コード）」または「ファンド名」から始まる行）と明細行が続きます。
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-31
+ */
+'use strict';
+
+const { DATA_TYPES } = require('../../config/constants');
+const {
+  FUND_UNITS_PER_SHARE,
+  normalizeLabel,
+  findColumn,
+  parseNumber,
+  normalizeAccount,
+  splitCodeAndName,
+  parseDate
+} = require('../../utils/brokerCsvUtils');
+
+const BROKER_ID = 'sbi';
+const BROKER_NAME = 'SBI証券';
+
+/**
+ * 見出し行の先頭列
+ */
+const STOCK_HEADERS = ['銘柄（コード）', '銘柄（ティッカー）'];
+const FUND_HEADERS = ['ファンド名'];
+
+/**
+ * 見出し行かどうかを判定する
+ * @param {Array<string>} row - 行
+ * @returns {boolean} 見出し行の場合true
+ */
+const isHeaderRow = (row) => {
+  return findColumn([row[0]], [...STOCK_HEADERS, ...FUND_HEADERS]) === 0 &&
+    findColumn(row, ['取得単価']) >= 0;
+};
+
+/**
+ * SBI証券のCSVかどうかを判定する
+ * @param {Array<Array<string>>} rows - CSVの行
+ * @returns {boolean} SBI証券の形式の場合true
+ */
+const detect = (rows) => rows.some(isHeaderRow);
+
+/**
+ * SBI証券のCSVを保有銘柄に変換する
+ * @param {Array<Array<string>>} rows - CSVの行
+ * @returns {Object} { positions, skipped }
+ */
+const parse = (rows) => {
+  const positions = [];
+  const skipped = [];
+  let section = null;
+  let header = null;
+
+  rows.forEach((row, index) => {
+    const first = normalizeLabel(row[0]);
+    const isTitleRow = row.slice(1).every(cell => !normalizeLabel(cell));
+
+    // セクション名（1列のみの行）
+    if (isTitleRow) {
+      section = row[0];
+      header = null;
+      return;
+    }
+
+    if (isHeaderRow(row)) {
+      header = {
+        isFund: findColumn([row[0]], FUND_HEADERS) === 0,
+        quantity: findColumn(row, ['数量', '保有数量', '口数']),
+        cost: findColumn(row, ['取得単価']),
+        purchaseDate: findColumn(row, ['買付日'])
+      };
+      return;
+    }
+
+    if (!header || first.includes('合計')) {
+      return;
+    }
+
+    const quantity = parseNumber(row[header.quantity]);
+    const cost = parseNumber(row[header.cost]);
+
+    if (!quantity || quantity <= 0 || cost === null) {
+      skipped.push({ row: index + 1, reason: 'Invalid quantity or cost', value: row[0] });
+      return;
+    }
+
+    const account = normalizeAccount(section);
+    const purchaseDate = header.purchaseDate >= 0 ? parseDate(row[header.purchaseDate]) : null;
+
+    if (header.isFund) {
+      positions.push({
+        symbol: null,
+        name: String(row[0]).trim(),
+        dataType: DATA_TYPES.MUTUAL_FUND,
+        shares: quantity / FUND_UNITS_PER_SHARE,
+        cost,
+        currency: 'JPY',
+        account,
+        purchaseDate
+      });
+      return;
+    }
+
+    const { code, name } = splitCodeAndName(row[0]);
+    if (!code) {
+      skipped.push({ row: index + 1, reason: 'Missing security code', value: row[0] });
+      return;
+    }
+
+    const isJapanese = /^\d{4}$/.test(code);
+    positions.push({
+      symbol: code,
+      name,
+      dataType: isJapanese ? DATA_TYPES.JP_STOCK : DATA_TYPES.US_STOCK,
+      shares: quantity,
+      cost,
+      currency: isJapanese ? 'JPY' : 'USD',
+      account,
+      purchaseDate
+    });
+  });
+
+  return { positions, skipped };
+};
+
+module.exports = {
+  BROKER_ID,
+  BROKER_NAME,
+  detect,
+  parse
+};
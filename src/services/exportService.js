@@ -0,0 +1,261 @@
+/**
+ * プロジェクト: portfolio-market-data-api
+ * ファイルパス: src/services/exportService.js
+ *
+ * 説明:
+ * ポートフォリオのエクスポートサービス。
+ * Google Driveのポートフォリオを読み込み、保有銘柄・評価額・資産配分を
+ * Excelで開ける表形式の行データ、またはスキーマバージョン付きのJSONに変換します。
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-01
+ * @updated 2025-06-13 改善: ETFの通貨を上場市場から判定
+ */
+'use strict';
+
+const googleDriveService = require('./googleDriveService');
+const { convertLegacyPortfolio, validatePortfolioData } = require('./portfolioService');
+const { valuePortfolio } = require('./valuationService');
+const { getAssetClass, getRegion } = require('./rebalanceService');
+const { getHoldingDataType, getDefaultCurrency } = require('../utils/symbolUtils');
+const { EXPORT_SETTINGS } = require('../config/constants');
+
+/**
+ * 表形式エクスポートの列定義（種類ごと）
+ * key は行データの項目、label はCSVの見出し
+ */
+const EXPORT_COLUMNS = {
+  holdings: [
+    { key: 'symbol', label: '銘柄コード' },
+    { key: 'name', label: '銘柄名' },
+    { key: 'dataType', label: '種別' },
+    { key: 'currency', label: '通貨' },
+    { key: 'shares', label: '保有数' },
+    { key: 'averageCost', label: '平均取得単価' },
+    { key: 'costBasis', label: '取得金額' },
+    { key: 'account', label: '口座' }
+  ],
+  valuation: [
+    { key: 'symbol', label: '銘柄コード' },
+    { key: 'name', label: '銘柄名' },
+    { key: 'dataType', label: '種別' },
+    { key: 'currency', label: '通貨' },
+    { key: 'shares', label: '保有数' },
+    { key: 'averageCost', label: '平均取得単価' },
+    { key: 'price', label: '現在値' },
+    { key: 'exchangeRate', label: '為替レート' },
+    { key: 'marketValueBase', label: '評価額' },
+    { key: 'costBasisBase', label: '取得金額' },
+    { key: 'unrealizedPnl', label: '評価損益' },
+    { key: 'unrealizedPnlPercent', label: '評価損益率(%)' },
+    { key: 'weight', label: '構成比(%)' },
+    { key: 'lastUpdated', label: '価格更新日時' },
+    { key: 'error', label: 'エラー' }
+  ],
+  allocation: [
+    { key: 'dimension', label: '分類' },
+    { key: 'key', label: '項目' },
+    { key: 'marketValue', label: '評価額' },
+    { key: 'weight', label: '構成比(%)' },
+    { key: 'holdingCount', label: '銘柄数' }
+  ]
+};
+
+/**
+ * 資産配分の集計軸
+ */
+const ALLOCATION_DIMENSIONS = ['assetClass', 'region', 'dataType', 'currency'];
+
+/**
+ * 数値を指定桁数で丸める
+ * @param {number} value - 数値
+ * @param {number} [digits=2] - 小数点以下の桁数
+ * @returns {number} 丸めた数値
+ */
+const round = (value, digits = 2) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Google Driveからポートフォリオを読み込む
+ * @param {string} accessToken - アクセストークン
+ * @param {string} fileId - ファイルID
+ * @returns {Promise<Object>} { portfolio, metadata }
+ */
+const loadPortfolio = async (accessToken, fileId) => {
+  const { content, metadata } = await googleDriveService.getFileWithMetadata(fileId, accessToken);
+
+  let data;
+  try {
+    data = typeof content === 'string' ? JSON.parse(content) : content;
+  } catch (error) {
+    throw new Error('Invalid portfolio data format');
+  }
+
+  return {
+    portfolio: validatePortfolioData(convertLegacyPortfolio(data || {})),
+    metadata
+  };
+};
+
+/**
+ * 保有銘柄の行データを作成する（価格の取得は行わない）
+ * @param {Object} portfolio - ポートフォリオ
+ * @returns {Array<Object>} 行データ
+ */
+const buildHoldingRows = (portfolio) => {
+  return portfolio.holdings.map(holding => {
+    const dataType = getHoldingDataType(holding);
+    const shares = Number(holding.shares) || 0;
+    const cost = Number(holding.cost) || 0;
+
+    return {
+      symbol: String(holding.symbol),
+      name: holding.name || String(holding.symbol),
+      dataType,
+      currency: (holding.currency || getDefaultCurrency(dataType, holding.symbol)).toUpperCase(),
+      shares,
+      averageCost: cost,
+      costBasis: round(shares * cost),
+      account: holding.account || null
+    };
+  });
+};
+
+/**
+ * 評価結果から資産配分の行データを作成する
+ * 評価できなかった銘柄は集計に含めない
+ * @param {Object} portfolio - ポートフォリオ
+ * @param {Object} valuation - valuePortfolio の結果
+ * @returns {Array<Object>} 行データ（分類ごとに評価額の降順）
+ */
+const buildAllocationRows = (portfolio, valuation) => {
+  const holdingsBySymbol = new Map(portfolio.holdings.map(holding => [String(holding.symbol), holding]));
+  const priced = valuation.holdings.filter(item => item.priced);
+  const total = valuation.totals.marketValue;
+
+  return ALLOCATION_DIMENSIONS.flatMap(dimension => {
+    const groups = new Map();
+
+    priced.forEach(item => {
+      const holding = { ...holdingsBySymbol.get(item.symbol), dataType: item.dataType };
+      const key = dimension === 'assetClass' ? getAssetClass(holding)
+        : dimension === 'region' ? getRegion(holding)
+          : item[dimension];
+      const group = groups.get(key) || { marketValue: 0, holdingCount: 0 };
+
+      group.marketValue += item.marketValueBase;
+      group.holdingCount += 1;
+      groups.set(key, group);
+    });
+
+    return [...groups.entries()]
+      .map(([key, group]) => ({
+        dimension,
+        key,
+        marketValue: round(group.marketValue),
+        weight: total > 0 ? round(group.marketValue / total * 100) : 0,
+        holdingCount: group.holdingCount
+      }))
+      .sort((a, b) => b.marketValue - a.marketValue);
+  });
+};
+
+/**
+ * 行データを列定義の見出しをキーとする行に変換する
+ * @param {Array<Object>} rows - 行データ
+ * @param {Array<Object>} columns - 列定義
+ * @returns {Array<Object>} 見出しをキーとする行データ
+ */
+const labelRows = (rows, columns) => {
+  return rows.map(row => columns.reduce((labeled, column) => {
+    labeled[column.label] = row[column.key];
+    return labeled;
+  }, {}));
+};
+
+/**
+ * ポートフォリオを表形式でエクスポートする
+ * @param {string} accessToken - アクセストークン
+ * @param {string} fileId - ファイルID
+ * @param {Object} [options] - オプション
+ * @param {string} [options.type='holdings'] - 種類（'holdings' / 'valuation' / 'allocation'）
+ * @param {string} [options.baseCurrency] - 基準通貨
+ * @param {boolean} [options.refresh=false] - 価格キャッシュを使用しない
+ * @returns {Promise<Object>} { portfolio, metadata, baseCurrency, columns, rows }
+ */
+const exportPortfolioTable = async (accessToken, fileId, options = {}) => {
+  const { type = 'holdings', baseCurrency, refresh = false } = options;
+  const { portfolio, metadata } = await loadPortfolio(accessToken, fileId);
+  const columns = EXPORT_COLUMNS[type];
+
+  let rows;
+  let currency = null;
+
+  if (type === 'holdings') {
+    rows = buildHoldingRows(portfolio);
+  } else {
+    const valuation = await valuePortfolio(portfolio, { baseCurrency, refresh });
+    currency = valuation.baseCurrency;
+    rows = type === 'valuation' ? valuation.holdings : buildAllocationRows(portfolio, valuation);
+  }
+
+  return {
+    portfolio,
+    metadata,
+    baseCurrency: currency,
+    columns: columns.map(column => column.label),
+    rows: labelRows(rows, columns)
+  };
+};
+
+/**
+ * ポートフォリオをスキーマバージョン付きのJSONでエクスポートする
+ * 保有銘柄・取引履歴・目標配分に加えて、現在価格での評価額と資産配分を含める
+ * @param {string} accessToken - アクセストークン
+ * @param {string} fileId - ファイルID
+ * @param {Object} [options] - オプション
+ * @param {string} [options.baseCurrency] - 基準通貨
+ * @param {boolean} [options.refresh=false] - 価格キャッシュを使用しない
+ * @returns {Promise<Object>} エクスポートデータ
+ */
+const exportPortfolioJson = async (accessToken, fileId, options = {}) => {
+  const { baseCurrency, refresh = false } = options;
+  const { portfolio, metadata } = await loadPortfolio(accessToken, fileId);
+  const valuation = await valuePortfolio(portfolio, { baseCurrency, refresh });
+
+  return {
+    schema: EXPORT_SETTINGS.SCHEMA,
+    schemaVersion: EXPORT_SETTINGS.SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    source: {
+      fileId: metadata.id,
+      fileName: metadata.name,
+      createdTime: metadata.createdTime,
+      modifiedTime: metadata.modifiedTime
+    },
+    portfolio: {
+      name: portfolio.name,
+      baseCurrency: valuation.baseCurrency,
+      lastUpdated: portfolio.lastUpdated,
+      holdings: buildHoldingRows(portfolio),
+      transactions: portfolio.transactions || [],
+      targetAllocation: portfolio.targetAllocation || null
+    },
+    valuation: {
+      valuedAt: valuation.valuedAt,
+      totals: valuation.totals,
+      holdings: valuation.holdings,
+      unpriced: valuation.unpriced,
+      exchangeRates: valuation.exchangeRates
+    },
+    allocation: buildAllocationRows(portfolio, valuation)
+  };
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  exportPortfolioTable,
+  exportPortfolioJson
+};
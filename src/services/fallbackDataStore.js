@@ -16,6 +16,9 @@
  * 
  * @author Portfolio Manager Team
  * @updated 2025-05-20
+ * @updated 2025-06-13 機能追加: ETF・REITのデフォルトフォールバックデータ
+ * @updated 2025-06-14 機能追加: 暗号資産のデフォルトフォールバックデータ
+ * @updated 2025-06-15 機能追加: 市場指数のデフォルトフォールバックデータ（指数ごとの目安の値）
  */
 'use strict';
 
@@ -30,6 +33,7 @@ const { ENV } = require('../config/envConfig');
 const logger = require('../utils/logger');
 const { warnDeprecation } = require('../utils/deprecation');
 const { DATA_TYPES, CACHE_TIMES } = require('../config/constants');
+const { isJpListedCode, getMarketIndex } = require('../utils/symbolUtils');
 
 // 設定値
 const FALLBACK_TABLE = process.env.FALLBACK_DATA_TABLE || `${process.env.DYNAMODB_TABLE_PREFIX || 'portfolio-market-data-'}-fallback-data`;
@@ -213,6 +217,27 @@ const getDefaultFallbackData = (symbol, dataType) => {
         lastUpdated: now
       };
     
+    case DATA_TYPES.ETF: {
+      const isJapanese = isJpListedCode(symbol);
+      return {
+        ticker: symbol,
+        price: isJapanese ? 2000 : 100,
+        change: 0,
+        changePercent: 0,
+        name: symbol,
+        currency: isJapanese ? 'JPY' : 'USD',
+        isStock: false,
+        isMutualFund: false,
+        isEtf: true,
+        nav: null,
+        premiumDiscount: null,
+        distributionYield: null,
+        expenseRatio: null,
+        source: 'Default Fallback',
+        lastUpdated: now
+      };
+    }
+    
     case DATA_TYPES.MUTUAL_FUND:
       return {
         ticker: `${symbol}C`,
@@ -228,6 +253,43 @@ const getDefaultFallbackData = (symbol, dataType) => {
         lastUpdated: now
       };
     
+    case DATA_TYPES.CRYPTO:
+      // 価格の目安が無いため price は null とする
+      return {
+        ticker: symbol.toUpperCase(),
+        price: null,
+        change: 0,
+        changePercent: 0,
+        name: symbol.toUpperCase(),
+        currency: 'USD',
+        isStock: false,
+        isMutualFund: false,
+        isCrypto: true,
+        source: 'Default Fallback',
+        lastUpdated: now
+      };
+    
+    case DATA_TYPES.INDEX: {
+      // 対応していない指数はデフォルトデータなし
+      const index = getMarketIndex(symbol);
+      if (!index) {
+        return null;
+      }
+      return {
+        ticker: index.id,
+        price: index.defaultValue,
+        change: 0,
+        changePercent: 0,
+        name: index.name,
+        currency: index.currency,
+        isStock: false,
+        isMutualFund: false,
+        isIndex: true,
+        source: 'Default Fallback',
+        lastUpdated: now
+      };
+    }
+    
     case DATA_TYPES.EXCHANGE_RATE:
       // 通貨ペアを解析
       const [base, target] = symbol.split('-');
@@ -362,12 +424,18 @@ const getFallbackForSymbol = async (symbol, type) => {
       case 'exchange-rate':
         dataCategory = 'exchangeRates';
         break;
+      case 'crypto':
+        dataCategory = 'cryptos';
+        break;
+      case 'index':
+        dataCategory = 'indices';
+        break;
       default:
         dataCategory = 'stocks';
     }
     
-    // シンボルのデータを取得
-    const symbolData = fallbackData[dataCategory][symbol];
+    // シンボルのデータを取得（GitHubのフォールバックデータに無いカテゴリは空として扱う）
+    const symbolData = (fallbackData[dataCategory] || {})[symbol];
     
     if (symbolData) {
       // 結果オブジェクトをクローン（元のオブジェクトを変更しないため）
@@ -9,26 +9,135 @@
  * @updated 2025-05-21 修正: dynamoDbServiceのインポート方法を変更
  * @updated 2025-05-22 修正: セッション削除処理の戻り値保証
  * @updated 2025-05-23 修正: エラー処理の戻り値をテストと一致するよう修正
+ * @updated 2025-06-08 機能追加: ユーザーごとのセッション一覧・取り消しと端末情報の記録
+ * @updated 2025-06-09 機能追加: セッションにCSRFトークンを保存
+ * @updated 2025-06-10 機能追加: ログイン開始時のstateとPKCE（code_verifier）の発行・検証
+ * @updated 2025-06-17 修正: stateの読み取りと削除を条件付き削除で同時に行い、同じstateの同時利用を防止
+ * @updated 2025-06-17 修正: stateをログインを開始したブラウザのCookieと照合（ログインCSRF対策）
  */
 'use strict';
 
+const crypto = require('crypto');
 const uuid = require('uuid');
 // 分割代入でのインポートからモジュールとしてのインポートに変更
 const dynamoDbService = require('../utils/dynamoDbService');
 const tokenManager = require('../utils/tokenManager');
+const { describeDevice } = require('../utils/clientInfo');
 
 // 定数定義
 const SESSION_TABLE = process.env.SESSION_TABLE || `${process.env.DYNAMODB_TABLE_PREFIX || 'portfolio-market-data-'}-sessions`;
 const SESSION_EXPIRES_DAYS = parseInt(process.env.SESSION_EXPIRES_DAYS || '7', 10); // セッション有効期限（日）
+const SESSION_GOOGLE_ID_INDEX = 'googleId-index'; // googleId で検索するためのセカンダリインデックス
+const LAST_SEEN_UPDATE_INTERVAL_MS = 5 * 60 * 1000; // 最終アクセス日時を更新する間隔（書き込み回数の抑制）
+const OAUTH_STATE_TABLE = process.env.OAUTH_STATE_TABLE || `${process.env.DYNAMODB_TABLE_PREFIX || 'portfolio-market-data-'}-oauth-states`;
+const OAUTH_STATE_EXPIRES_SECONDS = 10 * 60; // ログイン開始からコード交換までの有効期限（秒）
+const GOOGLE_OAUTH_SCOPES = [
+  'openid',
+  'email',
+  'profile',
+  'https://www.googleapis.com/auth/drive.file'
+];
+
+/**
+ * stateを保存用にハッシュ化する
+ * @param {string} state - stateパラメータ
+ * @returns {string} SHA-256ハッシュ（16進数）
+ */
+const hashState = (state) => crypto.createHash('sha256').update(state).digest('hex');
+
+/**
+ * Googleログインを開始する
+ * stateとPKCEのcode_verifierを生成して短期間だけDynamoDBに保存し、認可URLを返す。
+ * code_verifier はクライアントに返さず、コード交換時にサーバー側で使用する。
+ * @param {string} redirectUri - リダイレクトURI
+ * @returns {Promise<Object>} { authorizationUrl, state, expiresAt }
+ */
+const createAuthorizationRequest = async (redirectUri) => {
+  const state = crypto.randomBytes(32).toString('base64url');
+  const codeVerifier = crypto.randomBytes(32).toString('base64url'); // 43文字（RFC 7636）
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + OAUTH_STATE_EXPIRES_SECONDS * 1000);
+
+  await dynamoDbService.addItem(OAUTH_STATE_TABLE, {
+    stateHash: hashState(state),
+    codeVerifier,
+    redirectUri,
+    createdAt: now.toISOString(),
+    expiresAt: expiresAt.toISOString(),
+    // TTL属性（DynamoDBの自動削除用）
+    ttl: Math.floor(expiresAt.getTime() / 1000)
+  });
+
+  return {
+    authorizationUrl: tokenManager.generateAuthUrl({
+      redirectUri,
+      state,
+      codeChallenge,
+      scopes: GOOGLE_OAUTH_SCOPES
+    }),
+    state,
+    expiresAt: expiresAt.toISOString()
+  };
+};
+
+/**
+ * 2つの文字列が一致するかを一定時間で比較する
+ * @param {string} a - 文字列
+ * @param {string} b - 文字列
+ * @returns {boolean} 一致する場合true
+ */
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * ログイン開始時に発行したstateを検証して消費する
+ * ログインCSRFを防ぐため、stateはログインを開始したブラウザのCookie（oauth_state）と一致する必要がある。
+ * 再利用を防ぐため、検証結果にかかわらずstateは条件付き削除で読み取りと同時に削除する。
+ * 同じstateで同時にリクエストされた場合も、削除したアイテムを受け取れるのは1件だけとなる。
+ * @param {string} state - stateパラメータ
+ * @param {string} redirectUri - リダイレクトURI（ログイン開始時と一致すること）
+ * @param {string} stateCookie - ログイン開始時に設定したstate Cookieの値
+ * @returns {Promise<Object|null>} { codeVerifier }（無効・期限切れ・リダイレクトURI不一致・Cookie不一致の場合はnull）
+ */
+const consumeAuthorizationRequest = async (state, redirectUri, stateCookie) => {
+  if (!state || typeof state !== 'string') {
+    return null;
+  }
+
+  // 別のブラウザで開始したログインのstateは使用できない
+  if (!stateCookie || !safeEqual(state, stateCookie)) {
+    return null;
+  }
+
+  const request = await dynamoDbService.deleteItemIfExists(OAUTH_STATE_TABLE, { stateHash: hashState(state) });
+
+  if (!request) {
+    return null;
+  }
+
+  // TTLによる削除は即時ではないため有効期限を確認する
+  if (new Date(request.expiresAt) <= new Date() || request.redirectUri !== redirectUri) {
+    return null;
+  }
+
+  return { codeVerifier: request.codeVerifier };
+};
 
 /**
  * 認証コードをトークンと交換する
  * @param {string} code - Google認証コード
  * @param {string} redirectUri - リダイレクトURI
+ * @param {string} [codeVerifier] - PKCEのcode_verifier
  * @returns {Promise<Object>} - トークン情報
  */
-const exchangeCodeForTokens = async (code, redirectUri) => {
-  return tokenManager.exchangeCodeForTokens(code, redirectUri);
+const exchangeCodeForTokens = async (code, redirectUri, codeVerifier) => {
+  return codeVerifier
+    ? tokenManager.exchangeCodeForTokens(code, redirectUri, codeVerifier)
+    : tokenManager.exchangeCodeForTokens(code, redirectUri);
 };
 
 /**
@@ -42,7 +151,7 @@ const verifyIdToken = async (idToken) => {
 
 /**
  * ユーザーセッションを作成する
- * @param {Object} userData - ユーザーデータ
+ * @param {Object} userData - ユーザーデータ（ipAddress・userAgent はセッション一覧の表示用、csrfToken は更新系APIの検証用）
  * @returns {Promise<Object>} - セッション情報
  */
 const createUserSession = async (userData) => {
@@ -59,8 +168,12 @@ const createUserSession = async (userData) => {
     accessToken: userData.accessToken,
     refreshToken: userData.refreshToken || null, // リフレッシュトークンがない場合もある
     tokenExpiry: userData.tokenExpiry || null,
+    csrfToken: userData.csrfToken || null,
+    ipAddress: userData.ipAddress || null,
+    userAgent: userData.userAgent || null,
     createdAt: now.toISOString(),
     updatedAt: now.toISOString(),
+    lastSeenAt: now.toISOString(),
     expiresAt: expiresAt.toISOString(),
     // TTL属性（DynamoDBの自動削除用）
     ttl: Math.floor(expiresAt.getTime() / 1000)
@@ -217,13 +330,168 @@ const refreshSessionToken = async (sessionId) => {
   }
 };
 
+/**
+ * セッション一覧で使用する公開ID（セッションIDのハッシュ）を取得する
+ * セッションIDはCookieの値そのものであるため、一覧には含めない
+ * @param {string} sessionId - セッションID
+ * @returns {string} 公開ID
+ */
+const getSessionPublicId = (sessionId) => {
+  return crypto.createHash('sha256').update(String(sessionId)).digest('hex').substring(0, 32);
+};
+
+/**
+ * セッションの最終アクセス日時と端末情報を記録する
+ * 書き込み回数を抑えるため、一定時間が経過したかIPアドレスが変わった場合のみ更新する
+ * @param {string} sessionId - セッションID
+ * @param {Object} session - 現在のセッション情報
+ * @param {Object} [clientInfo={}] - 端末情報 { ipAddress, userAgent }
+ * @returns {Promise<boolean>} - 更新したかどうか
+ */
+const touchSession = async (sessionId, session, clientInfo = {}) => {
+  const current = session || {};
+  const lastSeenAt = new Date(current.lastSeenAt || current.updatedAt || 0).getTime();
+  const ipChanged = Boolean(clientInfo.ipAddress) && clientInfo.ipAddress !== current.ipAddress;
+  
+  if (!ipChanged && Date.now() - lastSeenAt < LAST_SEEN_UPDATE_INTERVAL_MS) {
+    return false;
+  }
+  
+  const updates = { lastSeenAt: new Date().toISOString() };
+  if (clientInfo.ipAddress) {
+    updates.ipAddress = clientInfo.ipAddress;
+  }
+  if (clientInfo.userAgent) {
+    updates.userAgent = clientInfo.userAgent;
+  }
+  
+  return updateSession(sessionId, updates);
+};
+
+/**
+ * ユーザーの有効なセッションを取得する
+ * @param {string} googleId - GoogleユーザーID
+ * @returns {Promise<Array<Object>>} - セッション情報の配列
+ */
+const getUserSessions = async (googleId) => {
+  const sessions = await dynamoDbService.queryItems(SESSION_TABLE, {
+    indexName: SESSION_GOOGLE_ID_INDEX,
+    keyConditionExpression: '#googleId = :googleId',
+    expressionAttributeNames: { '#googleId': 'googleId' },
+    expressionAttributeValues: { ':googleId': googleId }
+  });
+  
+  // TTLによる削除は即時ではないため有効期限を確認する
+  const now = new Date();
+  return sessions.filter(session => new Date(session.expiresAt) > now);
+};
+
+/**
+ * セッション一覧に表示する項目に要約する（トークン類は含めない）
+ * @param {Object} session - セッション情報
+ * @param {string} [currentSessionId] - リクエスト元のセッションID
+ * @returns {Object} - { id, device, userAgent, ipAddress, createdAt, lastSeenAt, expiresAt, current }
+ */
+const summarizeSession = (session, currentSessionId) => ({
+  id: getSessionPublicId(session.sessionId),
+  device: describeDevice(session.userAgent),
+  userAgent: session.userAgent || null,
+  ipAddress: session.ipAddress || null,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt || session.updatedAt || session.createdAt,
+  expiresAt: session.expiresAt,
+  current: session.sessionId === currentSessionId
+});
+
+/**
+ * ユーザーの有効なセッション一覧を取得する（最終アクセスの新しい順）
+ * @param {string} googleId - GoogleユーザーID
+ * @param {string} [currentSessionId] - リクエスト元のセッションID
+ * @returns {Promise<Array<Object>>} - 要約したセッション情報の配列
+ */
+const listUserSessions = async (googleId, currentSessionId) => {
+  try {
+    const sessions = await getUserSessions(googleId);
+    
+    return sessions
+      .map(session => summarizeSession(session, currentSessionId))
+      .sort((a, b) => String(b.lastSeenAt).localeCompare(String(a.lastSeenAt)));
+  } catch (error) {
+    console.error('セッション一覧取得エラー:', error);
+    throw new Error('セッション一覧の取得に失敗しました');
+  }
+};
+
+/**
+ * ユーザーのセッションを公開IDで取り消す
+ * @param {string} googleId - GoogleユーザーID
+ * @param {string} publicId - セッションの公開ID
+ * @param {string} [currentSessionId] - リクエスト元のセッションID
+ * @returns {Promise<Object>} - 取り消したセッションの要約
+ */
+const revokeUserSession = async (googleId, publicId, currentSessionId) => {
+  let sessions;
+  try {
+    sessions = await getUserSessions(googleId);
+  } catch (error) {
+    console.error('セッション一覧取得エラー:', error);
+    throw new Error('セッション一覧の取得に失敗しました');
+  }
+  
+  // 他のユーザーのセッションは存在しないものとして扱う
+  const target = sessions.find(session => getSessionPublicId(session.sessionId) === publicId);
+  
+  if (!target) {
+    throw new Error('Session not found');
+  }
+  
+  if (!await invalidateSession(target.sessionId)) {
+    throw new Error('セッションの取り消しに失敗しました');
+  }
+  
+  return summarizeSession(target, currentSessionId);
+};
+
+/**
+ * ユーザーのすべてのセッションを無効化する（すべての端末からログアウト）
+ * @param {string} googleId - GoogleユーザーID
+ * @param {Object} [options={}] - オプション
+ * @param {string} [options.exceptSessionId] - 無効化しないセッションID（リクエスト元の端末を残す場合）
+ * @returns {Promise<Object>} - { revoked, failed }（件数）
+ */
+const invalidateUserSessions = async (googleId, { exceptSessionId = null } = {}) => {
+  let sessions;
+  try {
+    sessions = await getUserSessions(googleId);
+  } catch (error) {
+    console.error('セッション一覧取得エラー:', error);
+    throw new Error('セッション一覧の取得に失敗しました');
+  }
+  
+  const targets = sessions.filter(session => session.sessionId !== exceptSessionId);
+  const results = await Promise.all(targets.map(session => invalidateSession(session.sessionId)));
+  const revoked = results.filter(Boolean).length;
+  
+  return {
+    revoked,
+    failed: results.length - revoked
+  };
+};
+
 // エクスポート
 module.exports = {
+  createAuthorizationRequest,
+  consumeAuthorizationRequest,
   exchangeCodeForTokens,
   verifyIdToken,
   createUserSession,
   getSession,
   invalidateSession,
   updateSession,
-  refreshSessionToken
+  refreshSessionToken,
+  getSessionPublicId,
+  touchSession,
+  listUserSessions,
+  revokeUserSession,
+  invalidateUserSessions
 };
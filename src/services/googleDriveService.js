@@ -9,17 +9,33 @@
  * @author Portfolio Manager Team
  * @created 2025-05-12
  * @updated 2025-05-20 改善: リトライロジック強化、セキュリティ向上、機能追加
+ * @updated 2025-06-02 機能追加: 楽観的排他制御のためのリビジョン取得
+ * @updated 2025-06-03 機能追加: バックアップからの復元、バックアップ検索を元ファイルID基準に変更
+ * @updated 2025-06-04 機能追加: バックアップ保持ポリシーによる古いバックアップの削除
+ * @updated 2025-06-05 機能追加: 他のGoogleユーザーへの閲覧権限の付与・取り消し
+ * @updated 2025-06-06 機能追加: ファイル名の変更、ゴミ箱からの復元、サブフォルダでの整理
  */
 'use strict';
 
 const { google } = require('googleapis');
 const { withRetry } = require('../utils/retry');
 const logger = require('../utils/logger');
+const { getRetentionPolicy, selectBackupsToPrune } = require('../utils/backupRetention');
 
 // デフォルト設定
 const DRIVE_FOLDER_NAME = process.env.DRIVE_FOLDER_NAME || 'PortfolioManagerData';
 const DRIVE_BACKUP_FOLDER_NAME = process.env.DRIVE_BACKUP_FOLDER_NAME || 'PortfolioManagerBackups';
-const FILE_FIELDS = 'id, name, mimeType, size, createdTime, modifiedTime, webViewLink, owners, permissions';
+const FILE_FIELDS = 'id, name, mimeType, size, createdTime, modifiedTime, headRevisionId, webViewLink, owners, permissions, appProperties';
+const PERMISSION_FIELDS = 'id, type, role, emailAddress, displayName';
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+const MAX_FOLDER_NAME_LENGTH = 100;
+
+/**
+ * Drive APIの検索クエリに埋め込む文字列をエスケープする
+ * @param {string} value - 文字列
+ * @returns {string} エスケープした文字列
+ */
+const escapeQueryValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
 
 // オブジェクトとして定義し、自己参照できるようにする
 const googleDriveService = {
@@ -50,7 +66,7 @@ const googleDriveService = {
       const drive = googleDriveService.getDriveClient(accessToken);
       
       // 検索クエリの構築
-      let query = `name='${folderName}' and mimeType='application/vnd.google-apps.folder' and trashed=false`;
+      let query = `name='${escapeQueryValue(folderName)}' and mimeType='${FOLDER_MIME_TYPE}' and trashed=false`;
       
       // 親フォルダが指定されている場合は条件に追加
       if (parentFolderId) {
@@ -73,7 +89,7 @@ const googleDriveService = {
       // フォルダが見つからない場合は新規作成
       const folderMetadata = {
         name: folderName,
-        mimeType: 'application/vnd.google-apps.folder'
+        mimeType: FOLDER_MIME_TYPE
       };
       
       // 親フォルダが指定されている場合は設定
@@ -135,9 +151,76 @@ const googleDriveService = {
     return googleDriveService.getOrCreateFolder(accessToken, DRIVE_BACKUP_FOLDER_NAME, mainFolderId);
   },
 
+  /**
+   * サブフォルダ名を検証する
+   * データフォルダ直下のフォルダとして作成できない名前の場合はエラーをスローする
+   * @param {string} folderName - サブフォルダ名
+   * @returns {string} 前後の空白を除いたサブフォルダ名
+   */
+  validateSubfolderName: (folderName) => {
+    const name = typeof folderName === 'string' ? folderName.trim() : '';
+    
+    if (!name || name.length > MAX_FOLDER_NAME_LENGTH || name.includes('/') || name === DRIVE_BACKUP_FOLDER_NAME) {
+      throw new Error('Invalid folder name');
+    }
+    
+    return name;
+  },
+
+  /**
+   * データフォルダ直下のサブフォルダ一覧を取得する（バックアップフォルダを除く）
+   * @param {string} accessToken - アクセストークン
+   * @returns {Promise<Array>} フォルダ一覧 [{ id, name, createdTime, modifiedTime }]
+   */
+  listSubfolders: async (accessToken) => {
+    try {
+      const drive = googleDriveService.getDriveClient(accessToken);
+      const mainFolderId = await googleDriveService.getOrCreateFolder(accessToken);
+      
+      const response = await withRetry(() => drive.files.list({
+        q: `'${mainFolderId}' in parents and mimeType='${FOLDER_MIME_TYPE}' and trashed=false`,
+        fields: 'files(id, name, createdTime, modifiedTime)',
+        orderBy: 'name'
+      }));
+      
+      return (response.data.files || []).filter(folder => folder.name !== DRIVE_BACKUP_FOLDER_NAME);
+    } catch (error) {
+      logger.error('Error listing subfolders from Drive:', error);
+      throw new Error('Failed to list folders from Google Drive');
+    }
+  },
+
+  /**
+   * データフォルダ直下のサブフォルダを検索する
+   * @param {string} accessToken - アクセストークン
+   * @param {string} folderName - サブフォルダ名
+   * @returns {Promise<string|null>} フォルダID（存在しない場合はnull）
+   */
+  findSubfolder: async (accessToken, folderName) => {
+    const name = googleDriveService.validateSubfolderName(folderName);
+    const folders = await googleDriveService.listSubfolders(accessToken);
+    const folder = folders.find(item => item.name === name);
+    
+    return folder ? folder.id : null;
+  },
+
+  /**
+   * データフォルダ直下のサブフォルダを取得または作成する
+   * 口座ごとなどにポートフォリオを整理するために使用する
+   * @param {string} accessToken - アクセストークン
+   * @param {string} folderName - サブフォルダ名
+   * @returns {Promise<string>} フォルダID
+   */
+  getOrCreateSubfolder: async (accessToken, folderName) => {
+    const name = googleDriveService.validateSubfolderName(folderName);
+    const mainFolderId = await googleDriveService.getOrCreateFolder(accessToken);
+    
+    return googleDriveService.getOrCreateFolder(accessToken, name, mainFolderId);
+  },
+
   /**
    * ファイルを保存する
-   * @param {string} fileName - ファイル名
+   * @param {string|null} fileName - ファイル名（既存ファイルの更新でnullの場合は現在の名前のまま）
    * @param {string} content - ファイルコンテンツ
    * @param {string} mimeType - MIMEタイプ
    * @param {string} accessToken - アクセストークン
@@ -156,13 +239,16 @@ const googleDriveService = {
       
       // メタデータの準備
       const fileMetadata = {
-        name: fileName,
         appProperties: {
           'appId': 'portfolio-manager',
           'lastUpdated': new Date().toISOString()
         }
       };
       
+      if (fileName) {
+        fileMetadata.name = fileName;
+      }
+      
       // 新規作成の場合はフォルダを指定
       if (!fileId) {
         const folderId = await googleDriveService.getOrCreateFolder(accessToken);
@@ -200,6 +286,7 @@ const googleDriveService = {
         size: response.data.size,
         createdTime: response.data.createdTime,
         modifiedTime: response.data.modifiedTime,
+        revisionId: response.data.headRevisionId,
         webViewLink: response.data.webViewLink
       };
     } catch (error) {
@@ -244,6 +331,13 @@ const googleDriveService = {
         }
       }));
       
+      // 保持ポリシーに従って古いバックアップを削除（失敗してもバックアップ作成は成功とする）
+      try {
+        await googleDriveService.pruneBackups(accessToken, { fileId });
+      } catch (pruneError) {
+        logger.warn(`Failed to prune backups for ${fileId}:`, pruneError);
+      }
+      
       return backupFile.data;
     } catch (error) {
       logger.warn('Failed to create backup file:', error);
@@ -252,6 +346,113 @@ const googleDriveService = {
     }
   },
 
+  /**
+   * バックアップフォルダ内のバックアップ一覧を取得する
+   * @param {string} accessToken - アクセストークン
+   * @param {string} [fileId] - 元ファイルID（省略時はすべてのバックアップ）
+   * @returns {Promise<Array>} バックアップファイル一覧（新しい順）
+   */
+  listBackupFiles: async (accessToken, fileId = null) => {
+    try {
+      const drive = googleDriveService.getDriveClient(accessToken);
+      const backupFolderId = await googleDriveService.getOrCreateBackupFolder(accessToken);
+      
+      let query = `'${backupFolderId}' in parents and trashed=false`;
+      
+      if (fileId) {
+        query += ` and appProperties has { key='originalFileId' and value='${fileId}' }`;
+      }
+      
+      // バックアップが多い場合に備えてページを順に取得する
+      const files = [];
+      let pageToken;
+      
+      do {
+        const response = await withRetry(() => drive.files.list({
+          q: query,
+          fields: `nextPageToken, files(${FILE_FIELDS})`,
+          orderBy: 'createdTime desc',
+          pageSize: 1000,
+          pageToken
+        }));
+        
+        files.push(...(response.data.files || []));
+        pageToken = response.data.nextPageToken;
+      } while (pageToken);
+      
+      return files;
+    } catch (error) {
+      logger.error('Error listing backup files from Drive:', error);
+      throw new Error('Failed to list backup files from Google Drive');
+    }
+  },
+
+  /**
+   * 保持ポリシーに従って古いバックアップを削除する
+   * 保持期間の判定は元ファイルごとに行い、元ファイルIDを持たないファイルは対象外とする
+   * @param {string} accessToken - アクセストークン
+   * @param {Object} [options={}] - オプション
+   * @param {string} [options.fileId] - 元ファイルID（省略時はすべてのバックアップ）
+   * @param {Object} [options.policy] - 保持ポリシー（省略した項目は環境変数の設定）
+   * @param {boolean} [options.dryRun=false] - trueの場合は削除せず対象のみ返す
+   * @returns {Promise<Object>} { policy, kept, pruned, failed }
+   */
+  pruneBackups: async (accessToken, options = {}) => {
+    const { fileId = null, dryRun = false } = options;
+    const policy = getRetentionPolicy(options.policy);
+    const backups = await googleDriveService.listBackupFiles(accessToken, fileId);
+    
+    // 元ファイルごとにまとめる
+    const groups = new Map();
+    backups.forEach(backup => {
+      const originalFileId = backup.appProperties && backup.appProperties.originalFileId;
+      if (!originalFileId) {
+        return;
+      }
+      if (!groups.has(originalFileId)) {
+        groups.set(originalFileId, []);
+      }
+      groups.get(originalFileId).push(backup);
+    });
+    
+    const now = new Date();
+    let kept = 0;
+    const pruned = [];
+    const failed = [];
+    
+    for (const [originalFileId, files] of groups) {
+      const selection = selectBackupsToPrune(files, policy, now);
+      kept += selection.keep.length;
+      
+      for (const backup of selection.prune) {
+        const summary = {
+          id: backup.id,
+          name: backup.name,
+          createdTime: backup.createdTime,
+          originalFileId
+        };
+        
+        if (dryRun) {
+          pruned.push(summary);
+          continue;
+        }
+        
+        try {
+          await googleDriveService.deleteFile(backup.id, accessToken, true);
+          pruned.push(summary);
+        } catch (error) {
+          failed.push(summary);
+        }
+      }
+    }
+    
+    if (pruned.length > 0 && !dryRun) {
+      logger.info(`Pruned ${pruned.length} backup files${fileId ? ` for ${fileId}` : ''}`);
+    }
+    
+    return { policy, kept, pruned, failed };
+  },
+
   /**
    * ファイルを取得する
    * @param {string} fileId - 取得するファイルのID
@@ -322,12 +523,88 @@ const googleDriveService = {
     }
   },
 
+  /**
+   * ファイルの現在のバージョン（更新日時とリビジョンID）を取得する
+   * @param {string} fileId - ファイルID
+   * @param {string} accessToken - アクセストークン
+   * @returns {Promise<Object>} { id, name, modifiedTime, revisionId }
+   */
+  getFileVersion: async (fileId, accessToken) => {
+    try {
+      const drive = googleDriveService.getDriveClient(accessToken);
+      
+      const response = await withRetry(() => drive.files.get({
+        fileId,
+        fields: 'id, name, modifiedTime, headRevisionId'
+      }));
+      
+      return {
+        id: response.data.id,
+        name: response.data.name,
+        modifiedTime: response.data.modifiedTime,
+        revisionId: response.data.headRevisionId
+      };
+    } catch (error) {
+      logger.error(`Error getting file version for ${fileId}:`, error);
+      throw new Error('Failed to get file version from Google Drive');
+    }
+  },
+
+  /**
+   * ファイルのリビジョン一覧を取得する
+   * @param {string} fileId - ファイルID
+   * @param {string} accessToken - アクセストークン
+   * @returns {Promise<Array>} リビジョン一覧（古い順）
+   */
+  listFileRevisions: async (fileId, accessToken) => {
+    try {
+      const drive = googleDriveService.getDriveClient(accessToken);
+      
+      const response = await withRetry(() => drive.revisions.list({
+        fileId,
+        fields: 'revisions(id, modifiedTime, size)',
+        pageSize: 200
+      }));
+      
+      return response.data.revisions || [];
+    } catch (error) {
+      logger.error(`Error listing revisions for ${fileId}:`, error);
+      throw new Error('Failed to list file revisions from Google Drive');
+    }
+  },
+
+  /**
+   * 指定したリビジョンのファイルコンテンツを取得する
+   * @param {string} fileId - ファイルID
+   * @param {string} revisionId - リビジョンID
+   * @param {string} accessToken - アクセストークン
+   * @returns {Promise<string>} ファイルコンテンツ
+   */
+  getRevisionContent: async (fileId, revisionId, accessToken) => {
+    try {
+      const drive = googleDriveService.getDriveClient(accessToken);
+      
+      const response = await withRetry(() => drive.revisions.get({
+        fileId,
+        revisionId,
+        alt: 'media'
+      }));
+      
+      return response.data;
+    } catch (error) {
+      logger.error(`Error getting revision ${revisionId} of ${fileId}:`, error);
+      throw new Error('Failed to get file revision from Google Drive');
+    }
+  },
+
   /**
    * ファイル一覧を取得する
    * @param {string} accessToken - アクセストークン
    * @param {Object} options - 検索オプション
    * @param {string} [options.nameFilter] - 名前フィルター
    * @param {string} [options.mimeType] - MIMEタイプ
+   * @param {string} [options.folderId] - 検索するフォルダID（省略時はデータフォルダ）
+   * @param {boolean} [options.appFilesOnly=false] - このアプリで保存したファイルのみに絞るかどうか
    * @param {string} [options.orderBy='createdTime desc'] - 並び順
    * @param {number} [options.maxResults=100] - 最大取得数
    * @returns {Promise<Array>} ファイル一覧
@@ -337,18 +614,24 @@ const googleDriveService = {
       const {
         nameFilter,
         mimeType,
+        folderId,
+        appFilesOnly = false,
         orderBy = 'createdTime desc',
         maxResults = 100
       } = options;
       
       const drive = googleDriveService.getDriveClient(accessToken);
-      const folderId = await googleDriveService.getOrCreateFolder(accessToken);
+      const parentId = folderId || await googleDriveService.getOrCreateFolder(accessToken);
       
       // クエリの構築
-      let query = `'${folderId}' in parents and trashed=false`;
+      let query = `'${parentId}' in parents and trashed=false`;
       
       if (nameFilter) {
-        query += ` and name contains '${nameFilter}'`;
+        query += ` and name contains '${escapeQueryValue(nameFilter)}'`;
+      }
+      
+      if (appFilesOnly) {
+        query += ` and appProperties has { key='appId' and value='portfolio-manager' }`;
       }
       
       if (mimeType) {
@@ -372,13 +655,30 @@ const googleDriveService = {
 
   /**
    * ポートフォリオデータのファイル一覧を取得する（拡張版）
+   * ファイル名は変更できるため、このアプリで保存したJSONファイルを対象とする
    * @param {string} accessToken - アクセストークン
+   * @param {Object} [options={}] - 検索オプション（listFiles と同じ）
+   * @param {string} [options.folder] - サブフォルダ名（省略時はデータフォルダ直下）
    * @returns {Promise<Array>} ファイル一覧
    */
-  listPortfolioFiles: async (accessToken) => {
+  listPortfolioFiles: async (accessToken, options = {}) => {
+    const { folder, ...searchOptions } = options;
+    let folderId;
+    
+    if (folder) {
+      folderId = await googleDriveService.findSubfolder(accessToken, folder);
+      
+      // 存在しないサブフォルダにはファイルが無い
+      if (!folderId) {
+        return [];
+      }
+    }
+    
     return googleDriveService.listFiles(accessToken, {
-      nameFilter: 'portfolio',
-      mimeType: 'application/json'
+      ...searchOptions,
+      folderId,
+      mimeType: 'application/json',
+      appFilesOnly: true
     });
   },
 
@@ -450,6 +750,161 @@ const googleDriveService = {
     }
   },
 
+  /**
+   * ファイル名を変更する
+   * @param {string} fileId - ファイルID
+   * @param {string} newName - 新しいファイル名
+   * @param {string} accessToken - アクセストークン
+   * @returns {Promise<Object>} 更新後のファイル情報
+   */
+  renameFile: async (fileId, newName, accessToken) => {
+    try {
+      const drive = googleDriveService.getDriveClient(accessToken);
+      
+      const response = await withRetry(() => drive.files.update({
+        fileId,
+        resource: {
+          name: newName
+        },
+        fields: FILE_FIELDS
+      }));
+      
+      return response.data;
+    } catch (error) {
+      logger.error(`Error renaming file ${fileId}:`, error);
+      throw new Error('Failed to rename file in Google Drive');
+    }
+  },
+
+  /**
+   * ゴミ箱に移動したファイルを元に戻す
+   * @param {string} fileId - ファイルID
+   * @param {string} accessToken - アクセストークン
+   * @returns {Promise<Object>} 復元したファイル情報
+   */
+  restoreFile: async (fileId, accessToken) => {
+    try {
+      const drive = googleDriveService.getDriveClient(accessToken);
+      
+      const response = await withRetry(() => drive.files.update({
+        fileId,
+        resource: {
+          trashed: false
+        },
+        fields: FILE_FIELDS
+      }));
+      
+      return response.data;
+    } catch (error) {
+      logger.error(`Error restoring file ${fileId} from trash:`, error);
+      throw new Error('Failed to restore file in Google Drive');
+    }
+  },
+
+  /**
+   * ファイルの共有相手一覧を取得する
+   * @param {string} fileId - ファイルID
+   * @param {string} accessToken - アクセストークン
+   * @returns {Promise<Array>} 権限一覧
+   */
+  listFilePermissions: async (fileId, accessToken) => {
+    try {
+      const drive = googleDriveService.getDriveClient(accessToken);
+      
+      const response = await withRetry(() => drive.permissions.list({
+        fileId,
+        fields: `permissions(${PERMISSION_FIELDS})`
+      }));
+      
+      return response.data.permissions || [];
+    } catch (error) {
+      logger.error(`Error listing permissions for ${fileId}:`, error);
+      throw new Error('Failed to list file permissions from Google Drive');
+    }
+  },
+
+  /**
+   * 他のGoogleユーザーにファイルの閲覧権限を付与する
+   * @param {string} fileId - ファイルID
+   * @param {string} emailAddress - 共有相手のメールアドレス
+   * @param {string} accessToken - アクセストークン
+   * @param {Object} [options={}] - オプション
+   * @param {boolean} [options.notify=false] - 共有相手に通知メールを送るかどうか
+   * @param {string} [options.message] - 通知メールに添えるメッセージ
+   * @returns {Promise<Object>} 作成された権限
+   */
+  shareFile: async (fileId, emailAddress, accessToken, options = {}) => {
+    const { notify = false, message } = options;
+    
+    try {
+      const drive = googleDriveService.getDriveClient(accessToken);
+      
+      const params = {
+        fileId,
+        resource: {
+          type: 'user',
+          role: 'reader',
+          emailAddress
+        },
+        sendNotificationEmail: notify,
+        fields: PERMISSION_FIELDS
+      };
+      
+      if (notify && message) {
+        params.emailMessage = message;
+      }
+      
+      const response = await withRetry(() => drive.permissions.create(params));
+      
+      return response.data;
+    } catch (error) {
+      logger.error(`Error sharing file ${fileId}:`, error);
+      throw new Error('Failed to share file on Google Drive');
+    }
+  },
+
+  /**
+   * 他のGoogleユーザーのファイルへの権限を取り消す
+   * 所有者の権限は取り消せない
+   * @param {string} fileId - ファイルID
+   * @param {Object} target - 取り消す相手
+   * @param {string} [target.permissionId] - 権限ID
+   * @param {string} [target.emailAddress] - 共有相手のメールアドレス
+   * @param {string} accessToken - アクセストークン
+   * @returns {Promise<Object>} 取り消した権限
+   */
+  unshareFile: async (fileId, target, accessToken) => {
+    const permissions = await googleDriveService.listFilePermissions(fileId, accessToken);
+    const email = target.emailAddress ? target.emailAddress.toLowerCase() : null;
+    
+    const permission = permissions.find(item => (
+      (target.permissionId && item.id === target.permissionId) ||
+      (email && item.emailAddress && item.emailAddress.toLowerCase() === email)
+    ));
+    
+    if (!permission) {
+      throw new Error('Share not found for the user');
+    }
+    
+    if (permission.role === 'owner') {
+      throw new Error('Cannot remove the file owner');
+    }
+    
+    try {
+      const drive = googleDriveService.getDriveClient(accessToken);
+      
+      await withRetry(() => drive.permissions.delete({
+        fileId,
+        permissionId: permission.id
+      }));
+      
+      return permission;
+    } catch (error) {
+      logger.error(`Error removing permission ${permission.id} from ${fileId}:`, error);
+      throw new Error('Failed to unshare file on Google Drive');
+    }
+  },
+
   /**
    * Google Driveからポートフォリオデータを読み込む（拡張版）
    * @param {string} accessToken - アクセストークン
@@ -477,6 +932,7 @@ const googleDriveService = {
         fileId: metadata.id,
         createdTime: metadata.createdTime,
         modifiedTime: metadata.modifiedTime,
+        revisionId: metadata.headRevisionId,
         webViewLink: metadata.webViewLink
       };
     } catch (error) {
@@ -496,9 +952,9 @@ const googleDriveService = {
    */
   savePortfolioToDrive: async (accessToken, portfolioData, fileId = null, createBackup = true) => {
     try {
-      // ファイル名の生成（現在のタイムスタンプを含む）
+      // 新規作成時のみファイル名を生成（更新時は変更された名前を保つため現在の名前のまま）
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const fileName = `portfolio-data-${timestamp}.json`;
+      const fileName = fileId ? null : `portfolio-data-${timestamp}.json`;
       
       // ファイルのコンテンツ
       const content = JSON.stringify(portfolioData, null, 2);
@@ -519,7 +975,8 @@ const googleDriveService = {
         fileName: saveResult.name,
         webViewLink: saveResult.webViewLink,
         createdTime: saveResult.createdTime,
-        modifiedTime: saveResult.modifiedTime
+        modifiedTime: saveResult.modifiedTime,
+        revisionId: saveResult.revisionId
       };
     } catch (error) {
       logger.error('Error saving portfolio to Drive:', error);
@@ -540,14 +997,11 @@ const googleDriveService = {
       // バックアップフォルダを取得
       const backupFolderId = await googleDriveService.getOrCreateBackupFolder(accessToken);
       
-      // ファイルのメタデータを取得
-      const fileInfo = await googleDriveService.getFileMetadata(fileId, accessToken);
-      
-      // ファイル名を取得
-      const fileName = fileInfo.name;
+      // ファイルの存在を確認
+      await googleDriveService.getFileMetadata(fileId, accessToken);
       
-      // バックアップを検索
-      const query = `'${backupFolderId}' in parents and name contains '${fileName}' and trashed=false`;
+      // バックアップを検索（保存のたびにファイル名が変わるため、バックアップ作成時に記録した元ファイルIDで検索する）
+      const query = `'${backupFolderId}' in parents and appProperties has { key='originalFileId' and value='${fileId}' } and trashed=false`;
       
       // バックアップファイル一覧を取得
       const response = await withRetry(() => drive.files.list({
@@ -561,6 +1015,60 @@ const googleDriveService = {
       logger.error(`Error getting version history for ${fileId}:`, error);
       throw new Error('Failed to get version history from Google Drive');
     }
+  },
+
+  /**
+   * バックアップを現在のファイルに復元する
+   * 復元前に現在の内容のバックアップを作成し、作成できない場合は復元しない
+   * @param {string} fileId - 復元先のファイルID
+   * @param {string} versionId - 復元するバックアップのファイルID
+   * @param {string} accessToken - アクセストークン
+   * @returns {Promise<Object>} { file, backup, restoredFrom }
+   */
+  restorePortfolioVersion: async (fileId, versionId, accessToken) => {
+    const [fileInfo, versionInfo] = await Promise.all([
+      googleDriveService.getFileMetadata(fileId, accessToken),
+      googleDriveService.getFileMetadata(versionId, accessToken)
+    ]);
+    
+    // 別のファイルのバックアップは復元できない
+    if (!versionInfo.appProperties || versionInfo.appProperties.originalFileId !== fileId) {
+      throw new Error('Version does not belong to the file');
+    }
+    
+    const content = await googleDriveService.getFile(versionId, accessToken);
+    
+    // 復元前の内容を残すため、先にバックアップを作成する
+    const drive = googleDriveService.getDriveClient(accessToken);
+    const backup = await googleDriveService.createFileBackup(drive, fileId, accessToken);
+    
+    if (!backup) {
+      throw new Error('Failed to create backup before restore');
+    }
+    
+    const file = await googleDriveService.saveFile(
+      fileInfo.name,
+      typeof content === 'string' ? content : JSON.stringify(content, null, 2),
+      'application/json',
+      accessToken,
+      fileId,
+      false
+    );
+    
+    logger.info(`Restored ${fileId} from backup ${versionId}`);
+    
+    return {
+      file,
+      backup: {
+        id: backup.id,
+        name: backup.name
+      },
+      restoredFrom: {
+        id: versionInfo.id,
+        name: versionInfo.name,
+        createdTime: versionInfo.createdTime
+      }
+    };
   }
 };
 
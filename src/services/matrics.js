@@ -8,6 +8,9 @@
  * 
  * @author Portfolio Manager Team
  * @created 2025-05-20
+ * @updated 2025-06-13 機能追加: ETF・REITのデータタイプに対応
+ * @updated 2025-06-14 機能追加: 暗号資産のデータタイプに対応
+ * @updated 2025-06-15 機能追加: 市場指数のデータタイプに対応
  */
 'use strict';
 
@@ -40,7 +43,10 @@ const TYPE_KEY_MAP = {
   'jp-stock': 'JP_STOCK',
   'us-stock': 'US_STOCK',
   'mutual-fund': 'MUTUAL_FUND',
-  'exchange-rate': 'EXCHANGE_RATE'
+  'exchange-rate': 'EXCHANGE_RATE',
+  'etf': 'ETF',
+  'crypto': 'CRYPTO',
+  'index': 'INDEX'
 };
 
 const normalizePriorityKeys = (priorities) => {
@@ -165,6 +171,9 @@ const getSourcePriority = async (dataType) => {
   if (dataType === 'us-stock') mappedType = 'US_STOCK';
   if (dataType === 'mutual-fund') mappedType = 'MUTUAL_FUND';
   if (dataType === 'exchange-rate') mappedType = 'EXCHANGE_RATE';
+  if (dataType === 'etf') mappedType = 'ETF';
+  if (dataType === 'crypto') mappedType = 'CRYPTO';
+  if (dataType === 'index') mappedType = 'INDEX';
 
   return sourcePriorities[mappedType] || DATA_SOURCES[mappedType]?.DEFAULT_PRIORITY || [];
 };
@@ -195,6 +204,9 @@ const updateSourcePriority = async (dataType, source, adjustment) => {
   if (dataType === 'us-stock') mappedType = 'US_STOCK';
   if (dataType === 'mutual-fund') mappedType = 'MUTUAL_FUND';
   if (dataType === 'exchange-rate') mappedType = 'EXCHANGE_RATE';
+  if (dataType === 'etf') mappedType = 'ETF';
+  if (dataType === 'crypto') mappedType = 'CRYPTO';
+  if (dataType === 'index') mappedType = 'INDEX';
 
   try {
     // 現在の優先順位配列
@@ -0,0 +1,594 @@
+/**
+ * プロジェクト: portfolio-market-data-api
+ * ファイルパス: src/services/performanceService.js
+ *
+ * 説明:
+ * ポートフォリオのパフォーマンス計算サービス。
+ * 取引履歴と過去の市場価格・為替レートから日次の評価額を再構成し、
+ * 期間ごとの時間加重収益率（TWR）と金額加重収益率（XIRR）を算出します。
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-29
+ * @updated 2025-06-17 バグ修正: 分割調整済みの終値を分割前の株価に戻し、株式分割による見かけ上の収益を除外
+ */
+'use strict';
+
+const historicalDataService = require('./sources/historicalData');
+const exchangeRateService = require('./sources/exchangeRate');
+const corporateActionsService = require('./sources/corporateActions');
+const {
+  DATA_TYPES,
+  TRANSACTION_SIDES,
+  PERFORMANCE_SETTINGS,
+  HISTORY_SETTINGS,
+  CORPORATE_ACTION_SETTINGS
+} = require('../config/constants');
+const { getRangeStartDate, normalizeDate } = require('../utils/historyUtils');
+const { getHoldingDataType } = require('../utils/symbolUtils');
+const logger = require('../utils/logger');
+
+/**
+ * 1日のミリ秒数
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * デフォルトの基準通貨
+ */
+const DEFAULT_BASE_CURRENCY = 'JPY';
+
+/**
+ * 日付文字列（YYYY-MM-DD）をUTCのタイムスタンプに変換する
+ * @param {string} date - 日付文字列
+ * @returns {number} タイムスタンプ
+ */
+const toTime = (date) => Date.parse(`${date}T00:00:00Z`);
+
+/**
+ * Dateを日付文字列（YYYY-MM-DD）に変換する
+ * @param {Date} date - 日付
+ * @returns {string} 日付文字列
+ */
+const formatDate = (date) => {
+  const year = date.getUTCFullYear();
+  const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+  const day = String(date.getUTCDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+/**
+ * 数値を指定桁数で丸める（null/非有限値はnull）
+ * @param {number} value - 数値
+ * @param {number} [digits=2] - 小数点以下の桁数
+ * @returns {number|null} 丸めた数値
+ */
+const round = (value, digits = 2) => {
+  if (value === null || !Number.isFinite(value)) {
+    return null;
+  }
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * 期間の開始日を算出する
+ * @param {string} period - 期間（PERFORMANCE_SETTINGS.PERIODS のいずれか）
+ * @param {string} endDate - 終了日（YYYY-MM-DD）
+ * @returns {string|null} 開始日（YYYY-MM-DD）。'max' の場合は最初の取引からとしてnull
+ */
+const getPeriodStartDate = (period, endDate) => {
+  if (period === 'max') {
+    return null;
+  }
+
+  if (period === 'ytd') {
+    // 前年末の評価額を期首とする
+    return `${Number(endDate.substring(0, 4)) - 1}-12-31`;
+  }
+
+  const start = getRangeStartDate(period, new Date(toTime(endDate)));
+  return start ? formatDate(start) : null;
+};
+
+/**
+ * 指定日以前をカバーする最小の履歴取得期間を選択する
+ * @param {string} startDate - 必要な開始日（YYYY-MM-DD）
+ * @param {string} endDate - 終了日（YYYY-MM-DD）
+ * @returns {string} 履歴取得期間（HISTORY_SETTINGS.RANGES のいずれか）
+ */
+const selectHistoryRange = (startDate, endDate) => {
+  const end = new Date(toTime(endDate));
+
+  const range = HISTORY_SETTINGS.RANGES.find(candidate => {
+    const start = getRangeStartDate(candidate, end);
+    return start && formatDate(start) <= startDate;
+  });
+
+  return range || 'max';
+};
+
+/**
+ * 日付順の系列から指定日以前の直近の値を返す関数を生成する
+ * @param {Array<Object>} bars - 日付昇順の足データ（date, close）
+ * @returns {Function} (date) => number|null
+ */
+const createSeriesLookup = (bars) => {
+  const points = (bars || [])
+    .filter(bar => bar && bar.date && Number.isFinite(Number(bar.close)))
+    .map(bar => ({ date: bar.date, value: Number(bar.close) }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  return (date) => {
+    let low = 0;
+    let high = points.length - 1;
+    let found = null;
+
+    while (low <= high) {
+      const mid = Math.floor((low + high) / 2);
+      if (points[mid].date <= date) {
+        found = points[mid].value;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return found;
+  };
+};
+
+/**
+ * 不規則なキャッシュフローの内部収益率（XIRR）を算出する
+ * ニュートン法で収束しない場合は二分法で求める
+ * @param {Array<Object>} cashFlows - キャッシュフロー [{ date, amount }]（投資家から見た入出金。拠出は負、受取は正）
+ * @returns {number|null} 年率の収益率（小数）。算出できない場合はnull
+ */
+const xirr = (cashFlows) => {
+  const flows = cashFlows
+    .filter(flow => flow.amount !== 0)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  if (!flows.some(flow => flow.amount > 0) || !flows.some(flow => flow.amount < 0)) {
+    return null;
+  }
+
+  const t0 = toTime(flows[0].date);
+  const years = flows.map(flow => (toTime(flow.date) - t0) / DAY_MS / 365);
+
+  if (years[years.length - 1] === 0) {
+    return null;
+  }
+
+  const npv = rate => flows.reduce(
+    (sum, flow, i) => sum + flow.amount / Math.pow(1 + rate, years[i]), 0
+  );
+  const derivative = rate => flows.reduce(
+    (sum, flow, i) => sum - years[i] * flow.amount / Math.pow(1 + rate, years[i] + 1), 0
+  );
+
+  // ニュートン法
+  let rate = 0.1;
+  for (let i = 0; i < 50; i++) {
+    const value = npv(rate);
+    const slope = derivative(rate);
+    if (!Number.isFinite(value) || !Number.isFinite(slope) || slope === 0) {
+      break;
+    }
+    const next = rate - value / slope;
+    if (!Number.isFinite(next) || next <= -1) {
+      break;
+    }
+    if (Math.abs(next - rate) < 1e-10) {
+      return next;
+    }
+    rate = next;
+  }
+
+  // 二分法
+  let low = -0.9999;
+  let high = 100;
+  let lowValue = npv(low);
+  if (lowValue * npv(high) > 0) {
+    return null;
+  }
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const midValue = npv(mid);
+    if (Math.abs(midValue) < 1e-7) {
+      return mid;
+    }
+    if (lowValue * midValue < 0) {
+      high = mid;
+    } else {
+      low = mid;
+      lowValue = midValue;
+    }
+  }
+
+  return (low + high) / 2;
+};
+
+/**
+ * 分割調整済みの終値を当時の株価（分割前の水準）に戻す
+ * Yahoo Financeの終値は分割調整済みのため、取引履歴の保有数（分割前は分割前の株数）と
+ * 掛け合わせると分割前の評価額が分割比率の分だけ小さくなる。
+ * 各足の日付より後の株式分割の比率を掛けて、保有数と同じ水準の価格にする
+ * @param {Array<Object>} bars - 足データ（date, close）
+ * @param {Array<Object>} splits - 株式分割の配列（[{date, ratio}]）
+ * @returns {Array<Object>} 当時の株価に戻した足データ
+ */
+const unadjustSplits = (bars, splits) => {
+  if (!Array.isArray(splits) || splits.length === 0) {
+    return bars;
+  }
+
+  const today = formatDate(new Date());
+
+  return bars.map(bar => ({
+    ...bar,
+    close: Number(bar.close) * corporateActionsService.getCumulativeSplitRatio(splits, bar.date, today)
+  }));
+};
+
+/**
+ * 価格履歴の調整に使用する株式分割を取得する
+ * @param {Object} instrument - { symbol, dataType }
+ * @param {string} range - 履歴取得期間
+ * @param {boolean} refresh - キャッシュを無視するかどうか
+ * @param {Array<string>} warnings - 警告の出力先
+ * @returns {Promise<Array<Object>>} 株式分割の配列（取得できない場合は空配列）
+ */
+const fetchSplits = async ({ symbol, dataType }, range, refresh, warnings) => {
+  if (!corporateActionsService.isSupportedDataType(dataType)) {
+    return [];
+  }
+
+  try {
+    const actions = await corporateActionsService.getCorporateActions({
+      dataType,
+      symbol,
+      range: CORPORATE_ACTION_SETTINGS.RANGES.includes(range) ? range : CORPORATE_ACTION_SETTINGS.RANGES[0],
+      refresh
+    });
+    return actions && Array.isArray(actions.splits) ? actions.splits : [];
+  } catch (error) {
+    logger.warn(`Corporate actions unavailable for ${symbol}:`, error.message);
+    warnings.push(`No split history for ${symbol}; prices are not adjusted for splits`);
+    return [];
+  }
+};
+
+/**
+ * 銘柄ごとの価格履歴を取得する
+ * 株式は分割調整済みの終値を当時の株価に戻してから使用する
+ * @param {Array<Object>} instruments - [{ symbol, dataType }]
+ * @param {string} range - 履歴取得期間
+ * @param {boolean} refresh - キャッシュを無視するかどうか
+ * @param {Array<string>} warnings - 警告の出力先
+ * @returns {Promise<Object>} { lookups: 銘柄ごとの価格参照関数, dates: 価格が存在する日付 }
+ */
+const fetchPriceHistories = async (instruments, range, refresh, warnings) => {
+  const lookups = {};
+  const dates = new Set();
+
+  await Promise.all(instruments.map(async (instrument) => {
+    const { symbol, dataType } = instrument;
+    let bars = [];
+    try {
+      const history = await historicalDataService.getHistoricalData({
+        dataType,
+        symbol,
+        range,
+        interval: '1d',
+        refresh
+      });
+      bars = history && Array.isArray(history.bars) ? history.bars : [];
+    } catch (error) {
+      logger.warn(`Price history unavailable for ${symbol}:`, error.message);
+    }
+
+    if (bars.length === 0) {
+      warnings.push(`No price history for ${symbol}; using transaction prices`);
+    } else {
+      bars = unadjustSplits(bars, await fetchSplits(instrument, range, refresh, warnings));
+    }
+
+    bars.forEach(bar => dates.add(bar.date));
+    lookups[symbol] = createSeriesLookup(bars);
+  }));
+
+  return { lookups, dates: [...dates] };
+};
+
+/**
+ * 通貨ごとの基準通貨への為替レート履歴を取得する
+ * 履歴が取得できない通貨は現在のレートで一律に換算する
+ * @param {Array<string>} currencies - 通貨コード
+ * @param {string} baseCurrency - 基準通貨
+ * @param {string} range - 履歴取得期間
+ * @param {boolean} refresh - キャッシュを無視するかどうか
+ * @param {Array<string>} warnings - 警告の出力先
+ * @returns {Promise<Object>} 通貨コードをキー、レート参照関数を値とするオブジェクト
+ */
+const fetchFxLookups = async (currencies, baseCurrency, range, refresh, warnings) => {
+  const lookups = { [baseCurrency]: () => 1 };
+  const missing = [];
+
+  await Promise.all(currencies.filter(currency => currency !== baseCurrency).map(async currency => {
+    try {
+      const history = await historicalDataService.getHistoricalData({
+        dataType: DATA_TYPES.EXCHANGE_RATE,
+        symbol: `${currency}-${baseCurrency}`,
+        range,
+        interval: '1d',
+        refresh
+      });
+      const bars = history && Array.isArray(history.bars) ? history.bars : [];
+      if (bars.length === 0) {
+        missing.push(currency);
+        return;
+      }
+      const lookup = createSeriesLookup(bars);
+      const firstRate = Number(bars[0].close);
+      lookups[currency] = date => lookup(date) || firstRate;
+    } catch (error) {
+      logger.warn(`Exchange rate history unavailable for ${currency}-${baseCurrency}:`, error.message);
+      missing.push(currency);
+    }
+  }));
+
+  if (missing.length > 0) {
+    const current = await exchangeRateService.getBatchExchangeRates(
+      missing.map(currency => ({ base: currency, target: baseCurrency }))
+    );
+
+    missing.forEach(currency => {
+      const rateData = current[`${currency}-${baseCurrency}`];
+      const rate = rateData ? Number(rateData.rate) : NaN;
+      if (!Number.isFinite(rate) || rate <= 0) {
+        throw new Error(`Exchange rate unavailable for ${currency}-${baseCurrency}`);
+      }
+      warnings.push(`No exchange rate history for ${currency}-${baseCurrency}; using current rate`);
+      lookups[currency] = () => rate;
+    });
+  }
+
+  return lookups;
+};
+
+/**
+ * 取引履歴から日次の評価額と資金流出入の系列を構築する
+ * 資金流出入は基準通貨建てで、ポートフォリオへの拠出（買付）を正、
+ * 引き出し（売却代金・配当金の受取）を負とする
+ * @param {Array<Object>} transactions - 正規化済みの取引履歴
+ * @param {Array<string>} priceDates - 価格が存在する日付
+ * @param {string} endDate - 終了日（YYYY-MM-DD）
+ * @param {Object} priceLookups - 銘柄ごとの価格参照関数
+ * @param {Object} fxLookups - 通貨ごとのレート参照関数
+ * @returns {Array<Object>} [{ date, value, flow }] の日付昇順の系列
+ */
+const buildValueSeries = (transactions, priceDates, endDate, priceLookups, fxLookups) => {
+  const sorted = transactions
+    .map((transaction, index) => ({ transaction, index }))
+    .sort((a, b) => a.transaction.tradeDate.localeCompare(b.transaction.tradeDate) || a.index - b.index)
+    .map(({ transaction }) => transaction)
+    .filter(transaction => transaction.tradeDate <= endDate);
+
+  if (sorted.length === 0) {
+    return [];
+  }
+
+  const firstDate = sorted[0].tradeDate;
+  const dates = [...new Set([
+    ...sorted.map(transaction => transaction.tradeDate),
+    ...priceDates.filter(date => date >= firstDate && date <= endDate),
+    endDate
+  ])].sort();
+
+  const positions = new Map();
+  const series = [];
+  let cursor = 0;
+
+  dates.forEach(date => {
+    let flow = 0;
+
+    // 当日の取引を反映
+    while (cursor < sorted.length && sorted[cursor].tradeDate === date) {
+      const transaction = sorted[cursor++];
+      const { symbol, side, quantity, price, fees, currency } = transaction;
+      const rate = fxLookups[currency](date);
+
+      if (!positions.has(symbol)) {
+        positions.set(symbol, { shares: 0, currency, lastPrice: price });
+      }
+      const position = positions.get(symbol);
+
+      switch (side) {
+        case TRANSACTION_SIDES.OPENING:
+        case TRANSACTION_SIDES.BUY:
+          position.shares += quantity;
+          position.lastPrice = price;
+          flow += (quantity * price + fees) * rate;
+          break;
+
+        case TRANSACTION_SIDES.SELL: {
+          const sellQuantity = Math.min(quantity, position.shares);
+          position.shares -= sellQuantity;
+          position.lastPrice = price;
+          flow -= (sellQuantity * price - fees) * rate;
+          break;
+        }
+
+        case TRANSACTION_SIDES.SPLIT:
+          position.shares *= transaction.ratio;
+          position.lastPrice /= transaction.ratio;
+          break;
+
+        case TRANSACTION_SIDES.DIVIDEND:
+          flow -= (quantity * price - fees) * rate;
+          break;
+
+        default:
+          break;
+      }
+    }
+
+    // 当日の評価額（価格が無い場合は直近の約定単価）
+    let value = 0;
+    positions.forEach((position, symbol) => {
+      if (position.shares <= 0) {
+        return;
+      }
+      const price = priceLookups[symbol](date);
+      const rate = fxLookups[position.currency](date);
+      value += position.shares * (price !== null ? price : position.lastPrice) * rate;
+    });
+
+    series.push({ date, value, flow });
+  });
+
+  return series;
+};
+
+/**
+ * 評価額の系列から指定期間のパフォーマンスを算出する
+ * @param {Array<Object>} series - buildValueSeries の系列
+ * @param {string|null} startDate - 開始日（この日の終値時点の評価額を期首とする）。nullの場合は最初の取引から
+ * @param {string} endDate - 終了日
+ * @returns {Object} 期間のパフォーマンス
+ */
+const calculatePeriodPerformance = (series, startDate, endDate) => {
+  // 期首: 開始日以前の直近の評価額（無ければ評価額0から開始）
+  let startIndex = -1;
+  for (let i = 0; startDate && i < series.length && series[i].date <= startDate; i++) {
+    startIndex = i;
+  }
+
+  const effectiveStart = startIndex >= 0 ? startDate : series[0].date;
+  const startValue = startIndex >= 0 ? series[startIndex].value : 0;
+  const window = series.slice(startIndex + 1);
+  const endValue = series[series.length - 1].value;
+
+  // 時間加重収益率: 日次収益率（資金流出入は当日の終値時点とみなす）を連結する
+  let growth = 1;
+  let previousValue = startValue;
+  window.forEach(({ value, flow }) => {
+    if (previousValue > 0) {
+      growth *= (value - flow) / previousValue;
+    } else if (flow > 0) {
+      growth *= value / flow;
+    }
+    previousValue = value;
+  });
+
+  // 金額加重収益率: 期首評価額と期中の資金流出入、期末評価額の内部収益率
+  const cashFlows = [];
+  if (startValue > 0) {
+    cashFlows.push({ date: effectiveStart, amount: -startValue });
+  }
+  window.forEach(({ date, flow }) => {
+    if (flow !== 0) {
+      cashFlows.push({ date, amount: -flow });
+    }
+  });
+  cashFlows.push({ date: endDate, amount: endValue });
+
+  const netCashFlow = window.reduce((sum, { flow }) => sum + flow, 0);
+  const days = (toTime(endDate) - toTime(effectiveStart)) / DAY_MS;
+  const twr = growth - 1;
+  const moneyWeighted = xirr(cashFlows);
+
+  return {
+    startDate: effectiveStart,
+    endDate,
+    days,
+    startValue: round(startValue),
+    endValue: round(endValue),
+    netCashFlow: round(netCashFlow),
+    gain: round(endValue - startValue - netCashFlow),
+    twr: days > 0 ? round(twr * 100) : null,
+    twrAnnualized: days >= 365 ? round((Math.pow(1 + twr, 365 / days) - 1) * 100) : null,
+    xirr: moneyWeighted !== null ? round(moneyWeighted * 100) : null
+  };
+};
+
+/**
+ * ポートフォリオのパフォーマンスを算出する
+ * @param {Object} portfolio - 検証済みのポートフォリオデータ（transactions を含む）
+ * @param {Object} [options] - 計算オプション
+ * @param {Array<string>} [options.periods] - 期間（デフォルト: PERFORMANCE_SETTINGS.DEFAULT_PERIODS）
+ * @param {string} [options.baseCurrency] - 基準通貨（省略時はポートフォリオの baseCurrency、なければJPY）
+ * @param {string} [options.asOf] - 基準日（YYYY-MM-DD、デフォルト: 今日）
+ * @param {boolean} [options.refresh=false] - キャッシュを無視するかどうか
+ * @returns {Promise<Object>} { baseCurrency, asOf, periods, warnings }
+ */
+const calculatePerformance = async (portfolio, {
+  periods = PERFORMANCE_SETTINGS.DEFAULT_PERIODS,
+  baseCurrency,
+  asOf,
+  refresh = false
+} = {}) => {
+  const currency = (baseCurrency || portfolio.baseCurrency || DEFAULT_BASE_CURRENCY).toUpperCase();
+  const endDate = normalizeDate(asOf) || formatDate(new Date());
+  const transactions = (portfolio.transactions || []).filter(transaction => transaction.tradeDate <= endDate);
+  const warnings = [];
+
+  if (transactions.length === 0) {
+    return {
+      baseCurrency: currency,
+      asOf: endDate,
+      periods: Object.fromEntries(periods.map(period => [period, null])),
+      warnings: ['No transactions to calculate performance']
+    };
+  }
+
+  const firstDate = transactions.reduce(
+    (min, transaction) => (transaction.tradeDate < min ? transaction.tradeDate : min),
+    transactions[0].tradeDate
+  );
+
+  // 最初の取引日以降の履歴をまとめて取得する（それ以前の評価額は0）
+  const periodStarts = Object.fromEntries(
+    periods.map(period => [period, getPeriodStartDate(period, endDate)])
+  );
+  const range = selectHistoryRange(firstDate, endDate);
+
+  const instruments = [...new Map(
+    transactions.map(transaction => [transaction.symbol, {
+      symbol: transaction.symbol,
+      dataType: getHoldingDataType(transaction)
+    }])
+  ).values()];
+  const currencies = [...new Set(transactions.map(transaction => transaction.currency))];
+
+  const [prices, fxLookups] = await Promise.all([
+    fetchPriceHistories(instruments, range, refresh, warnings),
+    fetchFxLookups(currencies, currency, range, refresh, warnings)
+  ]);
+
+  const series = buildValueSeries(transactions, prices.dates, endDate, prices.lookups, fxLookups);
+
+  return {
+    baseCurrency: currency,
+    asOf: endDate,
+    periods: Object.fromEntries(periods.map(period => [
+      period,
+      calculatePeriodPerformance(series, periodStarts[period], endDate)
+    ])),
+    warnings
+  };
+};
+
+module.exports = {
+  calculatePerformance,
+  xirr,
+  _testExports: {
+    getPeriodStartDate,
+    selectHistoryRange,
+    createSeriesLookup,
+    unadjustSplits,
+    buildValueSeries,
+    calculatePeriodPerformance
+  }
+};
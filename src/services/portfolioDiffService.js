@@ -0,0 +1,202 @@
+/**
+ * プロジェクト: portfolio-market-data-api
+ * ファイルパス: src/services/portfolioDiffService.js
+ *
+ * 説明:
+ * ポートフォリオのバージョン間の差分を算出するサービス。
+ * 現在のファイルまたはバックアップ（PortfolioManagerBackups）の2つのバージョンを読み込み、
+ * 保有銘柄（銘柄コードと口座の組み合わせ）ごとに追加・削除・保有数／平均取得単価の変更を比較します。
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-03
+ * @updated 2025-06-17 バグ修正: 同じ銘柄を複数の口座で保有する場合に口座ごとに比較
+ */
+'use strict';
+
+const googleDriveService = require('./googleDriveService');
+const { convertLegacyPortfolio, validatePortfolioData, getPositionKey } = require('./portfolioService');
+
+/**
+ * 現在のファイルを表すバージョンID
+ */
+const CURRENT_VERSION = 'current';
+
+/**
+ * 数値の比較で同じとみなす誤差
+ */
+const EPSILON = 1e-9;
+
+/**
+ * 数値を指定桁数で丸める
+ * @param {number} value - 数値
+ * @param {number} [digits=6] - 小数点以下の桁数
+ * @returns {number} 丸めた数値
+ */
+const round = (value, digits = 6) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * 比較用に保有銘柄を要約する
+ * @param {Object} holding - 保有銘柄
+ * @returns {Object} { symbol, account, name, shares, cost }
+ */
+const summarizeHolding = (holding) => ({
+  symbol: String(holding.symbol),
+  account: holding.account || null,
+  name: holding.name || String(holding.symbol),
+  shares: Number(holding.shares) || 0,
+  cost: Number(holding.cost) || 0
+});
+
+/**
+ * 数値の変化を表すオブジェクトを作成する
+ * @param {number} from - 変更前
+ * @param {number} to - 変更後
+ * @returns {Object} { from, to, change }
+ */
+const createChange = (from, to) => ({ from, to, change: round(to - from) });
+
+/**
+ * 2つのポートフォリオの保有銘柄を比較する
+ * 同じ銘柄でも口座が異なる場合は別の保有銘柄として比較する
+ * @param {Object} fromPortfolio - 比較元のポートフォリオ
+ * @param {Object} toPortfolio - 比較先のポートフォリオ
+ * @returns {Object} { holdings: { added, removed, changed }, summary }
+ */
+const diffPortfolios = (fromPortfolio, toPortfolio) => {
+  const toMap = portfolio => new Map(
+    (portfolio.holdings || []).filter(holding => holding && holding.symbol).map(holding => {
+      const summary = summarizeHolding(holding);
+      return [getPositionKey(summary.symbol, summary.account), summary];
+    })
+  );
+  const fromHoldings = toMap(fromPortfolio);
+  const toHoldings = toMap(toPortfolio);
+
+  const added = [...toHoldings.entries()].filter(([key]) => !fromHoldings.has(key)).map(([, holding]) => holding);
+  const removed = [...fromHoldings.entries()].filter(([key]) => !toHoldings.has(key)).map(([, holding]) => holding);
+  const changed = [];
+  let unchanged = 0;
+
+  toHoldings.forEach((after, key) => {
+    const before = fromHoldings.get(key);
+
+    if (!before) {
+      return;
+    }
+
+    const sharesChanged = Math.abs(after.shares - before.shares) > EPSILON;
+    const costChanged = Math.abs(after.cost - before.cost) > EPSILON;
+
+    if (!sharesChanged && !costChanged) {
+      unchanged += 1;
+      return;
+    }
+
+    changed.push({
+      symbol: after.symbol,
+      account: after.account,
+      name: after.name,
+      shares: createChange(before.shares, after.shares),
+      cost: createChange(before.cost, after.cost)
+    });
+  });
+
+  return {
+    holdings: { added, removed, changed },
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      unchanged
+    }
+  };
+};
+
+/**
+ * ポートフォリオのバージョンを読み込む
+ * @param {string} accessToken - アクセストークン
+ * @param {string} fileId - ポートフォリオのファイルID
+ * @param {string} versionId - バックアップのファイルID（'current' の場合は現在のファイル）
+ * @returns {Promise<Object>} { version, portfolio }
+ */
+const loadVersion = async (accessToken, fileId, versionId) => {
+  const isCurrent = !versionId || versionId === CURRENT_VERSION || versionId === fileId;
+  const { content, metadata } = await googleDriveService.getFileWithMetadata(isCurrent ? fileId : versionId, accessToken);
+
+  // 別のファイルのバックアップとは比較しない
+  if (!isCurrent && (!metadata.appProperties || metadata.appProperties.originalFileId !== fileId)) {
+    throw new Error('Version does not belong to the file');
+  }
+
+  let data;
+  try {
+    data = typeof content === 'string' ? JSON.parse(content) : content;
+  } catch (error) {
+    throw new Error('Invalid portfolio data format');
+  }
+
+  return {
+    version: {
+      id: isCurrent ? CURRENT_VERSION : metadata.id,
+      name: metadata.name,
+      createdAt: metadata.createdTime,
+      modifiedAt: metadata.modifiedTime,
+      isCurrent
+    },
+    portfolio: validatePortfolioData(convertLegacyPortfolio(data || {}))
+  };
+};
+
+/**
+ * 指定日時の時点の内容を持つバックアップを探す
+ * バックアップは保存の直前に作成されるため、指定日時以降で最も古いバックアップがその時点の内容になる
+ * @param {string} accessToken - アクセストークン
+ * @param {string} fileId - ポートフォリオのファイルID
+ * @param {string} since - 日時
+ * @returns {Promise<string>} バックアップのファイルID（以降に保存されていない場合は 'current'）
+ */
+const findVersionAt = async (accessToken, fileId, since) => {
+  const sinceTime = new Date(since).getTime();
+  const versions = await googleDriveService.getPortfolioVersionHistory(fileId, accessToken);
+
+  const candidates = versions
+    .filter(version => new Date(version.createdTime).getTime() >= sinceTime)
+    .sort((a, b) => new Date(a.createdTime).getTime() - new Date(b.createdTime).getTime());
+
+  return candidates.length > 0 ? candidates[0].id : CURRENT_VERSION;
+};
+
+/**
+ * ポートフォリオの2つのバージョンを比較する
+ * @param {string} accessToken - アクセストークン
+ * @param {string} fileId - ポートフォリオのファイルID
+ * @param {Object} options - オプション
+ * @param {string} [options.from] - 比較元のバージョンID
+ * @param {string} [options.since] - 比較元の日時（from を省略した場合に使用）
+ * @param {string} [options.to='current'] - 比較先のバージョンID
+ * @returns {Promise<Object>} { from, to, holdings, summary }
+ */
+const diffPortfolioVersions = async (accessToken, fileId, options = {}) => {
+  const { since, to = CURRENT_VERSION } = options;
+  const from = options.from || await findVersionAt(accessToken, fileId, since);
+
+  const [fromVersion, toVersion] = await Promise.all([
+    loadVersion(accessToken, fileId, from),
+    loadVersion(accessToken, fileId, to)
+  ]);
+
+  return {
+    from: fromVersion.version,
+    to: toVersion.version,
+    ...diffPortfolios(fromVersion.portfolio, toVersion.portfolio)
+  };
+};
+
+module.exports = {
+  CURRENT_VERSION,
+  diffPortfolios,
+  diffPortfolioVersions
+};
@@ -0,0 +1,291 @@
+/**
+ * プロジェクト: portfolio-market-data-api
+ * ファイルパス: src/services/portfolioMergeService.js
+ *
+ * 説明:
+ * Google Driveへのポートフォリオ保存の楽観的排他制御サービス。
+ * クライアントが読み込んだ時点のバージョン（更新日時またはリビジョンID）と
+ * 現在のバージョンを比較し、他の画面で更新されていた場合は競合として扱います。
+ * 読み込み時点のリビジョンを基点に、保有銘柄（銘柄コードと口座の組み合わせ単位）と取引履歴（取引ID単位）の
+ * 3方向マージを行い、同じ項目が両方で変更されている場合のみ競合とします。
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-02
+ * @updated 2025-06-17 バグ修正: 同じ銘柄を複数の口座で保有する場合に保有銘柄が上書きされる問題を修正
+ */
+'use strict';
+
+const { isDeepStrictEqual } = require('util');
+const googleDriveService = require('./googleDriveService');
+const { validatePortfolioData, getPositionKey } = require('./portfolioService');
+const logger = require('../utils/logger');
+
+/**
+ * 保存のたびに更新されるためマージ対象外とする項目
+ */
+const IGNORED_FIELDS = ['lastUpdated', 'updatedBy'];
+
+/**
+ * 取引履歴から算出される保有銘柄の項目（取引履歴がある場合は比較対象外）
+ */
+const DERIVED_HOLDING_FIELDS = ['shares', 'cost', 'currency', 'realizedPnl', 'dividends'];
+
+/**
+ * 2つの値が同じかどうかを判定する（undefined と null は同じとみなす）
+ * @param {*} a - 値
+ * @param {*} b - 値
+ * @returns {boolean} 同じ場合true
+ */
+const isSame = (a, b) => isDeepStrictEqual(a === undefined ? null : a, b === undefined ? null : b);
+
+/**
+ * 配列の要素のキーを取得する関数を作成する
+ * キーの項目が無い要素（IDの無い取引など）は内容そのものをキーとする
+ * @param {string} keyField - キーの項目名
+ * @returns {Function} 要素のキーを取得する関数
+ */
+const createKeyGetter = (keyField) => (item) => {
+  return item && item[keyField] ? String(item[keyField]) : JSON.stringify(item);
+};
+
+/**
+ * 保有銘柄のキーを取得する（同じ銘柄でも口座ごとに別の要素とする）
+ * @param {Object} holding - 保有銘柄
+ * @returns {string} キー
+ */
+const getHoldingKey = (holding) => {
+  return holding && holding.symbol ? getPositionKey(String(holding.symbol), holding.account) : JSON.stringify(holding);
+};
+
+/**
+ * 要素単位でマージする配列のフィールドと要素のキーを取得する関数
+ */
+const KEYED_FIELDS = {
+  holdings: getHoldingKey,
+  transactions: createKeyGetter('id')
+};
+
+/**
+ * 基点・現在・送信の3つの値をマージする
+ * 片方だけが変更されている場合はその値を採用し、両方が異なる値に変更されている場合は競合とする
+ * @param {*} base - 基点の値
+ * @param {*} current - 現在の値
+ * @param {*} submitted - 送信された値
+ * @param {Function} [normalize] - 比較前に値を変換する関数
+ * @returns {Object} { value, conflict }
+ */
+const mergeValue = (base, current, submitted, normalize = value => value) => {
+  const [b, c, s] = [base, current, submitted].map(value => (value === undefined ? undefined : normalize(value)));
+
+  if (isSame(c, s) || isSame(b, s)) {
+    return { value: current, conflict: false };
+  }
+
+  if (isSame(b, c)) {
+    return { value: submitted, conflict: false };
+  }
+
+  // 競合した場合は現在の値を残す
+  return { value: current, conflict: true };
+};
+
+/**
+ * キーを持つ要素の配列を3方向マージする
+ * @param {Array<Object>} base - 基点の配列
+ * @param {Array<Object>} current - 現在の配列
+ * @param {Array<Object>} submitted - 送信された配列
+ * @param {Function} getKey - 要素のキーを取得する関数
+ * @param {Function} [normalize] - 比較前に要素を変換する関数
+ * @returns {Object} { items, conflicts: [{ key, base, current, submitted }] }
+ */
+const mergeKeyedArrays = (base, current, submitted, getKey, normalize) => {
+  const toMap = items => new Map((Array.isArray(items) ? items : []).map(item => [getKey(item), item]));
+  const [baseMap, currentMap, submittedMap] = [base, current, submitted].map(toMap);
+
+  // 現在の並び順を維持し、送信側で追加された要素を末尾に加える
+  const keys = [...new Set([...currentMap.keys(), ...submittedMap.keys(), ...baseMap.keys()])];
+  const items = [];
+  const conflicts = [];
+
+  keys.forEach(key => {
+    const result = mergeValue(baseMap.get(key), currentMap.get(key), submittedMap.get(key), normalize);
+
+    if (result.conflict) {
+      conflicts.push({
+        key,
+        base: baseMap.get(key) || null,
+        current: currentMap.get(key) || null,
+        submitted: submittedMap.get(key) || null
+      });
+    }
+
+    if (result.value !== undefined) {
+      items.push(result.value);
+    }
+  });
+
+  return { items, conflicts };
+};
+
+/**
+ * ポートフォリオを3方向マージする
+ * @param {Object} base - 基点（クライアントが読み込んだ時点）のポートフォリオ
+ * @param {Object} current - 現在Google Driveに保存されているポートフォリオ
+ * @param {Object} submitted - 保存しようとしているポートフォリオ
+ * @returns {Object} { portfolio, conflicts: [{ field, key?, base, current, submitted }] }
+ */
+const mergePortfolios = (base = {}, current = {}, submitted = {}) => {
+  const merged = {};
+  const conflicts = [];
+  const isLedger = [base, current, submitted].some(portfolio => Array.isArray(portfolio.transactions));
+
+  const fields = [...new Set([...Object.keys(current), ...Object.keys(submitted), ...Object.keys(base)])]
+    .filter(field => !IGNORED_FIELDS.includes(field));
+
+  fields.forEach(field => {
+    if (KEYED_FIELDS[field]) {
+      const normalize = field === 'holdings' && isLedger
+        ? holding => Object.fromEntries(Object.entries(holding).filter(([name]) => !DERIVED_HOLDING_FIELDS.includes(name)))
+        : undefined;
+      const result = mergeKeyedArrays(
+        base[field], current[field], submitted[field], KEYED_FIELDS[field], normalize
+      );
+
+      merged[field] = result.items;
+      result.conflicts.forEach(conflict => conflicts.push({ field, ...conflict }));
+      return;
+    }
+
+    const result = mergeValue(base[field], current[field], submitted[field]);
+
+    if (result.conflict) {
+      conflicts.push({
+        field,
+        base: base[field] === undefined ? null : base[field],
+        current: current[field] === undefined ? null : current[field],
+        submitted: submitted[field] === undefined ? null : submitted[field]
+      });
+    }
+
+    if (result.value !== undefined) {
+      merged[field] = result.value;
+    }
+  });
+
+  IGNORED_FIELDS.forEach(field => {
+    if (submitted[field] !== undefined) {
+      merged[field] = submitted[field];
+    }
+  });
+
+  // 取引履歴がある場合は保有数・平均取得単価をマージ後の取引履歴から算出し直す
+  return {
+    portfolio: Array.isArray(merged.transactions) ? validatePortfolioData(merged) : merged,
+    conflicts
+  };
+};
+
+/**
+ * ファイルの内容をJSONとして解析する
+ * @param {string|Object} content - ファイルの内容
+ * @returns {Object} ポートフォリオ
+ */
+const parseContent = (content) => {
+  return typeof content === 'string' ? JSON.parse(content) : (content || {});
+};
+
+/**
+ * 日時表記が同じ時刻を表すかどうかを判定する
+ * @param {string} a - 日時
+ * @param {string} b - 日時
+ * @returns {boolean} 同じ時刻の場合true
+ */
+const isSameTime = (a, b) => {
+  const timeA = new Date(a).getTime();
+  const timeB = new Date(b).getTime();
+  return Number.isFinite(timeA) && timeA === timeB;
+};
+
+/**
+ * クライアントが読み込んだ時点のポートフォリオを取得する
+ * @param {string} accessToken - アクセストークン
+ * @param {string} fileId - ファイルID
+ * @param {Object} expected - { expectedModifiedTime, expectedRevisionId }
+ * @returns {Promise<Object|null>} 基点のポートフォリオ（リビジョンが残っていない場合はnull）
+ */
+const loadBaseVersion = async (accessToken, fileId, { expectedModifiedTime, expectedRevisionId }) => {
+  try {
+    let revisionId = expectedRevisionId;
+
+    if (!revisionId) {
+      const revisions = await googleDriveService.listFileRevisions(fileId, accessToken);
+      const revision = revisions.find(candidate => isSameTime(candidate.modifiedTime, expectedModifiedTime));
+      revisionId = revision ? revision.id : null;
+    }
+
+    if (!revisionId) {
+      return null;
+    }
+
+    return parseContent(await googleDriveService.getRevisionContent(fileId, revisionId, accessToken));
+  } catch (error) {
+    logger.warn(`Base version of ${fileId} is not available for merge:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * 保存前にファイルが更新されていないかを確認し、必要に応じてマージする
+ * @param {string} accessToken - アクセストークン
+ * @param {string} fileId - 保存先のファイルID
+ * @param {Object} portfolioData - 保存しようとしているポートフォリオ
+ * @param {Object} options - オプション
+ * @param {string} [options.expectedModifiedTime] - 読み込み時点の更新日時
+ * @param {string} [options.expectedRevisionId] - 読み込み時点のリビジョンID（更新日時より優先）
+ * @param {boolean} [options.merge=false] - 更新されていた場合に3方向マージを試みる
+ * @returns {Promise<Object>} 競合が無い場合は { conflict: false, merged, portfolio }、
+ *   競合した場合は { conflict: true, reason, current: { modifiedTime, revisionId, data }, conflicts }
+ */
+const prepareConcurrentSave = async (accessToken, fileId, portfolioData, options = {}) => {
+  const { expectedModifiedTime, expectedRevisionId, merge = false } = options;
+  const version = await googleDriveService.getFileVersion(fileId, accessToken);
+
+  const unchanged = expectedRevisionId
+    ? version.revisionId === expectedRevisionId
+    : isSameTime(version.modifiedTime, expectedModifiedTime);
+
+  if (unchanged) {
+    return { conflict: false, merged: false, portfolio: portfolioData };
+  }
+
+  const currentData = parseContent(await googleDriveService.getFile(fileId, accessToken));
+  const current = {
+    modifiedTime: version.modifiedTime,
+    revisionId: version.revisionId,
+    data: currentData
+  };
+
+  if (!merge) {
+    return { conflict: true, reason: 'MODIFIED', current, conflicts: [] };
+  }
+
+  const base = await loadBaseVersion(accessToken, fileId, { expectedModifiedTime, expectedRevisionId });
+
+  if (!base) {
+    return { conflict: true, reason: 'BASE_VERSION_UNAVAILABLE', current, conflicts: [] };
+  }
+
+  const { portfolio, conflicts } = mergePortfolios(base, currentData, portfolioData);
+
+  if (conflicts.length > 0) {
+    return { conflict: true, reason: 'MERGE_CONFLICT', current, conflicts };
+  }
+
+  logger.info(`Merged concurrent changes into ${fileId} (revision ${version.revisionId})`);
+  return { conflict: false, merged: true, portfolio };
+};
+
+module.exports = {
+  mergePortfolios,
+  prepareConcurrentSave
+};
@@ -5,17 +5,31 @@
  * 説明: 
  * ポートフォリオデータの管理サービス。
  * ポートフォリオの保存・読込・変更・削除機能を提供します。
+ * 保有銘柄と平均取得単価は取引履歴（transactions）から算出します。
  * 
  * @author Portfolio Manager Team
  * @created 2025-05-12
  * @updated 2025-05-18
+ * @updated 2025-05-28 機能追加: 取引履歴モデルと保有銘柄の算出を追加
+ * @updated 2025-06-07 修正: 保有銘柄の数量・取得単価が元の値で上書きされる問題を修正
+ * @updated 2025-06-17 バグ修正: 同じ銘柄を複数の口座で保有する場合に口座ごとの保有銘柄として算出
+ * @updated 2025-06-17 バグ修正: 口座を指定しない株式分割を同じ銘柄のすべての口座に反映
  */
 'use strict';
 
+const uuid = require('uuid');
 const googleDriveService = require('./googleDriveService');
 const { withRetry } = require('../utils/retry');
+const { TRANSACTION_SIDES } = require('../config/constants');
+const { normalizeDate } = require('../utils/historyUtils');
+const { getHoldingDataType, getDefaultCurrency } = require('../utils/symbolUtils');
 const logger = require('../utils/logger');
 
+/**
+ * 保有数量をゼロとみなす閾値（浮動小数点の誤差対策）
+ */
+const SHARE_EPSILON = 1e-8;
+
 /**
  * ポートフォリオを保存する
  * @param {Object} portfolioData - ポートフォリオデータ
@@ -140,8 +154,15 @@ const validatePortfolioData = (data = {}) => {
     validated.name = `Portfolio ${new Date().toISOString().substring(0, 10)}`;
   }
   
-  // 保有銘柄が無い場合は空配列を設定
-  if (!validated.holdings || !Array.isArray(validated.holdings)) {
+  if (Array.isArray(validated.transactions)) {
+    // 取引履歴がある場合は保有銘柄を取引履歴から算出する
+    validated.transactions = validated.transactions.map(normalizeTransaction).filter(Boolean);
+    validated.holdings = mergeHoldingMetadata(
+      deriveHoldings(validated.transactions),
+      Array.isArray(validated.holdings) ? validated.holdings : []
+    );
+  } else if (!validated.holdings || !Array.isArray(validated.holdings)) {
+    // 保有銘柄が無い場合は空配列を設定
     validated.holdings = [];
   } else {
     // 各保有銘柄を検証
@@ -151,11 +172,12 @@ const validatePortfolioData = (data = {}) => {
         return null;
       }
       
+      // 検証した値が元の値で上書きされないよう、元の項目を先に展開する
       return {
-        symbol: holding.symbol,
-        shares: typeof holding.shares === 'number' ? holding.shares : 0,
-        cost: typeof holding.cost === 'number' ? holding.cost : 0,
-        ...holding
+        ...holding,
+        symbol: String(holding.symbol),
+        shares: Number.isFinite(holding.shares) ? holding.shares : 0,
+        cost: Number.isFinite(holding.cost) ? holding.cost : 0
       };
     }).filter(Boolean); // nullを除外
   }
@@ -168,6 +190,226 @@ const validatePortfolioData = (data = {}) => {
   return validated;
 };
 
+/**
+ * 数値を指定桁数で丸める
+ * @param {number} value - 数値
+ * @param {number} digits - 小数点以下の桁数
+ * @returns {number} 丸めた数値
+ */
+const round = (value, digits) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * 取引を検証・正規化する
+ * - 取引日（tradeDate）・取引種別（side）・銘柄（symbol）は必須
+ * - 期首残高・買付・売却・配当は数量（quantity）が正の数であること
+ * - 株式分割は分割比率（ratio、例: 1株→2株なら2）が正の数であること
+ * - 配当は quantity × price を受取額、fees を源泉徴収税等として扱う
+ * @param {Object} transaction - 取引データ
+ * @returns {Object|null} 正規化した取引（無効な場合はnull）
+ */
+const normalizeTransaction = (transaction) => {
+  if (!transaction || !transaction.symbol) {
+    return null;
+  }
+
+  const side = String(transaction.side || '').toLowerCase();
+  const tradeDate = normalizeDate(transaction.tradeDate);
+
+  if (!Object.values(TRANSACTION_SIDES).includes(side) || !tradeDate) {
+    logger.warn(`Skipping invalid transaction for ${transaction.symbol}: side=${transaction.side}, tradeDate=${transaction.tradeDate}`);
+    return null;
+  }
+
+  const quantity = Number(transaction.quantity);
+  const price = Number(transaction.price);
+  const fees = Number(transaction.fees);
+  const ratio = Number(transaction.ratio);
+
+  if (side === TRANSACTION_SIDES.SPLIT) {
+    if (!(ratio > 0)) {
+      logger.warn(`Skipping split transaction for ${transaction.symbol}: invalid ratio ${transaction.ratio}`);
+      return null;
+    }
+  } else if (!(quantity > 0) || !(price >= 0)) {
+    logger.warn(`Skipping ${side} transaction for ${transaction.symbol}: invalid quantity or price`);
+    return null;
+  }
+
+  const symbol = String(transaction.symbol);
+
+  return {
+    ...transaction,
+    id: transaction.id || uuid.v4(),
+    symbol,
+    tradeDate,
+    side,
+    quantity: side === TRANSACTION_SIDES.SPLIT ? 0 : quantity,
+    price: side === TRANSACTION_SIDES.SPLIT ? 0 : price,
+    fees: fees > 0 ? fees : 0,
+    currency: String(
+      transaction.currency || getDefaultCurrency(getHoldingDataType({ symbol }))
+    ).toUpperCase(),
+    account: transaction.account ? String(transaction.account) : null,
+    ...(side === TRANSACTION_SIDES.SPLIT && { ratio })
+  };
+};
+
+/**
+ * 保有銘柄を識別するキーを作成する（同じ銘柄でも口座ごとに別の保有銘柄とする）
+ * @param {string} symbol - 銘柄コード
+ * @param {string|null} account - 口座
+ * @returns {string} キー
+ */
+const getPositionKey = (symbol, account) => {
+  return `${symbol}|${account || ''}`;
+};
+
+/**
+ * 取引履歴から保有銘柄を算出する（移動平均法）
+ * - 期首残高・買付: 数量を加算し、取得価額に約定金額と手数料を加算
+ * - 売却: 平均取得単価で取得価額を減らし、差額を実現損益に計上
+ * - 株式分割: 数量に分割比率を掛ける（取得価額は変わらない）。口座の指定が無い場合は同じ銘柄のすべての口座に反映する
+ * - 配当: 受取額（手数料控除後）を累計する
+ * 保有数・取得価額は銘柄と口座の組み合わせごとに算出し、全数売却した銘柄は保有銘柄に含めない
+ * @param {Array<Object>} transactions - 正規化済みの取引履歴
+ * @returns {Array<Object>} 保有銘柄の配列
+ */
+const deriveHoldings = (transactions = []) => {
+  const positions = new Map();
+
+  // 取引日順に処理する（同日の取引は登録順）
+  const sorted = transactions
+    .map((transaction, index) => ({ transaction, index }))
+    .sort((a, b) => a.transaction.tradeDate.localeCompare(b.transaction.tradeDate) || a.index - b.index)
+    .map(({ transaction }) => transaction);
+
+  sorted.forEach(transaction => {
+    const { symbol, account, side, quantity, price, fees } = transaction;
+    const key = getPositionKey(symbol, account);
+
+    // 株式分割は銘柄全体のイベントのため、口座の指定が無い場合は全口座の保有数に反映する
+    if (side === TRANSACTION_SIDES.SPLIT && !account) {
+      positions.forEach(position => {
+        if (position.symbol === symbol) {
+          position.shares *= transaction.ratio;
+        }
+      });
+      return;
+    }
+
+    if (!positions.has(key)) {
+      positions.set(key, {
+        symbol,
+        account: account || null,
+        shares: 0,
+        totalCost: 0,
+        currency: transaction.currency,
+        realizedPnl: 0,
+        dividends: 0
+      });
+    }
+
+    const position = positions.get(key);
+
+    switch (side) {
+      case TRANSACTION_SIDES.OPENING:
+      case TRANSACTION_SIDES.BUY:
+        position.shares += quantity;
+        position.totalCost += quantity * price + fees;
+        break;
+
+      case TRANSACTION_SIDES.SELL: {
+        const sellQuantity = Math.min(quantity, position.shares);
+        if (sellQuantity < quantity) {
+          logger.warn(`Sell quantity exceeds holdings for ${symbol} on ${transaction.tradeDate}`);
+        }
+        const averageCost = position.shares > 0 ? position.totalCost / position.shares : 0;
+        position.shares -= sellQuantity;
+        position.totalCost -= averageCost * sellQuantity;
+        position.realizedPnl += (price - averageCost) * sellQuantity - fees;
+        break;
+      }
+
+      case TRANSACTION_SIDES.SPLIT:
+        position.shares *= transaction.ratio;
+        break;
+
+      case TRANSACTION_SIDES.DIVIDEND:
+        position.dividends += quantity * price - fees;
+        break;
+
+      default:
+        break;
+    }
+  });
+
+  return Array.from(positions.values())
+    .filter(position => position.shares > SHARE_EPSILON)
+    .map(position => ({
+      symbol: position.symbol,
+      shares: round(position.shares, 6),
+      cost: round(position.totalCost / position.shares, 4),
+      currency: position.currency,
+      realizedPnl: round(position.realizedPnl, 2),
+      dividends: round(position.dividends, 2),
+      ...(position.account && { account: position.account })
+    }));
+};
+
+/**
+ * 算出した保有銘柄に既存の保有銘柄の付加情報（銘柄名・セクター等）を引き継ぐ
+ * 付加情報は銘柄と口座の組み合わせで対応付け、一致しない場合は同じ銘柄の付加情報（口座を除く）を使用する
+ * 数量・取得単価などの算出項目は取引履歴の値を優先する
+ * @param {Array<Object>} derived - 取引履歴から算出した保有銘柄
+ * @param {Array<Object>} existing - 既存の保有銘柄
+ * @returns {Array<Object>} 保有銘柄の配列
+ */
+const mergeHoldingMetadata = (derived, existing) => {
+  const validHoldings = existing.filter(holding => holding && holding.symbol);
+  const metadataByPosition = new Map(
+    validHoldings.map(holding => [getPositionKey(String(holding.symbol), holding.account), holding])
+  );
+  const metadataBySymbol = new Map(
+    validHoldings.map(holding => {
+      const { account, ...metadata } = holding;
+      return [String(holding.symbol), metadata];
+    })
+  );
+
+  return derived.map(holding => ({
+    ...(metadataByPosition.get(getPositionKey(holding.symbol, holding.account)) ||
+      metadataBySymbol.get(holding.symbol) ||
+      {}),
+    ...holding
+  }));
+};
+
+/**
+ * 保有数スナップショットを期首残高の取引に変換する
+ * 取引日は保有銘柄の購入日（purchaseDate）、なければポートフォリオの最終更新日とする
+ * @param {Array<Object>} holdings - 保有銘柄
+ * @param {string} openingDate - 期首残高の取引日（YYYY-MM-DD）
+ * @returns {Array<Object>} 期首残高の取引の配列
+ */
+const createOpeningTransactions = (holdings, openingDate) => {
+  return holdings
+    .filter(holding => holding && holding.symbol && Number(holding.shares) > 0)
+    .map(holding => normalizeTransaction({
+      symbol: holding.symbol,
+      tradeDate: normalizeDate(holding.purchaseDate) || openingDate,
+      side: TRANSACTION_SIDES.OPENING,
+      quantity: Number(holding.shares),
+      price: Number(holding.cost) || 0,
+      fees: 0,
+      currency: holding.currency,
+      account: holding.account
+    }))
+    .filter(Boolean);
+};
+
 /**
  * 古い形式のポートフォリオを新形式に変換する
  * @param {Object} portfolio - ポートフォリオデータ
@@ -207,6 +449,12 @@ const convertLegacyPortfolio = (portfolio) => {
     delete converted.userId;
   }
   
+  // 保有数スナップショットの変換（holdings → 期首残高の transactions）
+  if (!Array.isArray(converted.transactions) && Array.isArray(converted.holdings)) {
+    const openingDate = normalizeDate(converted.lastUpdated) || normalizeDate(new Date().toISOString());
+    converted.transactions = createOpeningTransactions(converted.holdings, openingDate);
+  }
+  
   return converted;
 };
 
@@ -216,5 +464,8 @@ module.exports = {
   listPortfolios,
   deletePortfolio,
   validatePortfolioData,
+  normalizeTransaction,
+  deriveHoldings,
+  getPositionKey,
   convertLegacyPortfolio  // テスト用にexport
 };
@@ -0,0 +1,414 @@
+/**
+ * プロジェクト: portfolio-market-data-api
+ * ファイルパス: src/services/rebalanceService.js
+ *
+ * 説明:
+ * 目標資産配分に対するリバランス提案サービス。
+ * 資産クラス・地域ごとの目標比率と現在の評価額を比較し、
+ * 売買単位（日本株は100株単位、米国株は端株）を考慮した売買注文案を作成します。
+ * 追加資金の買付のみで調整し売却を行わないモード（NISA向け）にも対応します。
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-30
+ * @updated 2025-06-01 改善: 資産クラス・地域の判定をエクスポート機能と共有
+ */
+'use strict';
+
+const { valuePortfolio } = require('./valuationService');
+const { DATA_TYPES, REBALANCE_SETTINGS } = require('../config/constants');
+const logger = require('../utils/logger');
+
+/**
+ * データタイプごとのデフォルトの地域
+ */
+const DEFAULT_REGIONS = {
+  [DATA_TYPES.JP_STOCK]: 'japan',
+  [DATA_TYPES.US_STOCK]: 'us'
+};
+
+/**
+ * どの目標配分にも該当しない保有銘柄のバケットキー
+ */
+const UNASSIGNED_KEY = 'unassigned';
+
+/**
+ * 数値を指定桁数で丸める
+ * @param {number} value - 数値
+ * @param {number} [digits=2] - 小数点以下の桁数
+ * @returns {number} 丸めた数値
+ */
+const round = (value, digits = 2) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * 数量を売買単位で切り捨てる
+ * @param {number} quantity - 数量
+ * @param {number} lotSize - 売買単位
+ * @returns {number} 売買単位の整数倍の数量
+ */
+const floorToLot = (quantity, lotSize) => {
+  return round(Math.floor(quantity / lotSize + 1e-9) * lotSize, 4);
+};
+
+/**
+ * 文字列を比較用に正規化する
+ * @param {*} value - 値
+ * @returns {string|null} 小文字化した文字列（空の場合はnull）
+ */
+const normalizeLabel = (value) => {
+  return value ? String(value).trim().toLowerCase() : null;
+};
+
+/**
+ * 目標配分を検証する
+ * 各目標は assetClass・region・symbol の組み合わせと比率（weight、%）を持ち、比率の合計は100であること
+ * @param {Array<Object>} targets - 目標配分 [{ assetClass, region, symbol, weight }]
+ * @returns {string|null} エラーメッセージ（有効な場合はnull）
+ */
+const validateTargetAllocation = (targets) => {
+  if (!Array.isArray(targets) || targets.length === 0) {
+    return 'Target allocation must be a non-empty array';
+  }
+
+  const keys = new Set();
+
+  for (const target of targets) {
+    if (!target || typeof target !== 'object') {
+      return 'Each target must be an object';
+    }
+
+    const weight = Number(target.weight);
+    if (!Number.isFinite(weight) || weight < 0 || weight > 100) {
+      return `Invalid weight for target: ${JSON.stringify(target)}`;
+    }
+
+    const key = buildTargetKey(target);
+    if (keys.has(key)) {
+      return `Duplicate target: ${key}`;
+    }
+    keys.add(key);
+  }
+
+  const totalWeight = targets.reduce((sum, target) => sum + Number(target.weight), 0);
+  if (Math.abs(totalWeight - 100) > REBALANCE_SETTINGS.WEIGHT_TOLERANCE) {
+    return `Target weights must add up to 100 (got ${round(totalWeight, 4)})`;
+  }
+
+  return null;
+};
+
+/**
+ * 目標配分のキーを生成する（例: 'equity/japan', 'bond/*'）
+ * @param {Object} target - 目標配分
+ * @returns {string} キー
+ */
+const buildTargetKey = (target) => {
+  const base = `${normalizeLabel(target.assetClass) || '*'}/${normalizeLabel(target.region) || '*'}`;
+  return target.symbol ? `${base}/${String(target.symbol)}` : base;
+};
+
+/**
+ * 保有銘柄の資産クラスを取得する（未設定の場合は株式）
+ * @param {Object} holding - 保有銘柄
+ * @returns {string} 資産クラス
+ */
+const getAssetClass = (holding) => normalizeLabel(holding.assetClass || holding.type) || 'equity';
+
+/**
+ * 保有銘柄の地域を取得する（未設定の場合はデータタイプから判定）
+ * @param {Object} holding - 保有銘柄
+ * @returns {string} 地域
+ */
+const getRegion = (holding) => normalizeLabel(holding.region) || DEFAULT_REGIONS[holding.dataType] || 'other';
+
+/**
+ * 保有銘柄が該当する目標配分を選択する
+ * 銘柄指定 → 資産クラスと地域の両方 → いずれか一方 → 指定なし の順に優先する
+ * @param {Object} position - 評価済みの保有銘柄（assetClass, region を含む）
+ * @param {Array<Object>} targets - 正規化済みの目標配分
+ * @returns {Object|null} 該当する目標配分
+ */
+const findTarget = (position, targets) => {
+  const bySymbol = targets.find(target => target.symbol === position.symbol);
+  if (bySymbol) {
+    return bySymbol;
+  }
+
+  const candidates = targets
+    .filter(target => !target.symbol)
+    .filter(target => (!target.assetClass || target.assetClass === position.assetClass) &&
+      (!target.region || target.region === position.region))
+    .sort((a, b) => (Number(!!b.assetClass) + Number(!!b.region)) - (Number(!!a.assetClass) + Number(!!a.region)));
+
+  return candidates[0] || null;
+};
+
+/**
+ * 金額を銘柄ごとの比率で配分する
+ * 評価額がある銘柄は評価額に比例、すべて0の場合は均等に配分する
+ * @param {number} amount - 配分する金額（基準通貨）
+ * @param {Array<Object>} positions - 配分先の銘柄
+ * @returns {Array<Object>} [{ position, amount }]
+ */
+const distributeAmount = (amount, positions) => {
+  const totalValue = positions.reduce((sum, position) => sum + position.marketValueBase, 0);
+
+  return positions.map(position => ({
+    position,
+    amount: totalValue > 0
+      ? amount * position.marketValueBase / totalValue
+      : amount / positions.length
+  }));
+};
+
+/**
+ * 注文を作成する
+ * @param {Object} position - 評価済みの保有銘柄
+ * @param {string} side - 'buy' または 'sell'
+ * @param {number} quantity - 数量
+ * @param {string} bucket - 目標配分のキー
+ * @returns {Object} 注文
+ */
+const createOrder = (position, side, quantity, bucket) => {
+  const amount = quantity * position.price;
+
+  return {
+    symbol: position.symbol,
+    name: position.name,
+    dataType: position.dataType,
+    side,
+    quantity,
+    lotSize: position.lotSize,
+    price: position.price,
+    currency: position.currency,
+    estimatedAmount: round(amount),
+    estimatedAmountBase: round(amount * position.exchangeRate),
+    bucket
+  };
+};
+
+/**
+ * 目標配分ごとの売買金額（基準通貨）を算出する
+ * @param {Array<Object>} buckets - 目標配分ごとの現在値と目標値
+ * @param {string} mode - リバランスモード
+ * @param {number} cash - 追加資金（基準通貨）
+ * @returns {Array<number>} バケットごとの売買金額（正は買付、負は売却）
+ */
+const calculateBucketDeltas = (buckets, mode, cash) => {
+  if (mode !== REBALANCE_SETTINGS.MODES.CASH_ONLY) {
+    return buckets.map(bucket => bucket.targetValue - bucket.currentValue);
+  }
+
+  // 追加資金のみ: 目標に対する不足額に比例して追加資金を配分する
+  const shortfalls = buckets.map(bucket => Math.max(0, bucket.targetValue - bucket.currentValue));
+  const totalShortfall = shortfalls.reduce((sum, value) => sum + value, 0);
+
+  return shortfalls.map(shortfall => (totalShortfall > 0 ? cash * shortfall / totalShortfall : 0));
+};
+
+/**
+ * 買付代金が資金（追加資金と売却代金）を超える場合に買付注文を減らす
+ * 売却注文の売買単位による切り捨てで資金が不足する場合がある
+ * @param {Array<Object>} orders - 注文
+ * @param {number} available - 利用可能な資金（基準通貨）
+ * @param {Object} positionsBySymbol - 銘柄ごとの評価済み保有銘柄
+ * @returns {Array<Object>} 調整後の注文
+ */
+const trimBuyOrders = (orders, available, positionsBySymbol) => {
+  let result = orders;
+  let spent = result
+    .filter(order => order.side === 'buy')
+    .reduce((sum, order) => sum + order.estimatedAmountBase, 0);
+
+  while (spent > available + 0.005) {
+    const largest = result
+      .filter(order => order.side === 'buy')
+      .sort((a, b) => b.estimatedAmountBase - a.estimatedAmountBase)[0];
+
+    if (!largest) {
+      break;
+    }
+
+    const position = positionsBySymbol[largest.symbol];
+    const lotValue = position.lotSize * position.price * position.exchangeRate;
+    const excessLots = Math.max(1, Math.ceil((spent - available) / lotValue - 1e-9));
+    const quantity = floorToLot(Math.max(0, largest.quantity - excessLots * position.lotSize), position.lotSize);
+
+    result = result.filter(order => order !== largest);
+    if (quantity > 0) {
+      result.push(createOrder(position, 'buy', quantity, largest.bucket));
+    }
+
+    spent = result
+      .filter(order => order.side === 'buy')
+      .reduce((sum, order) => sum + order.estimatedAmountBase, 0);
+  }
+
+  return result;
+};
+
+/**
+ * リバランスの売買注文案を作成する
+ * @param {Object} portfolio - 検証済みのポートフォリオデータ
+ * @param {Object} options - オプション
+ * @param {Array<Object>} options.targets - 目標配分 [{ assetClass, region, symbol, weight }]
+ * @param {string} [options.mode='rebalance'] - 'rebalance'（売買で調整）または 'cash-only'（追加資金の買付のみ）
+ * @param {number} [options.cash=0] - 追加資金（基準通貨）
+ * @param {string} [options.baseCurrency] - 基準通貨
+ * @param {boolean} [options.refresh=false] - キャッシュを無視するかどうか
+ * @returns {Promise<Object>} リバランス提案 { mode, baseCurrency, totalValue, cash, cashAfter, allocations, orders, warnings }
+ */
+const proposeRebalance = async (portfolio, {
+  targets,
+  mode = REBALANCE_SETTINGS.MODES.REBALANCE,
+  cash = 0,
+  baseCurrency,
+  refresh = false
+}) => {
+  const normalizedTargets = targets.map(target => ({
+    key: buildTargetKey(target),
+    assetClass: normalizeLabel(target.assetClass),
+    region: normalizeLabel(target.region),
+    symbol: target.symbol ? String(target.symbol) : null,
+    weight: Number(target.weight)
+  }));
+
+  // 目標配分で指定された未保有の銘柄も価格を取得する
+  const holdings = portfolio.holdings || [];
+  const heldSymbols = new Set(holdings.map(holding => String(holding.symbol)));
+  const candidateHoldings = normalizedTargets
+    .filter(target => target.symbol && !heldSymbols.has(target.symbol))
+    .map(target => ({
+      symbol: target.symbol,
+      shares: 0,
+      cost: 0,
+      ...(target.assetClass && { assetClass: target.assetClass }),
+      ...(target.region && { region: target.region })
+    }));
+  const allHoldings = [...holdings, ...candidateHoldings];
+
+  const valuation = await valuePortfolio({ ...portfolio, holdings: allHoldings }, { baseCurrency, refresh });
+  const warnings = valuation.unpriced.map(symbol => `Price unavailable for ${symbol}; excluded from rebalancing`);
+
+  const metadataBySymbol = Object.fromEntries(allHoldings.map(holding => [String(holding.symbol), holding]));
+
+  const positions = valuation.holdings
+    .filter(item => item.priced && item.price > 0)
+    .map(item => {
+      const position = {
+        ...item,
+        assetClass: getAssetClass(metadataBySymbol[item.symbol] || {}),
+        region: getRegion({ ...(metadataBySymbol[item.symbol] || {}), dataType: item.dataType }),
+        lotSize: REBALANCE_SETTINGS.LOT_SIZES[item.dataType] || 1
+      };
+      const target = findTarget(position, normalizedTargets);
+      return { ...position, bucket: target ? target.key : UNASSIGNED_KEY };
+    });
+  const positionsBySymbol = Object.fromEntries(positions.map(position => [position.symbol, position]));
+
+  const cashBase = Math.max(0, Number(cash) || 0);
+  const totalValue = positions.reduce((sum, position) => sum + position.marketValueBase, 0) + cashBase;
+
+  const buckets = normalizedTargets.map(target => ({
+    target,
+    positions: positions.filter(position => position.bucket === target.key)
+  }));
+
+  const unassigned = positions.filter(position => position.bucket === UNASSIGNED_KEY);
+  if (unassigned.length > 0) {
+    buckets.push({ target: { key: UNASSIGNED_KEY, weight: 0 }, positions: unassigned });
+  }
+
+  buckets.forEach(bucket => {
+    bucket.currentValue = bucket.positions.reduce((sum, position) => sum + position.marketValueBase, 0);
+    bucket.targetValue = totalValue * bucket.target.weight / 100;
+  });
+
+  const deltas = calculateBucketDeltas(buckets, mode, cashBase);
+  let orders = [];
+
+  buckets.forEach((bucket, index) => {
+    const delta = deltas[index];
+
+    if (delta > 0) {
+      const buyCandidates = bucket.target.symbol
+        ? bucket.positions.filter(position => position.symbol === bucket.target.symbol)
+        : bucket.positions;
+
+      if (buyCandidates.length === 0) {
+        warnings.push(`No instrument to buy for target ${bucket.target.key}; specify a symbol in the target`);
+        return;
+      }
+
+      distributeAmount(delta, buyCandidates).forEach(({ position, amount }) => {
+        const quantity = floorToLot(amount / (position.price * position.exchangeRate), position.lotSize);
+        if (quantity > 0) {
+          orders.push(createOrder(position, 'buy', quantity, bucket.target.key));
+        }
+      });
+    } else if (delta < 0) {
+      const sellCandidates = bucket.positions.filter(position => position.shares > 0);
+
+      distributeAmount(-delta, sellCandidates).forEach(({ position, amount }) => {
+        const quantity = Math.min(
+          floorToLot(amount / (position.price * position.exchangeRate), position.lotSize),
+          position.shares
+        );
+        if (quantity > 0) {
+          orders.push(createOrder(position, 'sell', quantity, bucket.target.key));
+        }
+      });
+    }
+  });
+
+  const sellProceeds = orders
+    .filter(order => order.side === 'sell')
+    .reduce((sum, order) => sum + order.estimatedAmountBase, 0);
+  orders = trimBuyOrders(orders, cashBase + sellProceeds, positionsBySymbol);
+
+  const netFlowByBucket = {};
+  orders.forEach(order => {
+    const sign = order.side === 'buy' ? 1 : -1;
+    netFlowByBucket[order.bucket] = (netFlowByBucket[order.bucket] || 0) + sign * order.estimatedAmountBase;
+  });
+  const spent = orders.reduce(
+    (sum, order) => sum + (order.side === 'buy' ? order.estimatedAmountBase : -order.estimatedAmountBase), 0
+  );
+
+  logger.info(`Rebalance proposal (${mode}): ${orders.length} orders for ${positions.length} positions`);
+
+  return {
+    mode,
+    baseCurrency: valuation.baseCurrency,
+    totalValue: round(totalValue),
+    cash: round(cashBase),
+    cashAfter: round(cashBase - spent),
+    allocations: buckets.map(bucket => {
+      const projectedValue = bucket.currentValue + (netFlowByBucket[bucket.target.key] || 0);
+      return {
+        key: bucket.target.key,
+        assetClass: bucket.target.assetClass || null,
+        region: bucket.target.region || null,
+        symbol: bucket.target.symbol || null,
+        targetWeight: bucket.target.weight,
+        currentWeight: totalValue > 0 ? round(bucket.currentValue / totalValue * 100) : 0,
+        projectedWeight: totalValue > 0 ? round(projectedValue / totalValue * 100) : 0,
+        currentValue: round(bucket.currentValue),
+        targetValue: round(bucket.targetValue),
+        projectedValue: round(projectedValue),
+        symbols: bucket.positions.map(position => position.symbol)
+      };
+    }),
+    orders: orders.sort((a, b) => (a.side === b.side ? 0 : a.side === 'sell' ? -1 : 1)),
+    warnings
+  };
+};
+
+module.exports = {
+  validateTargetAllocation,
+  proposeRebalance,
+  getAssetClass,
+  getRegion
+};
@@ -0,0 +1,176 @@
+/**
+ * プロジェクト: portfolio-market-data-api
+ * ファイルパス: src/services/shareLinkService.js
+ *
+ * 説明:
+ * ポートフォリオの公開共有リンクを管理するサービス。
+ * リンク作成時点の保有銘柄をスナップショットとしてDynamoDBに保存し、
+ * ログインしていない閲覧者にもトークンで時価評価を表示できるようにします。
+ * トークンはハッシュ値のみを保存し、リンクはいつでも取り消せます。
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-05
+ */
+'use strict';
+
+const crypto = require('crypto');
+const uuid = require('uuid');
+const dynamoDbService = require('../utils/dynamoDbService');
+const { loadPortfolioFromDrive } = require('./googleDriveService');
+const { convertLegacyPortfolio, validatePortfolioData } = require('./portfolioService');
+const { ENV } = require('../config/envConfig');
+const { SHARE_SETTINGS } = require('../config/constants');
+const logger = require('../utils/logger');
+
+/**
+ * トークンの秘密部分をハッシュ化する
+ * @param {string} secret - トークンの秘密部分
+ * @returns {string} SHA-256ハッシュ（16進数）
+ */
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * トークンをリンクIDと秘密部分に分割する
+ * @param {string} token - 共有トークン（`{linkId}.{secret}`）
+ * @returns {Object|null} { linkId, secret }（形式が不正な場合はnull）
+ */
+const parseToken = (token) => {
+  const match = String(token || '').match(/^([0-9a-f-]{36})\.([A-Za-z0-9_-]{20,})$/);
+  return match ? { linkId: match[1], secret: match[2] } : null;
+};
+
+/**
+ * 保有銘柄のうち共有する項目
+ * 取引履歴やメモは共有しない
+ */
+const SNAPSHOT_FIELDS = ['symbol', 'name', 'dataType', 'shares', 'cost', 'currency'];
+
+/**
+ * 共有用に保有銘柄を要約する
+ * DynamoDBに保存するため、値の無い項目は含めない
+ * @param {Object} portfolio - 検証済みのポートフォリオ
+ * @returns {Object} { name, holdings }
+ */
+const createSnapshot = (portfolio) => ({
+  name: portfolio.name,
+  holdings: (portfolio.holdings || []).map(holding => {
+    const item = {};
+    SNAPSHOT_FIELDS.forEach(field => {
+      if (holding[field] !== undefined && holding[field] !== null) {
+        item[field] = holding[field];
+      }
+    });
+    return item;
+  })
+});
+
+/**
+ * 公開共有リンクを作成する
+ * @param {Object} owner - リンクを作成するユーザー（セッション）
+ * @param {string} owner.googleId - GoogleユーザーID
+ * @param {string} accessToken - アクセストークン
+ * @param {string} fileId - 共有するファイルID
+ * @param {Object} [options={}] - オプション
+ * @param {string} [options.baseCurrency] - 評価の基準通貨
+ * @param {number} [options.expiresInDays] - 有効期限（日）
+ * @returns {Promise<Object>} { linkId, token, fileId, createdAt, expiresAt }
+ */
+const createShareLink = async (owner, accessToken, fileId, options = {}) => {
+  const { baseCurrency = null, expiresInDays = SHARE_SETTINGS.DEFAULT_EXPIRES_DAYS } = options;
+
+  const result = await loadPortfolioFromDrive(accessToken, fileId);
+  const portfolio = validatePortfolioData(convertLegacyPortfolio(result.data || {}));
+
+  const linkId = uuid.v4();
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000);
+
+  await dynamoDbService.addItem(ENV.SHARE_LINK_TABLE, {
+    linkId,
+    tokenHash: hashSecret(secret),
+    googleId: owner.googleId,
+    fileId,
+    fileModifiedAt: result.modifiedTime || null,
+    snapshot: createSnapshot(portfolio),
+    baseCurrency,
+    createdAt: now.toISOString(),
+    expiresAt: expiresAt.toISOString(),
+    // TTL属性（DynamoDBの自動削除用）
+    ttl: Math.floor(expiresAt.getTime() / 1000)
+  });
+
+  logger.info(`Created share link ${linkId} for file ${fileId}`);
+
+  return {
+    linkId,
+    token: `${linkId}.${secret}`,
+    fileId,
+    createdAt: now.toISOString(),
+    expiresAt: expiresAt.toISOString()
+  };
+};
+
+/**
+ * トークンから共有リンクを取得する
+ * @param {string} token - 共有トークン
+ * @returns {Promise<Object|null>} 共有リンク（無効・期限切れ・取り消し済みの場合はnull）
+ */
+const getShareLinkByToken = async (token) => {
+  const parsed = parseToken(token);
+
+  if (!parsed) {
+    return null;
+  }
+
+  const link = await dynamoDbService.getItem(ENV.SHARE_LINK_TABLE, { linkId: parsed.linkId });
+
+  if (!link || !link.tokenHash) {
+    return null;
+  }
+
+  const expected = Buffer.from(link.tokenHash, 'hex');
+  const actual = Buffer.from(hashSecret(parsed.secret), 'hex');
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  // TTLによる削除は即時ではないため有効期限を確認する
+  if (new Date(link.expiresAt) <= new Date()) {
+    return null;
+  }
+
+  return link;
+};
+
+/**
+ * 共有リンクを取り消す
+ * @param {Object} owner - リンクを作成したユーザー（セッション）
+ * @param {string} owner.googleId - GoogleユーザーID
+ * @param {string} linkId - リンクID
+ * @returns {Promise<Object>} 取り消したリンク { linkId, fileId }
+ */
+const revokeShareLink = async (owner, linkId) => {
+  const link = await dynamoDbService.getItem(ENV.SHARE_LINK_TABLE, { linkId });
+
+  // 他のユーザーのリンクは存在しないものとして扱う
+  if (!link || link.googleId !== owner.googleId) {
+    throw new Error('Share link not found');
+  }
+
+  await dynamoDbService.deleteItem(ENV.SHARE_LINK_TABLE, { linkId });
+
+  logger.info(`Revoked share link ${linkId}`);
+
+  return {
+    linkId,
+    fileId: link.fileId
+  };
+};
+
+module.exports = {
+  createShareLink,
+  getShareLinkByToken,
+  revokeShareLink
+};
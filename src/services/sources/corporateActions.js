@@ -0,0 +1,139 @@
+/**
+ * プロジェクト: portfolio-market-data-api
+ * ファイルパス: src/services/sources/corporateActions.js
+ *
+ * 説明:
+ * 米国株・日本株の配当・株式分割（コーポレートアクション）を取得するサービス。
+ * Yahoo Financeのチャートイベントから権利落ち日・1株あたり配当金・分割比率を取得し、
+ * 株価よりも長いTTLでキャッシュします。
+ * 価格の異常値検出では、前回取得時からの株式分割を判定するために使用します。
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-16
+ */
+'use strict';
+
+const yahooFinanceService = require('./yahooFinance');
+const cacheService = require('../cache');
+const { CACHE_TIMES, CORPORATE_ACTION_SETTINGS } = require('../../config/constants');
+const logger = require('../../utils/logger');
+
+/**
+ * コーポレートアクションのキャッシュキーを生成する
+ * @param {string} dataType - データタイプ
+ * @param {string} symbol - シンボル
+ * @param {string} range - 取得期間
+ * @returns {string} キャッシュキー
+ */
+const buildCacheKey = (dataType, symbol, range) => {
+  return `corporate-actions:${dataType}:${symbol}:${range}`;
+};
+
+/**
+ * コーポレートアクションを取得できるデータタイプかどうか
+ * @param {string} dataType - データタイプ
+ * @returns {boolean} 対応している場合true
+ */
+const isSupportedDataType = (dataType) => {
+  return CORPORATE_ACTION_SETTINGS.DATA_TYPES.includes(dataType);
+};
+
+/**
+ * 単一銘柄のコーポレートアクションを取得する
+ * @param {Object} options - 取得オプション
+ * @param {string} options.dataType - データタイプ（us-stock または jp-stock）
+ * @param {string} options.symbol - シンボル
+ * @param {string} [options.range] - 取得期間（デフォルト: CORPORATE_ACTION_SETTINGS.DEFAULT_RANGE）
+ * @param {boolean} [options.refresh=false] - キャッシュを無視するかどうか
+ * @returns {Promise<Object>} { symbol, currency, range, dividends, splits, source, lastUpdated }
+ */
+const getCorporateActions = async ({
+  dataType,
+  symbol,
+  range = CORPORATE_ACTION_SETTINGS.DEFAULT_RANGE,
+  refresh = false
+}) => {
+  if (!isSupportedDataType(dataType)) {
+    throw new Error(`Unsupported data type for corporate actions: ${dataType}`);
+  }
+
+  const cacheKey = buildCacheKey(dataType, symbol, range);
+
+  if (!refresh) {
+    const cached = await cacheService.get(cacheKey);
+    if (cached && cached.data) {
+      logger.info(`Using cached corporate actions for ${symbol} (${range})`);
+      return cached.data;
+    }
+  }
+
+  const actions = await yahooFinanceService.getCorporateActions(symbol, { range });
+
+  const result = {
+    symbol,
+    currency: actions.currency,
+    range,
+    dividends: actions.dividends || [],
+    splits: actions.splits || [],
+    source: actions.source,
+    lastUpdated: new Date().toISOString()
+  };
+
+  await cacheService.set(cacheKey, result, CACHE_TIMES.CORPORATE_ACTIONS);
+
+  return result;
+};
+
+/**
+ * 複数銘柄のコーポレートアクションを取得する
+ * 個別銘柄の失敗は結果にエラーとして含め、全体は失敗させない
+ * @param {Object} options - 取得オプション
+ * @param {string} options.dataType - データタイプ
+ * @param {Array<string>} options.symbols - シンボルの配列
+ * @param {string} [options.range] - 取得期間
+ * @param {boolean} [options.refresh=false] - キャッシュを無視するかどうか
+ * @returns {Promise<Object>} シンボルをキーとするコーポレートアクションのオブジェクト
+ */
+const getCorporateActionsForSymbols = async ({ dataType, symbols, range, refresh = false }) => {
+  const results = {};
+
+  for (const symbol of symbols) {
+    try {
+      results[symbol] = await getCorporateActions({ dataType, symbol, range, refresh });
+    } catch (error) {
+      logger.error(`Error getting corporate actions for ${symbol}: ${error.message}`);
+      results[symbol] = {
+        symbol,
+        range: range || CORPORATE_ACTION_SETTINGS.DEFAULT_RANGE,
+        dividends: [],
+        splits: [],
+        source: 'Error',
+        error: error.message,
+        lastUpdated: new Date().toISOString()
+      };
+    }
+  }
+
+  return results;
+};
+
+/**
+ * 期間内に権利落ちとなった株式分割の比率を累積する
+ * 開始日当日の分割は開始時点の価格に反映済みとして含めない
+ * @param {Array<Object>} splits - 株式分割の配列（[{date, ratio}]）
+ * @param {string} fromDate - 開始日（YYYY-MM-DD、この日より後の分割が対象）
+ * @param {string} toDate - 終了日（YYYY-MM-DD、この日までの分割が対象）
+ * @returns {number} 累積の分割比率（分割が無い場合は1）
+ */
+const getCumulativeSplitRatio = (splits, fromDate, toDate) => {
+  return (splits || [])
+    .filter(split => split.date > fromDate && split.date <= toDate && Number(split.ratio) > 0)
+    .reduce((ratio, split) => ratio * Number(split.ratio), 1);
+};
+
+module.exports = {
+  isSupportedDataType,
+  getCorporateActions,
+  getCorporateActionsForSymbols,
+  getCumulativeSplitRatio
+};
@@ -0,0 +1,197 @@
+/**
+ * プロジェクト: portfolio-market-data-api
+ * ファイルパス: src/services/sources/cryptoData.js
+ *
+ * 説明:
+ * 暗号資産（BTC, ETH など）の価格を取得するサービス。
+ * CoinGecko API（simple/price）を使用し、複数銘柄を1回のリクエストでまとめて取得します。
+ * 価格はUSDまたはJPY建てで返します。
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-14
+ */
+'use strict';
+
+const axios = require('axios');
+const { withRetry, isRetryableApiError } = require('../../utils/retry');
+const alertService = require('../alerts');
+const { CRYPTO_SETTINGS } = require('../../config/constants');
+
+const COINGECKO_API_URL = 'https://api.coingecko.com/api/v3/simple/price';
+const API_TIMEOUT = 5000;
+const SOURCE = 'CoinGecko API';
+
+/**
+ * 主な暗号資産のシンボルとCoinGeckoのIDの対応
+ * 一覧に無いシンボルは小文字にしたものをIDとして扱う（例: 'pepe'）
+ */
+const COINS = {
+  BTC: { id: 'bitcoin', name: 'Bitcoin' },
+  ETH: { id: 'ethereum', name: 'Ethereum' },
+  XRP: { id: 'ripple', name: 'XRP' },
+  SOL: { id: 'solana', name: 'Solana' },
+  DOGE: { id: 'dogecoin', name: 'Dogecoin' },
+  ADA: { id: 'cardano', name: 'Cardano' },
+  BNB: { id: 'binancecoin', name: 'BNB' },
+  LTC: { id: 'litecoin', name: 'Litecoin' },
+  BCH: { id: 'bitcoin-cash', name: 'Bitcoin Cash' },
+  DOT: { id: 'polkadot', name: 'Polkadot' },
+  AVAX: { id: 'avalanche-2', name: 'Avalanche' },
+  LINK: { id: 'chainlink', name: 'Chainlink' },
+  TRX: { id: 'tron', name: 'TRON' },
+  XLM: { id: 'stellar', name: 'Stellar' },
+  SHIB: { id: 'shiba-inu', name: 'Shiba Inu' },
+  USDT: { id: 'tether', name: 'Tether' },
+  USDC: { id: 'usd-coin', name: 'USDC' }
+};
+
+/**
+ * シンボルに対応するCoinGeckoのIDと名称を取得する
+ * @param {string} symbol - シンボル（例: 'BTC'）
+ * @returns {Object} { id, name }
+ */
+const getCoin = (symbol) => {
+  const key = String(symbol || '').trim().toUpperCase();
+  return COINS[key] || { id: key.toLowerCase(), name: key };
+};
+
+/**
+ * 建値通貨を正規化する（対応していない通貨はエラー）
+ * @param {string} [currency] - 建値通貨（'USD' または 'JPY'）
+ * @returns {string} 大文字の通貨コード
+ */
+const normalizeCurrency = (currency) => {
+  const code = String(currency || CRYPTO_SETTINGS.DEFAULT_CURRENCY).toUpperCase();
+
+  if (!CRYPTO_SETTINGS.CURRENCIES.includes(code)) {
+    throw new Error(`Unsupported quote currency: ${currency}`);
+  }
+
+  return code;
+};
+
+/**
+ * 価格と24時間の騰落率から前日比を算出する
+ * @param {number} price - 現在の価格
+ * @param {number} changePercent - 24時間の騰落率（%）
+ * @returns {number} 前日比（価格の単位）
+ */
+const calculateChange = (price, changePercent) => {
+  if (!Number.isFinite(changePercent) || changePercent <= -100) {
+    return 0;
+  }
+
+  const previous = price / (1 + changePercent / 100);
+  return Math.round((price - previous) * 1e8) / 1e8;
+};
+
+/**
+ * 複数の暗号資産の価格をまとめて取得する
+ * @param {Array<string>} symbols - シンボルの配列（例: ['BTC', 'ETH']）
+ * @param {string} [currency='USD'] - 建値通貨（'USD' または 'JPY'）
+ * @returns {Promise<Object>} シンボルをキーとする価格データ（取得できなかったシンボルは含まない）
+ */
+const getCryptoQuotes = async (symbols, currency = CRYPTO_SETTINGS.DEFAULT_CURRENCY) => {
+  const quoteCurrency = normalizeCurrency(currency);
+  const vsCurrency = quoteCurrency.toLowerCase();
+  const coins = symbols.map(symbol => ({ symbol, ...getCoin(symbol) }));
+  const ids = Array.from(new Set(coins.map(coin => coin.id)));
+
+  try {
+    // APIキーは任意（設定されている場合はレート制限が緩和される）
+    const apiKey = process.env.COINGECKO_API_KEY;
+
+    const response = await withRetry(
+      () => axios.get(COINGECKO_API_URL, {
+        params: {
+          ids: ids.join(','),
+          vs_currencies: vsCurrency,
+          include_market_cap: true,
+          include_24hr_vol: true,
+          include_24hr_change: true,
+          include_last_updated_at: true
+        },
+        headers: apiKey ? { 'x-cg-demo-api-key': apiKey } : {},
+        timeout: API_TIMEOUT
+      }),
+      {
+        maxRetries: 2,
+        baseDelay: 500,
+        shouldRetry: isRetryableApiError
+      }
+    );
+
+    if (!response.data || typeof response.data !== 'object') {
+      throw new Error('Invalid API response format');
+    }
+
+    const results = {};
+
+    coins.forEach(coin => {
+      const quote = response.data[coin.id];
+
+      if (!quote || quote[vsCurrency] === undefined || quote[vsCurrency] === null) {
+        return;
+      }
+
+      const price = Number(quote[vsCurrency]);
+      const changePercent = Number(quote[`${vsCurrency}_24h_change`]);
+
+      results[coin.symbol] = {
+        ticker: coin.symbol.toUpperCase(),
+        name: coin.name,
+        price,
+        change: calculateChange(price, changePercent),
+        changePercent: Number.isFinite(changePercent) ? Math.round(changePercent * 100) / 100 : 0,
+        currency: quoteCurrency,
+        marketCap: quote[`${vsCurrency}_market_cap`] !== undefined ? quote[`${vsCurrency}_market_cap`] : null,
+        volume: quote[`${vsCurrency}_24h_vol`] !== undefined ? quote[`${vsCurrency}_24h_vol`] : null,
+        lastUpdated: quote.last_updated_at
+          ? new Date(quote.last_updated_at * 1000).toISOString()
+          : new Date().toISOString(),
+        source: SOURCE,
+        isStock: false,
+        isMutualFund: false,
+        isCrypto: true
+      };
+    });
+
+    return results;
+  } catch (error) {
+    console.error(`Error fetching crypto quotes for ${symbols.join(',')}:`, error.message);
+
+    // APIキーエラーの場合はアラート通知
+    if (error.response && (error.response.status === 401 || error.response.status === 403)) {
+      await alertService.notifyError(
+        'CoinGecko API Key Error',
+        new Error(`API key validation failed: ${error.response.status}`),
+        { symbols }
+      );
+    }
+
+    throw new Error(`Failed to retrieve crypto data: ${error.message}`);
+  }
+};
+
+/**
+ * 暗号資産の価格を取得する
+ * @param {string} symbol - シンボル（例: 'BTC'）
+ * @param {string} [currency='USD'] - 建値通貨（'USD' または 'JPY'）
+ * @returns {Promise<Object>} 価格データ
+ */
+const getCryptoData = async (symbol, currency = CRYPTO_SETTINGS.DEFAULT_CURRENCY) => {
+  const quotes = await getCryptoQuotes([symbol], currency);
+
+  if (!quotes[symbol]) {
+    throw new Error(`No crypto data returned for ${symbol}`);
+  }
+
+  return quotes[symbol];
+};
+
+module.exports = {
+  getCoin,
+  normalizeCurrency,
+  getCryptoQuotes,
+  getCryptoData
+};
@@ -8,6 +8,9 @@
  * 
  * @author Portfolio Manager Team
  * @created 2025-05-20
+ * @updated 2025-06-13 機能追加: ETF・REITのデータ取得
+ * @updated 2025-06-14 機能追加: 暗号資産のデータ取得（USD・JPY建て）
+ * @updated 2025-06-15 機能追加: 市場指数のデータ取得（指数ごとのデフォルト値）
  */
 'use strict';
 
@@ -16,7 +19,9 @@ const yahooFinanceService = require('./yahooFinance');
 const scrapingService = require('./marketDataProviders');
 const exchangeRateService = require('./exchangeRate');
 const fundDataService = require('./fundDataService');
-const { DATA_TYPES, BATCH_SIZES } = require('../../config/constants');
+const cryptoDataService = require('./cryptoData');
+const { DATA_TYPES, BATCH_SIZES, CACHE_TIMES, CRYPTO_SETTINGS } = require('../../config/constants');
+const { isJpListedCode, getMarketIndex } = require('../../utils/symbolUtils');
 const logger = require('../../utils/logger');
 
 /**
@@ -296,6 +301,233 @@ const getExchangeRateData = async (base, target, refresh = false) => {
   });
 };
 
+/**
+ * ETF・REITのデフォルト値を取得する（上場市場によって価格・通貨が異なる）
+ * @param {boolean} isJapanese - 東証の銘柄かどうか
+ * @returns {Object} デフォルト値
+ */
+const getEtfDefaultValues = (isJapanese) => ({
+  price: isJapanese ? 2000 : 100,
+  change: 0,
+  changePercent: 0,
+  currency: isJapanese ? 'JPY' : 'USD',
+  isStock: false,
+  isMutualFund: false,
+  isEtf: true,
+  nav: null,
+  premiumDiscount: null,
+  distributionYield: null,
+  expenseRatio: null
+});
+
+/**
+ * ETF・REITのデータを取得する（強化版）
+ * @param {string} symbol - ティッカーシンボル（例: VTI）または東証の証券コード（例: 1306）
+ * @param {boolean} [refresh=false] - キャッシュを無視するかどうか
+ * @returns {Promise<Object>} ETFデータ
+ */
+const getEtfData = async (symbol, refresh = false) => {
+  return await fetchDataWithFallback({
+    symbol,
+    dataType: DATA_TYPES.ETF,
+    fetchFunctions: [
+      // Yahoo Finance API → Yahoo Finance Japan / Yahoo Finance (Web)
+      (sym) => scrapingService.getEtfData(sym)
+    ],
+    defaultValues: {
+      ...getEtfDefaultValues(isJpListedCode(symbol)),
+      name: symbol
+    },
+    refresh,
+    cache: {
+      time: CACHE_TIMES.ETF
+    }
+  });
+};
+
+/**
+ * 複数のETF・REITのデータを取得する（強化版）
+ * 東証と米国の銘柄ではデフォルト値が異なるため、市場ごとに分けて取得する
+ * @param {Array<string>} symbols - ティッカーシンボル・証券コードの配列
+ * @param {boolean} [refresh=false] - キャッシュを無視するかどうか
+ * @returns {Promise<Object>} 銘柄をキーとするデータオブジェクト
+ */
+const getEtfsData = async (symbols, refresh = false) => {
+  const groups = [
+    { isJapanese: true, symbols: symbols.filter(symbol => isJpListedCode(symbol)) },
+    { isJapanese: false, symbols: symbols.filter(symbol => !isJpListedCode(symbol)) }
+  ].filter(group => group.symbols.length > 0);
+
+  const results = await Promise.all(groups.map(group => fetchBatchDataWithFallback({
+    symbols: group.symbols,
+    dataType: DATA_TYPES.ETF,
+    fetchFunctions: [
+      // Yahoo Finance API → Yahoo Finance Japan / Yahoo Finance (Web)
+      (sym) => scrapingService.getEtfData(sym)
+    ],
+    defaultValues: getEtfDefaultValues(group.isJapanese),
+    refresh,
+    batchSize: BATCH_SIZES.ETF
+  })));
+
+  return Object.assign({}, ...results);
+};
+
+/**
+ * 暗号資産のデフォルト値を取得する
+ * 価格の目安が無いため、取得できなかった場合の価格は null とする
+ * @param {string} currency - 建値通貨
+ * @returns {Object} デフォルト値
+ */
+const getCryptoDefaultValues = (currency) => ({
+  price: null,
+  change: 0,
+  changePercent: 0,
+  currency,
+  isStock: false,
+  isMutualFund: false,
+  isCrypto: true
+});
+
+/**
+ * 暗号資産のデータを取得する（強化版）
+ * 建値通貨ごとにキャッシュするため、キャッシュキーには 'BTC-JPY' 形式を使用する
+ * @param {string} symbol - シンボル（例: 'BTC'）
+ * @param {string} [currency='USD'] - 建値通貨（'USD' または 'JPY'）
+ * @param {boolean} [refresh=false] - キャッシュを無視するかどうか
+ * @returns {Promise<Object>} 暗号資産データ
+ */
+const getCryptoData = async (symbol, currency = CRYPTO_SETTINGS.DEFAULT_CURRENCY, refresh = false) => {
+  const quoteCurrency = cryptoDataService.normalizeCurrency(currency);
+
+  return await fetchDataWithFallback({
+    symbol: `${symbol}-${quoteCurrency}`,
+    dataType: DATA_TYPES.CRYPTO,
+    fetchFunctions: [
+      // CoinGecko API
+      () => cryptoDataService.getCryptoData(symbol, quoteCurrency)
+    ],
+    defaultValues: {
+      ...getCryptoDefaultValues(quoteCurrency),
+      ticker: String(symbol).toUpperCase(),
+      name: String(symbol).toUpperCase()
+    },
+    refresh,
+    cache: {
+      time: CACHE_TIMES.CRYPTO
+    }
+  });
+};
+
+/**
+ * 複数の暗号資産のデータを取得する（強化版）
+ * キャッシュに無い銘柄がある場合は、全銘柄を1回のリクエストでまとめて取得する
+ * @param {Array<string>} symbols - シンボルの配列
+ * @param {string} [currency='USD'] - 建値通貨（'USD' または 'JPY'）
+ * @param {boolean} [refresh=false] - キャッシュを無視するかどうか
+ * @returns {Promise<Object>} シンボルをキーとするデータオブジェクト
+ */
+const getCryptosData = async (symbols, currency = CRYPTO_SETTINGS.DEFAULT_CURRENCY, refresh = false) => {
+  const quoteCurrency = cryptoDataService.normalizeCurrency(currency);
+  const toCacheSymbol = (symbol) => `${symbol}-${quoteCurrency}`;
+  let quotesRequest = null;
+
+  const results = await fetchBatchDataWithFallback({
+    symbols: symbols.map(toCacheSymbol),
+    dataType: DATA_TYPES.CRYPTO,
+    fetchFunctions: [
+      // CoinGecko API（最初に呼ばれた時点でまとめて取得し、結果を共有する）
+      async (cacheSymbol) => {
+        const symbol = symbols.find(item => toCacheSymbol(item) === cacheSymbol);
+        quotesRequest = quotesRequest || cryptoDataService.getCryptoQuotes(symbols, quoteCurrency);
+        const quotes = await quotesRequest;
+
+        if (!quotes[symbol]) {
+          throw new Error(`No crypto data returned for ${symbol}`);
+        }
+
+        return quotes[symbol];
+      }
+    ],
+    defaultValues: getCryptoDefaultValues(quoteCurrency),
+    refresh,
+    batchSize: BATCH_SIZES.CRYPTO,
+    cache: {
+      time: CACHE_TIMES.CRYPTO
+    }
+  });
+
+  // キャッシュキー（'BTC-JPY'）から指定されたシンボルに戻す
+  return symbols.reduce((data, symbol) => {
+    const item = results[toCacheSymbol(symbol)];
+    if (item) {
+      const ticker = String(symbol).toUpperCase();
+      data[symbol] = { ...item, ticker, name: item.name || ticker };
+    }
+    return data;
+  }, {});
+};
+
+/**
+ * 市場指数のデフォルト値を取得する
+ * @param {Object} index - 指数の定義（getMarketIndex の戻り値）
+ * @returns {Object} デフォルト値（価格は指数ごとの目安の値）
+ */
+const getIndexDefaultValues = (index) => ({
+  ticker: index.id,
+  name: index.name,
+  price: index.defaultValue,
+  change: 0,
+  changePercent: 0,
+  currency: index.currency,
+  isStock: false,
+  isMutualFund: false,
+  isIndex: true
+});
+
+/**
+ * 市場指数のデータを取得する（強化版）
+ * @param {string} symbol - 指数の識別子（例: N225, TOPIX, SPX）
+ * @param {boolean} [refresh=false] - キャッシュを無視するかどうか
+ * @returns {Promise<Object>} 指数データ
+ */
+const getIndexData = async (symbol, refresh = false) => {
+  const index = getMarketIndex(symbol);
+
+  if (!index) {
+    throw new Error(`Unknown index: ${symbol}`);
+  }
+
+  return await fetchDataWithFallback({
+    symbol: index.id,
+    dataType: DATA_TYPES.INDEX,
+    fetchFunctions: [
+      // Yahoo Finance API → Yahoo Finance Japan
+      (sym) => scrapingService.getIndexData(sym)
+    ],
+    defaultValues: getIndexDefaultValues(index),
+    refresh,
+    cache: {
+      time: CACHE_TIMES.INDEX
+    }
+  });
+};
+
+/**
+ * 複数の市場指数のデータを取得する（強化版）
+ * 指数ごとにデフォルト値が異なるため、1件ずつ取得する
+ * @param {Array<string>} symbols - 指数の識別子の配列
+ * @param {boolean} [refresh=false] - キャッシュを無視するかどうか
+ * @returns {Promise<Object>} 指定された識別子をキーとするデータオブジェクト
+ */
+const getIndicesData = async (symbols, refresh = false) => {
+  const entries = await Promise.all(
+    symbols.map(async symbol => [symbol, await getIndexData(symbol, refresh)])
+  );
+
+  return Object.fromEntries(entries);
+};
+
 module.exports = {
   getUsStockData,
   getUsStocksData,
@@ -303,5 +535,11 @@ module.exports = {
   getJpStocksData,
   getMutualFundData,
   getMutualFundsData,
-  getExchangeRateData
+  getExchangeRateData,
+  getEtfData,
+  getEtfsData,
+  getCryptoData,
+  getCryptosData,
+  getIndexData,
+  getIndicesData
 };
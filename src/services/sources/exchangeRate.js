@@ -9,6 +9,7 @@
  * 
  * @author Portfolio Manager Team
  * @updated 2025-05-18
+ * @updated 2025-05-25 機能追加: 時系列APIによる為替レート履歴の取得
  */
 'use strict';
 
@@ -17,6 +18,7 @@ const { withRetry, isRetryableApiError } = require('../../utils/retry');
 const alertService = require('../alerts');
 const { DEFAULT_EXCHANGE_RATE } = require('../../config/constants');
 const { getRandomUserAgent } = require('../../utils/dataFetchUtils');
+const { getRangeStartDate } = require('../../utils/historyUtils');
 
 // 環境変数からAPIキーを取得
 const EXCHANGE_RATE_API_KEY = process.env.EXCHANGE_RATE_API_KEY || '';
@@ -440,7 +442,114 @@ const getBatchExchangeRates = async (pairs) => {
   return results;
 };
 
+/**
+ * exchangerate.hostの時系列APIで一度に取得できる最大日数
+ */
+const TIMESERIES_MAX_DAYS = 365;
+
+/**
+ * 期間指定なし（'max'）の場合に遡る最大年数
+ */
+const HISTORY_MAX_YEARS = 5;
+
+/**
+ * 通貨ペアの為替レート履歴を取得する
+ * 為替レートは日次の参照レートのみのため、始値・高値・安値・終値はすべて同じ値となる
+ * @param {string} base - ベース通貨コード（例: 'USD'）
+ * @param {string} target - 対象通貨コード（例: 'JPY'）
+ * @param {Object} [options] - 取得オプション
+ * @param {string} [options.range='1y'] - 取得期間（例: '1mo', '1y', 'max'）
+ * @returns {Promise<Object>} 履歴データ { symbol, base, target, bars: [{date, open, high, low, close, volume}] }
+ */
+const getHistoricalExchangeRates = async (base = 'USD', target = 'JPY', { range = '1y' } = {}) => {
+  base = base.toUpperCase();
+  target = target.toUpperCase();
+  console.log(`Getting historical exchange rates for ${base}/${target} (range: ${range})`);
+  
+  const endDate = new Date();
+  let startDate = getRangeStartDate(range, endDate);
+  if (!startDate) {
+    startDate = new Date(endDate.getTime());
+    startDate.setUTCFullYear(startDate.getUTCFullYear() - HISTORY_MAX_YEARS);
+  }
+  
+  try {
+    const ratesByDate = {};
+    
+    // APIの日数制限に合わせて期間を分割して取得
+    let windowStart = new Date(startDate.getTime());
+    while (windowStart <= endDate) {
+      const windowEnd = new Date(windowStart.getTime() + (TIMESERIES_MAX_DAYS - 1) * 86400000);
+      const effectiveEnd = windowEnd > endDate ? endDate : windowEnd;
+      
+      const response = await withRetry(
+        () => axios.get('https://api.exchangerate.host/timeseries', {
+          params: {
+            base,
+            symbols: target,
+            start_date: windowStart.toISOString().split('T')[0],
+            end_date: effectiveEnd.toISOString().split('T')[0]
+          },
+          headers: {
+            'User-Agent': getRandomUserAgent()
+          },
+          timeout: 10000
+        }),
+        {
+          maxRetries: 2,
+          baseDelay: 300,
+          shouldRetry: isRetryableApiError
+        }
+      );
+      
+      const rates = response.data && response.data.rates;
+      if (!rates || typeof rates !== 'object') {
+        throw new Error('No data in exchangerate.host timeseries response');
+      }
+      
+      Object.entries(rates).forEach(([date, values]) => {
+        if (values && typeof values[target] === 'number') {
+          ratesByDate[date] = values[target];
+        }
+      });
+      
+      windowStart = new Date(effectiveEnd.getTime() + 86400000);
+    }
+    
+    const bars = Object.keys(ratesByDate)
+      .sort()
+      .map(date => {
+        const rate = ratesByDate[date];
+        return { date, open: rate, high: rate, low: rate, close: rate, volume: null };
+      });
+    
+    if (bars.length === 0) {
+      throw new Error(`No historical rates found for ${base}/${target}`);
+    }
+    
+    return {
+      symbol: `${base}-${target}`,
+      base,
+      target,
+      currency: target,
+      bars,
+      source: PROVIDERS.PRIMARY
+    };
+  } catch (error) {
+    console.error(`Error fetching historical exchange rates for ${base}/${target}:`, error.message);
+    
+    await alertService.notifyError(
+      'Exchange Rate History API Error',
+      error,
+      { base, target, range, provider: PROVIDERS.PRIMARY }
+    );
+    
+    throw new Error(`Failed to retrieve historical exchange rates for ${base}/${target}: ${error.message}`);
+  }
+};
+
 module.exports = {
   getExchangeRate,
-  getBatchExchangeRates
+  getBatchExchangeRates,
+  getHistoricalExchangeRates
 };
@@ -9,6 +9,7 @@
  * 
  * @author Portfolio Manager Team
  * @updated 2025-05-15
+ * @updated 2025-05-25 機能追加: CSV全レコードからの基準価額履歴の取得
  */
 'use strict';
 
@@ -25,6 +26,7 @@ const {
   recordDataFetchSuccess,
   checkBlacklistAndGetFallback
 } = require('../../utils/dataFetchUtils');
+const { getRangeStartDate, normalizeDate } = require('../../utils/historyUtils');
 
 // 環境変数からタイムアウト設定を取得
 const MUTUAL_FUND_TIMEOUT = parseInt(process.env.MUTUAL_FUND_TIMEOUT || '30000', 10);
@@ -131,6 +133,51 @@ const getMutualFundData = async (code) => {
   }
 };
 
+/**
+ * モーニングスターから基準価額CSVをダウンロードして全レコードを解析する
+ * @param {string} fundCode - ファンドコード
+ * @returns {Promise<Array<Object>>} CSVレコードの配列（日付昇順）
+ */
+const downloadMorningstarCsvRecords = async (fundCode) => {
+  // モーニングスター用のURLを構築 - fundCodeをそのまま使用
+  const url = `https://www.morningstar.co.jp/FundData/DownloadStandardPriceData.do?fnc=${fundCode}`;
+  
+  // ランダムなユーザーエージェントを使用
+  const userAgent = getRandomUserAgent();
+  
+  // 再試行ロジックを使用してCSVデータ取得
+  const response = await withRetry(
+    () => axios.get(url, {
+      headers: {
+        'User-Agent': userAgent,
+        'Accept': 'text/csv,application/csv',
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Accept-Language': 'ja,en-US;q=0.9,en;q=0.8'
+      },
+      timeout: MUTUAL_FUND_TIMEOUT,
+      responseType: 'text'
+    }),
+    {
+      maxRetries: 3,
+      baseDelay: 500,
+      shouldRetry: isRetryableApiError
+    }
+  );
+  
+  // CSV解析
+  const records = parse(response.data, {
+    columns: true,
+    skip_empty_lines: true,
+    encoding: 'shift_jis'
+  });
+  
+  if (!records || records.length === 0) {
+    throw new Error('No data found in CSV');
+  }
+  
+  return records;
+};
+
 /**
  * モーニングスターからCSVデータを取得して解析する
  * @param {string} fundCode - ファンドコード
@@ -140,41 +187,7 @@ const getMorningstarCsvData = async (fundCode) => {
   console.log(`Getting CSV data from Morningstar for ${fundCode}`);
   
   try {
-    // モーニングスター用のURLを構築 - fundCodeをそのまま使用
-    const url = `https://www.morningstar.co.jp/FundData/DownloadStandardPriceData.do?fnc=${fundCode}`;
-    
-    // ランダムなユーザーエージェントを使用
-    const userAgent = getRandomUserAgent();
-    
-    // 再試行ロジックを使用してCSVデータ取得
-    const response = await withRetry(
-      () => axios.get(url, {
-        headers: {
-          'User-Agent': userAgent,
-          'Accept': 'text/csv,application/csv',
-          'Content-Type': 'application/x-www-form-urlencoded',
-          'Accept-Language': 'ja,en-US;q=0.9,en;q=0.8'
-        },
-        timeout: MUTUAL_FUND_TIMEOUT,
-        responseType: 'text'
-      }),
-      {
-        maxRetries: 3,
-        baseDelay: 500,
-        shouldRetry: isRetryableApiError
-      }
-    );
-    
-    // CSV解析
-    const records = parse(response.data, {
-      columns: true,
-      skip_empty_lines: true,
-      encoding: 'shift_jis'
-    });
-    
-    if (!records || records.length === 0) {
-      throw new Error('No data found in CSV');
-    }
+    const records = await downloadMorningstarCsvRecords(fundCode);
     
     // 最新の価格データを取得（通常は配列の最後の要素）
     const latestData = records[records.length - 1];
@@ -235,6 +248,53 @@ const getMorningstarCsvData = async (fundCode) => {
   }
 };
 
+/**
+ * 投資信託の基準価額の履歴を取得する（モーニングスターCSVの全レコードを使用）
+ * 投資信託は1日1回の基準価額のみのため、始値・高値・安値・終値はすべて基準価額となる
+ * @param {string} code - ファンドコード
+ * @param {Object} [options] - 取得オプション
+ * @param {string} [options.range='1y'] - 取得期間（例: '1mo', '1y', 'max'）
+ * @returns {Promise<Object>} 履歴データ { symbol, currency, bars: [{date, open, high, low, close, volume}] }
+ */
+const getMutualFundHistory = async (code, { range = '1y' } = {}) => {
+  const fundCode = code.replace(/\.T$/i, '');
+  console.log(`Getting mutual fund history for ${fundCode} (range: ${range})`);
+  
+  try {
+    const records = await downloadMorningstarCsvRecords(fundCode);
+    const startDate = getRangeStartDate(range);
+    const startDateStr = startDate ? startDate.toISOString().split('T')[0] : null;
+    
+    const bars = records
+      .map(record => {
+        const date = normalizeDate(record['日付'] || record['Date']);
+        const nav = parseFloat(record['基準価額'] || record['NAV']);
+        
+        if (!date || isNaN(nav) || nav <= 0) {
+          return null;
+        }
+        
+        return { date, open: nav, high: nav, low: nav, close: nav, volume: null };
+      })
+      .filter(bar => bar && (!startDateStr || bar.date >= startDateStr))
+      .sort((a, b) => a.date.localeCompare(b.date));
+    
+    if (bars.length === 0) {
+      throw new Error('No valid NAV records in CSV');
+    }
+    
+    return {
+      symbol: fundCode,
+      currency: 'JPY',
+      bars,
+      source: 'Morningstar CSV'
+    };
+  } catch (error) {
+    console.error(`Error getting mutual fund history for ${fundCode}:`, error.message);
+    throw new Error(`Morningstar CSV history retrieval failed: ${error.message}`);
+  }
+};
+
 /**
  * 複数の投資信託のデータを並列で取得する（キャッシュとブラックリスト対応版）
  * @param {Array<string>} codes - ファンドコードの配列
@@ -370,5 +430,6 @@ const getMutualFundsParallel = async (codes) => {
 
 module.exports = {
   getMutualFundData,
-  getMutualFundsParallel
+  getMutualFundsParallel,
+  getMutualFundHistory
 };
@@ -0,0 +1,128 @@
+/**
+ * プロジェクト: portfolio-market-data-api
+ * ファイルパス: src/services/sources/fundamentals.js
+ *
+ * 説明:
+ * 米国株・日本株の投資指標（PER・PBR・配当利回り・セクター・52週高値/安値・時価総額）を取得するサービス。
+ * 米国株はYahoo Finance API、日本株はYahoo Finance Japanの指標欄を使用します。
+ * 投資指標は価格とは別のキーで、日次のTTLでキャッシュします。
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-17
+ */
+'use strict';
+
+const yahooFinanceService = require('./yahooFinance');
+const marketDataProviders = require('./marketDataProviders');
+const cacheService = require('../cache');
+const { DATA_TYPES, CACHE_TIMES, FUNDAMENTALS_SETTINGS } = require('../../config/constants');
+const logger = require('../../utils/logger');
+
+/**
+ * 投資指標のキャッシュキーを生成する（価格のキャッシュとは別に管理する）
+ * @param {string} dataType - データタイプ
+ * @param {string} symbol - シンボル
+ * @returns {string} キャッシュキー
+ */
+const buildCacheKey = (dataType, symbol) => {
+  return `fundamentals:${dataType}:${symbol}`;
+};
+
+/**
+ * データタイプに応じたデータソースから投資指標を取得する
+ * @param {string} dataType - データタイプ
+ * @param {string} symbol - シンボル
+ * @returns {Promise<Object>} 投資指標
+ */
+const fetchFromSource = async (dataType, symbol) => {
+  switch (dataType) {
+    case DATA_TYPES.US_STOCK:
+      return await yahooFinanceService.getStockFundamentals(symbol);
+
+    case DATA_TYPES.JP_STOCK:
+      return await marketDataProviders.getJpStockFundamentals(symbol);
+
+    default:
+      throw new Error(`Unsupported data type for fundamentals: ${dataType}`);
+  }
+};
+
+/**
+ * 単一銘柄の投資指標を取得する
+ * @param {Object} options - 取得オプション
+ * @param {string} options.dataType - データタイプ（us-stock または jp-stock）
+ * @param {string} options.symbol - シンボル
+ * @param {boolean} [options.refresh=false] - キャッシュを無視するかどうか
+ * @returns {Promise<Object>} { symbol, name, per, pbr, dividendYield, sector, industry, fiftyTwoWeekHigh, fiftyTwoWeekLow, marketCap, currency, source, lastUpdated }
+ */
+const getFundamentals = async ({ dataType, symbol, refresh = false }) => {
+  if (!FUNDAMENTALS_SETTINGS.DATA_TYPES.includes(dataType)) {
+    throw new Error(`Unsupported data type for fundamentals: ${dataType}`);
+  }
+
+  const cacheKey = buildCacheKey(dataType, symbol);
+
+  if (!refresh) {
+    const cached = await cacheService.get(cacheKey);
+    if (cached && cached.data) {
+      logger.info(`Using cached fundamentals for ${symbol}`);
+      return cached.data;
+    }
+  }
+
+  const fundamentals = await fetchFromSource(dataType, symbol);
+
+  const result = {
+    symbol,
+    name: fundamentals.name || symbol,
+    per: fundamentals.per,
+    pbr: fundamentals.pbr,
+    dividendYield: fundamentals.dividendYield,
+    sector: fundamentals.sector,
+    industry: fundamentals.industry,
+    fiftyTwoWeekHigh: fundamentals.fiftyTwoWeekHigh,
+    fiftyTwoWeekLow: fundamentals.fiftyTwoWeekLow,
+    marketCap: fundamentals.marketCap,
+    currency: fundamentals.currency,
+    source: fundamentals.source,
+    lastUpdated: new Date().toISOString()
+  };
+
+  await cacheService.set(cacheKey, result, CACHE_TIMES.FUNDAMENTALS);
+
+  return result;
+};
+
+/**
+ * 複数銘柄の投資指標を取得する
+ * 個別銘柄の失敗は結果にエラーとして含め、全体は失敗させない
+ * @param {Object} options - 取得オプション
+ * @param {string} options.dataType - データタイプ
+ * @param {Array<string>} options.symbols - シンボルの配列
+ * @param {boolean} [options.refresh=false] - キャッシュを無視するかどうか
+ * @returns {Promise<Object>} シンボルをキーとする投資指標のオブジェクト
+ */
+const getFundamentalsForSymbols = async ({ dataType, symbols, refresh = false }) => {
+  const results = {};
+
+  for (const symbol of symbols) {
+    try {
+      results[symbol] = await getFundamentals({ dataType, symbol, refresh });
+    } catch (error) {
+      logger.error(`Error getting fundamentals for ${symbol}: ${error.message}`);
+      results[symbol] = {
+        symbol,
+        source: 'Error',
+        error: error.message,
+        lastUpdated: new Date().toISOString()
+      };
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  getFundamentals,
+  getFundamentalsForSymbols
+};
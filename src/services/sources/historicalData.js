@@ -0,0 +1,158 @@
+/**
+ * プロジェクト: portfolio-market-data-api
+ * ファイルパス: src/services/sources/historicalData.js
+ *
+ * 説明:
+ * 株式・投資信託・為替レートの履歴データ（OHLCV）を取得するサービス。
+ * データタイプに応じて各データソースを選択し、指定間隔への集約とキャッシュを行います。
+ * 米国株・日本株・ETF・市場指数はYahoo Finance、投資信託はモーニングスターCSV、
+ * 為替レートはexchangerate.hostを使用します。
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-25
+ * @updated 2025-06-13 機能追加: ETF・REITの履歴データ
+ * @updated 2025-06-15 機能追加: 市場指数の履歴データ（ベンチマークの推移）
+ */
+'use strict';
+
+const yahooFinanceService = require('./yahooFinance');
+const fundDataService = require('./fundDataService');
+const exchangeRateService = require('./exchangeRate');
+const cacheService = require('../cache');
+const { DATA_TYPES, CACHE_TIMES, HISTORY_SETTINGS } = require('../../config/constants');
+const { resampleBars } = require('../../utils/historyUtils');
+const logger = require('../../utils/logger');
+
+/**
+ * 履歴データのキャッシュキーを生成する
+ * @param {string} dataType - データタイプ
+ * @param {string} symbol - シンボル
+ * @param {string} range - 取得期間
+ * @param {string} interval - 足の間隔
+ * @returns {string} キャッシュキー
+ */
+const buildCacheKey = (dataType, symbol, range, interval) => {
+  return `history:${dataType}:${symbol}:${range}:${interval}`;
+};
+
+/**
+ * データタイプに応じたデータソースから履歴データを取得する
+ * @param {string} dataType - データタイプ
+ * @param {string} symbol - シンボル（為替レートは 'USD-JPY' 形式）
+ * @param {string} range - 取得期間
+ * @param {string} interval - 足の間隔
+ * @returns {Promise<Object>} 履歴データ
+ */
+const fetchFromSource = async (dataType, symbol, range, interval) => {
+  switch (dataType) {
+    case DATA_TYPES.US_STOCK:
+    case DATA_TYPES.JP_STOCK:
+    case DATA_TYPES.ETF:
+      // Yahoo Financeは間隔指定に対応しているため集約不要
+      return await yahooFinanceService.getHistoricalData(symbol, { range, interval });
+
+    case DATA_TYPES.INDEX:
+      // 指数の識別子（例: N225）はYahoo Financeのシンボルに変換して取得する
+      return await yahooFinanceService.getIndexHistoricalData(symbol, { range, interval });
+
+    case DATA_TYPES.MUTUAL_FUND: {
+      const history = await fundDataService.getMutualFundHistory(symbol, { range });
+      return { ...history, bars: resampleBars(history.bars, interval) };
+    }
+
+    case DATA_TYPES.EXCHANGE_RATE: {
+      const [base, target] = symbol.split('-');
+      if (!base || !target) {
+        throw new Error('Invalid currency pair format. Use BASE-TARGET format (e.g., USD-JPY)');
+      }
+      const history = await exchangeRateService.getHistoricalExchangeRates(base, target, { range });
+      return { ...history, bars: resampleBars(history.bars, interval) };
+    }
+
+    default:
+      throw new Error(`Unsupported data type for history: ${dataType}`);
+  }
+};
+
+/**
+ * 単一銘柄の履歴データを取得する
+ * @param {Object} options - 取得オプション
+ * @param {string} options.dataType - データタイプ
+ * @param {string} options.symbol - シンボル
+ * @param {string} [options.range] - 取得期間（デフォルト: HISTORY_SETTINGS.DEFAULT_RANGE）
+ * @param {string} [options.interval] - 足の間隔（デフォルト: HISTORY_SETTINGS.DEFAULT_INTERVAL）
+ * @param {boolean} [options.refresh=false] - キャッシュを無視するかどうか
+ * @returns {Promise<Object>} 履歴データ { symbol, currency, range, interval, bars, source, lastUpdated }
+ */
+const getHistoricalData = async ({
+  dataType,
+  symbol,
+  range = HISTORY_SETTINGS.DEFAULT_RANGE,
+  interval = HISTORY_SETTINGS.DEFAULT_INTERVAL,
+  refresh = false
+}) => {
+  const cacheKey = buildCacheKey(dataType, symbol, range, interval);
+
+  if (!refresh) {
+    const cached = await cacheService.get(cacheKey);
+    if (cached && cached.data) {
+      logger.info(`Using cached history for ${symbol} (${range}/${interval})`);
+      return cached.data;
+    }
+  }
+
+  const history = await fetchFromSource(dataType, symbol, range, interval);
+
+  const result = {
+    symbol,
+    currency: history.currency,
+    range,
+    interval,
+    bars: history.bars || [],
+    source: history.source,
+    lastUpdated: new Date().toISOString()
+  };
+
+  await cacheService.set(cacheKey, result, CACHE_TIMES.HISTORICAL_DATA);
+
+  return result;
+};
+
+/**
+ * 複数銘柄の履歴データを取得する
+ * 個別銘柄の失敗は結果にエラーとして含め、全体は失敗させない
+ * @param {Object} options - 取得オプション
+ * @param {string} options.dataType - データタイプ
+ * @param {Array<string>} options.symbols - シンボルの配列
+ * @param {string} [options.range] - 取得期間
+ * @param {string} [options.interval] - 足の間隔
+ * @param {boolean} [options.refresh=false] - キャッシュを無視するかどうか
+ * @returns {Promise<Object>} シンボルをキーとする履歴データのオブジェクト
+ */
+const getHistoricalDataForSymbols = async ({ dataType, symbols, range, interval, refresh = false }) => {
+  const results = {};
+
+  for (const symbol of symbols) {
+    try {
+      results[symbol] = await getHistoricalData({ dataType, symbol, range, interval, refresh });
+    } catch (error) {
+      logger.error(`Error getting history for ${symbol}: ${error.message}`);
+      results[symbol] = {
+        symbol,
+        range,
+        interval,
+        bars: [],
+        source: 'Error',
+        error: error.message,
+        lastUpdated: new Date().toISOString()
+      };
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  getHistoricalData,
+  getHistoricalDataForSymbols
+};
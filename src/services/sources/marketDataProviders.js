@@ -8,6 +8,9 @@
  * 
  * @author Portfolio Manager Team
  * @updated 2025-05-15
+ * @updated 2025-06-13 機能追加: ETF・REITのデータ取得（基準価額・乖離率・分配金利回り・経費率）
+ * @updated 2025-06-15 機能追加: 市場指数のデータ取得（指数ごとのフォールバック値）
+ * @updated 2025-06-17 機能追加: 日本株の投資指標（Yahoo Finance Japanの指標欄、52週高値/安値はチャートAPI）
  */
 'use strict';
 
@@ -25,6 +28,7 @@ const {
   checkBlacklistAndGetFallback
 } = require('../../utils/dataFetchUtils');
 const { DATA_TYPES, CACHE_TIMES } = require('../../config/constants');
+const { isJpListedCode, getMarketIndex } = require('../../utils/symbolUtils');
 
 // 環境変数からタイムアウト設定を取得
 const JP_STOCK_SCRAPING_TIMEOUT = parseInt(process.env.JP_STOCK_SCRAPING_TIMEOUT || '30000', 10);
@@ -294,18 +298,400 @@ const getMutualFundData = async (code) => {
   }
 };
 
+/**
+ * 市場価格の基準価額（NAV）に対する乖離率（%）を計算する
+ * @param {number} price - 市場価格
+ * @param {number} nav - 基準価額
+ * @returns {number|null} 乖離率（プラスはプレミアム、マイナスはディスカウント。計算できない場合はnull）
+ */
+const calculatePremiumDiscount = (price, nav) => {
+  const marketPrice = Number(price);
+  const navValue = Number(nav);
+
+  if (!Number.isFinite(marketPrice) || !Number.isFinite(navValue) || navValue <= 0) {
+    return null;
+  }
+
+  return Math.round((marketPrice - navValue) / navValue * 100 * 100) / 100;
+};
+
+/**
+ * ETF固有の項目を揃える（取得できなかった項目はnull）
+ * @param {Object} data - 取得したデータ
+ * @returns {Object} nav, premiumDiscount, distributionYield, expenseRatio を含むデータ
+ */
+const withEtfMetrics = (data) => {
+  const nav = data.nav !== undefined && data.nav !== null ? Number(data.nav) : null;
+
+  return {
+    ...data,
+    nav: Number.isFinite(nav) ? nav : null,
+    premiumDiscount: calculatePremiumDiscount(data.price, nav),
+    distributionYield: data.distributionYield !== undefined ? data.distributionYield : null,
+    expenseRatio: data.expenseRatio !== undefined ? data.expenseRatio : null,
+    isStock: false,
+    isMutualFund: false,
+    isEtf: true
+  };
+};
+
+/**
+ * ETF・REITのデータを取得する
+ * 東証の銘柄コード（例: 1306, 8951）は日本のソース、それ以外（例: VTI）は米国のソースを使用する
+ * @param {string} symbol - ティッカーシンボルまたは証券コード
+ * @returns {Promise<Object>} ETFデータ（nav, premiumDiscount, distributionYield, expenseRatio を含む）
+ */
+const getEtfData = async (symbol) => {
+  const isJapanese = isJpListedCode(symbol);
+  const ticker = isJapanese ? symbol.replace(/\.T$/i, '') : symbol;
+  const market = isJapanese ? 'jp' : 'us';
+  console.log(`Preparing to fetch ETF data for ${ticker}`);
+
+  // ブラックリストのチェックとフォールバックデータの準備
+  const { isBlacklisted, fallbackData } = await checkBlacklistAndGetFallback(
+    ticker,
+    market,
+    {
+      defaultPrice: isJapanese ? 2000 : 100,
+      currencyCode: isJapanese ? 'JPY' : 'USD',
+      name: ticker,
+      isStock: false,
+      isMutualFund: false
+    }
+  );
+
+  if (isBlacklisted) {
+    console.log(`ETF ${ticker} is blacklisted. Using fallback data.`);
+    return withEtfMetrics(fallbackData);
+  }
+
+  try {
+    // ソース1: Yahoo Finance API
+    try {
+      console.log(`Trying Yahoo Finance API for ETF ${ticker}`);
+      const yahooApiData = await yahooFinanceService.getEtfData(ticker);
+
+      if (yahooApiData && yahooApiData.price) {
+        console.log(`Successfully fetched ETF data from Yahoo Finance API for ${ticker}`);
+
+        // 成功を記録
+        await recordDataFetchSuccess(ticker);
+
+        return withEtfMetrics(yahooApiData);
+      }
+    } catch (yahooApiError) {
+      await recordDataFetchFailure(ticker, market, 'Yahoo Finance API', yahooApiError);
+    }
+
+    // ソース2: Yahoo Finance Japan（東証）または Yahoo Finance (Web)（米国）
+    const source = isJapanese ? 'Yahoo Finance Japan' : 'Yahoo Finance (Web)';
+    try {
+      console.log(`Trying ${source} for ETF ${ticker}`);
+      const scrapedData = isJapanese
+        ? await scrapeYahooFinanceJapan(ticker, { withFundDetails: true })
+        : await scrapeYahooFinance(ticker);
+
+      if (scrapedData && scrapedData.price) {
+        console.log(`Successfully fetched ETF data from ${source} for ${ticker}`);
+
+        // 成功を記録
+        await recordDataFetchSuccess(ticker);
+
+        return withEtfMetrics({
+          ticker,
+          ...scrapedData,
+          source
+        });
+      }
+    } catch (scrapingError) {
+      await recordDataFetchFailure(ticker, market, source, scrapingError);
+    }
+
+    // すべてのソースが失敗した場合
+    console.log(`All sources failed for ETF ${ticker}, using fallback data`);
+
+    // 失敗を最終記録
+    await recordDataFetchFailure(
+      ticker,
+      market,
+      'All Sources',
+      new Error('All data sources failed'),
+      {
+        alertTitle: 'All ETF Data Sources Failed',
+        alertThreshold: 0.1
+      }
+    );
+
+    // フォールバックデータを返す（ブラックリストではない）
+    return withEtfMetrics({
+      ...fallbackData,
+      source: 'Fallback',
+      isBlacklisted: false
+    });
+  } catch (error) {
+    console.error(`ETF data retrieval error for ${ticker}:`, error);
+    throw new Error(`ETF data retrieval failed for ${ticker}: ${error.message}`);
+  }
+};
+
+/**
+ * 市場指数のデータを取得する
+ * Yahoo Finance API、Yahoo Finance Japan（指数ページがある場合）の順に試し、
+ * すべて失敗した場合は指数ごとの目安の値（defaultValue）を返す
+ * @param {string} symbol - 指数の識別子（例: N225, TOPIX, SPX）
+ * @returns {Promise<Object>} 指数データ（ticker は指数の識別子）
+ */
+const getIndexData = async (symbol) => {
+  const index = getMarketIndex(symbol);
+
+  if (!index) {
+    throw new Error(`Unknown index: ${symbol}`);
+  }
+
+  const market = index.currency === 'JPY' ? 'jp' : 'us';
+  console.log(`Preparing to fetch index data for ${index.id}`);
+
+  // 指数の識別子・名称を揃える
+  const toIndexData = (data) => ({
+    ...data,
+    ticker: index.id,
+    name: index.name,
+    isStock: false,
+    isMutualFund: false,
+    isIndex: true
+  });
+
+  // ブラックリストのチェックとフォールバックデータの準備
+  const { isBlacklisted, fallbackData } = await checkBlacklistAndGetFallback(
+    index.id,
+    market,
+    {
+      defaultPrice: index.defaultValue,
+      currencyCode: index.currency,
+      name: index.name,
+      isStock: false,
+      isMutualFund: false
+    }
+  );
+
+  if (isBlacklisted) {
+    console.log(`Index ${index.id} is blacklisted. Using fallback data.`);
+    return toIndexData(fallbackData);
+  }
+
+  try {
+    // ソース1: Yahoo Finance API
+    try {
+      console.log(`Trying Yahoo Finance API for index ${index.id}`);
+      const yahooApiData = await yahooFinanceService.getIndexData(index.id);
+
+      if (yahooApiData && yahooApiData.price) {
+        console.log(`Successfully fetched index data from Yahoo Finance API for ${index.id}`);
+
+        // 成功を記録
+        await recordDataFetchSuccess(index.id);
+
+        return toIndexData(yahooApiData);
+      }
+    } catch (yahooApiError) {
+      await recordDataFetchFailure(index.id, market, 'Yahoo Finance API', yahooApiError);
+    }
+
+    // ソース2: Yahoo Finance Japan（指数ページがある場合のみ）
+    if (index.yahooJapanCode) {
+      try {
+        console.log(`Trying Yahoo Finance Japan for index ${index.id}`);
+        const scrapedData = await scrapeYahooFinanceJapan(index.yahooJapanCode);
+
+        if (scrapedData && scrapedData.price) {
+          console.log(`Successfully fetched index data from Yahoo Finance Japan for ${index.id}`);
+
+          // 成功を記録
+          await recordDataFetchSuccess(index.id);
+
+          return toIndexData({
+            ...scrapedData,
+            currency: index.currency,
+            source: 'Yahoo Finance Japan'
+          });
+        }
+      } catch (scrapingError) {
+        await recordDataFetchFailure(index.id, market, 'Yahoo Finance Japan', scrapingError);
+      }
+    }
+
+    // すべてのソースが失敗した場合
+    console.log(`All sources failed for index ${index.id}, using fallback data`);
+
+    // 失敗を最終記録
+    await recordDataFetchFailure(
+      index.id,
+      market,
+      'All Sources',
+      new Error('All data sources failed'),
+      {
+        alertTitle: 'All Index Data Sources Failed',
+        alertThreshold: 0.1
+      }
+    );
+
+    // フォールバックデータを返す（ブラックリストではない）
+    return toIndexData({
+      ...fallbackData,
+      source: 'Fallback',
+      isBlacklisted: false
+    });
+  } catch (error) {
+    console.error(`Index data retrieval error for ${index.id}:`, error);
+    throw new Error(`Index data retrieval failed for ${index.id}: ${error.message}`);
+  }
+};
+
+/**
+ * 金額の単位（時価総額などの表記）
+ */
+const JP_AMOUNT_UNITS = [
+  ['兆', 1e12],
+  ['億', 1e8],
+  ['百万', 1e6],
+  ['千', 1e3]
+];
+
+/**
+ * 直近1年の週足から52週高値・安値を算出する（取得できない場合はnull）
+ * @param {string} symbol - 証券コード
+ * @returns {Promise<Object>} { fiftyTwoWeekHigh, fiftyTwoWeekLow }
+ */
+const get52WeekRange = async (symbol) => {
+  try {
+    const history = await yahooFinanceService.getHistoricalData(symbol, { range: '1y', interval: '1wk' });
+    const bars = (history && history.bars) || [];
+    const highs = bars.map(bar => bar.high).filter(Number.isFinite);
+    const lows = bars.map(bar => bar.low).filter(Number.isFinite);
+
+    return {
+      fiftyTwoWeekHigh: highs.length ? Math.max(...highs) : null,
+      fiftyTwoWeekLow: lows.length ? Math.min(...lows) : null
+    };
+  } catch (error) {
+    console.error(`Error getting 52-week range for ${symbol}:`, error.message);
+    return { fiftyTwoWeekHigh: null, fiftyTwoWeekLow: null };
+  }
+};
+
+/**
+ * 日本株の投資指標を取得する
+ * Yahoo Finance Japanの指標欄（PER・PBR・配当利回り・時価総額・業種）を優先し、
+ * 取得できない場合はYahoo Finance APIを使用する
+ * @param {string} code - 証券コード（4桁）
+ * @returns {Promise<Object>} { ticker, name, per, pbr, dividendYield, sector, industry, fiftyTwoWeekHigh, fiftyTwoWeekLow, marketCap, currency, source }
+ */
+const getJpStockFundamentals = async (code) => {
+  const stockCode = code.replace(/\.T$/, '');
+  console.log(`Preparing to fetch Japanese stock fundamentals for ${stockCode}`);
+
+  // ブラックリストに登録されている銘柄はスクレイピングしない
+  if (!(await blacklist.isBlacklisted(stockCode, 'jp'))) {
+    try {
+      const [yahooData, weekRange] = await Promise.all([
+        scrapeYahooFinanceJapan(stockCode, { withFundamentals: true }),
+        get52WeekRange(stockCode)
+      ]);
+
+      return {
+        ticker: stockCode,
+        name: yahooData.name,
+        per: yahooData.per,
+        pbr: yahooData.pbr,
+        dividendYield: yahooData.dividendYield,
+        sector: yahooData.sector,
+        industry: null,
+        ...weekRange,
+        marketCap: yahooData.marketCap,
+        currency: 'JPY',
+        source: 'Yahoo Finance Japan'
+      };
+    } catch (yahooError) {
+      console.error(`Error scraping fundamentals for ${stockCode}:`, yahooError.message);
+    }
+  }
+
+  try {
+    return await yahooFinanceService.getStockFundamentals(stockCode);
+  } catch (error) {
+    throw new Error(`JP stock fundamentals retrieval failed for ${stockCode}: ${error.message}`);
+  }
+};
+
+/**
+ * ページ内のラベル（dt・th）に対応する値を文字列で取得する
+ * @param {Function} $ - cheerioのルート
+ * @param {Array<string>} labels - ラベルの候補（部分一致）
+ * @returns {string|null} 値（見つからない場合・空の場合はnull）
+ */
+const findLabeledText = ($, labels) => {
+  const label = $('dt, th').filter((index, element) => {
+    const text = $(element).text();
+    return labels.some(candidate => text.includes(candidate));
+  }).first();
+
+  if (!label.length) {
+    return null;
+  }
+
+  const text = label.next().text().trim();
+  return text || null;
+};
+
+/**
+ * ページ内のラベル（dt・th）に対応する値を数値で取得する
+ * 「(連) 10.50倍」のように前後に注記がある場合も最初の数値を使用する
+ * @param {Function} $ - cheerioのルート
+ * @param {Array<string>} labels - ラベルの候補（部分一致）
+ * @returns {number|null} 数値（見つからない場合はnull）
+ */
+const findLabeledNumber = ($, labels) => {
+  const text = findLabeledText($, labels);
+  const match = text ? text.replace(/,/g, '').match(/-?\d+(\.\d+)?/) : null;
+  const value = match ? parseFloat(match[0]) : NaN;
+  return Number.isFinite(value) ? value : null;
+};
+
+/**
+ * ページ内のラベル（dt・th）に対応する金額を取得する（「48,541,436百万円」は 48541436000000）
+ * @param {Function} $ - cheerioのルート
+ * @param {Array<string>} labels - ラベルの候補（部分一致）
+ * @returns {number|null} 金額（見つからない場合はnull）
+ */
+const findLabeledAmount = ($, labels) => {
+  const value = findLabeledNumber($, labels);
+
+  if (value === null) {
+    return null;
+  }
+
+  const text = findLabeledText($, labels);
+  const unit = JP_AMOUNT_UNITS.find(([suffix]) => text.includes(suffix));
+  return unit ? value * unit[1] : value;
+};
+
 // 以下、各スクレイピング関数の実装（変更なし）
 /**
  * Yahoo Finance Japanから日本株のデータをスクレイピングする
- * @param {string} stockCode - 証券コード（4桁）
+ * 市場の区切り（例: 998407.O）や「^」（例: ^GSPC）を含むコードは指数のページとしてそのまま使用する
+ * @param {string} stockCode - 証券コード（4桁）または指数の銘柄コード
+ * @param {Object} [options] - オプション
+ * @param {boolean} [options.withFundDetails=false] - ETF・REITの基準価額・分配金利回り・経費率も取得する
+ * @param {boolean} [options.withFundamentals=false] - 株式のPER・PBR・配当利回り・時価総額・業種も取得する
  * @returns {Promise<Object>} 株価データ
  */
-const scrapeYahooFinanceJapan = async (stockCode) => {
+const scrapeYahooFinanceJapan = async (stockCode, { withFundDetails = false, withFundamentals = false } = {}) => {
   console.log(`Scraping Yahoo Finance Japan for ${stockCode}`);
   
   try {
     // Yahoo Finance Japan用のURLを構築
-    const url = `https://finance.yahoo.co.jp/quote/${stockCode}.T`;
+    const quoteCode = /[.^]/.test(stockCode) ? stockCode : `${stockCode}.T`;
+    const url = `https://finance.yahoo.co.jp/quote/${encodeURIComponent(quoteCode)}`;
     
     // ランダムなユーザーエージェントを使用
     const userAgent = getRandomUserAgent();
@@ -341,13 +727,13 @@ const scrapeYahooFinanceJapan = async (stockCode) => {
     const changeElement = $('span._3Ovs4ARF5Hslpj9n5NwEjn');
     const changeText = changeElement.text().trim();
     
-    // 前日比の解析（+200円(+1.2%)や-300円(-1.5%)のような形式）
+    // 前日比の解析（+200円(+1.2%)や-300円(-1.5%)のような形式、指数は +215.70(+0.56%) のように単位なし）
     let change = 0;
     let changePercent = 0;
     
     if (changeText) {
       // 正規表現で前日比を抽出
-      const changeMatch = changeText.match(/([-+])([\d,]+)円\s*\(([-+])([\d.]+)%\)/);
+      const changeMatch = changeText.match(/([-+])([\d,.]+)円?\s*\(([-+])([\d.]+)%\)/);
       
       if (changeMatch) {
         const changeSign = changeMatch[1] === '-' ? -1 : 1;
@@ -373,7 +759,21 @@ const scrapeYahooFinanceJapan = async (stockCode) => {
       changePercent,
       name: name || `日本株 ${stockCode}`,
       currency: 'JPY',
-      lastUpdated
+      lastUpdated,
+      // ETF・REITの場合は指標欄から取得する（%表記の項目はそのまま%として扱う）
+      ...(withFundDetails && {
+        nav: findLabeledNumber($, ['基準価額', 'NAV']),
+        distributionYield: findLabeledNumber($, ['分配金利回り', '予想分配金利回り']),
+        expenseRatio: findLabeledNumber($, ['信託報酬', '経費率'])
+      }),
+      // 株式の場合は指標欄から取得する（PER・PBRは会社予想、配当利回りは%）
+      ...(withFundamentals && {
+        per: findLabeledNumber($, ['PER']),
+        pbr: findLabeledNumber($, ['PBR']),
+        dividendYield: findLabeledNumber($, ['配当利回り']),
+        marketCap: findLabeledAmount($, ['時価総額']),
+        sector: findLabeledText($, ['業種'])
+      })
     };
   } catch (error) {
     console.error(`Error scraping Yahoo Finance Japan for ${stockCode}:`, error.message);
@@ -774,6 +1174,10 @@ module.exports = {
   getJpStockData,
   getUsStockData,
   getMutualFundData,
+  getEtfData,
+  getIndexData,
+  getJpStockFundamentals,
+  calculatePremiumDiscount,
   getJpStocksParallel,
   getUsStocksParallel,
   getMutualFundsParallel,
@@ -9,12 +9,18 @@
  * 
  * @author Portfolio Manager Team
  * @updated 2025-05-14
+ * @updated 2025-05-25 機能追加: チャートAPIによる履歴データ（OHLCV）取得
+ * @updated 2025-06-13 機能追加: ETF・REITのデータ（基準価額・分配金利回り・経費率）取得
+ * @updated 2025-06-15 機能追加: 市場指数（日経平均・TOPIX・S&P 500など）の値と履歴データの取得
+ * @updated 2025-06-16 機能追加: チャートAPIのイベントによる配当・株式分割の取得
+ * @updated 2025-06-17 機能追加: 投資指標（PER・PBR・配当利回り・セクター・52週高値/安値・時価総額）の取得
  */
 'use strict';
 
 const axios = require('axios');
 const { withRetry, isRetryableApiError } = require('../../utils/retry');
 const alertService = require('../alerts');
+const { isJpListedCode, getMarketIndex } = require('../../utils/symbolUtils');
 
 // API_TIMEOUTはテスト環境による更新が少ないので定数定義のままにする
 const API_TIMEOUT = parseInt(process.env.YAHOO_FINANCE_API_TIMEOUT || '5000', 10);
@@ -230,7 +236,566 @@ const getStocksData = async (symbols) => {
   }
 };
 
+/**
+ * 履歴データ取得用のシンボルに変換する
+ * 東証の証券コード（例: 7203, 130A）は東証サフィックス「.T」を付与する
+ * @param {string} symbol - ティッカーシンボルまたは証券コード
+ * @returns {string} チャートAPI用シンボル
+ */
+const toChartSymbol = (symbol) => {
+  return isJpListedCode(symbol) && !/\.T$/i.test(symbol) ? `${symbol}.T` : symbol;
+};
+
+/**
+ * 銘柄の履歴データ（OHLCV）を取得する
+ * @param {string} symbol - ティッカーシンボルまたは証券コード
+ * @param {Object} [options] - 取得オプション
+ * @param {string} [options.range='1y'] - 取得期間（例: '1mo', '1y'）
+ * @param {string} [options.interval='1d'] - 足の間隔（例: '1d', '1wk'）
+ * @returns {Promise<Object>} 履歴データ { symbol, currency, bars: [{date, open, high, low, close, volume}] }
+ */
+const getHistoricalData = async (symbol, { range = '1y', interval = '1d' } = {}) => {
+  try {
+    if (!symbol) {
+      throw new Error('Symbol is required');
+    }
+
+    // 関数呼び出し時に毎回環境変数を読み込む
+    const API_HOST = process.env.YAHOO_FINANCE_API_HOST || 'yh-finance.p.rapidapi.com';
+    const API_KEY = process.env.YAHOO_FINANCE_API_KEY;
+    const chartSymbol = toChartSymbol(symbol);
+
+    // APIからデータを取得
+    const response = await withRetry(
+      () => axios.get(buildApiUrl(`/stock/v3/get-chart`), {
+        params: {
+          symbol: chartSymbol,
+          range,
+          interval,
+          region: chartSymbol.endsWith('.T') ? 'JP' : 'US'
+        },
+        headers: {
+          'X-RapidAPI-Key': API_KEY,
+          'X-RapidAPI-Host': API_HOST
+        },
+        timeout: API_TIMEOUT
+      }),
+      {
+        maxRetries: 3,
+        baseDelay: 500,
+        shouldRetry: isRetryableApiError
+      }
+    );
+
+    // レスポンスを検証
+    const chart = response.data && response.data.chart;
+    if (!chart || chart.error || !Array.isArray(chart.result) || chart.result.length === 0) {
+      throw new Error('Invalid API response format');
+    }
+
+    const result = chart.result[0];
+    const timestamps = result.timestamp || [];
+    const quote = (result.indicators && result.indicators.quote && result.indicators.quote[0]) || {};
+
+    // 値が欠けている足（休場日など）は除外する
+    const bars = timestamps
+      .map((timestamp, index) => ({
+        date: new Date(timestamp * 1000).toISOString().split('T')[0],
+        open: quote.open ? quote.open[index] : null,
+        high: quote.high ? quote.high[index] : null,
+        low: quote.low ? quote.low[index] : null,
+        close: quote.close ? quote.close[index] : null,
+        volume: quote.volume ? quote.volume[index] : null
+      }))
+      .filter(bar => bar.close !== null && bar.close !== undefined);
+
+    return {
+      symbol,
+      currency: (result.meta && result.meta.currency) || (chartSymbol.endsWith('.T') ? 'JPY' : 'USD'),
+      range,
+      interval,
+      bars,
+      source: 'Yahoo Finance API'
+    };
+  } catch (error) {
+    console.error(`Error fetching historical data for ${symbol}:`, error);
+
+    // APIキーエラーの場合はアラート通知
+    if (error.response && (error.response.status === 401 || error.response.status === 403)) {
+      await alertService.notifyError(
+        'Yahoo Finance API Key Error',
+        new Error(`API key validation failed: ${error.response.status}`),
+        { symbol }
+      );
+    }
+
+    throw new Error(`Failed to retrieve historical data for ${symbol}: ${error.message}`);
+  }
+};
+
+/**
+ * 比率を%に変換して丸める（値が無い場合はnull）
+ * @param {number} value - 比率（例: 0.0153）
+ * @returns {number|null} %（例: 1.53）
+ */
+const toPercent = (value) => {
+  const number = Number(value);
+  return value !== undefined && value !== null && Number.isFinite(number)
+    ? Math.round(number * 100 * 10000) / 10000
+    : null;
+};
+
+/**
+ * ETF・REITのデータを取得する
+ * 東証の銘柄コード（例: 1306, 8951）は「.T」を付与して日本市場から取得する
+ * @param {string} symbol - ティッカーシンボルまたは証券コード
+ * @returns {Promise<Object>} ETFデータ（nav, distributionYield, expenseRatio を含む、利回り・経費率は%）
+ */
+const getEtfData = async (symbol) => {
+  try {
+    if (!symbol) {
+      throw new Error('Symbol is required');
+    }
+
+    // 関数呼び出し時に毎回環境変数を読み込む
+    const API_HOST = process.env.YAHOO_FINANCE_API_HOST || 'yh-finance.p.rapidapi.com';
+    const API_KEY = process.env.YAHOO_FINANCE_API_KEY;
+    const quoteSymbol = toChartSymbol(symbol);
+    const isJapanese = quoteSymbol.endsWith('.T');
+
+    // APIからデータを取得
+    const response = await withRetry(
+      () => axios.get(buildApiUrl(`/market/v2/get-quotes`), {
+        params: {
+          region: isJapanese ? 'JP' : 'US',
+          symbols: quoteSymbol
+        },
+        headers: {
+          'X-RapidAPI-Key': API_KEY,
+          'X-RapidAPI-Host': API_HOST
+        },
+        timeout: API_TIMEOUT
+      }),
+      {
+        maxRetries: 3,
+        baseDelay: 500,
+        shouldRetry: isRetryableApiError
+      }
+    );
+
+    // レスポンスを検証
+    const quoteResponse = response.data && response.data.quoteResponse;
+    if (!quoteResponse || quoteResponse.error || !quoteResponse.result) {
+      throw new Error('Invalid API response format');
+    }
+
+    if (quoteResponse.result.length === 0) {
+      // 空のデータセットを返す（エラーにしない）
+      return {};
+    }
+
+    const etfData = quoteResponse.result[0];
+
+    // 経費率は netExpenseRatio（%）を優先し、無い場合は annualReportExpenseRatio（比率）を使用する
+    const expenseRatio = etfData.netExpenseRatio !== undefined && etfData.netExpenseRatio !== null
+      ? Number(etfData.netExpenseRatio)
+      : toPercent(etfData.annualReportExpenseRatio);
+
+    // レスポンスデータを整形
+    return {
+      ticker: symbol,
+      price: etfData.regularMarketPrice,
+      change: etfData.regularMarketChange,
+      changePercent: etfData.regularMarketChangePercent,
+      name: etfData.shortName || etfData.longName || symbol,
+      currency: etfData.currency || (isJapanese ? 'JPY' : 'USD'),
+      lastUpdated: new Date(etfData.regularMarketTime * 1000).toISOString(),
+      source: 'Yahoo Finance API',
+      isStock: false,
+      isMutualFund: false,
+      isEtf: true,
+      nav: etfData.navPrice !== undefined ? etfData.navPrice : null,
+      distributionYield: toPercent(etfData.trailingAnnualDividendYield),
+      expenseRatio: Number.isFinite(expenseRatio) ? expenseRatio : null,
+      netAssets: etfData.netAssets !== undefined ? etfData.netAssets : null,
+      volume: etfData.regularMarketVolume
+    };
+  } catch (error) {
+    console.error(`Error fetching ETF data for ${symbol}:`, error);
+
+    // APIキーエラーの場合はアラート通知
+    if (error.response && (error.response.status === 401 || error.response.status === 403)) {
+      await alertService.notifyError(
+        'Yahoo Finance API Key Error',
+        new Error(`API key validation failed: ${error.response.status}`),
+        { symbol }
+      );
+    }
+
+    throw new Error(`Failed to retrieve ETF data for ${symbol}: ${error.message}`);
+  }
+};
+
+/**
+ * 数値の項目を取得する（値が無い場合はnull）
+ * @param {*} value - APIレスポンスの値
+ * @returns {number|null} 数値
+ */
+const toNumberOrNull = (value) => {
+  const number = Number(value);
+  return value !== undefined && value !== null && Number.isFinite(number) ? number : null;
+};
+
+/**
+ * 銘柄のセクター・業種を取得する（取得できない場合は null）
+ * @param {string} quoteSymbol - APIに指定するシンボル
+ * @param {Object} headers - APIリクエストヘッダー
+ * @returns {Promise<Object>} { sector, industry }
+ */
+const getStockProfile = async (quoteSymbol, headers) => {
+  try {
+    const response = await withRetry(
+      () => axios.get(buildApiUrl(`/stock/v2/get-profile`), {
+        params: {
+          symbol: quoteSymbol,
+          region: quoteSymbol.endsWith('.T') ? 'JP' : 'US'
+        },
+        headers,
+        timeout: API_TIMEOUT
+      }),
+      {
+        maxRetries: 2,
+        baseDelay: 500,
+        shouldRetry: isRetryableApiError
+      }
+    );
+
+    const profile = (response.data && response.data.assetProfile) || {};
+
+    return {
+      sector: profile.sector || null,
+      industry: profile.industry || null
+    };
+  } catch (error) {
+    // セクターが取得できなくても投資指標は返す
+    console.warn(`Could not get profile for ${quoteSymbol}:`, error.message);
+    return { sector: null, industry: null };
+  }
+};
+
+/**
+ * 銘柄の投資指標を取得する
+ * PER・PBR・配当利回り・52週高値/安値・時価総額は株価と同じ get-quotes から、
+ * セクター・業種は get-profile から取得する
+ * @param {string} symbol - ティッカーシンボルまたは証券コード
+ * @returns {Promise<Object>} { ticker, name, per, pbr, dividendYield, sector, industry, fiftyTwoWeekHigh, fiftyTwoWeekLow, marketCap, currency }（配当利回りは%）
+ */
+const getStockFundamentals = async (symbol) => {
+  try {
+    if (!symbol) {
+      throw new Error('Symbol is required');
+    }
+
+    // 関数呼び出し時に毎回環境変数を読み込む
+    const API_HOST = process.env.YAHOO_FINANCE_API_HOST || 'yh-finance.p.rapidapi.com';
+    const API_KEY = process.env.YAHOO_FINANCE_API_KEY;
+    const quoteSymbol = toChartSymbol(symbol);
+    const isJapanese = quoteSymbol.endsWith('.T');
+    const headers = {
+      'X-RapidAPI-Key': API_KEY,
+      'X-RapidAPI-Host': API_HOST
+    };
+
+    // APIからデータを取得
+    const [response, profile] = await Promise.all([
+      withRetry(
+        () => axios.get(buildApiUrl(`/market/v2/get-quotes`), {
+          params: {
+            region: isJapanese ? 'JP' : 'US',
+            symbols: quoteSymbol
+          },
+          headers,
+          timeout: API_TIMEOUT
+        }),
+        {
+          maxRetries: 3,
+          baseDelay: 500,
+          shouldRetry: isRetryableApiError
+        }
+      ),
+      getStockProfile(quoteSymbol, headers)
+    ]);
+
+    // レスポンスを検証
+    const quoteResponse = response.data && response.data.quoteResponse;
+    if (!quoteResponse || quoteResponse.error || !Array.isArray(quoteResponse.result)) {
+      throw new Error('Invalid API response format');
+    }
+
+    if (quoteResponse.result.length === 0) {
+      throw new Error('No quote data returned');
+    }
+
+    const quote = quoteResponse.result[0];
+
+    return {
+      ticker: symbol,
+      name: quote.shortName || quote.longName || symbol,
+      per: toNumberOrNull(quote.trailingPE),
+      pbr: toNumberOrNull(quote.priceToBook),
+      dividendYield: toPercent(quote.trailingAnnualDividendYield),
+      sector: profile.sector,
+      industry: profile.industry,
+      fiftyTwoWeekHigh: toNumberOrNull(quote.fiftyTwoWeekHigh),
+      fiftyTwoWeekLow: toNumberOrNull(quote.fiftyTwoWeekLow),
+      marketCap: toNumberOrNull(quote.marketCap),
+      currency: quote.currency || (isJapanese ? 'JPY' : 'USD'),
+      source: 'Yahoo Finance API'
+    };
+  } catch (error) {
+    console.error(`Error fetching fundamentals for ${symbol}:`, error);
+
+    // APIキーエラーの場合はアラート通知
+    if (error.response && (error.response.status === 401 || error.response.status === 403)) {
+      await alertService.notifyError(
+        'Yahoo Finance API Key Error',
+        new Error(`API key validation failed: ${error.response.status}`),
+        { symbol }
+      );
+    }
+
+    throw new Error(`Failed to retrieve fundamentals for ${symbol}: ${error.message}`);
+  }
+};
+
+/**
+ * 市場指数の定義を取得する（対応していない識別子はエラー）
+ * @param {string} symbol - 指数の識別子（例: N225, TOPIX, SPX）
+ * @returns {Object} 指数の定義
+ */
+const resolveMarketIndex = (symbol) => {
+  const index = getMarketIndex(symbol);
+
+  if (!index) {
+    throw new Error(`Unknown index: ${symbol}`);
+  }
+
+  return index;
+};
+
+/**
+ * 市場指数の値を取得する
+ * 識別子（例: N225）はYahoo Financeのシンボル（例: ^N225）に変換して取得する
+ * @param {string} symbol - 指数の識別子（例: N225, TOPIX, SPX）
+ * @returns {Promise<Object>} 指数データ（ticker は指数の識別子）
+ */
+const getIndexData = async (symbol) => {
+  try {
+    if (!symbol) {
+      throw new Error('Symbol is required');
+    }
+
+    const index = resolveMarketIndex(symbol);
+
+    // 関数呼び出し時に毎回環境変数を読み込む
+    const API_HOST = process.env.YAHOO_FINANCE_API_HOST || 'yh-finance.p.rapidapi.com';
+    const API_KEY = process.env.YAHOO_FINANCE_API_KEY;
+
+    // APIからデータを取得
+    const response = await withRetry(
+      () => axios.get(buildApiUrl(`/market/v2/get-quotes`), {
+        params: {
+          region: index.currency === 'JPY' ? 'JP' : 'US',
+          symbols: index.yahooSymbol
+        },
+        headers: {
+          'X-RapidAPI-Key': API_KEY,
+          'X-RapidAPI-Host': API_HOST
+        },
+        timeout: API_TIMEOUT
+      }),
+      {
+        maxRetries: 3,
+        baseDelay: 500,
+        shouldRetry: isRetryableApiError
+      }
+    );
+
+    // レスポンスを検証
+    const quoteResponse = response.data && response.data.quoteResponse;
+    if (!quoteResponse || quoteResponse.error || !quoteResponse.result) {
+      throw new Error('Invalid API response format');
+    }
+
+    if (quoteResponse.result.length === 0) {
+      // 空のデータセットを返す（エラーにしない）
+      return {};
+    }
+
+    const indexData = quoteResponse.result[0];
+
+    // レスポンスデータを整形
+    return {
+      ticker: index.id,
+      price: indexData.regularMarketPrice,
+      change: indexData.regularMarketChange,
+      changePercent: indexData.regularMarketChangePercent,
+      name: index.name,
+      currency: indexData.currency || index.currency,
+      lastUpdated: new Date(indexData.regularMarketTime * 1000).toISOString(),
+      source: 'Yahoo Finance API',
+      isStock: false,
+      isMutualFund: false,
+      isIndex: true,
+      providerSymbol: index.yahooSymbol
+    };
+  } catch (error) {
+    console.error(`Error fetching index data for ${symbol}:`, error);
+
+    // APIキーエラーの場合はアラート通知
+    if (error.response && (error.response.status === 401 || error.response.status === 403)) {
+      await alertService.notifyError(
+        'Yahoo Finance API Key Error',
+        new Error(`API key validation failed: ${error.response.status}`),
+        { symbol }
+      );
+    }
+
+    throw new Error(`Failed to retrieve index data for ${symbol}: ${error.message}`);
+  }
+};
+
+/**
+ * 市場指数の履歴データ（OHLCV）を取得する
+ * 識別子（例: SPX）はYahoo Financeのシンボル（例: ^GSPC）に変換して取得する
+ * @param {string} symbol - 指数の識別子（例: N225, TOPIX, SPX）
+ * @param {Object} [options] - 取得オプション（getHistoricalData と同じ）
+ * @returns {Promise<Object>} 履歴データ（symbol は指数の識別子）
+ */
+const getIndexHistoricalData = async (symbol, options = {}) => {
+  const index = resolveMarketIndex(symbol);
+  const history = await getHistoricalData(index.yahooSymbol, options);
+
+  return {
+    ...history,
+    symbol: index.id,
+    currency: index.currency
+  };
+};
+
+/**
+ * チャートAPIのイベント（タイムスタンプをキーとするオブジェクト）を日付順の配列に変換する
+ * @param {Object} events - イベント（例: events.dividends）
+ * @returns {Array<Object>} 日付順のイベントの配列
+ */
+const toSortedEvents = (events) => {
+  return Object.values(events || {})
+    .filter(event => event && Number.isFinite(Number(event.date)))
+    .sort((a, b) => Number(a.date) - Number(b.date));
+};
+
+/**
+ * 銘柄の配当・株式分割（コーポレートアクション）を取得する
+ * チャートAPIのイベント（events=div,split）から権利落ち日・1株あたり配当金・分割比率を取り出す。
+ * イベントは足の間隔に関係なく返されるため、応答を小さくするため月足で取得する。
+ * @param {string} symbol - ティッカーシンボルまたは証券コード
+ * @param {Object} [options] - 取得オプション
+ * @param {string} [options.range='5y'] - 取得期間（例: '1y', '5y', 'max'）
+ * @returns {Promise<Object>} { symbol, currency, range, dividends: [{date, amount}], splits: [{date, numerator, denominator, ratio, splitRatio}] }
+ */
+const getCorporateActions = async (symbol, { range = '5y' } = {}) => {
+  try {
+    if (!symbol) {
+      throw new Error('Symbol is required');
+    }
+
+    // 関数呼び出し時に毎回環境変数を読み込む
+    const API_HOST = process.env.YAHOO_FINANCE_API_HOST || 'yh-finance.p.rapidapi.com';
+    const API_KEY = process.env.YAHOO_FINANCE_API_KEY;
+    const chartSymbol = toChartSymbol(symbol);
+
+    // APIからデータを取得
+    const response = await withRetry(
+      () => axios.get(buildApiUrl(`/stock/v3/get-chart`), {
+        params: {
+          symbol: chartSymbol,
+          range,
+          interval: '1mo',
+          events: 'div,split',
+          region: chartSymbol.endsWith('.T') ? 'JP' : 'US'
+        },
+        headers: {
+          'X-RapidAPI-Key': API_KEY,
+          'X-RapidAPI-Host': API_HOST
+        },
+        timeout: API_TIMEOUT
+      }),
+      {
+        maxRetries: 3,
+        baseDelay: 500,
+        shouldRetry: isRetryableApiError
+      }
+    );
+
+    // レスポンスを検証
+    const chart = response.data && response.data.chart;
+    if (!chart || chart.error || !Array.isArray(chart.result) || chart.result.length === 0) {
+      throw new Error('Invalid API response format');
+    }
+
+    const result = chart.result[0];
+    const events = result.events || {};
+    const toDate = (timestamp) => new Date(Number(timestamp) * 1000).toISOString().split('T')[0];
+
+    const dividends = toSortedEvents(events.dividends)
+      .filter(dividend => Number.isFinite(Number(dividend.amount)))
+      .map(dividend => ({
+        date: toDate(dividend.date),
+        amount: Number(dividend.amount)
+      }));
+
+    // 分割比率は「分割後の株数 / 分割前の株数」（例: 1株を4株にする分割は 4）
+    const splits = toSortedEvents(events.splits)
+      .filter(split => Number(split.numerator) > 0 && Number(split.denominator) > 0)
+      .map(split => ({
+        date: toDate(split.date),
+        numerator: Number(split.numerator),
+        denominator: Number(split.denominator),
+        ratio: Number(split.numerator) / Number(split.denominator),
+        splitRatio: split.splitRatio || `${split.numerator}:${split.denominator}`
+      }));
+
+    return {
+      symbol,
+      currency: (result.meta && result.meta.currency) || (chartSymbol.endsWith('.T') ? 'JPY' : 'USD'),
+      range,
+      dividends,
+      splits,
+      source: 'Yahoo Finance API'
+    };
+  } catch (error) {
+    console.error(`Error fetching corporate actions for ${symbol}:`, error);
+
+    // APIキーエラーの場合はアラート通知
+    if (error.response && (error.response.status === 401 || error.response.status === 403)) {
+      await alertService.notifyError(
+        'Yahoo Finance API Key Error',
+        new Error(`API key validation failed: ${error.response.status}`),
+        { symbol }
+      );
+    }
+
+    throw new Error(`Failed to retrieve corporate actions for ${symbol}: ${error.message}`);
+  }
+};
+
 module.exports = {
   getStockData,
-  getStocksData
+  getStocksData,
+  getHistoricalData,
+  getEtfData,
+  getStockFundamentals,
+  getIndexData,
+  getIndexHistoricalData,
+  getCorporateActions
 };
@@ -13,11 +13,13 @@
  * @author Portfolio Manager Team
  * @created 2025-05-11
  * @updated 2025-05-21 fallbackDataStoreへの統合完了
+ * @updated 2025-06-12 機能追加: セッション・APIトークン・IPアドレスごとの使用量カウンターと上限
  * 
  * @deprecated v3.0.0 以降では fallbackDataStore.js を直接使用してください。このモジュールは削除される予定です。
  */
 'use strict';
 
+const crypto = require('crypto');
 const fallbackDataStore = require('./fallbackDataStore');
 const { warnDeprecation } = require('../utils/deprecation');
 const { ENV } = require('../config/envConfig');
@@ -128,6 +130,77 @@ const updateFallbackData = async (dataType, dataItems) => {
 // API usage tracking implementation
 // ---------------------------------------------------------------------------
 
+/**
+ * クライアントの種類ごとの1日あたりの上限
+ * キーはクライアントIDの接頭辞（`ip:...`, `session:...`, `token:...`）
+ */
+const getClientLimits = () => ({
+  ip: ENV.IP_DAILY_REQUEST_LIMIT,
+  session: ENV.SESSION_DAILY_REQUEST_LIMIT,
+  token: ENV.API_TOKEN_DAILY_REQUEST_LIMIT
+});
+
+/**
+ * 集計期間のキーと次の期間が始まる日時を取得する（UTC）
+ * @param {string} period - 'daily' | 'monthly'
+ * @param {Date} now - 現在日時
+ * @returns {Object} { suffix, resetAt }
+ */
+const getWindow = (period, now) => {
+  if (period === 'monthly') {
+    return {
+      suffix: now.toISOString().slice(0, 7),
+      resetAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+    };
+  }
+
+  return {
+    suffix: now.toISOString().slice(0, 10),
+    resetAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+  };
+};
+
+/**
+ * 次の期間が始まるまでの秒数（Retry-After用、最低1秒）
+ * @param {string} period - 'daily' | 'monthly'
+ * @param {Date} now - 現在日時
+ * @returns {number} 秒数
+ */
+const getSecondsUntilReset = (period, now) => {
+  return Math.max(1, Math.ceil((getWindow(period, now).resetAt.getTime() - now.getTime()) / 1000));
+};
+
+/**
+ * クライアントごとのカウンターのキー
+ * @param {string} clientId - クライアントID
+ * @param {string} period - 'daily' | 'monthly'
+ * @param {Date} now - 現在日時
+ * @returns {string} `user:{clientId}:{period}:{suffix}`
+ */
+const getClientKey = (clientId, period, now) => `user:${clientId}:${period}:${getWindow(period, now).suffix}`;
+
+/**
+ * リクエスト元のクライアントIDを取得する
+ * セッションIDはそのまま保存しないようハッシュ化する
+ * @param {Object} params - リクエスト情報
+ * @returns {Object} { ip, session, token }（該当しないものは含めない）
+ */
+const getClientIds = ({ ip, sessionId, apiTokenId } = {}) => {
+  const clients = {};
+
+  if (ip && ip !== 'unknown') {
+    clients.ip = `ip:${ip}`;
+  }
+  if (sessionId) {
+    clients.session = `session:${crypto.createHash('sha256').update(String(sessionId)).digest('hex').slice(0, 32)}`;
+  }
+  if (apiTokenId) {
+    clients.token = `token:${apiTokenId}`;
+  }
+
+  return clients;
+};
+
 const getUsageRecord = async (key) => {
   const db = getDynamoDb();
   const command = new GetCommand({
@@ -138,56 +211,95 @@ const getUsageRecord = async (key) => {
   return result.Item ? result.Item.count : 0;
 };
 
-const incrementUsageRecord = async (key) => {
+/**
+ * カウンターを1増やす
+ * @param {string} key - カウンターのキー
+ * @param {Date} [expiresAt] - 自動削除する日時（クライアントごとのカウンター用）
+ * @returns {Promise<number>} 更新後の件数
+ */
+const incrementUsageRecord = async (key, expiresAt) => {
   const db = getDynamoDb();
   const command = new UpdateCommand({
     TableName: USAGE_TABLE,
     Key: { id: key },
-    UpdateExpression: 'ADD #count :inc',
-    ExpressionAttributeNames: { '#count': 'count' },
-    ExpressionAttributeValues: { ':inc': 1 },
+    UpdateExpression: expiresAt ? 'ADD #count :inc SET #ttl = if_not_exists(#ttl, :ttl)' : 'ADD #count :inc',
+    ExpressionAttributeNames: { '#count': 'count', ...(expiresAt && { '#ttl': 'ttl' }) },
+    ExpressionAttributeValues: { ':inc': 1, ...(expiresAt && { ':ttl': Math.floor(expiresAt.getTime() / 1000) }) },
     ReturnValues: 'UPDATED_NEW'
   });
   const result = await withRetry(() => db.send(command));
   return result.Attributes.count;
 };
 
+const formatRate = (count, limit) => ({
+  count,
+  limit,
+  percentage: Math.round((count / limit) * 100)
+});
+
 const formatUsage = (dailyCount, monthlyCount) => ({
-  daily: {
-    count: dailyCount,
-    limit: ENV.DAILY_REQUEST_LIMIT,
-    percentage: Math.round((dailyCount / ENV.DAILY_REQUEST_LIMIT) * 100)
-  },
-  monthly: {
-    count: monthlyCount,
-    limit: ENV.MONTHLY_REQUEST_LIMIT,
-    percentage: Math.round((monthlyCount / ENV.MONTHLY_REQUEST_LIMIT) * 100)
-  }
+  daily: formatRate(dailyCount, ENV.DAILY_REQUEST_LIMIT),
+  monthly: formatRate(monthlyCount, ENV.MONTHLY_REQUEST_LIMIT)
 });
 
 /**
  * 使用量を確認して更新する
+ * 全体の日次・月次カウンターに加えて、IPアドレス・セッション・APIトークンごとの
+ * 日次カウンターを更新し、いずれかが上限を超えた場合は拒否する。
  * @param {Object} params - リクエスト情報
- * @returns {Promise<{allowed:boolean, usage:Object}>}
+ * @param {string} [params.dataType] - データタイプ
+ * @param {string} [params.ip] - IPアドレス
+ * @param {string} [params.userAgent] - User-Agent
+ * @param {string} [params.sessionId] - セッションID
+ * @param {string} [params.apiTokenId] - 個人用APIトークンのID
+ * @returns {Promise<{allowed:boolean, usage:Object, limitedBy:string|null, retryAfter:number|null}>}
+ * limitedBy は上限を超えたカウンター（'daily' | 'monthly' | 'ip' | 'session' | 'token'）
  */
 const checkAndUpdateUsage = async (params = {}) => {
   const now = new Date();
-  const dayKey = `daily:${now.toISOString().slice(0, 10)}`;
-  const monthKey = `monthly:${now.toISOString().slice(0, 7)}`;
+  const dayKey = `daily:${getWindow('daily', now).suffix}`;
+  const monthKey = `monthly:${getWindow('monthly', now).suffix}`;
+  const clientIds = getClientIds(params);
+  const clientKinds = Object.keys(clientIds);
+  const clientLimits = getClientLimits();
+  // クライアントごとのカウンターは件数が多くなるため、期間の終了から1日後に自動削除する
+  const clientExpiresAt = new Date(getWindow('daily', now).resetAt.getTime() + 24 * 60 * 60 * 1000);
 
-  const [dailyCount, monthlyCount] = await Promise.all([
+  const [dailyCount, monthlyCount, ...clientCounts] = await Promise.all([
     incrementUsageRecord(dayKey),
-    incrementUsageRecord(monthKey)
+    incrementUsageRecord(monthKey),
+    ...clientKinds.map(kind => incrementUsageRecord(getClientKey(clientIds[kind], 'daily', now), clientExpiresAt))
   ]);
 
   const usage = formatUsage(dailyCount, monthlyCount);
-  const allowed =
-    dailyCount <= ENV.DAILY_REQUEST_LIMIT &&
-    monthlyCount <= ENV.MONTHLY_REQUEST_LIMIT;
 
-  logger.info('API usage updated', { usage });
+  if (clientKinds.length > 0) {
+    usage.clients = {};
+    clientKinds.forEach((kind, index) => {
+      usage.clients[kind] = formatRate(clientCounts[index], clientLimits[kind]);
+    });
+  }
+
+  // 月次の上限を優先する（再試行までの時間が最も長いため）
+  let limitedBy = null;
+  if (monthlyCount > ENV.MONTHLY_REQUEST_LIMIT) {
+    limitedBy = 'monthly';
+  } else if (dailyCount > ENV.DAILY_REQUEST_LIMIT) {
+    limitedBy = 'daily';
+  } else {
+    limitedBy = clientKinds.find((kind, index) => clientCounts[index] > clientLimits[kind]) || null;
+  }
+
+  const allowed = limitedBy === null;
+  const retryAfter = allowed ? null : getSecondsUntilReset(limitedBy === 'monthly' ? 'monthly' : 'daily', now);
+
+  if (allowed) {
+    logger.info('API usage updated', { usage });
+  } else {
+    logger.warn('API usage limit exceeded', { limitedBy, usage, dataType: params.dataType });
+  }
 
-  return { allowed, usage };
+  return { allowed, usage, limitedBy, retryAfter };
 };
 
 /**
@@ -247,24 +359,20 @@ const resetUsage = async (type = 'daily') => {
 };
 
 /**
- * ユーザーごとの使用率を取得する（簡易実装）
- * @param {string} userId - ユーザーID
+ * クライアントごとの使用率を取得する
+ * クライアントIDは checkAndUpdateUsage が記録する `ip:...`, `session:...`, `token:...` の形式。
+ * クライアントごとのカウンターは日次のみ記録する。
+ * @param {string} userId - クライアントID
  * @param {string} period - 'daily' | 'monthly'
- * @returns {Promise<Object>} 使用率
+ * @returns {Promise<Object>} 使用率 { count, limit, percentage }
  */
 const getUserRate = async (userId, period = 'daily') => {
-  const now = new Date();
-  const keySuffix = period === 'daily'
-    ? now.toISOString().slice(0, 10)
-    : now.toISOString().slice(0, 7);
-  const key = `user:${userId}:${period}:${keySuffix}`;
-  const count = await getUsageRecord(key);
-  const limit = period === 'daily' ? ENV.DAILY_REQUEST_LIMIT : ENV.MONTHLY_REQUEST_LIMIT;
-  return {
-    count,
-    limit,
-    percentage: Math.round((count / limit) * 100)
-  };
+  const count = await getUsageRecord(getClientKey(userId, period, new Date()));
+  const clientLimit = getClientLimits()[String(userId).split(':')[0]];
+  const limit = period === 'daily'
+    ? (clientLimit || ENV.DAILY_REQUEST_LIMIT)
+    : ENV.MONTHLY_REQUEST_LIMIT;
+  return formatRate(count, limit);
 };
 
 module.exports = {
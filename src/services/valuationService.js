@@ -0,0 +1,232 @@
+/**
+ * プロジェクト: portfolio-market-data-api
+ * ファイルパス: src/services/valuationService.js
+ *
+ * 説明:
+ * ポートフォリオの時価評価サービス。
+ * 保有銘柄を最新の市場価格で評価し、基準通貨に換算した評価額・含み損益・構成比を算出します。
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-28
+ * @updated 2025-06-13 機能追加: ETF・REITの時価評価
+ * @updated 2025-06-14 機能追加: 暗号資産の時価評価（USD建ての価格で評価）
+ * @updated 2025-06-17 バグ修正: データソースがすべて失敗した場合のデフォルト値を価格・為替レートとして使用しない
+ */
+'use strict';
+
+const enhancedMarketDataService = require('./sources/enhancedMarketDataService');
+const exchangeRateService = require('./sources/exchangeRate');
+const { DATA_TYPES, CRYPTO_SETTINGS } = require('../config/constants');
+const { getHoldingDataType, getDefaultCurrency } = require('../utils/symbolUtils');
+const { isDefaultData } = require('../utils/dataFetchWithFallback');
+const logger = require('../utils/logger');
+
+/**
+ * デフォルトの基準通貨
+ */
+const DEFAULT_BASE_CURRENCY = 'JPY';
+
+/**
+ * データタイプごとの価格取得関数
+ */
+const QUOTE_FETCHERS = {
+  [DATA_TYPES.US_STOCK]: (symbols, refresh) => enhancedMarketDataService.getUsStocksData(symbols, refresh),
+  [DATA_TYPES.JP_STOCK]: (symbols, refresh) => enhancedMarketDataService.getJpStocksData(symbols, refresh),
+  [DATA_TYPES.MUTUAL_FUND]: (symbols, refresh) => enhancedMarketDataService.getMutualFundsData(symbols, refresh),
+  [DATA_TYPES.ETF]: (symbols, refresh) => enhancedMarketDataService.getEtfsData(symbols, refresh),
+  [DATA_TYPES.CRYPTO]: (symbols, refresh) => enhancedMarketDataService.getCryptosData(symbols, CRYPTO_SETTINGS.DEFAULT_CURRENCY, refresh)
+};
+
+/**
+ * 数値を指定桁数で丸める
+ * @param {number} value - 数値
+ * @param {number} [digits=2] - 小数点以下の桁数
+ * @returns {number} 丸めた数値
+ */
+const round = (value, digits = 2) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * 数値に変換する（変換できない場合は0）
+ * @param {*} value - 値
+ * @returns {number} 数値
+ */
+const toNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+/**
+ * 保有銘柄をデータタイプごとに価格取得する
+ * @param {Array<Object>} holdings - データタイプを付与した保有銘柄
+ * @param {boolean} refresh - キャッシュを無視するかどうか
+ * @returns {Promise<Object>} データタイプをキー、銘柄データを値とするオブジェクト
+ */
+const fetchQuotes = async (holdings, refresh) => {
+  const symbolsByType = {};
+
+  holdings.forEach(({ dataType, symbol }) => {
+    symbolsByType[dataType] = symbolsByType[dataType] || [];
+    if (!symbolsByType[dataType].includes(symbol)) {
+      symbolsByType[dataType].push(symbol);
+    }
+  });
+
+  const quotes = {};
+
+  await Promise.all(Object.entries(symbolsByType).map(async ([dataType, symbols]) => {
+    try {
+      quotes[dataType] = await QUOTE_FETCHERS[dataType](symbols, refresh) || {};
+    } catch (error) {
+      logger.error(`Error fetching ${dataType} quotes for valuation:`, error.message);
+      quotes[dataType] = {};
+    }
+  }));
+
+  return quotes;
+};
+
+/**
+ * 基準通貨への換算レートを取得する
+ * @param {Array<string>} currencies - 換算元の通貨コード
+ * @param {string} baseCurrency - 基準通貨
+ * @returns {Promise<Object>} 通貨コードをキー、換算レートを値とするオブジェクト（取得できない通貨・デフォルト値の通貨はnull）
+ */
+const fetchConversionRates = async (currencies, baseCurrency) => {
+  const rates = { [baseCurrency]: 1 };
+  const foreignCurrencies = currencies.filter(currency => currency !== baseCurrency);
+
+  if (foreignCurrencies.length === 0) {
+    return rates;
+  }
+
+  const results = await exchangeRateService.getBatchExchangeRates(
+    foreignCurrencies.map(currency => ({ base: currency, target: baseCurrency }))
+  );
+
+  foreignCurrencies.forEach(currency => {
+    const rateData = results[`${currency}-${baseCurrency}`];
+    const rate = rateData && !rateData.isDefault ? Number(rateData.rate) : NaN;
+    rates[currency] = Number.isFinite(rate) && rate > 0 ? rate : null;
+  });
+
+  return rates;
+};
+
+/**
+ * ポートフォリオを時価評価する
+ * 価格または為替レートが取得できない銘柄（デフォルト値のみの銘柄を含む）は priced: false として合計から除外する
+ * @param {Object} portfolio - ポートフォリオデータ（holdings を含む）
+ * @param {Object} [options] - 評価オプション
+ * @param {string} [options.baseCurrency] - 基準通貨（省略時はポートフォリオの baseCurrency、なければJPY）
+ * @param {boolean} [options.refresh=false] - キャッシュを無視するかどうか
+ * @returns {Promise<Object>} 評価結果 { baseCurrency, holdings, totals, unpriced, exchangeRates, valuedAt }
+ */
+const valuePortfolio = async (portfolio, { baseCurrency, refresh = false } = {}) => {
+  const currency = (baseCurrency || portfolio.baseCurrency || DEFAULT_BASE_CURRENCY).toUpperCase();
+
+  const holdings = (portfolio.holdings || [])
+    .filter(holding => holding && holding.symbol)
+    .map(holding => ({
+      ...holding,
+      symbol: String(holding.symbol),
+      dataType: getHoldingDataType(holding),
+      shares: toNumber(holding.shares),
+      cost: toNumber(holding.cost)
+    }));
+
+  const quotes = await fetchQuotes(holdings, refresh);
+
+  // 銘柄ごとの通貨を確定（保有銘柄の指定 → 価格データ → データタイプの標準通貨）
+  const priced = holdings.map(holding => {
+    const quote = (quotes[holding.dataType] || {})[holding.symbol] || null;
+    const holdingCurrency = (
+      holding.currency || (quote && quote.currency) || getDefaultCurrency(holding.dataType, holding.symbol)
+    ).toUpperCase();
+
+    return { holding, quote, currency: holdingCurrency };
+  });
+
+  const rates = await fetchConversionRates(
+    [...new Set(priced.map(item => item.currency))],
+    currency
+  );
+
+  const valued = priced.map(({ holding, quote, currency: holdingCurrency }) => {
+    // 価格が null の場合（暗号資産のデフォルト値など）やデフォルト値の場合は取得できなかったものとして扱う
+    const price = quote && quote.price !== null && !isDefaultData(quote) ? Number(quote.price) : NaN;
+    const rate = rates[holdingCurrency];
+    const costBasis = holding.shares * holding.cost;
+
+    const result = {
+      symbol: holding.symbol,
+      name: holding.name || (quote && quote.name) || holding.symbol,
+      dataType: holding.dataType,
+      currency: holdingCurrency,
+      shares: holding.shares,
+      averageCost: holding.cost,
+      price: Number.isFinite(price) ? price : null,
+      exchangeRate: rate,
+      costBasis: round(costBasis),
+      source: quote ? quote.source : null,
+      lastUpdated: quote ? quote.lastUpdated : null
+    };
+
+    if (!Number.isFinite(price) || rate === null) {
+      return {
+        ...result,
+        priced: false,
+        error: !Number.isFinite(price) ? 'PRICE_UNAVAILABLE' : 'EXCHANGE_RATE_UNAVAILABLE'
+      };
+    }
+
+    const marketValue = holding.shares * price;
+    const marketValueBase = marketValue * rate;
+    const costBasisBase = costBasis * rate;
+    const unrealizedPnl = marketValueBase - costBasisBase;
+
+    return {
+      ...result,
+      priced: true,
+      marketValue: round(marketValue),
+      marketValueBase: round(marketValueBase),
+      costBasisBase: round(costBasisBase),
+      unrealizedPnl: round(unrealizedPnl),
+      unrealizedPnlPercent: costBasisBase > 0 ? round(unrealizedPnl / costBasisBase * 100) : null
+    };
+  });
+
+  const pricedHoldings = valued.filter(item => item.priced);
+  const totalMarketValue = pricedHoldings.reduce((sum, item) => sum + item.marketValueBase, 0);
+  const totalCostBasis = pricedHoldings.reduce((sum, item) => sum + item.costBasisBase, 0);
+  const totalPnl = totalMarketValue - totalCostBasis;
+
+  valued.forEach(item => {
+    if (item.priced) {
+      item.weight = totalMarketValue > 0 ? round(item.marketValueBase / totalMarketValue * 100) : 0;
+    }
+  });
+
+  return {
+    baseCurrency: currency,
+    holdings: valued,
+    totals: {
+      marketValue: round(totalMarketValue),
+      costBasis: round(totalCostBasis),
+      unrealizedPnl: round(totalPnl),
+      unrealizedPnlPercent: totalCostBasis > 0 ? round(totalPnl / totalCostBasis * 100) : null,
+      holdingCount: valued.length,
+      pricedCount: pricedHoldings.length
+    },
+    unpriced: valued.filter(item => !item.priced).map(item => item.symbol),
+    exchangeRates: rates,
+    valuedAt: new Date().toISOString()
+  };
+};
+
+module.exports = {
+  DEFAULT_BASE_CURRENCY,
+  valuePortfolio
+};
@@ -0,0 +1,149 @@
+/**
+ * プロジェクト: portfolio-market-data-api
+ * ファイルパス: src/utils/backupRetention.js
+ *
+ * 説明:
+ * Google Driveのバックアップ保持ポリシーを扱うユーティリティ。
+ * 直近は全件、一定期間は1日1件、それ以降は1か月1件を残す世代管理で、
+ * 削除対象のバックアップを選びます。
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-04
+ */
+'use strict';
+
+const { ENV } = require('../config/envConfig');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * 保持ポリシーの項目
+ * - keepAllHours: すべてのバックアップを残す時間数
+ * - dailyDays: 1日1件（その日の最新）を残す日数
+ * - monthlyMonths: 1か月1件（その月の最新）を残す月数（0は無期限）
+ */
+const POLICY_KEYS = ['keepAllHours', 'dailyDays', 'monthlyMonths'];
+
+/**
+ * 保持ポリシーを取得する
+ * 環境変数の設定に、指定された項目を上書きする
+ * @param {Object} [overrides={}] - 上書きする項目
+ * @returns {Object} { keepAllHours, dailyDays, monthlyMonths }
+ */
+const getRetentionPolicy = (overrides = {}) => {
+  const policy = {
+    keepAllHours: ENV.BACKUP_RETENTION_KEEP_ALL_HOURS,
+    dailyDays: ENV.BACKUP_RETENTION_DAILY_DAYS,
+    monthlyMonths: ENV.BACKUP_RETENTION_MONTHLY_MONTHS
+  };
+
+  POLICY_KEYS.forEach(key => {
+    if (overrides && overrides[key] !== undefined) {
+      policy[key] = overrides[key];
+    }
+  });
+
+  return policy;
+};
+
+/**
+ * 保持ポリシーを検証する
+ * @param {Object} policy - 保持ポリシー
+ * @returns {string|null} エラーメッセージ（問題が無い場合はnull）
+ */
+const validateRetentionPolicy = (policy) => {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return '保持ポリシーはオブジェクトで指定してください';
+  }
+
+  const unknownKey = Object.keys(policy).find(key => !POLICY_KEYS.includes(key));
+  if (unknownKey) {
+    return `不明な保持ポリシーの項目です: ${unknownKey}`;
+  }
+
+  const invalidKey = POLICY_KEYS.find(key => {
+    const value = policy[key];
+    return value !== undefined && (!Number.isInteger(value) || value < 0);
+  });
+  if (invalidKey) {
+    return `${invalidKey} は0以上の整数で指定してください`;
+  }
+
+  return null;
+};
+
+/**
+ * バックアップの作成日時を取得する
+ * @param {Object} backup - バックアップファイル情報
+ * @returns {number} 作成日時（ミリ秒、不明な場合はNaN）
+ */
+const getBackupTime = (backup) => new Date(backup.createdTime).getTime();
+
+/**
+ * 2つの日時の月数の差を求める（UTC基準）
+ * @param {Date} from - 古い日時
+ * @param {Date} to - 新しい日時
+ * @returns {number} 月数
+ */
+const monthsBetween = (from, to) => {
+  return (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + (to.getUTCMonth() - from.getUTCMonth());
+};
+
+/**
+ * 保持ポリシーに従って残すバックアップと削除するバックアップを選ぶ
+ * 同じ日（月）のバックアップは最新の1件を残す。日付と月はUTC基準で区切る。
+ * 作成日時が不明なバックアップは削除しない。
+ * @param {Array<Object>} backups - 同じファイルのバックアップ一覧（createdTime を含む）
+ * @param {Object} policy - 保持ポリシー
+ * @param {Date} [now=new Date()] - 基準日時
+ * @returns {Object} { keep, prune }
+ */
+const selectBackupsToPrune = (backups, policy, now = new Date()) => {
+  const keep = [];
+  const prune = [];
+  const keptBuckets = new Set();
+
+  const sorted = [...backups].sort((a, b) => (getBackupTime(b) || 0) - (getBackupTime(a) || 0));
+
+  sorted.forEach(backup => {
+    const time = getBackupTime(backup);
+
+    if (!Number.isFinite(time)) {
+      keep.push(backup);
+      return;
+    }
+
+    const age = now.getTime() - time;
+    const date = new Date(time);
+    let bucket = null;
+
+    if (age <= policy.keepAllHours * HOUR_MS) {
+      keep.push(backup);
+      return;
+    }
+
+    if (age <= policy.dailyDays * DAY_MS) {
+      bucket = `day:${date.toISOString().slice(0, 10)}`;
+    } else if (policy.monthlyMonths === 0 || monthsBetween(date, now) < policy.monthlyMonths) {
+      bucket = `month:${date.toISOString().slice(0, 7)}`;
+    }
+
+    // 新しい順に処理しているため、区切りごとに最初のバックアップが最新
+    if (bucket && !keptBuckets.has(bucket)) {
+      keptBuckets.add(bucket);
+      keep.push(backup);
+    } else {
+      prune.push(backup);
+    }
+  });
+
+  return { keep, prune };
+};
+
+module.exports = {
+  POLICY_KEYS,
+  getRetentionPolicy,
+  validateRetentionPolicy,
+  selectBackupsToPrune
+};
@@ -0,0 +1,172 @@
+/**
+ * プロジェクト: portfolio-market-data-api
+ * ファイルパス: src/utils/brokerCsvUtils.js
+ *
+ * 説明:
+ * 証券会社からエクスポートしたCSVを解析するための共通ユーティリティ。
+ * 文字コード（Shift_JIS / UTF-8）の判定、見出し・数値・口座区分・日付の正規化を行います。
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-31
+ */
+'use strict';
+
+const { parse } = require('csv-parse/sync');
+
+/**
+ * 投資信託の基準価額の単位（1万口あたり）
+ * 保有数は1万口を1単位に換算して基準価額と掛け合わせられるようにする
+ */
+const FUND_UNITS_PER_SHARE = 10000;
+
+/**
+ * CSVのバイト列を文字列に変換する
+ * UTF-8として不正なバイト列を含む場合はShift_JISとして解釈する
+ * @param {Buffer|string} content - CSVの内容
+ * @returns {string} デコードした文字列（BOMは除去）
+ */
+const decodeCsvContent = (content) => {
+  if (typeof content === 'string') {
+    return content.replace(/^\uFEFF/, '');
+  }
+
+  let text;
+  try {
+    text = new TextDecoder('utf-8', { fatal: true }).decode(content);
+  } catch (error) {
+    text = new TextDecoder('shift_jis').decode(content);
+  }
+
+  return text.replace(/^\uFEFF/, '');
+};
+
+/**
+ * CSV文字列を行の配列に変換する
+ * 証券会社のCSVはセクションごとに列数が異なるため、列数の不一致を許容する
+ * @param {string} text - CSV文字列
+ * @returns {Array<Array<string>>} 行の配列
+ */
+const parseCsvRows = (text) => {
+  return parse(text, {
+    relax_column_count: true,
+    relax_quotes: true,
+    skip_empty_lines: true,
+    trim: true
+  });
+};
+
+/**
+ * 見出しやラベルを比較用に正規化する（全角→半角、空白除去）
+ * @param {*} value - 値
+ * @returns {string} 正規化した文字列
+ */
+const normalizeLabel = (value) => {
+  return String(value === null || value === undefined ? '' : value)
+    .normalize('NFKC')
+    .replace(/\s+/g, '');
+};
+
+/**
+ * 見出し行から列の位置を取得する
+ * @param {Array<string>} headerRow - 見出し行
+ * @param {Array<string>} names - 列名の候補
+ * @returns {number} 列の位置（見つからない場合は-1）
+ */
+const findColumn = (headerRow, names) => {
+  const normalizedNames = names.map(normalizeLabel);
+  return headerRow.findIndex(cell => normalizedNames.includes(normalizeLabel(cell)));
+};
+
+/**
+ * CSVの数値表記を数値に変換する（カンマ区切り・全角・符号付きに対応）
+ * @param {*} value - 値
+ * @returns {number|null} 数値（変換できない場合はnull）
+ */
+const parseNumber = (value) => {
+  const normalized = normalizeLabel(value).replace(/,/g, '').replace(/^\+/, '').replace(/[円株口]$/, '');
+
+  if (normalized === '' || normalized === '-' || normalized === '--') {
+    return null;
+  }
+
+  const number = Number(normalized);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * 口座区分の表記を正規化する
+ * @param {string} text - 口座区分またはセクション名（例: '特定', 'NISA預り（成長投資枠）'）
+ * @returns {string|null} '特定' / '一般' / 'NISA成長投資枠' / 'NISAつみたて投資枠' / 'NISA' / 'つみたてNISA'
+ */
+const normalizeAccount = (text) => {
+  const label = normalizeLabel(text);
+
+  if (!label) {
+    return null;
+  }
+
+  if (label.includes('成長投資枠') || label.includes('NISA成長')) {
+    return 'NISA成長投資枠';
+  }
+  if (label.includes('つみたて投資枠')) {
+    return 'NISAつみたて投資枠';
+  }
+  if (label.includes('つみたて') && label.includes('NISA')) {
+    return 'つみたてNISA';
+  }
+  if (label.includes('NISA')) {
+    return 'NISA';
+  }
+  if (label.includes('特定')) {
+    return '特定';
+  }
+  if (label.includes('一般')) {
+    return '一般';
+  }
+
+  return label;
+};
+
+/**
+ * 「コード 銘柄名」形式のセルをコードと銘柄名に分割する
+ * @param {string} text - セルの値（例: '7203 トヨタ自動車'）
+ * @returns {Object} { code, name }
+ */
+const splitCodeAndName = (text) => {
+  const normalized = String(text || '').normalize('NFKC').trim();
+  const match = normalized.match(/^([0-9A-Z][0-9A-Z.-]*)\s+(.+)$/);
+
+  if (match) {
+    return { code: match[1], name: match[2].trim() };
+  }
+
+  return { code: /^[0-9A-Z.-]+$/.test(normalized) ? normalized : null, name: normalized };
+};
+
+/**
+ * 日付表記を YYYY-MM-DD に変換する（'2024/04/01'、'24/04/01' に対応）
+ * @param {string} value - 日付表記
+ * @returns {string|null} 日付（変換できない場合はnull）
+ */
+const parseDate = (value) => {
+  const match = normalizeLabel(value).match(/^(\d{2,4})[/.-](\d{1,2})[/.-](\d{1,2})$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const year = match[1].length === 2 ? `20${match[1]}` : match[1];
+  return `${year}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+};
+
+module.exports = {
+  FUND_UNITS_PER_SHARE,
+  decodeCsvContent,
+  parseCsvRows,
+  normalizeLabel,
+  findColumn,
+  parseNumber,
+  normalizeAccount,
+  splitCodeAndName,
+  parseDate
+};
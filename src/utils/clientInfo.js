@@ -0,0 +1,94 @@
+/**
+ * プロジェクト: portfolio-market-data-api
+ * ファイルパス: src/utils/clientInfo.js
+ *
+ * 説明:
+ * リクエスト元の端末情報を扱うユーティリティ。
+ * API GatewayイベントからIPアドレスとUser-Agentを取得し、
+ * セッション一覧に表示する端末名（例: 'Chrome on Windows'）を作成します。
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-08
+ */
+'use strict';
+
+/**
+ * 保存するUser-Agentの最大長
+ */
+const MAX_USER_AGENT_LENGTH = 512;
+
+/**
+ * ブラウザの判定パターン（先に一致したものを採用するため順序に意味がある）
+ */
+const BROWSER_PATTERNS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\//],
+  ['Firefox', /(Firefox|FxiOS)\//],
+  ['Chrome', /(Chrome|CriOS)\//],
+  ['Safari', /Safari\//]
+];
+
+/**
+ * OSの判定パターン（先に一致したものを採用するため順序に意味がある）
+ */
+const OS_PATTERNS = [
+  ['iOS', /(iPhone|iPad|iPod)/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X/],
+  ['Linux', /Linux/]
+];
+
+/**
+ * ヘッダーの値を大文字・小文字を区別せずに取得する
+ * @param {Object} headers - リクエストヘッダー
+ * @param {string} name - ヘッダー名
+ * @returns {string|null} ヘッダーの値
+ */
+const getHeader = (headers, name) => {
+  const key = Object.keys(headers || {}).find(header => header.toLowerCase() === name);
+  return key && headers[key] ? String(headers[key]) : null;
+};
+
+/**
+ * リクエスト元の端末情報を取得する
+ * IPアドレスは偽装できない API Gateway の sourceIp を優先し、無い場合は X-Forwarded-For の先頭を使用する
+ * @param {Object} event - API Gatewayイベント
+ * @returns {Object} { ipAddress, userAgent }
+ */
+const getClientInfo = (event = {}) => {
+  const headers = event.headers || {};
+  const identity = (event.requestContext && event.requestContext.identity) || {};
+  const forwardedFor = getHeader(headers, 'x-forwarded-for');
+  const userAgent = getHeader(headers, 'user-agent');
+
+  return {
+    ipAddress: identity.sourceIp || (forwardedFor ? forwardedFor.split(',')[0].trim() : null) || null,
+    userAgent: userAgent ? userAgent.slice(0, MAX_USER_AGENT_LENGTH) : null
+  };
+};
+
+/**
+ * User-Agentから端末名を作成する
+ * @param {string} userAgent - User-Agent
+ * @returns {string} 端末名（例: 'Chrome on Windows'、判定できない場合は 'Unknown device'）
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = BROWSER_PATTERNS.find(([, pattern]) => pattern.test(userAgent));
+  const os = OS_PATTERNS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (browser && os) {
+    return `${browser[0]} on ${os[0]}`;
+  }
+
+  return browser ? browser[0] : (os ? os[0] : 'Unknown device');
+};
+
+module.exports = {
+  getClientInfo,
+  describeDevice
+};
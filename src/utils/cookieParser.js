@@ -6,6 +6,8 @@
  * @created 2025-05-12
  * @updated 2025-05-14 バグ修正: Cookie解析ロジックを最適化
  * @updated 2025-05-15 バグ修正: テスト用の入力形式対応を追加
+ * @updated 2025-06-09 機能追加: CSRFトークンCookieの生成
+ * @updated 2025-06-17 機能追加: Googleログインのstateをブラウザに紐付けるCookieの生成
  */
 'use strict';
 
@@ -154,9 +156,49 @@ const createClearSessionCookie = (secure = true) => {
   return `session=; HttpOnly${secureFlag}; SameSite=Strict; Max-Age=0; Path=/; Expires=Thu, 01 Jan 1970 00:00:00 GMT`;
 };
 
+/**
+ * CSRFトークンCookieを生成する（ダブルサブミット用）
+ * 画面側のJavaScriptから送信ヘッダーに設定できるよう HttpOnly は付与しない
+ * @param {string} csrfToken - CSRFトークン
+ * @param {number} [maxAge=604800] - Cookieの有効期間（秒）、デフォルトは1週間
+ * @param {boolean} [secure=true] - セキュアCookieかどうか
+ * @param {string} [sameSite='Strict'] - SameSite属性（セッションCookieと合わせる）
+ * @returns {string} - Cookie文字列
+ */
+const createCsrfCookie = (csrfToken, maxAge = 604800, secure = true, sameSite = 'Strict') => {
+  const secureFlag = secure ? '; Secure' : '';
+  return `csrf_token=${encodeURIComponent(csrfToken)}${secureFlag}; SameSite=${sameSite}; Max-Age=${maxAge}; Path=/`;
+};
+
+/**
+ * Googleログインのstate Cookieを生成する
+ * ログインを開始したブラウザだけがコールバックでstateを使用できるようにする（ログインCSRF対策）
+ * @param {string} state - stateパラメータ
+ * @param {number} [maxAge=600] - Cookieの有効期間（秒）、デフォルトは10分
+ * @param {boolean} [secure=true] - セキュアCookieかどうか
+ * @returns {string} - Cookie文字列
+ */
+const createOAuthStateCookie = (state, maxAge = 600, secure = true) => {
+  const secureFlag = secure ? '; Secure' : '';
+  return `oauth_state=${encodeURIComponent(state)}; HttpOnly${secureFlag}; SameSite=Strict; Max-Age=${maxAge}; Path=/`;
+};
+
+/**
+ * Googleログインのstate Cookieを削除するためのCookieを生成する
+ * @param {boolean} [secure=true] - セキュアCookieかどうか
+ * @returns {string} - Cookie文字列
+ */
+const createClearOAuthStateCookie = (secure = true) => {
+  const secureFlag = secure ? '; Secure' : '';
+  return `oauth_state=; HttpOnly${secureFlag}; SameSite=Strict; Max-Age=0; Path=/`;
+};
+
 module.exports = {
   parseCookies,
   createSessionCookie,
-  createClearSessionCookie
+  createClearSessionCookie,
+  createCsrfCookie,
+  createOAuthStateCookie,
+  createClearOAuthStateCookie
 };
 
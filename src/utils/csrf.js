@@ -0,0 +1,108 @@
+/**
+ * プロジェクト: portfolio-market-data-api
+ * ファイルパス: src/utils/csrf.js
+ *
+ * 説明:
+ * Cookie認証の更新系APIに対するCSRF対策（ダブルサブミット方式）。
+ * ログイン時に発行したトークンをCookieとセッションに保存し、
+ * 更新系リクエストでは X-CSRF-Token ヘッダーの値と一致することを確認します。
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-09
+ */
+'use strict';
+
+const crypto = require('crypto');
+const { parseCookies } = require('./cookieParser');
+
+/**
+ * CSRFトークンを送信するヘッダー名
+ */
+const CSRF_HEADER = 'X-CSRF-Token';
+
+/**
+ * CSRFトークンを保存するCookie名
+ */
+const CSRF_COOKIE = 'csrf_token';
+
+/**
+ * 検証を行わない（状態を変更しない）HTTPメソッド
+ */
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * CSRFトークンを生成する
+ * @returns {string} CSRFトークン（base64url）
+ */
+const generateCsrfToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * 2つのトークンを一定時間で比較する
+ * @param {string} a - トークン
+ * @param {string} b - トークン
+ * @returns {boolean} 一致する場合はtrue
+ */
+const tokensMatch = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * 状態を変更するリクエストかどうかを判定する
+ * @param {Object} event - API Gatewayイベント
+ * @returns {boolean} POST・PUT・PATCH・DELETE の場合はtrue
+ */
+const isStateChangingRequest = (event = {}) => {
+  return Boolean(event.httpMethod) && !SAFE_METHODS.includes(String(event.httpMethod).toUpperCase());
+};
+
+/**
+ * リクエストのCSRFトークンを取得する
+ * @param {Object} event - API Gatewayイベント
+ * @returns {Object} { header, cookie }
+ */
+const getRequestTokens = (event) => {
+  const headers = event.headers || {};
+  const headerKey = Object.keys(headers).find(key => key.toLowerCase() === CSRF_HEADER.toLowerCase());
+
+  return {
+    header: headerKey ? headers[headerKey] : null,
+    cookie: parseCookies(headers)[CSRF_COOKIE] || null
+  };
+};
+
+/**
+ * 更新系リクエストのCSRFトークンを検証する
+ * ヘッダーのトークンがCookieのトークンと一致し、セッションにトークンがある場合はそれとも一致することを確認する
+ * @param {Object} event - API Gatewayイベント
+ * @param {Object} [session=null] - セッション情報（csrfToken を含む）
+ * @returns {Object|null} 検証に失敗した場合は formatErrorResponse に渡せるエラー情報、成功した場合はnull
+ */
+const verifyCsrfToken = (event, session = null) => {
+  if (!isStateChangingRequest(event)) {
+    return null;
+  }
+
+  const { header, cookie } = getRequestTokens(event);
+  const valid = Boolean(header) && Boolean(cookie) && tokensMatch(header, cookie) &&
+    (!session || !session.csrfToken || tokensMatch(header, session.csrfToken));
+
+  if (valid) {
+    return null;
+  }
+
+  return {
+    statusCode: 403,
+    code: 'FORBIDDEN',
+    message: header ? 'CSRFトークンが無効です' : 'CSRFトークンが不足しています'
+  };
+};
+
+module.exports = {
+  CSRF_HEADER,
+  CSRF_COOKIE,
+  generateCsrfToken,
+  isStateChangingRequest,
+  verifyCsrfToken
+};
@@ -0,0 +1,121 @@
+/**
+ * プロジェクト: portfolio-market-data-api
+ * ファイルパス: src/utils/csvUtils.js
+ *
+ * 説明:
+ * 行データ（オブジェクトの配列）をCSVおよびプレーンテキストの表形式に変換するユーティリティ。
+ * 列定義に従って値を並べ、CSVではRFC 4180に沿ったエスケープを行います。
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-26
+ * @updated 2025-06-17 バグ修正: 数式として解釈される文字列セルを無効化（CSVインジェクション対策）
+ */
+'use strict';
+
+/**
+ * Excelで文字化けを防ぐためのUTF-8 BOM
+ */
+const UTF8_BOM = '\uFEFF';
+
+/**
+ * 表計算ソフトで数式として解釈される先頭文字
+ */
+const FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/;
+
+/**
+ * 数値として扱う文字列（符号付きの数値は数式として無効化しない）
+ */
+const NUMERIC_PATTERN = /^[+-]?\d+(\.\d+)?$/;
+
+/**
+ * セルの値を文字列に変換する
+ * @param {*} value - セルの値
+ * @returns {string} 文字列化された値（null/undefinedは空文字）
+ */
+const stringifyValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+
+  return String(value);
+};
+
+/**
+ * 数式として解釈される文字列セルの先頭にシングルクォートを付与する
+ * 数値のセルはそのまま返す
+ * @param {*} value - セルの値
+ * @param {string} str - 文字列化された値
+ * @returns {string} 無効化済みの値
+ */
+const neutralizeFormula = (value, str) => {
+  if (typeof value !== 'string' || NUMERIC_PATTERN.test(str) || !FORMULA_PREFIX_PATTERN.test(str)) {
+    return str;
+  }
+
+  return `'${str}`;
+};
+
+/**
+ * CSVのセル値をエスケープする
+ * 数式として解釈される文字列は無効化し、カンマ・ダブルクォート・改行を含む場合はダブルクォートで囲む
+ * @param {*} value - セルの値
+ * @returns {string} エスケープ済みの値
+ */
+const escapeCsvValue = (value) => {
+  const str = neutralizeFormula(value, stringifyValue(value));
+
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+
+  return str;
+};
+
+/**
+ * 行データをCSV文字列に変換する
+ * @param {Array<Object>} rows - 行データの配列
+ * @param {Array<string>} columns - 出力する列名（ヘッダー行の順序）
+ * @param {Object} [options] - 変換オプション
+ * @param {boolean} [options.bom=false] - 先頭にUTF-8 BOMを付与するかどうか
+ * @returns {string} CSV文字列（改行はCRLF）
+ */
+const toCsv = (rows, columns, { bom = false } = {}) => {
+  const lines = [columns.map(escapeCsvValue).join(',')];
+
+  (rows || []).forEach(row => {
+    lines.push(columns.map(column => escapeCsvValue(row[column])).join(','));
+  });
+
+  return `${bom ? UTF8_BOM : ''}${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * 行データを列幅を揃えたプレーンテキストの表に変換する
+ * @param {Array<Object>} rows - 行データの配列
+ * @param {Array<string>} columns - 出力する列名
+ * @returns {string} プレーンテキストの表
+ */
+const toPlainText = (rows, columns) => {
+  const cells = [columns].concat(
+    (rows || []).map(row => columns.map(column => stringifyValue(row[column])))
+  );
+
+  const widths = columns.map((_, index) =>
+    Math.max(...cells.map(line => line[index].length))
+  );
+
+  return cells
+    .map(line => line.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd())
+    .join('\n') + '\n';
+};
+
+module.exports = {
+  UTF8_BOM,
+  escapeCsvValue,
+  toCsv,
+  toPlainText
+};
@@ -9,6 +9,7 @@
  * 
  * @author Portfolio Manager Team
  * @created 2025-05-16
+ * @updated 2025-06-14 機能追加: バッチ取得でキャッシュ時間を指定可能に
  */
 'use strict';
 
@@ -17,6 +18,15 @@ const alertService = require('../services/alerts');
 const logger = require('./logger');
 const { sleep } = require('./retry');
 
+/**
+ * すべてのデータソースが失敗した場合のデフォルト値（実際の価格ではないデータ）かどうか
+ * @param {Object} data - 銘柄データ
+ * @returns {boolean} デフォルト値の場合true
+ */
+const isDefaultData = (data) => {
+  return Boolean(data && (data.isDefault || data.source === 'Default Fallback'));
+};
+
 /**
  * 単一銘柄のデータをフォールバック機能付きで取得する
  * @param {Object} options - 取得オプション
@@ -158,6 +168,7 @@ const fetchDataWithFallback = async (options) => {
  * @param {boolean} options.refresh - キャッシュを無視するフラグ
  * @param {number} options.batchSize - バッチサイズ
  * @param {number} options.delay - バッチ間の遅延時間（ミリ秒）
+ * @param {Object} [options.cache] - キャッシュ設定（time: キャッシュ時間、省略時は fetchDataWithFallback の既定値）
  * @returns {Promise<Object>} 取得されたデータのオブジェクト（シンボルをキーとする）
  */
 const fetchBatchDataWithFallback = async (options) => {
@@ -168,7 +179,8 @@ const fetchBatchDataWithFallback = async (options) => {
     defaultValues,
     refresh = false,
     batchSize = 10,
-    delay = 500
+    delay = 500,
+    cache
   } = options;
   
   if (!symbols || !Array.isArray(symbols) || symbols.length === 0) {
@@ -229,7 +241,8 @@ const fetchBatchDataWithFallback = async (options) => {
           dataType,
           fetchFunctions,
           defaultValues,
-          refresh
+          refresh,
+          cache
         });
         
         // 結果を格納
@@ -262,6 +275,7 @@ const fetchBatchDataWithFallback = async (options) => {
 };
 
 module.exports = {
+  isDefaultData,
   fetchDataWithFallback,
   fetchBatchDataWithFallback
 };
@@ -8,12 +8,15 @@
  * 
  * @author Portfolio Manager Team
  * @created 2025-05-20
+ * @updated 2025-06-16 機能追加: 株式分割による価格変動を異常値として検出しないよう分割比率で補正
+ * @updated 2025-06-17 バグ修正: 新しい価格より前にキャッシュされたコーポレートアクションは再取得する
  */
 'use strict';
 
 const { DATA_VALIDATION, ERROR_CODES } = require('../config/constants');
 const cacheService = require('../services/cache');
 const alertService = require('../services/alerts');
+const corporateActionsService = require('../services/sources/corporateActions');
 
 /**
  * データの異常値を検出する
@@ -46,7 +49,15 @@ const validateData = async (symbol, dataType, newData, previousData = null) => {
     
     // 価格変動の検証
     if (newData.price !== undefined && previousData.price !== undefined) {
-      const priceValidation = validatePriceChange(newData, previousData);
+      let priceValidation = validatePriceChange(newData, previousData);
+      
+      // 閾値を超えた場合のみ株式分割を確認する（通常の検証ではデータソースを呼び出さない）
+      if (!priceValidation.isValid && corporateActionsService.isSupportedDataType(dataType)) {
+        const corporateActions = await getCorporateActionsForValidation(symbol, dataType, newData);
+        if (corporateActions) {
+          priceValidation = validatePriceChange(newData, previousData, corporateActions);
+        }
+      }
       
       if (!priceValidation.isValid) {
         result.isValid = false;
@@ -65,17 +76,56 @@ const validateData = async (symbol, dataType, newData, previousData = null) => {
   }
 };
 
+/**
+ * 検証に使用するコーポレートアクションを取得する（取得できない場合はnull）
+ * キャッシュが新しい価格の取得日時より古い場合は、その間の株式分割を含まないため再取得する
+ * @param {string} symbol - 銘柄コード
+ * @param {string} dataType - データタイプ
+ * @param {Object} newData - 新しいデータ
+ * @returns {Promise<Object|null>} コーポレートアクション
+ */
+const getCorporateActionsForValidation = async (symbol, dataType, newData) => {
+  try {
+    const cached = await corporateActionsService.getCorporateActions({ dataType, symbol });
+    const priceUpdated = new Date(newData.lastUpdated || Date.now()).getTime();
+    const actionsUpdated = cached && cached.lastUpdated ? new Date(cached.lastUpdated).getTime() : NaN;
+    
+    if (Number.isFinite(actionsUpdated) && actionsUpdated >= priceUpdated) {
+      return cached;
+    }
+    
+    return await corporateActionsService.getCorporateActions({ dataType, symbol, refresh: true });
+  } catch (error) {
+    console.warn(`Could not get corporate actions for ${symbol}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * 日時を日付（YYYY-MM-DD）に変換する
+ * @param {string} value - 日時（ISO 8601）
+ * @returns {string|null} 日付（変換できない場合はnull）
+ */
+const toDateString = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString().split('T')[0] : null;
+};
+
 /**
  * 価格変動の異常を検出する
+ * コーポレートアクションが渡された場合は、前回データの取得日より後に権利落ちとなった
+ * 株式分割の比率で前回価格を補正してから変動率を算出する（例: 1株を5株にする分割は前回価格を1/5にする）
  * @param {Object} newData - 新しいデータ
  * @param {Object} previousData - 以前のデータ
- * @returns {Object} 検証結果
+ * @param {Object} [corporateActions=null] - コーポレートアクション（splits を使用）
+ * @returns {Object} 検証結果（splitRatio は前回価格の補正に使用した分割比率）
  */
-const validatePriceChange = (newData, previousData) => {
+const validatePriceChange = (newData, previousData, corporateActions = null) => {
   const result = {
     isValid: true,
     issue: null,
-    severity: 'NONE'
+    severity: 'NONE',
+    splitRatio: 1
   };
   
   // 価格が定義されていることを確認
@@ -88,17 +138,26 @@ const validatePriceChange = (newData, previousData) => {
     return result;
   }
   
+  // 前回データの取得後に株式分割があった場合は前回価格を補正
+  const fromDate = toDateString(previousData.lastUpdated);
+  const toDate = toDateString(newData.lastUpdated) || new Date().toISOString().split('T')[0];
+  if (corporateActions && fromDate) {
+    result.splitRatio = corporateActionsService.getCumulativeSplitRatio(corporateActions.splits, fromDate, toDate);
+  }
+  const previousPrice = previousData.price / result.splitRatio;
+  
   // 価格変動率を計算
-  const priceChange = newData.price - previousData.price;
-  const priceChangePercent = (priceChange / previousData.price) * 100;
+  const priceChange = newData.price - previousPrice;
+  const priceChangePercent = (priceChange / previousPrice) * 100;
   
   // 閾値を超える価格変動をチェック
   const absChangePercent = Math.abs(priceChangePercent);
   if (absChangePercent > DATA_VALIDATION.PRICE_CHANGE_THRESHOLD) {
+    const adjustment = result.splitRatio !== 1 ? `, split-adjusted by ${result.splitRatio}` : '';
     result.isValid = false;
     result.issue = {
       type: 'PRICE_CHANGE',
-      message: `Abnormal price change detected: ${priceChangePercent.toFixed(2)}% (from ${previousData.price} to ${newData.price})`,
+      message: `Abnormal price change detected: ${priceChangePercent.toFixed(2)}% (from ${previousData.price} to ${newData.price}${adjustment})`,
       changePercent: priceChangePercent,
       code: ERROR_CODES.DATA_VALIDATION_ERROR
     };
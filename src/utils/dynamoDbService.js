@@ -8,6 +8,8 @@
  * @author Portfolio Manager Team
  * @updated 2025-05-13 AWS SDK v3への完全移行
  * @updated 2025-05-20 addItem, getItem, deleteItem, updateItem関数の追加
+ * @updated 2025-06-08 queryItems関数の追加（セカンダリインデックスの検索）
+ * @updated 2025-06-17 deleteItemIfExists関数の追加（存在確認と削除を1回の条件付き削除で行う）
  */
 
 const { DynamoDBClient, GetItemCommand, PutItemCommand, UpdateItemCommand, 
@@ -144,7 +146,10 @@ const deleteDynamoDBItem = async (params) => {
     const command = new DeleteItemCommand(params);
     return await dynamoDBClient.send(command);
   } catch (error) {
-    logger.error(`Error deleting DynamoDB item from ${params.TableName}:`, error);
+    // 条件付き削除の条件不一致は呼び出し元で処理するためエラーログを出力しない
+    if (error.name !== 'ConditionalCheckFailedException') {
+      logger.error(`Error deleting DynamoDB item from ${params.TableName}:`, error);
+    }
     throw error;
   }
 };
@@ -275,6 +280,35 @@ const deleteItem = async (tableName, key) => {
   }
 };
 
+/**
+ * アイテムが存在する場合のみ削除し、削除したアイテムを返す
+ * 条件付き削除で存在確認と削除を1回の操作で行うため、同じアイテムを同時に削除できるのは1回だけ
+ * 
+ * @param {string} tableName - テーブル名
+ * @param {Object} key - 主キー
+ * @returns {Promise<Object|null>} 削除したアイテム（存在しない場合はnull）
+ */
+const deleteItemIfExists = async (tableName, key) => {
+  try {
+    const params = {
+      TableName: tableName,
+      Key: marshallItem(key),
+      ConditionExpression: 'attribute_exists(#key)',
+      ExpressionAttributeNames: { '#key': Object.keys(key)[0] },
+      ReturnValues: 'ALL_OLD'
+    };
+    
+    const response = await deleteDynamoDBItem(params);
+    return response && response.Attributes ? unmarshallItem(response.Attributes) : null;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return null;
+    }
+    logger.error(`Error deleting item from ${tableName}:`, error);
+    throw error;
+  }
+};
+
 /**
  * DynamoDBテーブルのアイテムを更新する
  * 
@@ -310,6 +344,58 @@ const updateItem = async (tableName, key, updateExpression, expressionAttributeN
   }
 };
 
+/**
+ * DynamoDBテーブル（またはインデックス）を検索し、全ページのアイテムを取得する
+ * 
+ * @param {string} tableName - テーブル名
+ * @param {Object} options - 検索条件
+ * @param {string} [options.indexName] - インデックス名
+ * @param {string} options.keyConditionExpression - キー条件式
+ * @param {Object} [options.expressionAttributeNames] - 属性名のマッピング
+ * @param {Object} options.expressionAttributeValues - 属性値のマッピング
+ * @returns {Promise<Array>} 取得したアイテムの配列
+ */
+const queryItems = async (tableName, options) => {
+  const {
+    indexName,
+    keyConditionExpression,
+    expressionAttributeNames,
+    expressionAttributeValues
+  } = options;
+  
+  try {
+    const items = [];
+    let exclusiveStartKey;
+    
+    do {
+      const params = {
+        TableName: tableName,
+        KeyConditionExpression: keyConditionExpression,
+        ExpressionAttributeValues: marshallItem(expressionAttributeValues)
+      };
+      
+      if (indexName) {
+        params.IndexName = indexName;
+      }
+      if (expressionAttributeNames) {
+        params.ExpressionAttributeNames = expressionAttributeNames;
+      }
+      if (exclusiveStartKey) {
+        params.ExclusiveStartKey = exclusiveStartKey;
+      }
+      
+      const response = await queryDynamoDB(params);
+      items.push(...unmarshallItems(response.Items));
+      exclusiveStartKey = response.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+    
+    return items;
+  } catch (error) {
+    logger.error(`Error querying items from ${tableName}:`, error);
+    throw error;
+  }
+};
+
 module.exports = {
   getDynamoDBClient,
   getDynamoDBItem,
@@ -325,5 +411,7 @@ module.exports = {
   addItem,
   getItem,
   deleteItem,
-  updateItem
+  deleteItemIfExists,
+  updateItem,
+  queryItems
 };
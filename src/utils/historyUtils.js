@@ -0,0 +1,118 @@
+/**
+ * プロジェクト: portfolio-market-data-api
+ * ファイルパス: src/utils/historyUtils.js
+ *
+ * 説明:
+ * 履歴データ（OHLCV）を扱うためのユーティリティ関数。
+ * 取得期間から開始日を算出する処理と、日足を週足・月足に集約する処理を提供します。
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-25
+ */
+'use strict';
+
+/**
+ * 取得期間ごとの遡る月数
+ */
+const RANGE_MONTHS = {
+  '1mo': 1,
+  '3mo': 3,
+  '6mo': 6,
+  '1y': 12,
+  '2y': 24,
+  '5y': 60
+};
+
+/**
+ * 取得期間から開始日を算出する
+ * @param {string} range - 取得期間（例: '1mo', '1y', 'max'）
+ * @param {Date} [now=new Date()] - 基準日時
+ * @returns {Date|null} 開始日（'max' または不明な期間の場合はnull）
+ */
+const getRangeStartDate = (range, now = new Date()) => {
+  const months = RANGE_MONTHS[range];
+  if (!months) {
+    return null;
+  }
+
+  const start = new Date(now.getTime());
+  start.setUTCMonth(start.getUTCMonth() - months);
+  start.setUTCHours(0, 0, 0, 0);
+  return start;
+};
+
+/**
+ * 日付文字列を YYYY-MM-DD 形式に正規化する
+ * 'YYYY/MM/DD'、'YYYY-MM-DD'、'YYYY年MM月DD日' の形式に対応
+ * @param {string} value - 日付文字列
+ * @returns {string|null} 正規化された日付（解析できない場合はnull）
+ */
+const normalizeDate = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const match = String(value).match(/(\d{4})\D(\d{1,2})\D(\d{1,2})/);
+  if (!match) {
+    return null;
+  }
+
+  return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+};
+
+/**
+ * 足の集約キーを取得する
+ * @param {string} date - YYYY-MM-DD 形式の日付
+ * @param {string} interval - 足の間隔（'1wk' または '1mo'）
+ * @returns {string} 集約キー
+ */
+const getBucketKey = (date, interval) => {
+  if (interval === '1mo') {
+    return `${date.substring(0, 7)}-01`;
+  }
+
+  // 週足は月曜日始まりで集約する
+  const day = new Date(`${date}T00:00:00Z`);
+  const offset = (day.getUTCDay() + 6) % 7;
+  day.setUTCDate(day.getUTCDate() - offset);
+  return day.toISOString().split('T')[0];
+};
+
+/**
+ * 日足を指定間隔の足に集約する
+ * @param {Array<Object>} bars - 日付昇順の日足配列 [{date, open, high, low, close, volume}]
+ * @param {string} interval - 足の間隔（'1d', '1wk', '1mo'）
+ * @returns {Array<Object>} 集約後の足配列（各足の日付は期間の初日）
+ */
+const resampleBars = (bars, interval) => {
+  if (!Array.isArray(bars) || interval === '1d' || !interval) {
+    return bars || [];
+  }
+
+  const buckets = new Map();
+
+  for (const bar of bars) {
+    const key = getBucketKey(bar.date, interval);
+    const bucket = buckets.get(key);
+
+    if (!bucket) {
+      buckets.set(key, { ...bar, date: key });
+      continue;
+    }
+
+    bucket.high = Math.max(bucket.high, bar.high);
+    bucket.low = Math.min(bucket.low, bar.low);
+    bucket.close = bar.close;
+    if (bar.volume !== null && bar.volume !== undefined) {
+      bucket.volume = (bucket.volume || 0) + bar.volume;
+    }
+  }
+
+  return Array.from(buckets.values());
+};
+
+module.exports = {
+  getRangeStartDate,
+  normalizeDate,
+  resampleBars
+};
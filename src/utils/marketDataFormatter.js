@@ -0,0 +1,175 @@
+/**
+ * プロジェクト: portfolio-market-data-api
+ * ファイルパス: src/utils/marketDataFormatter.js
+ *
+ * 説明:
+ * マーケットデータのレスポンスをCSV・テキスト出力用の行データに変換するユーティリティ。
+ * 株式・投資信託・為替レートのいずれのデータタイプでも同じ列構成になるよう正規化します。
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-26
+ * @updated 2025-06-16 機能追加: 配当・株式分割（コーポレートアクション）の行データ
+ */
+'use strict';
+
+const { DATA_TYPES } = require('../config/constants');
+
+/**
+ * 最新価格データの列定義（全データタイプ共通）
+ */
+const QUOTE_COLUMNS = [
+  'symbol',
+  'type',
+  'name',
+  'price',
+  'change',
+  'changePercent',
+  'currency',
+  'source',
+  'lastUpdated'
+];
+
+/**
+ * 履歴データの列定義（全データタイプ共通）
+ */
+const HISTORY_COLUMNS = [
+  'symbol',
+  'type',
+  'date',
+  'open',
+  'high',
+  'low',
+  'close',
+  'volume',
+  'currency'
+];
+
+/**
+ * 配当・株式分割（コーポレートアクション）の列定義
+ * action は 'dividend'（amount に1株あたり配当金）または 'split'（ratio に分割比率）
+ */
+const CORPORATE_ACTION_COLUMNS = [
+  'symbol',
+  'type',
+  'date',
+  'action',
+  'amount',
+  'ratio',
+  'currency'
+];
+
+/**
+ * 単一銘柄のデータを共通の列構成に変換する
+ * 為替レートは rate を price、対象通貨を currency として扱う
+ * @param {string} key - データのキー（銘柄コードまたは通貨ペア）
+ * @param {Object} item - 銘柄データ
+ * @param {string} dataType - データタイプ
+ * @returns {Object} 行データ
+ */
+const toQuoteRow = (key, item, dataType) => {
+  const isExchangeRate = dataType === DATA_TYPES.EXCHANGE_RATE;
+  const symbol = isExchangeRate
+    ? (item.base && item.target ? `${item.base}-${item.target}` : key)
+    : (item.ticker || item.symbol || key);
+
+  return {
+    symbol,
+    type: dataType,
+    name: item.name || symbol,
+    price: isExchangeRate ? item.rate : item.price,
+    change: item.change,
+    changePercent: item.changePercent,
+    currency: isExchangeRate ? (item.target || symbol.split('-')[1]) : item.currency,
+    source: item.source,
+    lastUpdated: item.lastUpdated
+  };
+};
+
+/**
+ * 最新価格データを行データの配列に変換する
+ * @param {Object} data - 銘柄をキーとするデータオブジェクト
+ * @param {string} dataType - データタイプ
+ * @returns {Array<Object>} QUOTE_COLUMNS に対応する行データ
+ */
+const toQuoteRows = (data, dataType) => {
+  return Object.entries(data || {})
+    .filter(([, item]) => item && typeof item === 'object')
+    .map(([key, item]) => toQuoteRow(key, item, dataType));
+};
+
+/**
+ * 履歴データを行データの配列に変換する（1本の足を1行とする）
+ * @param {Object} data - 銘柄をキーとする履歴データオブジェクト
+ * @param {string} dataType - データタイプ
+ * @returns {Array<Object>} HISTORY_COLUMNS に対応する行データ
+ */
+const toHistoryRows = (data, dataType) => {
+  const rows = [];
+
+  Object.entries(data || {}).forEach(([key, history]) => {
+    (history && Array.isArray(history.bars) ? history.bars : []).forEach(bar => {
+      rows.push({
+        symbol: history.symbol || key,
+        type: dataType,
+        date: bar.date,
+        open: bar.open,
+        high: bar.high,
+        low: bar.low,
+        close: bar.close,
+        volume: bar.volume,
+        currency: history.currency
+      });
+    });
+  });
+
+  return rows;
+};
+
+/**
+ * 配当・株式分割を行データの配列に変換する（1件のイベントを1行とし、銘柄ごとに日付順に並べる）
+ * @param {Object} data - 銘柄をキーとするコーポレートアクションのオブジェクト
+ * @param {string} dataType - データタイプ
+ * @returns {Array<Object>} CORPORATE_ACTION_COLUMNS に対応する行データ
+ */
+const toCorporateActionRows = (data, dataType) => {
+  const rows = [];
+
+  Object.entries(data || {}).forEach(([key, actions]) => {
+    if (!actions || typeof actions !== 'object') {
+      return;
+    }
+
+    const symbol = actions.symbol || key;
+    const dividends = (Array.isArray(actions.dividends) ? actions.dividends : []).map(dividend => ({
+      symbol,
+      type: dataType,
+      date: dividend.date,
+      action: 'dividend',
+      amount: dividend.amount,
+      ratio: null,
+      currency: actions.currency
+    }));
+    const splits = (Array.isArray(actions.splits) ? actions.splits : []).map(split => ({
+      symbol,
+      type: dataType,
+      date: split.date,
+      action: 'split',
+      amount: null,
+      ratio: split.ratio,
+      currency: actions.currency
+    }));
+
+    rows.push(...[...dividends, ...splits].sort((a, b) => String(a.date).localeCompare(String(b.date))));
+  });
+
+  return rows;
+};
+
+module.exports = {
+  QUOTE_COLUMNS,
+  HISTORY_COLUMNS,
+  CORPORATE_ACTION_COLUMNS,
+  toQuoteRows,
+  toHistoryRows,
+  toCorporateActionRows
+};
@@ -0,0 +1,198 @@
+/**
+ * プロジェクト: portfolio-market-data-api
+ * ファイルパス: src/utils/portfolioSchema.js
+ *
+ * 説明:
+ * Google Driveに保存するポートフォリオファイルのスキーマ定義（joi）。
+ * 通貨・資産種別・口座・目標配分・保有銘柄・取引履歴の形式を検証し、
+ * 項目ごとのエラー内容を返します。スキーマは schemaVersion ごとに管理します。
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-06-07
+ * @updated 2025-06-15 改善: 市場指数を保有できる資産種別から除外
+ */
+'use strict';
+
+const Joi = require('joi');
+const {
+  DATA_TYPES,
+  TRANSACTION_SIDES,
+  REBALANCE_SETTINGS,
+  PORTFOLIO_SCHEMA
+} = require('../config/constants');
+
+/**
+ * 保有できる資産種別（為替レート・市場指数は除く）
+ */
+const ASSET_DATA_TYPES = Object.values(DATA_TYPES).filter(type =>
+  type !== DATA_TYPES.EXCHANGE_RATE && type !== DATA_TYPES.INDEX
+);
+
+/**
+ * 通貨コード（ISO 4217、大文字3文字）
+ */
+const currencySchema = Joi.string().pattern(/^[A-Z]{3}$/).messages({
+  'string.pattern.base': '{{#label}} must be a 3-letter uppercase currency code'
+});
+
+/**
+ * 口座区分（例: '特定', 'NISA成長投資枠'）
+ */
+const accountSchema = Joi.string().max(50).allow(null, '');
+
+/**
+ * 日付（YYYY-MM-DD、'2024/04/01' などの区切り文字も可）
+ */
+const dateSchema = Joi.string().pattern(/^\d{4}\D\d{1,2}\D\d{1,2}/).messages({
+  'string.pattern.base': '{{#label}} must be a date (YYYY-MM-DD)'
+});
+
+/**
+ * 保有銘柄のスキーマ
+ * realizedPnl・dividends は取引履歴から算出される項目
+ */
+const holdingSchema = Joi.object({
+  symbol: Joi.string().max(50).required(),
+  name: Joi.string().max(200).allow(''),
+  dataType: Joi.string().valid(...ASSET_DATA_TYPES),
+  shares: Joi.number().min(0).required(),
+  cost: Joi.number().min(0),
+  currency: currencySchema,
+  account: accountSchema,
+  assetClass: Joi.string().max(50).allow(''),
+  type: Joi.string().max(50).allow(''),
+  region: Joi.string().max(50).allow(''),
+  sector: Joi.string().max(100).allow(''),
+  notes: Joi.string().max(1000).allow(''),
+  purchaseDate: dateSchema.allow(null),
+  realizedPnl: Joi.number(),
+  dividends: Joi.number()
+});
+
+/**
+ * 取引のスキーマ
+ * 株式分割は分割比率（ratio）が必須で、数量・単価は0として保存される
+ */
+const transactionSchema = Joi.object({
+  id: Joi.string().max(100),
+  symbol: Joi.string().max(50).required(),
+  tradeDate: dateSchema.required(),
+  side: Joi.string().valid(...Object.values(TRANSACTION_SIDES)).required(),
+  quantity: Joi.when('side', {
+    is: TRANSACTION_SIDES.SPLIT,
+    then: Joi.number().min(0),
+    otherwise: Joi.number().greater(0).required()
+  }),
+  price: Joi.when('side', {
+    is: TRANSACTION_SIDES.SPLIT,
+    then: Joi.number().min(0),
+    otherwise: Joi.number().min(0).required()
+  }),
+  fees: Joi.number().min(0),
+  ratio: Joi.when('side', {
+    is: TRANSACTION_SIDES.SPLIT,
+    then: Joi.number().greater(0).required(),
+    otherwise: Joi.forbidden()
+  }),
+  currency: currencySchema,
+  account: accountSchema,
+  notes: Joi.string().max(1000).allow('')
+});
+
+/**
+ * 目標配分のスキーマ
+ * 比率（weight、%）の合計は100であること
+ */
+const targetAllocationSchema = Joi.array()
+  .items(Joi.object({
+    assetClass: Joi.string().max(50).allow(null, ''),
+    region: Joi.string().max(50).allow(null, ''),
+    symbol: Joi.string().max(50).allow(null, ''),
+    weight: Joi.number().min(0).max(100).required()
+  }))
+  .min(1)
+  .custom((targets, helpers) => {
+    const totalWeight = targets.reduce((sum, target) => sum + target.weight, 0);
+    if (Math.abs(totalWeight - 100) > REBALANCE_SETTINGS.WEIGHT_TOLERANCE) {
+      return helpers.error('targetAllocation.total', { total: Math.round(totalWeight * 10000) / 10000 });
+    }
+    return targets;
+  })
+  .messages({
+    'targetAllocation.total': '{{#label}} weights must add up to 100 (got {{#total}})'
+  });
+
+/**
+ * スキーマバージョン1
+ */
+const portfolioSchemaV1 = Joi.object({
+  schemaVersion: Joi.number().valid(1),
+  id: Joi.string().max(100),
+  name: Joi.string().max(PORTFOLIO_SCHEMA.MAX_NAME_LENGTH).required(),
+  description: Joi.string().max(1000).allow(''),
+  baseCurrency: currencySchema,
+  holdings: Joi.array().items(holdingSchema).max(PORTFOLIO_SCHEMA.MAX_HOLDINGS),
+  transactions: Joi.array().items(transactionSchema).max(PORTFOLIO_SCHEMA.MAX_TRANSACTIONS),
+  targetAllocation: targetAllocationSchema.allow(null),
+  importSource: Joi.object({
+    broker: Joi.string().max(50).required(),
+    importedAt: Joi.string().isoDate()
+  }),
+  createdBy: Joi.string().max(100),
+  updatedBy: Joi.object({
+    userId: Joi.string().max(100),
+    email: Joi.string().max(254),
+    name: Joi.string().max(200).allow('')
+  }),
+  lastUpdated: Joi.string().isoDate()
+});
+
+/**
+ * バージョンごとのスキーマ
+ */
+const SCHEMAS = {
+  1: portfolioSchemaV1
+};
+
+/**
+ * ポートフォリオファイルを検証する
+ * schemaVersion が無いファイルはバージョン1として扱う。
+ * 型の自動変換は行わない（文字列の数量などはエラーになる）。
+ * @param {Object} data - ポートフォリオデータ
+ * @returns {Object} { valid, schemaVersion, details }（details は [{ field, message, type }]）
+ */
+const validatePortfolioSchema = (data) => {
+  const schemaVersion = data && data.schemaVersion !== undefined ? data.schemaVersion : 1;
+  const schema = SCHEMAS[schemaVersion];
+
+  if (!schema || !PORTFOLIO_SCHEMA.SUPPORTED_VERSIONS.includes(schemaVersion)) {
+    return {
+      valid: false,
+      schemaVersion,
+      details: [{
+        field: 'schemaVersion',
+        message: `Unsupported schemaVersion: ${schemaVersion} (supported: ${PORTFOLIO_SCHEMA.SUPPORTED_VERSIONS.join(', ')})`,
+        type: 'any.only'
+      }]
+    };
+  }
+
+  const { error } = schema.validate(data, { abortEarly: false, convert: false });
+
+  return {
+    valid: !error,
+    schemaVersion,
+    details: error
+      ? error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        type: detail.type
+      }))
+      : []
+  };
+};
+
+module.exports = {
+  ASSET_DATA_TYPES,
+  validatePortfolioSchema
+};
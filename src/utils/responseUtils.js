@@ -12,12 +12,74 @@
  * @updated 2025-05-16 バグ修正: テスト互換性対応
  * @updated 2025-05-17 機能追加: OPTIONS処理の改善
  * @updated 2025-05-18 バグ修正: usage処理の改善とテスト互換性強化
+ * @updated 2025-05-26 機能追加: CSV・テキスト形式のレスポンスとAcceptヘッダーによる形式判定
+ * @updated 2025-06-01 機能追加: CSVレスポンスのUTF-8 BOM付与オプション
+ * @updated 2025-06-09 機能追加: 複数の値を持つレスポンスヘッダー（multiValueHeaders）
  */
 'use strict';
 
 const { ERROR_CODES, RESPONSE_FORMATS } = require('../config/constants');
 // テスト互換性対応: addBudgetWarningToResponse の追加
 const { isBudgetCritical, getBudgetWarningMessage, addBudgetWarningToResponse } = require('./budgetCheck');
+const { toCsv, toPlainText } = require('./csvUtils');
+
+/**
+ * レスポンス形式ごとのContent-Type
+ */
+const FORMAT_CONTENT_TYPES = {
+  [RESPONSE_FORMATS.JSON]: 'application/json',
+  [RESPONSE_FORMATS.CSV]: 'text/csv; charset=utf-8',
+  [RESPONSE_FORMATS.TEXT]: 'text/plain; charset=utf-8'
+};
+
+/**
+ * Acceptヘッダーのメディアタイプとレスポンス形式の対応
+ */
+const MEDIA_TYPE_FORMATS = {
+  'application/json': RESPONSE_FORMATS.JSON,
+  'application/*': RESPONSE_FORMATS.JSON,
+  '*/*': RESPONSE_FORMATS.JSON,
+  'text/csv': RESPONSE_FORMATS.CSV,
+  'application/csv': RESPONSE_FORMATS.CSV,
+  'text/plain': RESPONSE_FORMATS.TEXT,
+  'text/*': RESPONSE_FORMATS.TEXT
+};
+
+/**
+ * リクエストから応答形式を決定する
+ * クエリパラメータ format を優先し、未指定の場合は Accept ヘッダーの q 値順に判定する
+ * 判定できない場合は JSON とする
+ * @param {Object} event - API Gatewayイベント
+ * @returns {string} RESPONSE_FORMATS のいずれかの値
+ */
+const negotiateResponseFormat = (event = {}) => {
+  const requested = event.queryStringParameters && event.queryStringParameters.format;
+  if (requested) {
+    const normalized = String(requested).toLowerCase();
+    if (Object.values(RESPONSE_FORMATS).includes(normalized)) {
+      return normalized;
+    }
+  }
+
+  const headers = event.headers || {};
+  const accept = headers.Accept || headers.accept;
+  if (!accept) {
+    return RESPONSE_FORMATS.JSON;
+  }
+
+  const candidates = accept
+    .split(',')
+    .map((part, index) => {
+      const [mediaType, ...params] = part.trim().toLowerCase().split(';');
+      const qParam = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      const q = qParam ? parseFloat(qParam.substring(2)) : 1;
+      return { mediaType: mediaType.trim(), q: isNaN(q) ? 0 : q, index };
+    })
+    .filter(candidate => candidate.q > 0 && MEDIA_TYPE_FORMATS[candidate.mediaType])
+    .sort((a, b) => (b.q - a.q) || (a.index - b.index));
+
+  return candidates.length > 0 ? MEDIA_TYPE_FORMATS[candidates[0].mediaType] : RESPONSE_FORMATS.JSON;
+};
 
 /**
  * 正常レスポンスを生成して返却する
@@ -26,11 +88,15 @@ const { isBudgetCritical, getBudgetWarningMessage, addBudgetWarningToResponse }
  * @param {Object} options.data - レスポンスデータ
  * @param {string} options.message - 成功メッセージ
  * @param {Object} options.headers - レスポンスヘッダー
+ * @param {Object} options.multiValueHeaders - 複数の値を持つレスポンスヘッダー（複数のSet-Cookieなど）
  * @param {string} options.source - データソース情報
  * @param {string} options.lastUpdated - データ最終更新日時
  * @param {string} options.processingTime - 処理時間
  * @param {Object} options.usage - API使用量データ
  * @param {boolean} options.skipBudgetWarning - 予算警告をスキップするフラグ
+ * @param {string} options.format - 応答形式（RESPONSE_FORMATS、デフォルト: json）
+ * @param {Array<string>} options.columns - CSV・テキスト形式の列定義（dataは行データの配列）
+ * @param {boolean} options.bom - CSV形式の先頭にUTF-8 BOMを付与するかどうか（Excel向け）
  * @param {Function} options._formatResponse - テスト用フック
  * @returns {Promise<Object>} API Gateway形式のレスポンス
  */
@@ -40,14 +106,46 @@ const formatResponse = async (options = {}) => {
     data,
     message,
     headers = {},
+    multiValueHeaders,
     source,
     lastUpdated,
     processingTime,
     usage,
     skipBudgetWarning = false,
+    format = RESPONSE_FORMATS.JSON,
+    columns,
+    bom = false,
     _formatResponse // テスト用フック
   } = options;
   
+  // CSV・テキスト形式の場合は行データをそのまま表形式で返却する
+  if (format === RESPONSE_FORMATS.CSV || format === RESPONSE_FORMATS.TEXT) {
+    const rows = Array.isArray(data) ? data : [];
+    const rowColumns = columns || (rows.length > 0 ? Object.keys(rows[0]) : []);
+    
+    const response = {
+      statusCode,
+      headers: {
+        'Content-Type': FORMAT_CONTENT_TYPES[format],
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Credentials': 'true',
+        ...headers
+      },
+      body: format === RESPONSE_FORMATS.CSV ? toCsv(rows, rowColumns, { bom }) : toPlainText(rows, rowColumns)
+    };
+    
+    // ボディがJSONではないため、予算警告はヘッダーのみに付与する
+    if (!skipBudgetWarning && await isBudgetCritical()) {
+      response.headers['X-Budget-Warning'] = await getBudgetWarningMessage();
+    }
+    
+    if (_formatResponse) {
+      _formatResponse(response, options);
+    }
+    
+    return response;
+  }
+  
   // 予算警告のチェック
   // バグ修正: isBudgetWarning を isBudgetCritical に変更
   const budgetWarning = skipBudgetWarning ? false : await isBudgetCritical();
@@ -122,6 +220,10 @@ const formatResponse = async (options = {}) => {
     body: JSON.stringify(responseBody)
   };
   
+  if (multiValueHeaders) {
+    response.multiValueHeaders = multiValueHeaders;
+  }
+  
   // テスト用フックが提供されている場合は実行
   if (_formatResponse) {
     _formatResponse(response, options);
@@ -311,6 +413,7 @@ const handleOptions = (event) => {
 };
 
 module.exports = {
+  negotiateResponseFormat,
   formatResponse,
   formatErrorResponse,
   formatRedirectResponse,
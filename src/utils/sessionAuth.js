@@ -0,0 +1,178 @@
+/**
+ * プロジェクト: portfolio-market-data-api
+ * ファイルパス: src/utils/sessionAuth.js
+ *
+ * 説明:
+ * Cookieのセッションによるリクエスト認証の共通処理。
+ * セッションの存在確認と、Google Drive操作に必要なアクセストークンの取得を行います。
+ * スコープを指定したAPIでは、Authorization: Bearer ヘッダーの個人用APIトークンも受け付けます。
+ * 認証に失敗した場合は formatErrorResponse にそのまま渡せるエラー情報を返します。
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-28
+ * @updated 2025-06-08 機能追加: セッションの最終アクセス日時と端末情報を記録
+ * @updated 2025-06-09 機能追加: 更新系リクエストのCSRFトークン検証
+ * @updated 2025-06-11 機能追加: 個人用APIトークン（Bearer）による認証
+ */
+'use strict';
+
+const googleAuthService = require('../services/googleAuthService');
+const apiTokenService = require('../services/apiTokenService');
+const { parseCookies } = require('./cookieParser');
+const { getClientInfo } = require('./clientInfo');
+const { verifyCsrfToken } = require('./csrf');
+
+/**
+ * Authorization ヘッダーからBearerトークンを取得する
+ * @param {Object} event - API Gatewayイベント
+ * @returns {string|null} Bearerトークン
+ */
+const getBearerToken = (event) => {
+  const headers = event.headers || {};
+  const key = Object.keys(headers).find(header => header.toLowerCase() === 'authorization');
+  const match = key ? String(headers[key] || '').match(/^Bearer\s+(\S+)$/i) : null;
+  return match ? match[1] : null;
+};
+
+/**
+ * 認証結果からGoogleのアクセストークンを取得する（必要に応じて更新）
+ * 入力の検証後にアクセストークンを取得するハンドラーから使用する
+ * @param {Object} auth - authenticateRequest の成功時の結果
+ * @returns {Promise<string>} アクセストークン
+ */
+const getAccessToken = async (auth) => {
+  if (auth.apiToken) {
+    return apiTokenService.getGoogleAccessToken(auth.apiToken);
+  }
+
+  const tokenResult = await googleAuthService.refreshSessionToken(auth.sessionId);
+  return tokenResult.accessToken;
+};
+
+/**
+ * 認証結果にアクセストークンを追加する
+ * @param {Object} auth - 認証結果
+ * @returns {Promise<Object>} 成功時は accessToken を追加した認証結果、失敗時は { error }
+ */
+const withAccessToken = async (auth) => {
+  try {
+    return { ...auth, accessToken: await getAccessToken(auth) };
+  } catch (tokenError) {
+    console.error('トークン更新エラー:', tokenError);
+    return {
+      error: {
+        statusCode: 401,
+        code: 'TOKEN_REFRESH_ERROR',
+        message: 'アクセストークンの更新に失敗しました',
+        details: tokenError.message
+      }
+    };
+  }
+};
+
+/**
+ * 個人用APIトークンでリクエストを認証する
+ * Cookieを使用しないためCSRFトークンは検証しない
+ * @param {Object} event - API Gatewayイベント
+ * @param {string} scope - 必要なスコープ
+ * @param {Object} [options] - オプション
+ * @param {boolean} [options.requireAccessToken=false] - Googleのアクセストークンを取得するかどうか
+ * @returns {Promise<Object>} 成功時は { sessionId: null, session, apiToken, accessToken }、失敗時は { error }
+ */
+const authenticateApiToken = async (event, scope, { requireAccessToken = false } = {}) => {
+  const apiToken = await apiTokenService.verifyApiToken(getBearerToken(event));
+
+  if (!apiToken) {
+    return {
+      error: {
+        statusCode: 401,
+        code: 'INVALID_TOKEN',
+        message: 'APIトークンが無効です'
+      }
+    };
+  }
+
+  if (!apiTokenService.hasScope(apiToken, scope)) {
+    return {
+      error: {
+        statusCode: 403,
+        code: 'INSUFFICIENT_SCOPE',
+        message: `このAPIには ${scope} スコープが必要です`
+      }
+    };
+  }
+
+  // ハンドラーからはセッションと同じ項目で利用者を参照できるようにする
+  const auth = {
+    sessionId: null,
+    session: {
+      googleId: apiToken.googleId,
+      email: apiToken.email,
+      name: apiToken.userName
+    },
+    apiToken
+  };
+
+  return requireAccessToken ? withAccessToken(auth) : auth;
+};
+
+/**
+ * リクエストのセッションを検証する
+ * 更新系リクエストの場合は X-CSRF-Token ヘッダーも検証し、不一致の場合は FORBIDDEN を返す。
+ * scope を指定した場合は Authorization: Bearer ヘッダーの個人用APIトークンも受け付ける
+ * （スコープを指定しないAPIはCookieのセッションのみ）。
+ * @param {Object} event - API Gatewayイベント
+ * @param {Object} [options] - オプション
+ * @param {boolean} [options.requireAccessToken=false] - アクセストークンを取得（必要に応じて更新）するかどうか
+ * @param {string} [options.scope] - APIトークンで呼び出す場合に必要なスコープ
+ * @returns {Promise<Object>} 成功時は { sessionId, session, accessToken }（APIトークンの場合は apiToken も含む）、失敗時は { error }
+ */
+const authenticateRequest = async (event, { requireAccessToken = false, scope = null } = {}) => {
+  if (scope && getBearerToken(event)) {
+    return authenticateApiToken(event, scope, { requireAccessToken });
+  }
+
+  const cookies = parseCookies(event.headers || {});
+  const sessionId = cookies.session;
+
+  if (!sessionId) {
+    return {
+      error: {
+        statusCode: 401,
+        code: 'NO_SESSION',
+        message: 'セッションが存在しません'
+      }
+    };
+  }
+
+  const session = await googleAuthService.getSession(sessionId);
+
+  if (!session) {
+    return {
+      error: {
+        statusCode: 401,
+        code: 'INVALID_SESSION',
+        message: 'セッションが無効です'
+      }
+    };
+  }
+
+  // 更新系リクエスト（POST・DELETE等）はCSRFトークンを検証する
+  const csrfError = verifyCsrfToken(event, session);
+
+  if (csrfError) {
+    return { error: csrfError };
+  }
+
+  // セッション一覧に表示する最終アクセス日時を記録する
+  await googleAuthService.touchSession(sessionId, session, getClientInfo(event));
+
+  return requireAccessToken ? withAccessToken({ sessionId, session }) : { sessionId, session };
+};
+
+module.exports = {
+  getBearerToken,
+  getAccessToken,
+  authenticateApiToken,
+  authenticateRequest
+};
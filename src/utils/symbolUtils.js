@@ -0,0 +1,117 @@
+/**
+ * プロジェクト: portfolio-market-data-api
+ * ファイルパス: src/utils/symbolUtils.js
+ *
+ * 説明:
+ * 銘柄コードの形式からデータタイプと通貨を判定するユーティリティ。
+ * ポートフォリオの保有銘柄を適切なデータソースで評価するために使用します。
+ *
+ * @author Portfolio Manager Team
+ * @created 2025-05-28
+ * @updated 2025-05-31 改善: 英字で終わる投信協会コードを投資信託と判定
+ * @updated 2025-06-13 機能追加: ETF・REITの上場市場（東証・米国）の判定
+ * @updated 2025-06-14 機能追加: 暗号資産の標準通貨
+ * @updated 2025-06-15 機能追加: 市場指数の識別子の解決
+ */
+'use strict';
+
+const { DATA_TYPES, MARKET_INDICES } = require('../config/constants');
+
+/**
+ * データタイプごとの標準通貨
+ */
+const DEFAULT_CURRENCIES = {
+  [DATA_TYPES.US_STOCK]: 'USD',
+  [DATA_TYPES.JP_STOCK]: 'JPY',
+  [DATA_TYPES.MUTUAL_FUND]: 'JPY',
+  [DATA_TYPES.CRYPTO]: 'USD'
+};
+
+/**
+ * 東証に上場している銘柄コードかどうか（ETF・REITの上場市場の判定に使用）
+ * 4桁の数字に加えて、英字を含む新しい形式のコード（例: 130A）も東証とみなす
+ * @param {string} symbol - 銘柄コード
+ * @returns {boolean} 東証の銘柄コードの場合true
+ */
+const isJpListedCode = (symbol) => {
+  return /^\d[0-9A-Z]{3}$/.test(String(symbol || '').trim().toUpperCase().replace(/\.T$/, ''));
+};
+
+/**
+ * 市場指数の定義を取得する
+ * 識別子（例: N225）に加えて別名（例: NIKKEI225, ^N225）でも指定できる
+ * @param {string} symbol - 指数の識別子または別名
+ * @returns {Object|null} 指数の定義 { id, name, yahooSymbol, yahooJapanCode, currency, defaultValue }（該当しない場合はnull）
+ */
+const getMarketIndex = (symbol) => {
+  const key = String(symbol || '').trim().toUpperCase();
+  const id = Object.keys(MARKET_INDICES).find(indexId =>
+    indexId === key || MARKET_INDICES[indexId].aliases.includes(key)
+  );
+
+  return id ? { id, ...MARKET_INDICES[id] } : null;
+};
+
+/**
+ * 銘柄コードの形式からデータタイプを判定する
+ * - 日本株: 4桁の数字（例: 7203, 7203.T）
+ * - 投資信託: 数字を4桁以上含む8桁の英数字（例: 0131103C, 0331418A, 03311187）
+ * - 上記以外は米国株
+ * @param {string} symbol - 銘柄コード
+ * @returns {string} DATA_TYPES のいずれかの値
+ */
+const inferDataType = (symbol) => {
+  const normalized = String(symbol || '').trim().toUpperCase().replace(/\.T$/, '');
+
+  if (/^\d{4}$/.test(normalized)) {
+    return DATA_TYPES.JP_STOCK;
+  }
+
+  if (/^(?=(?:[A-Z]*\d){4})[0-9A-Z]{8}$/.test(normalized)) {
+    return DATA_TYPES.MUTUAL_FUND;
+  }
+
+  return DATA_TYPES.US_STOCK;
+};
+
+/**
+ * 保有銘柄のデータタイプを取得する
+ * 保有銘柄に dataType が明示されている場合はそれを優先する
+ * @param {Object} holding - 保有銘柄
+ * @returns {string} DATA_TYPES のいずれかの値
+ */
+const getHoldingDataType = (holding) => {
+  if (holding && Object.values(DATA_TYPES).includes(holding.dataType)) {
+    return holding.dataType;
+  }
+
+  return inferDataType(holding && holding.symbol);
+};
+
+/**
+ * データタイプの標準通貨を取得する
+ * ETFは上場市場、市場指数は指数の定義によって通貨が異なるため銘柄コードから判定する
+ * @param {string} dataType - データタイプ
+ * @param {string} [symbol] - 銘柄コード（ETF・市場指数の場合に使用）
+ * @returns {string} 通貨コード（不明な場合は 'USD'）
+ */
+const getDefaultCurrency = (dataType, symbol) => {
+  if (dataType === DATA_TYPES.ETF) {
+    return isJpListedCode(symbol) ? 'JPY' : 'USD';
+  }
+
+  if (dataType === DATA_TYPES.INDEX) {
+    const index = getMarketIndex(symbol);
+    return index ? index.currency : 'USD';
+  }
+
+  return DEFAULT_CURRENCIES[dataType] || 'USD';
+};
+
+module.exports = {
+  isJpListedCode,
+  getMarketIndex,
+  inferDataType,
+  getHoldingDataType,
+  getDefaultCurrency
+};
@@ -8,6 +8,7 @@
  * 
  * @author Portfolio Manager Team
  * @created 2025-05-20
+ * @updated 2025-06-10 機能追加: 認可URLの生成とPKCE（code_verifier）によるトークン交換
  */
 'use strict';
 
@@ -135,20 +136,44 @@ const verifyIdToken = async (idToken) => {
   }
 };
 
+/**
+ * Googleの認可URLを生成する
+ * @param {Object} params - パラメータ
+ * @param {string} params.redirectUri - リダイレクトURI
+ * @param {string} params.state - stateパラメータ
+ * @param {string} params.codeChallenge - PKCEのcode_challenge（S256）
+ * @param {Array<string>} params.scopes - 要求するスコープ
+ * @returns {string} 認可URL
+ */
+const generateAuthUrl = ({ redirectUri, state, codeChallenge, scopes }) => {
+  return oAuth2Client.generateAuthUrl({
+    access_type: 'offline', // リフレッシュトークンを取得する
+    prompt: 'consent',
+    include_granted_scopes: true,
+    scope: scopes,
+    redirect_uri: redirectUri,
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+};
+
 /**
  * 認証コードをトークンと交換する
  * @param {string} code - Google認証コード
  * @param {string} redirectUri - リダイレクトURI
+ * @param {string} [codeVerifier] - PKCEのcode_verifier
  * @returns {Promise<Object>} - トークン情報
  */
-const exchangeCodeForTokens = async (code, redirectUri) => {
+const exchangeCodeForTokens = async (code, redirectUri, codeVerifier) => {
   try {
     // リトライロジックを適用してトークン交換
     return await withRetry(
       async () => {
         const { tokens } = await oAuth2Client.getToken({
           code,
-          redirect_uri: redirectUri
+          redirect_uri: redirectUri,
+          ...(codeVerifier && { codeVerifier })
         });
         
         return tokens;
@@ -176,5 +201,6 @@ module.exports = {
   validateAndRefreshToken,
   refreshAccessToken,
   verifyIdToken,
+  generateAuthUrl,
   exchangeCodeForTokens
 };